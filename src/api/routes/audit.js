@@ -0,0 +1,87 @@
+/**
+ * audit.js
+ *
+ * API routes for the management API audit trail (admin only, mounted with protect())
+ * Config changes carry before/after snapshots and can be reverted (see core/audit/ConfigHistory)
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const auditLogRepository = require("../../database/repositories/audit_log_repository");
+const ConfigHistory = require("../../core/audit/ConfigHistory");
+
+/**
+ * Initialize routes
+ * @param {ModeService} modeService - The ModeService instance (used to revert mode changes)
+ */
+function initializeRoutes(modeService) {
+  /**
+   * GET /api/audit
+   * Get audit entries (newest first)
+   *
+   * Query: actor, action, resource_type, resource_id, changes_only (config changes only), from, to,
+   *        limit (default 100, max 1000), offset
+   */
+  router.get("/", (req, res) => {
+    try {
+      const { entries, total } = auditLogRepository.getEntries(req.query);
+      res.json({ success: true, data: entries, count: entries.length, total });
+    } catch (error) {
+      logger.error("Failed to get audit log", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/audit/:id
+   * Get an audit entry
+   */
+  router.get("/:id", (req, res) => {
+    try {
+      const entry = auditLogRepository.getEntryById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ success: false, error: "Audit entry not found" });
+      }
+      res.json({ success: true, data: entry });
+    } catch (error) {
+      logger.error("Failed to get audit entry", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/audit/:id/revert
+   * Restore the resource changed by an audit entry to its state before that change
+   * The revert is itself recorded as a new config version (action audit.revert)
+   */
+  router.post("/:id/revert", async (req, res) => {
+    try {
+      const entry = auditLogRepository.getEntryById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ success: false, error: "Audit entry not found" });
+      }
+
+      const reason = ConfigHistory.getRevertError(entry);
+      if (reason) {
+        return res.status(400).json({ success: false, error: reason });
+      }
+
+      ConfigHistory.track(res, entry.resource_type, entry.resource_id);
+      const state = await ConfigHistory.revert(entry, { modeService, actor: req.auth?.name });
+
+      res.json({
+        success: true,
+        message: "Configuration reverted",
+        data: { resource_type: entry.resource_type, resource_id: entry.resource_id, state },
+      });
+    } catch (error) {
+      logger.error("Failed to revert audit entry", { id: req.params.id, error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
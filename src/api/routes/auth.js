@@ -0,0 +1,392 @@
+/**
+ * auth.js
+ *
+ * API routes for management API authentication
+ * - Login (console users, JWT) and current principal
+ * - Console users and API keys (admin only)
+ */
+
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const ConsoleAuth = require("../../core/auth/ConsoleAuth");
+const consoleUserRepository = require("../../database/repositories/console_user_repository");
+const consoleApiKeyRepository = require("../../database/repositories/console_api_key_repository");
+const auditLogRepository = require("../../database/repositories/audit_log_repository");
+const { authenticate, requireRole, auditTrail } = require("../../middleware/auth");
+
+const { ROLES, MIN_PASSWORD_LENGTH } = ConsoleAuth;
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{3,64}$/;
+
+/**
+ * Validate console user payload
+ * @param {Object} body - Request body
+ * @param {boolean} isCreate - True when creating a user
+ * @returns {string|null} Error message or null if valid
+ */
+function validateUser(body, isCreate) {
+  if (isCreate && !USERNAME_PATTERN.test(body.username || "")) {
+    return "username must be 3-64 characters (letters, digits, . _ @ -)";
+  }
+  if ((isCreate || body.password !== undefined) && String(body.password || "").length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (body.role !== undefined && !ROLES.includes(body.role)) {
+    return `role must be one of ${ROLES.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Validate API key payload
+ * @param {Object} body - Request body
+ * @param {boolean} isCreate - True when creating a key
+ * @returns {string|null} Error message or null if valid
+ */
+function validateApiKey(body, isCreate) {
+  if (isCreate && !body.name) {
+    return "name is required";
+  }
+  if (body.role !== undefined && !ROLES.includes(body.role)) {
+    return `role must be one of ${ROLES.join(", ")}`;
+  }
+  if (body.expires_at && Number.isNaN(new Date(body.expires_at).getTime())) {
+    return "expires_at must be a valid date";
+  }
+  return null;
+}
+
+/**
+ * Check that a change would not remove the last enabled admin
+ * @param {Object} existing - Existing user
+ * @param {Object} changes - { role, enabled } or null when deleting
+ * @returns {boolean} True if the change would leave no enabled admin
+ */
+function removesLastAdmin(existing, changes) {
+  if (existing.role !== "admin" || !existing.enabled) {
+    return false;
+  }
+  const stillAdmin = changes && (changes.role === undefined || changes.role === "admin") && changes.enabled !== false;
+  return !stillAdmin && consoleUserRepository.countEnabledAdmins() <= 1;
+}
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  // One router per mount point: router.use() middleware would otherwise run once per mount
+  const router = express.Router();
+
+  const loginLimiter = rateLimit({
+    windowMs: config.rateLimit.admin.windowMinutes * 60 * 1000,
+    limit: config.rateLimit.admin.max,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    skip: () => !config.rateLimit.enabled,
+    message: { success: false, error: "Too many login attempts, try again later" },
+  });
+
+  /**
+   * POST /api/auth/login
+   * Log in a console user
+   *
+   * Body: { username, password }
+   * Returns: { token, user } - send the token as "Authorization: Bearer <token>"
+   */
+  router.post("/login", loginLimiter, (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      if (!username || !password) {
+        return res.status(400).json({ success: false, error: "username and password are required" });
+      }
+
+      const result = ConsoleAuth.login(username, password);
+      if (!result) {
+        logger.warn("Console login failed", { username, ip: req.ip });
+        auditLogRepository.addEntry({
+          actor_type: "anonymous",
+          actor_name: username,
+          action: "auth.login_failed",
+          method: req.method,
+          path: req.originalUrl,
+          status_code: 401,
+          ip: req.ip,
+        });
+        return res.status(401).json({ success: false, error: "Invalid username or password" });
+      }
+
+      const principal = ConsoleAuth.userPrincipal(result.user);
+      auditLogRepository.addEntry({
+        actor_type: principal.type,
+        actor_id: principal.id,
+        actor_name: principal.name,
+        actor_role: principal.role,
+        action: "auth.login",
+        method: req.method,
+        path: req.originalUrl,
+        status_code: 200,
+        ip: req.ip,
+      });
+      logger.info(`Console user logged in: ${principal.name}`);
+
+      res.json({ success: true, data: { token: result.token, user: result.user, expiresIn: config.security.consoleTokenExpiry } });
+    } catch (error) {
+      logger.error("Failed to log in", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/auth/me
+   * Get the authenticated principal
+   */
+  router.get("/me", authenticate, (req, res) => {
+    try {
+      const user = req.auth.type === "user" ? consoleUserRepository.getUserById(req.auth.id) : null;
+      res.json({ success: true, data: { ...req.auth, user, authEnabled: config.security.authEnabled } });
+    } catch (error) {
+      logger.error("Failed to get current principal", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/auth/logout
+   * Record a logout (tokens are stateless; the client discards its token)
+   */
+  router.post("/logout", authenticate, auditTrail({ resource: "auth", action: "logout" }), (req, res) => {
+    res.json({ success: true, message: "Logged out" });
+  });
+
+  /**
+   * PUT /api/auth/me/password
+   * Change own password (console users only)
+   *
+   * Body: { current_password, new_password }
+   */
+  router.put("/me/password", authenticate, auditTrail({ resource: "auth", action: "password_change" }), (req, res) => {
+    try {
+      if (req.auth.type !== "user") {
+        return res.status(400).json({ success: false, error: "Only console users have a password" });
+      }
+
+      const { current_password, new_password } = req.body || {};
+      if (String(new_password || "").length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, error: `new_password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+
+      const user = consoleUserRepository.getUserById(req.auth.id);
+      const row = consoleUserRepository.getUserWithPasswordHash(user.username);
+      if (!ConsoleAuth.verifyPassword(current_password, row.password_hash)) {
+        return res.status(400).json({ success: false, error: "Current password is incorrect" });
+      }
+
+      consoleUserRepository.updateUser(user.id, { password_hash: ConsoleAuth.hashPassword(new_password) });
+      res.json({ success: true, message: "Password changed" });
+    } catch (error) {
+      logger.error("Failed to change password", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Console users and API keys are managed by admins only
+  router.use("/users", authenticate, requireRole("admin"), auditTrail({ resource: "console_users" }));
+  router.use("/api-keys", authenticate, requireRole("admin"), auditTrail({ resource: "api_keys" }));
+
+  /**
+   * GET /api/auth/users
+   * Get all console users
+   */
+  router.get("/users", (req, res) => {
+    try {
+      const users = consoleUserRepository.getAllUsers();
+      res.json({ success: true, data: users, count: users.length });
+    } catch (error) {
+      logger.error("Failed to get console users", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/auth/users
+   * Create a console user
+   *
+   * Body: { username, password, display_name, role (default viewer), enabled }
+   */
+  router.post("/users", (req, res) => {
+    try {
+      const body = req.body || {};
+      const validationError = validateUser(body, true);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+      if (consoleUserRepository.getUserWithPasswordHash(body.username)) {
+        return res.status(409).json({ success: false, error: `User ${body.username} already exists` });
+      }
+
+      const user = consoleUserRepository.createUser({
+        username: body.username,
+        display_name: body.display_name,
+        password_hash: ConsoleAuth.hashPassword(body.password),
+        role: body.role || "viewer",
+        enabled: body.enabled,
+      });
+      res.status(201).json({ success: true, data: user });
+    } catch (error) {
+      logger.error("Failed to create console user", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/auth/users/:id
+   * Update a console user (display_name, role, enabled, password)
+   */
+  router.put("/users/:id", (req, res) => {
+    try {
+      const existing = consoleUserRepository.getUserById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: "Console user not found" });
+      }
+
+      const body = req.body || {};
+      const validationError = validateUser(body, false);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+      if (removesLastAdmin(existing, { role: body.role, enabled: body.enabled })) {
+        return res.status(400).json({ success: false, error: "Cannot demote or disable the last admin" });
+      }
+
+      const changes = {};
+      ["display_name", "role", "enabled"].forEach((field) => {
+        if (body[field] !== undefined) changes[field] = body[field];
+      });
+      if (body.password !== undefined) {
+        changes.password_hash = ConsoleAuth.hashPassword(body.password);
+      }
+
+      const user = consoleUserRepository.updateUser(req.params.id, changes);
+      res.json({ success: true, data: user });
+    } catch (error) {
+      logger.error("Failed to update console user", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/auth/users/:id
+   * Delete a console user
+   */
+  router.delete("/users/:id", (req, res) => {
+    try {
+      const existing = consoleUserRepository.getUserById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: "Console user not found" });
+      }
+      if (removesLastAdmin(existing, null)) {
+        return res.status(400).json({ success: false, error: "Cannot delete the last admin" });
+      }
+
+      consoleUserRepository.deleteUser(req.params.id);
+      res.json({ success: true, message: "Console user deleted" });
+    } catch (error) {
+      logger.error("Failed to delete console user", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/auth/api-keys
+   * Get all API keys (without the keys themselves)
+   */
+  router.get("/api-keys", (req, res) => {
+    try {
+      const apiKeys = consoleApiKeyRepository.getAllApiKeys();
+      res.json({ success: true, data: apiKeys, count: apiKeys.length });
+    } catch (error) {
+      logger.error("Failed to get API keys", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/auth/api-keys
+   * Create an API key. The key is only returned in this response.
+   *
+   * Body: { name, role (default viewer), expires_at }
+   */
+  router.post("/api-keys", (req, res) => {
+    try {
+      const body = req.body || {};
+      const validationError = validateApiKey(body, true);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const { key, keyPrefix, keyHash } = ConsoleAuth.generateApiKey();
+      const apiKey = consoleApiKeyRepository.createApiKey({
+        name: body.name,
+        key_prefix: keyPrefix,
+        key_hash: keyHash,
+        role: body.role || "viewer",
+        created_by: req.auth.type === "user" ? req.auth.id : null,
+        expires_at: body.expires_at,
+      });
+      res.status(201).json({ success: true, data: { ...apiKey, key } });
+    } catch (error) {
+      logger.error("Failed to create API key", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/auth/api-keys/:id
+   * Update an API key (name, role, enabled, expires_at)
+   */
+  router.put("/api-keys/:id", (req, res) => {
+    try {
+      const body = req.body || {};
+      const validationError = validateApiKey(body, false);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const changes = {};
+      ["name", "role", "enabled", "expires_at"].forEach((field) => {
+        if (body[field] !== undefined) changes[field] = body[field];
+      });
+
+      const apiKey = consoleApiKeyRepository.updateApiKey(req.params.id, changes);
+      if (!apiKey) {
+        return res.status(404).json({ success: false, error: "API key not found" });
+      }
+      res.json({ success: true, data: apiKey });
+    } catch (error) {
+      logger.error("Failed to update API key", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/auth/api-keys/:id
+   * Revoke an API key
+   */
+  router.delete("/api-keys/:id", (req, res) => {
+    try {
+      const deleted = consoleApiKeyRepository.deleteApiKey(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: "API key not found" });
+      }
+      res.json({ success: true, message: "API key revoked" });
+    } catch (error) {
+      logger.error("Failed to revoke API key", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
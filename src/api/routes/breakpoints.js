@@ -0,0 +1,281 @@
+/**
+ * breakpoints.js
+ *
+ * API routes for interactive breakpoints
+ * - Rules: breakpoint_rules table; changes are applied immediately (manager cache is reloaded)
+ * - Held items: in-memory queue of requests/responses waiting to be released or aborted
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const breakpointRuleRepository = require("../../database/repositories/breakpoint_rule_repository");
+const { getInstance: getBreakpointManager } = require("../../core/breakpoint/BreakpointManager");
+const { BODY_ENCODING_BASE64 } = require("../../utils/bodySerializer");
+
+const VALID_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD", "*"];
+const { DIRECTIONS } = breakpointRuleRepository;
+
+/**
+ * Validate breakpoint rule payload
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Existing rule (update)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRule(body, existing = null) {
+  const merged = { ...(existing || {}), ...body };
+
+  if (!merged.name) {
+    return "name is required";
+  }
+  if (merged.direction && !DIRECTIONS.includes(merged.direction)) {
+    return `direction must be one of ${DIRECTIONS.join(", ")}`;
+  }
+  if (merged.http_method && !VALID_METHODS.includes(merged.http_method.toUpperCase())) {
+    return `Invalid http_method ${merged.http_method}`;
+  }
+  for (const field of ["match_host", "endpoint_pattern"]) {
+    if (merged[field]) {
+      try {
+        new RegExp(merged[field]);
+      } catch (e) {
+        return `Invalid ${field} regex: ${e.message}`;
+      }
+    }
+  }
+  if (merged.timeout_ms !== undefined && merged.timeout_ms !== null && merged.timeout_ms !== "") {
+    const timeout = Number(merged.timeout_ms);
+    if (!Number.isInteger(timeout) || timeout < 1000 || timeout > 3600000) {
+      return "timeout_ms must be an integer between 1000 and 3600000";
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate release edits
+ * @param {Object} body - Request body ({ headers, body, bodyEncoding, status })
+ * @returns {string|null} Error message or null if valid
+ */
+function validateEdits(body) {
+  if (body.headers !== undefined && (body.headers === null || typeof body.headers !== "object" || Array.isArray(body.headers))) {
+    return "headers must be an object";
+  }
+  if (body.bodyEncoding !== undefined && body.bodyEncoding !== null && body.bodyEncoding !== BODY_ENCODING_BASE64) {
+    return `bodyEncoding must be "${BODY_ENCODING_BASE64}" or null`;
+  }
+  if (body.status !== undefined && body.status !== null && body.status !== "") {
+    const status = Number(body.status);
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+      return "status must be an integer between 100 and 599";
+    }
+  }
+  return null;
+}
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/breakpoints
+   * Get all breakpoint rules
+   */
+  router.get("/", (req, res) => {
+    try {
+      const rules = breakpointRuleRepository.getAllRules();
+      res.json({ success: true, data: rules, count: rules.length });
+    } catch (error) {
+      logger.error("Failed to get breakpoint rules", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/breakpoints/held
+   * Get held requests/responses (oldest first)
+   */
+  router.get("/held", (req, res) => {
+    try {
+      const held = getBreakpointManager().getHeld();
+      res.json({ success: true, data: held, count: held.length });
+    } catch (error) {
+      logger.error("Failed to get held items", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/breakpoints/held/release-all
+   * Release all held items unchanged
+   */
+  router.post("/held/release-all", (req, res) => {
+    try {
+      const count = getBreakpointManager().releaseAll();
+      res.json({ success: true, count, message: `${count} held item(s) released` });
+    } catch (error) {
+      logger.error("Failed to release held items", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/breakpoints/held/:id
+   * Get a held item
+   */
+  router.get("/held/:id", (req, res) => {
+    try {
+      const item = getBreakpointManager().getHeldItem(req.params.id);
+      if (!item) {
+        return res.status(404).json({ success: false, error: "Held item not found (already released)" });
+      }
+      res.json({ success: true, data: item });
+    } catch (error) {
+      logger.error("Failed to get held item", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/breakpoints/held/:id/release
+   * Release a held item, optionally with edits
+   *
+   * Body (all optional):
+   * - headers: replaces all headers
+   * - body: new body (text or JSON, base64 with bodyEncoding "base64")
+   * - bodyEncoding: "base64" for binary bodies (see the bodyEncoding of held items)
+   * - status: new status (responses only)
+   */
+  router.post("/held/:id/release", (req, res) => {
+    try {
+      const body = req.body || {};
+      const validationError = validateEdits(body);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const edits = {};
+      ["headers", "body", "bodyEncoding", "status"].forEach((field) => {
+        if (body[field] !== undefined) edits[field] = body[field];
+      });
+
+      const released = getBreakpointManager().release(req.params.id, Object.keys(edits).length > 0 ? edits : null);
+      if (!released) {
+        return res.status(404).json({ success: false, error: "Held item not found (already released)" });
+      }
+      res.json({ success: true, message: "Held item released" });
+    } catch (error) {
+      logger.error("Failed to release held item", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/breakpoints/held/:id/abort
+   * Abort a held item (the client connection is reset)
+   */
+  router.post("/held/:id/abort", (req, res) => {
+    try {
+      const aborted = getBreakpointManager().abort(req.params.id);
+      if (!aborted) {
+        return res.status(404).json({ success: false, error: "Held item not found (already released)" });
+      }
+      res.json({ success: true, message: "Held item aborted" });
+    } catch (error) {
+      logger.error("Failed to abort held item", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/breakpoints/:id
+   * Get breakpoint rule by ID
+   */
+  router.get("/:id", (req, res) => {
+    try {
+      const rule = breakpointRuleRepository.getRuleById(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ success: false, error: "Breakpoint rule not found" });
+      }
+      res.json({ success: true, data: rule });
+    } catch (error) {
+      logger.error("Failed to get breakpoint rule", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/breakpoints
+   * Create a breakpoint rule
+   *
+   * Body:
+   * - name (required)
+   * - match_host, endpoint_pattern: regex (empty = any)
+   * - http_method (default '*'), direction: request | response | both (default request)
+   * - timeout_ms: auto-release after this time (default 60000), enabled (default true)
+   */
+  router.post("/", (req, res) => {
+    try {
+      const body = req.body || {};
+      const validationError = validateRule(body);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const rule = breakpointRuleRepository.createRule(body);
+      getBreakpointManager().reload();
+      res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+      logger.error("Failed to create breakpoint rule", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/breakpoints/:id
+   * Update a breakpoint rule (partial updates supported)
+   */
+  router.put("/:id", (req, res) => {
+    try {
+      const existing = breakpointRuleRepository.getRuleById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: "Breakpoint rule not found" });
+      }
+
+      const body = req.body || {};
+      const validationError = validateRule(body, existing);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const rule = breakpointRuleRepository.updateRule(req.params.id, body);
+      getBreakpointManager().reload();
+      res.json({ success: true, data: rule });
+    } catch (error) {
+      logger.error("Failed to update breakpoint rule", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/breakpoints/:id
+   * Delete a breakpoint rule (items it already holds stay held)
+   */
+  router.delete("/:id", (req, res) => {
+    try {
+      const deleted = breakpointRuleRepository.deleteRule(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: "Breakpoint rule not found" });
+      }
+      getBreakpointManager().reload();
+      res.json({ success: true, message: "Breakpoint rule deleted" });
+    } catch (error) {
+      logger.error("Failed to delete breakpoint rule", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
@@ -0,0 +1,173 @@
+/**
+ * clients.js
+ *
+ * API routes for connected clients and per-client mode overrides
+ * - Clients: devices that sent traffic in the last 10 minutes, with their effective mode
+ * - Overrides: mode_overrides table; changes are applied immediately (resolver cache is reloaded)
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const modeOverrideRepository = require("../../database/repositories/mode_override_repository");
+const { getInstance: getModeResolver } = require("../../core/mode/ModeResolver");
+
+const { SCOPES, MODES } = modeOverrideRepository;
+
+/**
+ * Validate mode override payload
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Existing override (update)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateOverride(body, existing = null) {
+  const merged = { ...(existing || {}), ...body };
+
+  if (!SCOPES.includes(merged.scope)) {
+    return `scope must be one of ${SCOPES.join(", ")}`;
+  }
+  if (merged.scope_value === undefined || merged.scope_value === null || String(merged.scope_value).trim() === "") {
+    return "scope_value is required";
+  }
+  if (!MODES.includes(merged.mode)) {
+    return `mode must be one of ${MODES.join(", ")}`;
+  }
+  if (merged.expires_at && isNaN(new Date(merged.expires_at).getTime())) {
+    return "expires_at must be a valid date";
+  }
+  return null;
+}
+
+/**
+ * Initialize routes
+ * @param {ModeService} modeService - The ModeService instance (provides the global mode)
+ */
+function initializeRoutes(modeService) {
+  /**
+   * GET /api/clients
+   * Get connected clients with their effective mode
+   * Each client: { ip, device_id, session, user_agent, first_seen, last_seen, requests,
+   *                mode, source (header, session, device_id, ip or global), override_id }
+   */
+  router.get("/", (req, res) => {
+    try {
+      const globalMode = modeService.getCurrentMode();
+      const clients = getModeResolver().getClients(globalMode);
+      res.json({ success: true, data: clients, count: clients.length, globalMode });
+    } catch (error) {
+      logger.error("Failed to get connected clients", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/clients/clear
+   * Forget connected clients (they reappear with their next request)
+   */
+  router.post("/clear", (req, res) => {
+    try {
+      getModeResolver().clearClients();
+      res.json({ success: true, message: "Connected clients cleared" });
+    } catch (error) {
+      logger.error("Failed to clear connected clients", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/clients/overrides
+   * Get all mode overrides
+   */
+  router.get("/overrides", (req, res) => {
+    try {
+      const overrides = modeOverrideRepository.getAllOverrides();
+      res.json({ success: true, data: overrides, count: overrides.length });
+    } catch (error) {
+      logger.error("Failed to get mode overrides", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/clients/overrides
+   * Create a mode override (or replace the one for the same scope/value)
+   *
+   * Body:
+   * - scope (required): ip | device_id | session
+   * - scope_value (required): client IP, device ID or DPSESSION value
+   * - mode (required): passthrough | recording | replay
+   * - label, expires_at (optional), enabled (default true)
+   */
+  router.post("/overrides", (req, res) => {
+    try {
+      const body = req.body || {};
+      const validationError = validateOverride(body);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const existing = modeOverrideRepository.getOverrideByScope(body.scope, body.scope_value);
+      const override = existing
+        ? modeOverrideRepository.updateOverride(existing.id, { enabled: true, ...body })
+        : modeOverrideRepository.createOverride(body, req.auth?.name || null);
+      getModeResolver().reload();
+      res.status(existing ? 200 : 201).json({ success: true, data: override });
+    } catch (error) {
+      logger.error("Failed to create mode override", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/clients/overrides/:id
+   * Update a mode override (partial updates supported)
+   */
+  router.put("/overrides/:id", (req, res) => {
+    try {
+      const existing = modeOverrideRepository.getOverrideById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: "Mode override not found" });
+      }
+
+      const body = req.body || {};
+      const validationError = validateOverride(body, existing);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const duplicate = modeOverrideRepository.getOverrideByScope(body.scope || existing.scope, body.scope_value ?? existing.scope_value);
+      if (duplicate && duplicate.id !== existing.id) {
+        return res.status(409).json({ success: false, error: "Another override already exists for this client" });
+      }
+
+      const override = modeOverrideRepository.updateOverride(req.params.id, body);
+      getModeResolver().reload();
+      res.json({ success: true, data: override });
+    } catch (error) {
+      logger.error("Failed to update mode override", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/clients/overrides/:id
+   * Delete a mode override (the client falls back to the global mode)
+   */
+  router.delete("/overrides/:id", (req, res) => {
+    try {
+      const deleted = modeOverrideRepository.deleteOverride(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: "Mode override not found" });
+      }
+      getModeResolver().reload();
+      res.json({ success: true, message: "Mode override deleted" });
+    } catch (error) {
+      logger.error("Failed to delete mode override", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
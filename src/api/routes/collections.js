@@ -0,0 +1,247 @@
+/**
+ * collections.js
+ *
+ * API routes for recording collections
+ * - Recording mode writes into the active collection
+ * - Replay mode searches the replay stack in order (the active collection if the stack is empty)
+ * - Locked collections are read-only; they can still be replayed, cloned and diffed
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const collectionRepository = require("../../database/repositories/collection_repository");
+
+/**
+ * Validate collection name/description payload
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Existing collection (update)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateCollection(body, existing = null) {
+  if (existing && body.name === undefined) {
+    return null;
+  }
+  const name = body.name === undefined || body.name === null ? "" : String(body.name).trim();
+  if (!name) {
+    return "name is required";
+  }
+  if (name.length > 100) {
+    return "name must be at most 100 characters";
+  }
+  const duplicate = collectionRepository.getCollectionByName(name);
+  if (duplicate && (!existing || duplicate.id !== existing.id)) {
+    return `A collection named '${name}' already exists`;
+  }
+  return null;
+}
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/collections
+   * Get all collections (with request_count), the active collection and the collections replay searches
+   */
+  router.get("/", (req, res) => {
+    try {
+      const collections = collectionRepository.getAllCollections();
+      const active = collectionRepository.getActiveCollection();
+      const replay = collectionRepository.getReplayCollections();
+      res.json({
+        success: true,
+        data: collections,
+        count: collections.length,
+        activeId: active ? active.id : null,
+        replayIds: replay.map((collection) => collection.id),
+      });
+    } catch (error) {
+      logger.error("Failed to get collections", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/collections/diff?base=<id>&compare=<id>
+   * Compare the recordings of two collections
+   * Returns { added, removed, changed, unchanged } (added/removed: recordings only in compare/base)
+   */
+  router.get("/diff", (req, res) => {
+    try {
+      const base = collectionRepository.getCollectionById(req.query.base);
+      const compare = collectionRepository.getCollectionById(req.query.compare);
+      if (!base || !compare) {
+        return res.status(404).json({ success: false, error: "Collection not found (base and compare are required)" });
+      }
+
+      const diff = collectionRepository.diffCollections(base.id, compare.id);
+      res.json({ success: true, data: { base, compare, ...diff } });
+    } catch (error) {
+      logger.error("Failed to diff collections", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/collections/replay-stack
+   * Set the collections replay searches, in order
+   * Body: { collection_ids: [id, ...] } - empty replays the active collection
+   */
+  router.put("/replay-stack", (req, res) => {
+    try {
+      const ids = (req.body || {}).collection_ids;
+      if (!Array.isArray(ids)) {
+        return res.status(400).json({ success: false, error: "collection_ids must be an array" });
+      }
+      if (new Set(ids).size !== ids.length) {
+        return res.status(400).json({ success: false, error: "collection_ids must not contain duplicates" });
+      }
+      for (const id of ids) {
+        if (!collectionRepository.getCollectionById(id)) {
+          return res.status(404).json({ success: false, error: `Collection ${id} not found` });
+        }
+      }
+
+      const replay = collectionRepository.setReplayStack(ids);
+      res.json({ success: true, data: replay });
+    } catch (error) {
+      logger.error("Failed to set replay stack", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/collections
+   * Create an empty collection
+   * Body: { name, description? }
+   */
+  router.post("/", (req, res) => {
+    try {
+      const body = req.body || {};
+      const validationError = validateCollection(body);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const collection = collectionRepository.createCollection(body, req.auth?.name || null);
+      res.status(201).json({ success: true, data: collection });
+    } catch (error) {
+      logger.error("Failed to create collection", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/collections/:id/clone
+   * Copy a collection with all its recordings
+   * Body: { name, description? } - the clone is unlocked and not active
+   */
+  router.post("/:id/clone", (req, res) => {
+    try {
+      const source = collectionRepository.getCollectionById(req.params.id);
+      if (!source) {
+        return res.status(404).json({ success: false, error: "Collection not found" });
+      }
+
+      const body = req.body || {};
+      const validationError = validateCollection(body);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const collection = collectionRepository.cloneCollection(source.id, body, req.auth?.name || null);
+      res.status(201).json({ success: true, data: collection });
+    } catch (error) {
+      logger.error("Failed to clone collection", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/collections/:id/activate
+   * Make a collection the recording target
+   */
+  router.post("/:id/activate", (req, res) => {
+    try {
+      const collection = collectionRepository.getCollectionById(req.params.id);
+      if (!collection) {
+        return res.status(404).json({ success: false, error: "Collection not found" });
+      }
+      if (collection.locked) {
+        return res.status(409).json({ success: false, error: `Collection '${collection.name}' is locked and cannot be recorded into` });
+      }
+
+      res.json({ success: true, data: collectionRepository.setActiveCollection(collection.id) });
+    } catch (error) {
+      logger.error("Failed to activate collection", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/collections/:id
+   * Update a collection (partial updates supported)
+   * Body: { name?, description?, locked? }
+   */
+  router.put("/:id", (req, res) => {
+    try {
+      const existing = collectionRepository.getCollectionById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: "Collection not found" });
+      }
+
+      const body = req.body || {};
+      const validationError = validateCollection(body, existing);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+      if (body.locked && existing.active) {
+        return res.status(409).json({
+          success: false,
+          error: "The active collection cannot be locked, activate another collection first",
+        });
+      }
+
+      const { name, description, locked } = body;
+      const collection = collectionRepository.updateCollection(existing.id, {
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+        ...(locked !== undefined && { locked: !!locked }),
+      });
+      res.json({ success: true, data: collection });
+    } catch (error) {
+      logger.error("Failed to update collection", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/collections/:id
+   * Delete a collection and all its recordings (not allowed for the active or a locked collection)
+   */
+  router.delete("/:id", (req, res) => {
+    try {
+      const collection = collectionRepository.getCollectionById(req.params.id);
+      if (!collection) {
+        return res.status(404).json({ success: false, error: "Collection not found" });
+      }
+      if (collection.active) {
+        return res.status(409).json({ success: false, error: "The active collection cannot be deleted, activate another collection first" });
+      }
+      if (collection.locked) {
+        return res.status(409).json({ success: false, error: `Collection '${collection.name}' is locked, unlock it first` });
+      }
+
+      collectionRepository.deleteCollection(collection.id);
+      res.json({ success: true, message: "Collection deleted" });
+    } catch (error) {
+      logger.error("Failed to delete collection", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
@@ -10,6 +10,7 @@ const router = express.Router();
 const logger = require("../../utils/logger");
 const dbConnection = require("../../database/connection");
 const { getLocalISOString } = require("../../utils/datetimeUtils");
+const ConfigHistory = require("../../core/audit/ConfigHistory");
 
 /**
  * Initialize routes with database connection
@@ -291,6 +292,7 @@ function initializeRoutes(db) {
       `;
       const selectStmt = database.prepare(selectSql);
       const createdConfig = selectStmt.get(result.lastInsertRowid);
+      ConfigHistory.track(res, "configs", result.lastInsertRowid, { before: null });
 
       res.status(201).json({
         success: true,
@@ -344,6 +346,8 @@ function initializeRoutes(db) {
         });
       }
 
+      ConfigHistory.track(res, "configs", id);
+
       const sql = `
         UPDATE endpoint_matching_config
         SET
@@ -456,6 +460,8 @@ function initializeRoutes(db) {
         });
       }
 
+      ConfigHistory.track(res, "configs", id);
+
       const newEnabled = enabled !== undefined ? (enabled ? 1 : 0) : existing.enabled ? 0 : 1;
 
       const sql = `
@@ -527,6 +533,8 @@ function initializeRoutes(db) {
         });
       }
 
+      ConfigHistory.track(res, "configs", id);
+
       const sql = `DELETE FROM endpoint_matching_config WHERE id = ?`;
       const stmt = database.prepare(sql);
       stmt.run(id);
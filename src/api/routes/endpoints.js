@@ -0,0 +1,159 @@
+/**
+ * endpoints.js
+ *
+ * API routes for endpoint contracts (JSON Schemas inferred from recorded responses)
+ * - Schemas are stored per host, method and endpoint pattern (e.g. "/users/{id}"), one schema per response status
+ * - Endpoints with validate enabled are checked in passthrough/recording modes (see core/contract/ContractValidator)
+ * - Schemas can be exported as OpenAPI components
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const endpointSchemaRepository = require("../../database/repositories/endpoint_schema_repository");
+const collectionRepository = require("../../database/repositories/collection_repository");
+const { getInstance: getContractValidator } = require("../../core/contract/ContractValidator");
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/endpoints
+   * Get all endpoint schemas (optional host filter)
+   */
+  router.get("/", (req, res) => {
+    try {
+      let endpoints = endpointSchemaRepository.getAllEndpointSchemas();
+      if (req.query.host) {
+        endpoints = endpoints.filter((endpoint) => endpoint.host === req.query.host);
+      }
+      res.json({ success: true, data: endpoints, count: endpoints.length });
+    } catch (error) {
+      logger.error("Failed to get endpoint schemas", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/endpoints/infer
+   * Infer schemas from the recorded backend responses (all observed variants merged)
+   * Body: { host?, collection? } - limit inference to a host or a collection
+   * Existing endpoints get their schemas replaced and keep their validate flag
+   */
+  router.post("/infer", (req, res) => {
+    try {
+      const { host, collection } = req.body || {};
+      if (collection !== undefined && collection !== null && !collectionRepository.getCollectionById(collection)) {
+        return res.status(404).json({ success: false, error: "Collection not found" });
+      }
+
+      const result = getContractValidator().inferFromRecordings({ host, collection });
+      res.json({ success: true, data: result, message: `Inferred schemas for ${result.endpoints} endpoint(s) from ${result.responses} response(s)` });
+    } catch (error) {
+      logger.error("Failed to infer endpoint schemas", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/endpoints/openapi-components
+   * Export all endpoint schemas as OpenAPI components ({ components: { schemas } })
+   */
+  router.get("/openapi-components", (req, res) => {
+    try {
+      const endpoints = endpointSchemaRepository.getAllEndpointSchemas();
+      res.json(getContractValidator().toOpenApiComponents(endpoints));
+    } catch (error) {
+      logger.error("Failed to export endpoint schemas", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/endpoints/:id/schema
+   * Get the schemas of an endpoint ({ <status>: <JSON Schema> })
+   * Query: format=openapi - return the schemas as OpenAPI components
+   */
+  router.get("/:id/schema", (req, res) => {
+    try {
+      const endpoint = endpointSchemaRepository.getEndpointSchemaById(req.params.id);
+      if (!endpoint) {
+        return res.status(404).json({ success: false, error: "Endpoint not found" });
+      }
+
+      if (req.query.format === "openapi") {
+        return res.json(getContractValidator().toOpenApiComponents([endpoint]));
+      }
+      res.json({
+        success: true,
+        data: {
+          id: endpoint.id,
+          host: endpoint.host,
+          method: endpoint.method,
+          endpoint_pattern: endpoint.endpoint_pattern,
+          schemas: endpoint.schemas,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to get endpoint schema", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/endpoints/:id
+   * Update an endpoint: { validate?, schemas? } (schemas: { <status>: <JSON Schema> })
+   */
+  router.put("/:id", (req, res) => {
+    try {
+      const endpoint = endpointSchemaRepository.getEndpointSchemaById(req.params.id);
+      if (!endpoint) {
+        return res.status(404).json({ success: false, error: "Endpoint not found" });
+      }
+
+      const { validate, schemas } = req.body || {};
+      if (validate !== undefined && typeof validate !== "boolean") {
+        return res.status(400).json({ success: false, error: "validate must be a boolean" });
+      }
+      if (schemas !== undefined) {
+        const invalid =
+          schemas === null ||
+          typeof schemas !== "object" ||
+          Array.isArray(schemas) ||
+          Object.entries(schemas).some(([status, schema]) => !/^[1-5]\d\d$/.test(status) || !schema || typeof schema !== "object");
+        if (invalid) {
+          return res.status(400).json({ success: false, error: "schemas must map HTTP status codes to JSON Schema objects" });
+        }
+      }
+
+      const updated = endpointSchemaRepository.updateEndpointSchema(endpoint.id, { validate, schemas });
+      getContractValidator().reload();
+      res.json({ success: true, data: updated });
+    } catch (error) {
+      logger.error("Failed to update endpoint schema", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/endpoints/:id
+   * Delete an endpoint schema (its responses are no longer validated)
+   */
+  router.delete("/:id", (req, res) => {
+    try {
+      if (!endpointSchemaRepository.deleteEndpointSchema(req.params.id)) {
+        return res.status(404).json({ success: false, error: "Endpoint not found" });
+      }
+      getContractValidator().reload();
+      res.json({ success: true, message: "Endpoint schema deleted" });
+    } catch (error) {
+      logger.error("Failed to delete endpoint schema", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
@@ -0,0 +1,52 @@
+/**
+ * export.js
+ *
+ * API routes for generated documents built from recorded traffic
+ * - OpenAPI 3.1 specification (paths grouped by endpoint pattern, schemas and examples from recordings)
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const { queryRecordings } = require("../../database/repositories/recording_repository");
+const { getInstance: getTrafficConfigManager } = require("../../config/TrafficConfigManager");
+const { buildOpenApi } = require("../../utils/openApiUtils");
+
+/**
+ * Initialize routes
+ * @returns {express.Router} Express router
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/export/openapi
+   * Download an OpenAPI 3.1 document generated from the recorded backend responses
+   *
+   * Query Parameters:
+   * - host: Filter by host (partial match); recommended, one document per backend
+   * - endpoint_type: Filter by endpoint type (public, secure)
+   * - collection: Filter by collection ID
+   * - download: "false" to return the document without the attachment header
+   */
+  router.get("/openapi", (req, res) => {
+    try {
+      const { host, endpoint_type, collection, download } = req.query;
+      const rows = queryRecordings({ host, endpoint_type, collection, source: "backend" });
+      const spec = buildOpenApi(rows, { host, patterns: getTrafficConfigManager().getEndpointPatterns() });
+
+      if (download !== "false") {
+        const name = (host || "recorded-apis").replace(/^[a-z]+:\/\//i, "").replace(/[^A-Za-z0-9.-]+/g, "-");
+        res.setHeader("Content-Disposition", `attachment; filename="${name}-openapi.json"`);
+      }
+      res.json(spec);
+
+      logger.info("OpenAPI specification exported", { host: host || null, paths: Object.keys(spec.paths).length, recordings: rows.length });
+    } catch (error) {
+      logger.error("Failed to export OpenAPI specification", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
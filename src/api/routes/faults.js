@@ -0,0 +1,195 @@
+/**
+ * faults.js
+ *
+ * API routes for fault injection profiles
+ * Manages fault_profiles table; changes are applied immediately (injector cache is reloaded)
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const faultProfileRepository = require("../../database/repositories/fault_profile_repository");
+const { getInstance: getFaultInjector } = require("../../core/fault/FaultInjector");
+
+const VALID_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD", "*"];
+const { FAULT_TYPES } = faultProfileRepository;
+
+/**
+ * Check that an optional field is an integer within range
+ * @returns {string|null} Error message or null
+ */
+function checkInteger(value, field, min, max) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    return `${field} must be an integer between ${min} and ${max}`;
+  }
+  return null;
+}
+
+/**
+ * Validate fault profile payload
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Existing profile (update)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateProfile(body, existing = null) {
+  const merged = { ...(existing || {}), ...body };
+
+  if (!merged.name) {
+    return "name is required";
+  }
+  if (!merged.endpoint_pattern) {
+    return "endpoint_pattern is required";
+  }
+  if (!FAULT_TYPES.includes(merged.fault_type)) {
+    return `fault_type must be one of ${FAULT_TYPES.join(", ")}`;
+  }
+  if (merged.http_method && !VALID_METHODS.includes(merged.http_method.toUpperCase())) {
+    return `Invalid http_method ${merged.http_method}`;
+  }
+  if (merged.regex) {
+    try {
+      new RegExp(merged.endpoint_pattern);
+    } catch (e) {
+      return `Invalid regex pattern: ${e.message}`;
+    }
+  }
+  if (merged.match_host) {
+    try {
+      new RegExp(merged.match_host);
+    } catch (e) {
+      return `Invalid match_host regex: ${e.message}`;
+    }
+  }
+
+  if (merged.probability !== undefined && merged.probability !== null && merged.probability !== "") {
+    const probability = Number(merged.probability);
+    if (Number.isNaN(probability) || probability < 0 || probability > 100) {
+      return "probability must be between 0 and 100";
+    }
+  }
+
+  if (merged.fault_type === "status" && !merged.status_code) {
+    return "status_code is required for status faults";
+  }
+
+  return (
+    checkInteger(merged.status_code, "status_code", 100, 599) ||
+    checkInteger(merged.hang_ms, "hang_ms", 1, 3600000) ||
+    checkInteger(merged.truncate_percent, "truncate_percent", 0, 100) ||
+    checkInteger(merged.bandwidth_kbps, "bandwidth_kbps", 1, 1048576)
+  );
+}
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/faults
+   * Get all fault profiles ordered by priority
+   */
+  router.get("/", (req, res) => {
+    try {
+      const profiles = faultProfileRepository.getAllProfiles();
+      res.json({ success: true, data: profiles, count: profiles.length });
+    } catch (error) {
+      logger.error("Failed to get fault profiles", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/faults/:id
+   * Get fault profile by ID
+   */
+  router.get("/:id", (req, res) => {
+    try {
+      const profile = faultProfileRepository.getProfileById(req.params.id);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: "Fault profile not found" });
+      }
+      res.json({ success: true, data: profile });
+    } catch (error) {
+      logger.error("Failed to get fault profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/faults
+   * Create a fault profile
+   *
+   * Body:
+   * - name, endpoint_pattern, fault_type (required)
+   * - regex, http_method (default '*'), match_host (regex)
+   * - probability: percent 0-100 (default 100)
+   * - status_code, response_body (status), hang_ms (timeout), truncate_percent (truncate), bandwidth_kbps (throttle)
+   * - priority (lower checked first), enabled (default true)
+   */
+  router.post("/", (req, res) => {
+    try {
+      const body = req.body || {};
+      const validationError = validateProfile(body);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const profile = faultProfileRepository.createProfile(body);
+      getFaultInjector().reload();
+      res.status(201).json({ success: true, data: profile });
+    } catch (error) {
+      logger.error("Failed to create fault profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/faults/:id
+   * Update a fault profile (only provided fields are changed)
+   */
+  router.put("/:id", (req, res) => {
+    try {
+      const existing = faultProfileRepository.getProfileById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: "Fault profile not found" });
+      }
+
+      const body = req.body || {};
+      const validationError = validateProfile(body, existing);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const profile = faultProfileRepository.updateProfile(req.params.id, body);
+      getFaultInjector().reload();
+      res.json({ success: true, data: profile });
+    } catch (error) {
+      logger.error("Failed to update fault profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/faults/:id
+   * Delete a fault profile
+   */
+  router.delete("/:id", (req, res) => {
+    try {
+      const deleted = faultProfileRepository.deleteProfile(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: "Fault profile not found" });
+      }
+      getFaultInjector().reload();
+      res.json({ success: true, message: "Fault profile deleted" });
+    } catch (error) {
+      logger.error("Failed to delete fault profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
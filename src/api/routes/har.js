@@ -0,0 +1,190 @@
+/**
+ * HAR Routes
+ *
+ * Export recorded traffic as HAR 1.2 and import HAR files as recordings.
+ * Imported entries go through the same secure/public request repositories as
+ * recording mode, so dedup, matching config and retention rules all apply.
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const secureRequestRepository = require("../../database/repositories/secure_request_repository");
+const publicRequestRepository = require("../../database/repositories/public_request_repository");
+const collectionRepository = require("../../database/repositories/collection_repository");
+const { queryRecordings } = require("../../database/repositories/recording_repository");
+const sessionManager = require("../../utils/session_manager");
+const { extractMobileHeaders } = require("../../utils/header_extractor");
+const { isSecureEndpoint } = require("../../utils/endpoint_utils");
+const { getInstance: getTrafficConfigManager } = require("../../config/TrafficConfigManager");
+const { buildHar, parseHarEntry } = require("../../utils/harUtils");
+
+// Methods accepted by the api_requests.method CHECK constraint
+const SUPPORTED_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD", "CONNECT"];
+
+/**
+ * Resolve the database user id for an imported secure entry
+ * Order: explicit user from the import request -> user recorded in a DeepProxy HAR -> session/auth headers
+ * @param {Object} parsed - Parsed HAR entry
+ * @param {string|null} userIdentifier - User identifier supplied with the import
+ * @returns {number|null} Database user id
+ */
+function resolveUserId(parsed, userIdentifier) {
+  const identifier = userIdentifier || (parsed.dproxy && parsed.dproxy.userIdentifier);
+  if (identifier) {
+    const user = sessionManager.getOrCreateUser(String(identifier), "[HAR_IMPORT]");
+    if (user) return user.id;
+  }
+  return sessionManager.getUserIdFromRequest(parsed.headers, "[HAR_IMPORT]");
+}
+
+/**
+ * Initialize routes
+ * @returns {express.Router} Express router
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/har/export
+   * Download recorded traffic as a HAR 1.2 file
+   *
+   * Query Parameters:
+   * - host: Filter by host (partial match)
+   * - endpoint: Filter by endpoint path (partial match)
+   * - user_id: Filter by user identifier or database user id
+   * - platform: Filter by mobile platform (android, ios)
+   * - endpoint_type: Filter by endpoint type (public, secure)
+   * - collection: Filter by collection ID
+   * - from / to: Time window on the response recording time (ISO 8601)
+   */
+  router.get("/export", (req, res) => {
+    try {
+      const { host, endpoint, user_id, platform, endpoint_type, collection, from, to } = req.query;
+      const rows = queryRecordings({ host, endpoint, user_id, platform, endpoint_type, collection, from, to });
+      const har = buildHar(rows);
+
+      const dateStr = new Date().toISOString().split("T")[0];
+      res.setHeader("Content-Disposition", `attachment; filename="dproxy-recordings-${dateStr}.har"`);
+      res.json(har);
+
+      logger.info("HAR exported", { entries: har.log.entries.length });
+    } catch (error) {
+      logger.error("Failed to export HAR", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/har/import
+   * Import a HAR file as recordings
+   *
+   * Body: { har: <HAR document>, userId?: string, collectionId?: number }
+   * The HAR document may also be posted directly as the body.
+   * userId is a user identifier used for secure entries, overriding session lookup.
+   * collectionId is the collection to import into (default: the active collection).
+   */
+  router.post("/import", async (req, res) => {
+    try {
+      const body = req.body || {};
+      const har = body.har || body;
+      const entries = har && har.log && har.log.entries;
+
+      if (!Array.isArray(entries)) {
+        return res.status(400).json({ success: false, error: "Invalid HAR: missing log.entries array" });
+      }
+
+      if (body.collectionId) {
+        const collection = collectionRepository.getCollectionById(body.collectionId);
+        if (!collection) {
+          return res.status(404).json({ success: false, error: "Collection not found" });
+        }
+        if (collection.locked) {
+          return res.status(409).json({ success: false, error: `Collection '${collection.name}' is locked` });
+        }
+      }
+
+      const results = { total: entries.length, imported: 0, skipped: 0, errors: [] };
+
+      for (let index = 0; index < entries.length; index++) {
+        let parsed;
+        try {
+          parsed = parseHarEntry(entries[index]);
+        } catch (e) {
+          results.skipped++;
+          results.errors.push({ index, error: e.message });
+          continue;
+        }
+
+        if (!SUPPORTED_METHODS.includes(parsed.method)) {
+          results.skipped++;
+          results.errors.push({ index, error: `Unsupported method: ${parsed.method}` });
+          continue;
+        }
+
+        try {
+          // Entries that match no app profile are imported with the default profile's rules
+          const appProfile = getTrafficConfigManager().matchProfile(parsed.headers, parsed.queryParams || {}, new URL(parsed.host).hostname);
+          const mobileHeaders = extractMobileHeaders({ headers: parsed.headers, url: parsed.url, originalUrl: parsed.url, appProfile });
+          const correlationId = parsed.headers["x-correlation-id"] || null;
+          const traceabilityId = parsed.headers["x-traceability-id"] || null;
+
+          if (isSecureEndpoint(parsed.endpointPath, appProfile)) {
+            const userId = resolveUserId(parsed, body.userId);
+            if (!userId) {
+              logger.warn("[HAR_IMPORT] Secure endpoint without userId", { endpointPath: parsed.endpointPath });
+            }
+
+            await secureRequestRepository.saveSecureRequest(
+              userId,
+              parsed.endpointPath,
+              parsed.method,
+              parsed.queryParams,
+              parsed.headers,
+              parsed.body,
+              parsed.response,
+              mobileHeaders,
+              parsed.duration,
+              correlationId,
+              traceabilityId,
+              "secure",
+              parsed.host,
+              body.collectionId || null,
+            );
+          } else {
+            await publicRequestRepository.savePublicRequest(
+              null,
+              parsed.endpointPath,
+              parsed.method,
+              parsed.queryParams,
+              parsed.headers,
+              parsed.body,
+              parsed.response,
+              mobileHeaders,
+              parsed.duration,
+              correlationId,
+              traceabilityId,
+              "public",
+              parsed.host,
+              body.collectionId || null,
+            );
+          }
+
+          results.imported++;
+        } catch (e) {
+          results.skipped++;
+          results.errors.push({ index, error: e.message });
+        }
+      }
+
+      logger.info("HAR imported", { total: results.total, imported: results.imported, skipped: results.skipped });
+
+      res.json({ success: true, data: results });
+    } catch (error) {
+      logger.error("Failed to import HAR", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
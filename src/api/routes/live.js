@@ -0,0 +1,103 @@
+/**
+ * live.js
+ *
+ * API routes for the live traffic view
+ * Streams completed proxy transactions (LiveTrafficHub) to the Web UI over Server-Sent Events
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const { getInstance: getLiveTrafficHub } = require("../../core/live/LiveTrafficHub");
+
+// Comment line sent periodically so proxies and browsers keep the stream open
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Write one transaction as an SSE message
+ * @param {Object} res - Express response
+ * @param {Object} event - Live event
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: transaction\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Parse the "since" event id (query parameter or EventSource Last-Event-ID header)
+ * @returns {number} Event id (0 = whole backlog)
+ */
+function parseSince(req) {
+  const since = parseInt(req.query.since ?? req.headers["last-event-id"] ?? "0", 10);
+  return Number.isInteger(since) && since > 0 ? since : 0;
+}
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/live/stream
+   * Server-Sent Events stream of transactions ("transaction" events, JSON data)
+   * Recent transactions are replayed first; pass ?since=<id> to skip those already received
+   */
+  router.get("/stream", (req, res) => {
+    const hub = getLiveTrafficHub();
+
+    res.status(200);
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    for (const event of hub.getRecent(parseSince(req))) {
+      writeEvent(res, event);
+    }
+
+    const unsubscribe = hub.subscribe((event) => writeEvent(res, event));
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL_MS);
+
+    logger.debug("[LIVE] Client connected", { subscribers: hub.getSubscriberCount() });
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      logger.debug("[LIVE] Client disconnected", { subscribers: hub.getSubscriberCount() });
+    });
+  });
+
+  /**
+   * GET /api/live/recent
+   * Get recent transactions (oldest first); supports ?since=<id>
+   */
+  router.get("/recent", (req, res) => {
+    try {
+      const events = getLiveTrafficHub().getRecent(parseSince(req));
+      res.json({ success: true, data: events, count: events.length });
+    } catch (error) {
+      logger.error("Failed to get live traffic", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/live/recent
+   * Clear recent transactions (connected clients keep their own lists)
+   */
+  router.delete("/recent", (req, res) => {
+    try {
+      getLiveTrafficHub().clear();
+      res.json({ success: true, message: "Live traffic cleared" });
+    } catch (error) {
+      logger.error("Failed to clear live traffic", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
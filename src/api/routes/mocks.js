@@ -0,0 +1,177 @@
+/**
+ * mocks.js
+ *
+ * API routes for OpenAPI mock specs
+ * - Imported OpenAPI 3 documents (JSON) synthesize responses in replay mode for requests without recordings
+ * - Used when the replay fallback is "openapi" (POST /api/modes/replay/fallback, see core/mock/OpenApiMocker)
+ * - A spec with a host only serves that host; otherwise the hosts of its absolute server URLs
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const mockSpecRepository = require("../../database/repositories/mock_spec_repository");
+const { getInstance: getOpenApiMocker, getServerBases } = require("../../core/mock/OpenApiMocker");
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+
+/**
+ * Validate an OpenAPI document
+ * @param {*} spec - Document to validate
+ * @returns {string|null} Error message or null when valid
+ */
+function validateSpec(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    return "spec must be an OpenAPI document (JSON object)";
+  }
+  if (typeof spec.openapi !== "string" || !/^3\./.test(spec.openapi)) {
+    return "Only OpenAPI 3.x documents are supported (openapi: \"3.0.x\" or \"3.1.x\")";
+  }
+  if (!spec.paths || typeof spec.paths !== "object" || Array.isArray(spec.paths)) {
+    return "spec.paths must be an object";
+  }
+  return null;
+}
+
+/**
+ * Summarize a mock spec for listing (without the document)
+ * @param {Object} mockSpec - Mock spec
+ * @returns {Object} Summary with title, version, servers and operation count
+ */
+function summarize(mockSpec) {
+  const { spec, ...rest } = mockSpec;
+  const operations = Object.values(spec.paths || {}).reduce(
+    (count, pathItem) => count + HTTP_METHODS.filter((method) => pathItem && pathItem[method]).length,
+    0,
+  );
+  return {
+    ...rest,
+    title: spec.info?.title || null,
+    version: spec.info?.version || null,
+    openapi: spec.openapi || null,
+    servers: getServerBases(spec).map((server) => `${server.host || ""}${server.basePath}` || "/"),
+    operations,
+  };
+}
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/mocks
+   * Get all mock specs (summaries, without the documents)
+   */
+  router.get("/", (req, res) => {
+    try {
+      const mockSpecs = mockSpecRepository.getAllMockSpecs().map(summarize);
+      res.json({ success: true, data: mockSpecs, count: mockSpecs.length });
+    } catch (error) {
+      logger.error("Failed to get mock specs", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/mocks/:id
+   * Get a mock spec with its document
+   */
+  router.get("/:id", (req, res) => {
+    try {
+      const mockSpec = mockSpecRepository.getMockSpecById(req.params.id);
+      if (!mockSpec) {
+        return res.status(404).json({ success: false, error: "Mock spec not found" });
+      }
+      res.json({ success: true, data: mockSpec });
+    } catch (error) {
+      logger.error("Failed to get mock spec", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/mocks
+   * Import an OpenAPI document: { name, spec, host?, enabled? }
+   */
+  router.post("/", (req, res) => {
+    try {
+      const { name, spec, host, enabled } = req.body || {};
+      if (!name || typeof name !== "string") {
+        return res.status(400).json({ success: false, error: "name is required" });
+      }
+      const invalid = validateSpec(spec);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+      if (mockSpecRepository.getMockSpecByName(name)) {
+        return res.status(409).json({ success: false, error: `Mock spec "${name}" already exists` });
+      }
+
+      const created = mockSpecRepository.createMockSpec({ name, spec, host, enabled }, req.auth?.name || null);
+      getOpenApiMocker().reload();
+      res.status(201).json({ success: true, data: summarize(created) });
+    } catch (error) {
+      logger.error("Failed to import mock spec", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/mocks/:id
+   * Update a mock spec: { name?, spec?, host?, enabled? }
+   */
+  router.put("/:id", (req, res) => {
+    try {
+      const mockSpec = mockSpecRepository.getMockSpecById(req.params.id);
+      if (!mockSpec) {
+        return res.status(404).json({ success: false, error: "Mock spec not found" });
+      }
+
+      const { name, spec, host, enabled } = req.body || {};
+      if (name !== undefined && (!name || typeof name !== "string")) {
+        return res.status(400).json({ success: false, error: "name must be a non-empty string" });
+      }
+      if (name !== undefined && name !== mockSpec.name && mockSpecRepository.getMockSpecByName(name)) {
+        return res.status(409).json({ success: false, error: `Mock spec "${name}" already exists` });
+      }
+      if (spec !== undefined) {
+        const invalid = validateSpec(spec);
+        if (invalid) {
+          return res.status(400).json({ success: false, error: invalid });
+        }
+      }
+      if (enabled !== undefined && typeof enabled !== "boolean") {
+        return res.status(400).json({ success: false, error: "enabled must be a boolean" });
+      }
+
+      const changes = Object.fromEntries(Object.entries({ name, spec, host, enabled }).filter(([, value]) => value !== undefined));
+      const updated = mockSpecRepository.updateMockSpec(mockSpec.id, changes);
+      getOpenApiMocker().reload();
+      res.json({ success: true, data: summarize(updated) });
+    } catch (error) {
+      logger.error("Failed to update mock spec", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/mocks/:id
+   * Delete a mock spec
+   */
+  router.delete("/:id", (req, res) => {
+    try {
+      if (!mockSpecRepository.deleteMockSpec(req.params.id)) {
+        return res.status(404).json({ success: false, error: "Mock spec not found" });
+      }
+      getOpenApiMocker().reload();
+      res.json({ success: true, message: "Mock spec deleted" });
+    } catch (error) {
+      logger.error("Failed to delete mock spec", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
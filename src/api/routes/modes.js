@@ -7,14 +7,16 @@
  * - GET    /api/modes              - Get current mode and available modes
  * - POST   /api/modes/set          - Set proxy mode
  * - GET    /api/modes/stats        - Get mode statistics
+ * - GET    /api/modes/replay/fallback - Get replay fallback
  * - POST   /api/modes/replay/fallback - Configure replay fallback
- * - POST   /api/modes/replay/test-match - Test if request has match
+ * - POST   /api/modes/replay/test-match - Test if request has match (explain: true returns the match trace)
  * - POST   /api/modes/replay/matches - Get all matches for request
  * - GET    /api/modes/health       - Get system health status
  */
 
 const express = require("express");
 const logger = require("../../utils/logger");
+const ConfigHistory = require("../../core/audit/ConfigHistory");
 
 const router = express.Router();
 
@@ -73,7 +75,8 @@ function initializeRoutes(modeService) {
         return res.status(400).json({ error: "mode is required" });
       }
 
-      const result = await modeService.setMode(mode);
+      ConfigHistory.track(res, "mode");
+      const result = await modeService.setMode(mode, req.auth?.name);
 
       res.json({
         message: "Mode changed successfully",
@@ -97,7 +100,8 @@ function initializeRoutes(modeService) {
         return res.status(400).json({ success: false, error: "mode is required" });
       }
 
-      const result = await modeService.setMode(mode);
+      ConfigHistory.track(res, "mode");
+      const result = await modeService.setMode(mode, req.auth?.name);
 
       res.json({
         success: true,
@@ -149,12 +153,28 @@ function initializeRoutes(modeService) {
     }
   });
 
+  /**
+   * GET /api/modes/replay/fallback
+   * Get replay mode fallback behavior
+   */
+  router.get("/replay/fallback", (req, res) => {
+    try {
+      res.json({
+        behavior: modeService.modes.replay.getFallbackBehavior(),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error("Failed to get replay fallback", { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   /**
    * POST /api/modes/replay/fallback
    * Configure replay mode fallback behavior
    *
    * Body: {
-   *   behavior: string (error, passthrough, template),
+   *   behavior: string (error, passthrough, template, openapi),
    *   options: object (optional, e.g. { statusCode: 404 })
    * }
    */
@@ -166,7 +186,7 @@ function initializeRoutes(modeService) {
         return res.status(400).json({ error: "behavior is required" });
       }
 
-      const validBehaviors = ["error", "passthrough", "template"];
+      const validBehaviors = ["error", "passthrough", "template", "openapi"];
       if (!validBehaviors.includes(behavior)) {
         return res.status(400).json({
           error: `Invalid behavior. Valid values: ${validBehaviors.join(", ")}`,
@@ -193,19 +213,33 @@ function initializeRoutes(modeService) {
    *
    * Body: {
    *   method: string,
-   *   path: string,
+   *   path: string (or url: full URL, may include query string),
+   *   query: object (optional),
    *   headers: object (optional),
-   *   body: object (optional)
+   *   body: object (optional),
+   *   explain: boolean (optional) - return the match trace: strategies tried, SQL candidate counts,
+   *            filters and the candidates they eliminated, selected record and score
    * }
    */
   router.post("/replay/test-match", async (req, res) => {
     try {
       const requestData = req.body;
 
-      if (!requestData.method || !requestData.path) {
+      if (!requestData.method || !(requestData.path || (requestData.explain && requestData.url))) {
         return res.status(400).json({ error: "method and path are required" });
       }
 
+      if (requestData.explain) {
+        const explain = await modeService.explainMatch(requestData);
+        return res.json({
+          hasMatch: explain.matched,
+          method: requestData.method,
+          path: explain.request ? explain.request.path : requestData.path || requestData.url,
+          explain,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
       // Create a minimal RequestContext-like object
       const mockContext = {
         getMethod: () => requestData.method,
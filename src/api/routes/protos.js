@@ -0,0 +1,294 @@
+/**
+ * protos.js
+ *
+ * API routes for protobuf descriptors
+ * - Uploaded .proto files decode application/x-protobuf and gRPC-Web bodies (see core/protobuf/ProtoRegistry)
+ * - Bindings map REST endpoints to message types: [{ method, path: "/v1/users/{id}", request, response }]
+ * - Decoded responses can be edited and re-encoded into the recording
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const dbConnection = require("../../database/connection");
+const protoDescriptorRepository = require("../../database/repositories/proto_descriptor_repository");
+const publicRequestRepository = require("../../database/repositories/public_request_repository");
+const secureRequestRepository = require("../../database/repositories/secure_request_repository");
+const collectionRepository = require("../../database/repositories/collection_repository");
+const ConfigHistory = require("../../core/audit/ConfigHistory");
+const { getInstance: getProtoRegistry, buildRoot, describeSource } = require("../../core/protobuf/ProtoRegistry");
+const { decodeBody } = require("../../utils/bodySerializer");
+
+/**
+ * Validate bindings of a descriptor
+ * @param {*} bindings - Bindings to validate
+ * @returns {string|null} Error message or null when valid
+ */
+function validateBindings(bindings) {
+  if (!Array.isArray(bindings)) {
+    return "bindings must be an array";
+  }
+  for (const binding of bindings) {
+    if (!binding || typeof binding.path !== "string" || !binding.path.startsWith("/")) {
+      return "Each binding needs a path starting with /";
+    }
+    if (!binding.request && !binding.response) {
+      return `Binding ${binding.path} needs a request or response message type`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compile a descriptor with the other uploaded descriptors (it may import them)
+ * @param {Object} descriptor - { name, source }
+ * @param {number|null} replacesId - ID of the descriptor being updated
+ * @returns {string|null} Compile error or null
+ */
+function compileError(descriptor, replacesId = null) {
+  const others = protoDescriptorRepository.getAllProtoDescriptors().filter((existing) => existing.id !== replacesId);
+  const { errors } = buildRoot([...others, descriptor]);
+  return errors[descriptor.name] || null;
+}
+
+/**
+ * Summarize a descriptor for listing (without the source)
+ * @param {Object} descriptor - Proto descriptor
+ * @returns {Object} Summary with package, message type names, service names and compile error
+ */
+function summarize(descriptor) {
+  const { source, ...rest } = descriptor;
+  return {
+    ...rest,
+    ...describeSource(source),
+    error: getProtoRegistry().getErrors()[descriptor.name] || null,
+  };
+}
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/protos
+   * Get all proto descriptors (summaries, without the sources)
+   */
+  router.get("/", (req, res) => {
+    try {
+      const descriptors = protoDescriptorRepository.getAllProtoDescriptors().map(summarize);
+      res.json({ success: true, data: descriptors, count: descriptors.length });
+    } catch (error) {
+      logger.error("Failed to get proto descriptors", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/protos/:id
+   * Get a proto descriptor with its source
+   */
+  router.get("/:id", (req, res) => {
+    try {
+      const descriptor = protoDescriptorRepository.getProtoDescriptorById(req.params.id);
+      if (!descriptor) {
+        return res.status(404).json({ success: false, error: "Proto descriptor not found" });
+      }
+      res.json({ success: true, data: descriptor });
+    } catch (error) {
+      logger.error("Failed to get proto descriptor", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/protos
+   * Upload a .proto file: { name, source, bindings? }
+   */
+  router.post("/", (req, res) => {
+    try {
+      const { name, source, bindings = [] } = req.body || {};
+      if (!name || typeof name !== "string") {
+        return res.status(400).json({ success: false, error: "name is required" });
+      }
+      if (!source || typeof source !== "string") {
+        return res.status(400).json({ success: false, error: "source (.proto file content) is required" });
+      }
+      const invalid = validateBindings(bindings);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+      if (protoDescriptorRepository.getProtoDescriptorByName(name)) {
+        return res.status(409).json({ success: false, error: `Proto descriptor "${name}" already exists` });
+      }
+      const error = compileError({ name, source });
+      if (error) {
+        return res.status(400).json({ success: false, error: `Invalid .proto file: ${error}` });
+      }
+
+      const created = protoDescriptorRepository.createProtoDescriptor({ name, source, bindings }, req.auth?.name || null);
+      getProtoRegistry().reload();
+      res.status(201).json({ success: true, data: summarize(created) });
+    } catch (error) {
+      logger.error("Failed to upload proto descriptor", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/protos/:id
+   * Update a proto descriptor: { name?, source?, bindings? }
+   */
+  router.put("/:id", (req, res) => {
+    try {
+      const descriptor = protoDescriptorRepository.getProtoDescriptorById(req.params.id);
+      if (!descriptor) {
+        return res.status(404).json({ success: false, error: "Proto descriptor not found" });
+      }
+
+      const { name, source, bindings } = req.body || {};
+      if (name !== undefined && (!name || typeof name !== "string")) {
+        return res.status(400).json({ success: false, error: "name must be a non-empty string" });
+      }
+      if (name !== undefined && name !== descriptor.name && protoDescriptorRepository.getProtoDescriptorByName(name)) {
+        return res.status(409).json({ success: false, error: `Proto descriptor "${name}" already exists` });
+      }
+      if (source !== undefined && (!source || typeof source !== "string")) {
+        return res.status(400).json({ success: false, error: "source must be a non-empty string" });
+      }
+      if (bindings !== undefined) {
+        const invalid = validateBindings(bindings);
+        if (invalid) {
+          return res.status(400).json({ success: false, error: invalid });
+        }
+      }
+      if (source !== undefined) {
+        const error = compileError({ name: name || descriptor.name, source }, descriptor.id);
+        if (error) {
+          return res.status(400).json({ success: false, error: `Invalid .proto file: ${error}` });
+        }
+      }
+
+      const changes = Object.fromEntries(Object.entries({ name, source, bindings }).filter(([, value]) => value !== undefined));
+      const updated = protoDescriptorRepository.updateProtoDescriptor(descriptor.id, changes);
+      getProtoRegistry().reload();
+      res.json({ success: true, data: summarize(updated) });
+    } catch (error) {
+      logger.error("Failed to update proto descriptor", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/protos/:id
+   * Delete a proto descriptor
+   */
+  router.delete("/:id", (req, res) => {
+    try {
+      if (!protoDescriptorRepository.deleteProtoDescriptor(req.params.id)) {
+        return res.status(404).json({ success: false, error: "Proto descriptor not found" });
+      }
+      getProtoRegistry().reload();
+      res.json({ success: true, message: "Proto descriptor deleted" });
+    } catch (error) {
+      logger.error("Failed to delete proto descriptor", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/protos/decode
+   * Decode a stored body: { body, encoding, headers, method, path, side: "request" | "response" }
+   * (headers of the body's side, method and path of the request)
+   */
+  router.post("/decode", (req, res) => {
+    try {
+      const { body, encoding = null, headers = {}, method, path, side = "request" } = req.body || {};
+      const protoRegistry = getProtoRegistry();
+      const resolved = protoRegistry.resolveMessageType({ method, path, headers, side });
+      if (!resolved) {
+        return res.status(404).json({ success: false, error: "No message type found for this body" });
+      }
+
+      const bytes = decodeBody(body, encoding);
+      try {
+        const decoded = protoRegistry.decode(Buffer.isBuffer(bytes) ? bytes : Buffer.from(String(bytes || ""), "utf8"), resolved);
+        res.json({ success: true, data: { ...decoded, source: resolved.source } });
+      } catch (error) {
+        res.status(422).json({ success: false, error: `Body does not decode as ${resolved.type}: ${error.message}` });
+      }
+    } catch (error) {
+      logger.error("Failed to decode protobuf body", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/protos/responses/:responseId
+   * Re-encode an edited decoded response into the recording: { message } or, for gRPC-Web, { messages, trailers }
+   */
+  router.put("/responses/:responseId", (req, res) => {
+    try {
+      const responseId = parseInt(req.params.responseId);
+      const record = dbConnection
+        .getDatabase()
+        .prepare(
+          `SELECT ar.id as request_id, ar.endpoint_type, ar.method, ar.endpoint_path,
+                  resp.response_headers, resp.response_body, resp.response_body_encoding
+           FROM api_responses resp
+           INNER JOIN api_requests ar ON resp.api_request_id = ar.id
+           WHERE resp.id = ?`,
+        )
+        .get(responseId);
+      if (!record) {
+        return res.status(404).json({ success: false, error: "Response not found" });
+      }
+
+      const collection = collectionRepository.getCollectionOfResponse(responseId);
+      if (collection && collection.locked) {
+        return res.status(409).json({ success: false, error: `Collection '${collection.name}' is locked` });
+      }
+
+      let headers = {};
+      try {
+        headers = JSON.parse(record.response_headers || "{}");
+      } catch (e) {
+        // Unparseable headers: no content type, resolved as not protobuf
+      }
+      const protoRegistry = getProtoRegistry();
+      const resolved = protoRegistry.resolveMessageType({ method: record.method, path: record.endpoint_path, headers, side: "response" });
+      if (!resolved) {
+        return res.status(404).json({ success: false, error: "No message type found for this response" });
+      }
+
+      // gRPC-Web trailers are kept unless the edit sets them
+      const edited = { ...(req.body || {}) };
+      if (resolved.format && edited.trailers === undefined) {
+        const stored = decodeBody(record.response_body, record.response_body_encoding);
+        try {
+          edited.trailers = protoRegistry.decode(Buffer.isBuffer(stored) ? stored : Buffer.from(String(stored || ""), "utf8"), resolved).trailers;
+        } catch (e) {
+          edited.trailers = null;
+        }
+      }
+
+      let bytes;
+      try {
+        bytes = protoRegistry.encode(edited, resolved);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: `Invalid ${resolved.type} message: ${error.message}` });
+      }
+
+      ConfigHistory.track(res, "responses", responseId);
+      const repository = record.endpoint_type === "secure" ? secureRequestRepository : publicRequestRepository;
+      repository.updateResponseBody(record.request_id, bytes);
+      res.json({ success: true, data: { ...protoRegistry.decode(bytes, resolved), size: bytes.length } });
+    } catch (error) {
+      logger.error("Failed to update protobuf response", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
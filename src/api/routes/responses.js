@@ -5,9 +5,14 @@
  *
  * Endpoints:
  * - GET    /api/responses              - Get all responses (with pagination)
+ * - GET    /api/responses/changes      - Get endpoints whose recorded responses drifted
+ * - GET    /api/responses/changes/events - Get response drift entries
  * - GET    /api/responses/:id          - Get response by ID
+ * - GET    /api/responses/:id/history  - Get previous bodies of a response (drift history)
  * - POST   /api/responses/search       - Search responses
  * - PUT    /api/responses/:id          - Update response
+ * - POST   /api/responses/preview      - Preview a templated response
+ * - POST   /api/responses/:id/preview  - Preview a stored response
  * - GET    /api/responses/stats/status - Get stats by status code
  * - GET    /api/responses/stats/source - Get stats by source
  * - GET    /api/responses/stats/latency - Get latency statistics
@@ -16,6 +21,9 @@
 const express = require("express");
 const ResponseService = require("../../services/ResponseService");
 const logger = require("../../utils/logger");
+const ConfigHistory = require("../../core/audit/ConfigHistory");
+const collectionRepository = require("../../database/repositories/collection_repository");
+const responseHistoryRepository = require("../../database/repositories/response_history_repository");
 
 const router = express.Router();
 
@@ -50,6 +58,40 @@ function initializeRoutes(db) {
     }
   });
 
+  /**
+   * GET /api/responses/changes
+   * Get endpoints whose recorded responses drifted, most recently changed first
+   * Query: host, since (ISO date), collection
+   */
+  router.get("/changes", (req, res) => {
+    try {
+      const { host, since, collection } = req.query;
+      const endpoints = responseHistoryRepository.getChangedEndpoints({ host, since, collection });
+
+      res.json({ endpoints, count: endpoints.length });
+    } catch (error) {
+      logger.error("Failed to get changed endpoints", { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/responses/changes/events
+   * Get response drift entries (previous body and structural diff), newest first
+   * Query: endpoint, method, host, since (ISO date), collection, limit (default 100)
+   */
+  router.get("/changes/events", (req, res) => {
+    try {
+      const { endpoint, method, host, since, collection, limit } = req.query;
+      const changes = responseHistoryRepository.getChanges({ endpoint, method, host, since, collection, limit });
+
+      res.json({ changes, count: changes.length });
+    } catch (error) {
+      logger.error("Failed to get response changes", { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   /**
    * GET /api/responses/:id
    * Get response by ID (with request data)
@@ -70,6 +112,27 @@ function initializeRoutes(db) {
     }
   });
 
+  /**
+   * GET /api/responses/:id/history
+   * Get the previous bodies of a response with the diff to the body that replaced each, newest first
+   */
+  router.get("/:id/history", async (req, res) => {
+    try {
+      const responseId = parseInt(req.params.id);
+      const response = await responseService.getResponseById(responseId);
+
+      if (!response) {
+        return res.status(404).json({ error: "Response not found" });
+      }
+
+      const history = responseHistoryRepository.getResponseHistory(responseId);
+      res.json({ history, count: history.length });
+    } catch (error) {
+      logger.error("Failed to get response history", { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   /**
    * GET /api/responses/request/:requestId
    * Get all responses for a request
@@ -117,7 +180,8 @@ function initializeRoutes(db) {
    * Update response
    *
    * Body: {
-   *   status_code, headers, body, response_source, template_id
+   *   response_status, response_headers, response_body, response_source, template_id,
+   *   templated (render {{placeholders}} at replay time)
    * }
    */
   router.put("/:id", async (req, res) => {
@@ -125,6 +189,12 @@ function initializeRoutes(db) {
       const responseId = parseInt(req.params.id);
       const updates = req.body;
 
+      const collection = collectionRepository.getCollectionOfResponse(responseId);
+      if (collection && collection.locked) {
+        return res.status(409).json({ error: `Collection '${collection.name}' is locked` });
+      }
+
+      ConfigHistory.track(res, "responses", responseId);
       const updated = await responseService.updateResponse(responseId, updates);
 
       res.json({ message: "Response updated successfully", response: updated });
@@ -134,6 +204,47 @@ function initializeRoutes(db) {
     }
   });
 
+  /**
+   * POST /api/responses/preview
+   * Render a templated response against a sample request (nothing is saved)
+   *
+   * Body: {
+   *   response_status, response_headers, response_body,
+   *   request: { method, path, query, headers, body } (optional)
+   * }
+   */
+  router.post("/preview", (req, res) => {
+    try {
+      const { request = {}, ...response } = req.body || {};
+      res.json(responseService.previewResponse(response, request));
+    } catch (error) {
+      logger.error("Failed to preview response", { error: error.message });
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/responses/:id/preview
+   * Render a stored response against a sample request
+   *
+   * Body: { request: { method, path, query, headers, body } } (optional)
+   */
+  router.post("/:id/preview", async (req, res) => {
+    try {
+      const responseId = parseInt(req.params.id);
+      const response = await responseService.getResponseById(responseId);
+
+      if (!response) {
+        return res.status(404).json({ error: "Response not found" });
+      }
+
+      res.json(responseService.previewResponse(response, (req.body && req.body.request) || {}));
+    } catch (error) {
+      logger.error("Failed to preview response", { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   /**
    * GET /api/responses/stats/status
    * Get response statistics by status code
@@ -225,6 +336,11 @@ function initializeRoutes(db) {
         return res.status(400).json({ error: "requestId and statusCode are required" });
       }
 
+      const collection = collectionRepository.getCollectionOfRequest(requestId);
+      if (collection && collection.locked) {
+        return res.status(409).json({ error: `Collection '${collection.name}' is locked` });
+      }
+
       const response = await responseService.createResponseFromTemplate(requestId, statusCode, variables);
 
       res.status(201).json({
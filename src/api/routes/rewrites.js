@@ -0,0 +1,242 @@
+/**
+ * rewrites.js
+ *
+ * API routes for request/response rewrite rules
+ * Manages rewrite_rules table; changes are applied immediately (engine cache is reloaded)
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const rewriteRuleRepository = require("../../database/repositories/rewrite_rule_repository");
+const { parseJsonPath } = require("../../utils/jsonPath");
+const {
+  getInstance: getRewriteEngine,
+  ACTION_TYPES,
+  CONDITION_OPERATORS,
+  REQUEST_CONDITION_SOURCES,
+  RESPONSE_CONDITION_SOURCES,
+} = require("../../core/rewrite/RewriteEngine");
+
+const VALID_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD", "*"];
+const CONDITION_SOURCES = [...REQUEST_CONDITION_SOURCES, ...RESPONSE_CONDITION_SOURCES];
+
+/**
+ * Check that a string is a valid regex
+ * @returns {string|null} Error message or null
+ */
+function checkRegex(pattern, label, flags) {
+  try {
+    new RegExp(pattern, flags || "");
+    return null;
+  } catch (e) {
+    return `${label}: invalid regex: ${e.message}`;
+  }
+}
+
+/**
+ * Validate rewrite rule payload
+ * @param {Object} body - Request body
+ * @param {boolean} isUpdate - Whether fields are optional (update)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRule(body, isUpdate = false) {
+  if (!isUpdate && !body.name) {
+    return "name is required";
+  }
+  if (body.match_method && !VALID_METHODS.includes(body.match_method.toUpperCase())) {
+    return `Invalid match_method ${body.match_method}`;
+  }
+  if (body.match_host) {
+    const error = checkRegex(body.match_host, "match_host");
+    if (error) return error;
+  }
+  if (body.match_endpoint) {
+    const error = checkRegex(body.match_endpoint, "match_endpoint");
+    if (error) return error;
+  }
+
+  if (body.conditions !== undefined) {
+    if (!Array.isArray(body.conditions)) {
+      return "conditions must be an array";
+    }
+    for (let i = 0; i < body.conditions.length; i++) {
+      const condition = body.conditions[i] || {};
+      const label = `Condition ${i + 1}`;
+      if (!CONDITION_SOURCES.includes(condition.source)) {
+        return `${label}: source must be one of ${CONDITION_SOURCES.join(", ")}`;
+      }
+      if (condition.source !== "status" && !condition.key) {
+        return `${label}: key is required`;
+      }
+      if (condition.operator && !CONDITION_OPERATORS.includes(condition.operator)) {
+        return `${label}: operator must be one of ${CONDITION_OPERATORS.join(", ")}`;
+      }
+      if (condition.operator === "regex") {
+        const error = checkRegex(condition.value, label);
+        if (error) return error;
+      }
+      if ((condition.source === "body" || condition.source === "response_body") && condition.key) {
+        try {
+          parseJsonPath(condition.key);
+        } catch (e) {
+          return `${label}: ${e.message}`;
+        }
+      }
+    }
+  }
+
+  if (body.actions !== undefined) {
+    if (!Array.isArray(body.actions)) {
+      return "actions must be an array";
+    }
+    for (let i = 0; i < body.actions.length; i++) {
+      const action = body.actions[i] || {};
+      const label = `Action ${i + 1}`;
+      if (!ACTION_TYPES.includes(action.type)) {
+        return `${label}: type must be one of ${ACTION_TYPES.join(", ")}`;
+      }
+      if (action.target && !["request", "response"].includes(action.target)) {
+        return `${label}: target must be request or response`;
+      }
+      switch (action.type) {
+        case "set_header":
+        case "remove_header":
+          if (!action.name) return `${label}: name is required`;
+          break;
+        case "json_set":
+        case "json_delete":
+          try {
+            if (parseJsonPath(action.path).length === 0) return `${label}: path must not be the JSON root`;
+          } catch (e) {
+            return `${label}: ${e.message}`;
+          }
+          break;
+        case "regex_replace":
+        case "rewrite_url": {
+          if (!action.pattern) return `${label}: pattern is required`;
+          const error = checkRegex(action.pattern, label, action.flags);
+          if (error) return error;
+          break;
+        }
+        case "set_status": {
+          const status = parseInt(action.status, 10);
+          if (!(status >= 100 && status <= 599)) return `${label}: status must be between 100 and 599`;
+          break;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/rewrites
+   * Get all rewrite rules ordered by priority
+   */
+  router.get("/", (req, res) => {
+    try {
+      const rules = rewriteRuleRepository.getAllRules();
+      res.json({ success: true, data: rules, count: rules.length });
+    } catch (error) {
+      logger.error("Failed to get rewrite rules", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/rewrites/:id
+   * Get rewrite rule by ID
+   */
+  router.get("/:id", (req, res) => {
+    try {
+      const rule = rewriteRuleRepository.getRuleById(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ success: false, error: "Rewrite rule not found" });
+      }
+      res.json({ success: true, data: rule });
+    } catch (error) {
+      logger.error("Failed to get rewrite rule", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/rewrites
+   * Create a rewrite rule
+   *
+   * Body:
+   * - name (required), description
+   * - match_host, match_endpoint: regex (empty = any); match_method (default '*')
+   * - conditions: [{ source, key, operator, value }]
+   * - actions: [{ type, target, ... }]
+   * - priority (lower runs first), enabled (default true)
+   */
+  router.post("/", (req, res) => {
+    try {
+      const body = req.body || {};
+      const validationError = validateRule(body);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const rule = rewriteRuleRepository.createRule(body);
+      getRewriteEngine().reload();
+      res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+      logger.error("Failed to create rewrite rule", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/rewrites/:id
+   * Update a rewrite rule (only provided fields are changed)
+   */
+  router.put("/:id", (req, res) => {
+    try {
+      const body = req.body || {};
+      const validationError = validateRule(body, true);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const rule = rewriteRuleRepository.updateRule(req.params.id, body);
+      if (!rule) {
+        return res.status(404).json({ success: false, error: "Rewrite rule not found" });
+      }
+      getRewriteEngine().reload();
+      res.json({ success: true, data: rule });
+    } catch (error) {
+      logger.error("Failed to update rewrite rule", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/rewrites/:id
+   * Delete a rewrite rule
+   */
+  router.delete("/:id", (req, res) => {
+    try {
+      const deleted = rewriteRuleRepository.deleteRule(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: "Rewrite rule not found" });
+      }
+      getRewriteEngine().reload();
+      res.json({ success: true, message: "Rewrite rule deleted" });
+    } catch (error) {
+      logger.error("Failed to delete rewrite rule", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
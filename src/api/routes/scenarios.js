@@ -0,0 +1,218 @@
+/**
+ * scenarios.js
+ *
+ * API routes for replay scenarios (state machines for stateful endpoint sequences)
+ * Manages scenarios, scenario_steps and scenario_states tables
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const dbConnection = require("../../database/connection");
+const scenarioRepository = require("../../database/repositories/scenario_repository");
+
+const GLOBAL_SESSION_KEY = "global";
+const VALID_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD", "*"];
+
+/**
+ * Validate scenario payload
+ * @param {Object} body - Request body
+ * @param {boolean} isUpdate - Whether fields are optional (update)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateScenario(body, isUpdate = false) {
+  if (!isUpdate && !body.name) {
+    return "name is required";
+  }
+
+  if (body.steps === undefined) {
+    return null;
+  }
+  if (!Array.isArray(body.steps)) {
+    return "steps must be an array";
+  }
+
+  const database = dbConnection.getDatabase();
+  for (let i = 0; i < body.steps.length; i++) {
+    const step = body.steps[i];
+    if (!step || !step.endpoint_pattern) {
+      return `Step ${i + 1}: endpoint_pattern is required`;
+    }
+    if (step.http_method && !VALID_METHODS.includes(step.http_method.toUpperCase())) {
+      return `Step ${i + 1}: invalid http_method ${step.http_method}`;
+    }
+    if (step.regex) {
+      try {
+        new RegExp(step.endpoint_pattern);
+      } catch (e) {
+        return `Step ${i + 1}: invalid regex pattern: ${e.message}`;
+      }
+    }
+    if (step.api_response_id && !database.prepare("SELECT id FROM api_responses WHERE id = ?").get(step.api_response_id)) {
+      return `Step ${i + 1}: response ${step.api_response_id} not found`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Mask a scenario session key (DPSESSION value or session token of the client) for display
+ * @param {string} sessionKey - Session key
+ * @returns {string} First characters of the key, or 'global'
+ */
+function maskSessionKey(sessionKey) {
+  if (!sessionKey || sessionKey === GLOBAL_SESSION_KEY) {
+    return sessionKey;
+  }
+  return sessionKey.substring(0, 12) + "...";
+}
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/scenarios
+   * Get all scenarios with their steps
+   */
+  router.get("/", (req, res) => {
+    try {
+      const scenarios = scenarioRepository.getAllScenarios();
+      res.json({ success: true, data: scenarios, count: scenarios.length });
+    } catch (error) {
+      logger.error("Failed to get scenarios", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/scenarios/reset
+   * Reset all scenarios to their initial state
+   * Body: { session_key?: string } - only reset one proxy session (DPSESSION value or 'global')
+   */
+  router.post("/reset", (req, res) => {
+    try {
+      const { session_key } = req.body || {};
+      const removed = scenarioRepository.resetScenarioStates(null, session_key || null);
+      res.json({ success: true, data: { removed } });
+    } catch (error) {
+      logger.error("Failed to reset scenarios", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/scenarios/:id
+   * Get scenario with steps and current state per session (session keys are masked)
+   */
+  router.get("/:id", (req, res) => {
+    try {
+      const scenario = scenarioRepository.getScenarioById(req.params.id);
+      if (!scenario) {
+        return res.status(404).json({ success: false, error: "Scenario not found" });
+      }
+
+      const states = scenarioRepository
+        .getScenarioStates(scenario.id)
+        .map((state) => ({ ...state, session_key: maskSessionKey(state.session_key) }));
+      res.json({ success: true, data: { ...scenario, states } });
+    } catch (error) {
+      logger.error("Failed to get scenario", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/scenarios
+   * Create a scenario
+   *
+   * Body:
+   * - name: Unique name (required)
+   * - description, initial_state (default 'Started'), enabled (default true)
+   * - sequence: true to treat steps as an ordered sequence (states are generated)
+   * - steps: [{ endpoint_pattern, http_method, regex, required_state, next_state, api_response_id }]
+   */
+  router.post("/", (req, res) => {
+    try {
+      const validationError = validateScenario(req.body || {});
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const database = dbConnection.getDatabase();
+      if (database.prepare("SELECT id FROM scenarios WHERE name = ?").get(req.body.name)) {
+        return res.status(409).json({ success: false, error: `Scenario already exists: ${req.body.name}` });
+      }
+
+      const scenario = scenarioRepository.createScenario(req.body);
+      res.status(201).json({ success: true, data: scenario });
+    } catch (error) {
+      logger.error("Failed to create scenario", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/scenarios/:id
+   * Update a scenario. Providing steps replaces all steps and resets session states.
+   */
+  router.put("/:id", (req, res) => {
+    try {
+      const validationError = validateScenario(req.body || {}, true);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const scenario = scenarioRepository.updateScenario(req.params.id, req.body);
+      if (!scenario) {
+        return res.status(404).json({ success: false, error: "Scenario not found" });
+      }
+
+      res.json({ success: true, data: scenario });
+    } catch (error) {
+      logger.error("Failed to update scenario", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/scenarios/:id
+   * Delete a scenario with its steps and states
+   */
+  router.delete("/:id", (req, res) => {
+    try {
+      if (!scenarioRepository.deleteScenario(req.params.id)) {
+        return res.status(404).json({ success: false, error: "Scenario not found" });
+      }
+      res.json({ success: true, message: "Scenario deleted" });
+    } catch (error) {
+      logger.error("Failed to delete scenario", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/scenarios/:id/reset
+   * Reset one scenario to its initial state
+   * Body: { session_key?: string } - only reset one proxy session
+   */
+  router.post("/:id/reset", (req, res) => {
+    try {
+      const scenario = scenarioRepository.getScenarioById(req.params.id);
+      if (!scenario) {
+        return res.status(404).json({ success: false, error: "Scenario not found" });
+      }
+
+      const { session_key } = req.body || {};
+      const removed = scenarioRepository.resetScenarioStates(scenario.id, session_key || null);
+      res.json({ success: true, data: { removed, state: scenario.initial_state } });
+    } catch (error) {
+      logger.error("Failed to reset scenario", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
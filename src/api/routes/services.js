@@ -54,10 +54,12 @@ function initializeRoutes() {
    * - platform: Filter by mobile platform (android, ios)
    * - language: Filter by accept language
    * - environment: Filter by environment
+   * - profile: Filter by app profile
+   * - collection: Filter by collection ID
    */
   router.get("/public", (req, res) => {
     try {
-      const { version, platform, language, environment, user_id } = req.query;
+      const { version, platform, language, environment, user_id, profile, collection } = req.query;
       const database = dbConnection.getDatabase();
 
       // Build query to get unique public endpoints with their request/response data
@@ -68,21 +70,27 @@ function initializeRoutes() {
           u.user_id as user_identifier,
           ar.endpoint_name,
           ar.endpoint_path,
+          ar.graphql_operation,
+          ar.graphql_query_hash,
           ar.host,
           ar.query_params,
           ar.app_platform,
           ar.app_version,
           ar.app_language,
           ar.app_environment,
+          ar.app_profile,
+          ar.collection_id,
           ar.method,
           ar.created_at,
           resp.updated_at,
           ar.request_headers,
           ar.request_body,
+          ar.request_body_encoding,
           resp.id as response_id,
           resp.response_status,
           resp.response_headers,
-          resp.response_body
+          resp.response_body,
+          resp.response_body_encoding
         FROM api_requests ar
         LEFT JOIN api_responses resp ON ar.id = resp.api_request_id
         LEFT JOIN users u ON ar.user_id = u.id
@@ -116,6 +124,16 @@ function initializeRoutes() {
         params.push(environment);
       }
 
+      if (profile) {
+        sql += " AND ar.app_profile = ?";
+        params.push(profile);
+      }
+
+      if (collection) {
+        sql += " AND ar.collection_id = ?";
+        params.push(collection);
+      }
+
       sql += " ORDER BY ar.created_at DESC";
 
       const stmt = database.prepare(sql);
@@ -161,21 +179,27 @@ function initializeRoutes() {
           u.user_id as user_identifier,
           ar.endpoint_name,
           ar.endpoint_path,
+          ar.graphql_operation,
+          ar.graphql_query_hash,
           ar.host,
           ar.query_params,
           ar.app_platform,
           ar.app_version,
           ar.app_language,
           ar.app_environment,
+          ar.app_profile,
+          ar.collection_id,
           ar.method,
           ar.created_at,
           ar.updated_at,
           ar.request_headers,
           ar.request_body,
+          ar.request_body_encoding,
           resp.id as response_id,
           resp.response_status,
           resp.response_headers,
           resp.response_body,
+          resp.response_body_encoding,
           resp.created_at as response_at
         FROM api_responses resp
         INNER JOIN api_requests ar ON resp.api_request_id = ar.id
@@ -224,10 +248,12 @@ function initializeRoutes() {
    * - platform: Filter by mobile platform (android, ios)
    * - language: Filter by accept language
    * - environment: Filter by environment
+   * - profile: Filter by app profile
+   * - collection: Filter by collection ID
    */
   router.get("/secure", (req, res) => {
     try {
-      const { version, platform, language, environment, user_id } = req.query;
+      const { version, platform, language, environment, user_id, profile, collection } = req.query;
       const database = dbConnection.getDatabase();
 
       // Build query to get unique secure endpoints with their request/response data
@@ -238,21 +264,27 @@ function initializeRoutes() {
           u.user_id as user_identifier,
           ar.endpoint_name,
           ar.endpoint_path,
+          ar.graphql_operation,
+          ar.graphql_query_hash,
           ar.host,
           ar.query_params,
           ar.app_platform,
           ar.app_version,
           ar.app_language,
           ar.app_environment,
+          ar.app_profile,
+          ar.collection_id,
           ar.method,
           ar.created_at,
           resp.updated_at,
           ar.request_headers,
           ar.request_body,
+          ar.request_body_encoding,
           resp.id as response_id,
           resp.response_status,
           resp.response_headers,
-          resp.response_body
+          resp.response_body,
+          resp.response_body_encoding
         FROM api_requests ar
         LEFT JOIN api_responses resp ON ar.id = resp.api_request_id
         LEFT JOIN users u ON ar.user_id = u.id
@@ -286,6 +318,16 @@ function initializeRoutes() {
         params.push(environment);
       }
 
+      if (profile) {
+        sql += " AND ar.app_profile = ?";
+        params.push(profile);
+      }
+
+      if (collection) {
+        sql += " AND ar.collection_id = ?";
+        params.push(collection);
+      }
+
       sql += " ORDER BY ar.created_at DESC";
 
       const stmt = database.prepare(sql);
@@ -331,21 +373,27 @@ function initializeRoutes() {
           u.user_id as user_identifier,
           ar.endpoint_name,
           ar.endpoint_path,
+          ar.graphql_operation,
+          ar.graphql_query_hash,
           ar.host,
           ar.query_params,
           ar.app_platform,
           ar.app_version,
           ar.app_language,
           ar.app_environment,
+          ar.app_profile,
+          ar.collection_id,
           ar.method,
           ar.created_at,
           ar.updated_at,
           ar.request_headers,
           ar.request_body,
+          ar.request_body_encoding,
           resp.id as response_id,
           resp.response_status,
           resp.response_headers,
           resp.response_body,
+          resp.response_body_encoding,
           resp.created_at as response_at
         FROM api_responses resp
         INNER JOIN api_requests ar ON resp.api_request_id = ar.id
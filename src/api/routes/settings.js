@@ -3,12 +3,102 @@
  *
  * API routes for settings configuration management
  * Manages traffic, mapping, and endpoint configurations
+ *
+ * Traffic, mapping, endpoint and session routes accept ?profile=<name> to read or update
+ * a named app profile instead of the default profile.
  */
 
 const express = require("express");
 const router = express.Router();
 const logger = require("../../utils/logger");
-const { getInstance } = require("../../config/TrafficConfigManager");
+const { getInstance, DEFAULT_PROFILE, PROFILE_NAME_PATTERN, PROFILE_SECTIONS } = require("../../config/TrafficConfigManager");
+const ConfigHistory = require("../../core/audit/ConfigHistory");
+const { parseJsonPath } = require("../../utils/jsonPath");
+const { getInstance: getUpstreamProxy } = require("../../core/forwarder/UpstreamProxy");
+
+/**
+ * Resolve the ?profile query parameter into req.appProfile
+ * The default profile (or no parameter) resolves to null
+ */
+function resolveProfile(req, res, next) {
+  const name = req.query.profile;
+  if (!name || name === DEFAULT_PROFILE) {
+    req.appProfile = null;
+    return next();
+  }
+  if (!getInstance().getProfile(name)) {
+    return res.status(404).json({ success: false, error: `App profile '${name}' not found` });
+  }
+  req.appProfile = name;
+  next();
+}
+
+/**
+ * Get the sections of an app profile (used as the source when creating a profile)
+ * @param {string|null} name - Profile name (null for the default profile)
+ * @returns {Object} { traffic, mapping, endpoint, session }
+ */
+function getProfileSections(name) {
+  const { getInstance: getSessionConfigManager } = require("../../config/SessionConfigManager");
+  const manager = getInstance().forProfile(name);
+  return {
+    traffic: manager.getTrafficConfig(),
+    mapping: manager.getMappingConfig(),
+    endpoint: manager.getEndpointConfig(),
+    session: getSessionConfigManager().forProfile(name).getConfigSync(),
+  };
+}
+
+/**
+ * Hide the upstream proxy password of a proxy configuration (API responses)
+ * @param {Object} config - Proxy configuration
+ * @returns {Object} Proxy configuration with upstreamProxy.hasPassword instead of the encrypted password
+ */
+function maskProxyConfig(config) {
+  if (!config || !config.upstreamProxy) return config;
+  const { passwordEncrypted, ...upstreamProxy } = config.upstreamProxy;
+  return { ...config, upstreamProxy: { ...upstreamProxy, hasPassword: !!passwordEncrypted } };
+}
+
+/**
+ * Validate upstream proxy settings
+ * @param {Object} upstreamProxy - Upstream proxy settings (see TrafficConfigManager)
+ * @returns {string|null} Error message, null when valid
+ */
+function validateUpstreamProxy(upstreamProxy) {
+  const { enabled, mode, url, username, password, include, exclude, pacUrl, pacScript } = upstreamProxy;
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return "upstreamProxy.enabled must be a boolean";
+  }
+  if (mode !== undefined && !["manual", "pac"].includes(mode)) {
+    return "upstreamProxy.mode must be manual or pac";
+  }
+  for (const [field, value] of Object.entries({ url, username, password, pacUrl, pacScript })) {
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      return `upstreamProxy.${field} must be a string`;
+    }
+  }
+  if (url && !/^https?:\/\/[^/\s]+\/?$/i.test(url)) {
+    return "upstreamProxy.url must be an http:// or https:// proxy URL (http://proxy.example.com:3128)";
+  }
+  if (pacUrl && !/^https?:\/\/\S+$/i.test(pacUrl)) {
+    return "upstreamProxy.pacUrl must be an http:// or https:// URL";
+  }
+  for (const [field, value] of Object.entries({ include, exclude })) {
+    if (value !== undefined && (!Array.isArray(value) || value.some((pattern) => typeof pattern !== "string"))) {
+      return `upstreamProxy.${field} must be an array of host patterns`;
+    }
+  }
+  if (enabled) {
+    if (mode === "pac" && !pacUrl && !pacScript) {
+      return "upstreamProxy.pacUrl or upstreamProxy.pacScript is required in pac mode";
+    }
+    if (mode !== "pac" && !url) {
+      return "upstreamProxy.url is required";
+    }
+  }
+  return null;
+}
 
 /**
  * Initialize routes
@@ -22,14 +112,18 @@ function initializeRoutes() {
    * GET /api/settings/traffic
    * Get traffic monitoring configuration (monitor + domains)
    */
-  router.get("/traffic", async (req, res) => {
+  router.get("/traffic", resolveProfile, async (req, res) => {
     try {
       const configManager = getInstance();
 
       // Refresh from database before returning
-      await configManager._loadTrafficConfig();
+      if (req.appProfile) {
+        await configManager._loadProfilesConfig();
+      } else {
+        await configManager._loadTrafficConfig();
+      }
 
-      const config = configManager.getTrafficConfig();
+      const config = configManager.forProfile(req.appProfile).getTrafficConfig();
 
       res.json({
         success: true,
@@ -46,7 +140,7 @@ function initializeRoutes() {
    * PUT /api/settings/traffic
    * Update traffic monitoring configuration
    */
-  router.put("/traffic", async (req, res) => {
+  router.put("/traffic", resolveProfile, async (req, res) => {
     try {
       const { monitor, domains } = req.body;
 
@@ -118,7 +212,13 @@ function initializeRoutes() {
 
       const config = { monitor, domains };
       const configManager = getInstance();
-      await configManager.updateTrafficConfig(config);
+      if (req.appProfile) {
+        ConfigHistory.track(res, "settings", "profiles");
+        await configManager.updateProfileSection(req.appProfile, "traffic", config, req.auth?.name);
+      } else {
+        ConfigHistory.track(res, "settings", "traffic");
+        await configManager.updateTrafficConfig(config, req.auth?.name);
+      }
 
       res.json({
         success: true,
@@ -140,14 +240,18 @@ function initializeRoutes() {
    * GET /api/settings/mapping
    * Get field mapping configuration
    */
-  router.get("/mapping", async (req, res) => {
+  router.get("/mapping", resolveProfile, async (req, res) => {
     try {
       const configManager = getInstance();
 
       // Refresh from database before returning
-      await configManager._loadMappingConfig();
+      if (req.appProfile) {
+        await configManager._loadProfilesConfig();
+      } else {
+        await configManager._loadMappingConfig();
+      }
 
-      const config = configManager.getMappingConfig();
+      const config = configManager.forProfile(req.appProfile).getMappingConfig();
 
       res.json({
         success: true,
@@ -163,7 +267,7 @@ function initializeRoutes() {
    * PUT /api/settings/mapping
    * Update field mapping configuration
    */
-  router.put("/mapping", async (req, res) => {
+  router.put("/mapping", resolveProfile, async (req, res) => {
     try {
       const config = req.body;
 
@@ -207,7 +311,13 @@ function initializeRoutes() {
       }
 
       const configManager = getInstance();
-      await configManager.updateMappingConfig(config);
+      if (req.appProfile) {
+        ConfigHistory.track(res, "settings", "profiles");
+        await configManager.updateProfileSection(req.appProfile, "mapping", config, req.auth?.name);
+      } else {
+        ConfigHistory.track(res, "settings", "mapping");
+        await configManager.updateMappingConfig(config, req.auth?.name);
+      }
 
       res.json({
         success: true,
@@ -228,14 +338,18 @@ function initializeRoutes() {
    * GET /api/settings/endpoint
    * Get endpoint type configuration (public/secure rules and tags)
    */
-  router.get("/endpoint", async (req, res) => {
+  router.get("/endpoint", resolveProfile, async (req, res) => {
     try {
       const configManager = getInstance();
 
       // Refresh from database before returning
-      await configManager._loadEndpointConfig();
+      if (req.appProfile) {
+        await configManager._loadProfilesConfig();
+      } else {
+        await configManager._loadEndpointConfig();
+      }
 
-      const config = configManager.getEndpointConfig();
+      const config = configManager.forProfile(req.appProfile).getEndpointConfig();
 
       res.json({
         success: true,
@@ -251,7 +365,7 @@ function initializeRoutes() {
    * PUT /api/settings/endpoint
    * Update endpoint type configuration
    */
-  router.put("/endpoint", async (req, res) => {
+  router.put("/endpoint", resolveProfile, async (req, res) => {
     try {
       const { types, tags, fallback } = req.body;
 
@@ -315,7 +429,13 @@ function initializeRoutes() {
       };
 
       const configManager = getInstance();
-      await configManager.updateEndpointConfig(config);
+      if (req.appProfile) {
+        ConfigHistory.track(res, "settings", "profiles");
+        await configManager.updateProfileSection(req.appProfile, "endpoint", config, req.auth?.name);
+      } else {
+        ConfigHistory.track(res, "settings", "endpoint");
+        await configManager.updateEndpointConfig(config, req.auth?.name);
+      }
 
       res.json({
         success: true,
@@ -332,7 +452,7 @@ function initializeRoutes() {
    * POST /api/settings/endpoint/test
    * Test endpoint type classification for a given path
    */
-  router.post("/endpoint/test", async (req, res) => {
+  router.post("/endpoint/test", resolveProfile, async (req, res) => {
     try {
       const { path } = req.body;
 
@@ -343,7 +463,7 @@ function initializeRoutes() {
         });
       }
 
-      const configManager = getInstance();
+      const configManager = getInstance().forProfile(req.appProfile);
       const endpointType = configManager.getEndpointType(path);
       const tags = configManager.getEndpointTags(path);
       const isSecure = configManager.isSecureEndpoint(path);
@@ -382,7 +502,7 @@ function initializeRoutes() {
 
       res.json({
         success: true,
-        data: config,
+        data: maskProxyConfig(config),
       });
     } catch (error) {
       logger.error("Failed to get proxy config", { error: error.message });
@@ -392,7 +512,8 @@ function initializeRoutes() {
 
   /**
    * PUT /api/settings/proxy
-   * Update proxy configuration (only replayDefaults can be updated)
+   * Update proxy configuration (replayLatency, replayDefaults, drift, upstreamProxy and http2 can be updated)
+   * upstreamProxy.password: a string replaces the stored password, "" removes it, leave it out to keep it
    */
   router.put("/proxy", async (req, res) => {
     try {
@@ -464,13 +585,59 @@ function initializeRoutes() {
         }
       }
 
+      // Validate drift settings if provided
+      if (config.drift) {
+        const { enabled, ignorePaths, historyLimit } = config.drift;
+        if (enabled !== undefined && typeof enabled !== "boolean") {
+          return res.status(400).json({ success: false, error: "drift.enabled must be a boolean" });
+        }
+        if (historyLimit !== undefined && (!Number.isInteger(historyLimit) || historyLimit < 1 || historyLimit > 500)) {
+          return res.status(400).json({ success: false, error: "drift.historyLimit must be an integer between 1 and 500" });
+        }
+        if (ignorePaths !== undefined) {
+          if (!Array.isArray(ignorePaths)) {
+            return res.status(400).json({ success: false, error: "drift.ignorePaths must be an array of JSONPath expressions" });
+          }
+          for (let i = 0; i < ignorePaths.length; i++) {
+            try {
+              if (parseJsonPath(ignorePaths[i]).length === 0) {
+                throw new Error("the JSON root cannot be ignored");
+              }
+            } catch (err) {
+              return res.status(400).json({ success: false, error: `drift.ignorePaths[${i}] is not a valid JSONPath: ${err.message}` });
+            }
+          }
+        }
+      }
+
+      // Validate upstream proxy settings if provided
+      if (config.upstreamProxy) {
+        const error = validateUpstreamProxy(config.upstreamProxy);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+      }
+
+      // Validate HTTP/2 settings if provided
+      if (config.http2) {
+        const { enabled, upstreamHosts } = config.http2;
+        if (enabled !== undefined && typeof enabled !== "boolean") {
+          return res.status(400).json({ success: false, error: "http2.enabled must be a boolean" });
+        }
+        if (upstreamHosts !== undefined && (!Array.isArray(upstreamHosts) || upstreamHosts.some((pattern) => typeof pattern !== "string"))) {
+          return res.status(400).json({ success: false, error: "http2.upstreamHosts must be an array of host patterns" });
+        }
+      }
+
       const configManager = getInstance();
-      await configManager.updateProxyConfig(config);
+      ConfigHistory.track(res, "settings", "proxy");
+      await configManager.updateProxyConfig(config, req.auth?.name);
+      getUpstreamProxy().reload();
 
       res.json({
         success: true,
         message: "Proxy configuration updated",
-        data: configManager.getProxyConfig(),
+        data: maskProxyConfig(configManager.getProxyConfig()),
       });
     } catch (error) {
       logger.error("Failed to update proxy config", { error: error.message });
@@ -478,6 +645,36 @@ function initializeRoutes() {
     }
   });
 
+  /**
+   * POST /api/settings/proxy/upstream/test
+   * Show how the saved upstream proxy settings route a backend URL
+   * Body: { url }
+   */
+  router.post("/proxy/upstream/test", async (req, res) => {
+    try {
+      const { url } = req.body || {};
+      if (!url || !/^(https?|wss?):\/\/\S+$/i.test(url)) {
+        return res.status(400).json({ success: false, error: "url must be an absolute http(s):// or ws(s):// URL" });
+      }
+
+      const upstreamProxy = getUpstreamProxy();
+      const proxy = await upstreamProxy.resolve(url.replace(/^ws/i, "http"));
+      res.json({
+        success: true,
+        data: {
+          url,
+          enabled: proxy !== null,
+          direct: !proxy || proxy.direct,
+          proxy: proxy && !proxy.direct ? proxy.url : null,
+          authenticated: !!(proxy && proxy.username),
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to test upstream proxy", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
   /**
    * GET /api/settings/proxy/ca-cert
    * Download the CA certificate for HTTPS interception
@@ -566,20 +763,24 @@ function initializeRoutes() {
    * GET /api/settings/session
    * Get session management configuration
    */
-  router.get("/session", async (req, res) => {
+  router.get("/session", resolveProfile, async (req, res) => {
     try {
       const { getInstance: getSessionConfigManager } = require("../../config/SessionConfigManager");
       const sessionConfigManager = getSessionConfigManager();
 
       // Refresh from database before returning
-      await sessionConfigManager.loadConfig();
+      if (req.appProfile) {
+        await getInstance()._loadProfilesConfig();
+      } else {
+        await sessionConfigManager.loadConfig();
+      }
 
-      const config = sessionConfigManager.getConfigSync();
+      const profileSessionConfig = sessionConfigManager.forProfile(req.appProfile);
 
       res.json({
         success: true,
-        data: config,
-        hasConfig: sessionConfigManager.hasConfig(),
+        data: profileSessionConfig.getConfigSync(),
+        hasConfig: profileSessionConfig.hasConfig(),
       });
     } catch (error) {
       logger.error("Failed to get session config", { error: error.message });
@@ -591,7 +792,7 @@ function initializeRoutes() {
    * PUT /api/settings/session
    * Update session management configuration
    */
-  router.put("/session", async (req, res) => {
+  router.put("/session", resolveProfile, async (req, res) => {
     try {
       const config = req.body;
 
@@ -609,7 +810,13 @@ function initializeRoutes() {
       }
 
       // Save configuration
-      await sessionConfigManager.saveConfig(config);
+      if (req.appProfile) {
+        ConfigHistory.track(res, "settings", "profiles");
+        await getInstance().updateProfileSection(req.appProfile, "session", config, req.auth?.name);
+      } else {
+        ConfigHistory.track(res, "settings", "session");
+        await sessionConfigManager.saveConfig(config, req.auth?.name);
+      }
 
       res.json({
         success: true,
@@ -646,6 +853,145 @@ function initializeRoutes() {
     }
   });
 
+  // ============================================================================
+  // App Profile Routes
+  // ============================================================================
+
+  /**
+   * GET /api/settings/profiles
+   * Get app profiles in match order (named profiles first, the default profile last)
+   */
+  router.get("/profiles", async (req, res) => {
+    try {
+      const configManager = getInstance();
+
+      // Refresh from database before returning
+      await configManager._loadProfilesConfig();
+
+      const profiles = [
+        ...configManager.getProfiles().map((profile) => ({ name: profile.name, description: profile.description || "" })),
+        { name: DEFAULT_PROFILE, description: "Default profile (used when no named profile matches)", isDefault: true },
+      ];
+
+      res.json({ success: true, data: profiles });
+    } catch (error) {
+      logger.error("Failed to get app profiles", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/settings/profiles
+   * Create a named app profile
+   * Body: { name, description?, copy_from? } - sections are copied from copy_from (default profile if omitted)
+   */
+  router.post("/profiles", async (req, res) => {
+    try {
+      const { name, description = "", copy_from: copyFrom } = req.body || {};
+
+      if (!name || !PROFILE_NAME_PATTERN.test(name)) {
+        return res.status(400).json({
+          success: false,
+          error: "name is required and may only contain letters, digits, '_' and '-' (max 40 characters)",
+        });
+      }
+
+      const configManager = getInstance();
+      await configManager._loadProfilesConfig();
+
+      if (name === DEFAULT_PROFILE || configManager.getProfile(name)) {
+        return res.status(409).json({ success: false, error: `App profile '${name}' already exists` });
+      }
+      if (copyFrom && copyFrom !== DEFAULT_PROFILE && !configManager.getProfile(copyFrom)) {
+        return res.status(404).json({ success: false, error: `App profile '${copyFrom}' not found` });
+      }
+
+      const source = getProfileSections(copyFrom === DEFAULT_PROFILE ? null : copyFrom || null);
+      const profile = { name, description };
+      for (const section of PROFILE_SECTIONS) {
+        profile[section] = source[section] ? JSON.parse(JSON.stringify(source[section])) : null;
+      }
+
+      ConfigHistory.track(res, "settings", "profiles");
+      await configManager.updateProfilesConfig([...configManager.getProfiles(), profile], req.auth?.name);
+
+      res.status(201).json({
+        success: true,
+        message: `App profile '${name}' created`,
+        data: profile,
+      });
+    } catch (error) {
+      logger.error("Failed to create app profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/settings/profiles/:name
+   * Update the description or match position (0 = matched first) of a named app profile
+   */
+  router.put("/profiles/:name", async (req, res) => {
+    try {
+      const { description, position } = req.body || {};
+      const configManager = getInstance();
+      await configManager._loadProfilesConfig();
+
+      const profiles = [...configManager.getProfiles()];
+      const index = profiles.findIndex((profile) => profile.name === req.params.name);
+      if (index === -1) {
+        return res.status(404).json({ success: false, error: `App profile '${req.params.name}' not found` });
+      }
+      if (position !== undefined && (!Number.isInteger(position) || position < 0 || position >= profiles.length)) {
+        return res.status(400).json({
+          success: false,
+          error: `position must be an integer between 0 and ${profiles.length - 1}`,
+        });
+      }
+
+      const [profile] = profiles.splice(index, 1);
+      const updated = description !== undefined ? { ...profile, description } : profile;
+      profiles.splice(position !== undefined ? position : index, 0, updated);
+
+      ConfigHistory.track(res, "settings", "profiles");
+      await configManager.updateProfilesConfig(profiles, req.auth?.name);
+
+      res.json({
+        success: true,
+        message: `App profile '${req.params.name}' updated`,
+        data: updated,
+      });
+    } catch (error) {
+      logger.error("Failed to update app profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/settings/profiles/:name
+   * Delete a named app profile (its traffic falls back to the default profile)
+   */
+  router.delete("/profiles/:name", async (req, res) => {
+    try {
+      const configManager = getInstance();
+      await configManager._loadProfilesConfig();
+
+      if (!configManager.getProfile(req.params.name)) {
+        return res.status(404).json({ success: false, error: `App profile '${req.params.name}' not found` });
+      }
+
+      ConfigHistory.track(res, "settings", "profiles");
+      await configManager.updateProfilesConfig(
+        configManager.getProfiles().filter((profile) => profile.name !== req.params.name),
+        req.auth?.name,
+      );
+
+      res.json({ success: true, message: `App profile '${req.params.name}' deleted` });
+    } catch (error) {
+      logger.error("Failed to delete app profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
   // ============================================================================
   // General Routes
   // ============================================================================
@@ -671,7 +1017,8 @@ function initializeRoutes() {
           mapping: configManager.getMappingConfig(),
           endpoint: configManager.getEndpointConfig(),
           session: sessionConfigManager.getConfigSync(),
-          proxy: configManager.getProxyConfig(),
+          proxy: maskProxyConfig(configManager.getProxyConfig()),
+          profiles: configManager.getProfiles(),
         },
         monitoringEnabled: configManager.isMonitoringEnabled(),
       });
@@ -693,6 +1040,7 @@ function initializeRoutes() {
 
       await configManager.refreshAll();
       await sessionConfigManager.refresh();
+      getUpstreamProxy().reload();
 
       res.json({
         success: true,
@@ -702,7 +1050,8 @@ function initializeRoutes() {
           mapping: configManager.getMappingConfig(),
           endpoint: configManager.getEndpointConfig(),
           session: sessionConfigManager.getConfigSync(),
-          proxy: configManager.getProxyConfig(),
+          proxy: maskProxyConfig(configManager.getProxyConfig()),
+          profiles: configManager.getProfiles(),
         },
         monitoringEnabled: configManager.isMonitoringEnabled(),
       });
@@ -803,6 +1152,7 @@ function initializeRoutes() {
           endpoint: configManager.getEndpointConfig(),
           session: sessionConfigManager.getConfigSync(),
           proxy: configManager.getProxyConfig(),
+          profiles: configManager.getProfiles(),
           endpointRules: parsedEndpointRules,
         },
       };
@@ -820,7 +1170,7 @@ function initializeRoutes() {
   /**
    * POST /api/settings/import
    * Import configurations from backup, with conflict detection
-   * Body: { configs: { traffic?, mapping?, endpoint?, session?, proxy? }, overwrite: boolean }
+   * Body: { configs: { traffic?, mapping?, endpoint?, session?, proxy?, profiles?, endpointRules? }, overwrite: boolean }
    */
   router.post("/import", async (req, res) => {
     try {
@@ -855,6 +1205,7 @@ function initializeRoutes() {
         endpoint: configManager.getEndpointConfig(),
         session: sessionConfigManager.getConfigSync(),
         proxy: configManager.getProxyConfig(),
+        profiles: configManager.getProfiles(),
         endpointRules: currentEndpointRulesCount,
       };
 
@@ -862,7 +1213,7 @@ function initializeRoutes() {
       const importResults = {};
 
       // Check each config type
-      const configTypes = ["traffic", "mapping", "endpoint", "session", "proxy", "endpointRules"];
+      const configTypes = ["traffic", "mapping", "endpoint", "session", "proxy", "profiles", "endpointRules"];
 
       for (const type of configTypes) {
         if (configs[type]) {
@@ -894,29 +1245,39 @@ function initializeRoutes() {
         });
       }
 
-      // Perform import
+      // Perform import (the whole import is one config version in the audit log)
+      ConfigHistory.track(res, "settings", "all");
       for (const type of configTypes) {
         if (configs[type]) {
           try {
             switch (type) {
               case "traffic":
-                await configManager.updateTrafficConfig(configs[type]);
+                await configManager.updateTrafficConfig(configs[type], req.auth?.name);
                 importResults[type] = { success: true };
                 break;
               case "mapping":
-                await configManager.updateMappingConfig(configs[type]);
+                await configManager.updateMappingConfig(configs[type], req.auth?.name);
                 importResults[type] = { success: true };
                 break;
               case "endpoint":
-                await configManager.updateEndpointConfig(configs[type]);
+                await configManager.updateEndpointConfig(configs[type], req.auth?.name);
                 importResults[type] = { success: true };
                 break;
               case "session":
-                await sessionConfigManager.saveConfig(configs[type]);
+                await sessionConfigManager.saveConfig(configs[type], req.auth?.name);
                 importResults[type] = { success: true };
                 break;
               case "proxy":
-                await configManager.updateProxyConfig(configs[type]);
+                await configManager.updateProxyConfig(configs[type], req.auth?.name);
+                getUpstreamProxy().reload();
+                importResults[type] = { success: true };
+                break;
+              case "profiles":
+                if (!Array.isArray(configs[type]) || configs[type].some((profile) => !PROFILE_NAME_PATTERN.test(profile?.name || ""))) {
+                  importResults[type] = { success: false, error: "profiles must be an array of profiles with valid names" };
+                  break;
+                }
+                await configManager.updateProfilesConfig(configs[type], req.auth?.name);
                 importResults[type] = { success: true };
                 break;
               case "endpointRules":
@@ -1027,7 +1388,8 @@ function initializeRoutes() {
           mapping: configManager.getMappingConfig(),
           endpoint: configManager.getEndpointConfig(),
           session: sessionConfigManager.getConfigSync(),
-          proxy: configManager.getProxyConfig(),
+          proxy: maskProxyConfig(configManager.getProxyConfig()),
+          profiles: configManager.getProfiles(),
           endpointRules: { count: updatedEndpointRulesCount },
         },
       });
@@ -31,10 +31,11 @@ function initializeRoutes(db) {
    * - end_date: YYYY-MM-DD (optional)
    * - environment: sit | stage | dev | prod (optional)
    * - platform: android | ios (optional)
+   * - profile: app profile name (optional)
    */
   router.get("/", async (req, res) => {
     try {
-      const { time_window = "today", start_date, end_date, environment, platform, endpoint_type } = req.query;
+      const { time_window = "today", start_date, end_date, environment, platform, endpoint_type, profile } = req.query;
 
       // Calculate date range based on time_window
       let startDate, endDate;
@@ -133,6 +134,7 @@ function initializeRoutes(db) {
       if (endDate) filters.endDate = getLocalISOString(endDate);
       if (environment) filters.appEnvironment = environment;
       if (platform) filters.appPlatform = platform;
+      if (profile) filters.appProfile = profile;
       // Pass time_window to repository for precision decision
       filters.timeWindow = time_window;
 
@@ -146,26 +148,33 @@ function initializeRoutes(db) {
         failedRequests: aggregatedStats.failed_requests || 0,
         avgDurationMs: aggregatedStats.avg_duration_ms || 0,
         successRate: aggregatedStats.success_rate || "0.00",
+        injectedFaults: aggregatedStats.injected_faults || 0,
+        // Backend responses that did not match their endpoint schema
+        contractViolations: aggregatedStats.contract_violations || 0,
       };
 
       // Get breakdowns
       const byEndpoint = statsRepository.getStatsByEndpoint(filters) || [];
       const byPlatform = statsRepository.getStatsByPlatform(filters) || [];
       const byEnvironment = statsRepository.getStatsByEnvironment(filters) || [];
+      const byProfile = statsRepository.getStatsByProfile(filters) || [];
+      const byProtocol = statsRepository.getStatsByProtocol(filters) || [];
 
       // Transform endpoint data with type classification
       let transformedEndpoints = byEndpoint.map((ep) => {
-        const epType = getEndpointType(ep.endpoint_path || "");
+        const epType = getEndpointType(ep.endpoint_path || "", profile);
         const successRate = ep.total_requests > 0 ? ((ep.successful_requests / ep.total_requests) * 100).toFixed(2) : "0.00";
         return {
           endpoint_path: ep.endpoint_path || "",
           method: ep.method || "",
+          graphql_operation: ep.graphql_operation || null,
           endpoint_type: epType,
           total_requests: ep.total_requests || 0,
           successful_requests: ep.successful_requests || 0,
           failed_requests: ep.failed_requests || 0,
           success_rate: successRate,
           avg_duration_ms: ep.avg_duration_ms || 0,
+          contract_violations: ep.contract_violations || 0,
         };
       });
 
@@ -192,6 +201,14 @@ function initializeRoutes(db) {
         avg_duration_ms: e.avg_duration_ms || 0,
       }));
 
+      // Transform app profile data (stats recorded before app profiles existed have no profile)
+      const transformedProfiles = byProfile.map((p) => ({
+        app_profile: p.app_profile || "",
+        total_requests: p.total_requests || 0,
+        successful_requests: p.successful_requests || 0,
+        failed_requests: p.failed_requests || 0,
+      }));
+
       // Get time series data (for charts)
       // Generate 30-50 data points based on time window
       const timeSeriesData = [];
@@ -332,6 +349,10 @@ function initializeRoutes(db) {
             sql += " AND app_platform = ?";
             params.push(platform);
           }
+          if (profile) {
+            sql += " AND app_profile = ?";
+            params.push(profile);
+          }
 
           sql += " GROUP BY app_platform, response_status";
 
@@ -391,6 +412,9 @@ function initializeRoutes(db) {
           byEndpoint: transformedEndpoints,
           byPlatform: transformedPlatforms,
           byEnvironment: transformedEnvironments,
+          byProfile: transformedProfiles,
+          // Negotiated protocols (stats recorded before protocols were tracked have none)
+          byProtocol: byProtocol.map((p) => ({ ...p, protocol: p.protocol || "", upstream_protocol: p.upstream_protocol || "" })),
           timeSeriesData,
         },
       });
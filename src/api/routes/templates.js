@@ -21,6 +21,7 @@
 const express = require("express");
 const TemplateService = require("../../services/TemplateService");
 const logger = require("../../utils/logger");
+const ConfigHistory = require("../../core/audit/ConfigHistory");
 
 const router = express.Router();
 
@@ -116,6 +117,7 @@ function initializeRoutes(db) {
       const templateId = parseInt(req.params.id);
       const updates = req.body;
 
+      ConfigHistory.track(res, "templates", templateId);
       const updated = await templateService.updateTemplate(templateId, updates);
 
       res.json({
@@ -136,6 +138,7 @@ function initializeRoutes(db) {
     try {
       const templateId = parseInt(req.params.id);
 
+      ConfigHistory.track(res, "templates", templateId);
       const deleted = await templateService.deleteTemplate(templateId);
 
       if (!deleted) {
@@ -157,6 +160,7 @@ function initializeRoutes(db) {
     try {
       const templateId = parseInt(req.params.id);
 
+      ConfigHistory.track(res, "templates", templateId);
       const updated = await templateService.activateTemplate(templateId);
 
       res.json({
@@ -177,6 +181,7 @@ function initializeRoutes(db) {
     try {
       const templateId = parseInt(req.params.id);
 
+      ConfigHistory.track(res, "templates", templateId);
       const updated = await templateService.deactivateTemplate(templateId);
 
       res.json({
@@ -0,0 +1,300 @@
+/**
+ * tls.js
+ *
+ * API routes for per-host TLS profiles of backend connections
+ * Manages tls_profiles table; changes are applied immediately (TLS profile cache is reloaded)
+ * Private keys, PKCS#12 bundles and passphrases are write-only: responses only tell whether they are set
+ */
+
+const express = require("express");
+const https = require("https");
+const net = require("net");
+const tls = require("tls");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const tlsProfileRepository = require("../../database/repositories/tls_profile_repository");
+const { getInstance: getTlsProfiles, decryptProfile, validateProfileMaterial } = require("../../core/forwarder/TlsProfiles");
+const { getInstance: getUpstreamProxy } = require("../../core/forwarder/UpstreamProxy");
+
+const { CLIENT_CERT_TYPES, TLS_VERSIONS } = tlsProfileRepository;
+const ENCRYPTED_FIELDS = ["client_key_encrypted", "client_pfx_encrypted", "passphrase_encrypted"];
+
+// Maximum time of a test request
+const TEST_TIMEOUT_MS = 10000;
+
+/**
+ * Replace the encrypted secrets of a profile with flags telling whether they are set
+ * @param {Object} profile - Profile from the repository
+ * @returns {Object} Profile for API responses
+ */
+function maskProfile(profile) {
+  const { client_key_encrypted, client_pfx_encrypted, passphrase_encrypted, ...rest } = profile;
+  return {
+    ...rest,
+    has_client_key: !!client_key_encrypted,
+    has_client_pfx: !!client_pfx_encrypted,
+    has_passphrase: !!passphrase_encrypted,
+  };
+}
+
+/**
+ * Get the profile fields of a request body (encrypted columns cannot be written directly)
+ * @param {Object} body - Request body
+ * @returns {Object} Profile data
+ */
+function toProfileData(body) {
+  const data = { ...(body || {}) };
+  ENCRYPTED_FIELDS.forEach((field) => delete data[field]);
+  return data;
+}
+
+/**
+ * Validate TLS profile payload
+ * @param {Object} body - Profile data
+ * @param {Object|null} existing - Existing profile (update)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateProfile(body, existing = null) {
+  const merged = { ...(existing ? decryptProfile(existing) : {}), ...body };
+  const certType = merged.client_cert_type || null;
+
+  if (!merged.name) {
+    return "name is required";
+  }
+  if (!merged.match_host || !String(merged.match_host).trim()) {
+    return "match_host is required";
+  }
+  if (merged.verify !== undefined && merged.verify !== null && merged.verify !== "" && typeof merged.verify !== "boolean") {
+    return "verify must be true, false or null (global default)";
+  }
+  if (certType && !CLIENT_CERT_TYPES.includes(certType)) {
+    return `client_cert_type must be one of ${CLIENT_CERT_TYPES.join(", ")}`;
+  }
+  if (merged.min_version && !TLS_VERSIONS.includes(merged.min_version)) {
+    return `min_version must be one of ${TLS_VERSIONS.join(", ")}`;
+  }
+  if (merged.servername && (net.isIP(merged.servername) || !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i.test(merged.servername))) {
+    return "servername must be a host name (SNI does not carry IP addresses)";
+  }
+  if (merged.priority !== undefined && merged.priority !== null && merged.priority !== "" && !Number.isInteger(Number(merged.priority))) {
+    return "priority must be an integer";
+  }
+  if (merged.ca_bundle && !String(merged.ca_bundle).includes("-----BEGIN CERTIFICATE-----")) {
+    return "ca_bundle must contain PEM certificates";
+  }
+
+  if (certType === "pem" && (!merged.client_cert || !merged.client_key)) {
+    return "client_cert and client_key are required for PEM client certificates";
+  }
+  if (certType === "pkcs12") {
+    if (!merged.client_pfx) {
+      return "client_pfx is required for PKCS#12 client certificates";
+    }
+    if (!/^[A-Za-z0-9+/]+=*$/.test(String(merged.client_pfx).replace(/\s/g, ""))) {
+      return "client_pfx must be the PKCS#12 file encoded in base64";
+    }
+  }
+
+  return validateProfileMaterial({ ...merged, client_cert_type: certType });
+}
+
+/**
+ * Send a HEAD request to an HTTPS URL with the TLS options of a profile (through the upstream proxy when one applies)
+ * Certificate verification is reported rather than enforced, so that the result shows why a backend would be rejected
+ * @param {URL} url - Target URL
+ * @param {Object|null} profile - TLS profile (null: global default)
+ * @param {boolean} defaultVerify - Certificate verification when the profile does not set it
+ * @returns {Promise<Object>} { status, protocol, authorized, authorizationError, certificate }
+ */
+async function sendTestRequest(url, profile, defaultVerify) {
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  const port = parseInt(url.port, 10) || 443;
+  const upstream = await getUpstreamProxy().resolve(url.href);
+  const tunnel = upstream && !upstream.direct ? await getUpstreamProxy().connect(upstream, host, port) : null;
+
+  return new Promise((resolve, reject) => {
+    const req = https.request(
+      url,
+      {
+        method: "HEAD",
+        agent: false,
+        timeout: TEST_TIMEOUT_MS,
+        servername: net.isIP(host) ? undefined : host,
+        ...(profile ? getTlsProfiles().getTlsOptions(profile, defaultVerify) : {}),
+        rejectUnauthorized: false,
+        ...(tunnel ? { createConnection: (options) => tls.connect({ ...options, socket: tunnel }) } : {}),
+      },
+      (response) => {
+        const socket = response.socket;
+        const certificate = socket.getPeerCertificate();
+        response.resume();
+        resolve({
+          status: response.statusCode,
+          protocol: socket.getProtocol(),
+          authorized: socket.authorized,
+          authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+          certificate:
+            certificate && certificate.subject
+              ? {
+                  subject: certificate.subject.CN || null,
+                  issuer: certificate.issuer ? certificate.issuer.CN || certificate.issuer.O || null : null,
+                  validTo: certificate.valid_to,
+                }
+              : null,
+        });
+      },
+    );
+
+    req.on("timeout", () => req.destroy(new Error(`No response from ${url.host} within ${TEST_TIMEOUT_MS} ms`)));
+    req.on("error", (error) => {
+      if (tunnel) tunnel.destroy();
+      reject(error);
+    });
+    req.end();
+  });
+}
+
+/**
+ * Initialize routes
+ * @param {HttpForwarder} forwarder - Backend forwarder (global certificate verification default)
+ */
+function initializeRoutes(forwarder) {
+  const getDefaultVerify = () => !(forwarder && forwarder.config.isInsecureMode());
+
+  /**
+   * GET /api/tls-profiles
+   * Get all TLS profiles ordered by priority
+   */
+  router.get("/", (req, res) => {
+    try {
+      const profiles = tlsProfileRepository.getAllProfiles().map(maskProfile);
+      res.json({ success: true, data: profiles, count: profiles.length });
+    } catch (error) {
+      logger.error("Failed to get TLS profiles", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/tls-profiles/test
+   * Send a HEAD request to an HTTPS URL with the TLS profile of its host
+   * Body: { url }
+   */
+  router.post("/test", async (req, res) => {
+    const { url } = req.body || {};
+    if (!url || !/^https:\/\/\S+$/i.test(url)) {
+      return res.status(400).json({ success: false, error: "url must be an absolute https:// URL" });
+    }
+
+    try {
+      const target = new URL(url);
+      const profile = getTlsProfiles().resolve(target.hostname);
+      const verify = profile && profile.verify !== null ? profile.verify : getDefaultVerify();
+      const data = { url, profile: profile ? { id: profile.id, name: profile.name } : null, verify };
+
+      try {
+        const result = await sendTestRequest(target, profile, getDefaultVerify());
+        res.json({ success: true, data: { ...data, ...result, connected: true, rejected: verify && !result.authorized } });
+      } catch (error) {
+        res.json({ success: true, data: { ...data, connected: false, error: error.message } });
+      }
+    } catch (error) {
+      logger.error("Failed to test TLS profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/tls-profiles/:id
+   * Get TLS profile by ID
+   */
+  router.get("/:id", (req, res) => {
+    try {
+      const profile = tlsProfileRepository.getProfileById(req.params.id);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: "TLS profile not found" });
+      }
+      res.json({ success: true, data: maskProfile(profile) });
+    } catch (error) {
+      logger.error("Failed to get TLS profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/tls-profiles
+   * Create a TLS profile
+   *
+   * Body:
+   * - name, match_host (required): exact host, wildcard ("*.corp.example.com") or domain suffix (".corp.example.com")
+   * - verify: true / false, null uses the global default
+   * - ca_bundle: PEM certificates trusted in addition to the system CAs
+   * - client_cert_type: 'pem' (client_cert, client_key) or 'pkcs12' (client_pfx, base64), passphrase
+   * - servername (SNI override), min_version (TLSv1 - TLSv1.3)
+   * - priority (lower checked first), enabled (default true)
+   */
+  router.post("/", (req, res) => {
+    try {
+      const body = toProfileData(req.body);
+      const validationError = validateProfile(body);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const profile = tlsProfileRepository.createProfile(body);
+      getTlsProfiles().reload();
+      res.status(201).json({ success: true, data: maskProfile(profile) });
+    } catch (error) {
+      logger.error("Failed to create TLS profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/tls-profiles/:id
+   * Update a TLS profile (only provided fields are changed, omitted secrets are kept, "" removes them)
+   */
+  router.put("/:id", (req, res) => {
+    try {
+      const existing = tlsProfileRepository.getProfileById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: "TLS profile not found" });
+      }
+
+      const body = toProfileData(req.body);
+      const validationError = validateProfile(body, existing);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const profile = tlsProfileRepository.updateProfile(req.params.id, body);
+      getTlsProfiles().reload();
+      res.json({ success: true, data: maskProfile(profile) });
+    } catch (error) {
+      logger.error("Failed to update TLS profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/tls-profiles/:id
+   * Delete a TLS profile
+   */
+  router.delete("/:id", (req, res) => {
+    try {
+      const deleted = tlsProfileRepository.deleteProfile(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: "TLS profile not found" });
+      }
+      getTlsProfiles().reload();
+      res.json({ success: true, message: "TLS profile deleted" });
+    } catch (error) {
+      logger.error("Failed to delete TLS profile", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
@@ -0,0 +1,101 @@
+/**
+ * websockets.js
+ *
+ * API routes for recorded WebSocket connections
+ * - Connections are recorded in recording mode and replayed in replay mode (see core/forwarder/WebSocketProxy)
+ * - Frames are returned in order with their direction and time since the connection opened
+ */
+
+const express = require("express");
+const router = express.Router();
+const logger = require("../../utils/logger");
+const websocketRepository = require("../../database/repositories/websocket_repository");
+const collectionRepository = require("../../database/repositories/collection_repository");
+const { OPCODES, OPCODE_NAMES, getCloseCode } = require("../../utils/websocketFrames");
+
+/**
+ * Convert a frame to API format: text payloads as text, close frames as code + reason, others base64
+ * @param {Object} frame - Frame (see websocketRepository.getConnectionById)
+ * @returns {Object} { id, direction, type, opcode, fin, offset_ms, size, payload, payload_encoding }
+ */
+function formatFrame(frame) {
+  const { data, connection_id, payload, payload_encoding, ...rest } = frame;
+  let text = payload;
+  let encoding = payload_encoding;
+  if (frame.opcode === OPCODES.CLOSE) {
+    const code = getCloseCode(data);
+    text = code === null ? "" : `${code} ${data.subarray(2).toString("utf8")}`.trim();
+    encoding = null;
+  }
+  return { ...rest, type: OPCODE_NAMES[frame.opcode] || `opcode ${frame.opcode}`, size: data.length, payload: text, payload_encoding: encoding };
+}
+
+/**
+ * Initialize routes
+ */
+function initializeRoutes() {
+  /**
+   * GET /api/websockets
+   * Get recorded connections (latest first)
+   * Query: host, path (substring), collectionId, limit
+   */
+  router.get("/", (req, res) => {
+    try {
+      const { host, path, collectionId, limit } = req.query;
+      const connections = websocketRepository.getConnections({
+        host,
+        path,
+        collectionId: collectionId ? parseInt(collectionId, 10) : null,
+        limit: limit ? Math.min(parseInt(limit, 10) || 200, 1000) : 200,
+      });
+      res.json({ success: true, data: connections, count: connections.length });
+    } catch (error) {
+      logger.error("Failed to get WebSocket connections", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/websockets/:id
+   * Get a recorded connection with its frames
+   */
+  router.get("/:id", (req, res) => {
+    try {
+      const connection = websocketRepository.getConnectionById(req.params.id);
+      if (!connection) {
+        return res.status(404).json({ success: false, error: "WebSocket connection not found" });
+      }
+      res.json({ success: true, data: { ...connection, frames: connection.frames.map(formatFrame) } });
+    } catch (error) {
+      logger.error("Failed to get WebSocket connection", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/websockets/:id
+   * Delete a recorded connection and its frames
+   */
+  router.delete("/:id", (req, res) => {
+    try {
+      const connection = websocketRepository.getConnectionById(req.params.id);
+      if (!connection) {
+        return res.status(404).json({ success: false, error: "WebSocket connection not found" });
+      }
+      const collection = connection.collection_id ? collectionRepository.getCollectionById(connection.collection_id) : null;
+      if (collection && collection.locked) {
+        return res.status(409).json({ success: false, error: `Collection '${collection.name}' is locked` });
+      }
+
+      websocketRepository.deleteConnection(connection.id);
+      res.json({ success: true, message: "WebSocket connection deleted" });
+    } catch (error) {
+      logger.error("Failed to delete WebSocket connection", { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeRoutes;
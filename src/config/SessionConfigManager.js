@@ -14,6 +14,11 @@
  * - update: Array of rules to extract tokens from responses
  *   Each rule has: method, endpoint, source (cookie/body/header), key, pattern, type
  * - session: Settings object with expiry (seconds)
+ *
+ * App profiles:
+ * - The config row above belongs to the "default" app profile
+ * - Named profiles keep their session config in the profiles config (see TrafficConfigManager);
+ *   forProfile(name) returns a manager scoped to one of them
  */
 
 const db = require("../database/connection");
@@ -24,6 +29,9 @@ class SessionConfigManager {
   constructor() {
     this.config = null;
     this.configLoaded = false;
+
+    // Managers of named app profiles (root manager only)
+    this._profiles = new Map();
   }
 
   /**
@@ -87,6 +95,14 @@ class SessionConfigManager {
     return this.config !== null;
   }
 
+  /**
+   * Check if the default or any named app profile has session config
+   * @returns {boolean} True if any session config exists
+   */
+  hasAnyConfig() {
+    return this.hasConfig() || [...this._profiles.values()].some((manager) => manager.hasConfig());
+  }
+
   /**
    * Get create rules
    * @returns {Array} Array of create rules
@@ -126,9 +142,10 @@ class SessionConfigManager {
    * - Converts method="Any" to method=null (null means any method)
    * - Converts empty endpoint to null (null means any endpoint)
    * @param {Object} config - Session configuration
+   * @param {string|null} actor - Who made the change (stored in config.updated_by)
    * @returns {Promise<boolean>} Success status
    */
-  async saveConfig(config) {
+  async saveConfig(config, actor = null) {
     try {
       // Normalize configuration before saving
       const normalizedConfig = this._normalizeConfig(config);
@@ -141,9 +158,11 @@ class SessionConfigManager {
       const existing = database.prepare("SELECT id FROM config WHERE type = 'session'").get();
 
       if (existing) {
-        database.prepare("UPDATE config SET config = ?, updated_at = ? WHERE type = 'session'").run(configJson, now);
+        database.prepare("UPDATE config SET config = ?, updated_by = ?, updated_at = ? WHERE type = 'session'").run(configJson, actor, now);
       } else {
-        database.prepare("INSERT INTO config (type, config, created_at, updated_at) VALUES ('session', ?, ?, ?)").run(configJson, now, now);
+        database
+          .prepare("INSERT INTO config (type, config, created_by, created_at, updated_by, updated_at) VALUES ('session', ?, ?, ?, ?, ?)")
+          .run(configJson, actor, now, actor, now);
       }
 
       this.config = normalizedConfig;
@@ -560,6 +579,41 @@ class SessionConfigManager {
       .filter(Boolean);
   }
 
+  /**
+   * Get update rules by type across the default and all named app profiles
+   * Used where the app profile of a request is not known (e.g. looking up sessions by cookie name)
+   * @param {string} type - "cookie" or "auth"
+   * @returns {Array} Filtered update rules
+   */
+  getAllUpdateRulesByType(type) {
+    return [this, ...this._profiles.values()].flatMap((manager) => manager.getUpdateRulesByType(type));
+  }
+
+  /**
+   * Set the session configs of the named app profiles (called by TrafficConfigManager when profiles load or change)
+   * @param {Array<Object>} profiles - App profiles { name, session }
+   */
+  setProfiles(profiles) {
+    const managers = new Map();
+    for (const profile of profiles || []) {
+      const manager = new SessionConfigManager();
+      manager.config = profile.session ? this._normalizeConfig(profile.session) : null;
+      manager.configLoaded = true;
+      managers.set(profile.name, manager);
+    }
+    this._profiles = managers;
+  }
+
+  /**
+   * Get a manager scoped to an app profile
+   * Unknown names and the default profile return the root manager
+   * @param {string|null} name - Profile name
+   * @returns {SessionConfigManager} Scoped manager
+   */
+  forProfile(name) {
+    return (name && this._profiles.get(name)) || this;
+  }
+
   /**
    * Refresh configuration from database
    * @returns {Promise<Object|null>} Refreshed config
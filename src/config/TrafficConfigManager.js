@@ -8,6 +8,13 @@
  * - traffic: Monitor settings (header/query param pattern matching) and domain list
  * - mapping: Field mapping for app_version, app_platform, app_environment, app_language, correlation_id, traceability_id
  * - endpoint: Endpoint type classification rules (public/secure patterns) and tags
+ * - profiles: Named app profiles, each with its own traffic, mapping, endpoint and session config
+ *
+ * App profiles:
+ * - The traffic/mapping/endpoint/session config rows form the "default" profile
+ * - Named profiles (e.g. a consumer app and an advisor app) are checked first, in their configured order;
+ *   a request uses the first profile whose monitor criteria and domain list match it
+ * - forProfile(name) returns a manager scoped to one profile (same API, proxy config is shared)
  *
  * Important: No default configurations are stored in code.
  * If config is missing, traffic is not monitored (passthrough mode).
@@ -16,7 +23,13 @@
 const logger = require("../utils/logger");
 const dbConnection = require("../database/connection");
 const { getLocalISOString } = require("../utils/datetimeUtils");
+const { encrypt } = require("../utils/crypto");
 const { normalizeLanguage, normalizePlatform, normalizeEnvironment } = require("../utils/header_extractor");
+const { getInstance: getSessionConfigManager } = require("./SessionConfigManager");
+
+const DEFAULT_PROFILE = "default";
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,39}$/;
+const PROFILE_SECTIONS = ["traffic", "mapping", "endpoint", "session"];
 
 class TrafficConfigManager {
   constructor() {
@@ -26,6 +39,12 @@ class TrafficConfigManager {
     this._endpointConfig = null;
     this._proxyConfig = null;
 
+    // App profiles (only used by the root manager; profile managers have _parent set)
+    this._profileName = DEFAULT_PROFILE;
+    this._parent = null;
+    this._profilesConfig = [];
+    this._profiles = new Map();
+
     // Compiled regex patterns for performance
     this._compiledMonitorPattern = null;
     this._compiledDomainPatterns = null;
@@ -60,6 +79,28 @@ class TrafficConfigManager {
         match_language: 1, // 1 = Exact (always)
         match_endpoint: [], // Always empty for RECORDING mode (exact match only)
       },
+      // Response drift detection in RECORDING mode (see core/drift/DriftDetector.js)
+      drift: {
+        enabled: true,
+        ignorePaths: ["$..timestamp", "$..updatedAt", "$..updated_at"], // JSONPath expressions left out of the diff
+        historyLimit: 20, // Previous bodies kept per response
+      },
+      // Upstream proxy for backend connections (see core/forwarder/UpstreamProxy.js)
+      upstreamProxy: {
+        enabled: false,
+        mode: "manual", // "manual" (url + include/exclude host patterns) or "pac"
+        url: "", // http(s)://proxy.corp.example.com:3128
+        username: "", // Basic auth, the password is stored encrypted (passwordEncrypted)
+        include: [], // Only these hosts use the proxy (empty = all hosts)
+        exclude: ["localhost", "127.0.0.1"], // These hosts never use the proxy
+        pacUrl: "", // PAC file URL (mode "pac")
+        pacScript: "", // Inline PAC file, used instead of pacUrl when set
+      },
+      // HTTP/2 (see core/forwarder/HttpsInterceptor.js and HttpForwarder.js)
+      http2: {
+        enabled: true, // Offer h2 to apps on intercepted HTTPS connections (ALPN)
+        upstreamHosts: [], // HTTPS backends sharing one native h2 session instead of curl (host patterns, see UpstreamProxy.matchesHost)
+      },
     };
   }
 
@@ -75,6 +116,7 @@ class TrafficConfigManager {
       await this._loadMappingConfig();
       await this._loadEndpointConfig();
       await this._loadProxyConfig();
+      await this._loadProfilesConfig();
 
       this._initialized = true;
       logger.info("[TrafficConfigManager] Configuration initialized successfully", {
@@ -82,7 +124,8 @@ class TrafficConfigManager {
         hasMappingConfig: !!this._mappingConfig,
         hasEndpointConfig: !!this._endpointConfig,
         hasProxyConfig: !!this._proxyConfig,
-        monitoringEnabled: this._isMonitoringEnabled(),
+        appProfiles: this._profilesConfig.map((profile) => profile.name),
+        monitoringEnabled: this.isMonitoringEnabled(),
       });
     } catch (error) {
       logger.error("[TrafficConfigManager] Failed to initialize configuration", {
@@ -213,6 +256,46 @@ class TrafficConfigManager {
     }
   }
 
+  /**
+   * Load named app profiles from database and build their managers
+   * @private
+   */
+  async _loadProfilesConfig() {
+    try {
+      const database = dbConnection.getDatabase();
+      const row = database.prepare("SELECT config FROM config WHERE type = 'profiles'").get();
+      this._profilesConfig = row && row.config ? JSON.parse(row.config) : [];
+    } catch (error) {
+      logger.error("[TrafficConfigManager] Failed to load app profiles", {
+        error: error.message,
+      });
+      this._profilesConfig = [];
+    }
+    this._buildProfiles();
+  }
+
+  /**
+   * Build a scoped manager for each named app profile
+   * Session rules of the profiles are handed to SessionConfigManager
+   * @private
+   */
+  _buildProfiles() {
+    const profiles = new Map();
+    for (const profile of this._profilesConfig) {
+      const manager = new TrafficConfigManager();
+      manager._profileName = profile.name;
+      manager._parent = this;
+      manager._trafficConfig = profile.traffic || null;
+      manager._mappingConfig = profile.mapping || null;
+      manager._endpointConfig = profile.endpoint || null;
+      manager._compilePatterns();
+      manager._initialized = true;
+      profiles.set(profile.name, manager);
+    }
+    this._profiles = profiles;
+    getSessionConfigManager().setProfiles(this._profilesConfig);
+  }
+
   /**
    * Compile monitor pattern for efficient matching
    * @private
@@ -351,17 +434,31 @@ class TrafficConfigManager {
    * @returns {boolean} True if traffic monitoring is enabled
    */
   isMonitoringEnabled() {
-    return this._isMonitoringEnabled();
+    return this._isMonitoringEnabled() || [...this._profiles.values()].some((profile) => profile._isMonitoringEnabled());
   }
 
   /**
-   * Check if a request should be monitored based on configured criteria
+   * Check if a request should be monitored based on configured criteria (of any app profile)
    * Returns false if traffic config is missing or incomplete
    * @param {Object} headers - Request headers (case-insensitive)
    * @param {Object} queryParams - Query parameters
    * @returns {boolean} True if request matches monitor criteria
    */
   isMonitoredRequest(headers, queryParams = {}) {
+    return (
+      this._matchesMonitorCriteria(headers, queryParams) ||
+      [...this._profiles.values()].some((profile) => profile._matchesMonitorCriteria(headers, queryParams))
+    );
+  }
+
+  /**
+   * Check if a request matches this profile's monitor criteria
+   * @param {Object} headers - Request headers (case-insensitive)
+   * @param {Object} queryParams - Query parameters
+   * @returns {boolean} True if request matches monitor criteria
+   * @private
+   */
+  _matchesMonitorCriteria(headers, queryParams = {}) {
     // If monitoring is not enabled, return false (passthrough mode)
     if (!this._isMonitoringEnabled()) {
       return false;
@@ -402,54 +499,60 @@ class TrafficConfigManager {
   }
 
   /**
-   * Get domain names only
+   * Get domain names only (of all app profiles, used for DPSESSION cookies)
    * @returns {Array} Array of domain pattern strings
    */
   getDomainNames() {
-    const domains = this.getMonitoredDomains();
-    return domains.map((d) => d.domain);
+    const domains = [this, ...this._profiles.values()].flatMap((manager) => manager.getMonitoredDomains());
+    return [...new Set(domains.map((d) => d.domain))];
   }
 
   /**
-   * Check if a domain is monitored (matches any domain pattern)
+   * Check if a domain is monitored (matches any domain pattern of any app profile)
    * @param {string} domain - Domain name to check
    * @returns {boolean} True if domain matches any monitored pattern
    */
   isMonitoredDomain(domain) {
-    if (!domain) return false;
-    if (!this._compiledDomainPatterns || this._compiledDomainPatterns.length === 0) {
-      return false;
-    }
-
-    const lowerDomain = domain.toLowerCase();
-    return this._compiledDomainPatterns.some((dp) => dp.pattern.test(lowerDomain));
+    return !!this._findDomain(domain) || [...this._profiles.values()].some((profile) => !!profile._findDomain(domain));
   }
 
   /**
-   * Check if a domain requires HTTPS
+   * Check if a domain requires HTTPS (first app profile that lists the domain decides)
    * @param {string} domain - Domain name to check
    * @returns {boolean} True if domain is configured as secure (HTTPS)
    */
   isSecureDomain(domain) {
-    if (!domain) return false;
+    for (const manager of [this, ...this._profiles.values()]) {
+      const match = manager._findDomain(domain);
+      if (match) {
+        return match.secure;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Find this profile's domain pattern matching a domain
+   * @param {string} domain - Domain name to check
+   * @returns {Object|null} Compiled domain entry { pattern, secure, original } or null
+   * @private
+   */
+  _findDomain(domain) {
+    if (!domain) return null;
     if (!this._compiledDomainPatterns || this._compiledDomainPatterns.length === 0) {
-      return false;
+      return null;
     }
 
     const lowerDomain = domain.toLowerCase();
-    for (const dp of this._compiledDomainPatterns) {
-      if (dp.pattern.test(lowerDomain)) {
-        return dp.secure;
-      }
-    }
-    return false;
+    return this._compiledDomainPatterns.find((dp) => dp.pattern.test(lowerDomain)) || null;
   }
 
   /**
    * Update traffic configuration
    * @param {Object} config - New traffic configuration
+   * @param {string|null} actor - Who made the change (stored in config.updated_by)
    */
-  async updateTrafficConfig(config) {
+  async updateTrafficConfig(config, actor = null) {
     try {
       const database = dbConnection.getDatabase();
 
@@ -458,11 +561,13 @@ class TrafficConfigManager {
       const configJson = JSON.stringify(config);
 
       if (existing) {
-        database.prepare("UPDATE config SET config = ?, updated_at = ? WHERE type = 'traffic'").run(configJson, getLocalISOString());
+        database
+          .prepare("UPDATE config SET config = ?, updated_by = ?, updated_at = ? WHERE type = 'traffic'")
+          .run(configJson, actor, getLocalISOString());
       } else {
         database
-          .prepare("INSERT INTO config (type, config, created_at, updated_at) VALUES ('traffic', ?, ?, ?)")
-          .run(configJson, getLocalISOString(), getLocalISOString());
+          .prepare("INSERT INTO config (type, config, created_by, created_at, updated_by, updated_at) VALUES ('traffic', ?, ?, ?, ?, ?)")
+          .run(configJson, actor, getLocalISOString(), actor, getLocalISOString());
       }
 
       // Update cache
@@ -552,8 +657,9 @@ class TrafficConfigManager {
   /**
    * Update mapping configuration
    * @param {Object} config - New mapping configuration
+   * @param {string|null} actor - Who made the change (stored in config.updated_by)
    */
-  async updateMappingConfig(config) {
+  async updateMappingConfig(config, actor = null) {
     try {
       const database = dbConnection.getDatabase();
 
@@ -562,11 +668,13 @@ class TrafficConfigManager {
       const configJson = JSON.stringify(config);
 
       if (existing) {
-        database.prepare("UPDATE config SET config = ?, updated_at = ? WHERE type = 'mapping'").run(configJson, getLocalISOString());
+        database
+          .prepare("UPDATE config SET config = ?, updated_by = ?, updated_at = ? WHERE type = 'mapping'")
+          .run(configJson, actor, getLocalISOString());
       } else {
         database
-          .prepare("INSERT INTO config (type, config, created_at, updated_at) VALUES ('mapping', ?, ?, ?)")
-          .run(configJson, getLocalISOString(), getLocalISOString());
+          .prepare("INSERT INTO config (type, config, created_by, created_at, updated_by, updated_at) VALUES ('mapping', ?, ?, ?, ?, ?)")
+          .run(configJson, actor, getLocalISOString(), actor, getLocalISOString());
       }
 
       // Update cache
@@ -664,8 +772,9 @@ class TrafficConfigManager {
   /**
    * Update endpoint configuration
    * @param {Object} config - New endpoint configuration
+   * @param {string|null} actor - Who made the change (stored in config.updated_by)
    */
-  async updateEndpointConfig(config) {
+  async updateEndpointConfig(config, actor = null) {
     try {
       const database = dbConnection.getDatabase();
 
@@ -674,11 +783,13 @@ class TrafficConfigManager {
       const configJson = JSON.stringify(config);
 
       if (existing) {
-        database.prepare("UPDATE config SET config = ?, updated_at = ? WHERE type = 'endpoint'").run(configJson, getLocalISOString());
+        database
+          .prepare("UPDATE config SET config = ?, updated_by = ?, updated_at = ? WHERE type = 'endpoint'")
+          .run(configJson, actor, getLocalISOString());
       } else {
         database
-          .prepare("INSERT INTO config (type, config, created_at, updated_at) VALUES ('endpoint', ?, ?, ?)")
-          .run(configJson, getLocalISOString(), getLocalISOString());
+          .prepare("INSERT INTO config (type, config, created_by, created_at, updated_by, updated_at) VALUES ('endpoint', ?, ?, ?, ?, ?)")
+          .run(configJson, actor, getLocalISOString(), actor, getLocalISOString());
       }
 
       // Update cache
@@ -704,6 +815,11 @@ class TrafficConfigManager {
    * @returns {Object} Proxy configuration with defaults
    */
   getProxyConfig() {
+    // Proxy config is shared by all app profiles
+    if (this._parent) {
+      return this._parent.getProxyConfig();
+    }
+
     // Return merged config with defaults
     return {
       ...this._defaultProxyConfig,
@@ -739,6 +855,33 @@ class TrafficConfigManager {
     return config.replayLatency || this._defaultProxyConfig.replayLatency;
   }
 
+  /**
+   * Get response drift detection configuration
+   * @returns {Object} { enabled, ignorePaths, historyLimit }
+   */
+  getDriftConfig() {
+    const config = this.getProxyConfig();
+    return { ...this._defaultProxyConfig.drift, ...config.drift };
+  }
+
+  /**
+   * Get upstream proxy configuration
+   * @returns {Object} { enabled, mode, url, username, passwordEncrypted, include, exclude, pacUrl, pacScript }
+   */
+  getUpstreamProxyConfig() {
+    const config = this.getProxyConfig();
+    return { ...this._defaultProxyConfig.upstreamProxy, ...config.upstreamProxy };
+  }
+
+  /**
+   * Get HTTP/2 configuration
+   * @returns {Object} { enabled, upstreamHosts }
+   */
+  getHttp2Config() {
+    const config = this.getProxyConfig();
+    return { ...this._defaultProxyConfig.http2, ...config.http2 };
+  }
+
   /**
    * Get endpoint matching patterns for REPLAY mode
    * @returns {Array<string>} Array of regex pattern strings
@@ -750,9 +893,11 @@ class TrafficConfigManager {
 
   /**
    * Update proxy configuration
-   * @param {Object} config - New proxy configuration (replayLatency and replayDefaults can be updated)
+   * @param {Object} config - New proxy configuration (replayLatency, replayDefaults, drift, upstreamProxy and http2 can be updated).
+   *   upstreamProxy.password is stored encrypted: a string replaces the password, "" removes it, undefined keeps it
+   * @param {string|null} actor - Who made the change (stored in config.updated_by)
    */
-  async updateProxyConfig(config) {
+  async updateProxyConfig(config, actor = null) {
     try {
       const database = dbConnection.getDatabase();
 
@@ -811,6 +956,17 @@ class TrafficConfigManager {
         },
         // Recording defaults are read-only, always use defaults
         recordingDefaults: { ...this._defaultProxyConfig.recordingDefaults },
+        drift: {
+          ...this._defaultProxyConfig.drift,
+          ...(this._proxyConfig && this._proxyConfig.drift),
+          ...config.drift,
+        },
+        upstreamProxy: this._mergeUpstreamProxy(config.upstreamProxy),
+        http2: {
+          ...this._defaultProxyConfig.http2,
+          ...(this._proxyConfig && this._proxyConfig.http2),
+          ...config.http2,
+        },
       };
 
       // Upsert the config
@@ -818,11 +974,13 @@ class TrafficConfigManager {
       const configJson = JSON.stringify(mergedConfig);
 
       if (existing) {
-        database.prepare("UPDATE config SET config = ?, updated_at = ? WHERE type = 'proxy'").run(configJson, getLocalISOString());
+        database
+          .prepare("UPDATE config SET config = ?, updated_by = ?, updated_at = ? WHERE type = 'proxy'")
+          .run(configJson, actor, getLocalISOString());
       } else {
         database
-          .prepare("INSERT INTO config (type, config, created_at, updated_at) VALUES ('proxy', ?, ?, ?)")
-          .run(configJson, getLocalISOString(), getLocalISOString());
+          .prepare("INSERT INTO config (type, config, created_by, created_at, updated_by, updated_at) VALUES ('proxy', ?, ?, ?, ?, ?)")
+          .run(configJson, actor, getLocalISOString(), actor, getLocalISOString());
       }
 
       // Update cache
@@ -837,6 +995,141 @@ class TrafficConfigManager {
     }
   }
 
+  /**
+   * Merge an upstream proxy update with the current settings, encrypting the password
+   * @param {Object} [update] - Upstream proxy settings (password in plain text)
+   * @returns {Object} Upstream proxy settings to store
+   * @private
+   */
+  _mergeUpstreamProxy(update) {
+    const { password, hasPassword, ...fields } = update || {};
+    const merged = {
+      ...this._defaultProxyConfig.upstreamProxy,
+      ...(this._proxyConfig && this._proxyConfig.upstreamProxy),
+      ...fields,
+    };
+    if (typeof password === "string") {
+      merged.passwordEncrypted = password ? encrypt(password) : null;
+    }
+    return merged;
+  }
+
+  // ============================================================================
+  // App Profile Methods
+  // ============================================================================
+
+  /**
+   * Get the name of the app profile this manager is scoped to
+   * @returns {string} Profile name ("default" for the root manager)
+   */
+  getProfileName() {
+    return this._profileName;
+  }
+
+  /**
+   * Get named app profiles in match order
+   * @returns {Array<Object>} Profiles { name, description, traffic, mapping, endpoint, session }
+   */
+  getProfiles() {
+    return this._profilesConfig;
+  }
+
+  /**
+   * Get a named app profile
+   * @param {string} name - Profile name
+   * @returns {Object|null} Profile or null if not found
+   */
+  getProfile(name) {
+    return this._profilesConfig.find((profile) => profile.name === name) || null;
+  }
+
+  /**
+   * Get a manager scoped to an app profile
+   * Unknown names and the default profile return the root manager
+   * @param {string|null} name - Profile name
+   * @returns {TrafficConfigManager} Scoped manager
+   */
+  forProfile(name) {
+    if (this._parent) {
+      return this._parent.forProfile(name);
+    }
+    return (name && this._profiles.get(name)) || this;
+  }
+
+  /**
+   * Select the app profile of a request: the first profile (named profiles in order, then default)
+   * whose monitor criteria and domain list both match
+   * @param {Object} headers - Request headers (case-insensitive)
+   * @param {Object} queryParams - Query parameters
+   * @param {string} host - Request host
+   * @returns {string|null} Profile name, or null if the request is not monitored
+   */
+  matchProfile(headers, queryParams = {}, host = null) {
+    for (const manager of [...this._profiles.values(), this]) {
+      if (manager._isMonitoringEnabled() && manager._matchesMonitorCriteria(headers, queryParams) && manager._findDomain(host)) {
+        return manager._profileName;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replace all named app profiles
+   * @param {Array<Object>} profiles - Profiles in match order
+   * @param {string|null} actor - Who made the change (stored in config.updated_by)
+   */
+  async updateProfilesConfig(profiles, actor = null) {
+    try {
+      const database = dbConnection.getDatabase();
+
+      // Upsert the config
+      const existing = database.prepare("SELECT id FROM config WHERE type = 'profiles'").get();
+      const configJson = JSON.stringify(profiles);
+
+      if (existing) {
+        database
+          .prepare("UPDATE config SET config = ?, updated_by = ?, updated_at = ? WHERE type = 'profiles'")
+          .run(configJson, actor, getLocalISOString());
+      } else {
+        database
+          .prepare("INSERT INTO config (type, config, created_by, created_at, updated_by, updated_at) VALUES ('profiles', ?, ?, ?, ?, ?)")
+          .run(configJson, actor, getLocalISOString(), actor, getLocalISOString());
+      }
+
+      // Update cache
+      this._profilesConfig = profiles;
+      this._buildProfiles();
+
+      logger.info("[TrafficConfigManager] App profiles updated", {
+        profiles: profiles.map((profile) => profile.name),
+      });
+    } catch (error) {
+      logger.error("[TrafficConfigManager] Failed to update app profiles", {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update one section (traffic, mapping, endpoint or session) of a named app profile
+   * @param {string} name - Profile name
+   * @param {string} section - Section name
+   * @param {Object} config - New section config
+   * @param {string|null} actor - Who made the change (stored in config.updated_by)
+   */
+  async updateProfileSection(name, section, config, actor = null) {
+    if (!PROFILE_SECTIONS.includes(section)) {
+      throw new Error(`Unknown app profile section: ${section}`);
+    }
+    if (!this.getProfile(name)) {
+      throw new Error(`App profile '${name}' not found`);
+    }
+
+    const profiles = this._profilesConfig.map((profile) => (profile.name === name ? { ...profile, [section]: config } : profile));
+    await this.updateProfilesConfig(profiles, actor);
+  }
+
   // ============================================================================
   // Refresh Methods
   // ============================================================================
@@ -850,6 +1143,7 @@ class TrafficConfigManager {
     await this._loadMappingConfig();
     await this._loadEndpointConfig();
     await this._loadProxyConfig();
+    await this._loadProfilesConfig();
     logger.info("[TrafficConfigManager] All configurations refreshed from database");
   }
 
@@ -907,4 +1201,7 @@ module.exports = {
   TrafficConfigManager,
   getInstance,
   initializeInstance,
+  DEFAULT_PROFILE,
+  PROFILE_NAME_PATTERN,
+  PROFILE_SECTIONS,
 };
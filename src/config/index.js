@@ -7,6 +7,25 @@
 
 require("dotenv").config();
 
+const crypto = require("crypto");
+
+/**
+ * Get a secret from the environment, or a random one for this run
+ * Unset values and the example values of .env.example ("...change-in-production") are public, so never used
+ * @param {string} name - Environment variable name
+ * @returns {{value: string, generated: boolean}} Secret and whether it was generated
+ */
+function resolveSecret(name) {
+  const value = process.env[name];
+  if (value && !value.includes("change-in-production")) {
+    return { value, generated: false };
+  }
+  return { value: crypto.randomBytes(32).toString("hex"), generated: true };
+}
+
+const adminApiKey = resolveSecret("ADMIN_API_KEY");
+const jwtSecret = resolveSecret("JWT_SECRET");
+
 const config = {
   // Server configuration
   server: {
@@ -36,11 +55,21 @@ const config = {
 
   // Security configuration
   security: {
-    adminApiKey: process.env.ADMIN_API_KEY || "dev-api-key-change-in-production",
+    adminApiKey: adminApiKey.value,
+    // True when ADMIN_API_KEY is not set: the master key only exists for this run (logged at startup)
+    adminApiKeyGenerated: adminApiKey.generated,
     encryptionKey: process.env.ENCRYPTION_KEY || "0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef",
-    jwtSecret: process.env.JWT_SECRET || "dev-jwt-secret-change-in-production",
+    jwtSecret: jwtSecret.value,
+    // True when JWT_SECRET is not set: console tokens are invalidated by a restart
+    jwtSecretGenerated: jwtSecret.generated,
     sessionCookieName: process.env.SESSION_COOKIE_NAME || "UserSession",
     sessionExpirySeconds: parseInt(process.env.SESSION_EXPIRY_SECONDS || "86400", 10),
+    // Management API / Web UI authentication
+    authEnabled: process.env.AUTH_ENABLED !== "false",
+    consoleTokenExpiry: process.env.CONSOLE_TOKEN_EXPIRY || "12h",
+    // Seeds the first console admin when the console_users table is empty
+    consoleAdminUsername: process.env.CONSOLE_ADMIN_USERNAME || "",
+    consoleAdminPassword: process.env.CONSOLE_ADMIN_PASSWORD || "",
   },
 
   // Data retention configuration
@@ -143,14 +172,18 @@ function validateConfig() {
 
   // Warn about default keys in production
   if (config.server.nodeEnv === "production") {
-    if (config.security.adminApiKey.includes("dev-") || config.security.adminApiKey.includes("change-in-production")) {
+    if (config.security.adminApiKeyGenerated || config.security.adminApiKey.includes("dev-")) {
       errors.push("ADMIN_API_KEY must be changed in production");
     }
 
-    if (config.security.jwtSecret.includes("dev-") || config.security.jwtSecret.includes("change-in-production")) {
+    if (config.security.jwtSecretGenerated || config.security.jwtSecret.includes("dev-")) {
       errors.push("JWT_SECRET must be changed in production");
     }
 
+    if (!config.security.authEnabled) {
+      errors.push("AUTH_ENABLED must not be false in production");
+    }
+
     if (config.security.encryptionKey === "0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef") {
       errors.push("ENCRYPTION_KEY must be changed in production");
     }
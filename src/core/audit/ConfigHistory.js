@@ -0,0 +1,260 @@
+/**
+ * ConfigHistory - Config versions for the audit log
+ *
+ * Route handlers call track() before they change a tracked resource. The audit trail then stores
+ * the snapshot taken before the change, the snapshot taken after the response is sent and the
+ * diff between them, so every tracked audit entry is a config version that can be reverted to.
+ *
+ * Tracked resources (resource_type / resource_id):
+ * - mode                  proxy mode (master config row)
+ * - settings / <section>  traffic, mapping, endpoint, session, proxy or profiles (named app profiles) config; "all" for imports
+ * - configs / <id>        endpoint matching rules
+ * - templates / <id>      response templates
+ * - responses / <id>      recorded responses
+ *
+ * Snapshots are read straight from the database so they reflect what was actually persisted.
+ */
+
+const dbConnection = require("../../database/connection");
+const logger = require("../../utils/logger");
+const { diffJson } = require("../../utils/jsonDiff");
+const { getInstance: getTrafficConfigManager } = require("../../config/TrafficConfigManager");
+const { getInstance: getSessionConfigManager } = require("../../config/SessionConfigManager");
+
+const SETTINGS_SECTIONS = ["traffic", "mapping", "endpoint", "session", "proxy", "profiles"];
+
+// Row-based resources and their tables
+const ROW_TABLES = {
+  configs: "endpoint_matching_config",
+  templates: "dproxy_response_templates",
+  responses: "api_responses",
+};
+
+/**
+ * Read a config row (JSON) by type
+ * @param {string} type - config.type
+ * @returns {Object|null} Parsed config or null if not configured
+ */
+function readConfigRow(type) {
+  const row = dbConnection.getDatabase().prepare("SELECT config FROM config WHERE type = ?").get(type);
+  if (!row || !row.config) return null;
+  try {
+    return JSON.parse(row.config);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Take a snapshot of a tracked resource
+ * @param {string} resourceType - Resource type (see module docs)
+ * @param {string|number|null} resourceId - Resource ID
+ * @returns {Object|null} Snapshot, or null if the resource does not exist
+ */
+function snapshot(resourceType, resourceId = null) {
+  const db = dbConnection.getDatabase();
+
+  if (resourceType === "mode") {
+    const master = readConfigRow("master");
+    return master?.mode ? { mode: master.mode } : null;
+  }
+
+  if (resourceType === "settings") {
+    if (resourceId === "all") {
+      const state = {};
+      for (const section of SETTINGS_SECTIONS) {
+        state[section] = readConfigRow(section);
+      }
+      state.endpointRules = db.prepare("SELECT * FROM endpoint_matching_config ORDER BY id").all();
+      return state;
+    }
+    return readConfigRow(resourceId);
+  }
+
+  if (ROW_TABLES[resourceType]) {
+    return db.prepare(`SELECT * FROM ${ROW_TABLES[resourceType]} WHERE id = ?`).get(resourceId) || null;
+  }
+
+  throw new Error(`Unknown tracked resource: ${resourceType}`);
+}
+
+/**
+ * Check if a resource type is tracked
+ * @param {string} resourceType - Resource type
+ * @param {string|null} resourceId - Resource ID (settings section)
+ * @returns {boolean}
+ */
+function isTracked(resourceType, resourceId = null) {
+  if (resourceType === "mode" || ROW_TABLES[resourceType]) return true;
+  return resourceType === "settings" && (resourceId === "all" || SETTINGS_SECTIONS.includes(resourceId));
+}
+
+/**
+ * Start tracking a change made by the current request
+ * Takes the "before" snapshot now; the audit trail takes the "after" snapshot when the response is sent.
+ *
+ * @param {Object} res - Express response object
+ * @param {string} resourceType - Resource type
+ * @param {string|number|null} resourceId - Resource ID
+ * @param {Object} options - { before: known previous state (e.g. null for creates) }
+ */
+function track(res, resourceType, resourceId = null, options = {}) {
+  try {
+    const id = resourceId === null || resourceId === undefined ? null : String(resourceId);
+    const before = "before" in options ? options.before : snapshot(resourceType, id);
+    res.locals.configChange = { resourceType, resourceId: id, before };
+  } catch (error) {
+    logger.warn("Failed to snapshot config before change", { resourceType, resourceId, error: error.message });
+  }
+}
+
+/**
+ * Build the audit fields for a tracked change (called once the response is sent)
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { resource_type, resource_id, before_state, after_state, changes } or null if nothing was tracked
+ */
+function capture(res) {
+  const change = res.locals.configChange;
+  if (!change) return null;
+
+  try {
+    const after = snapshot(change.resourceType, change.resourceId);
+    return {
+      resource_type: change.resourceType,
+      resource_id: change.resourceId,
+      before_state: change.before,
+      after_state: after,
+      changes: diffJson(change.before, after),
+    };
+  } catch (error) {
+    logger.warn("Failed to snapshot config after change", { resourceType: change.resourceType, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Check why an audit entry cannot be reverted
+ * @param {Object} entry - Audit entry
+ * @returns {string|null} Reason, or null if the entry can be reverted
+ */
+function getRevertError(entry) {
+  if (!entry.changes || !isTracked(entry.resource_type, entry.resource_id)) {
+    return "This audit entry is not a config change";
+  }
+  if (entry.status_code >= 400) {
+    return "The change failed, there is nothing to revert";
+  }
+  // Reverting the first app profile change removes all named profiles
+  if (!entry.before_state && (entry.resource_type === "mode" || entry.resource_type === "settings") && entry.resource_id !== "profiles") {
+    return `${entry.resource_id || entry.resource_type} was not configured before this change`;
+  }
+  return null;
+}
+
+/**
+ * Restore a row to a snapshot: delete it (snapshot null), update it, or re-insert it with its original ID
+ * @param {string} table - Table name
+ * @param {string|number} id - Row ID
+ * @param {Object|null} state - Row snapshot
+ */
+function restoreRow(table, id, state) {
+  const db = dbConnection.getDatabase();
+
+  if (!state) {
+    db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id);
+    return;
+  }
+
+  // Only restore columns that still exist (snapshots can predate migrations)
+  const columns = db
+    .prepare(`PRAGMA table_info(${table})`)
+    .all()
+    .map((col) => col.name)
+    .filter((name) => name !== "id" && name in state);
+
+  const exists = db.prepare(`SELECT id FROM ${table} WHERE id = ?`).get(id);
+  if (exists) {
+    db.prepare(`UPDATE ${table} SET ${columns.map((col) => `${col} = ?`).join(", ")} WHERE id = ?`).run(
+      ...columns.map((col) => state[col]),
+      id,
+    );
+  } else {
+    db.prepare(`INSERT INTO ${table} (id, ${columns.join(", ")}) VALUES (?, ${columns.map(() => "?").join(", ")})`).run(
+      id,
+      ...columns.map((col) => state[col]),
+    );
+  }
+}
+
+/**
+ * Restore a settings section through its config manager (keeps the in-memory caches in sync)
+ * @param {string} section - Settings section
+ * @param {Object} state - Section config
+ * @param {string|null} actor - Who reverted
+ */
+async function restoreSettings(section, state, actor) {
+  const configManager = getTrafficConfigManager();
+  switch (section) {
+    case "traffic":
+      return configManager.updateTrafficConfig(state, actor);
+    case "mapping":
+      return configManager.updateMappingConfig(state, actor);
+    case "endpoint":
+      return configManager.updateEndpointConfig(state, actor);
+    case "proxy":
+      return configManager.updateProxyConfig(state, actor);
+    case "session":
+      return getSessionConfigManager().saveConfig(state, actor);
+    case "profiles":
+      return configManager.updateProfilesConfig(state || [], actor);
+    default:
+      throw new Error(`Unknown settings section: ${section}`);
+  }
+}
+
+/**
+ * Revert a resource to the state it had before an audited change
+ * @param {Object} entry - Audit entry (must pass getRevertError)
+ * @param {Object} options - { modeService: ModeService instance, actor: name of who reverts }
+ * @returns {Promise<Object|null>} Restored state
+ */
+async function revert(entry, options = {}) {
+  const { modeService, actor = null } = options;
+  const state = entry.before_state;
+
+  if (entry.resource_type === "mode") {
+    await modeService.setMode(state.mode, actor);
+  } else if (entry.resource_type === "settings" && entry.resource_id === "all") {
+    for (const section of SETTINGS_SECTIONS) {
+      if (state[section]) {
+        await restoreSettings(section, state[section], actor);
+      }
+    }
+    const db = dbConnection.getDatabase();
+    db.transaction(() => {
+      db.prepare("DELETE FROM endpoint_matching_config").run();
+      for (const rule of state.endpointRules || []) {
+        restoreRow("endpoint_matching_config", rule.id, rule);
+      }
+    })();
+  } else if (entry.resource_type === "settings") {
+    await restoreSettings(entry.resource_id, state, actor);
+  } else {
+    const table = ROW_TABLES[entry.resource_type];
+    const db = dbConnection.getDatabase();
+    db.transaction(() => restoreRow(table, entry.resource_id, state))();
+  }
+
+  logger.info("Config reverted from audit log", { auditId: entry.id, resourceType: entry.resource_type, resourceId: entry.resource_id, actor });
+  return state;
+}
+
+module.exports = {
+  SETTINGS_SECTIONS,
+  snapshot,
+  isTracked,
+  track,
+  capture,
+  getRevertError,
+  revert,
+};
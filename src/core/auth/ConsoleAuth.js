@@ -0,0 +1,233 @@
+/**
+ * ConsoleAuth - Authentication for the management API and Web UI
+ *
+ * Credentials (sent as "Authorization: Bearer <credential>", X-API-Key header or access_token query):
+ * - Master key: ADMIN_API_KEY from the environment, always admin (bootstrap / recovery).
+ *   When it is not set, a random key is generated for the run and logged at startup
+ *   (see logGeneratedSecrets); the example values of .env.example are never accepted.
+ * - API keys: "dpk_..." keys created by an admin, stored as SHA-256 hashes with a role
+ * - JWT: issued by POST /api/auth/login for console users, signed with JWT_SECRET
+ *
+ * Roles are ordered: viewer < tester < admin. A principal satisfies a required role
+ * if its role is the same or higher.
+ *
+ * Principal format (req.auth):
+ * { type: "user" | "api_key" | "master_key" | "anonymous", id, name, role }
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { hash, constantTimeCompare } = require("../../utils/crypto");
+const consoleUserRepository = require("../../database/repositories/console_user_repository");
+const consoleApiKeyRepository = require("../../database/repositories/console_api_key_repository");
+
+const ROLES = consoleUserRepository.ROLES;
+const API_KEY_PREFIX = "dpk_";
+const TOKEN_TYPE = "console";
+const MIN_PASSWORD_LENGTH = 8;
+// Example values ("change-me-now", "...change-in-production") are public and never seeded
+const PLACEHOLDER_PASSWORD = /change-(me|in-production)/i;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Check if a role satisfies a required role
+ * @param {string} role - Principal role
+ * @param {string} required - Required role
+ * @returns {boolean} True if allowed
+ */
+function hasRole(role, required) {
+  const actual = ROLES.indexOf(role);
+  return actual !== -1 && actual >= ROLES.indexOf(required);
+}
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain password
+ * @returns {string} scrypt$<salt>$<hash>
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const derived = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString("hex");
+  return `scrypt$${salt}$${derived}`;
+}
+
+/**
+ * Verify a password against a stored hash
+ * @param {string} password - Plain password
+ * @param {string} stored - Stored hash (scrypt$<salt>$<hash>)
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !expected) {
+    return false;
+  }
+  const derived = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH).toString("hex");
+  return constantTimeCompare(derived, expected);
+}
+
+/**
+ * Create a principal for a console user
+ * @param {Object} user - Console user
+ * @returns {Object} Principal
+ */
+function userPrincipal(user) {
+  return { type: "user", id: user.id, name: user.username, role: user.role };
+}
+
+/**
+ * Principal used when authentication is disabled (AUTH_ENABLED=false)
+ * @returns {Object} Principal
+ */
+function anonymousPrincipal() {
+  return { type: "anonymous", id: null, name: "anonymous", role: "admin" };
+}
+
+/**
+ * Issue a JWT for a console user
+ * @param {Object} user - Console user
+ * @returns {string} Signed token
+ */
+function issueToken(user) {
+  return jwt.sign({ sub: String(user.id), username: user.username, role: user.role, typ: TOKEN_TYPE }, config.security.jwtSecret, {
+    algorithm: "HS256",
+    expiresIn: config.security.consoleTokenExpiry,
+  });
+}
+
+/**
+ * Log in a console user
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {{token: string, user: Object}|null} Token and user, or null if credentials are invalid
+ */
+function login(username, password) {
+  const row = consoleUserRepository.getUserWithPasswordHash(username);
+  if (!row || !row.enabled || !verifyPassword(password, row.password_hash)) {
+    return null;
+  }
+
+  consoleUserRepository.touchLastLogin(row.id);
+  const user = consoleUserRepository.getUserById(row.id);
+  return { token: issueToken(user), user };
+}
+
+/**
+ * Generate a new API key
+ * @returns {{key: string, keyPrefix: string, keyHash: string}}
+ */
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+  return { key, keyPrefix: key.substring(0, API_KEY_PREFIX.length + 6), keyHash: hash(key) };
+}
+
+/**
+ * Resolve a credential to a principal
+ * @param {string} credential - Master key, API key or JWT
+ * @returns {Object|null} Principal or null if the credential is invalid
+ */
+function resolveCredential(credential) {
+  if (!credential) {
+    return null;
+  }
+
+  if (constantTimeCompare(credential, config.security.adminApiKey)) {
+    return { type: "master_key", id: null, name: "master key", role: "admin" };
+  }
+
+  if (credential.startsWith(API_KEY_PREFIX)) {
+    const apiKey = consoleApiKeyRepository.getApiKeyByHash(hash(credential));
+    if (!apiKey || !apiKey.enabled) {
+      return null;
+    }
+    if (apiKey.expires_at && new Date(apiKey.expires_at).getTime() < Date.now()) {
+      return null;
+    }
+    consoleApiKeyRepository.touchLastUsed(apiKey.id);
+    return { type: "api_key", id: apiKey.id, name: apiKey.name, role: apiKey.role };
+  }
+
+  try {
+    const payload = jwt.verify(credential, config.security.jwtSecret, { algorithms: ["HS256"] });
+    if (payload.typ !== TOKEN_TYPE) {
+      return null;
+    }
+    // Role and enabled flag come from the database, so changes apply to existing tokens
+    const user = consoleUserRepository.getUserById(payload.sub);
+    if (!user || !user.enabled) {
+      return null;
+    }
+    return userPrincipal(user);
+  } catch (e) {
+    logger.debug("Console token rejected", { error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Log the secrets generated for this run because ADMIN_API_KEY / JWT_SECRET are not set (call once at startup)
+ */
+function logGeneratedSecrets() {
+  const { authEnabled, adminApiKeyGenerated, adminApiKey, jwtSecretGenerated } = config.security;
+  if (!authEnabled) {
+    return;
+  }
+  if (adminApiKeyGenerated) {
+    logger.warn(`ADMIN_API_KEY is not set, master key for this run: ${adminApiKey}`);
+  }
+  if (jwtSecretGenerated) {
+    logger.warn("JWT_SECRET is not set, console login tokens are signed with a random secret and end on restart");
+  }
+}
+
+/**
+ * Create the first admin from CONSOLE_ADMIN_USERNAME / CONSOLE_ADMIN_PASSWORD when there are no console users
+ * Placeholder and short passwords are refused with a warning
+ */
+function seedAdminFromConfig() {
+  const { consoleAdminUsername, consoleAdminPassword } = config.security;
+  if (!consoleAdminUsername || !consoleAdminPassword) {
+    return;
+  }
+  if (PLACEHOLDER_PASSWORD.test(consoleAdminPassword) || consoleAdminPassword.length < MIN_PASSWORD_LENGTH) {
+    logger.warn(
+      `Console admin not created: CONSOLE_ADMIN_PASSWORD is a placeholder or shorter than ${MIN_PASSWORD_LENGTH} characters`,
+    );
+    return;
+  }
+
+  try {
+    if (consoleUserRepository.countUsers() > 0) {
+      return;
+    }
+    consoleUserRepository.createUser({
+      username: consoleAdminUsername,
+      display_name: "Administrator",
+      password_hash: hashPassword(consoleAdminPassword),
+      role: "admin",
+    });
+    logger.info(`Console admin "${consoleAdminUsername}" created from configuration`);
+  } catch (error) {
+    // Table may not exist yet (database not initialized with latest schema)
+    logger.warn("Failed to seed console admin", { error: error.message });
+  }
+}
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  userPrincipal,
+  anonymousPrincipal,
+  issueToken,
+  login,
+  generateApiKey,
+  resolveCredential,
+  logGeneratedSecrets,
+  seedAdminFromConfig,
+};
@@ -0,0 +1,433 @@
+/**
+ * BreakpointManager - Interactive request/response breakpoints
+ *
+ * Purpose:
+ * - Hold matching requests before they are forwarded (passthrough/recording) or matched (replay),
+ *   and matching responses before they are returned, so a tester can inspect and edit them
+ *
+ * Rule Matching:
+ * - match_host / endpoint_pattern: regex on request host / endpoint path (NULL = any)
+ * - http_method: HTTP method or '*'
+ * - direction: request, response or both
+ *
+ * Flow:
+ * 1. ModeService calls holdRequest() before the mode handler and holdResponse() after it,
+ *    so HTTP and intercepted HTTPS traffic share the same hooks in every mode
+ * 2. A held item waits in an in-memory queue (GET /api/breakpoints/held)
+ * 3. The Web UI releases it with optional edits (headers, body, status) or aborts it
+ * 4. Items are released unchanged after the rule's timeout_ms
+ *
+ * Aborted items reset the client connection (same as an injected "reset" fault).
+ * Binary bodies are shown and edited as base64 (bodyEncoding "base64"), so they are released byte for byte.
+ *
+ * Usage:
+ * const manager = getInstance();
+ * if (!(await manager.holdRequest(requestContext))) return manager.createAbortResponse();
+ * responseContext = await manager.holdResponse(responseContext, requestContext);
+ */
+
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+const breakpointRuleRepository = require("../../database/repositories/breakpoint_rule_repository");
+const ContextFactory = require("../context/ContextFactory");
+const { BODY_ENCODING_BASE64, encodeBody, getContentType } = require("../../utils/bodySerializer");
+const { getInstance: getFaultInjector } = require("../fault/FaultInjector");
+
+const RELEASED = "released";
+const ABORTED = "aborted";
+const TIMED_OUT = "timeout";
+
+class BreakpointManager {
+  constructor() {
+    this._rules = null;
+    this._held = new Map();
+    this._nextId = 1;
+  }
+
+  /**
+   * Reload enabled rules from database (call after rules change)
+   */
+  reload() {
+    const rules = [];
+
+    for (const rule of breakpointRuleRepository.getAllRules(true)) {
+      try {
+        rules.push({
+          ...rule,
+          hostRegex: rule.match_host ? new RegExp(rule.match_host, "i") : null,
+          endpointRegex: rule.endpoint_pattern ? new RegExp(rule.endpoint_pattern, "i") : null,
+        });
+      } catch (e) {
+        logger.warn("[Breakpoint] Invalid rule pattern, skipping rule", { id: rule.id, name: rule.name, error: e.message });
+      }
+    }
+
+    this._rules = rules;
+    logger.info("[Breakpoint] Breakpoint rules loaded", { count: rules.length });
+  }
+
+  /**
+   * Get enabled rules (loads on first use)
+   * @returns {Array<Object>} Compiled rules
+   * @private
+   */
+  _getRules() {
+    if (this._rules === null) {
+      try {
+        this.reload();
+      } catch (e) {
+        // Table may not exist yet (database not initialized with latest schema)
+        logger.warn("[Breakpoint] Failed to load breakpoint rules", { error: e.message });
+        this._rules = [];
+      }
+    }
+    return this._rules;
+  }
+
+  /**
+   * Find the first rule matching the request for a direction
+   * @param {RequestContext} requestContext - Request context
+   * @param {string} direction - request or response
+   * @returns {Object|null} Rule or null
+   */
+  findRule(requestContext, direction) {
+    const rules = this._getRules();
+    if (rules.length === 0) {
+      return null;
+    }
+
+    const method = (requestContext.getMethod() || "").toUpperCase();
+    const path = requestContext.getActualPath() || "";
+    const host = this._getRequestHost(requestContext);
+
+    return (
+      rules.find(
+        (rule) =>
+          (rule.direction === direction || rule.direction === "both") &&
+          (rule.http_method === "*" || rule.http_method === method) &&
+          (!rule.hostRegex || rule.hostRegex.test(host)) &&
+          (!rule.endpointRegex || rule.endpointRegex.test(path)),
+      ) || null
+    );
+  }
+
+  /**
+   * Hold a matching request until it is released, aborted or times out
+   * Edits (headers, body) are applied to the request context on release
+   * @param {RequestContext} requestContext - Request context
+   * @returns {Promise<boolean>} False if the request was aborted
+   */
+  async holdRequest(requestContext) {
+    const rule = this.findRule(requestContext, "request");
+    if (!rule) {
+      return true;
+    }
+
+    const current = requestContext.getCurrent();
+    const { outcome, edits } = await this._hold(rule, "request", requestContext, {
+      headers: { ...current.headers },
+      body: current.body,
+    });
+
+    if (outcome === ABORTED) {
+      return false;
+    }
+    if (edits) {
+      this._applyRequestEdits(requestContext, edits);
+    }
+    return true;
+  }
+
+  /**
+   * Hold a matching response until it is released, aborted or times out
+   * @param {ResponseContext} responseContext - Response from the mode handler
+   * @param {RequestContext} requestContext - Request context
+   * @returns {Promise<ResponseContext>} Response to send (edited, or an abort response)
+   */
+  async holdResponse(responseContext, requestContext) {
+    if (!responseContext) {
+      return responseContext;
+    }
+
+    const rule = this.findRule(requestContext, "response");
+    if (!rule) {
+      return responseContext;
+    }
+
+    const { outcome, edits } = await this._hold(rule, "response", requestContext, {
+      status: responseContext.getStatus(),
+      headers: responseContext.getHeaders(),
+      body: responseContext.getBody(),
+    });
+
+    if (outcome === ABORTED) {
+      return this.createAbortResponse();
+    }
+    if (edits) {
+      this._applyResponseEdits(responseContext, edits);
+    }
+    return responseContext;
+  }
+
+  /**
+   * Create the response for an aborted item (client connection is reset)
+   * @returns {ResponseContext} Response context with status 0 and a reset fault
+   */
+  createAbortResponse() {
+    const responseContext = ContextFactory.createResponseContext();
+    responseContext.setStatus(0);
+    responseContext.setSource("dproxy");
+    return getFaultInjector().attachFault(responseContext, { fault_type: "reset", id: null, name: "Breakpoint abort" });
+  }
+
+  /**
+   * Get held items (oldest first)
+   * @returns {Array<Object>} Held item snapshots
+   */
+  getHeld() {
+    return Array.from(this._held.values()).map((item) => item.snapshot);
+  }
+
+  /**
+   * Get a held item
+   * @param {number} id - Held item ID
+   * @returns {Object|null} Snapshot or null if not held
+   */
+  getHeldItem(id) {
+    const item = this._held.get(Number(id));
+    return item ? item.snapshot : null;
+  }
+
+  /**
+   * Release a held item
+   * @param {number} id - Held item ID
+   * @param {Object} edits - Optional { headers, body, status (response only) }
+   * @returns {boolean} True if the item was held
+   */
+  release(id, edits = null) {
+    return this._settle(Number(id), RELEASED, edits);
+  }
+
+  /**
+   * Abort a held item (client connection is reset)
+   * @param {number} id - Held item ID
+   * @returns {boolean} True if the item was held
+   */
+  abort(id) {
+    return this._settle(Number(id), ABORTED, null);
+  }
+
+  /**
+   * Release all held items unchanged
+   * @returns {number} Number of released items
+   */
+  releaseAll() {
+    const ids = Array.from(this._held.keys());
+    ids.forEach((id) => this._settle(id, RELEASED, null));
+    return ids.length;
+  }
+
+  /**
+   * Queue an item and wait for its outcome
+   * @returns {Promise<{outcome: string, edits: Object|null}>}
+   * @private
+   */
+  _hold(rule, direction, requestContext, message) {
+    const id = this._nextId++;
+    const current = requestContext.getCurrent();
+    const timeoutMs = rule.timeout_ms || breakpointRuleRepository.DEFAULT_TIMEOUT_MS;
+
+    const snapshot = {
+      id,
+      direction,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      method: current.method,
+      url: current.originalUrl || current.url,
+      host: this._getRequestHost(requestContext),
+      path: requestContext.getActualPath(),
+      heldAt: getLocalISOString(),
+      expiresAt: getLocalISOString(new Date(Date.now() + timeoutMs)),
+      status: direction === "response" ? message.status : null,
+      headers: message.headers,
+      ...this._toSnapshotBody(message.body, message.headers),
+    };
+
+    logger.info(`[Breakpoint] Holding ${direction}`, { id, rule: rule.name, method: snapshot.method, path: snapshot.path });
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => this._settle(id, TIMED_OUT, null), timeoutMs);
+      this._held.set(id, { snapshot, originalBody: message.body, resolve, timer });
+    });
+  }
+
+  /**
+   * Resolve a held item
+   * @private
+   */
+  _settle(id, outcome, edits) {
+    const item = this._held.get(id);
+    if (!item) {
+      return false;
+    }
+
+    clearTimeout(item.timer);
+    this._held.delete(id);
+
+    logger.info(`[Breakpoint] Held ${item.snapshot.direction} ${outcome}`, { id, path: item.snapshot.path, edited: !!edits });
+    item.resolve({ outcome, edits: edits ? { ...edits, originalBody: item.originalBody } : null });
+    return true;
+  }
+
+  /**
+   * Apply edited headers/body to the request
+   * @private
+   */
+  _applyRequestEdits(requestContext, edits) {
+    if (edits.headers && typeof edits.headers === "object") {
+      this._replaceHeaders(requestContext, edits.headers);
+    }
+
+    if (edits.body !== undefined) {
+      const body = this._fromText(edits.body, edits.originalBody, edits.bodyEncoding);
+      requestContext.setBody(body);
+      // Keep exact-bytes forwarding (transmit endpoints) and content-length consistent with the edited body
+      const serialized = this._serializeBody(body);
+      if (requestContext.rawBody) {
+        requestContext.rawBody = serialized;
+      }
+      if (requestContext.getHeader("content-length") !== undefined) {
+        requestContext.setHeader("content-length", String(serialized.length));
+      }
+    }
+  }
+
+  /**
+   * Apply edited status/headers/body to the response
+   * @private
+   */
+  _applyResponseEdits(responseContext, edits) {
+    if (edits.status !== undefined && edits.status !== null && edits.status !== "") {
+      responseContext.setStatus(parseInt(edits.status, 10));
+    }
+
+    if (edits.headers && typeof edits.headers === "object") {
+      this._replaceHeaders(responseContext, edits.headers);
+    }
+
+    if (edits.body !== undefined) {
+      const body = this._fromText(edits.body, edits.originalBody, edits.bodyEncoding);
+      responseContext.setBody(body);
+      if (responseContext.getHeader("content-length") !== undefined) {
+        responseContext.setHeader("content-length", String(this._serializeBody(body).length));
+      }
+    }
+  }
+
+  /**
+   * Replace all headers of a request/response context
+   * @private
+   */
+  _replaceHeaders(context, headers) {
+    const names = Object.keys(headers).map((name) => name.toLowerCase());
+    Object.keys(context.getHeaders())
+      .filter((name) => !names.includes(name.toLowerCase()))
+      .forEach((name) => context.removeHeader(name));
+    Object.entries(headers).forEach(([name, value]) => context.setHeader(name, Array.isArray(value) ? value.map(String) : String(value)));
+  }
+
+  /**
+   * Body of a held item snapshot: binary Buffers as base64, everything else as editable text
+   * @private
+   */
+  _toSnapshotBody(body, headers) {
+    if (Buffer.isBuffer(body)) {
+      const encoded = encodeBody(body, getContentType(headers));
+      if (encoded.encoding === BODY_ENCODING_BASE64) {
+        return { body: encoded.body, bodyEncoding: BODY_ENCODING_BASE64 };
+      }
+    }
+    return { body: this._toText(body), bodyEncoding: null };
+  }
+
+  /**
+   * Body as editable text
+   * @private
+   */
+  _toText(body) {
+    if (body === null || body === undefined) return null;
+    if (Buffer.isBuffer(body)) return body.toString("utf8");
+    if (typeof body === "object") return JSON.stringify(body, null, 2);
+    return String(body);
+  }
+
+  /**
+   * Convert an edited body back to the kind of the original body (object, string, Buffer)
+   * Base64 bodies (binary snapshots) are decoded to a Buffer
+   * @private
+   */
+  _fromText(value, original, encoding = null) {
+    if (value === null) return null;
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+
+    if (encoding === BODY_ENCODING_BASE64) {
+      return Buffer.from(text, "base64");
+    }
+    if (Buffer.isBuffer(original)) {
+      return Buffer.from(text, "utf8");
+    }
+    if ((original !== null && typeof original === "object") || (value !== null && typeof value === "object")) {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return text;
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Serialize body to a Buffer (for content-length)
+   * @private
+   */
+  _serializeBody(body) {
+    if (body === null || body === undefined) return Buffer.alloc(0);
+    if (Buffer.isBuffer(body)) return body;
+    return Buffer.from(typeof body === "object" ? JSON.stringify(body) : String(body), "utf8");
+  }
+
+  /**
+   * Get request host (without port)
+   * @private
+   */
+  _getRequestHost(requestContext) {
+    const current = requestContext.getCurrent();
+    const fullUrl = current.originalUrl || current.url || "";
+    if (fullUrl.startsWith("http://") || fullUrl.startsWith("https://")) {
+      try {
+        return new URL(fullUrl).hostname;
+      } catch (e) {
+        // Fall through to Host header
+      }
+    }
+    return ((current.headers && current.headers.host) || "").split(":")[0];
+  }
+}
+
+let instance = null;
+
+/**
+ * Get singleton instance of BreakpointManager
+ * @returns {BreakpointManager}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new BreakpointManager();
+  }
+  return instance;
+}
+
+module.exports = {
+  BreakpointManager,
+  getInstance,
+};
@@ -27,6 +27,11 @@ class ContextFactory {
   static createRequestContext(req, options = {}) {
     const context = new RequestContext(req);
 
+    // Protocol between app and proxy ("2.0" = h2)
+    if (req.httpVersion) {
+      context.setMetadata("protocol", req.httpVersion === "2.0" ? "h2" : `http/${req.httpVersion}`);
+    }
+
     // Set metadata from options
     if (options.userId) {
       context.setMetadata("userId", options.userId);
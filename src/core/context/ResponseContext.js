@@ -15,6 +15,8 @@
  * context.setSource('backend');
  */
 
+const { decodeBody } = require("../../utils/bodySerializer");
+
 class ResponseContext {
   /**
    * @param {Object} options - Initial response options
@@ -274,13 +276,24 @@ class ResponseContext {
 
   /**
    * Create response from database record
+   * JSON bodies are parsed, text bodies kept as strings, and base64 (binary) bodies decoded to a Buffer.
    * @param {Object} record - Database response record
    * @returns {ResponseContext} Response context instance
    */
   static fromDatabase(record) {
     const headers = typeof record.response_headers === "string" ? JSON.parse(record.response_headers) : record.response_headers;
 
-    let body = typeof record.response_body === "string" ? JSON.parse(record.response_body) : record.response_body;
+    let body = record.response_body;
+    if (record.response_body_encoding) {
+      // Binary body stored as base64: replay the exact bytes
+      body = decodeBody(record.response_body, record.response_body_encoding);
+    } else if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch (e) {
+        // Text body (HTML, XML, plain text) is replayed as-is
+      }
+    }
 
     // Convert Buffer representation back to Buffer
     if (body && typeof body === "object" && body.type === "Buffer" && Array.isArray(body.data)) {
@@ -0,0 +1,207 @@
+/**
+ * ContractValidator - Lightweight contract testing from recorded traffic
+ *
+ * Purpose:
+ * - Infer a JSON Schema per endpoint pattern and response status from the recorded backend responses
+ *   (all observed variants merged), stored in endpoint_schemas
+ * - Validate live backend responses in PASSTHROUGH and RECORDING modes against the stored schema;
+ *   ContractValidationInterceptor stores the violations in the response metadata ("schemaViolations"),
+ *   which StatsRecordingInterceptor and LiveTrafficInterceptor pick up
+ * - Export the schemas as OpenAPI components
+ *
+ * Endpoint patterns are path templates (see utils/pathTemplate.js): "/users/42" is recorded under "/users/{id}".
+ * When several patterns match a path, the one with the fewest parameters wins ("/users/me" before "/users/{id}").
+ *
+ * Usage:
+ * const contractValidator = getInstance();
+ * const result = contractValidator.validateResponse("api.example.com", "GET", "/users/42", 200, body);
+ */
+
+const logger = require("../../utils/logger");
+const endpointSchemaRepository = require("../../database/repositories/endpoint_schema_repository");
+const { inferSchema, mergeSchemas, validateJsonSchema } = require("../../utils/jsonSchema");
+const { toPathTemplate, getTemplateParams, pathTemplateToRegex } = require("../../utils/pathTemplate");
+const { componentName } = require("../../utils/openApiUtils");
+
+/**
+ * Normalize a host for schema lookup (no scheme, no default port, lower case)
+ * @param {string} host - Host, hostname or origin (e.g. "https://api.example.com:443")
+ * @returns {string} Normalized host (e.g. "api.example.com")
+ */
+function normalizeHost(host) {
+  return String(host || "")
+    .replace(/^[a-z]+:\/\//i, "")
+    .replace(/\/.*$/, "")
+    .replace(/:(80|443)$/, "")
+    .toLowerCase();
+}
+
+/**
+ * Parse a JSON body (object, string or Buffer)
+ * @param {*} body - Body
+ * @returns {*} Parsed JSON object/array, or undefined when the body is not JSON
+ */
+function parseJsonBody(body) {
+  let value = body;
+  if (Buffer.isBuffer(value)) {
+    value = value.toString("utf8");
+  }
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return undefined;
+    }
+  }
+  return value !== null && typeof value === "object" ? value : undefined;
+}
+
+class ContractValidator {
+  constructor() {
+    this._endpoints = null;
+  }
+
+  /**
+   * Reload validated endpoint schemas from database (call after schemas change)
+   */
+  reload() {
+    try {
+      this._endpoints = endpointSchemaRepository
+        .getAllEndpointSchemas(true)
+        .map((endpoint) => ({
+          ...endpoint,
+          regex: pathTemplateToRegex(endpoint.endpoint_pattern),
+          paramCount: getTemplateParams(endpoint.endpoint_pattern).length,
+        }))
+        .sort((a, b) => a.paramCount - b.paramCount);
+      logger.info("[ContractValidator] Endpoint schemas loaded", { count: this._endpoints.length });
+    } catch (error) {
+      logger.error("[ContractValidator] Failed to load endpoint schemas", { error: error.message });
+      this._endpoints = [];
+    }
+  }
+
+  /**
+   * Find the validated endpoint schema of a request
+   * @param {string} host - Request host
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path (query string is ignored)
+   * @returns {Object|null} Endpoint schema or null
+   */
+  findEndpoint(host, method, path) {
+    if (this._endpoints === null) {
+      this.reload();
+    }
+    const normalizedHost = normalizeHost(host);
+    const normalizedMethod = String(method || "GET").toUpperCase();
+    const cleanPath = String(path || "/").split("?")[0];
+    return (
+      this._endpoints.find(
+        (endpoint) => endpoint.host === normalizedHost && endpoint.method === normalizedMethod && endpoint.regex.test(cleanPath),
+      ) || null
+    );
+  }
+
+  /**
+   * Validate a backend response against the stored schema of its endpoint and status
+   * @param {string} host - Request host
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {number} status - Response status
+   * @param {*} body - Response body (object, string or Buffer)
+   * @returns {Object|null} { endpointId, endpointPattern, violations } or null when there is no schema or the body is not JSON
+   */
+  validateResponse(host, method, path, status, body) {
+    const endpoint = this.findEndpoint(host, method, path);
+    const schema = endpoint && endpoint.schemas[String(status)];
+    if (!schema) {
+      return null;
+    }
+
+    const value = parseJsonBody(body);
+    if (value === undefined) {
+      return null;
+    }
+
+    return {
+      endpointId: endpoint.id,
+      endpointPattern: endpoint.endpoint_pattern,
+      violations: validateJsonSchema(schema, value),
+    };
+  }
+
+  /**
+   * Infer schemas from the recorded backend responses and store them per endpoint pattern
+   * Responses whose body is not a JSON object or array are skipped.
+   * @param {Object} filters - { host, collection }
+   * @returns {Object} { endpoints, responses } - Endpoints stored and responses used
+   */
+  inferFromRecordings(filters = {}) {
+    const endpoints = new Map();
+    let responses = 0;
+
+    for (const row of endpointSchemaRepository.iterateRecordedResponses(filters)) {
+      const value = parseJsonBody(row.response_body);
+      if (value === undefined) continue;
+
+      const endpoint = {
+        host: normalizeHost(row.host),
+        method: String(row.method).toUpperCase(),
+        endpoint_pattern: toPathTemplate(row.endpoint_path),
+      };
+      const key = `${endpoint.host} ${endpoint.method} ${endpoint.endpoint_pattern}`;
+      if (!endpoints.has(key)) {
+        endpoints.set(key, { ...endpoint, schemas: {}, sample_count: 0 });
+      }
+
+      const entry = endpoints.get(key);
+      const status = String(row.response_status);
+      entry.schemas[status] = mergeSchemas(entry.schemas[status], inferSchema(value));
+      entry.sample_count++;
+      responses++;
+    }
+
+    endpointSchemaRepository.saveInferredSchemas([...endpoints.values()]);
+    this.reload();
+
+    logger.info("[ContractValidator] Schemas inferred from recordings", { endpoints: endpoints.size, responses });
+    return { endpoints: endpoints.size, responses };
+  }
+
+  /**
+   * Build OpenAPI components for endpoint schemas
+   * @param {Array<Object>} endpoints - Endpoint schemas
+   * @returns {Object} { components: { schemas: { <name>: <JSON Schema> } } }
+   */
+  toOpenApiComponents(endpoints) {
+    const schemas = {};
+    for (const endpoint of endpoints) {
+      for (const [status, schema] of Object.entries(endpoint.schemas)) {
+        schemas[componentName(endpoint, status)] = {
+          ...schema,
+          description: `${endpoint.method} ${endpoint.host}${endpoint.endpoint_pattern} - ${status} response`,
+        };
+      }
+    }
+    return { components: { schemas } };
+  }
+}
+
+let instance = null;
+
+/**
+ * Get singleton instance of ContractValidator
+ * @returns {ContractValidator}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new ContractValidator();
+  }
+  return instance;
+}
+
+module.exports = {
+  ContractValidator,
+  getInstance,
+  normalizeHost,
+};
@@ -0,0 +1,140 @@
+/**
+ * DriftDetector - Early warning for backend API contract changes
+ *
+ * Purpose:
+ * - In RECORDING mode a recorded response (same request key and status) is overwritten when the backend
+ *   returns a different body. Before it is overwritten, the previous body is kept in response_history
+ *   together with a structural diff (added/removed fields, type changes, value changes).
+ * - Paths listed in proxy config drift.ignorePaths (JSONPath, e.g. "$..timestamp") are left out of the diff;
+ *   a response whose only changes are ignored has not drifted and nothing is stored.
+ * - Only backend responses are compared: edited or template responses are expected to differ.
+ *
+ * Usage:
+ * const driftDetector = getInstance();
+ * driftDetector.check(existingResponse, { body: responseBodyJson, hash: responseBodyHash });
+ */
+
+const logger = require("../../utils/logger");
+const { diffJsonStructure } = require("../../utils/jsonDiff");
+const { getInstance: getConfigManager } = require("../../config/TrafficConfigManager");
+const responseHistoryRepository = require("../../database/repositories/response_history_repository");
+
+class DriftDetector {
+  /**
+   * Get drift settings (defaults when the config manager is not initialized)
+   * @returns {Object} { enabled, ignorePaths, historyLimit }
+   */
+  getConfig() {
+    const configManager = getConfigManager();
+    if (configManager && configManager.isInitialized()) {
+      return configManager.getDriftConfig();
+    }
+    return { enabled: true, ignorePaths: [], historyLimit: 20 };
+  }
+
+  /**
+   * Parse a stored body (JSON, or text when it is not JSON)
+   * @param {string|null} body - Serialized body
+   * @returns {*} Parsed body
+   */
+  _parseBody(body) {
+    if (body === null || body === undefined || body === "") {
+      return null;
+    }
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return body;
+    }
+  }
+
+  /**
+   * Diff two stored bodies
+   * Text bodies are compared as a whole (one change at "$" without the values).
+   * @param {string|null} previousBody - Serialized previous body
+   * @param {string|null} newBody - Serialized new body
+   * @param {Array<string>} ignorePaths - JSONPath expressions to ignore
+   * @returns {Array<Object>} Changes [{ path, type, before, after }]
+   */
+  diffBodies(previousBody, newBody, ignorePaths = []) {
+    const before = this._parseBody(previousBody);
+    const after = this._parseBody(newBody);
+
+    if (typeof before === "string" && typeof after === "string") {
+      return before === after ? [] : [{ path: "$", type: "changed" }];
+    }
+    return diffJsonStructure(before, after, ignorePaths);
+  }
+
+  /**
+   * Compare a recorded response with the body about to replace it, and store the previous body if it drifted
+   * Never throws: drift detection must not break recording.
+   * Binary bodies (stored as base64) have no structure to diff and are skipped.
+   * @param {Object} previous - Existing api_responses row (id, api_request_id, response_status, response_body, response_body_encoding, response_body_hash, response_source)
+   * @param {Object} current - { body: serialized new body, encoding: new body encoding, hash: new body hash }
+   * @returns {Object|null} Stored history entry { id, changes } or null when the response did not drift
+   */
+  check(previous, current) {
+    try {
+      const config = this.getConfig();
+      if (!config.enabled || !previous || previous.response_body_hash === current.hash) {
+        return null;
+      }
+      if (previous.response_source && previous.response_source !== "backend") {
+        return null;
+      }
+      if (previous.response_body_encoding || current.encoding) {
+        return null;
+      }
+
+      const changes = this.diffBodies(previous.response_body, current.body, config.ignorePaths || []);
+      if (changes.length === 0) {
+        return null;
+      }
+
+      const id = responseHistoryRepository.addHistoryEntry(
+        {
+          api_response_id: previous.id,
+          api_request_id: previous.api_request_id,
+          response_status: previous.response_status,
+          response_body: previous.response_body,
+          response_body_hash: previous.response_body_hash,
+          new_body_hash: current.hash,
+          changes,
+        },
+        config.historyLimit,
+      );
+
+      const summary = responseHistoryRepository.summarizeChanges(changes);
+      logger.warn("[DriftDetector] Recorded response changed", {
+        responseId: previous.id,
+        requestId: previous.api_request_id,
+        status: previous.response_status,
+        ...summary,
+      });
+
+      return { id, changes };
+    } catch (error) {
+      logger.error("[DriftDetector] Failed to check response drift", { responseId: previous && previous.id, error: error.message });
+      return null;
+    }
+  }
+}
+
+let instance = null;
+
+/**
+ * Get singleton instance of DriftDetector
+ * @returns {DriftDetector}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new DriftDetector();
+  }
+  return instance;
+}
+
+module.exports = {
+  DriftDetector,
+  getInstance,
+};
@@ -0,0 +1,322 @@
+/**
+ * FaultInjector - Per-endpoint fault injection
+ *
+ * Purpose:
+ * - Let QA verify retry / offline UX without breaking backend environments
+ * - Works in all modes (passthrough, recording, replay) for monitored requests
+ *
+ * Fault Types:
+ * - status:   return status_code (and optional body) without calling the backend/recordings
+ * - timeout:  hold the client connection open without responding (closed after hang_ms)
+ * - reset:    reset the client connection
+ * - truncate: send headers with the full Content-Length but only part of the body, then close
+ * - throttle: send the body at bandwidth_kbps
+ *
+ * Flow:
+ * 1. ModeService calls selectFault() for each monitored request (profile match + probability roll)
+ * 2. status/timeout/reset faults short-circuit the mode handler (createFaultResponse)
+ *    truncate/throttle faults let the mode handler run and are attached to its response
+ * 3. Response interceptors run; StatsRecordingInterceptor records the fault type
+ * 4. The response sender (server.js / HttpsInterceptor) calls abortConnection() or sendBody()
+ *
+ * Usage:
+ * const faultInjector = getInstance();
+ * const fault = faultInjector.selectFault(requestContext);
+ */
+
+const logger = require("../../utils/logger");
+const faultProfileRepository = require("../../database/repositories/fault_profile_repository");
+const ContextFactory = require("../context/ContextFactory");
+const { compilePathPattern } = require("../../utils/httpUtils");
+
+// Response metadata key holding the injected fault
+const METADATA_KEY = "fault";
+
+const DEFAULT_HANG_MS = 300000;
+const DEFAULT_TRUNCATE_PERCENT = 50;
+const DEFAULT_BANDWIDTH_KBPS = 16;
+
+// Throttled bodies are written in slices every THROTTLE_INTERVAL_MS
+const THROTTLE_INTERVAL_MS = 100;
+
+class FaultInjector {
+  constructor() {
+    this._profiles = null;
+  }
+
+  /**
+   * Reload enabled profiles from database (call after profiles change)
+   */
+  reload() {
+    const profiles = [];
+
+    for (const profile of faultProfileRepository.getAllProfiles(true)) {
+      try {
+        profiles.push({
+          ...profile,
+          hostRegex: profile.match_host ? new RegExp(profile.match_host, "i") : null,
+          endpointRegex: this._compilePattern(profile),
+        });
+      } catch (e) {
+        logger.warn("[FaultInjector] Invalid profile pattern, skipping profile", { id: profile.id, name: profile.name, error: e.message });
+      }
+    }
+
+    this._profiles = profiles;
+    logger.info("[FaultInjector] Fault profiles loaded", { count: profiles.length });
+  }
+
+  /**
+   * Get enabled profiles (loads on first use)
+   * @returns {Array<Object>} Compiled profiles
+   * @private
+   */
+  _getProfiles() {
+    if (this._profiles === null) {
+      try {
+        this.reload();
+      } catch (e) {
+        // Table may not exist yet (database not initialized with latest schema)
+        logger.warn("[FaultInjector] Failed to load fault profiles", { error: e.message });
+        this._profiles = [];
+      }
+    }
+    return this._profiles;
+  }
+
+  /**
+   * Compile endpoint pattern (regex, or /api/users/:id and /api/products/* style)
+   * @private
+   */
+  _compilePattern(profile) {
+    if (profile.regex) {
+      return new RegExp(profile.endpoint_pattern, "i");
+    }
+
+    return compilePathPattern(profile.endpoint_pattern, { flags: "i" });
+  }
+
+  /**
+   * Get request host (without port)
+   * @private
+   */
+  _getRequestHost(requestContext) {
+    const current = requestContext.getCurrent();
+    const fullUrl = current.originalUrl || current.url || "";
+    if (fullUrl.startsWith("http://") || fullUrl.startsWith("https://")) {
+      try {
+        return new URL(fullUrl).hostname;
+      } catch (e) {
+        // Fall through to Host header
+      }
+    }
+    return ((current.headers && current.headers.host) || "").split(":")[0];
+  }
+
+  /**
+   * Select the fault to inject for a request
+   * The first matching profile (by priority) decides; its probability is rolled once
+   * @param {RequestContext} requestContext - Request context
+   * @returns {Object|null} Fault profile or null if no fault is injected
+   */
+  selectFault(requestContext) {
+    const profiles = this._getProfiles();
+    if (profiles.length === 0) {
+      return null;
+    }
+
+    const method = (requestContext.getMethod() || "").toUpperCase();
+    const path = requestContext.getActualPath() || "";
+    const host = this._getRequestHost(requestContext);
+
+    const profile = profiles.find(
+      (p) =>
+        (p.http_method === "*" || p.http_method === method) &&
+        (!p.hostRegex || p.hostRegex.test(host)) &&
+        p.endpointRegex.test(path),
+    );
+    if (!profile) {
+      return null;
+    }
+
+    const probability = profile.probability === null || profile.probability === undefined ? 100 : profile.probability;
+    if (Math.random() * 100 >= probability) {
+      return null;
+    }
+
+    logger.info("[FaultInjector] Injecting fault", {
+      profile: profile.name,
+      type: profile.fault_type,
+      method,
+      path,
+    });
+    return profile;
+  }
+
+  /**
+   * Check if the fault replaces the mode handler (no backend call / replay lookup)
+   * @param {Object} profile - Fault profile
+   * @returns {boolean} True for status, timeout and reset faults
+   */
+  isShortCircuit(profile) {
+    return ["status", "timeout", "reset"].includes(profile.fault_type);
+  }
+
+  /**
+   * Create the response for a short-circuit fault
+   * timeout/reset responses have status 0 and are never written to the client
+   * @param {Object} profile - Fault profile
+   * @returns {ResponseContext} Response context with fault metadata
+   */
+  createFaultResponse(profile) {
+    let responseContext;
+
+    if (profile.fault_type === "status") {
+      const status = profile.status_code || 500;
+      responseContext = ContextFactory.createErrorResponse(status, "Injected fault", { details: { fault: profile.name } });
+
+      if (profile.response_body) {
+        try {
+          responseContext.setBody(JSON.parse(profile.response_body));
+        } catch (e) {
+          responseContext.setHeader("content-type", "text/plain");
+          responseContext.setBody(profile.response_body);
+        }
+      }
+    } else {
+      responseContext = ContextFactory.createResponseContext();
+      responseContext.setStatus(0);
+      responseContext.setSource("dproxy");
+    }
+
+    return this.attachFault(responseContext, profile);
+  }
+
+  /**
+   * Attach fault information to a response (read by stats recording and the response sender)
+   * @param {ResponseContext} responseContext - Response context
+   * @param {Object} profile - Fault profile
+   * @returns {ResponseContext} Response context
+   */
+  attachFault(responseContext, profile) {
+    responseContext.setMetadata(METADATA_KEY, {
+      type: profile.fault_type,
+      profileId: profile.id,
+      profileName: profile.name,
+      hangMs: profile.hang_ms || DEFAULT_HANG_MS,
+      truncatePercent: profile.truncate_percent ?? DEFAULT_TRUNCATE_PERCENT,
+      bandwidthKbps: profile.bandwidth_kbps || DEFAULT_BANDWIDTH_KBPS,
+    });
+    return responseContext;
+  }
+
+  /**
+   * Get fault attached to a response
+   * @param {ResponseContext} responseContext - Response context
+   * @returns {Object|null} Fault ({ type, profileId, profileName, hangMs, truncatePercent, bandwidthKbps }) or null
+   */
+  getFault(responseContext) {
+    return (responseContext && responseContext.getMetadata(METADATA_KEY)) || null;
+  }
+
+  /**
+   * Check if the fault prevents a response from being written (timeout, reset)
+   * @param {Object} fault - Fault from getFault()
+   * @returns {boolean} True if the connection is aborted instead
+   */
+  isConnectionFault(fault) {
+    return !!fault && (fault.type === "timeout" || fault.type === "reset");
+  }
+
+  /**
+   * Check if the fault changes how the body is written (truncate, throttle)
+   * @param {Object} fault - Fault from getFault()
+   * @returns {boolean} True if the body must be sent with sendBody()
+   */
+  isBodyFault(fault) {
+    return !!fault && (fault.type === "truncate" || fault.type === "throttle");
+  }
+
+  /**
+   * Apply a connection fault to the client socket
+   * - reset: reset the connection (TCP RST when supported)
+   * - timeout: keep the connection open without responding, close it after hangMs
+   * @param {net.Socket} socket - Client socket
+   * @param {Object} fault - Fault from getFault()
+   */
+  abortConnection(socket, fault) {
+    if (!socket || socket.destroyed) {
+      return;
+    }
+
+    if (fault.type === "reset") {
+      try {
+        socket.resetAndDestroy();
+      } catch (e) {
+        // TLS sockets (HTTPS interception) have no TCP handle to reset
+        socket.destroy();
+      }
+      return;
+    }
+
+    // timeout: client is expected to give up first
+    const timer = setTimeout(() => socket.destroy(), fault.hangMs);
+    socket.once("close", () => clearTimeout(timer));
+  }
+
+  /**
+   * Write a body with a body fault applied
+   * - truncate: write the first truncatePercent of the body, then destroy the connection
+   * - throttle: write the body in slices at bandwidthKbps, then end
+   * @param {Buffer} body - Full response body
+   * @param {Object} fault - Fault from getFault()
+   * @param {Object} sink - Output { write(chunk), end(), destroy(), isClosed() }
+   */
+  sendBody(body, fault, sink) {
+    if (fault.type === "truncate") {
+      const length = Math.floor((body.length * Math.max(0, Math.min(100, fault.truncatePercent))) / 100);
+      if (length > 0) {
+        sink.write(body.subarray(0, length));
+      }
+      // Let the partial body flush before closing
+      setImmediate(() => sink.destroy());
+      return;
+    }
+
+    const sliceSize = Math.max(1, Math.floor((fault.bandwidthKbps * 1024 * THROTTLE_INTERVAL_MS) / 1000));
+    let offset = 0;
+
+    const writeSlice = () => {
+      if (sink.isClosed()) {
+        return;
+      }
+      if (offset >= body.length) {
+        sink.end();
+        return;
+      }
+      sink.write(body.subarray(offset, offset + sliceSize));
+      offset += sliceSize;
+      setTimeout(writeSlice, THROTTLE_INTERVAL_MS);
+    };
+
+    writeSlice();
+  }
+}
+
+let instance = null;
+
+/**
+ * Get singleton instance of FaultInjector
+ * @returns {FaultInjector}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new FaultInjector();
+  }
+  return instance;
+}
+
+module.exports = {
+  FaultInjector,
+  getInstance,
+};
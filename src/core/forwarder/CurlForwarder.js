@@ -10,10 +10,24 @@
  * - Node.js axios/https module TLS fingerprint is detected as bot by Akamai
  * - curl's TLS fingerprint is accepted by Akamai Bot Manager
  * - We can still capture request and response content for recording
+ *
+ * Upstream proxy:
+ * - A resolved upstream proxy (see UpstreamProxy.resolve) is passed to curl in its environment,
+ *   so proxy credentials never appear in the process list
+ *
+ * TLS profiles:
+ * - The TLS profile of the target host (see TlsProfiles.resolve) replaces "-k" with its verification,
+ *   CA bundle, client certificate and minimum version; its SNI override connects to the target host
+ *   while curl uses the SNI name in the URL
  */
 
 const { spawn } = require("child_process");
 const logger = require("../../utils/logger");
+const { getInstance: getUpstreamProxy } = require("./UpstreamProxy");
+const { getInstance: getTlsProfiles } = require("./TlsProfiles");
+
+// Proxy environment variables read by curl (replaced when an upstream proxy is resolved)
+const PROXY_ENV_VARIABLES = ["http_proxy", "HTTP_PROXY", "https_proxy", "HTTPS_PROXY", "all_proxy", "ALL_PROXY", "no_proxy", "NO_PROXY"];
 
 class CurlForwarder {
   constructor(config) {
@@ -35,17 +49,19 @@ class CurlForwarder {
    * @param {Object} options.headers - Request headers
    * @param {Buffer|string} options.body - Request body
    * @param {number} options.timeout - Timeout in milliseconds
+   * @param {Object|null} [options.proxy] - Resolved upstream proxy (null keeps curl's environment proxy settings)
+   * @param {Object|null} [options.tlsProfile] - TLS profile of the target host (see TlsProfiles.resolve)
    * @returns {Promise<Object>} Response object with status, headers, and body
    */
   async forward(options) {
     const startTime = Date.now();
-    const { method, url, headers, body, timeout = 30000 } = options;
+    const { method, url, headers, body, timeout = 30000, proxy = null, tlsProfile = null } = options;
 
     this.metrics.totalRequests++;
 
     return new Promise((resolve, reject) => {
       // Build curl command arguments
-      const args = this._buildCurlArgs(method, url, headers, body, timeout);
+      const args = this._buildCurlArgs(method, url, headers, body, timeout, proxy, tlsProfile);
 
       logger.debug("[CurlForwarder] Executing curl", {
         method,
@@ -57,6 +73,7 @@ class CurlForwarder {
       // Spawn curl process
       const curlProcess = spawn("curl", args, {
         stdio: ["pipe", "pipe", "pipe"],
+        env: this._buildCurlEnv(proxy),
       });
 
       let stdout = Buffer.alloc(0);
@@ -144,7 +161,7 @@ class CurlForwarder {
    * Build curl command arguments
    * @private
    */
-  _buildCurlArgs(method, url, headers, body, timeout) {
+  _buildCurlArgs(method, url, headers, body, timeout, proxy = null, tlsProfile = null) {
     const args = [
       "-i", // Include response headers in output
       "-s", // Silent mode (no progress bar)
@@ -153,9 +170,33 @@ class CurlForwarder {
       method, // HTTP method
       "--max-time",
       String(Math.ceil(timeout / 1000)), // Timeout in seconds
-      "-k", // Allow insecure SSL (since we're MITM proxy)
     ];
 
+    if (tlsProfile) {
+      args.push(...getTlsProfiles().getCurlArgs(tlsProfile, !this.config.isInsecureMode()));
+    } else {
+      args.push("-k"); // Allow insecure SSL (since we're MITM proxy)
+    }
+
+    // SNI override: curl takes the SNI name from the URL, so the URL names it and the connection goes to the target host
+    let requestUrl = url;
+    if (tlsProfile && tlsProfile.servername) {
+      const target = new URL(url);
+      const port = target.port || "443";
+      args.push("--connect-to", `${tlsProfile.servername}:${port}:${target.hostname}:${port}`, "-H", `Host: ${target.host}`);
+      target.hostname = tlsProfile.servername;
+      requestUrl = target.href;
+    }
+
+    if (proxy && proxy.direct) {
+      args.push("--noproxy", "*"); // Excluded from the upstream proxy
+    } else if (proxy) {
+      args.push("--suppress-connect-headers"); // Keep the CONNECT answer out of the parsed response
+      if (proxy.protocol === "https:") {
+        args.push("--proxy-insecure");
+      }
+    }
+
     // Add headers
     if (headers) {
       // Skip certain headers that curl manages
@@ -164,26 +205,47 @@ class CurlForwarder {
         "connection",
         "content-length", // curl calculates this
         "transfer-encoding",
+        "expect", // 100-continue is answered to the client by the proxy
       ];
 
+      // Repeated fields (array values) are sent as one header line each
       Object.entries(headers).forEach(([key, value]) => {
         if (!skipHeaders.includes(key.toLowerCase())) {
-          args.push("-H", `${key}: ${value}`);
+          [].concat(value).forEach((item) => args.push("-H", `${key}: ${item}`));
         }
       });
     }
 
-    // Add body via stdin
+    // Add body via stdin (--data-binary sends it byte for byte, -d would strip CR/LF)
     if (body) {
-      args.push("-d", "@-"); // Read body from stdin
+      args.push("--data-binary", "@-"); // Read body from stdin
     }
 
     // Add URL
-    args.push(url);
+    args.push(requestUrl);
 
     return args;
   }
 
+  /**
+   * Build the curl environment with the upstream proxy
+   * @private
+   * @param {Object|null} proxy - Resolved upstream proxy
+   * @returns {Object} Environment variables
+   */
+  _buildCurlEnv(proxy) {
+    if (!proxy) {
+      return process.env;
+    }
+
+    const env = { ...process.env };
+    PROXY_ENV_VARIABLES.forEach((name) => delete env[name]);
+    if (!proxy.direct) {
+      env.http_proxy = env.https_proxy = getUpstreamProxy().getUrlWithCredentials(proxy);
+    }
+    return env;
+  }
+
   /**
    * Parse curl output (with -i flag) into response object
    * @private
@@ -196,59 +258,61 @@ class CurlForwarder {
     // \r\n
     // body...
 
-    // Find the end of headers (double CRLF)
+    // Find the end of headers (double CRLF), skipping interim responses (100 Continue) and their empty line
+    let headerStart = 0;
     let headerEndIndex = -1;
+    let separatorLength = 0;
+    for (;;) {
+      // Try \r\n\r\n first, fallback to \n\n
+      headerEndIndex = output.indexOf("\r\n\r\n", headerStart);
+      separatorLength = 4;
+      if (headerEndIndex === -1) {
+        headerEndIndex = output.indexOf("\n\n", headerStart);
+        separatorLength = 2;
+      }
 
-    // Try \r\n\r\n first
-    headerEndIndex = output.indexOf("\r\n\r\n");
-    let separatorLength = 4;
-
-    // Fallback to \n\n if not found
-    if (headerEndIndex === -1) {
-      headerEndIndex = output.indexOf("\n\n");
-      separatorLength = 2;
-    }
+      if (headerEndIndex === -1) {
+        // No body, all headers
+        headerEndIndex = output.length;
+        separatorLength = 0;
+        break;
+      }
 
-    if (headerEndIndex === -1) {
-      // No body, all headers
-      headerEndIndex = output.length;
-      separatorLength = 0;
+      const isInterim = /^HTTP\/[\d.]+ 1\d\d/.test(output.slice(headerStart, headerStart + 16).toString("utf8"));
+      if (!isInterim) {
+        break;
+      }
+      headerStart = headerEndIndex + separatorLength;
     }
 
-    const headerSection = output.slice(0, headerEndIndex).toString("utf8");
+    const headerSection = output.slice(headerStart, headerEndIndex).toString("utf8");
     const body = headerEndIndex + separatorLength < output.length ? output.slice(headerEndIndex + separatorLength) : Buffer.alloc(0);
 
     // Parse status line and headers
     const lines = headerSection.split(/\r?\n/);
+    const statusLine = lines[0] || "";
+    const statusMatch = statusLine.match(/^HTTP\/([\d.]+) (\d+)/);
+    const status = statusMatch ? parseInt(statusMatch[2], 10) : 0;
 
-    // Handle possible 100 Continue responses
-    let statusLineIndex = 0;
-    while (statusLineIndex < lines.length && lines[statusLineIndex].startsWith("HTTP/") && lines[statusLineIndex].includes("100")) {
-      // Skip 100 Continue and its empty line
-      statusLineIndex++;
-      while (statusLineIndex < lines.length && lines[statusLineIndex].trim() === "") {
-        statusLineIndex++;
-      }
-    }
-
-    const statusLine = lines[statusLineIndex] || "";
-    const statusMatch = statusLine.match(/^HTTP\/[\d.]+ (\d+)/);
-    const status = statusMatch ? parseInt(statusMatch[1], 10) : 0;
-
-    // Parse headers
+    // Parse headers (repeated headers are kept: Set-Cookie as an array, others joined as Node does)
     const headers = {};
-    for (let i = statusLineIndex + 1; i < lines.length; i++) {
+    for (let i = 1; i < lines.length; i++) {
       const line = lines[i];
       const colonIndex = line.indexOf(":");
       if (colonIndex > 0) {
         const key = line.slice(0, colonIndex).trim().toLowerCase();
         const value = line.slice(colonIndex + 1).trim();
-        headers[key] = value;
+        if (key === "set-cookie") {
+          headers[key] = [...(headers[key] || []), value];
+        } else {
+          headers[key] = headers[key] === undefined ? value : `${headers[key]}, ${value}`;
+        }
       }
     }
 
     return {
       status,
+      httpVersion: statusMatch ? statusMatch[1] : null, // "1.1", "2" when curl negotiated h2
       statusText: statusLine.replace(/^HTTP\/[\d.]+ \d+ /, "").trim(),
       headers,
       body,
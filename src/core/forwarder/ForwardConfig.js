@@ -47,7 +47,8 @@ class ForwardConfig {
     this.preserveHostHeader = options.preserveHostHeader || false;
     this.customHeaders = options.customHeaders || {};
 
-    // Proxy configuration
+    // Fixed upstream proxy, used while the upstream proxy of the Proxy Config settings is disabled
+    // proxyUrl: "http://proxy.example.com:3128", proxyAuth: { username, password }
     this.proxyUrl = options.proxyUrl || null;
     this.proxyAuth = options.proxyAuth || null;
 
@@ -14,6 +14,10 @@
  * - Request/response logging
  * - Connection reuse via axios
  * - Support for HTTP/HTTPS
+ * - Upstream proxy chaining (Proxy Config settings, or ForwardConfig proxyUrl / proxyAuth)
+ * - HTTP/2 to HTTPS backends listed in the Proxy Config settings (http2.upstreamHosts)
+ * - Negotiated backend protocol reported as "upstreamProtocol" response metadata (h2, http/1.1)
+ * - Per-host TLS profiles (client certificates, CA bundles, verification, SNI, minimum version) on all HTTPS paths
  *
  * Usage:
  * const forwarder = new HttpForwarder(config);
@@ -23,9 +27,27 @@
 const axios = require("axios");
 const https = require("https");
 const http = require("http");
+const http2 = require("http2");
+const net = require("net");
+const tls = require("tls");
 const logger = require("../../utils/logger");
 const { isTransmitEndpoint } = require("../../utils/endpoint_utils");
 const CurlForwarder = require("./CurlForwarder");
+const { getInstance: getUpstreamProxy, matchesHost } = require("./UpstreamProxy");
+const { getInstance: getTlsProfiles } = require("./TlsProfiles");
+
+// Idle HTTP/2 backend sessions are closed after this long
+const HTTP2_IDLE_TIMEOUT_MS = 60000;
+
+/**
+ * Protocol name of an HTTP version, as negotiated with ALPN
+ * @param {string} httpVersion - HTTP version ("1.1", "2", "2.0")
+ * @returns {string|null} "h2", "http/1.1", or null when unknown
+ */
+function toProtocolName(httpVersion) {
+  if (!httpVersion) return null;
+  return String(httpVersion).startsWith("2") ? "h2" : `http/${httpVersion}`;
+}
 
 class HttpForwarder {
   /**
@@ -39,6 +61,10 @@ class HttpForwarder {
       timeout: config.getTimeout(),
       maxRedirects: config.getMaxRedirects(),
       validateStatus: () => true, // Accept all status codes
+      // Keep the raw bytes (binary bodies must not be decoded as text) and let
+      // ContextFactory decompress them, as for the curl and HTTP/2 paths
+      responseType: "arraybuffer",
+      decompress: false,
       httpAgent: new http.Agent({
         keepAlive: true,
         keepAliveMsecs: 30000,
@@ -102,6 +128,11 @@ class HttpForwarder {
 
     // Create CurlForwarder for HTTPS requests (bypasses Akamai TLS fingerprinting)
     this.curlForwarder = new CurlForwarder(config);
+
+    // HTTP/2 backend sessions: origin -> Promise<ClientHttp2Session>
+    this.http2Sessions = new Map();
+    // Origins listed for HTTP/2 that did not negotiate it (served over curl instead)
+    this.http2Unsupported = new Set();
   }
 
   /**
@@ -127,10 +158,15 @@ class HttpForwarder {
     const isHttps = targetUrl.startsWith("https://");
 
     // For HTTPS requests, use CurlForwarder to bypass Akamai TLS fingerprinting
+    // Backends listed for HTTP/2 are forwarded over a shared h2 session instead
     if (isHttps) {
+      if (this._isHttp2Upstream(targetUrl)) {
+        return this._forwardWithHttp2(requestContext, startTime, targetUrl);
+      }
       return this._forwardWithCurl(requestContext, startTime, targetUrl);
     }
 
+    const upstream = await this._resolveUpstreamProxy(targetUrl);
     let attempt = 0;
     let lastError = null;
 
@@ -194,6 +230,7 @@ class HttpForwarder {
             : undefined,
           // Disable automatic header addition for no-body requests
           validateStatus: () => true, // Accept all status codes
+          ...this._getAxiosProxyOptions(upstream, targetUrl),
         };
 
         // For methods with body, set data properly
@@ -227,6 +264,7 @@ class HttpForwarder {
         const ContextFactory = require("../context/ContextFactory");
         const responseContext = ContextFactory.createResponseContextFromHttp(response);
         responseContext.setLatency(latency);
+        responseContext.setMetadata("upstreamProtocol", "http/1.1");
 
         return responseContext;
       } catch (error) {
@@ -281,6 +319,7 @@ class HttpForwarder {
 
       // Build target URL
       const targetUrl = options.url || this._buildTargetUrl(current);
+      const upstream = await this._resolveUpstreamProxy(targetUrl);
 
       // Merge options with defaults
       const requestOptions = {
@@ -290,6 +329,7 @@ class HttpForwarder {
         data: options.body !== undefined ? options.body : current.body,
         params: options.query || current.query,
         timeout: options.timeout || this.config.getTimeout(),
+        ...this._getAxiosProxyOptions(upstream, targetUrl),
         ...options,
       };
 
@@ -306,6 +346,7 @@ class HttpForwarder {
       const ContextFactory = require("../context/ContextFactory");
       const responseContext = ContextFactory.createResponseContextFromHttp(response);
       responseContext.setLatency(latency);
+      responseContext.setMetadata("upstreamProtocol", "http/1.1");
 
       return responseContext;
     } catch (error) {
@@ -326,6 +367,7 @@ class HttpForwarder {
    */
   async _forwardWithCurl(requestContext, startTime, targetUrl) {
     const current = requestContext.getCurrent();
+    const upstream = await this._resolveUpstreamProxy(targetUrl);
 
     let attempt = 0;
     let lastError = null;
@@ -350,6 +392,8 @@ class HttpForwarder {
           headers: preparedHeaders,
           body: current.body,
           timeout: this.config.getTimeout(),
+          proxy: upstream,
+          tlsProfile: this._resolveTlsProfile(targetUrl),
         });
 
         // Calculate latency
@@ -366,6 +410,7 @@ class HttpForwarder {
           data: response.body,
         });
         responseContext.setLatency(latency);
+        responseContext.setMetadata("upstreamProtocol", toProtocolName(response.httpVersion));
 
         logger.info("[HttpForwarder] Curl forward successful", {
           method: current.method,
@@ -419,6 +464,7 @@ class HttpForwarder {
     const targetUrl = this._buildTargetUrl(current);
     const url = new URL(targetUrl);
     const rawBody = requestContext.getRawBody();
+    const upstream = await this._resolveUpstreamProxy(targetUrl);
 
     // Debug logging
     const logger = require("../../utils/logger");
@@ -455,6 +501,7 @@ class HttpForwarder {
         delete headers["connection"];
         delete headers["keep-alive"];
         delete headers["transfer-encoding"];
+        delete headers["expect"];
 
         // Set correct content-length if raw body exists
         if (rawBody && rawBody.length > 0) {
@@ -467,7 +514,20 @@ class HttpForwarder {
           timeout: this.config.getTimeout(),
         };
 
-        const req = httpModule.request(url, options, (res) => {
+        // Upstream proxy: HTTPS through a CONNECT tunnel, HTTP as an absolute-form request to the proxy
+        // HTTPS: the agent also applies the TLS profile of the host
+        let requestModule = httpModule;
+        if (isHttps) {
+          const agent = this._getHttpsAgent(upstream, url.href);
+          if (agent) options.agent = agent;
+        } else if (upstream && !upstream.direct) {
+          requestModule = upstream.protocol === "https:" ? https : http;
+          Object.assign(options, { hostname: upstream.hostname, port: upstream.port, path: url.href, rejectUnauthorized: false });
+          const authorization = getUpstreamProxy().getAuthorization(upstream);
+          if (authorization) headers["proxy-authorization"] = authorization;
+        }
+
+        const req = requestModule.request(url, options, (res) => {
           let responseBody = Buffer.alloc(0);
 
           res.on("data", (chunk) => {
@@ -489,6 +549,7 @@ class HttpForwarder {
                 data: responseBody,
               });
               responseContext.setLatency(latency);
+              responseContext.setMetadata("upstreamProtocol", toProtocolName(res.httpVersion));
               resolve(responseContext);
             } catch (error) {
               reject(error);
@@ -553,6 +614,233 @@ class HttpForwarder {
     });
   }
 
+  /**
+   * Forward HTTPS request over HTTP/2 (http2.upstreamHosts)
+   * Falls back to curl when the backend cannot be reached over HTTP/2
+   * @private
+   * @param {RequestContext} requestContext - Request context
+   * @param {number} startTime - Request start time
+   * @param {string} targetUrl - Target URL
+   * @returns {Promise<ResponseContext>} Response context
+   */
+  async _forwardWithHttp2(requestContext, startTime, targetUrl) {
+    const current = requestContext.getCurrent();
+
+    let session;
+    try {
+      session = await this._getHttp2Session(targetUrl);
+    } catch (error) {
+      logger.warn("[HttpForwarder] HTTP/2 connection failed, forwarding via curl", {
+        url: targetUrl,
+        error: error.message,
+      });
+      return this._forwardWithCurl(requestContext, startTime, targetUrl);
+    }
+
+    this.metrics.totalRequests++;
+
+    try {
+      logger.info("[HttpForwarder] Forwarding HTTPS request via HTTP/2", {
+        method: current.method,
+        targetUrl,
+      });
+
+      const response = await this._requestHttp2(session, current, targetUrl);
+
+      // Calculate latency
+      const latency = Date.now() - startTime;
+      this.metrics.successfulRequests++;
+      this.metrics.totalLatency += latency;
+      this.metrics.avgLatency = this.metrics.totalLatency / this.metrics.successfulRequests;
+
+      // Create response context
+      const ContextFactory = require("../context/ContextFactory");
+      const responseContext = ContextFactory.createResponseContextFromHttp({
+        status: response.status,
+        headers: response.headers,
+        data: response.body,
+      });
+      responseContext.setLatency(latency);
+      responseContext.setMetadata("upstreamProtocol", "h2");
+
+      return responseContext;
+    } catch (error) {
+      this.metrics.failedRequests++;
+
+      logger.error("[HttpForwarder] HTTP/2 forward failed", {
+        error: error.message,
+        url: targetUrl,
+      });
+
+      const latency = Date.now() - startTime;
+      const ContextFactory = require("../context/ContextFactory");
+      const errorContext = ContextFactory.createErrorResponse(502, "Bad Gateway", { error: error.message || "HTTP/2 forward failed" });
+      errorContext.setLatency(latency);
+
+      const forwardError = this._createForwardError(error, requestContext);
+      forwardError.responseContext = errorContext;
+      throw forwardError;
+    }
+  }
+
+  /**
+   * Send one request on an HTTP/2 session
+   * @private
+   * @param {http2.ClientHttp2Session} session - Backend session
+   * @param {Object} current - Current request data
+   * @param {string} targetUrl - Target URL
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  _requestHttp2(session, current, targetUrl) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(targetUrl);
+      const headers = this._prepareHeaders(current.headers, targetUrl);
+
+      // Connection-specific headers are not allowed on h2 (the host comes from :authority)
+      delete headers["proxy-connection"];
+      delete headers["http2-settings"];
+
+      let body = null;
+      if (current.body !== null && current.body !== undefined && current.body !== "") {
+        body = Buffer.isBuffer(current.body)
+          ? current.body
+          : Buffer.from(typeof current.body === "string" ? current.body : JSON.stringify(current.body));
+        headers["content-length"] = body.length;
+      }
+
+      const stream = session.request({ ...headers, ":method": current.method, ":path": `${url.pathname}${url.search}` });
+
+      let status = 0;
+      const responseHeaders = {};
+      const chunks = [];
+
+      stream.on("response", (h2Headers) => {
+        status = h2Headers[":status"];
+        for (const [key, value] of Object.entries(h2Headers)) {
+          if (!key.startsWith(":")) {
+            responseHeaders[key] = value;
+          }
+        }
+      });
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("end", () => resolve({ status, headers: responseHeaders, body: Buffer.concat(chunks) }));
+      stream.on("error", reject);
+
+      stream.setTimeout(this.config.getTimeout(), () => {
+        stream.close(http2.constants.NGHTTP2_CANCEL);
+        reject(new Error("HTTP/2 request timeout"));
+      });
+
+      stream.end(body || undefined);
+    });
+  }
+
+  /**
+   * Check if an HTTPS target is forwarded over HTTP/2 (Proxy Config http2.upstreamHosts)
+   * @private
+   * @param {string} targetUrl - Target URL
+   * @returns {boolean} True when the target host is listed and has not refused HTTP/2
+   */
+  _isHttp2Upstream(targetUrl) {
+    const { getInstance: getTrafficConfigManager } = require("../../config/TrafficConfigManager");
+    const { upstreamHosts } = getTrafficConfigManager().getHttp2Config();
+    if (!upstreamHosts || upstreamHosts.length === 0) {
+      return false;
+    }
+
+    const url = new URL(targetUrl);
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    return !this.http2Unsupported.has(url.origin) && upstreamHosts.some((pattern) => matchesHost(pattern, host));
+  }
+
+  /**
+   * Get the HTTP/2 session of a backend origin, connecting on first use
+   * Sessions are shared by all requests to the origin (and TLS profile version) and forgotten when they close
+   * @private
+   * @param {string} targetUrl - Target URL
+   * @returns {Promise<http2.ClientHttp2Session>} Connected session
+   */
+  _getHttp2Session(targetUrl) {
+    const url = new URL(targetUrl);
+    const origin = url.origin;
+    const tlsProfile = this._resolveTlsProfile(targetUrl);
+    const key = tlsProfile ? `${origin}|${getTlsProfiles().getKey(tlsProfile, !this.config.isInsecureMode())}` : origin;
+
+    if (!this.http2Sessions.has(key)) {
+      const forget = () => {
+        if (this.http2Sessions.get(key) === pending) {
+          this.http2Sessions.delete(key);
+        }
+      };
+
+      const pending = this._connectHttp2(url, tlsProfile).then(
+        (session) => {
+          session.once("close", forget);
+          session.once("goaway", forget);
+          session.on("error", (error) => {
+            logger.debug("[HttpForwarder] HTTP/2 session error", { origin, error: error.message });
+            forget();
+          });
+          session.setTimeout(HTTP2_IDLE_TIMEOUT_MS, () => session.close());
+          session.unref();
+          return session;
+        },
+        (error) => {
+          forget();
+          if (error.code === "ERR_HTTP2_NOT_NEGOTIATED") {
+            this.http2Unsupported.add(origin);
+          }
+          throw error;
+        }
+      );
+      this.http2Sessions.set(key, pending);
+    }
+
+    return this.http2Sessions.get(key);
+  }
+
+  /**
+   * Open an HTTP/2 session to a backend origin (through the upstream proxy when one applies)
+   * @private
+   * @param {URL} url - Target URL
+   * @param {Object|null} tlsProfile - TLS profile of the host (see TlsProfiles.resolve)
+   * @returns {Promise<http2.ClientHttp2Session>} Connected session
+   */
+  async _connectHttp2(url, tlsProfile = null) {
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    const port = parseInt(url.port, 10) || 443;
+    const upstream = await this._resolveUpstreamProxy(url.href);
+    const tunnel = upstream && !upstream.direct ? await getUpstreamProxy().connect(upstream, host, port) : null;
+
+    const socket = await new Promise((resolve, reject) => {
+      const tlsSocket = tls.connect({
+        ...(tunnel ? { socket: tunnel } : { host, port }),
+        servername: net.isIP(host) ? undefined : host,
+        // http/1.1 is offered too so that HTTP/1.1-only servers complete the handshake instead of failing it
+        ALPNProtocols: ["h2", "http/1.1"],
+        rejectUnauthorized: !this.config.isInsecureMode(),
+        ...(tlsProfile ? getTlsProfiles().getTlsOptions(tlsProfile, !this.config.isInsecureMode()) : {}),
+      });
+
+      tlsSocket.setTimeout(this.config.getTimeout(), () => tlsSocket.destroy(new Error(`HTTP/2 connection to ${url.host} timed out`)));
+      tlsSocket.once("error", reject);
+      tlsSocket.once("secureConnect", () => {
+        tlsSocket.removeListener("error", reject);
+        tlsSocket.setTimeout(0);
+        if (tlsSocket.alpnProtocol !== "h2") {
+          tlsSocket.destroy();
+          const error = new Error(`${url.host} did not negotiate HTTP/2`);
+          error.code = "ERR_HTTP2_NOT_NEGOTIATED";
+          reject(error);
+          return;
+        }
+        resolve(tlsSocket);
+      });
+    });
+
+    return http2.connect(url.origin, { createConnection: () => socket });
+  }
+
   /**
    * Test connection to target server
    * @param {string} url - Target URL
@@ -618,6 +906,10 @@ class HttpForwarder {
     if (this.httpClient.defaults.httpsAgent) {
       this.httpClient.defaults.httpsAgent.destroy();
     }
+    for (const pending of this.http2Sessions.values()) {
+      pending.then((session) => session.close()).catch(() => {});
+    }
+    this.http2Sessions.clear();
   }
 
   /**
@@ -685,6 +977,7 @@ class HttpForwarder {
       "trailer",
       "transfer-encoding",
       "upgrade",
+      "expect", // 100-continue is answered to the client by the proxy
     ];
 
     hopByHopHeaders.forEach((header) => {
@@ -699,6 +992,76 @@ class HttpForwarder {
     return prepared;
   }
 
+  /**
+   * Resolve the upstream proxy of a target URL
+   * The Proxy Config settings win; ForwardConfig proxyUrl applies while they are disabled
+   * @private
+   * @param {string} targetUrl - Target URL
+   * @returns {Promise<Object|null>} Resolved proxy, DIRECT, or null (no upstream proxy)
+   */
+  async _resolveUpstreamProxy(targetUrl) {
+    const upstream = await getUpstreamProxy().resolve(targetUrl);
+    if (upstream || !this.config.getProxyUrl()) {
+      return upstream;
+    }
+    return getUpstreamProxy().fromUrl(this.config.getProxyUrl(), this.config.getProxyAuth());
+  }
+
+  /**
+   * Get the TLS profile of a target URL
+   * @private
+   * @param {string} targetUrl - Target URL
+   * @returns {Object|null} Profile (see TlsProfiles.resolve), null for HTTP targets and hosts without profile
+   */
+  _resolveTlsProfile(targetUrl) {
+    if (!targetUrl.startsWith("https://")) {
+      return null;
+    }
+    return getTlsProfiles().resolve(new URL(targetUrl).hostname);
+  }
+
+  /**
+   * Get the https agent of an HTTPS target: a CONNECT tunnel agent through the upstream proxy,
+   * applying the TLS profile of the host when there is one
+   * @private
+   * @param {Object|null} upstream - Resolved proxy
+   * @param {string} targetUrl - Target URL
+   * @returns {https.Agent|null} Agent, null when the default agent applies
+   */
+  _getHttpsAgent(upstream, targetUrl) {
+    const defaultVerify = !this.config.isInsecureMode();
+    const tlsProfile = this._resolveTlsProfile(targetUrl);
+
+    if (upstream && !upstream.direct) {
+      return getUpstreamProxy().getAgent(upstream, {
+        secure: true,
+        rejectUnauthorized: defaultVerify,
+        tlsOptions: tlsProfile ? getTlsProfiles().getTlsOptions(tlsProfile, defaultVerify) : null,
+        tlsKey: tlsProfile ? getTlsProfiles().getKey(tlsProfile, defaultVerify) : "",
+      });
+    }
+    return tlsProfile ? getTlsProfiles().getAgent(tlsProfile, defaultVerify) : null;
+  }
+
+  /**
+   * Get axios request options for an upstream proxy and the TLS profile of the target host
+   * HTTP targets use axios' proxy support; HTTPS targets need a CONNECT tunnel agent
+   * @private
+   * @param {Object|null} upstream - Resolved proxy
+   * @param {string} targetUrl - Target URL
+   * @returns {Object} axios options (empty without upstream proxy and TLS profile)
+   */
+  _getAxiosProxyOptions(upstream, targetUrl) {
+    const httpsAgent = targetUrl.startsWith("https://") ? this._getHttpsAgent(upstream, targetUrl) : null;
+    if (!upstream) {
+      return httpsAgent ? { httpsAgent } : {};
+    }
+    if (upstream.direct || !targetUrl.startsWith("https://")) {
+      return { proxy: getUpstreamProxy().getAxiosProxy(upstream), ...(httpsAgent ? { httpsAgent } : {}) };
+    }
+    return { proxy: false, httpsAgent };
+  }
+
   /**
    * Create standardized forward error
    * @private
@@ -10,10 +10,13 @@
  * How it works:
  * 1. Client sends CONNECT request to proxy
  * 2. Proxy creates TLS server with dynamic certificate for target host
- * 3. Client establishes TLS connection with proxy (using dynamic cert)
- * 4. Proxy parses HTTP requests from decrypted stream
+ * 3. Client establishes TLS connection with proxy (using dynamic cert), negotiating h2 or HTTP/1.1 (ALPN)
+ * 4. Proxy parses HTTP requests from decrypted stream with Node's parsers (HTTP/1.1: an http server, h2: an http2 server
+ *    that maps each stream to a request); bodies are recorded de-chunked
  * 5. Proxy forwards requests to actual target server over HTTPS
- * 6. Response is sent back to client over the established TLS connection
+ * 6. Response is sent back to client over the established TLS connection (h2: on the request's stream)
+ * WebSocket handshakes hand the decrypted connection over to WebSocketProxy (HTTP/1.1 only)
+ * h2 is offered unless disabled in the Proxy Config settings (http2.enabled)
  *
  * Usage:
  * const interceptor = new HttpsInterceptor(modeService, interceptorChain);
@@ -22,6 +25,7 @@
 
 const tls = require("tls");
 const http = require("http");
+const http2 = require("http2");
 const https = require("https");
 const net = require("net");
 const { URL } = require("url");
@@ -32,6 +36,12 @@ const logger = require("../../utils/logger");
 const trafficLogger = require("../../utils/traffic_logger");
 const { isSecureDomain } = require("../../utils/cookieDomainHelper");
 const { shouldBypassDProxy } = require("../../utils/requestTypeDetector");
+const { getInstance: getFaultInjector } = require("../fault/FaultInjector");
+const { isWebSocketUpgrade } = require("../../utils/websocketFrames");
+const { fromDistinctHeaders } = require("../../utils/httpUtils");
+
+// Headers that must not be sent on h2 connections (RFC 9113 section 8.2.2)
+const HTTP2_CONNECTION_HEADERS = ["connection", "keep-alive", "proxy-connection", "transfer-encoding", "upgrade"];
 
 class HttpsInterceptor {
   /**
@@ -39,11 +49,13 @@ class HttpsInterceptor {
    * @param {Object} options.modeService - Mode service instance
    * @param {Object} options.interceptorChain - Interceptor chain instance
    * @param {Object} options.forwarder - HTTP forwarder instance
+   * @param {Object} options.websocketProxy - WebSocket proxy instance (takes over WebSocket handshakes)
    */
   constructor(options = {}) {
     this.modeService = options.modeService;
     this.interceptorChain = options.interceptorChain;
     this.forwarder = options.forwarder;
+    this.websocketProxy = options.websocketProxy;
     this.certManager = CertManager.getInstance();
   }
 
@@ -55,8 +67,6 @@ class HttpsInterceptor {
    * @param {string} targetHost - Target host:port from CONNECT request
    */
   async handleConnect(req, socket, head, targetHost) {
-    const startTime = Date.now();
-
     try {
       // Parse target host and port
       const [host, portStr] = targetHost.split(":");
@@ -71,30 +81,21 @@ class HttpsInterceptor {
       // Get certificate for this host
       const { key, cert } = await this.certManager.getCertificateForHost(host);
 
-      // Create secure context with our certificate
-      const secureContext = tls.createSecureContext({
-        key: key,
-        cert: cert,
-      });
-
       // Send CONNECT response before upgrading to TLS
       socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
 
-      // Upgrade socket to TLS using secure context
-      const tlsSocket = new tls.TLSSocket(socket, {
-        isServer: true,
-        secureContext: secureContext,
-        // SNI callback for additional certificate handling if needed
-        SNICallback: (servername, cb) => {
-          // For now, use the same context for all SNI requests
-          cb(null, secureContext);
-        },
+      // TLS server for this connection only (never listens): terminates TLS with our certificate
+      // and negotiates h2 or HTTP/1.1 with the client
+      const { getInstance: getTrafficConfigManager } = require("../../config/TrafficConfigManager");
+      const http2Enabled = getTrafficConfigManager().getHttp2Config().enabled;
+      const tlsServer = tls.createServer({
+        key: key,
+        cert: cert,
+        ALPNProtocols: http2Enabled ? ["h2", "http/1.1"] : ["http/1.1"],
       });
 
       // Handle TLS errors
-      tlsSocket.on("error", (error) => {
-        const targetHost = req.url; // CONNECT requests have target host:port in req.url
-        const [host, portStr] = targetHost.split(":");
+      const onTlsError = (error, tlsSocket) => {
         if (isSecureDomain(host)) {
           logger.warn("[HttpsInterceptor] TLS socket error on configured domain", {
             error: error.message,
@@ -107,15 +108,25 @@ class HttpsInterceptor {
           });
         }
         this._closeSocket(tlsSocket);
+      };
+      tlsServer.on("tlsClientError", onTlsError);
+
+      tlsServer.on("secureConnection", (tlsSocket) => {
+        tlsSocket.on("error", (error) => onTlsError(error, tlsSocket));
+
+        if (tlsSocket.alpnProtocol === "h2") {
+          this._handleHttp2Connection(tlsSocket, host, port);
+        } else {
+          // Create HTTP parser for the decrypted stream
+          this._handleDecryptedConnection(tlsSocket, host, port);
+        }
       });
 
-      // If we have head data, feed it into the TLS socket
+      // If we have head data, feed it into the TLS handshake
       if (head && head.length > 0) {
-        tlsSocket.unshift(head);
+        socket.unshift(head);
       }
-
-      // Create HTTP parser for the decrypted stream
-      this._handleDecryptedConnection(tlsSocket, host, port, startTime);
+      tlsServer.emit("connection", socket);
     } catch (error) {
       logger.error("[HttpsInterceptor] Failed to intercept HTTPS", {
         error: error.message,
@@ -129,115 +140,78 @@ class HttpsInterceptor {
   }
 
   /**
-   * Handle decrypted TLS connection
-   * Parse HTTP requests and process them through the proxy
+   * Handle decrypted TLS connection (HTTP/1.1)
+   * An http.Server bound to the socket parses the requests: repeated headers, pipelining,
+   * Expect: 100-continue (answered automatically), chunked bodies (de-chunked) and trailers
    * @param {tls.TLSSocket} tlsSocket - Decrypted TLS socket
    * @param {string} host - Target host
    * @param {number} port - Target port
-   * @param {number} startTime - Request start time
    */
-  _handleDecryptedConnection(tlsSocket, host, port, startTime) {
-    // Buffer for accumulating data
-    let buffer = Buffer.alloc(0);
-    let currentRequest = null;
-    let bodyRemaining = 0;
-
-    const processBuffer = async () => {
-      while (buffer.length > 0) {
-        if (!currentRequest) {
-          // Try to parse HTTP request headers
-          const headerEndIndex = buffer.indexOf("\r\n\r\n");
-          if (headerEndIndex === -1) {
-            // Need more data for headers
-            break;
-          }
-
-          // Parse headers
-          const headerData = buffer.slice(0, headerEndIndex).toString();
-          const lines = headerData.split("\r\n");
-          const requestLine = lines[0];
-          const [method, path, httpVersion] = requestLine.split(" ");
-
-          // Parse headers
-          const headers = {};
-          for (let i = 1; i < lines.length; i++) {
-            const colonIndex = lines[i].indexOf(":");
-            if (colonIndex > 0) {
-              const key = lines[i].slice(0, colonIndex).trim().toLowerCase();
-              const value = lines[i].slice(colonIndex + 1).trim();
-              headers[key] = value;
-            }
-          }
-
-          // Set host header if not present
-          if (!headers.host) {
-            headers.host = port === 443 ? host : `${host}:${port}`;
-          }
-
-          currentRequest = {
-            method,
-            path,
-            httpVersion,
-            headers,
-            body: Buffer.alloc(0),
-            fullUrl: `https://${headers.host}${path}`,
-          };
-
-          // Determine body length
-          if (headers["content-length"]) {
-            bodyRemaining = parseInt(headers["content-length"], 10);
-          } else if (headers["transfer-encoding"]?.toLowerCase() === "chunked") {
-            // For chunked encoding, we'll accumulate until end
-            bodyRemaining = -1; // Special marker for chunked
-          } else {
-            bodyRemaining = 0;
-          }
-
-          // Remove header part from buffer
-          buffer = buffer.slice(headerEndIndex + 4);
+  _handleDecryptedConnection(tlsSocket, host, port) {
+    const httpServer = http.createServer();
+
+    httpServer.on("request", (req, res) => {
+      const startTime = Date.now();
+      const chunks = [];
+
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", async () => {
+        // Chunked requests are recorded and forwarded de-chunked: trailer fields join the headers
+        // and the length of the body replaces the chunked framing
+        // Repeated fields are kept separate (req.headers would join them into one value)
+        const body = Buffer.concat(chunks);
+        const headers = { ...fromDistinctHeaders(req.headersDistinct), ...fromDistinctHeaders(req.trailersDistinct) };
+        if (headers["transfer-encoding"]) {
+          delete headers["transfer-encoding"];
+          delete headers.trailer;
+          headers["content-length"] = String(body.length);
+        }
+        if (!headers.host) {
+          headers.host = port === 443 ? host : `${host}:${port}`;
         }
 
-        if (currentRequest) {
-          if (bodyRemaining > 0) {
-            // Read body data
-            const chunk = buffer.slice(0, Math.min(bodyRemaining, buffer.length));
-            currentRequest.body = Buffer.concat([currentRequest.body, chunk]);
-            buffer = buffer.slice(chunk.length);
-            bodyRemaining -= chunk.length;
-          } else if (bodyRemaining === -1) {
-            // Chunked encoding - for simplicity, read until we see 0\r\n\r\n
-            const chunkEndIndex = buffer.indexOf("0\r\n\r\n");
-            if (chunkEndIndex !== -1) {
-              currentRequest.body = Buffer.concat([currentRequest.body, buffer.slice(0, chunkEndIndex + 5)]);
-              buffer = buffer.slice(chunkEndIndex + 5);
-              bodyRemaining = 0;
-            } else {
-              // Accumulate and wait for more data
-              currentRequest.body = Buffer.concat([currentRequest.body, buffer]);
-              buffer = Buffer.alloc(0);
-              break;
-            }
-          }
-
-          if (bodyRemaining === 0) {
-            // Request is complete, process it
-            await this._processRequest(currentRequest, tlsSocket, host, port, startTime);
-            currentRequest = null;
-          }
+        const request = {
+          method: req.method,
+          path: req.url,
+          httpVersion: req.httpVersion,
+          headers,
+          body,
+          fullUrl: `https://${headers.host}${req.url}`,
+          res,
+        };
+        try {
+          await this._processRequest(request, tlsSocket, host, port, startTime);
+        } catch (error) {
+          logger.error("[HttpsInterceptor] Error processing request", {
+            error: error.message,
+            host,
+          });
+          this._sendErrorResponse(res, 500, "Internal Proxy Error");
         }
+      });
+    });
+
+    // WebSocket handshake: the connection is no longer HTTP, hand the socket over
+    // Other upgrade requests (e.g. h2c) are not supported and closed
+    httpServer.on("upgrade", (req, socket, head) => {
+      if (!this.websocketProxy || req.method !== "GET" || !isWebSocketUpgrade(req.headers)) {
+        logger.debug("[HttpsInterceptor] Unsupported upgrade request", { host, url: req.url, upgrade: req.headers.upgrade });
+        socket.destroy();
+        return;
       }
-    };
-
-    tlsSocket.on("data", async (data) => {
-      buffer = Buffer.concat([buffer, data]);
-      try {
-        await processBuffer();
-      } catch (error) {
-        logger.error("[HttpsInterceptor] Error processing request", {
-          error: error.message,
-          host,
-        });
-        this._sendErrorResponse(tlsSocket, 500, "Internal Proxy Error");
+
+      const headers = { ...fromDistinctHeaders(req.headersDistinct), host: req.headers.host || (port === 443 ? host : `${host}:${port}`) };
+      const request = { method: req.method, url: `https://${headers.host}${req.url}`, headers, ip: socket.remoteAddress };
+      this.websocketProxy.handleUpgrade(request, socket, head, true);
+    });
+
+    // Malformed requests get a 400 and the connection is closed
+    httpServer.on("clientError", (error, socket) => {
+      logger.warn("[HttpsInterceptor] Invalid HTTP request", { error: error.message, code: error.code, host });
+      if (socket.writable && error.code !== "ECONNRESET") {
+        socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+      } else {
+        socket.destroy();
       }
     });
 
@@ -248,17 +222,85 @@ class HttpsInterceptor {
     tlsSocket.on("close", () => {
       logger.debug("[HttpsInterceptor] TLS socket closed", { host });
     });
+
+    httpServer.emit("connection", tlsSocket);
+  }
+
+  /**
+   * Handle decrypted TLS connection that negotiated h2
+   * Each stream is one request, processed like an HTTP/1.1 request and answered on its stream
+   * @param {tls.TLSSocket} tlsSocket - Decrypted TLS socket
+   * @param {string} host - Target host
+   * @param {number} port - Target port
+   */
+  _handleHttp2Connection(tlsSocket, host, port) {
+    const h2Server = http2.createServer();
+
+    h2Server.on("stream", (stream, streamHeaders) => {
+      this._handleHttp2Stream(stream, streamHeaders, tlsSocket, host, port);
+    });
+
+    h2Server.on("sessionError", (error) => {
+      logger.warn("[HttpsInterceptor] HTTP/2 session error", { error: error.message, host });
+    });
+
+    h2Server.emit("connection", tlsSocket);
+  }
+
+  /**
+   * Collect an h2 stream into a request object and process it
+   * @param {http2.ServerHttp2Stream} stream - Request stream
+   * @param {Object} streamHeaders - Request headers, including pseudo-headers
+   * @param {tls.TLSSocket} tlsSocket - Decrypted TLS socket
+   * @param {string} host - Target host
+   * @param {number} port - Target port
+   */
+  _handleHttp2Stream(stream, streamHeaders, tlsSocket, host, port) {
+    const startTime = Date.now();
+
+    // Regular headers; :authority replaces the Host header of HTTP/1.1
+    const headers = {};
+    for (const [key, value] of Object.entries(streamHeaders)) {
+      if (!key.startsWith(":")) {
+        headers[key] = value;
+      }
+    }
+    if (!headers.host) {
+      headers.host = streamHeaders[":authority"] || (port === 443 ? host : `${host}:${port}`);
+    }
+
+    const path = streamHeaders[":path"] || "/";
+    const chunks = [];
+
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", async () => {
+      const request = {
+        method: streamHeaders[":method"],
+        path,
+        httpVersion: "2.0",
+        headers,
+        body: Buffer.concat(chunks),
+        fullUrl: `https://${headers.host}${path}`,
+        stream,
+      };
+      await this._processRequest(request, tlsSocket, host, port, startTime);
+    });
+
+    stream.on("error", (error) => {
+      logger.debug("[HttpsInterceptor] HTTP/2 stream error", { error: error.message, host, path });
+    });
   }
 
   /**
    * Process a complete HTTP request
-   * @param {Object} request - Parsed request object
-   * @param {tls.TLSSocket} tlsSocket - TLS socket for response
+   * @param {Object} request - Parsed request object (carries its ServerResponse, or its stream for h2)
+   * @param {tls.TLSSocket} tlsSocket - Decrypted TLS socket
    * @param {string} host - Target host
    * @param {number} port - Target port
    * @param {number} startTime - Request start time
    */
   async _processRequest(request, tlsSocket, host, port, startTime) {
+    let requestContext = null;
     try {
       logger.info("[HttpsInterceptor] Processing HTTPS request", {
         method: request.method,
@@ -277,6 +319,7 @@ class HttpsInterceptor {
         url: request.fullUrl,
         originalUrl: request.fullUrl,
         path: pathname, // Path without query string (Express convention)
+        httpVersion: request.httpVersion,
         headers: request.headers,
         body: request.body.length > 0 ? request.body : null,
         rawBody: request.body.length > 0 ? request.body : null,
@@ -287,7 +330,7 @@ class HttpsInterceptor {
       };
 
       // Create request context
-      const requestContext = ContextFactory.createRequestContext(mockReq);
+      requestContext = ContextFactory.createRequestContext(mockReq);
 
       // Create response context
       const responseContext = ContextFactory.createResponseContext();
@@ -307,7 +350,6 @@ class HttpsInterceptor {
 
         // Log before mode handling
         logger.debug("[HttpsInterceptor] Calling mode service", {
-          mode: this.modeService.getCurrentMode?.() || "unknown",
           hasForwarder: !!this.forwarder,
           targetUrl: requestContext.getCurrent().originalUrl || requestContext.getCurrent().url,
         });
@@ -338,9 +380,15 @@ class HttpsInterceptor {
       }
 
       // Send response back to client
-      this._sendResponse(tlsSocket, finalResponseContext, mockReq, startTime);
+      const mode = this._getRequestMode(requestContext);
+      if (request.stream) {
+        this._sendHttp2Response(request.stream, finalResponseContext, mockReq, startTime, mode);
+      } else {
+        this._sendResponse(request.res, finalResponseContext, mockReq, startTime, mode);
+      }
 
       logger.debug("[HttpsInterceptor] Request processed", {
+        mode,
         method: request.method,
         url: request.fullUrl,
         status: finalResponseContext.getStatus(),
@@ -354,10 +402,24 @@ class HttpsInterceptor {
         stack: error.stack,
       });
       const errReq = { method: request?.method, path: request?.path, ip: tlsSocket?.remoteAddress };
-      this._sendErrorResponse(tlsSocket, 502, "Bad Gateway", errReq, startTime);
+      if (request?.stream) {
+        this._sendHttp2ErrorResponse(request.stream, 502, "Bad Gateway", errReq, startTime, this._getRequestMode(requestContext));
+      } else {
+        this._sendErrorResponse(request.res, 502, "Bad Gateway", errReq, startTime, this._getRequestMode(requestContext));
+      }
     }
   }
 
+  /**
+   * Get the mode a request was handled in: resolved per request (X-DProxy-Mode header, per-client overrides),
+   * the global mode when the request failed before it was resolved
+   * @param {Object|null} requestContext - Request context
+   * @returns {string} Mode
+   */
+  _getRequestMode(requestContext) {
+    return requestContext?.getMetadata("mode") || this.modeService?.getCurrentMode?.() || "unknown";
+  }
+
   /**
    * Forward request directly to target server (fallback when no modeService)
    * @param {Object} requestContext - Request context
@@ -411,100 +473,212 @@ class HttpsInterceptor {
   }
 
   /**
-   * Send response to client over TLS socket
-   * @param {tls.TLSSocket} tlsSocket - TLS socket
+   * Send response to client (HTTP/1.1)
+   * @param {http.ServerResponse} res - Response of the request
    * @param {Object} responseContext - Response context
    * @param {Object} mockReq - Mock request object for logging
    * @param {number} startTime - Request start time for duration calculation
+   * @param {string} mode - Mode the request was handled in (see _getRequestMode)
    */
-  _sendResponse(tlsSocket, responseContext, mockReq, startTime) {
-    if (tlsSocket.destroyed) {
+  _sendResponse(res, responseContext, mockReq, startTime, mode) {
+    if (res.destroyed || res.headersSent) {
+      return;
+    }
+
+    // Injected timeout/reset faults: no response is written
+    const faultInjector = getFaultInjector();
+    const fault = faultInjector.getFault(responseContext);
+    if (faultInjector.isConnectionFault(fault)) {
+      faultInjector.abortConnection(res.socket, fault);
+      logger.info("[HttpsInterceptor] Injected connection fault", { type: fault.type, profile: fault.profileName });
       return;
     }
 
     const status = responseContext.getStatus();
     const headers = responseContext.getHeaders();
     const body = responseContext.getBody();
-
-    // Build response
-    let response = `HTTP/1.1 ${status} ${this._getStatusText(status)}\r\n`;
-
-    // Add headers
     const bodyBuffer = this._prepareBody(body);
 
     // Filter out hop-by-hop headers and set correct content-length
     const hopByHop = ["connection", "keep-alive", "transfer-encoding", "upgrade"];
+    const responseHeaders = {};
     for (const [key, value] of Object.entries(headers)) {
       if (!hopByHop.includes(key.toLowerCase()) && key.toLowerCase() !== "content-length") {
-        const values = Array.isArray(value) ? value : [value];
-        for (const v of values) {
-          response += `${key}: ${v}\r\n`;
-        }
+        responseHeaders[key] = value;
       }
     }
+    if (status !== 204 && status !== 304) {
+      responseHeaders["Content-Length"] = bodyBuffer.length;
+    }
 
-    // Set content-length
-    response += `Content-Length: ${bodyBuffer.length}\r\n`;
-    response += "Connection: close\r\n";
-    response += "\r\n";
-
-    // Write headers
-    tlsSocket.write(response);
+    try {
+      res.writeHead(status, responseHeaders);
+    } catch (error) {
+      logger.warn("[HttpsInterceptor] Failed to send response", { error: error.message, status });
+      res.destroy();
+      return;
+    }
 
-    // Write body
-    if (bodyBuffer.length > 0) {
-      tlsSocket.write(bodyBuffer);
+    // Write body (injected truncate/throttle faults control how the body is written and closed)
+    if (faultInjector.isBodyFault(fault)) {
+      faultInjector.sendBody(bodyBuffer, fault, {
+        write: (chunk) => res.write(chunk),
+        end: () => res.end(),
+        destroy: () => res.destroy(),
+        isClosed: () => res.destroyed,
+      });
+    } else {
+      res.end(bodyBuffer);
     }
 
     // Log response to client
     if (mockReq) {
       const clientIP = mockReq.ip || "UNKNOWN";
-      const mode = this.modeService?.getCurrentMode?.() || "unknown";
       const duration = Date.now() - startTime;
       const requestId = responseContext.getAllMetadata()?.requestId;
 
       trafficLogger.logClientResponse(mockReq, status, headers, body, duration, clientIP, mode, requestId);
     }
-
-    // End the connection since we set Connection: close
-    tlsSocket.end();
   }
 
   /**
-   * Send error response
-   * @param {tls.TLSSocket} tlsSocket - TLS socket
+   * Send error response (HTTP/1.1)
+   * @param {http.ServerResponse} res - Response of the request
    * @param {number} status - HTTP status code
    * @param {string} message - Error message
    * @param {Object} mockReq - Mock request object for logging
    * @param {number} startTime - Request start time for duration calculation
+   * @param {string} mode - Mode the request was handled in (see _getRequestMode)
    */
-  _sendErrorResponse(tlsSocket, status, message, mockReq, startTime) {
-    if (tlsSocket.destroyed) {
+  _sendErrorResponse(res, status, message, mockReq, startTime, mode) {
+    if (res.destroyed || res.headersSent) {
       return;
     }
 
     const body = JSON.stringify({ error: message, timestamp: new Date().toISOString() });
-    const response =
-      `HTTP/1.1 ${status} ${this._getStatusText(status)}\r\n` +
-      `Content-Type: application/json\r\n` +
-      `Content-Length: ${Buffer.byteLength(body)}\r\n` +
-      `Connection: close\r\n` +
-      `\r\n` +
-      body;
-
-    tlsSocket.write(response);
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body),
+    });
+    res.end(body);
 
     // Log error response to client
     if (mockReq) {
       const clientIP = mockReq.ip || "UNKNOWN";
-      const mode = this.modeService?.getCurrentMode?.() || "unknown";
       const duration = Date.now() - startTime;
       const requestId = null;
 
       trafficLogger.logClientResponse(mockReq, status, {}, body, duration, clientIP, mode, requestId);
     }
+  }
+
+  /**
+   * Send response to client on an h2 stream
+   * @param {http2.ServerHttp2Stream} stream - Request stream
+   * @param {Object} responseContext - Response context
+   * @param {Object} mockReq - Mock request object for logging
+   * @param {number} startTime - Request start time for duration calculation
+   * @param {string} mode - Mode the request was handled in (see _getRequestMode)
+   */
+  _sendHttp2Response(stream, responseContext, mockReq, startTime, mode) {
+    if (stream.destroyed || stream.closed) {
+      return;
+    }
+
+    // Injected timeout/reset faults: no response is written, a reset resets the stream only
+    const faultInjector = getFaultInjector();
+    const fault = faultInjector.getFault(responseContext);
+    if (faultInjector.isConnectionFault(fault)) {
+      if (fault.type === "reset") {
+        stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+      } else {
+        faultInjector.abortConnection(stream, fault);
+      }
+      logger.info("[HttpsInterceptor] Injected connection fault", { type: fault.type, profile: fault.profileName });
+      return;
+    }
+
+    const status = responseContext.getStatus();
+    const headers = responseContext.getHeaders();
+    const body = responseContext.getBody();
+    const bodyBuffer = this._prepareBody(body);
+
+    // h2 header names are lowercase; connection-specific headers are not allowed
+    const h2Headers = { ":status": status };
+    for (const [key, value] of Object.entries(headers)) {
+      const name = key.toLowerCase();
+      if (!name.startsWith(":") && name !== "content-length" && !HTTP2_CONNECTION_HEADERS.includes(name)) {
+        h2Headers[name] = value;
+      }
+    }
+
+    // No body for HEAD requests and bodiless statuses
+    const noBody = mockReq?.method === "HEAD" || status === 204 || status === 304;
+    if (!noBody) {
+      h2Headers["content-length"] = bodyBuffer.length;
+    }
+
+    try {
+      stream.respond(h2Headers, { endStream: noBody });
+    } catch (error) {
+      logger.warn("[HttpsInterceptor] Failed to send HTTP/2 response", { error: error.message, status });
+      stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+      return;
+    }
 
-    tlsSocket.end();
+    // Write body (injected truncate/throttle faults control how the body is written and closed)
+    if (!noBody) {
+      if (faultInjector.isBodyFault(fault)) {
+        faultInjector.sendBody(bodyBuffer, fault, {
+          write: (chunk) => stream.write(chunk),
+          end: () => stream.end(),
+          destroy: () => stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR),
+          isClosed: () => stream.destroyed || stream.closed,
+        });
+      } else {
+        stream.end(bodyBuffer);
+      }
+    }
+
+    // Log response to client
+    if (mockReq) {
+      const clientIP = mockReq.ip || "UNKNOWN";
+      const duration = Date.now() - startTime;
+      const requestId = responseContext.getAllMetadata()?.requestId;
+
+      trafficLogger.logClientResponse(mockReq, status, headers, body, duration, clientIP, mode, requestId);
+    }
+  }
+
+  /**
+   * Send error response on an h2 stream
+   * @param {http2.ServerHttp2Stream} stream - Request stream
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   * @param {Object} mockReq - Mock request object for logging
+   * @param {number} startTime - Request start time for duration calculation
+   * @param {string} mode - Mode the request was handled in (see _getRequestMode)
+   */
+  _sendHttp2ErrorResponse(stream, status, message, mockReq, startTime, mode) {
+    if (stream.destroyed || stream.closed || stream.headersSent) {
+      return;
+    }
+
+    const body = JSON.stringify({ error: message, timestamp: new Date().toISOString() });
+    stream.respond({
+      ":status": status,
+      "content-type": "application/json",
+      "content-length": Buffer.byteLength(body),
+    });
+    stream.end(body);
+
+    // Log error response to client
+    if (mockReq) {
+      const clientIP = mockReq.ip || "UNKNOWN";
+      const duration = Date.now() - startTime;
+
+      trafficLogger.logClientResponse(mockReq, status, {}, body, duration, clientIP, mode, null);
+    }
   }
 
   /**
@@ -525,32 +699,6 @@ class HttpsInterceptor {
     return Buffer.from(String(body));
   }
 
-  /**
-   * Get status text for HTTP status code
-   * @param {number} status - HTTP status code
-   * @returns {string} Status text
-   */
-  _getStatusText(status) {
-    const statusTexts = {
-      200: "OK",
-      201: "Created",
-      204: "No Content",
-      301: "Moved Permanently",
-      302: "Found",
-      304: "Not Modified",
-      400: "Bad Request",
-      401: "Unauthorized",
-      403: "Forbidden",
-      404: "Not Found",
-      405: "Method Not Allowed",
-      500: "Internal Server Error",
-      502: "Bad Gateway",
-      503: "Service Unavailable",
-      504: "Gateway Timeout",
-    };
-    return statusTexts[status] || "Unknown";
-  }
-
   /**
    * Parse query string from path
    * @param {string} path - URL path with query string
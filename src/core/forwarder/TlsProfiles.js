@@ -0,0 +1,301 @@
+/**
+ * TlsProfiles - Per-host TLS options of backend connections
+ *
+ * Purpose:
+ * - Present client certificates (mTLS, PEM or PKCS#12) to backends that require them
+ * - Verify backends against extra CAs (private PKI), or skip verification, per host
+ * - Override SNI and set a minimum TLS version
+ *
+ * Profiles (tls_profiles table) match the target host with host patterns (see UpstreamProxy.matchesHost);
+ * the first enabled profile by priority applies. Hosts without a profile keep the global default
+ * (ForwardConfig.isInsecureMode). Secrets are decrypted when profiles are loaded.
+ *
+ * Usage:
+ * const tlsProfiles = getInstance();
+ * const profile = tlsProfiles.resolve("api.partner.example.com");
+ * const agent = tlsProfiles.getAgent(profile, !config.isInsecureMode()); // axios / native https
+ * const args = tlsProfiles.getCurlArgs(profile, !config.isInsecureMode()); // curl
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const https = require("https");
+const tls = require("tls");
+const logger = require("../../utils/logger");
+const tlsProfileRepository = require("../../database/repositories/tls_profile_repository");
+const { decrypt } = require("../../utils/crypto");
+const { matchesHost } = require("./UpstreamProxy");
+
+// Private directory of this process where curl reads certificates and keys (see getCurlFilesDir)
+let curlFilesDir = null;
+
+const CURL_MIN_VERSION_ARGS = {
+  TLSv1: "--tlsv1.0",
+  "TLSv1.1": "--tlsv1.1",
+  "TLSv1.2": "--tlsv1.2",
+  "TLSv1.3": "--tlsv1.3",
+};
+
+/**
+ * Get the directory of the certificate and key files read by curl
+ * Created on first use with a random name (mkdtemp, owner only) and removed when the process exits
+ * @returns {string} Directory path
+ */
+function getCurlFilesDir() {
+  if (!curlFilesDir) {
+    curlFilesDir = fs.mkdtempSync(path.join(os.tmpdir(), "dproxy-tls-"));
+    fs.chmodSync(curlFilesDir, 0o700);
+  }
+  return curlFilesDir;
+}
+
+/**
+ * Remove the certificate and key files read by curl (a new directory is created on next use)
+ */
+function removeCurlFiles() {
+  if (curlFilesDir) {
+    fs.rmSync(curlFilesDir, { recursive: true, force: true });
+    curlFilesDir = null;
+  }
+}
+
+process.once("exit", removeCurlFiles);
+
+/**
+ * Decrypt the secrets of a profile row
+ * @param {Object} row - Profile (see tlsProfileRepository.getAllProfiles)
+ * @returns {Object} Profile with client_key, client_pfx and passphrase in plaintext, without the encrypted columns
+ */
+function decryptProfile(row) {
+  const { client_key_encrypted, client_pfx_encrypted, passphrase_encrypted, ...profile } = row;
+
+  const decryptField = (value, field) => {
+    if (!value) return null;
+    try {
+      return decrypt(value);
+    } catch (error) {
+      logger.warn("[TlsProfiles] Failed to decrypt TLS profile secret", { id: row.id, name: row.name, field, error: error.message });
+      return null;
+    }
+  };
+
+  return {
+    ...profile,
+    client_key: decryptField(client_key_encrypted, "client_key"),
+    client_pfx: decryptField(client_pfx_encrypted, "client_pfx"),
+    passphrase: decryptField(passphrase_encrypted, "passphrase"),
+  };
+}
+
+/**
+ * Build the tls.connect options of a profile
+ * @param {Object} profile - Decrypted profile
+ * @param {boolean} defaultVerify - Certificate verification when the profile does not set it
+ * @returns {Object} { rejectUnauthorized, ca, cert, key, pfx, passphrase, servername, minVersion } (only the ones set)
+ */
+function toTlsOptions(profile, defaultVerify) {
+  const options = {
+    rejectUnauthorized: profile.verify === null || profile.verify === undefined ? defaultVerify : profile.verify,
+  };
+
+  // Extra CAs are trusted in addition to the system CAs
+  if (profile.ca_bundle) {
+    options.ca = [...tls.rootCertificates, profile.ca_bundle];
+  }
+  if (profile.client_cert_type === "pem" && profile.client_cert && profile.client_key) {
+    options.cert = profile.client_cert;
+    options.key = profile.client_key;
+  }
+  if (profile.client_cert_type === "pkcs12" && profile.client_pfx) {
+    options.pfx = Buffer.from(profile.client_pfx, "base64");
+  }
+  if (profile.client_cert_type && profile.passphrase) {
+    options.passphrase = profile.passphrase;
+  }
+  if (profile.servername) {
+    options.servername = profile.servername;
+  }
+  if (profile.min_version) {
+    options.minVersion = profile.min_version;
+  }
+  return options;
+}
+
+/**
+ * Check that the certificates and keys of a profile can be used
+ * (PEM / PKCS#12 parsing, passphrase, private key matching the certificate)
+ * @param {Object} profile - Decrypted profile
+ * @returns {string|null} Error message or null if valid
+ */
+function validateProfileMaterial(profile) {
+  try {
+    // Unparsable CA certificates are skipped by createSecureContext, so they are parsed one by one
+    const caCertificates = String(profile.ca_bundle || "").match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+    caCertificates.forEach((certificate) => new crypto.X509Certificate(certificate));
+    tls.createSecureContext(toTlsOptions(profile, true));
+    return null;
+  } catch (error) {
+    return `Invalid certificate, key or passphrase: ${error.message}`;
+  }
+}
+
+class TlsProfiles {
+  constructor() {
+    this._profiles = null;
+    // Incremented on every reload, identifies the profile versions in cache keys
+    this._version = 0;
+    // https agents by profile version and default verification
+    this._agents = new Map();
+    // curl arguments by profile version and default verification
+    this._curlArgs = new Map();
+  }
+
+  /**
+   * Reload enabled profiles from database (call after profiles change)
+   */
+  reload() {
+    const version = ++this._version;
+    this._profiles = tlsProfileRepository.getAllProfiles(true).map((row) => ({ ...decryptProfile(row), version }));
+
+    for (const agent of this._agents.values()) {
+      agent.destroy();
+    }
+    this._agents.clear();
+    this._curlArgs.clear();
+    removeCurlFiles();
+
+    logger.info("[TlsProfiles] TLS profiles loaded", { count: this._profiles.length });
+  }
+
+  /**
+   * Get enabled profiles (loads on first use)
+   * @returns {Array<Object>} Decrypted profiles
+   * @private
+   */
+  _getProfiles() {
+    if (this._profiles === null) {
+      try {
+        this.reload();
+      } catch (e) {
+        // Table may not exist yet (database not initialized with latest schema)
+        logger.warn("[TlsProfiles] Failed to load TLS profiles", { error: e.message });
+        this._profiles = [];
+      }
+    }
+    return this._profiles;
+  }
+
+  /**
+   * Get the profile of a target host
+   * @param {string} host - Target host name or IP address
+   * @returns {Object|null} First matching enabled profile (decrypted, with the loaded "version"), null when none applies
+   */
+  resolve(host) {
+    const hostname = String(host || "")
+      .replace(/^\[|\]$/g, "")
+      .toLowerCase();
+    return this._getProfiles().find((profile) => matchesHost(profile.match_host, hostname)) || null;
+  }
+
+  /**
+   * Get the tls.connect options of a profile
+   * @param {Object} profile - Profile (see resolve)
+   * @param {boolean} defaultVerify - Certificate verification when the profile does not set it
+   * @returns {Object} TLS options
+   */
+  getTlsOptions(profile, defaultVerify) {
+    return toTlsOptions(profile, defaultVerify);
+  }
+
+  /**
+   * Identify a profile version and default verification (cache key of agents, sessions and tunnels)
+   * @param {Object} profile - Profile (see resolve)
+   * @param {boolean} defaultVerify - Certificate verification when the profile does not set it
+   * @returns {string} Key
+   */
+  getKey(profile, defaultVerify) {
+    return `${profile.id}:${profile.version}:${defaultVerify}`;
+  }
+
+  /**
+   * Get a keep-alive https agent applying a profile (direct connections)
+   * @param {Object} profile - Profile (see resolve)
+   * @param {boolean} defaultVerify - Certificate verification when the profile does not set it
+   * @returns {https.Agent} Agent (shared per profile version)
+   */
+  getAgent(profile, defaultVerify) {
+    const key = this.getKey(profile, defaultVerify);
+    if (!this._agents.has(key)) {
+      this._agents.set(key, new https.Agent({ keepAlive: true, keepAliveMsecs: 30000, ...toTlsOptions(profile, defaultVerify) }));
+    }
+    return this._agents.get(key);
+  }
+
+  /**
+   * Get the curl arguments applying a profile (the SNI override is applied by CurlForwarder)
+   * Certificates and keys are written to owner-only files read by curl (see getCurlFilesDir)
+   * @param {Object} profile - Profile (see resolve)
+   * @param {boolean} defaultVerify - Certificate verification when the profile does not set it
+   * @returns {Array<string>} curl arguments
+   */
+  getCurlArgs(profile, defaultVerify) {
+    const key = this.getKey(profile, defaultVerify);
+    if (this._curlArgs.has(key)) {
+      return this._curlArgs.get(key);
+    }
+
+    const options = toTlsOptions(profile, defaultVerify);
+    const prefix = `${profile.id}-${crypto.createHash("sha256").update(key).digest("hex").slice(0, 12)}`;
+    const writeFile = (name, content) => {
+      const file = path.join(getCurlFilesDir(), `${prefix}-${name}`);
+      fs.writeFileSync(file, content, { mode: 0o600 });
+      return file;
+    };
+
+    const args = [];
+    if (!options.rejectUnauthorized) {
+      args.push("-k");
+    }
+    if (options.ca) {
+      args.push("--cacert", writeFile("ca.pem", options.ca.join("\n")));
+    }
+    if (options.cert) {
+      args.push("--cert", writeFile("client.pem", options.cert), "--key", writeFile("client.key", options.key));
+    }
+    if (options.pfx) {
+      args.push("--cert", writeFile("client.p12", options.pfx), "--cert-type", "P12");
+    }
+    if (options.passphrase) {
+      // Passed as an argument: the passphrase is never written to disk
+      args.push("--pass", options.passphrase);
+    }
+    if (options.minVersion) {
+      args.push(CURL_MIN_VERSION_ARGS[options.minVersion]);
+    }
+
+    this._curlArgs.set(key, args);
+    return args;
+  }
+}
+
+let instance = null;
+
+/**
+ * Get singleton instance of TlsProfiles
+ * @returns {TlsProfiles}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new TlsProfiles();
+  }
+  return instance;
+}
+
+module.exports = {
+  TlsProfiles,
+  getInstance,
+  decryptProfile,
+  validateProfileMaterial,
+};
@@ -0,0 +1,419 @@
+/**
+ * WebSocketProxy - WebSocket Interception Handler
+ *
+ * Purpose:
+ * - Take over WebSocket handshakes (Upgrade: websocket) of plain HTTP proxy requests and of
+ *   decrypted HTTPS connections (see HttpsInterceptor)
+ * - Relay frames between client and target server in passthrough mode
+ * - Record the frames of each connection (direction, time since open) in recording mode
+ * - Play recorded server frames back with their timing in replay mode
+ *
+ * How replay works:
+ * - The latest recorded connection to the same path in the replay stack is used
+ *   (same host and query params preferred)
+ * - Server frames are grouped by the client message they followed: the first group is sent when
+ *   the socket opens, the next one when the client sends its next message, each frame after its
+ *   recorded delay
+ * - Pings are answered with pongs; recorded pings/pongs are not replayed
+ *
+ * Recorded connections drop Sec-WebSocket-Extensions so frames are not compressed (permessage-deflate).
+ * Relayed connections go through a CONNECT tunnel when an upstream proxy applies to the target (see UpstreamProxy).
+ *
+ * Usage:
+ * const proxy = new WebSocketProxy({ modeService, interceptorChain });
+ * await proxy.handleUpgrade({ method, url, headers, ip }, socket, head, secure);
+ */
+
+const http = require("http");
+const https = require("https");
+const { URL } = require("url");
+
+const ContextFactory = require("../context/ContextFactory");
+const logger = require("../../utils/logger");
+const { shouldBypassDProxy } = require("../../utils/requestTypeDetector");
+const { extractMobileHeaders } = require("../../utils/header_extractor");
+const collectionRepository = require("../../database/repositories/collection_repository");
+const websocketRepository = require("../../database/repositories/websocket_repository");
+const { getInstance: getUpstreamProxy } = require("./UpstreamProxy");
+const {
+  OPCODES,
+  getAcceptKey,
+  isControlFrame,
+  parseFrames,
+  encodeFrame,
+  encodeClosePayload,
+  getCloseCode,
+} = require("../../utils/websocketFrames");
+
+// Time to wait for the client to answer a replayed close frame before closing the socket
+const CLOSE_TIMEOUT_MS = 5000;
+
+// Request headers never forwarded to the target server
+const PROXY_HEADERS = ["proxy-connection", "proxy-authorization", "x-dproxy-mode"];
+
+class WebSocketProxy {
+  /**
+   * @param {Object} options - Proxy options
+   * @param {Object} options.modeService - Mode service instance
+   * @param {Object} options.interceptorChain - Interceptor chain instance
+   */
+  constructor(options = {}) {
+    this.modeService = options.modeService;
+    this.interceptorChain = options.interceptorChain;
+  }
+
+  /**
+   * Handle a WebSocket handshake
+   * @param {Object} request - { method, url (absolute http(s) or ws(s) URL), headers (lowercase names), ip }
+   * @param {net.Socket|tls.TLSSocket} socket - Client socket
+   * @param {Buffer} head - Bytes received after the handshake
+   * @param {boolean} secure - True for decrypted HTTPS connections (wss://)
+   */
+  async handleUpgrade(request, socket, head, secure) {
+    socket.on("error", (error) => {
+      logger.debug("[WebSocketProxy] Client socket error", { error: error.message, url: request.url });
+    });
+
+    try {
+      const target = new URL(request.url.replace(/^ws(s?):/, "http$1:"));
+      if (secure) target.protocol = "https:";
+
+      const mockReq = {
+        method: request.method,
+        url: target.href,
+        originalUrl: target.href,
+        path: target.pathname,
+        headers: request.headers,
+        body: null,
+        rawBody: null,
+        query: Object.fromEntries(target.searchParams),
+        ip: request.ip,
+        protocol: secure ? "https" : "http",
+        get: (header) => request.headers[header.toLowerCase()],
+      };
+      const requestContext = ContextFactory.createRequestContext(mockReq);
+      if (this.interceptorChain) {
+        await this.interceptorChain.executeRequest(requestContext);
+      }
+
+      // Resolved first so the X-DProxy-Mode header is never forwarded
+      const { mode } = this.modeService ? this.modeService.resolveMode(requestContext) : { mode: "passthrough" };
+
+      if (shouldBypassDProxy(requestContext)) {
+        logger.debug("[WebSocketProxy] Non-monitored WebSocket, relaying", { url: target.href });
+        await this._relay(request, target, socket, head, null);
+        return;
+      }
+
+      logger.info("[WebSocketProxy] WebSocket handshake", { mode, url: target.href });
+
+      if (mode === "recording") {
+        await this._relay(request, target, socket, head, this._getRecording(requestContext, target));
+      } else if (mode === "replay") {
+        const recorded = this._findRecording(target);
+        if (recorded) {
+          this._replay(request, recorded, socket, head);
+        } else if (this.modeService.getModeHandler("replay").fallbackBehavior === "passthrough") {
+          await this._relay(request, target, socket, head, null);
+        } else {
+          logger.info("[WebSocketProxy] No recorded WebSocket connection", { url: target.href });
+          this._writeHttpError(socket, 404, "No matching response found", "No recorded WebSocket connection matches this request");
+        }
+      } else {
+        await this._relay(request, target, socket, head, null);
+      }
+    } catch (error) {
+      logger.error("[WebSocketProxy] Failed to handle WebSocket handshake", { error: error.message, url: request.url });
+      this._writeHttpError(socket, 502, "Bad Gateway", error.message);
+    }
+  }
+
+  /**
+   * Get the recording target of a connection opened in recording mode
+   * @param {Object} requestContext - Request context
+   * @param {URL} target - Target URL
+   * @returns {Object|null} Connection data for websocketRepository.createConnection, null when it must not be recorded
+   * @private
+   */
+  _getRecording(requestContext, target) {
+    const collection = collectionRepository.getActiveCollection();
+    if (collection && collection.locked) {
+      logger.warn("[WebSocketProxy] Active collection is locked, not recording WebSocket", { collection: collection.name });
+      return null;
+    }
+
+    const original = requestContext.getOriginal();
+    const mobileHeaders = extractMobileHeaders({
+      headers: original.headers,
+      url: original.url,
+      originalUrl: original.originalUrl,
+      appProfile: requestContext.getMetadata("appProfile"),
+    });
+
+    return {
+      host: `${target.protocol === "https:" ? "wss" : "ws"}://${target.host}`,
+      endpointPath: target.pathname || "/",
+      queryParams: Object.fromEntries(target.searchParams),
+      appPlatform: mobileHeaders.mobilePlatform,
+      appVersion: mobileHeaders.mobileVersion,
+      appEnvironment: mobileHeaders.mobileEnvironment,
+      appLanguage: mobileHeaders.acceptLanguage,
+      appProfile: mobileHeaders.appProfile,
+      collectionId: collection ? collection.id : null,
+    };
+  }
+
+  /**
+   * Find the recorded connection to replay, in the order of the replay stack
+   * @param {URL} target - Target URL
+   * @returns {Object|null} Connection with frames
+   * @private
+   */
+  _findRecording(target) {
+    const criteria = {
+      host: `${target.protocol === "https:" ? "wss" : "ws"}://${target.host}`,
+      endpointPath: target.pathname || "/",
+      queryParams: Object.fromEntries(target.searchParams),
+    };
+    for (const collection of collectionRepository.getReplayCollections()) {
+      const recorded = websocketRepository.findReplayConnection({ ...criteria, collectionId: collection.id });
+      if (recorded) return recorded;
+    }
+    return null;
+  }
+
+  /**
+   * Relay a connection to the target server, recording its frames when a recording is given
+   * @param {Object} request - Handshake request
+   * @param {URL} target - Target URL
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - Bytes received after the handshake
+   * @param {Object|null} recording - Connection data (see _getRecording)
+   * @private
+   */
+  async _relay(request, target, socket, head, recording) {
+    const secure = target.protocol === "https:";
+    const headers = { ...request.headers, host: target.host };
+    for (const name of PROXY_HEADERS) delete headers[name];
+    if (recording) delete headers["sec-websocket-extensions"];
+
+    const upstream = await getUpstreamProxy().resolve(target.href);
+    const upstreamReq = (secure ? https : http).request({
+      hostname: target.hostname,
+      port: target.port || (secure ? 443 : 80),
+      path: `${target.pathname}${target.search}`,
+      method: "GET",
+      headers,
+      rejectUnauthorized: false, // Allow self-signed certs on backend
+      ...(upstream && !upstream.direct && { agent: getUpstreamProxy().getAgent(upstream, { secure }) }),
+    });
+
+    upstreamReq.on("upgrade", (res, upstreamSocket, upstreamHead) => {
+      let statusLine = `HTTP/1.1 101 ${res.statusMessage || "Switching Protocols"}\r\n`;
+      for (let i = 0; i < res.rawHeaders.length; i += 2) {
+        statusLine += `${res.rawHeaders[i]}: ${res.rawHeaders[i + 1]}\r\n`;
+      }
+      socket.write(statusLine + "\r\n");
+
+      let connectionId = null;
+      let closeCode = null;
+      const openedAt = Date.now();
+      if (recording) {
+        try {
+          connectionId = websocketRepository.createConnection({ ...recording, requestHeaders: headers, responseHeaders: res.headers });
+        } catch (error) {
+          logger.error("[WebSocketProxy] Failed to record WebSocket connection", { error: error.message });
+        }
+      }
+
+      // Frames are parsed from a copy of each direction; the bytes themselves are relayed unchanged
+      const tap = (direction) => {
+        let pending = Buffer.alloc(0);
+        return (chunk) => {
+          pending = Buffer.concat([pending, chunk]);
+          const { frames, rest } = parseFrames(pending);
+          pending = Buffer.from(rest);
+          for (const frame of frames) {
+            if (frame.opcode === OPCODES.CLOSE && closeCode === null) closeCode = getCloseCode(frame.payload);
+            try {
+              websocketRepository.addFrame(connectionId, { ...frame, direction, offsetMs: Date.now() - openedAt });
+            } catch (error) {
+              logger.warn("[WebSocketProxy] Failed to record WebSocket frame", { error: error.message });
+            }
+          }
+        };
+      };
+
+      if (connectionId) {
+        const clientTap = tap("client");
+        const serverTap = tap("server");
+        if (head && head.length > 0) clientTap(head);
+        if (upstreamHead && upstreamHead.length > 0) serverTap(upstreamHead);
+        socket.on("data", clientTap);
+        upstreamSocket.on("data", serverTap);
+      }
+
+      if (head && head.length > 0) upstreamSocket.write(head);
+      if (upstreamHead && upstreamHead.length > 0) socket.write(upstreamHead);
+      socket.pipe(upstreamSocket);
+      upstreamSocket.pipe(socket);
+
+      let finished = false;
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        socket.destroy();
+        upstreamSocket.destroy();
+        if (connectionId) {
+          try {
+            websocketRepository.closeConnection(connectionId, closeCode);
+          } catch (error) {
+            logger.warn("[WebSocketProxy] Failed to close recorded WebSocket connection", { error: error.message });
+          }
+        }
+        logger.debug("[WebSocketProxy] WebSocket closed", { url: target.href, recorded: !!connectionId, closeCode });
+      };
+      socket.on("close", finish);
+      upstreamSocket.on("close", finish);
+      upstreamSocket.on("error", (error) => {
+        logger.debug("[WebSocketProxy] Target socket error", { error: error.message, url: target.href });
+        finish();
+      });
+    });
+
+    // The target refused the upgrade: relay its HTTP response
+    upstreamReq.on("response", (res) => {
+      let statusLine = `HTTP/1.1 ${res.statusCode} ${res.statusMessage || ""}\r\n`;
+      for (let i = 0; i < res.rawHeaders.length; i += 2) {
+        if (/^(connection|transfer-encoding)$/i.test(res.rawHeaders[i])) continue;
+        statusLine += `${res.rawHeaders[i]}: ${res.rawHeaders[i + 1]}\r\n`;
+      }
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        const body = Buffer.concat(chunks);
+        if (!/\r\ncontent-length:/i.test(statusLine)) statusLine += `Content-Length: ${body.length}\r\n`;
+        socket.end(Buffer.concat([Buffer.from(statusLine + "Connection: close\r\n\r\n"), body]));
+      });
+    });
+
+    upstreamReq.on("error", (error) => {
+      logger.warn("[WebSocketProxy] WebSocket handshake with target failed", { error: error.message, url: target.href });
+      this._writeHttpError(socket, 502, "Bad Gateway", error.message);
+    });
+
+    upstreamReq.end();
+  }
+
+  /**
+   * Play a recorded connection back
+   * @param {Object} request - Handshake request
+   * @param {Object} recorded - Recorded connection with frames (see websocketRepository.getConnectionById)
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - Bytes received after the handshake
+   * @private
+   */
+  _replay(request, recorded, socket, head) {
+    let response = "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n";
+    response += `Sec-WebSocket-Accept: ${getAcceptKey(request.headers["sec-websocket-key"])}\r\n`;
+    const protocol = recorded.response_headers?.["sec-websocket-protocol"];
+    if (protocol && request.headers["sec-websocket-protocol"]) {
+      response += `Sec-WebSocket-Protocol: ${protocol}\r\n`;
+    }
+    socket.write(response + "\r\n");
+
+    logger.info("[WebSocketProxy] Replaying WebSocket connection", {
+      connectionId: recorded.id,
+      path: recorded.endpoint_path,
+      frames: recorded.frames.length,
+    });
+
+    // Server frames grouped by the number of client messages received before them
+    // Frames after a client close only answer it and are not replayed
+    const segments = [{ anchor: 0, frames: [] }];
+    for (const frame of recorded.frames) {
+      if (frame.direction === "client") {
+        if (frame.opcode === OPCODES.CLOSE) break;
+        if (frame.opcode <= OPCODES.BINARY && frame.fin) segments.push({ anchor: frame.offset_ms, frames: [] });
+      } else if (frame.opcode !== OPCODES.PING && frame.opcode !== OPCODES.PONG) {
+        segments[segments.length - 1].frames.push(frame);
+      }
+    }
+
+    const timers = new Set();
+    let closeSent = false;
+    let closed = false;
+
+    const send = (frame) => {
+      if (closed || closeSent) return;
+      socket.write(encodeFrame({ opcode: frame.opcode, payload: frame.data, fin: frame.fin }));
+      if (frame.opcode === OPCODES.CLOSE) {
+        closeSent = true;
+        schedule(() => socket.end(), CLOSE_TIMEOUT_MS);
+      }
+    };
+    const schedule = (callback, delay) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        callback();
+      }, delay);
+      timers.add(timer);
+    };
+    const play = (segment) => {
+      if (!segment) return;
+      for (const frame of segment.frames) schedule(() => send(frame), frame.offset_ms - segment.anchor);
+    };
+
+    let pending = Buffer.alloc(0);
+    let messages = 0;
+    const onData = (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      const { frames, rest } = parseFrames(pending);
+      pending = Buffer.from(rest);
+      for (const frame of frames) {
+        if (frame.opcode === OPCODES.PING) {
+          if (!closeSent) socket.write(encodeFrame({ opcode: OPCODES.PONG, payload: frame.payload }));
+        } else if (frame.opcode === OPCODES.CLOSE) {
+          if (!closeSent) {
+            socket.write(encodeFrame({ opcode: OPCODES.CLOSE, payload: frame.payload.length > 0 ? frame.payload : encodeClosePayload(1000) }));
+            closeSent = true;
+          }
+          socket.end();
+        } else if (!isControlFrame(frame.opcode) && frame.fin) {
+          messages++;
+          play(segments[messages]);
+        }
+      }
+    };
+
+    socket.on("data", onData);
+    socket.on("close", () => {
+      closed = true;
+      for (const timer of timers) clearTimeout(timer);
+      timers.clear();
+      logger.debug("[WebSocketProxy] Replayed WebSocket closed", { connectionId: recorded.id });
+    });
+
+    play(segments[0]);
+    if (head && head.length > 0) onData(head);
+  }
+
+  /**
+   * Answer a handshake with an HTTP error and close the socket
+   * @param {net.Socket} socket - Client socket
+   * @param {number} status - HTTP status
+   * @param {string} error - Error
+   * @param {string} message - Details
+   * @private
+   */
+  _writeHttpError(socket, status, error, message) {
+    if (socket.destroyed) return;
+    const body = JSON.stringify({ error, message });
+    socket.end(
+      `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\n` +
+        `Content-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`
+    );
+  }
+}
+
+module.exports = WebSocketProxy;
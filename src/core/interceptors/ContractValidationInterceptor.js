@@ -0,0 +1,94 @@
+/**
+ * Contract Validation Interceptor
+ *
+ * Validates live backend responses in PASSTHROUGH and RECORDING modes against the JSON Schema
+ * inferred for their endpoint (see core/contract/ContractValidator.js).
+ *
+ * Sets response metadata "schemaViolations" ({ endpointId, endpointPattern, violations }) when the endpoint
+ * has a schema for the response status; StatsRecordingInterceptor and LiveTrafficInterceptor pick it up.
+ * Runs before rewrite rules so the backend body is validated, not the rewritten one.
+ */
+
+const ResponseInterceptor = require("./ResponseInterceptor");
+const logger = require("../../utils/logger");
+const { getInstance: getContractValidator } = require("../contract/ContractValidator");
+
+const VALIDATED_MODES = ["passthrough", "recording"];
+
+class ContractValidationInterceptor extends ResponseInterceptor {
+  constructor(options = {}) {
+    super({ name: "ContractValidation", priority: 70, ...options });
+    this.validator = options.validator || getContractValidator();
+  }
+
+  /**
+   * Validate the backend response (never modifies the response)
+   * @param {ResponseContext} context - Response context
+   * @param {RequestContext} requestContext - Request context
+   * @returns {Promise<ResponseContext>} Unmodified context
+   */
+  async intercept(context, requestContext) {
+    if (!requestContext || !VALIDATED_MODES.includes(requestContext.metadata?.mode)) {
+      return context;
+    }
+
+    // Only validate what the backend actually sent (not proxy errors or injected faults)
+    const responseMetadata = context.getAllMetadata();
+    if (context.getSource() !== "backend" || responseMetadata.fault || responseMetadata.error) {
+      return context;
+    }
+
+    try {
+      const url = this.resolveUrl(requestContext, responseMetadata.targetUrl);
+      if (!url) {
+        return context;
+      }
+
+      const request = requestContext.getCurrent() || {};
+      const result = this.validator.validateResponse(url.host, request.method, url.pathname, context.getStatus(), context.getBody());
+      if (!result) {
+        return context;
+      }
+
+      context.setMetadata("schemaViolations", result);
+      if (result.violations.length > 0) {
+        logger.warn("[ContractValidation] Response does not match the endpoint schema", {
+          method: request.method,
+          host: url.host,
+          endpoint: result.endpointPattern,
+          status: context.getStatus(),
+          violations: result.violations.length,
+          first: result.violations[0],
+        });
+      }
+    } catch (error) {
+      logger.warn("[ContractValidation] Failed to validate response", { error: error.message });
+    }
+
+    return context;
+  }
+
+  /**
+   * Resolve the backend URL of the request
+   * @param {RequestContext} requestContext - Request context
+   * @param {string} targetUrl - Backend URL (set by passthrough/recording)
+   * @returns {URL|null} URL or null when the host is unknown
+   */
+  resolveUrl(requestContext, targetUrl) {
+    const original = requestContext.getOriginal() || {};
+    const current = requestContext.getCurrent() || {};
+    const candidates = [targetUrl, original.originalUrl || original.url];
+    const hostHeader = current.headers?.host || original.hostname;
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      try {
+        return /^https?:\/\//.test(candidate) ? new URL(candidate) : hostHeader ? new URL(candidate, `http://${hostHeader}`) : null;
+      } catch (e) {
+        // Try next candidate
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = ContractValidationInterceptor;
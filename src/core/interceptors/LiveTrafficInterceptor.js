@@ -0,0 +1,123 @@
+/**
+ * Live Traffic Interceptor
+ *
+ * Publishes a summary of every monitored transaction to the LiveTrafficHub,
+ * which streams it to the Web UI Live page (/api/live/stream).
+ *
+ * Runs for all modes (including replay) and for error responses; non-monitored requests
+ * bypass response interceptors and are not published.
+ */
+
+const ResponseInterceptor = require("./ResponseInterceptor");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+const { getInstance: getLiveTrafficHub } = require("../live/LiveTrafficHub");
+
+class LiveTrafficInterceptor extends ResponseInterceptor {
+  constructor(options = {}) {
+    super({ name: "LiveTraffic", priority: 20, ...options });
+    this.hub = options.hub || getLiveTrafficHub();
+  }
+
+  /**
+   * Publish the transaction (never modifies the response)
+   * @param {ResponseContext} context - Response context
+   * @param {RequestContext} requestContext - Request context
+   * @returns {Promise<ResponseContext>} Unmodified context
+   */
+  async intercept(context, requestContext) {
+    if (!requestContext) {
+      return context;
+    }
+
+    try {
+      this.hub.publish(this.buildEvent(context, requestContext));
+    } catch (error) {
+      logger.warn("[LiveTraffic] Failed to publish transaction", { error: error.message });
+    }
+
+    return context;
+  }
+
+  /**
+   * Build live event from request/response contexts
+   * @param {ResponseContext} context - Response context
+   * @param {RequestContext} requestContext - Request context
+   * @returns {Object} Event
+   */
+  buildEvent(context, requestContext) {
+    const request = requestContext.getCurrent() || {};
+    const requestMetadata = requestContext.metadata || {};
+    const responseMetadata = context.getAllMetadata();
+    const fault = responseMetadata.fault || null;
+    const schemaViolations = responseMetadata.schemaViolations || null;
+    const url = this.resolveUrl(requestContext, responseMetadata.targetUrl);
+
+    let host = null;
+    let path = request.path || "/";
+    try {
+      const parsed = new URL(url);
+      host = parsed.host;
+      path = parsed.pathname;
+    } catch (e) {
+      // Relative URL - keep request path
+    }
+
+    return {
+      timestamp: getLocalISOString(),
+      mode: requestMetadata.mode || null,
+      method: request.method || "GET",
+      url,
+      host,
+      path,
+      status: context.getStatus(),
+      latency: responseMetadata.latency ?? null,
+      matchScore: responseMetadata.matchScore ?? null,
+      userId: requestMetadata.userId ?? null,
+      source: context.getSource(),
+      appPlatform: requestMetadata.appPlatform || null,
+      appVersion: requestMetadata.appVersion || null,
+      // Stored recording behind this transaction (replayed or just recorded)
+      storedRequestId: responseMetadata.originalRequestId ?? responseMetadata.recordedRequestId ?? null,
+      storedResponseId: responseMetadata.originalResponseId ?? responseMetadata.recordedResponseId ?? null,
+      endpointType: responseMetadata.endpointType || null,
+      templated: responseMetadata.templated === true,
+      // OpenAPI mock that synthesized the replayed response (null otherwise)
+      mock: responseMetadata.mock ? responseMetadata.mock.specName : null,
+      fault: fault ? fault.type : null,
+      // Contract validation (null when the response was not validated)
+      schemaViolations: schemaViolations ? schemaViolations.violations : null,
+      endpointPattern: schemaViolations ? schemaViolations.endpointPattern : null,
+      error: responseMetadata.error ? responseMetadata.error.message || String(responseMetadata.error) : null,
+      logRequestId: responseMetadata.requestId ?? requestMetadata.requestId ?? null,
+    };
+  }
+
+  /**
+   * Resolve the absolute URL of the request
+   * @param {RequestContext} requestContext - Request context
+   * @param {string} targetUrl - Backend URL (passthrough/recording)
+   * @returns {string} URL
+   */
+  resolveUrl(requestContext, targetUrl) {
+    if (targetUrl && /^https?:\/\//.test(targetUrl)) {
+      return targetUrl;
+    }
+
+    const original = requestContext.getOriginal() || {};
+    const current = requestContext.getCurrent() || {};
+    const originalUrl = original.originalUrl || original.url || current.originalUrl || current.url || current.path || "/";
+    if (/^https?:\/\//.test(originalUrl)) {
+      return originalUrl;
+    }
+
+    const hostHeader = current.headers?.host || current.headers?.Host || original.hostname;
+    if (!hostHeader) {
+      return originalUrl;
+    }
+    const protocol = original.protocol || "http";
+    return `${protocol}://${hostHeader}${originalUrl}`;
+  }
+}
+
+module.exports = LiveTrafficInterceptor;
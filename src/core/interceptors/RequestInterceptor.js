@@ -231,9 +231,11 @@ class MobileHeaderExtractionInterceptor extends RequestInterceptor {
       // Config manager not available
     }
 
-    // Extract using configured mappings; use "" when not configured to avoid null in DB
+    // Extract using the mapping of the request's app profile; use "" when not configured to avoid null in DB
     if (configManager && configManager.isInitialized()) {
-      const mappedValues = configManager.extractAllMappedValues(headers, queryParams);
+      const { detectAppProfile } = require("../../utils/requestTypeDetector");
+      const appProfile = detectAppProfile(context);
+      const mappedValues = configManager.forProfile(appProfile).extractAllMappedValues(headers, queryParams);
 
       context.setMetadata("appVersion", mappedValues.app_version ?? "");
       context.setMetadata("appEnvironment", mappedValues.app_environment ?? "");
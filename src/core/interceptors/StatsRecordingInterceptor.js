@@ -5,11 +5,15 @@
  * Only records requests that match configured monitoring criteria (header/query pattern and domain).
  *
  * Records per: HTTP method, endpoint path (no query params), app_platform, app_version, app_environment
+ * Also records the number of contract violations (schema_violations, NULL when the response was not validated)
+ * and the GraphQL operation (graphql_operation), so each operation behind one endpoint gets its own stats.
+ * The negotiated protocols are recorded too: app to proxy (protocol) and proxy to backend (upstream_protocol).
  */
 
 const ResponseInterceptor = require("./ResponseInterceptor");
 const logger = require("../../utils/logger");
 const { getLocalISOString } = require("../../utils/datetimeUtils");
+const { parseGraphqlRequest } = require("../../utils/graphql");
 
 class StatsRecordingInterceptor extends ResponseInterceptor {
   constructor(options = {}) {
@@ -21,7 +25,7 @@ class StatsRecordingInterceptor extends ResponseInterceptor {
    * Main interception logic
    * Only records stats for:
    * - Monitored requests (matching configured monitor criteria and domain)
-   * - Passthrough mode or Recording mode (NOT Replay mode)
+   * - Passthrough mode or Recording mode (NOT Replay mode, except for injected faults)
    * @param {ResponseContext} context - Response context
    * @param {RequestContext} requestContext - Request context
    * @returns {Promise<ResponseContext>} Modified context
@@ -52,6 +56,8 @@ class StatsRecordingInterceptor extends ResponseInterceptor {
       // Check current mode - skip Replay mode
       const mode = requestMetadata.mode || "unknown";
       const isReplayMode = mode === "replay";
+      const fault = responseMetadata.fault || null;
+      const schemaViolations = responseMetadata.schemaViolations || null;
 
       this.logger.info("[StatsRecording] Incoming Request", {
         request: `${request.method} ${request.path}`,
@@ -71,7 +77,8 @@ class StatsRecordingInterceptor extends ResponseInterceptor {
       }
 
       // Skip if in Replay mode (only record for Passthrough and Recording modes)
-      if (isReplayMode) {
+      // Injected faults are always recorded so QA can see them on the dashboard
+      if (isReplayMode && !fault) {
         return context;
       }
 
@@ -81,6 +88,8 @@ class StatsRecordingInterceptor extends ResponseInterceptor {
       const appVersion = requestMetadata.appVersion ?? headers["mobile-version"] ?? "";
       const appEnvironment = requestMetadata.appEnvironment ?? headers["mobile-environment"] ?? "";
       const appLanguage = requestMetadata.appLanguage ?? headers["accept-language"] ?? "";
+      const appProfile = requestMetadata.appProfile || null;
+      const graphql = parseGraphqlRequest({ method, body: request.body, query: request.query, headers });
       const duration = responseMetadata.latency || 0;
 
       // Extract original request URL
@@ -129,9 +138,15 @@ class StatsRecordingInterceptor extends ResponseInterceptor {
           appVersion,
           appEnvironment,
           appLanguage,
+          appProfile,
+          graphqlOperation: graphql ? graphql.operationName : null,
           responseStatus: status,
           responseLength,
           latencyMs: duration,
+          faultType: fault ? fault.type : null,
+          schemaViolations: schemaViolations ? schemaViolations.violations.length : null,
+          protocol: requestMetadata.protocol || null,
+          upstreamProtocol: responseMetadata.upstreamProtocol || null,
         }).catch((error) => {
           this.logger.error("[StatsRecording] Error recording statistic", {
             error: error.message,
@@ -308,9 +323,15 @@ class StatsRecordingInterceptor extends ResponseInterceptor {
         appVersion,
         appEnvironment,
         appLanguage,
+        appProfile,
+        graphqlOperation,
         responseStatus,
         responseLength,
         latencyMs,
+        faultType,
+        schemaViolations,
+        protocol,
+        upstreamProtocol,
       } = statData;
 
       // Use empty string instead of null to avoid database search issues when not configured
@@ -336,8 +357,14 @@ class StatsRecordingInterceptor extends ResponseInterceptor {
           response_status,
           response_length,
           latency_ms,
+          fault_type,
+          app_profile,
+          schema_violations,
+          graphql_operation,
+          protocol,
+          upstream_protocol,
           created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
       ).run(
         host,
         endpointPath,
@@ -349,6 +376,12 @@ class StatsRecordingInterceptor extends ResponseInterceptor {
         responseStatus,
         responseLength,
         latencyMs || null,
+        faultType || null,
+        appProfile || null,
+        schemaViolations ?? null,
+        graphqlOperation || null,
+        protocol || null,
+        upstreamProtocol || null,
         createdAt
       );
 
@@ -363,6 +396,10 @@ class StatsRecordingInterceptor extends ResponseInterceptor {
         status: responseStatus,
         responseLength,
         latency: latencyMs,
+        fault: faultType || undefined,
+        schemaViolations: schemaViolations ?? undefined,
+        protocol: protocol || undefined,
+        upstreamProtocol: upstreamProtocol || undefined,
         timestamp: getLocalISOString(),
       });
     } catch (error) {
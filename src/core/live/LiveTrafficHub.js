@@ -0,0 +1,114 @@
+/**
+ * LiveTrafficHub - In-memory fan-out of completed proxy transactions
+ *
+ * Purpose:
+ * - Push every monitored transaction to Web UI clients as it completes (Charles-like live view)
+ * - Keep a small backlog so a client that (re)connects sees the latest traffic immediately
+ *
+ * Flow:
+ * 1. LiveTrafficInterceptor builds an event from the request/response contexts and calls publish()
+ * 2. The SSE route (/api/live/stream) subscribes and writes each event to the client
+ *
+ * Nothing is persisted: the stored request is linked via storedRequestId / storedResponseId.
+ *
+ * Usage:
+ * const hub = getInstance();
+ * const unsubscribe = hub.subscribe((event) => ...);
+ */
+
+const { EventEmitter } = require("events");
+const logger = require("../../utils/logger");
+
+const EVENT_NAME = "transaction";
+const DEFAULT_BACKLOG_SIZE = 200;
+
+class LiveTrafficHub {
+  /**
+   * @param {Object} options - { backlogSize }
+   */
+  constructor(options = {}) {
+    this.backlogSize = options.backlogSize || DEFAULT_BACKLOG_SIZE;
+    this._emitter = new EventEmitter();
+    // One listener per connected Web UI client
+    this._emitter.setMaxListeners(0);
+    this._backlog = [];
+    this._sequence = 0;
+  }
+
+  /**
+   * Publish a completed transaction
+   * @param {Object} event - Transaction summary (see LiveTrafficInterceptor)
+   * @returns {Object} Published event (with id)
+   */
+  publish(event) {
+    const published = { id: ++this._sequence, ...event };
+
+    this._backlog.push(published);
+    if (this._backlog.length > this.backlogSize) {
+      this._backlog.shift();
+    }
+
+    // A failing subscriber must not break the proxied request
+    for (const listener of this._emitter.listeners(EVENT_NAME)) {
+      try {
+        listener(published);
+      } catch (e) {
+        logger.warn("[LiveTrafficHub] Subscriber failed", { error: e.message });
+      }
+    }
+
+    return published;
+  }
+
+  /**
+   * Subscribe to transactions
+   * @param {Function} listener - Called with each published event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this._emitter.on(EVENT_NAME, listener);
+    return () => this._emitter.off(EVENT_NAME, listener);
+  }
+
+  /**
+   * Get recent transactions (oldest first)
+   * @param {number} sinceId - Only return events with id greater than this
+   * @returns {Array<Object>} Events
+   */
+  getRecent(sinceId = 0) {
+    return this._backlog.filter((event) => event.id > sinceId);
+  }
+
+  /**
+   * Number of connected subscribers
+   * @returns {number}
+   */
+  getSubscriberCount() {
+    return this._emitter.listenerCount(EVENT_NAME);
+  }
+
+  /**
+   * Clear the backlog
+   */
+  clear() {
+    this._backlog = [];
+  }
+}
+
+let instance = null;
+
+/**
+ * Get singleton instance of LiveTrafficHub
+ * @returns {LiveTrafficHub}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new LiveTrafficHub();
+  }
+  return instance;
+}
+
+module.exports = {
+  LiveTrafficHub,
+  getInstance,
+};
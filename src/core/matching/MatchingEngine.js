@@ -15,11 +15,25 @@
  * - match_query_params: JSON array = match only specified params, null/empty = match all (normalized)
  * - match_headers: JSON array = match only specified headers, null/empty = no header matching
  * - match_response_status: "2xx"/"error"/"404"/"500"/specific code
+ * - match_body: JSON array of body field paths (JSON, multipart form fields, or protobuf fields decoded
+ *   with the uploaded .proto files, see core/protobuf/ProtoRegistry)
+ *
+ * GraphQL: each operation is a separate endpoint (same operation name and normalized query hash, see utils/graphql);
+ * rules of the operation ("/graphql#GetUser") come before rules of the HTTP endpoint and
+ * match_body paths target { operationName, variables } ("variables.id")
+ *
+ * Collections: matching runs in each collection of the replay stack in order
+ * (the active collection if the stack is empty); the first collection with a match wins
  */
 
 const logger = require("../../utils/logger");
 const { normalizeQueryParams, scoreBodyFieldMatch, compareBodyMatchScores } = require("../../utils/jsonUtils");
+const { decodeBody } = require("../../utils/bodySerializer");
+const { getInstance: getProtoRegistry } = require("../protobuf/ProtoRegistry");
+const { parseGraphqlRequest, getOperationPath, getMatchableFields, getRecordedFields, withoutGraphqlParams } = require("../../utils/graphql");
+const { resolveGraphqlRequest } = require("../../database/repositories/recording_repository");
 const { getInstance: getTrafficConfigManager } = require("../../config/TrafficConfigManager");
+const collectionRepository = require("../../database/repositories/collection_repository");
 const { request } = require("express");
 
 class MatchingEngine {
@@ -44,9 +58,10 @@ class MatchingEngine {
    * Find matching response for request
    * @param {RequestContext} requestContext - Request context
    * @param {string} mode - Mode type ('replay' or 'recording'), null for any type
+   * @param {Object} trace - Optional trace collecting every matching step (see explainMatch)
    * @returns {Promise<Object|null>} Match result { request, response, score, matchDetails } or null
    */
-  async findMatch(requestContext, mode = null) {
+  async findMatch(requestContext, mode = null, trace = null) {
     const current = requestContext.getCurrent();
     const userId = requestContext.getMetadata("userId");
     const actualPath = requestContext.getActualPath();
@@ -61,7 +76,13 @@ class MatchingEngine {
     // Step 1: Get endpoint matching configuration
     // Find config using regex or pattern matching directly from endpoint_matching_config table
     // No longer uses replayDefaults.match_endpoint for finding endpoint matching rules
-    const config = await this.endpointConfigRepo.findMatchingConfig(httpMethod, actualPath, mode);
+    // GraphQL operations look up the rules of their logical endpoint ("/graphql#GetUser") first
+    const graphql = resolveGraphqlRequest(
+      parseGraphqlRequest({ method: httpMethod, body: current.body, query: current.query, headers: current.headers }),
+    );
+    const config =
+      (graphql && (await this.endpointConfigRepo.findMatchingConfig(httpMethod, getOperationPath(actualPath, graphql), mode))) ||
+      (await this.endpointConfigRepo.findMatchingConfig(httpMethod, actualPath, mode));
 
     logger.info("[MatchingEngine] Config found", {
       hasConfig: !!config,
@@ -72,11 +93,54 @@ class MatchingEngine {
     });
 
     // Step 2: Build search parameters from request context
-    const searchParams = this._buildSearchParams(requestContext, actualPath, config);
+    const searchParams = this._buildSearchParams(requestContext, actualPath, config, graphql);
+
+    if (trace) {
+      trace.config = config
+        ? {
+            id: config.id,
+            endpoint_pattern: config.endpoint_pattern,
+            type: config.type,
+            regex: config.regex,
+            override: config.override,
+            match_version: config.match_version,
+            match_language: config.match_language,
+            match_platform: config.match_platform,
+            match_environment: config.match_environment,
+            match_query_params: config.match_query_params,
+            match_headers: config.match_headers,
+            match_body: config.match_body,
+            match_response_status: config.match_response_status,
+          }
+        : null;
+      const { requestHeaders, requestBody, requestProto, ...dimensions } = searchParams;
+      trace.searchParams = dimensions;
+    }
 
-    // Step 3: Execute multi-stage matching with fallback
+    // Step 3: Execute multi-stage matching with fallback, in each replay collection in order
     // Pass mode to apply override logic (recording mode always uses exact match)
-    const match = await this._executeMatchingStrategy(searchParams, config, mode);
+    const collections = collectionRepository.getReplayCollections();
+    if (trace) {
+      trace.collections = collections.map((collection) => ({ id: collection.id, name: collection.name }));
+    }
+
+    let match = null;
+    for (const collection of collections.length > 0 ? collections : [null]) {
+      const firstStep = trace ? trace.strategies.length : 0;
+      if (trace) {
+        trace.baseConditions = [];
+      }
+
+      match = await this._executeMatchingStrategy({ ...searchParams, collectionId: collection ? collection.id : undefined }, config, mode, trace);
+
+      if (trace && collection) {
+        trace.strategies.slice(firstStep).forEach((step) => (step.collection = collection.name));
+      }
+      if (match) {
+        match.matchDetails.collection = collection ? { id: collection.id, name: collection.name } : null;
+        break;
+      }
+    }
 
     if (match) {
       logger.info("[MatchingEngine] Match found", {
@@ -94,19 +158,114 @@ class MatchingEngine {
     return match;
   }
 
+  /**
+   * Explain how a request is matched ("why did this match / not match")
+   * Runs the same matching as findMatch and returns every step:
+   * strategies tried, SQL candidate counts, which filter eliminated which candidates and the selected record
+   * @param {RequestContext} requestContext - Request context
+   * @param {string} mode - Mode type ('replay' or 'recording')
+   * @returns {Promise<Object>} Trace { matched, config, searchParams, baseConditions, queryMatching, strategies, selected, score }
+   */
+  async explainMatch(requestContext, mode = "replay") {
+    const trace = {
+      mode,
+      matched: false,
+      config: null,
+      searchParams: null,
+      collections: [],
+      baseConditions: [],
+      queryMatching: null,
+      strategies: [],
+      selected: null,
+      score: null,
+    };
+
+    const match = await this.findMatch(requestContext, mode, trace);
+    if (match) {
+      trace.matched = true;
+      trace.score = match.score;
+      trace.strategy = match.matchDetails.strategy;
+    }
+
+    return trace;
+  }
+
+  /**
+   * Describe a candidate record for match traces
+   * @private
+   */
+  _describeCandidate(record) {
+    return {
+      requestId: record.id,
+      responseId: record.response_id,
+      responseStatus: record.response_status,
+      app_version: record.app_version,
+      app_language: record.app_language,
+      app_platform: record.app_platform,
+      app_environment: record.app_environment,
+      query_params: record.query_params,
+      updated_at: record.updated_at,
+    };
+  }
+
+  /**
+   * Record a filter step in a strategy trace (candidates before/after and the eliminated ones)
+   * @private
+   */
+  _traceFilter(step, filter, before, after) {
+    step.filters.push({
+      filter,
+      before: before.length,
+      after: after.length,
+      eliminated: before.filter((candidate) => !after.includes(candidate)).map((candidate) => this._describeCandidate(candidate)),
+    });
+  }
+
+  /**
+   * Count remaining candidates after each SQL condition (explains an empty SQL result)
+   * @param {Array<Object>} conditions - Labeled conditions [{ label, sql, params }]
+   * @returns {Promise<Array<Object>>} [{ label, sql, params, remaining }]
+   * @private
+   */
+  async _traceSqlConditions(conditions) {
+    const breakdown = [];
+    const applied = [];
+    const params = [];
+
+    for (const condition of conditions) {
+      applied.push(condition.sql);
+      params.push(...condition.params);
+      const row = await this.db.get(
+        `SELECT COUNT(*) as count FROM api_requests ar
+         INNER JOIN api_responses ars ON ar.id = ars.api_request_id
+         WHERE ${applied.join(" AND ")}`,
+        params,
+      );
+      breakdown.push({ ...condition, remaining: row ? row.count : 0 });
+      if (!row || row.count === 0) {
+        break;
+      }
+    }
+
+    return breakdown;
+  }
+
   /**
    * Build search parameters from request context
    * @private
    */
-  _buildSearchParams(requestContext, actualPath, config) {
+  _buildSearchParams(requestContext, actualPath, config, graphql = null) {
     const current = requestContext.getCurrent();
+    const { body, proto } = graphql ? { body: getMatchableFields(graphql), proto: null } : this._getMatchableBody(requestContext, actualPath);
 
     return {
       userId: requestContext.getMetadata("userId"),
       method: current.method,
       path: actualPath,
       queryParams: current.query && Object.keys(current.query).length > 0 ? current.query : null,
-      requestBody: current.body || null,
+      requestBody: body,
+      requestProto: proto,
+      graphql: graphql ? { operationName: graphql.operationName, queryHash: graphql.queryHash, persistedHash: graphql.persistedHash } : null,
       appVersion: requestContext.getMetadata("appVersion"),
       appLanguage: requestContext.getMetadata("appLanguage"),
       appPlatform: requestContext.getMetadata("appPlatform"),
@@ -115,15 +274,57 @@ class MatchingEngine {
     };
   }
 
+  /**
+   * Get the request body for match_body
+   * Protobuf and gRPC-Web bodies are decoded to their fields; other binary bodies are matched on their raw bytes
+   * @returns {Object} { body, proto } (proto: resolved message type of the request, or null)
+   * @private
+   */
+  _getMatchableBody(requestContext, actualPath) {
+    const current = requestContext.getCurrent();
+    const rawBody = requestContext.getRawBody();
+    // Rewritten bodies no longer match the raw bytes: use them as they are
+    if (!Buffer.isBuffer(rawBody) || typeof current.body !== "string" || current.body !== rawBody.toString("utf8")) {
+      return { body: current.body || null, proto: null };
+    }
+
+    const protoRegistry = getProtoRegistry();
+    const proto = protoRegistry.resolveMessageType({ method: current.method, path: actualPath, headers: current.headers, side: "request" });
+    if (proto) {
+      return { body: protoRegistry.decodeFields(rawBody, proto), proto };
+    }
+    return { body: rawBody, proto: null };
+  }
+
+  /**
+   * Get the stored request body of a candidate for match_body
+   * @param {Object} candidate - Candidate row
+   * @param {Object|null} proto - Resolved message type of the incoming request (protobuf bodies are decoded with it)
+   * @param {Object|null} graphql - GraphQL operation of the incoming request (candidates give { operationName, variables })
+   * @returns {*} Body (Buffer, string, decoded protobuf fields or GraphQL fields)
+   * @private
+   */
+  _getCandidateBody(candidate, proto, graphql = null) {
+    if (graphql) {
+      return getRecordedFields(candidate);
+    }
+    const body = decodeBody(candidate.request_body, candidate.request_body_encoding);
+    if (!proto || body === null || body === undefined) {
+      return body;
+    }
+    return getProtoRegistry().decodeFields(Buffer.isBuffer(body) ? body : Buffer.from(String(body), "utf8"), proto);
+  }
+
   /**
    * Execute matching strategy with fallback logic
    * @param {Object} searchParams - Search parameters
    * @param {Object} config - Endpoint matching configuration
    * @param {string} mode - Mode type ('replay' or 'recording')
+   * @param {Object} trace - Optional match trace
    * @private
    */
-  async _executeMatchingStrategy(searchParams, config, mode = null) {
-    const { userId, method, path, queryParams, appVersion, appLanguage, appPlatform, appEnvironment, requestHeaders } = searchParams;
+  async _executeMatchingStrategy(searchParams, config, mode = null, trace = null) {
+    const { userId, method, path, queryParams, appVersion, appLanguage, appPlatform, appEnvironment, requestHeaders, collectionId } = searchParams;
 
     // Determine if this is a secure endpoint (userId is not null)
     const isSecure = userId !== null;
@@ -134,43 +335,64 @@ class MatchingEngine {
     // Build base WHERE conditions (always required)
     const baseConditions = [];
     const baseParams = [];
+    const addCondition = (label, sql, params = []) => {
+      baseConditions.push(sql);
+      baseParams.push(...params);
+      if (trace) {
+        trace.baseConditions.push({ label, sql, params });
+      }
+    };
 
     // User ID matching
     if (isSecure) {
-      baseConditions.push("ar.user_id = ?");
-      baseParams.push(userId);
+      addCondition("user_id", "ar.user_id = ?", [userId]);
     } else {
-      baseConditions.push("ar.user_id IS NULL");
+      addCondition("user_id", "ar.user_id IS NULL");
+    }
+
+    // Collection (one entry of the replay stack)
+    if (collectionId !== undefined) {
+      addCondition("collection", "ar.collection_id = ?", [collectionId]);
     }
 
     // Method and path (exact match, case-insensitive)
-    baseConditions.push("LOWER(ar.method) = LOWER(?)");
-    baseParams.push(method);
+    addCondition("method", "LOWER(ar.method) = LOWER(?)", [method]);
 
     // Endpoint path matching - uses fuzzy matching in REPLAY mode if patterns configured
     const endpointCondition = this._buildEndpointPathCondition(path, config);
-    baseConditions.push(endpointCondition.sql);
-    baseParams.push(...endpointCondition.params);
+    addCondition("endpoint_path", endpointCondition.sql, endpointCondition.params);
 
     // endpoint_type flag
-    baseConditions.push("ar.endpoint_type = ?");
-    baseParams.push(isSecure ? "secure" : "public");
+    addCondition("endpoint_type", "ar.endpoint_type = ?", [isSecure ? "secure" : "public"]);
+
+    // GraphQL operation (same operation and query; persisted hash while the query is unknown)
+    const { graphql } = searchParams;
+    if (!graphql) {
+      addCondition("graphql_operation", "ar.graphql_operation IS NULL");
+    } else if (graphql.queryHash) {
+      addCondition("graphql_operation", "ar.graphql_operation = ? AND ar.graphql_query_hash = ?", [graphql.operationName, graphql.queryHash]);
+    } else {
+      addCondition("graphql_operation", "ar.graphql_operation = ? AND ar.graphql_persisted_hash = ?", [graphql.operationName, graphql.persistedHash]);
+    }
 
     // Query params matching
     const queryCondition = this._buildQueryParamsCondition(queryParams, config);
+    if (trace) {
+      trace.queryMatching = queryCondition.matchQueryParams
+        ? { type: "match_query_params", params: queryCondition.matchQueryParams }
+        : { type: "normalized_exact" };
+    }
 
     // Environment matching (pass mode for override logic)
     const envCondition = this._buildEnvironmentCondition(appEnvironment, config, mode);
     if (envCondition.sql) {
-      baseConditions.push(envCondition.sql);
-      baseParams.push(...envCondition.params);
+      addCondition("app_environment", envCondition.sql, envCondition.params);
     }
 
     // Response status filter
     const responseCondition = this._buildResponseStatusCondition(responseStatusFilter);
     if (responseCondition.sql) {
-      baseConditions.push(responseCondition.sql);
-      baseParams.push(...responseCondition.params);
+      addCondition(`response_status (${responseStatusFilter})`, responseCondition.sql, responseCondition.params);
     }
 
     // Execute matching with fallback strategies
@@ -181,7 +403,7 @@ class MatchingEngine {
 
     // Try each strategy in order
     for (const strategy of strategies) {
-      const result = await this._tryMatchingStrategy(baseConditions, baseParams, strategy, searchParams, queryCondition, config);
+      const result = await this._tryMatchingStrategy(baseConditions, baseParams, strategy, searchParams, queryCondition, config, trace);
       if (result) {
         return result;
       }
@@ -595,41 +817,58 @@ class MatchingEngine {
    * Try a specific matching strategy
    * @private
    */
-  async _tryMatchingStrategy(baseConditions, baseParams, strategy, searchParams, queryCondition, config) {
+  async _tryMatchingStrategy(baseConditions, baseParams, strategy, searchParams, queryCondition, config, trace = null) {
     const conditions = [...baseConditions];
     const params = [...baseParams];
+    const strategyConditions = [];
+    const addCondition = (label, sql, conditionParams = []) => {
+      conditions.push(sql);
+      params.push(...conditionParams);
+      strategyConditions.push({ label, sql, params: conditionParams });
+    };
 
     // Add query params condition to SQL (if not doing JavaScript filtering)
     if (queryCondition.sql) {
-      conditions.push(queryCondition.sql);
-      params.push(...queryCondition.params);
+      addCondition("query_params", queryCondition.sql, queryCondition.params);
     }
 
     // Add version condition
     if (strategy.versionMode === "exact" && strategy.version) {
-      conditions.push("LOWER(ar.app_version) = LOWER(?)");
-      params.push(strategy.version);
+      addCondition("app_version", "LOWER(ar.app_version) = LOWER(?)", [strategy.version]);
     }
     // If "closest", we don't add version condition in SQL, we'll sort and pick in JS
 
     // Add language condition
     if (strategy.languageMode === "exact" && strategy.language) {
-      conditions.push("LOWER(ar.app_language) = LOWER(?)");
-      params.push(strategy.language);
+      addCondition("app_language", "LOWER(ar.app_language) = LOWER(?)", [strategy.language]);
     }
     // If "any", we don't add language condition
 
     // Add platform condition
     if (strategy.platformMode === "exact" && strategy.platform) {
-      conditions.push("LOWER(ar.app_platform) = LOWER(?)");
-      params.push(strategy.platform);
+      addCondition("app_platform", "LOWER(ar.app_platform) = LOWER(?)", [strategy.platform]);
     }
     // If "any", we don't add platform condition
 
+    // Trace step for this strategy (explain mode only)
+    const step = trace
+      ? {
+          ...strategy,
+          conditions: strategyConditions,
+          sqlCandidates: 0,
+          filters: [],
+          selected: null,
+          eliminatedBy: null,
+        }
+      : null;
+    if (step) {
+      trace.strategies.push(step);
+    }
+
     // Build and execute query
     const sql = `
       SELECT ar.*, ars.id as response_id, ars.response_status, ars.response_headers, 
-             ars.response_body, ars.response_source, ars.latency_ms,
+             ars.response_body, ars.response_body_encoding, ars.response_source, ars.latency_ms, ars.templated,
              ars.created_at as response_created_at, ars.updated_at as response_updated_at
       FROM api_requests ar
       INNER JOIN api_responses ars ON ar.id = ars.api_request_id
@@ -646,8 +885,17 @@ class MatchingEngine {
 
     const results = await this.db.all(sql, params);
 
+    if (step) {
+      step.sqlCandidates = results.length;
+    }
+
     if (results.length === 0) {
       logger.debug("[MatchingEngine] No results for strategy", { strategy: strategy.name });
+      if (step) {
+        step.sqlBreakdown = await this._traceSqlConditions([...trace.baseConditions, ...strategyConditions]);
+        const eliminating = step.sqlBreakdown.find((condition) => condition.remaining === 0);
+        step.eliminatedBy = eliminating ? eliminating.label : null;
+      }
       return null;
     }
 
@@ -660,28 +908,45 @@ class MatchingEngine {
     if (queryCondition.useNormalizedComparison) {
       // Database stores ORIGINAL query_params, so we need to compare using normalized version
       const { compareQueryParams } = require("../../utils/jsonUtils");
+      const before = candidates;
+      // GraphQL GET parameters (query, variables...) are compared through the operation
+      const withoutGraphql = (params) => (searchParams.graphql ? withoutGraphqlParams(params) : params);
       candidates = candidates.filter((candidate) => {
         const candidateParams = candidate.query_params ? JSON.parse(candidate.query_params) : null;
-        return compareQueryParams(queryCondition.incomingQueryParams, candidateParams);
+        return compareQueryParams(withoutGraphql(queryCondition.incomingQueryParams), withoutGraphql(candidateParams));
       });
+      if (step) {
+        this._traceFilter(step, "query_params", before, candidates);
+      }
       if (candidates.length === 0) {
         logger.error("[MatchingEngine] No candidates after normalized query params filter");
+        if (step) step.eliminatedBy = "query_params";
         return null;
       }
     } else if (queryCondition.matchQueryParams) {
       // Filter by specific match_query_params if specified (JavaScript filtering)
+      const before = candidates;
       candidates = this._filterByQueryParams(candidates, queryCondition.incomingQueryParams, queryCondition.matchQueryParams);
+      if (step) {
+        this._traceFilter(step, "match_query_params", before, candidates);
+      }
       if (candidates.length === 0) {
         logger.debug("[MatchingEngine] No candidates after query params filter");
+        if (step) step.eliminatedBy = "match_query_params";
         return null;
       }
     }
 
     // Filter by match_headers if specified
     if (config?.match_headers) {
+      const before = candidates;
       candidates = this._filterByHeaders(candidates, searchParams.requestHeaders, config);
+      if (step) {
+        this._traceFilter(step, "match_headers", before, candidates);
+      }
       if (candidates.length === 0) {
         logger.debug("[MatchingEngine] No candidates after headers filter");
+        if (step) step.eliminatedBy = "match_headers";
         return null;
       }
     }
@@ -689,19 +954,52 @@ class MatchingEngine {
     // Filter and sort by match_body if specified
     // This is for REPLAY mode - priority-based optional matching
     if (config?.match_body) {
-      candidates = this._filterAndSortByBodyFields(candidates, searchParams.requestBody, config);
+      candidates = this._filterAndSortByBodyFields(candidates, searchParams.requestBody, config, searchParams.requestProto, searchParams.graphql);
       // Note: We don't return null if no candidates match body fields
       // because match_body is optional for REPLAY mode - we just prefer matches
+      if (step) {
+        let matchBodyFields = [];
+        try {
+          matchBodyFields = JSON.parse(config.match_body);
+        } catch (e) {
+          // Invalid match_body is ignored by _filterAndSortByBodyFields too
+        }
+        step.filters.push({
+          filter: "match_body",
+          ranking: candidates.map((candidate) => ({
+            ...this._describeCandidate(candidate),
+            bodyScore: Array.isArray(matchBodyFields)
+              ? scoreBodyFieldMatch(
+                  searchParams.requestBody,
+                  this._getCandidateBody(candidate, searchParams.requestProto, searchParams.graphql),
+                  matchBodyFields,
+                )
+              : null,
+          })),
+        });
+      }
     }
 
     // For version closest mode, sort by version proximity
     if (strategy.versionMode === "closest" && strategy.version) {
       candidates = this._sortByVersionProximity(candidates, strategy.version);
+      if (step) {
+        step.filters.push({
+          filter: "version_closest",
+          target: strategy.version,
+          ranking: candidates.map((candidate) => this._describeCandidate(candidate)),
+        });
+      }
     }
 
     // Return the best match
     const best = candidates[0];
-    return this._buildMatchResult(best, strategy, config);
+    const result = this._buildMatchResult(best, strategy, config);
+    if (step) {
+      step.selected = this._describeCandidate(best);
+      trace.selected = step.selected;
+    }
+    return result;
   }
 
   /**
@@ -716,7 +1014,7 @@ class MatchingEngine {
    *
    * @private
    */
-  _filterAndSortByBodyFields(candidates, incomingBody, config) {
+  _filterAndSortByBodyFields(candidates, incomingBody, config, requestProto = null, graphql = null) {
     if (!config?.match_body) {
       return candidates;
     }
@@ -734,7 +1032,7 @@ class MatchingEngine {
 
     // Score each candidate
     const scoredCandidates = candidates.map((candidate) => {
-      const candidateBody = candidate.request_body;
+      const candidateBody = this._getCandidateBody(candidate, requestProto, graphql);
       const score = scoreBodyFieldMatch(incomingBody, candidateBody, matchBodyFields);
       return { candidate, score };
     });
@@ -777,6 +1075,7 @@ class MatchingEngine {
         request_headers: record.request_headers,
         request_body: record.request_body,
         endpoint_type: record.endpoint_type,
+        collection_id: record.collection_id,
         created_at: record.created_at,
         updated_at: record.updated_at,
       },
@@ -786,8 +1085,10 @@ class MatchingEngine {
         response_status: record.response_status,
         response_headers: record.response_headers,
         response_body: record.response_body,
+        response_body_encoding: record.response_body_encoding,
         response_source: record.response_source,
         latency_ms: record.latency_ms,
+        templated: record.templated,
         created_at: record.response_created_at,
         updated_at: record.response_updated_at,
       },
@@ -0,0 +1,143 @@
+/**
+ * ScenarioEngine - State machine replay for stateful endpoint sequences
+ *
+ * Purpose:
+ * - Return different recorded responses for the same endpoint depending on scenario state
+ *   (e.g. GET /cart -> empty, POST /cart, GET /cart -> 1 item)
+ * - Advance scenario state on matching requests
+ * - Keep state per proxy session (DPSESSION), 'global' for requests without a session
+ *
+ * Step Rules:
+ * - A step matches when method and endpoint pattern match and required_state is NULL or the current state
+ * - Only the first matching step (by step_order) of each scenario is applied
+ * - Every enabled scenario advances independently; the first scenario whose step has a response wins
+ * - Steps without a response only advance the state, the request then goes through normal matching
+ */
+
+const logger = require("../../utils/logger");
+const sessionManager = require("../../utils/session_manager");
+const scenarioRepository = require("../../database/repositories/scenario_repository");
+const { compilePathPattern } = require("../../utils/httpUtils");
+
+const GLOBAL_SESSION_KEY = "global";
+
+class ScenarioEngine {
+  /**
+   * @param {Object} repository - Scenario repository (defaults to scenario_repository)
+   */
+  constructor(repository = scenarioRepository) {
+    this.repository = repository;
+  }
+
+  /**
+   * Get the session key that scopes scenario state for a request
+   * @param {RequestContext} requestContext - Request context
+   * @returns {string} DPSESSION value or 'global'
+   */
+  getSessionKey(requestContext) {
+    const headers = requestContext.getCurrent().headers || {};
+    const dpSession = sessionManager.extractDPSessionFromRequest(headers);
+    if (dpSession) {
+      return dpSession;
+    }
+
+    // Cross-domain requests carry a user session cookie or Bearer token instead of DPSESSION
+    const sessionInfo = sessionManager.getSessionInfoFromRequest(headers, "[SCENARIO_ENGINE]");
+    return sessionInfo.sessionToken || GLOBAL_SESSION_KEY;
+  }
+
+  /**
+   * Check if a step matches method and path
+   * @param {Object} step - Scenario step
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path (without query)
+   * @returns {boolean} True if matches
+   * @private
+   */
+  _stepMatches(step, method, path) {
+    if (step.http_method !== "*" && step.http_method !== method) {
+      return false;
+    }
+
+    try {
+      if (step.regex) {
+        return new RegExp(step.endpoint_pattern, "i").test(path);
+      }
+
+      return compilePathPattern(step.endpoint_pattern, { flags: "i" }).test(path);
+    } catch (e) {
+      logger.warn("[ScenarioEngine] Invalid step pattern, skipping", {
+        stepId: step.id,
+        pattern: step.endpoint_pattern,
+        error: e.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Apply scenarios to a request: advance states and return the scenario response, if any
+   * @param {RequestContext} requestContext - Request context
+   * @returns {Object|null} Match { request, response, score, matchDetails } in MatchingEngine format, or null
+   */
+  findMatch(requestContext) {
+    const scenarios = this.repository.getAllScenarios(true);
+    if (scenarios.length === 0) {
+      return null;
+    }
+
+    const method = (requestContext.getCurrent().method || "GET").toUpperCase();
+    const path = requestContext.getActualPath().split("?")[0];
+    const sessionKey = this.getSessionKey(requestContext);
+    let result = null;
+
+    for (const scenario of scenarios) {
+      const currentState = this.repository.getScenarioState(scenario, sessionKey);
+      const step = scenario.steps.find(
+        (s) => (s.required_state === null || s.required_state === currentState) && this._stepMatches(s, method, path),
+      );
+      if (!step) continue;
+
+      const nextState = step.next_state || currentState;
+      if (nextState !== currentState) {
+        this.repository.setScenarioState(scenario.id, sessionKey, nextState);
+      }
+
+      logger.info("[ScenarioEngine] Scenario step hit", {
+        scenario: scenario.name,
+        stepId: step.id,
+        sessionKey: sessionKey === GLOBAL_SESSION_KEY ? sessionKey : sessionKey.substring(0, 8) + "...",
+        fromState: currentState,
+        toState: nextState,
+        responseId: step.api_response_id,
+      });
+
+      if (result || !step.api_response_id) continue;
+
+      const recorded = this.repository.getResponseWithRequest(step.api_response_id);
+      if (!recorded) {
+        logger.warn("[ScenarioEngine] Step response not found", { scenario: scenario.name, responseId: step.api_response_id });
+        continue;
+      }
+
+      result = {
+        request: recorded.request,
+        response: recorded.response,
+        score: 100,
+        matchDetails: {
+          scenario: scenario.name,
+          scenarioId: scenario.id,
+          stepId: step.id,
+          fromState: currentState,
+          toState: nextState,
+        },
+      };
+    }
+
+    return result;
+  }
+}
+
+ScenarioEngine.GLOBAL_SESSION_KEY = GLOBAL_SESSION_KEY;
+
+module.exports = ScenarioEngine;
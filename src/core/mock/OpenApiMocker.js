@@ -0,0 +1,176 @@
+/**
+ * OpenApiMocker - Replay responses synthesized from imported OpenAPI documents
+ *
+ * Purpose:
+ * - Serve requests that have no recording when the replay fallback is "openapi" (see ReplayMode._handleNoMatch),
+ *   so clients can be built against a spec before the backend exists
+ * - Match the request to an operation of an enabled spec (host, server base path, path template, method)
+ * - Build the response from the operation (see utils/openApiMock.js): examples first, otherwise generated from schemas
+ *
+ * Host matching: a spec with a host only serves that host; otherwise the hosts of its absolute server URLs;
+ * a spec without absolute server URLs serves any host. When several paths match, the one with the fewest
+ * parameters wins ("/users/me" before "/users/{id}").
+ *
+ * Usage:
+ * const mock = getInstance().mockResponse(requestContext);
+ * if (mock) { ... mock.status, mock.headers, mock.body }
+ */
+
+const logger = require("../../utils/logger");
+const mockSpecRepository = require("../../database/repositories/mock_spec_repository");
+const { getTemplateParams, pathTemplateToRegex } = require("../../utils/pathTemplate");
+const { buildMockResponse } = require("../../utils/openApiMock");
+const { normalizeHost } = require("../contract/ContractValidator");
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+
+/**
+ * Get the servers of a spec as { host, basePath } (server variables use their default values)
+ * @param {Object} spec - OpenAPI document
+ * @returns {Array<{host: string|null, basePath: string}>} Servers (host null for relative server URLs)
+ */
+function getServerBases(spec) {
+  const servers = Array.isArray(spec.servers) && spec.servers.length > 0 ? spec.servers : [{ url: "/" }];
+  return servers.map((server) => {
+    const url = String(server.url || "/").replace(/\{([^}]+)\}/g, (match, name) => server.variables?.[name]?.default ?? "");
+    try {
+      if (/^[a-z]+:\/\//i.test(url)) {
+        const parsed = new URL(url);
+        return { host: normalizeHost(parsed.host), basePath: parsed.pathname.replace(/\/+$/, "") };
+      }
+    } catch (e) {
+      // Invalid absolute URL - use it as a path
+    }
+    return { host: null, basePath: url.replace(/^[a-z]+:\/\/[^/]*/i, "").replace(/\/+$/, "") };
+  });
+}
+
+/**
+ * Compile the operations of a spec for matching
+ * @param {Object} mockSpec - Mock spec row (spec parsed)
+ * @returns {Array<Object>} Operations { mockSpec, method, template, regex, paramCount, operation }
+ */
+function compileOperations(mockSpec) {
+  const operations = [];
+  for (const [template, pathItem] of Object.entries(mockSpec.spec.paths || {})) {
+    if (!pathItem || typeof pathItem !== "object") continue;
+    for (const method of HTTP_METHODS) {
+      if (!pathItem[method]) continue;
+      operations.push({
+        mockSpec,
+        method: method.toUpperCase(),
+        template,
+        regex: pathTemplateToRegex(template),
+        paramCount: getTemplateParams(template).length,
+        operation: pathItem[method],
+      });
+    }
+  }
+  return operations;
+}
+
+class OpenApiMocker {
+  constructor() {
+    this._specs = null;
+  }
+
+  /**
+   * Reload enabled specs from database (call after specs change)
+   */
+  reload() {
+    try {
+      this._specs = mockSpecRepository.getAllMockSpecs(true).map((mockSpec) => ({
+        mockSpec,
+        servers: getServerBases(mockSpec.spec),
+        operations: compileOperations(mockSpec).sort((a, b) => a.paramCount - b.paramCount),
+      }));
+      logger.info("[OpenApiMocker] Mock specs loaded", { count: this._specs.length });
+    } catch (error) {
+      logger.error("[OpenApiMocker] Failed to load mock specs", { error: error.message });
+      this._specs = [];
+    }
+  }
+
+  /**
+   * Find the operation of a request
+   * @param {string} host - Request host
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path (query string is ignored)
+   * @returns {Object|null} Compiled operation or null
+   */
+  findOperation(host, method, path) {
+    if (this._specs === null) {
+      this.reload();
+    }
+    const normalizedHost = normalizeHost(host);
+    const normalizedMethod = String(method || "GET").toUpperCase();
+    const cleanPath = String(path || "/").split("?")[0];
+
+    for (const { mockSpec, servers, operations } of this._specs) {
+      if (mockSpec.host && normalizeHost(mockSpec.host) !== normalizedHost) continue;
+
+      const absolute = servers.some((server) => server.host);
+      const bases = servers.filter((server) => mockSpec.host || !absolute || server.host === normalizedHost);
+      for (const { basePath } of bases) {
+        if (basePath && cleanPath !== basePath && !cleanPath.startsWith(`${basePath}/`)) continue;
+        const specPath = cleanPath.slice(basePath.length) || "/";
+        const match = operations.find((op) => op.method === normalizedMethod && op.regex.test(specPath));
+        if (match) return match;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build a mocked response for a request
+   * @param {RequestContext} requestContext - Request context
+   * @returns {Object|null} { status, headers, body, specId, specName, operation } or null when no operation matches
+   */
+  mockResponse(requestContext) {
+    const current = requestContext.getCurrent() || {};
+    const original = requestContext.getOriginal() || {};
+    const headers = current.headers || {};
+
+    let host = headers.host || original.hostname;
+    const fullUrl = current.originalUrl || current.url || "";
+    if (/^https?:\/\//.test(fullUrl)) {
+      host = new URL(fullUrl).host;
+    }
+
+    const match = this.findOperation(host, current.method, requestContext.getActualPath());
+    if (!match) {
+      return null;
+    }
+
+    const response = buildMockResponse(match.mockSpec.spec, match.operation, headers);
+    if (!response) {
+      return null;
+    }
+
+    return {
+      ...response,
+      specId: match.mockSpec.id,
+      specName: match.mockSpec.name,
+      operation: match.operation.operationId || `${match.method} ${match.template}`,
+    };
+  }
+}
+
+let instance = null;
+
+/**
+ * Get singleton instance of OpenApiMocker
+ * @returns {OpenApiMocker}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new OpenApiMocker();
+  }
+  return instance;
+}
+
+module.exports = {
+  OpenApiMocker,
+  getInstance,
+  getServerBases,
+};
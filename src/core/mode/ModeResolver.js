@@ -0,0 +1,256 @@
+/**
+ * ModeResolver - Per-client proxy mode
+ *
+ * Purpose:
+ * - Let each tester pick a mode for their own device without switching everyone else
+ *   (one tester replaying while others keep recording)
+ * - Keep track of the clients currently sending traffic through the proxy
+ *
+ * Resolution order (first match wins):
+ * 1. X-DProxy-Mode request header (removed before the request is forwarded)
+ * 2. Override for the client's DPSESSION cookie
+ * 3. Override for the client's device ID (X-Device-Id header, or the device of its DPSESSION)
+ * 4. Override for the client's IP
+ * 5. Global mode (ModeService.setMode)
+ *
+ * Usage:
+ * const resolver = getInstance();
+ * const { mode, source } = resolver.resolve(requestContext, modeService.getCurrentMode());
+ */
+
+const logger = require("../../utils/logger");
+const modeOverrideRepository = require("../../database/repositories/mode_override_repository");
+const sessionRepository = require("../../database/repositories/session_repository");
+const { parseCookies } = require("../../auth/cookie_session_manager");
+
+const MODE_HEADER = "x-dproxy-mode";
+const DEVICE_ID_HEADER = "x-device-id";
+
+// Clients that sent no request for this long are no longer listed as connected
+const CLIENT_TTL_MS = 10 * 60 * 1000;
+
+// Upper bound of cached DPSESSION -> device ID lookups
+const MAX_SESSION_CACHE = 1000;
+
+class ModeResolver {
+  constructor() {
+    this._overrides = null;
+    this._clients = new Map();
+    this._sessionDevices = new Map();
+  }
+
+  /**
+   * Reload active overrides from database (call after overrides change)
+   */
+  reload() {
+    const overrides = new Map();
+    for (const override of modeOverrideRepository.getAllOverrides(true)) {
+      overrides.set(`${override.scope}:${override.scope_value}`, override);
+    }
+    this._overrides = overrides;
+    logger.info("[ModeResolver] Mode overrides loaded", { count: overrides.size });
+  }
+
+  /**
+   * Get active overrides keyed by "<scope>:<value>" (loads on first use)
+   * @returns {Map<string, Object>} Overrides
+   * @private
+   */
+  _getOverrides() {
+    if (this._overrides === null) {
+      try {
+        this.reload();
+      } catch (e) {
+        // Table may not exist yet (database not initialized with latest schema)
+        logger.warn("[ModeResolver] Failed to load mode overrides", { error: e.message });
+        this._overrides = new Map();
+      }
+    }
+    return this._overrides;
+  }
+
+  /**
+   * Identify the client that sent a request
+   * @param {Object} requestContext - RequestContext instance
+   * @returns {{ip: string|null, device_id: string|null, session: string|null, user_agent: string|null}}
+   */
+  identify(requestContext) {
+    const original = requestContext.getOriginal();
+    const headers = original.headers || {};
+
+    // IPv4 clients show up as IPv4-mapped IPv6 addresses on dual-stack sockets
+    const ip = original.ip ? String(original.ip).replace(/^::ffff:/, "") : null;
+    const session = parseCookies({ headers }).DPSESSION || null;
+    const deviceId = headers[DEVICE_ID_HEADER] || (session ? this._getSessionDevice(session) : null);
+
+    return {
+      ip,
+      device_id: deviceId || null,
+      session,
+      user_agent: headers["user-agent"] || null,
+    };
+  }
+
+  /**
+   * Look up the device ID of a DPSESSION (cached)
+   * @param {string} session - DPSESSION value
+   * @returns {string|null} Device ID
+   * @private
+   */
+  _getSessionDevice(session) {
+    if (this._sessionDevices.has(session)) {
+      return this._sessionDevices.get(session);
+    }
+
+    let deviceId = null;
+    try {
+      deviceId = sessionRepository.getSessionByToken(session)?.device_id || null;
+    } catch (e) {
+      logger.debug("[ModeResolver] Session lookup failed", { error: e.message });
+    }
+
+    if (this._sessionDevices.size >= MAX_SESSION_CACHE) {
+      this._sessionDevices.clear();
+    }
+    this._sessionDevices.set(session, deviceId);
+    return deviceId;
+  }
+
+  /**
+   * Find the override that applies to a client
+   * @param {Object} client - Client identity (see identify)
+   * @returns {Object|null} Override
+   */
+  findOverride(client) {
+    const overrides = this._getOverrides();
+    const now = Date.now();
+
+    for (const scope of ["session", "device_id", "ip"]) {
+      if (!client[scope]) continue;
+      const override = overrides.get(`${scope}:${client[scope]}`);
+      if (override && (!override.expires_at || new Date(override.expires_at).getTime() > now)) {
+        return override;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the mode for a request and remember the client
+   * @param {Object} requestContext - RequestContext instance
+   * @param {string} globalMode - Global mode (fallback)
+   * @returns {{mode: string, source: string, overrideId: number|null}} source: header, session, device_id, ip or global
+   */
+  resolve(requestContext, globalMode) {
+    const client = this.identify(requestContext);
+    let result = { mode: globalMode, source: "global", overrideId: null };
+
+    const headerMode = (requestContext.getHeader(MODE_HEADER) || "").toString().trim().toLowerCase();
+    if (headerMode) {
+      // Never forward the control header to the backend
+      requestContext.removeHeader(MODE_HEADER);
+      if (modeOverrideRepository.MODES.includes(headerMode)) {
+        result = { mode: headerMode, source: "header", overrideId: null };
+      } else {
+        logger.warn("[ModeResolver] Ignoring invalid X-DProxy-Mode header", { value: headerMode });
+      }
+    }
+
+    if (result.source === "global") {
+      const override = this.findOverride(client);
+      if (override) {
+        result = { mode: override.mode, source: override.scope, overrideId: override.id };
+      }
+    }
+
+    this._touchClient(client, result);
+    return result;
+  }
+
+  /**
+   * Record a request from a client
+   * @param {Object} client - Client identity
+   * @param {Object} result - Resolved mode
+   * @private
+   */
+  _touchClient(client, result) {
+    const key = client.device_id ? `device:${client.device_id}` : client.session ? `session:${client.session}` : `ip:${client.ip}`;
+    const existing = this._clients.get(key);
+    const now = new Date().toISOString();
+
+    this._clients.set(key, {
+      ...client,
+      first_seen: existing?.first_seen || now,
+      last_seen: now,
+      requests: (existing?.requests || 0) + 1,
+      // Header modes only apply per request, so remember the last one to show it
+      header_mode: result.source === "header" ? result.mode : null,
+    });
+    this._pruneClients();
+  }
+
+  /**
+   * Drop clients that have not sent a request for CLIENT_TTL_MS
+   * @private
+   */
+  _pruneClients() {
+    const cutoff = Date.now() - CLIENT_TTL_MS;
+    for (const [key, client] of this._clients) {
+      if (new Date(client.last_seen).getTime() < cutoff) {
+        this._clients.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get connected clients with their effective mode (most recent first)
+   * @param {string} globalMode - Global mode
+   * @returns {Array<Object>} Clients: { ip, device_id, session, user_agent, first_seen, last_seen, requests, mode, source, override_id }
+   */
+  getClients(globalMode) {
+    this._pruneClients();
+    return [...this._clients.values()]
+      .map((client) => {
+        let effective = { mode: globalMode, source: "global", override_id: null };
+        if (client.header_mode) {
+          effective = { mode: client.header_mode, source: "header", override_id: null };
+        } else {
+          const override = this.findOverride(client);
+          if (override) {
+            effective = { mode: override.mode, source: override.scope, override_id: override.id };
+          }
+        }
+        const { header_mode, ...rest } = client;
+        return { ...rest, ...effective };
+      })
+      .sort((a, b) => b.last_seen.localeCompare(a.last_seen));
+  }
+
+  /**
+   * Forget all connected clients
+   */
+  clearClients() {
+    this._clients.clear();
+    this._sessionDevices.clear();
+  }
+}
+
+let instance = null;
+
+/**
+ * Get singleton instance of ModeResolver
+ * @returns {ModeResolver}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new ModeResolver();
+  }
+  return instance;
+}
+
+module.exports = {
+  ModeResolver,
+  getInstance,
+  MODE_HEADER,
+  DEVICE_ID_HEADER,
+};
@@ -0,0 +1,362 @@
+/**
+ * ProtoRegistry - Decode and encode protobuf / gRPC-Web bodies with uploaded .proto files
+ *
+ * Purpose:
+ * - Compile the uploaded descriptors (proto_descriptors) into one protobuf root, so .proto files can
+ *   import each other; google/protobuf well-known types are built in
+ * - Resolve the message type of a request or response body:
+ *   1. messageType (or proto / type) parameter of the Content-Type ("application/x-protobuf; messageType=demo.User")
+ *   2. gRPC method path ("/demo.Users/GetUser" -> request and response types of the rpc)
+ *   3. Bindings of a descriptor ({ method, path: "/v1/users/{id}", request, response })
+ * - Decode bodies to plain objects for display and match_body, and encode edited objects back
+ *
+ * Decoded objects use the proto field names; enums are names, 64-bit integers and bytes are strings
+ * (decimal and base64), and fields left at their default value are included.
+ *
+ * Usage:
+ * const registry = getInstance();
+ * const resolved = registry.resolveMessageType({ method, path, headers, side: "response" });
+ * if (resolved) { const decoded = registry.decode(body, resolved); }
+ */
+
+const protobuf = require("protobufjs");
+const logger = require("../../utils/logger");
+const protoDescriptorRepository = require("../../database/repositories/proto_descriptor_repository");
+const { getContentType } = require("../../utils/bodySerializer");
+const { getGrpcFormat, decodeFrames, encodeFrames, parseGrpcPath } = require("../../utils/grpcWeb");
+const { getTemplateParams, pathTemplateToRegex } = require("../../utils/pathTemplate");
+
+const PROTOBUF_CONTENT_TYPES = /^application\/(x-protobuf|protobuf|x-google-protobuf|vnd\.google\.protobuf)$/;
+
+const TO_OBJECT_OPTIONS = { enums: String, longs: String, bytes: String, defaults: true, arrays: true };
+
+/**
+ * Compile descriptors into one protobuf root
+ * @param {Array<Object>} descriptors - Proto descriptors { name, source }
+ * @returns {protobuf.Root} Resolved root
+ * @throws {Error} When a file doesn't parse or references an unknown type
+ */
+function compileRoot(descriptors) {
+  const root = new protobuf.Root();
+  for (const descriptor of descriptors) {
+    const parsed = protobuf.parse(descriptor.source, root, { keepCase: true });
+    for (const name of parsed.imports || []) {
+      const common = protobuf.common.get(name);
+      if (common) root.addJSON(common.nested);
+    }
+  }
+  root.resolveAll();
+  return root;
+}
+
+/**
+ * Compile descriptors, leaving out the ones that don't compile
+ * Files may import each other in any order: descriptors are accepted in passes until no more compile.
+ * @param {Array<Object>} descriptors - Proto descriptors { name, source }
+ * @returns {Object} { root, errors: { <name>: message } }
+ */
+function buildRoot(descriptors) {
+  let accepted = [];
+  let pending = descriptors;
+  const errors = {};
+
+  let progress = true;
+  while (pending.length > 0 && progress) {
+    progress = false;
+    const remaining = [];
+    for (const descriptor of pending) {
+      try {
+        compileRoot([...accepted, descriptor]);
+        accepted = [...accepted, descriptor];
+        delete errors[descriptor.name];
+        progress = true;
+      } catch (error) {
+        errors[descriptor.name] = error.message;
+        remaining.push(descriptor);
+      }
+    }
+    pending = remaining;
+  }
+
+  return { root: compileRoot(accepted), errors };
+}
+
+/**
+ * Describe a .proto file without resolving its imports
+ * @param {string} source - .proto file content
+ * @returns {Object} { package, messages: ["demo.User", ...], services: ["demo.Users", ...] } (empty when it doesn't parse)
+ */
+function describeSource(source) {
+  const description = { package: null, messages: [], services: [] };
+  try {
+    const parsed = protobuf.parse(source, new protobuf.Root(), { keepCase: true });
+    description.package = parsed.package || null;
+    const visit = (namespace) => {
+      for (const nested of namespace.nestedArray) {
+        if (nested instanceof protobuf.Type) description.messages.push(nested.fullName.slice(1));
+        if (nested instanceof protobuf.Service) description.services.push(nested.fullName.slice(1));
+        if (nested.nestedArray) visit(nested);
+      }
+    };
+    visit(parsed.root);
+  } catch (e) {
+    // Invalid file: reported by buildRoot
+  }
+  return description;
+}
+
+/**
+ * Check an object against a message type before encoding
+ * fromObject silently drops unknown fields and turns unknown enum names into 0, which would hide typos in edits.
+ * @param {protobuf.Type} type - Message type
+ * @param {Object} object - Message object
+ * @param {string} path - Field path for error messages
+ * @throws {Error} On unknown fields or enum names
+ */
+function checkObject(type, object, path = "") {
+  if (!object || typeof object !== "object" || Array.isArray(object)) {
+    throw new Error(`${path || type.name} must be an object`);
+  }
+  for (const [key, value] of Object.entries(object)) {
+    const field = type.fields[key] || type.fieldsArray.find((candidate) => candidate.json && candidate.name === key);
+    const fieldPath = path ? `${path}.${key}` : key;
+    if (!field) {
+      throw new Error(`Unknown field ${fieldPath} in ${type.fullName.slice(1)}`);
+    }
+    if (value === null || value === undefined) continue;
+    field.resolve();
+    const values = field.repeated ? [].concat(value) : field.map ? Object.values(value) : [value];
+    for (const item of values) {
+      if (field.resolvedType instanceof protobuf.Enum && typeof item === "string" && field.resolvedType.values[item] === undefined) {
+        throw new Error(`Unknown ${field.resolvedType.name} value "${item}" for ${fieldPath}`);
+      }
+      if (field.resolvedType instanceof protobuf.Type && item !== null) {
+        checkObject(field.resolvedType, item, fieldPath);
+      }
+    }
+  }
+}
+
+/**
+ * Get the message type named by the Content-Type parameters
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} Message type name
+ */
+function getContentTypeMessageType(contentType) {
+  const match = /;\s*(?:messagetype|proto|type)\s*=\s*"?\.?([\w.]+)"?/i.exec(String(contentType || ""));
+  return match ? match[1] : null;
+}
+
+/**
+ * Check if a content type carries protobuf (plain or gRPC framed)
+ * @param {string} contentType - Content-Type header
+ * @returns {boolean}
+ */
+function isProtobufContentType(contentType) {
+  const mediaType = String(contentType || "").split(";")[0].trim().toLowerCase();
+  return PROTOBUF_CONTENT_TYPES.test(mediaType) || getGrpcFormat(mediaType) !== null;
+}
+
+class ProtoRegistry {
+  constructor() {
+    this._root = null;
+    this._errors = {};
+    this._bindings = [];
+  }
+
+  /**
+   * Reload descriptors from database (call after descriptors change)
+   */
+  reload() {
+    try {
+      const descriptors = protoDescriptorRepository.getAllProtoDescriptors();
+      const { root, errors } = buildRoot(descriptors);
+      this._root = root;
+      this._errors = errors;
+      this._bindings = descriptors
+        .filter((descriptor) => !errors[descriptor.name])
+        .flatMap((descriptor) => descriptor.bindings.map((binding) => ({ ...binding, descriptor: descriptor.name })))
+        .filter((binding) => binding.path)
+        .map((binding) => ({
+          ...binding,
+          method: binding.method ? String(binding.method).toUpperCase() : null,
+          regex: pathTemplateToRegex(binding.path),
+          paramCount: getTemplateParams(binding.path).length,
+        }))
+        .sort((a, b) => a.paramCount - b.paramCount);
+
+      logger.info("[ProtoRegistry] Proto descriptors loaded", {
+        count: descriptors.length,
+        errors: Object.keys(errors).length,
+      });
+    } catch (error) {
+      logger.error("[ProtoRegistry] Failed to load proto descriptors", { error: error.message });
+      this._root = new protobuf.Root();
+      this._errors = {};
+      this._bindings = [];
+    }
+  }
+
+  /**
+   * Get the compiled root (loads descriptors on first use)
+   * @returns {protobuf.Root}
+   */
+  getRoot() {
+    if (this._root === null) {
+      this.reload();
+    }
+    return this._root;
+  }
+
+  /**
+   * Get compile errors of the loaded descriptors
+   * @returns {Object} { <descriptor name>: message }
+   */
+  getErrors() {
+    this.getRoot();
+    return this._errors;
+  }
+
+  /**
+   * Find a message type by name
+   * @param {string} name - Fully qualified name ("demo.User", leading dot allowed)
+   * @returns {protobuf.Type|null}
+   */
+  lookupType(name) {
+    if (!name) return null;
+    try {
+      return this.getRoot().lookupType(String(name).replace(/^\./, ""));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the message type of a request or response body
+   * @param {Object} options - { method, path, headers, side: "request" | "response" }
+   *   (headers of that side: the Content-Type says whether the body is protobuf)
+   * @returns {Object|null} { type: "demo.User", format: null | "grpc" | "grpc-web" | "grpc-web-text", source } or null
+   */
+  resolveMessageType({ method, path, headers, side = "request" }) {
+    const contentType = getContentType(headers || {});
+    if (!isProtobufContentType(contentType)) {
+      return null;
+    }
+    const format = getGrpcFormat(contentType);
+    const cleanPath = String(path || "/").split("?")[0];
+
+    const named = getContentTypeMessageType(contentType);
+    if (named && this.lookupType(named)) {
+      return { type: this.lookupType(named).fullName.slice(1), format, source: "content-type" };
+    }
+
+    const grpcPath = parseGrpcPath(cleanPath);
+    if (grpcPath) {
+      try {
+        const service = this.getRoot().lookupService(grpcPath.service);
+        const rpc = service.methods[grpcPath.method];
+        if (rpc) {
+          rpc.resolve();
+          const type = side === "response" ? rpc.resolvedResponseType : rpc.resolvedRequestType;
+          return { type: type.fullName.slice(1), format, source: "grpc" };
+        }
+      } catch (e) {
+        // Not a known service - try bindings
+      }
+    }
+
+    this.getRoot();
+    const normalizedMethod = String(method || "GET").toUpperCase();
+    const binding = this._bindings.find(
+      (candidate) => (!candidate.method || candidate.method === normalizedMethod) && candidate.regex.test(cleanPath) && candidate[side],
+    );
+    if (binding && this.lookupType(binding[side])) {
+      return { type: this.lookupType(binding[side]).fullName.slice(1), format, source: "binding" };
+    }
+
+    return null;
+  }
+
+  /**
+   * Decode a body
+   * @param {Buffer} body - Body bytes
+   * @param {Object} resolved - Result of resolveMessageType
+   * @returns {Object} { type, format, message } or, for gRPC, { type, format, messages, trailers }
+   * @throws {Error} When the type is unknown or the bytes don't decode
+   */
+  decode(body, resolved) {
+    const type = this.lookupType(resolved.type);
+    if (!type) {
+      throw new Error(`Unknown message type: ${resolved.type}`);
+    }
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body || ""), "utf8");
+    const toObject = (bytes) => type.toObject(type.decode(bytes), TO_OBJECT_OPTIONS);
+
+    if (!resolved.format) {
+      return { type: resolved.type, format: null, message: toObject(buffer) };
+    }
+    const { messages, trailers } = decodeFrames(buffer, resolved.format);
+    return { type: resolved.type, format: resolved.format, messages: messages.map(toObject), trailers };
+  }
+
+  /**
+   * Encode a decoded (possibly edited) body back to bytes
+   * @param {Object} decoded - { message } or, for gRPC, { messages, trailers }
+   * @param {Object} resolved - Result of resolveMessageType
+   * @returns {Buffer} Body bytes
+   * @throws {Error} When the type is unknown or the object has unknown fields or enum values
+   */
+  encode(decoded, resolved) {
+    const type = this.lookupType(resolved.type);
+    if (!type) {
+      throw new Error(`Unknown message type: ${resolved.type}`);
+    }
+    const toBytes = (object) => {
+      checkObject(type, object);
+      return Buffer.from(type.encode(type.fromObject(object)).finish());
+    };
+
+    if (!resolved.format) {
+      return toBytes(decoded.message);
+    }
+    const messages = Array.isArray(decoded.messages) ? decoded.messages : [decoded.message];
+    return encodeFrames(messages.map(toBytes), decoded.trailers || null, resolved.format);
+  }
+
+  /**
+   * Decode a body into fields for match_body (first message of gRPC bodies)
+   * @param {Buffer} body - Body bytes
+   * @param {Object} resolved - Result of resolveMessageType
+   * @returns {Object|null} Message fields or null when the body doesn't decode
+   */
+  decodeFields(body, resolved) {
+    try {
+      const decoded = this.decode(body, resolved);
+      return resolved.format ? decoded.messages[0] || null : decoded.message;
+    } catch (error) {
+      logger.debug("[ProtoRegistry] Body does not decode", { type: resolved.type, error: error.message });
+      return null;
+    }
+  }
+}
+
+let instance = null;
+
+/**
+ * Get singleton instance of ProtoRegistry
+ * @returns {ProtoRegistry}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new ProtoRegistry();
+  }
+  return instance;
+}
+
+module.exports = {
+  ProtoRegistry,
+  getInstance,
+  buildRoot,
+  describeSource,
+  isProtobufContentType,
+};
@@ -0,0 +1,513 @@
+/**
+ * RewriteEngine - DB-backed request/response rewrite rules
+ *
+ * Purpose:
+ * - Rewrite requests before they are forwarded (passthrough/recording) or matched (replay)
+ * - Rewrite responses before they are sent to the client, in all modes
+ *   (e.g. flip a feature flag in an appConfig response without editing recordings)
+ *
+ * Rule Matching:
+ * - match_host / match_endpoint: regex on request host / endpoint path (NULL = any)
+ * - match_method: HTTP method or '*'
+ * - conditions: request conditions (header/query/body) decide if the rule matches;
+ *   response conditions (status/response_header/response_body) only gate response actions
+ *
+ * Actions:
+ * - set_header / remove_header      { target, name, value }
+ * - json_set / json_delete          { target, path, value } (JSONPath, see utils/jsonPath)
+ * - regex_replace                   { target, pattern, replacement, flags } on the body text
+ * - set_status                      { status } (response only)
+ * - rewrite_url                     { pattern, replacement } on the full request URL (request only)
+ *
+ * Rules are matched once per request; the matched rule IDs are kept in request metadata
+ * so the response phase applies the same rules even after a URL rewrite.
+ *
+ * Usage:
+ * const engine = getInstance();
+ * engine.applyRequestRules(requestContext);
+ * engine.applyResponseRules(responseContext, requestContext);
+ */
+
+const logger = require("../../utils/logger");
+const rewriteRuleRepository = require("../../database/repositories/rewrite_rule_repository");
+const { queryJsonPath, setJsonPath, deleteJsonPath } = require("../../utils/jsonPath");
+const { shouldBypassDProxy } = require("../../utils/requestTypeDetector");
+
+const REQUEST_CONDITION_SOURCES = ["header", "query", "body"];
+const RESPONSE_CONDITION_SOURCES = ["status", "response_header", "response_body"];
+const ACTION_TYPES = ["set_header", "remove_header", "json_set", "json_delete", "regex_replace", "set_status", "rewrite_url"];
+const CONDITION_OPERATORS = ["equals", "not_equals", "contains", "regex", "exists", "not_exists"];
+
+// Request metadata key holding matched rule IDs
+const METADATA_KEY = "rewriteRules";
+
+class RewriteEngine {
+  constructor() {
+    this._rules = null;
+  }
+
+  /**
+   * Reload enabled rules from database (call after rules change)
+   */
+  reload() {
+    const rules = [];
+
+    for (const rule of rewriteRuleRepository.getAllRules(true)) {
+      try {
+        rules.push({
+          ...rule,
+          hostRegex: rule.match_host ? new RegExp(rule.match_host, "i") : null,
+          endpointRegex: rule.match_endpoint ? new RegExp(rule.match_endpoint, "i") : null,
+        });
+      } catch (e) {
+        logger.warn("[RewriteEngine] Invalid rule pattern, skipping rule", { id: rule.id, name: rule.name, error: e.message });
+      }
+    }
+
+    this._rules = rules;
+    logger.info("[RewriteEngine] Rewrite rules loaded", { count: rules.length });
+  }
+
+  /**
+   * Get enabled rules (loads on first use)
+   * @returns {Array<Object>} Compiled rules
+   * @private
+   */
+  _getRules() {
+    if (this._rules === null) {
+      try {
+        this.reload();
+      } catch (e) {
+        // Table may not exist yet (database not initialized with latest schema)
+        logger.warn("[RewriteEngine] Failed to load rewrite rules", { error: e.message });
+        this._rules = [];
+      }
+    }
+    return this._rules;
+  }
+
+  /**
+   * Apply request actions of matching rules
+   * Safe to call multiple times for the same request (rules are only applied once)
+   * @param {RequestContext} requestContext - Request context
+   * @returns {RequestContext} Request context
+   */
+  applyRequestRules(requestContext) {
+    if (requestContext.getMetadata(METADATA_KEY) !== undefined) {
+      return requestContext;
+    }
+
+    const rules = this._getRules();
+    if (rules.length === 0 || shouldBypassDProxy(requestContext)) {
+      requestContext.setMetadata(METADATA_KEY, []);
+      return requestContext;
+    }
+
+    const matched = rules.filter((rule) => this._matchesRequest(rule, requestContext));
+    requestContext.setMetadata(
+      METADATA_KEY,
+      matched.map((rule) => rule.id),
+    );
+
+    for (const rule of matched) {
+      const actions = rule.actions.filter((action) => this._getActionTarget(action) === "request");
+      if (actions.length === 0) continue;
+
+      for (const action of actions) {
+        try {
+          this._applyRequestAction(action, requestContext);
+        } catch (e) {
+          logger.warn("[RewriteEngine] Request action failed", { rule: rule.name, type: action.type, error: e.message });
+        }
+      }
+      logger.info("[RewriteEngine] Request rewrite rule applied", { rule: rule.name, id: rule.id });
+    }
+
+    return requestContext;
+  }
+
+  /**
+   * Apply response actions of rules matched in the request phase
+   * @param {ResponseContext} responseContext - Response context
+   * @param {RequestContext} requestContext - Request context
+   * @returns {ResponseContext} Response context
+   */
+  applyResponseRules(responseContext, requestContext) {
+    if (!requestContext) {
+      return responseContext;
+    }
+
+    // Request phase not executed for this request: match now
+    if (requestContext.getMetadata(METADATA_KEY) === undefined) {
+      const rules = this._getRules();
+      const matched = shouldBypassDProxy(requestContext) ? [] : rules.filter((rule) => this._matchesRequest(rule, requestContext));
+      requestContext.setMetadata(
+        METADATA_KEY,
+        matched.map((rule) => rule.id),
+      );
+    }
+
+    const ruleIds = requestContext.getMetadata(METADATA_KEY);
+    if (!ruleIds || ruleIds.length === 0) {
+      return responseContext;
+    }
+
+    const applied = [];
+    for (const rule of this._getRules()) {
+      if (!ruleIds.includes(rule.id)) continue;
+
+      const actions = rule.actions.filter((action) => this._getActionTarget(action) === "response");
+      if (actions.length === 0) continue;
+
+      const responseConditions = rule.conditions.filter((c) => RESPONSE_CONDITION_SOURCES.includes(c.source));
+      if (!responseConditions.every((c) => this._checkCondition(c, this._getResponseValue(c, responseContext)))) {
+        continue;
+      }
+
+      for (const action of actions) {
+        try {
+          this._applyResponseAction(action, responseContext);
+        } catch (e) {
+          logger.warn("[RewriteEngine] Response action failed", { rule: rule.name, type: action.type, error: e.message });
+        }
+      }
+      applied.push(rule.id);
+      logger.info("[RewriteEngine] Response rewrite rule applied", { rule: rule.name, id: rule.id });
+    }
+
+    if (applied.length > 0) {
+      responseContext.setMetadata(METADATA_KEY, applied);
+    }
+    return responseContext;
+  }
+
+  /**
+   * Check if rule matches the request (host, method, endpoint, request conditions)
+   * @param {Object} rule - Compiled rule
+   * @param {RequestContext} requestContext - Request context
+   * @returns {boolean} True if matches
+   */
+  _matchesRequest(rule, requestContext) {
+    const current = requestContext.getCurrent();
+
+    if (rule.match_method !== "*" && rule.match_method !== (current.method || "").toUpperCase()) {
+      return false;
+    }
+
+    if (rule.hostRegex && !rule.hostRegex.test(this._getRequestHost(requestContext))) {
+      return false;
+    }
+
+    if (rule.endpointRegex && !rule.endpointRegex.test(requestContext.getActualPath() || "")) {
+      return false;
+    }
+
+    return rule.conditions
+      .filter((c) => REQUEST_CONDITION_SOURCES.includes(c.source))
+      .every((c) => this._checkCondition(c, this._getRequestValue(c, requestContext)));
+  }
+
+  /**
+   * Get request host (without port)
+   * @private
+   */
+  _getRequestHost(requestContext) {
+    const current = requestContext.getCurrent();
+    const fullUrl = current.originalUrl || current.url || "";
+    if (fullUrl.startsWith("http://") || fullUrl.startsWith("https://")) {
+      try {
+        return new URL(fullUrl).hostname;
+      } catch (e) {
+        // Fall through to Host header
+      }
+    }
+    return ((current.headers && current.headers.host) || "").split(":")[0];
+  }
+
+  /**
+   * Get request value referenced by a condition
+   * @private
+   */
+  _getRequestValue(condition, requestContext) {
+    const current = requestContext.getCurrent();
+    switch (condition.source) {
+      case "header":
+        return this._getHeaderValue(current.headers, condition.key);
+      case "query":
+        return current.query ? current.query[condition.key] : undefined;
+      case "body":
+        return this._getBodyValue(current.body, condition.key);
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Get response value referenced by a condition
+   * @private
+   */
+  _getResponseValue(condition, responseContext) {
+    switch (condition.source) {
+      case "status":
+        return responseContext.getStatus();
+      case "response_header":
+        return this._getHeaderValue(responseContext.getHeaders(), condition.key);
+      case "response_body":
+        return this._getBodyValue(responseContext.getBody(), condition.key);
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Get header value (case-insensitive)
+   * @private
+   */
+  _getHeaderValue(headers, name) {
+    if (!headers || !name) return undefined;
+    const value = headers[name.toLowerCase()];
+    return Array.isArray(value) ? value.join(", ") : value;
+  }
+
+  /**
+   * Get first body value addressed by a JSONPath
+   * @private
+   */
+  _getBodyValue(body, path) {
+    const parsed = this._readJsonBody(body);
+    if (!parsed || !path) return undefined;
+    const values = queryJsonPath(parsed.json, path);
+    return values.length > 0 ? values[0] : undefined;
+  }
+
+  /**
+   * Evaluate a condition against a value
+   * @private
+   */
+  _checkCondition(condition, value) {
+    const operator = condition.operator || "equals";
+    const exists = value !== undefined && value !== null;
+    const text = exists ? (typeof value === "object" ? JSON.stringify(value) : String(value)) : "";
+
+    switch (operator) {
+      case "exists":
+        return exists;
+      case "not_exists":
+        return !exists;
+      case "equals":
+        return exists && text === String(condition.value);
+      case "not_equals":
+        return !exists || text !== String(condition.value);
+      case "contains":
+        return exists && text.includes(String(condition.value));
+      case "regex":
+        try {
+          return exists && new RegExp(condition.value).test(text);
+        } catch (e) {
+          return false;
+        }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Resolve action target (set_status is response-only, rewrite_url is request-only)
+   * @private
+   */
+  _getActionTarget(action) {
+    if (action.type === "set_status") return "response";
+    if (action.type === "rewrite_url") return "request";
+    return action.target === "request" ? "request" : "response";
+  }
+
+  /**
+   * Apply one action to the request
+   * @private
+   */
+  _applyRequestAction(action, requestContext) {
+    const current = requestContext.getCurrent();
+
+    switch (action.type) {
+      case "set_header":
+        requestContext.setHeader(action.name, String(action.value ?? ""));
+        break;
+
+      case "remove_header":
+        requestContext.removeHeader(action.name);
+        break;
+
+      case "json_set":
+      case "json_delete":
+      case "regex_replace": {
+        const body = this._rewriteBody(current.body, action);
+        if (body !== current.body) {
+          requestContext.setBody(body);
+          // Keep exact-bytes forwarding (transmit endpoints) consistent with the rewritten body
+          const serialized = this._serializeBody(body);
+          if (requestContext.rawBody) {
+            requestContext.rawBody = serialized;
+          }
+          if (current.headers["content-length"] !== undefined) {
+            requestContext.setHeader("content-length", String(serialized.length));
+          }
+        }
+        break;
+      }
+
+      case "rewrite_url":
+        this._rewriteUrl(action, requestContext);
+        break;
+
+      default:
+        logger.warn("[RewriteEngine] Unsupported request action", { type: action.type });
+    }
+  }
+
+  /**
+   * Apply one action to the response
+   * @private
+   */
+  _applyResponseAction(action, responseContext) {
+    switch (action.type) {
+      case "set_header":
+        responseContext.setHeader(action.name, String(action.value ?? ""));
+        break;
+
+      case "remove_header":
+        responseContext.removeHeader(action.name);
+        break;
+
+      case "set_status":
+        responseContext.setStatus(parseInt(action.status, 10));
+        break;
+
+      case "json_set":
+      case "json_delete":
+      case "regex_replace": {
+        const current = responseContext.getBody();
+        const body = this._rewriteBody(current, action);
+        if (body !== current) {
+          responseContext.setBody(body);
+          if (responseContext.getHeader("content-length") !== undefined) {
+            responseContext.setHeader("content-length", String(this._serializeBody(body).length));
+          }
+        }
+        break;
+      }
+
+      default:
+        logger.warn("[RewriteEngine] Unsupported response action", { type: action.type });
+    }
+  }
+
+  /**
+   * Rewrite the request URL with a regex replacement
+   * Updates url/originalUrl/path/query and the Host header
+   * @private
+   */
+  _rewriteUrl(action, requestContext) {
+    const current = requestContext.getCurrent();
+    const fullUrl = current.originalUrl || current.url || "";
+    const isAbsolute = fullUrl.startsWith("http://") || fullUrl.startsWith("https://");
+    const sourceUrl = isAbsolute ? fullUrl : `http://${current.headers.host || "localhost"}${fullUrl}`;
+
+    const rewritten = sourceUrl.replace(new RegExp(action.pattern, action.flags || ""), action.replacement || "");
+    if (rewritten === sourceUrl) return;
+
+    const url = new URL(rewritten);
+    const query = {};
+    url.searchParams.forEach((value, key) => {
+      query[key] = value;
+    });
+
+    const newUrl = isAbsolute ? url.toString() : url.pathname + url.search;
+    requestContext.setUrl(newUrl);
+    requestContext.setPath(url.pathname);
+    current.originalUrl = newUrl;
+    requestContext.setQueryParams(query);
+    if (url.host !== new URL(sourceUrl).host) {
+      requestContext.setHeader("host", url.host);
+    }
+
+    logger.info("[RewriteEngine] Request URL rewritten", { from: sourceUrl, to: url.toString() });
+  }
+
+  /**
+   * Apply a body action, keeping the body type (object, string, Buffer)
+   * @returns {*} New body (same reference when unchanged)
+   * @private
+   */
+  _rewriteBody(body, action) {
+    if (body === null || body === undefined) return body;
+
+    if (action.type === "regex_replace") {
+      const text = Buffer.isBuffer(body) ? body.toString("utf8") : typeof body === "object" ? JSON.stringify(body) : String(body);
+      const replaced = text.replace(new RegExp(action.pattern, action.flags ?? "g"), action.replacement ?? "");
+      if (replaced === text) return body;
+      if (Buffer.isBuffer(body)) return Buffer.from(replaced, "utf8");
+      if (typeof body === "object") return JSON.parse(replaced);
+      return replaced;
+    }
+
+    const parsed = this._readJsonBody(body);
+    if (!parsed) return body;
+
+    const json = JSON.parse(JSON.stringify(parsed.json));
+    const changed = action.type === "json_set" ? setJsonPath(json, action.path, action.value) : deleteJsonPath(json, action.path);
+    if (changed === 0) return body;
+
+    if (parsed.kind === "buffer") return Buffer.from(JSON.stringify(json), "utf8");
+    if (parsed.kind === "string") return JSON.stringify(json);
+    return json;
+  }
+
+  /**
+   * Read body as JSON
+   * @returns {{json: *, kind: string}|null} Parsed JSON and original body kind, null if not JSON
+   * @private
+   */
+  _readJsonBody(body) {
+    if (body === null || body === undefined) return null;
+    if (Buffer.isBuffer(body) || typeof body === "string") {
+      try {
+        const json = JSON.parse(Buffer.isBuffer(body) ? body.toString("utf8") : body);
+        return json !== null && typeof json === "object" ? { json, kind: Buffer.isBuffer(body) ? "buffer" : "string" } : null;
+      } catch (e) {
+        return null;
+      }
+    }
+    return typeof body === "object" ? { json: body, kind: "object" } : null;
+  }
+
+  /**
+   * Serialize body to a Buffer (for content-length)
+   * @private
+   */
+  _serializeBody(body) {
+    if (Buffer.isBuffer(body)) return body;
+    return Buffer.from(typeof body === "object" ? JSON.stringify(body) : String(body), "utf8");
+  }
+}
+
+let instance = null;
+
+/**
+ * Get singleton instance of RewriteEngine
+ * @returns {RewriteEngine}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new RewriteEngine();
+  }
+  return instance;
+}
+
+module.exports = {
+  RewriteEngine,
+  getInstance,
+  ACTION_TYPES,
+  CONDITION_OPERATORS,
+  REQUEST_CONDITION_SOURCES,
+  RESPONSE_CONDITION_SOURCES,
+};
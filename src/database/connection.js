@@ -138,6 +138,146 @@ class DatabaseConnection {
         // stats table may not exist yet (fresh install)
         logger.debug("Migration stats.app_language skipped:", e.message);
       }
+
+      // Migration: add fault_type to stats table if missing
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(stats)").all();
+        const hasFaultType = tableInfo.some((col) => col.name === "fault_type");
+        if (tableInfo.length > 0 && !hasFaultType) {
+          db.prepare("ALTER TABLE stats ADD COLUMN fault_type TEXT").run();
+          logger.info("Migration: added fault_type column to stats table");
+        }
+      } catch (e) {
+        logger.debug("Migration stats.fault_type skipped:", e.message);
+      }
+
+      // Migration: add schema_violations to stats table if missing
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(stats)").all();
+        if (tableInfo.length > 0 && !tableInfo.some((col) => col.name === "schema_violations")) {
+          db.prepare("ALTER TABLE stats ADD COLUMN schema_violations INTEGER").run();
+          logger.info("Migration: added schema_violations column to stats table");
+        }
+      } catch (e) {
+        logger.debug("Migration stats.schema_violations skipped:", e.message);
+      }
+
+      // Migration: add templated to api_responses table if missing
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(api_responses)").all();
+        const hasTemplated = tableInfo.some((col) => col.name === "templated");
+        if (tableInfo.length > 0 && !hasTemplated) {
+          db.prepare("ALTER TABLE api_responses ADD COLUMN templated BOOLEAN NOT NULL DEFAULT 0").run();
+          logger.info("Migration: added templated column to api_responses table");
+        }
+      } catch (e) {
+        logger.debug("Migration api_responses.templated skipped:", e.message);
+      }
+
+      // Migration: add app_profile to api_requests and stats tables if missing
+      for (const table of ["api_requests", "stats"]) {
+        try {
+          const tableInfo = db.prepare(`PRAGMA table_info(${table})`).all();
+          if (tableInfo.length > 0 && !tableInfo.some((col) => col.name === "app_profile")) {
+            db.prepare(`ALTER TABLE ${table} ADD COLUMN app_profile TEXT`).run();
+            logger.info(`Migration: added app_profile column to ${table} table`);
+          }
+        } catch (e) {
+          logger.debug(`Migration ${table}.app_profile skipped:`, e.message);
+        }
+      }
+
+      // Migration: add body encoding markers (binary bodies stored as base64) if missing
+      for (const [table, column] of [
+        ["api_requests", "request_body_encoding"],
+        ["api_responses", "response_body_encoding"],
+      ]) {
+        try {
+          const tableInfo = db.prepare(`PRAGMA table_info(${table})`).all();
+          if (tableInfo.length > 0 && !tableInfo.some((col) => col.name === column)) {
+            db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`).run();
+            logger.info(`Migration: added ${column} column to ${table} table`);
+          }
+        } catch (e) {
+          logger.debug(`Migration ${table}.${column} skipped:`, e.message);
+        }
+      }
+
+      // Migration: add GraphQL operation columns if missing
+      for (const [table, column] of [
+        ["api_requests", "graphql_operation"],
+        ["api_requests", "graphql_query_hash"],
+        ["api_requests", "graphql_persisted_hash"],
+        ["stats", "graphql_operation"],
+      ]) {
+        try {
+          const tableInfo = db.prepare(`PRAGMA table_info(${table})`).all();
+          if (tableInfo.length > 0 && !tableInfo.some((col) => col.name === column)) {
+            db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`).run();
+            logger.info(`Migration: added ${column} column to ${table} table`);
+          }
+        } catch (e) {
+          logger.debug(`Migration ${table}.${column} skipped:`, e.message);
+        }
+      }
+      try {
+        db.prepare("CREATE INDEX IF NOT EXISTS idx_api_requests_graphql_persisted ON api_requests(graphql_persisted_hash)").run();
+      } catch (e) {
+        logger.debug("Migration idx_api_requests_graphql_persisted skipped:", e.message);
+      }
+
+      // Migration: add negotiated protocols (h2, http/1.1) to stats table if missing
+      for (const column of ["protocol", "upstream_protocol"]) {
+        try {
+          const tableInfo = db.prepare("PRAGMA table_info(stats)").all();
+          if (tableInfo.length > 0 && !tableInfo.some((col) => col.name === column)) {
+            db.prepare(`ALTER TABLE stats ADD COLUMN ${column} TEXT`).run();
+            logger.info(`Migration: added ${column} column to stats table`);
+          }
+        } catch (e) {
+          logger.debug(`Migration stats.${column} skipped:`, e.message);
+        }
+      }
+
+      // Migration: add collection_id to api_requests table if missing
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(api_requests)").all();
+        if (tableInfo.length > 0 && !tableInfo.some((col) => col.name === "collection_id")) {
+          db.prepare("ALTER TABLE api_requests ADD COLUMN collection_id INTEGER REFERENCES collections(id) ON DELETE CASCADE").run();
+          logger.info("Migration: added collection_id column to api_requests table");
+        }
+        if (tableInfo.length > 0) {
+          db.prepare("CREATE INDEX IF NOT EXISTS idx_api_requests_collection ON api_requests(collection_id, endpoint_type)").run();
+        }
+      } catch (e) {
+        logger.debug("Migration api_requests.collection_id skipped:", e.message);
+      }
+
+      // Migration: move recordings without a collection into the first ("default") collection
+      try {
+        const moved = db
+          .prepare("UPDATE api_requests SET collection_id = (SELECT MIN(id) FROM collections) WHERE collection_id IS NULL")
+          .run().changes;
+        if (moved > 0) {
+          logger.info(`Migration: moved ${moved} recordings into the default collection`);
+        }
+      } catch (e) {
+        // collections table may not exist yet (created by schema.sql)
+        logger.debug("Migration api_requests collection backfill skipped:", e.message);
+      }
+
+      // Migration: add config snapshot columns to audit_log table if missing
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(audit_log)").all();
+        for (const column of ["before_state", "after_state", "changes"]) {
+          if (tableInfo.length > 0 && !tableInfo.some((col) => col.name === column)) {
+            db.prepare(`ALTER TABLE audit_log ADD COLUMN ${column} TEXT`).run();
+            logger.info(`Migration: added ${column} column to audit_log table`);
+          }
+        }
+      } catch (e) {
+        logger.debug("Migration audit_log snapshots skipped:", e.message);
+      }
     } catch (error) {
       logger.error("Failed to run migrations:", error);
       throw error;
@@ -0,0 +1,161 @@
+/**
+ * Audit Log Repository
+ *
+ * Stores and queries the management API audit trail.
+ *
+ * @module repositories/audit_log_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+/**
+ * Convert an audit row to API format
+ * @param {Object} row - Database row
+ * @returns {Object|null} Audit entry
+ */
+function parseEntry(row) {
+  if (!row) return null;
+  const parseJson = (value) => {
+    if (value === null || value === undefined) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  };
+  return {
+    ...row,
+    details: parseJson(row.details),
+    before_state: parseJson(row.before_state),
+    after_state: parseJson(row.after_state),
+    changes: parseJson(row.changes),
+  };
+}
+
+/**
+ * Serialize an optional JSON column value
+ * @param {*} value - Value to store
+ * @returns {string|null} JSON string, or null for null/undefined
+ */
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+/**
+ * Add an audit entry
+ * @param {Object} entry - { actor_type, actor_id, actor_name, actor_role, action, resource_type, resource_id, method, path, status_code, ip, details,
+ *                          before_state, after_state, changes (config snapshots, see core/audit/ConfigHistory) }
+ * @returns {number|null} Entry ID, or null if it could not be written (auditing never breaks the request)
+ */
+function addEntry(entry) {
+  try {
+    const db = dbConnection.getDatabase();
+    const result = db
+      .prepare(
+        `INSERT INTO audit_log (actor_type, actor_id, actor_name, actor_role, action, resource_type, resource_id,
+                                method, path, status_code, ip, details, before_state, after_state, changes, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      )
+      .run(
+        entry.actor_type || "anonymous",
+        entry.actor_id ?? null,
+        entry.actor_name || null,
+        entry.actor_role || null,
+        entry.action,
+        entry.resource_type || null,
+        entry.resource_id === undefined || entry.resource_id === null ? null : String(entry.resource_id),
+        entry.method || null,
+        entry.path || null,
+        entry.status_code ?? null,
+        entry.ip || null,
+        toJson(entry.details),
+        toJson(entry.before_state),
+        toJson(entry.after_state),
+        toJson(entry.changes),
+        getLocalISOString(),
+      );
+    return result.lastInsertRowid;
+  } catch (error) {
+    logger.warn("Failed to write audit entry", { action: entry.action, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Query audit entries (newest first)
+ * @param {Object} filters - { actor, action, resource_type, resource_id, changes_only, from, to, limit, offset }
+ * @returns {{entries: Array<Object>, total: number}}
+ */
+function getEntries(filters = {}) {
+  try {
+    const db = dbConnection.getDatabase();
+    const where = [];
+    const params = [];
+
+    if (filters.actor) {
+      where.push("actor_name LIKE ?");
+      params.push(`%${filters.actor}%`);
+    }
+    if (filters.action) {
+      where.push("action LIKE ?");
+      params.push(`%${filters.action}%`);
+    }
+    if (filters.resource_type) {
+      where.push("resource_type = ?");
+      params.push(filters.resource_type);
+    }
+    if (filters.resource_id) {
+      where.push("resource_id = ?");
+      params.push(String(filters.resource_id));
+    }
+    if (filters.changes_only === true || filters.changes_only === "true") {
+      where.push("changes IS NOT NULL");
+    }
+    if (filters.from) {
+      where.push("created_at >= ?");
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push("created_at <= ?");
+      params.push(filters.to);
+    }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+    const limit = Math.min(parseInt(filters.limit, 10) || 100, 1000);
+    const offset = parseInt(filters.offset, 10) || 0;
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM audit_log ${whereSql}`).get(...params).count;
+    const entries = db
+      .prepare(`SELECT * FROM audit_log ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map(parseEntry);
+
+    return { entries, total };
+  } catch (error) {
+    logger.error("Failed to get audit log:", error);
+    throw new Error(`Failed to get audit log: ${error.message}`);
+  }
+}
+
+/**
+ * Get audit entry by ID
+ * @param {number} id - Entry ID
+ * @returns {Object|null} Entry or null if not found
+ */
+function getEntryById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseEntry(db.prepare("SELECT * FROM audit_log WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get audit entry:", error);
+    throw new Error(`Failed to get audit entry: ${error.message}`);
+  }
+}
+
+module.exports = {
+  addEntry,
+  getEntries,
+  getEntryById,
+};
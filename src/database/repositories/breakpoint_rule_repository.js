@@ -0,0 +1,157 @@
+/**
+ * Breakpoint Rule Repository
+ *
+ * Handles CRUD operations for breakpoint rules.
+ *
+ * @module repositories/breakpoint_rule_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+const DIRECTIONS = ["request", "response", "both"];
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const COLUMNS = ["name", "match_host", "http_method", "endpoint_pattern", "direction", "timeout_ms", "enabled"];
+
+/**
+ * Convert a rule row to API format
+ * @param {Object} row - Database row
+ * @returns {Object|null} Rule
+ */
+function parseRule(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    enabled: !!row.enabled,
+  };
+}
+
+/**
+ * Build column values for insert/update
+ * @param {Object} data - Rule data
+ * @returns {Array} Values in COLUMNS order
+ */
+function toValues(data) {
+  const timeout = data.timeout_ms === undefined || data.timeout_ms === null || data.timeout_ms === "" ? DEFAULT_TIMEOUT_MS : parseInt(data.timeout_ms, 10);
+
+  return [
+    data.name,
+    data.match_host || null,
+    (data.http_method || "*").toUpperCase(),
+    data.endpoint_pattern || null,
+    data.direction || "request",
+    timeout,
+    data.enabled === false ? 0 : 1,
+  ];
+}
+
+/**
+ * Get all breakpoint rules
+ * @param {boolean} enabledOnly - Only return enabled rules
+ * @returns {Array<Object>} Rules
+ */
+function getAllRules(enabledOnly = false) {
+  try {
+    const db = dbConnection.getDatabase();
+    const where = enabledOnly ? "WHERE enabled = 1" : "";
+    return db.prepare(`SELECT * FROM breakpoint_rules ${where} ORDER BY id ASC`).all().map(parseRule);
+  } catch (error) {
+    logger.error("Failed to get breakpoint rules:", error);
+    throw new Error(`Failed to get breakpoint rules: ${error.message}`);
+  }
+}
+
+/**
+ * Get breakpoint rule by ID
+ * @param {number} id - Rule ID
+ * @returns {Object|null} Rule or null if not found
+ */
+function getRuleById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseRule(db.prepare("SELECT * FROM breakpoint_rules WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get breakpoint rule:", error);
+    throw new Error(`Failed to get breakpoint rule: ${error.message}`);
+  }
+}
+
+/**
+ * Create a breakpoint rule
+ * @param {Object} data - Rule data
+ * @returns {Object} Created rule
+ * @throws {Error} If creation fails
+ */
+function createRule(data) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+
+    const result = db
+      .prepare(
+        `INSERT INTO breakpoint_rules (${COLUMNS.join(", ")}, created_at, updated_at)
+         VALUES (${COLUMNS.map(() => "?").join(", ")}, ?, ?)`,
+      )
+      .run(...toValues(data), now, now);
+
+    logger.info(`Breakpoint rule created: ${data.name} (ID: ${result.lastInsertRowid})`);
+    return getRuleById(result.lastInsertRowid);
+  } catch (error) {
+    logger.error("Failed to create breakpoint rule:", error);
+    throw new Error(`Failed to create breakpoint rule: ${error.message}`);
+  }
+}
+
+/**
+ * Update a breakpoint rule (only provided fields are changed)
+ * @param {number} id - Rule ID
+ * @param {Object} data - Fields to update
+ * @returns {Object|null} Updated rule or null if not found
+ * @throws {Error} If update fails
+ */
+function updateRule(id, data) {
+  try {
+    const existing = getRuleById(id);
+    if (!existing) return null;
+
+    const db = dbConnection.getDatabase();
+    db.prepare(
+      `UPDATE breakpoint_rules
+       SET ${COLUMNS.map((col) => `${col} = ?`).join(", ")}, updated_at = ?
+       WHERE id = ?`,
+    ).run(...toValues({ ...existing, ...data }), getLocalISOString(), id);
+
+    logger.info(`Breakpoint rule updated: ID ${id}`);
+    return getRuleById(id);
+  } catch (error) {
+    logger.error("Failed to update breakpoint rule:", error);
+    throw new Error(`Failed to update breakpoint rule: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a breakpoint rule
+ * @param {number} id - Rule ID
+ * @returns {boolean} True if deleted
+ */
+function deleteRule(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM breakpoint_rules WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete breakpoint rule:", error);
+    throw new Error(`Failed to delete breakpoint rule: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DIRECTIONS,
+  DEFAULT_TIMEOUT_MS,
+  getAllRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deleteRule,
+};
@@ -0,0 +1,436 @@
+/**
+ * Collection Repository
+ *
+ * Handles named recording collections: CRUD, the active (recording) collection,
+ * the replay stack, cloning and diffing.
+ *
+ * @module repositories/collection_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+const { normalizeQueryParams, safeParse } = require("../../utils/jsonUtils");
+
+// Request columns that identify a recording when comparing collections
+const KEY_COLUMNS = ["method", "endpoint_path", "endpoint_type", "user_id", "app_platform", "app_version", "app_environment", "app_language"];
+
+// api_requests / api_responses columns copied when cloning (id and collection_id excluded)
+const REQUEST_COLUMNS = [
+  "user_id",
+  "host",
+  "endpoint_path",
+  "endpoint_name",
+  "method",
+  "endpoint_type",
+  "query_params",
+  "request_headers",
+  "request_body",
+  "request_body_encoding",
+  "app_platform",
+  "app_version",
+  "app_environment",
+  "app_language",
+  "correlation_id",
+  "traceability_id",
+  "app_profile",
+  "created_at",
+  "updated_at",
+];
+const RESPONSE_COLUMNS = [
+  "response_status",
+  "response_headers",
+  "response_body",
+  "response_body_encoding",
+  "response_body_hash",
+  "response_source",
+  "is_successful",
+  "template_id",
+  "count",
+  "latency_ms",
+  "templated",
+  "created_at",
+  "updated_at",
+];
+
+/**
+ * Convert a collection row to API format
+ * @param {Object} row - Database row
+ * @returns {Object|null} Collection
+ */
+function parseCollection(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    locked: !!row.locked,
+    active: !!row.active,
+  };
+}
+
+/**
+ * Get all collections with their recording counts
+ * @returns {Array<Object>} Collections (replay stack first, in order)
+ */
+function getAllCollections() {
+  try {
+    const db = dbConnection.getDatabase();
+    return db
+      .prepare(
+        `SELECT c.*, (SELECT COUNT(*) FROM api_requests ar WHERE ar.collection_id = c.id) AS request_count
+         FROM collections c
+         ORDER BY c.replay_order IS NULL, c.replay_order ASC, c.name ASC`,
+      )
+      .all()
+      .map(parseCollection);
+  } catch (error) {
+    logger.error("Failed to get collections:", error);
+    throw new Error(`Failed to get collections: ${error.message}`);
+  }
+}
+
+/**
+ * Get collection by ID
+ * @param {number} id - Collection ID
+ * @returns {Object|null} Collection or null if not found
+ */
+function getCollectionById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseCollection(db.prepare("SELECT * FROM collections WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get collection:", error);
+    throw new Error(`Failed to get collection: ${error.message}`);
+  }
+}
+
+/**
+ * Get collection by name
+ * @param {string} name - Collection name
+ * @returns {Object|null} Collection or null if not found
+ */
+function getCollectionByName(name) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseCollection(db.prepare("SELECT * FROM collections WHERE name = ?").get(String(name).trim()));
+  } catch (error) {
+    logger.error("Failed to get collection:", error);
+    throw new Error(`Failed to get collection: ${error.message}`);
+  }
+}
+
+/**
+ * Get the active collection (where recording mode writes)
+ * @returns {Object|null} Collection, or null if collections are not set up (database not initialized with latest schema)
+ */
+function getActiveCollection() {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseCollection(db.prepare("SELECT * FROM collections WHERE active = 1 ORDER BY id ASC LIMIT 1").get());
+  } catch (error) {
+    logger.warn("Failed to get active collection", { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Get the collections replay mode searches, in order
+ * The replay stack, or the active collection if the stack is empty
+ * @returns {Array<Object>} Collections (empty if collections are not set up)
+ */
+function getReplayCollections() {
+  try {
+    const db = dbConnection.getDatabase();
+    const stack = db.prepare("SELECT * FROM collections WHERE replay_order IS NOT NULL ORDER BY replay_order ASC, id ASC").all();
+    if (stack.length > 0) {
+      return stack.map(parseCollection);
+    }
+    const active = getActiveCollection();
+    return active ? [active] : [];
+  } catch (error) {
+    logger.warn("Failed to get replay collections", { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Get the collection a recorded request belongs to
+ * @param {number} requestId - api_requests ID
+ * @returns {Object|null} Collection or null
+ */
+function getCollectionOfRequest(requestId) {
+  const db = dbConnection.getDatabase();
+  return parseCollection(
+    db.prepare("SELECT c.* FROM collections c INNER JOIN api_requests ar ON ar.collection_id = c.id WHERE ar.id = ?").get(requestId),
+  );
+}
+
+/**
+ * Get the collection a recorded response belongs to
+ * @param {number} responseId - api_responses ID
+ * @returns {Object|null} Collection or null
+ */
+function getCollectionOfResponse(responseId) {
+  const db = dbConnection.getDatabase();
+  return parseCollection(
+    db
+      .prepare(
+        `SELECT c.* FROM collections c
+         INNER JOIN api_requests ar ON ar.collection_id = c.id
+         INNER JOIN api_responses ars ON ars.api_request_id = ar.id
+         WHERE ars.id = ?`,
+      )
+      .get(responseId),
+  );
+}
+
+/**
+ * Create a collection
+ * @param {Object} data - { name, description }
+ * @param {string|null} createdBy - Console user who created it
+ * @returns {Object} Created collection
+ * @throws {Error} If creation fails
+ */
+function createCollection(data, createdBy = null) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+
+    const result = db
+      .prepare("INSERT INTO collections (name, description, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?)")
+      .run(String(data.name).trim(), data.description || null, createdBy, now, now);
+
+    logger.info(`Collection created: ${data.name} (ID: ${result.lastInsertRowid})`);
+    return getCollectionById(result.lastInsertRowid);
+  } catch (error) {
+    logger.error("Failed to create collection:", error);
+    throw new Error(`Failed to create collection: ${error.message}`);
+  }
+}
+
+/**
+ * Update name, description or locked flag of a collection (only provided fields are changed)
+ * @param {number} id - Collection ID
+ * @param {Object} data - Fields to update
+ * @returns {Object|null} Updated collection or null if not found
+ * @throws {Error} If update fails
+ */
+function updateCollection(id, data) {
+  try {
+    const existing = getCollectionById(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...data };
+    const db = dbConnection.getDatabase();
+    db.prepare("UPDATE collections SET name = ?, description = ?, locked = ?, updated_at = ? WHERE id = ?").run(
+      String(merged.name).trim(),
+      merged.description || null,
+      merged.locked ? 1 : 0,
+      getLocalISOString(),
+      id,
+    );
+
+    logger.info(`Collection updated: ID ${id}`);
+    return getCollectionById(id);
+  } catch (error) {
+    logger.error("Failed to update collection:", error);
+    throw new Error(`Failed to update collection: ${error.message}`);
+  }
+}
+
+/**
+ * Make a collection the recording target
+ * @param {number} id - Collection ID
+ * @returns {Object} Active collection
+ */
+function setActiveCollection(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    db.transaction(() => {
+      db.prepare("UPDATE collections SET active = 0 WHERE active = 1").run();
+      db.prepare("UPDATE collections SET active = 1, updated_at = ? WHERE id = ?").run(getLocalISOString(), id);
+    })();
+
+    logger.info(`Active collection set: ID ${id}`);
+    return getCollectionById(id);
+  } catch (error) {
+    logger.error("Failed to set active collection:", error);
+    throw new Error(`Failed to set active collection: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the replay stack
+ * @param {Array<number>} ids - Collection IDs in search order (empty = replay the active collection)
+ * @returns {Array<Object>} Collections replay mode searches, in order
+ */
+function setReplayStack(ids) {
+  try {
+    const db = dbConnection.getDatabase();
+    db.transaction(() => {
+      db.prepare("UPDATE collections SET replay_order = NULL WHERE replay_order IS NOT NULL").run();
+      const stmt = db.prepare("UPDATE collections SET replay_order = ? WHERE id = ?");
+      ids.forEach((id, index) => stmt.run(index, id));
+    })();
+
+    logger.info("Replay stack set", { collections: ids });
+    return getReplayCollections();
+  } catch (error) {
+    logger.error("Failed to set replay stack:", error);
+    throw new Error(`Failed to set replay stack: ${error.message}`);
+  }
+}
+
+/**
+ * Copy all recordings (requests and their responses) of a collection into a new collection
+ * @param {number} sourceId - Collection to copy
+ * @param {Object} data - New collection { name, description }
+ * @param {string|null} createdBy - Console user who created it
+ * @returns {Object} Created collection
+ */
+function cloneCollection(sourceId, data, createdBy = null) {
+  try {
+    const db = dbConnection.getDatabase();
+    const clone = db.transaction(() => {
+      const created = createCollection(data, createdBy);
+      const insertRequest = db.prepare(
+        `INSERT INTO api_requests (${REQUEST_COLUMNS.join(", ")}, collection_id)
+         SELECT ${REQUEST_COLUMNS.join(", ")}, ? FROM api_requests WHERE id = ?`,
+      );
+      const copyResponses = db.prepare(
+        `INSERT INTO api_responses (api_request_id, ${RESPONSE_COLUMNS.join(", ")})
+         SELECT ?, ${RESPONSE_COLUMNS.join(", ")} FROM api_responses WHERE api_request_id = ? ORDER BY id ASC`,
+      );
+
+      const requests = db.prepare("SELECT id FROM api_requests WHERE collection_id = ? ORDER BY id ASC").all(sourceId);
+      for (const request of requests) {
+        const newRequestId = insertRequest.run(created.id, request.id).lastInsertRowid;
+        copyResponses.run(newRequestId, request.id);
+      }
+      return created;
+    })();
+
+    logger.info(`Collection cloned: ${sourceId} -> ${clone.name} (ID: ${clone.id})`);
+    return getCollectionById(clone.id);
+  } catch (error) {
+    logger.error("Failed to clone collection:", error);
+    throw new Error(`Failed to clone collection: ${error.message}`);
+  }
+}
+
+/**
+ * Get recordings of a collection keyed by request identity
+ * @param {Object} db - Database connection
+ * @param {number} collectionId - Collection ID
+ * @returns {Map<string, Object>} key -> { request, responses: { status: hash } }
+ * @private
+ */
+function getRecordingIndex(db, collectionId) {
+  const rows = db
+    .prepare(
+      `SELECT ar.id, ${KEY_COLUMNS.map((col) => `ar.${col}`).join(", ")}, ar.query_params,
+              ars.response_status, ars.response_body_hash
+       FROM api_requests ar
+       LEFT JOIN api_responses ars ON ars.api_request_id = ar.id
+       WHERE ar.collection_id = ?
+       ORDER BY ar.id ASC`,
+    )
+    .all(collectionId);
+
+  const index = new Map();
+  for (const row of rows) {
+    const key = JSON.stringify([...KEY_COLUMNS.map((col) => row[col]), normalizeQueryParams(row.query_params)]);
+    if (!index.has(key)) {
+      const request = { request_id: row.id, query_params: safeParse(row.query_params) };
+      KEY_COLUMNS.forEach((col) => (request[col] = row[col]));
+      index.set(key, { request, responses: {} });
+    }
+    if (row.response_status !== null) {
+      index.get(key).responses[row.response_status] = row.response_body_hash;
+    }
+  }
+  return index;
+}
+
+/**
+ * Compare the recordings of two collections
+ * Recordings are paired by method, path, endpoint type, user, platform, version, environment, language and query params;
+ * a pair is changed when the recorded statuses or response bodies differ
+ * @param {number} baseId - Base collection ID
+ * @param {number} compareId - Collection compared against the base
+ * @returns {Object} { added, removed, changed, unchanged } (added/removed relative to the base)
+ */
+function diffCollections(baseId, compareId) {
+  try {
+    const db = dbConnection.getDatabase();
+    const base = getRecordingIndex(db, baseId);
+    const compare = getRecordingIndex(db, compareId);
+
+    const result = { added: [], removed: [], changed: [], unchanged: 0 };
+    for (const [key, entry] of base) {
+      const other = compare.get(key);
+      if (!other) {
+        result.removed.push(entry.request);
+        continue;
+      }
+
+      const statuses = [...new Set([...Object.keys(entry.responses), ...Object.keys(other.responses)])];
+      const differences = statuses
+        .filter((status) => entry.responses[status] !== other.responses[status])
+        .map((status) => ({
+          status: Number(status),
+          change: !(status in entry.responses) ? "added" : !(status in other.responses) ? "removed" : "body",
+        }));
+
+      if (differences.length > 0) {
+        result.changed.push({ ...entry.request, compare_request_id: other.request.request_id, differences });
+      } else {
+        result.unchanged++;
+      }
+    }
+    for (const [key, entry] of compare) {
+      if (!base.has(key)) {
+        result.added.push(entry.request);
+      }
+    }
+
+    return result;
+  } catch (error) {
+    logger.error("Failed to diff collections:", error);
+    throw new Error(`Failed to diff collections: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a collection and all its recordings
+ * @param {number} id - Collection ID
+ * @returns {boolean} True if deleted
+ */
+function deleteCollection(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.transaction(() => {
+      db.prepare("DELETE FROM api_requests WHERE collection_id = ?").run(id);
+      return db.prepare("DELETE FROM collections WHERE id = ?").run(id).changes > 0;
+    })();
+  } catch (error) {
+    logger.error("Failed to delete collection:", error);
+    throw new Error(`Failed to delete collection: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getAllCollections,
+  getCollectionById,
+  getCollectionByName,
+  getActiveCollection,
+  getReplayCollections,
+  getCollectionOfRequest,
+  getCollectionOfResponse,
+  createCollection,
+  updateCollection,
+  setActiveCollection,
+  setReplayStack,
+  cloneCollection,
+  diffCollections,
+  deleteCollection,
+};
@@ -118,9 +118,10 @@ class ConfigRepository {
   /**
    * Update proxy mode in master config
    * @param {string} mode - Proxy mode ('passthrough', 'recording', or 'replay')
+   * @param {string|null} actor - Who made the change (stored in created_by/updated_by)
    * @returns {boolean} Success status
    */
-  async updateProxyMode(mode) {
+  async updateProxyMode(mode, actor = null) {
     try {
       const database = db.getDatabase();
       const masterConfig = await this.getMasterConfig();
@@ -131,10 +132,10 @@ class ConfigRepository {
 
         database
           .prepare(
-            `INSERT INTO config (type, config, created_at, updated_at) 
-           VALUES ('master', ?, ?, ?)`
+            `INSERT INTO config (type, config, created_by, created_at, updated_by, updated_at) 
+           VALUES ('master', ?, ?, ?, ?, ?)`
           )
-          .run(configData, getLocalISOString(), getLocalISOString());
+          .run(configData, actor, getLocalISOString(), actor, getLocalISOString());
 
         // Also create log config if it doesn't exist
         try {
@@ -164,10 +165,10 @@ class ConfigRepository {
         database
           .prepare(
             `UPDATE config 
-           SET config = ?, updated_at = ? 
+           SET config = ?, updated_by = ?, updated_at = ? 
            WHERE type = 'master'`
           )
-          .run(configData, getLocalISOString());
+          .run(configData, actor, getLocalISOString());
       }
 
       logger.info("Proxy mode updated in database", { mode });
@@ -0,0 +1,171 @@
+/**
+ * Console API Key Repository
+ *
+ * Handles CRUD operations for management API keys.
+ * Only the SHA-256 hash of a key is stored; the key itself is returned once on creation.
+ *
+ * @module repositories/console_api_key_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+/**
+ * Convert an API key row to API format (hash is never returned)
+ * @param {Object} row - Database row
+ * @returns {Object|null} API key
+ */
+function parseApiKey(row) {
+  if (!row) return null;
+  const { key_hash, ...apiKey } = row;
+  return {
+    ...apiKey,
+    enabled: !!row.enabled,
+  };
+}
+
+/**
+ * Get all API keys
+ * @returns {Array<Object>} API keys (with creator username)
+ */
+function getAllApiKeys() {
+  try {
+    const db = dbConnection.getDatabase();
+    return db
+      .prepare(
+        `SELECT k.*, u.username AS created_by_username
+         FROM console_api_keys k
+         LEFT JOIN console_users u ON u.id = k.created_by
+         ORDER BY k.id ASC`,
+      )
+      .all()
+      .map(parseApiKey);
+  } catch (error) {
+    logger.error("Failed to get API keys:", error);
+    throw new Error(`Failed to get API keys: ${error.message}`);
+  }
+}
+
+/**
+ * Get API key by ID
+ * @param {number} id - API key ID
+ * @returns {Object|null} API key or null if not found
+ */
+function getApiKeyById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseApiKey(db.prepare("SELECT * FROM console_api_keys WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get API key:", error);
+    throw new Error(`Failed to get API key: ${error.message}`);
+  }
+}
+
+/**
+ * Get API key by hash
+ * @param {string} keyHash - SHA-256 hash of the key
+ * @returns {Object|null} API key or null if not found
+ */
+function getApiKeyByHash(keyHash) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseApiKey(db.prepare("SELECT * FROM console_api_keys WHERE key_hash = ?").get(keyHash));
+  } catch (error) {
+    logger.error("Failed to get API key:", error);
+    throw new Error(`Failed to get API key: ${error.message}`);
+  }
+}
+
+/**
+ * Create an API key
+ * @param {Object} data - { name, key_prefix, key_hash, role, created_by, expires_at }
+ * @returns {Object} Created API key
+ * @throws {Error} If creation fails
+ */
+function createApiKey(data) {
+  try {
+    const db = dbConnection.getDatabase();
+
+    const result = db
+      .prepare(
+        `INSERT INTO console_api_keys (name, key_prefix, key_hash, role, created_by, enabled, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?, 1, ?, ?)`,
+      )
+      .run(data.name, data.key_prefix, data.key_hash, data.role || "viewer", data.created_by || null, data.expires_at || null, getLocalISOString());
+
+    logger.info(`API key created: ${data.name} (ID: ${result.lastInsertRowid})`);
+    return getApiKeyById(result.lastInsertRowid);
+  } catch (error) {
+    logger.error("Failed to create API key:", error);
+    throw new Error(`Failed to create API key: ${error.message}`);
+  }
+}
+
+/**
+ * Update an API key (name, role, enabled, expires_at)
+ * @param {number} id - API key ID
+ * @param {Object} data - Fields to update
+ * @returns {Object|null} Updated API key or null if not found
+ * @throws {Error} If update fails
+ */
+function updateApiKey(id, data) {
+  try {
+    const existing = getApiKeyById(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...data };
+    const db = dbConnection.getDatabase();
+    db.prepare("UPDATE console_api_keys SET name = ?, role = ?, enabled = ?, expires_at = ? WHERE id = ?").run(
+      merged.name,
+      merged.role,
+      merged.enabled === false ? 0 : 1,
+      merged.expires_at || null,
+      id,
+    );
+
+    logger.info(`API key updated: ID ${id}`);
+    return getApiKeyById(id);
+  } catch (error) {
+    logger.error("Failed to update API key:", error);
+    throw new Error(`Failed to update API key: ${error.message}`);
+  }
+}
+
+/**
+ * Record API key usage
+ * @param {number} id - API key ID
+ */
+function touchLastUsed(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    db.prepare("UPDATE console_api_keys SET last_used_at = ? WHERE id = ?").run(getLocalISOString(), id);
+  } catch (error) {
+    logger.warn("Failed to update API key last used", { id, error: error.message });
+  }
+}
+
+/**
+ * Delete (revoke) an API key
+ * @param {number} id - API key ID
+ * @returns {boolean} True if deleted
+ */
+function deleteApiKey(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM console_api_keys WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete API key:", error);
+    throw new Error(`Failed to delete API key: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getAllApiKeys,
+  getApiKeyById,
+  getApiKeyByHash,
+  createApiKey,
+  updateApiKey,
+  touchLastUsed,
+  deleteApiKey,
+};
@@ -0,0 +1,205 @@
+/**
+ * Console User Repository
+ *
+ * Handles CRUD operations for console users (people using the Web UI / management API).
+ * Not to be confused with user_repository, which stores the proxied app's users.
+ *
+ * @module repositories/console_user_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+const ROLES = ["viewer", "tester", "admin"];
+
+/**
+ * Convert a user row to API format (password hash is never returned)
+ * @param {Object} row - Database row
+ * @returns {Object|null} User
+ */
+function parseUser(row) {
+  if (!row) return null;
+  const { password_hash, ...user } = row;
+  return {
+    ...user,
+    enabled: !!row.enabled,
+  };
+}
+
+/**
+ * Get all console users
+ * @returns {Array<Object>} Users
+ */
+function getAllUsers() {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("SELECT * FROM console_users ORDER BY username ASC").all().map(parseUser);
+  } catch (error) {
+    logger.error("Failed to get console users:", error);
+    throw new Error(`Failed to get console users: ${error.message}`);
+  }
+}
+
+/**
+ * Count console users
+ * @returns {number} Number of users
+ */
+function countUsers() {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("SELECT COUNT(*) AS count FROM console_users").get().count;
+  } catch (error) {
+    logger.error("Failed to count console users:", error);
+    throw new Error(`Failed to count console users: ${error.message}`);
+  }
+}
+
+/**
+ * Get console user by ID
+ * @param {number} id - User ID
+ * @returns {Object|null} User or null if not found
+ */
+function getUserById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseUser(db.prepare("SELECT * FROM console_users WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get console user:", error);
+    throw new Error(`Failed to get console user: ${error.message}`);
+  }
+}
+
+/**
+ * Get console user with password hash (for login)
+ * @param {string} username - Username (case-insensitive)
+ * @returns {Object|null} Raw user row or null if not found
+ */
+function getUserWithPasswordHash(username) {
+  try {
+    const db = dbConnection.getDatabase();
+    const row = db.prepare("SELECT * FROM console_users WHERE username = ? COLLATE NOCASE").get(username);
+    return row ? { ...row, enabled: !!row.enabled } : null;
+  } catch (error) {
+    logger.error("Failed to get console user:", error);
+    throw new Error(`Failed to get console user: ${error.message}`);
+  }
+}
+
+/**
+ * Create a console user
+ * @param {Object} data - { username, display_name, password_hash, role, enabled }
+ * @returns {Object} Created user
+ * @throws {Error} If creation fails (e.g. duplicate username)
+ */
+function createUser(data) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+
+    const result = db
+      .prepare(
+        `INSERT INTO console_users (username, display_name, password_hash, role, enabled, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      )
+      .run(data.username, data.display_name || null, data.password_hash, data.role || "viewer", data.enabled === false ? 0 : 1, now, now);
+
+    logger.info(`Console user created: ${data.username} (ID: ${result.lastInsertRowid})`);
+    return getUserById(result.lastInsertRowid);
+  } catch (error) {
+    logger.error("Failed to create console user:", error);
+    throw new Error(`Failed to create console user: ${error.message}`);
+  }
+}
+
+/**
+ * Update a console user (only provided fields are changed)
+ * @param {number} id - User ID
+ * @param {Object} data - Fields to update (display_name, password_hash, role, enabled)
+ * @returns {Object|null} Updated user or null if not found
+ * @throws {Error} If update fails
+ */
+function updateUser(id, data) {
+  try {
+    const existing = getRawUserById(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...data };
+    const db = dbConnection.getDatabase();
+    db.prepare(
+      `UPDATE console_users
+       SET display_name = ?, password_hash = ?, role = ?, enabled = ?, updated_at = ?
+       WHERE id = ?`,
+    ).run(merged.display_name || null, merged.password_hash, merged.role, merged.enabled === false || merged.enabled === 0 ? 0 : 1, getLocalISOString(), id);
+
+    logger.info(`Console user updated: ID ${id}`);
+    return getUserById(id);
+  } catch (error) {
+    logger.error("Failed to update console user:", error);
+    throw new Error(`Failed to update console user: ${error.message}`);
+  }
+}
+
+/**
+ * Record a successful login
+ * @param {number} id - User ID
+ */
+function touchLastLogin(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    db.prepare("UPDATE console_users SET last_login_at = ? WHERE id = ?").run(getLocalISOString(), id);
+  } catch (error) {
+    logger.warn("Failed to update console user last login", { id, error: error.message });
+  }
+}
+
+/**
+ * Delete a console user
+ * @param {number} id - User ID
+ * @returns {boolean} True if deleted
+ */
+function deleteUser(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM console_users WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete console user:", error);
+    throw new Error(`Failed to delete console user: ${error.message}`);
+  }
+}
+
+/**
+ * Count enabled admins (to prevent locking everyone out)
+ * @returns {number} Number of enabled admin users
+ */
+function countEnabledAdmins() {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("SELECT COUNT(*) AS count FROM console_users WHERE role = 'admin' AND enabled = 1").get().count;
+  } catch (error) {
+    logger.error("Failed to count console admins:", error);
+    throw new Error(`Failed to count console admins: ${error.message}`);
+  }
+}
+
+/**
+ * Get raw user row by ID (includes password hash)
+ * @param {number} id - User ID
+ * @returns {Object|undefined} Row
+ */
+function getRawUserById(id) {
+  return dbConnection.getDatabase().prepare("SELECT * FROM console_users WHERE id = ?").get(id);
+}
+
+module.exports = {
+  ROLES,
+  getAllUsers,
+  countUsers,
+  getUserById,
+  getUserWithPasswordHash,
+  createUser,
+  updateUser,
+  touchLastLogin,
+  deleteUser,
+  countEnabledAdmins,
+};
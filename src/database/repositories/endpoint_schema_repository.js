@@ -0,0 +1,178 @@
+/**
+ * Endpoint Schema Repository
+ *
+ * Handles storage of inferred response schemas (contracts) per endpoint pattern.
+ *
+ * @module repositories/endpoint_schema_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+/**
+ * Convert an endpoint schema row to API format
+ * @param {Object} row - Database row
+ * @returns {Object|null} Endpoint schema (schemas parsed, with statuses)
+ */
+function parseEndpointSchema(row) {
+  if (!row) return null;
+  let schemas = {};
+  try {
+    schemas = JSON.parse(row.schemas || "{}");
+  } catch (e) {
+    // Keep empty schemas for corrupt rows
+  }
+  return {
+    ...row,
+    schemas,
+    statuses: Object.keys(schemas).map(Number),
+    validate: !!row.validate,
+  };
+}
+
+/**
+ * Get all endpoint schemas
+ * @param {boolean} validateOnly - Only return endpoints whose responses are validated
+ * @returns {Array<Object>} Endpoint schemas (by host, path, method)
+ */
+function getAllEndpointSchemas(validateOnly = false) {
+  try {
+    const db = dbConnection.getDatabase();
+    const where = validateOnly ? "WHERE validate = 1" : "";
+    return db
+      .prepare(`SELECT * FROM endpoint_schemas ${where} ORDER BY host ASC, endpoint_pattern ASC, method ASC`)
+      .all()
+      .map(parseEndpointSchema);
+  } catch (error) {
+    logger.error("Failed to get endpoint schemas:", error);
+    throw new Error(`Failed to get endpoint schemas: ${error.message}`);
+  }
+}
+
+/**
+ * Get endpoint schema by ID
+ * @param {number} id - Endpoint schema ID
+ * @returns {Object|null} Endpoint schema or null if not found
+ */
+function getEndpointSchemaById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseEndpointSchema(db.prepare("SELECT * FROM endpoint_schemas WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get endpoint schema:", error);
+    throw new Error(`Failed to get endpoint schema: ${error.message}`);
+  }
+}
+
+/**
+ * Store inferred schemas of endpoints (replaces the schemas of existing endpoints, keeps their validate flag)
+ * @param {Array<Object>} endpoints - { host, method, endpoint_pattern, schemas, sample_count }
+ * @returns {number} Number of endpoints stored
+ */
+function saveInferredSchemas(endpoints) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+    const upsert = db.prepare(
+      `INSERT INTO endpoint_schemas (host, method, endpoint_pattern, schemas, sample_count, inferred_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(host, method, endpoint_pattern) DO UPDATE SET
+         schemas = excluded.schemas,
+         sample_count = excluded.sample_count,
+         inferred_at = excluded.inferred_at,
+         updated_at = excluded.updated_at`,
+    );
+
+    return db.transaction(() => {
+      for (const endpoint of endpoints) {
+        upsert.run(endpoint.host, endpoint.method, endpoint.endpoint_pattern, JSON.stringify(endpoint.schemas), endpoint.sample_count, now, now, now);
+      }
+      return endpoints.length;
+    })();
+  } catch (error) {
+    logger.error("Failed to save inferred schemas:", error);
+    throw new Error(`Failed to save inferred schemas: ${error.message}`);
+  }
+}
+
+/**
+ * Update an endpoint schema (only provided fields are changed)
+ * @param {number} id - Endpoint schema ID
+ * @param {Object} data - { schemas, validate }
+ * @returns {Object|null} Updated endpoint schema
+ */
+function updateEndpointSchema(id, data) {
+  try {
+    const db = dbConnection.getDatabase();
+    const sets = [];
+    const values = [];
+    if (data.schemas !== undefined) {
+      sets.push("schemas = ?");
+      values.push(JSON.stringify(data.schemas));
+    }
+    if (data.validate !== undefined) {
+      sets.push("validate = ?");
+      values.push(data.validate ? 1 : 0);
+    }
+    sets.push("updated_at = ?");
+    values.push(getLocalISOString());
+
+    db.prepare(`UPDATE endpoint_schemas SET ${sets.join(", ")} WHERE id = ?`).run(...values, id);
+    return getEndpointSchemaById(id);
+  } catch (error) {
+    logger.error("Failed to update endpoint schema:", error);
+    throw new Error(`Failed to update endpoint schema: ${error.message}`);
+  }
+}
+
+/**
+ * Delete an endpoint schema
+ * @param {number} id - Endpoint schema ID
+ * @returns {boolean} True if deleted
+ */
+function deleteEndpointSchema(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM endpoint_schemas WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete endpoint schema:", error);
+    throw new Error(`Failed to delete endpoint schema: ${error.message}`);
+  }
+}
+
+/**
+ * Iterate over recorded backend responses with a text body, for schema inference (binary bodies are skipped)
+ * @param {Object} filters - { host, collection }
+ * @returns {Iterable<Object>} Rows { host, method, endpoint_path, response_status, response_body }
+ */
+function iterateRecordedResponses(filters = {}) {
+  const db = dbConnection.getDatabase();
+  const conditions = ["resp.response_source = 'backend'", "resp.response_body IS NOT NULL", "resp.response_body_encoding IS NULL"];
+  const params = [];
+  if (filters.host) {
+    conditions.push("(ar.host = ? OR ar.host LIKE ?)");
+    params.push(filters.host, `%://${filters.host}`);
+  }
+  if (filters.collection) {
+    conditions.push("ar.collection_id = ?");
+    params.push(filters.collection);
+  }
+  return db
+    .prepare(
+      `SELECT ar.host, ar.method, ar.endpoint_path, resp.response_status, resp.response_body
+       FROM api_responses resp
+       JOIN api_requests ar ON ar.id = resp.api_request_id
+       WHERE ${conditions.join(" AND ")}`,
+    )
+    .iterate(...params);
+}
+
+module.exports = {
+  getAllEndpointSchemas,
+  getEndpointSchemaById,
+  saveInferredSchemas,
+  updateEndpointSchema,
+  deleteEndpointSchema,
+  iterateRecordedResponses,
+};
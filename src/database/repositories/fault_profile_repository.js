@@ -0,0 +1,185 @@
+/**
+ * Fault Profile Repository
+ *
+ * Handles CRUD operations for fault injection profiles.
+ *
+ * @module repositories/fault_profile_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+const FAULT_TYPES = ["status", "timeout", "reset", "truncate", "throttle"];
+
+const COLUMNS = [
+  "name",
+  "description",
+  "match_host",
+  "regex",
+  "endpoint_pattern",
+  "http_method",
+  "fault_type",
+  "probability",
+  "status_code",
+  "response_body",
+  "hang_ms",
+  "truncate_percent",
+  "bandwidth_kbps",
+  "priority",
+  "enabled",
+];
+
+/**
+ * Convert a profile row to API format
+ * @param {Object} row - Database row
+ * @returns {Object|null} Profile
+ */
+function parseProfile(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    regex: !!row.regex,
+    enabled: !!row.enabled,
+  };
+}
+
+/**
+ * Build column values for insert/update
+ * @param {Object} data - Profile data
+ * @returns {Array} Values in COLUMNS order
+ */
+function toValues(data) {
+  const toInt = (value) => (value === undefined || value === null || value === "" ? null : parseInt(value, 10));
+  const probability = data.probability === undefined || data.probability === null || data.probability === "" ? 100 : Number(data.probability);
+
+  return [
+    data.name,
+    data.description || null,
+    data.match_host || null,
+    data.regex ? 1 : 0,
+    data.endpoint_pattern,
+    (data.http_method || "*").toUpperCase(),
+    data.fault_type,
+    probability,
+    toInt(data.status_code),
+    data.response_body === undefined || data.response_body === null || data.response_body === ""
+      ? null
+      : typeof data.response_body === "string"
+        ? data.response_body
+        : JSON.stringify(data.response_body),
+    toInt(data.hang_ms),
+    toInt(data.truncate_percent),
+    toInt(data.bandwidth_kbps),
+    data.priority || 0,
+    data.enabled === false ? 0 : 1,
+  ];
+}
+
+/**
+ * Get all fault profiles ordered by priority
+ * @param {boolean} enabledOnly - Only return enabled profiles
+ * @returns {Array<Object>} Profiles
+ */
+function getAllProfiles(enabledOnly = false) {
+  try {
+    const db = dbConnection.getDatabase();
+    const where = enabledOnly ? "WHERE enabled = 1" : "";
+    return db.prepare(`SELECT * FROM fault_profiles ${where} ORDER BY priority ASC, id ASC`).all().map(parseProfile);
+  } catch (error) {
+    logger.error("Failed to get fault profiles:", error);
+    throw new Error(`Failed to get fault profiles: ${error.message}`);
+  }
+}
+
+/**
+ * Get fault profile by ID
+ * @param {number} id - Profile ID
+ * @returns {Object|null} Profile or null if not found
+ */
+function getProfileById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseProfile(db.prepare("SELECT * FROM fault_profiles WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get fault profile:", error);
+    throw new Error(`Failed to get fault profile: ${error.message}`);
+  }
+}
+
+/**
+ * Create a fault profile
+ * @param {Object} data - Profile data
+ * @returns {Object} Created profile
+ * @throws {Error} If creation fails
+ */
+function createProfile(data) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+
+    const result = db
+      .prepare(
+        `INSERT INTO fault_profiles (${COLUMNS.join(", ")}, created_at, updated_at)
+         VALUES (${COLUMNS.map(() => "?").join(", ")}, ?, ?)`,
+      )
+      .run(...toValues(data), now, now);
+
+    logger.info(`Fault profile created: ${data.name} (ID: ${result.lastInsertRowid})`);
+    return getProfileById(result.lastInsertRowid);
+  } catch (error) {
+    logger.error("Failed to create fault profile:", error);
+    throw new Error(`Failed to create fault profile: ${error.message}`);
+  }
+}
+
+/**
+ * Update a fault profile (only provided fields are changed)
+ * @param {number} id - Profile ID
+ * @param {Object} data - Fields to update
+ * @returns {Object|null} Updated profile or null if not found
+ * @throws {Error} If update fails
+ */
+function updateProfile(id, data) {
+  try {
+    const existing = getProfileById(id);
+    if (!existing) return null;
+
+    const db = dbConnection.getDatabase();
+    db.prepare(
+      `UPDATE fault_profiles
+       SET ${COLUMNS.map((col) => `${col} = ?`).join(", ")}, updated_at = ?
+       WHERE id = ?`,
+    ).run(...toValues({ ...existing, ...data }), getLocalISOString(), id);
+
+    logger.info(`Fault profile updated: ID ${id}`);
+    return getProfileById(id);
+  } catch (error) {
+    logger.error("Failed to update fault profile:", error);
+    throw new Error(`Failed to update fault profile: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a fault profile
+ * @param {number} id - Profile ID
+ * @returns {boolean} True if deleted
+ */
+function deleteProfile(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM fault_profiles WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete fault profile:", error);
+    throw new Error(`Failed to delete fault profile: ${error.message}`);
+  }
+}
+
+module.exports = {
+  FAULT_TYPES,
+  getAllProfiles,
+  getProfileById,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+};
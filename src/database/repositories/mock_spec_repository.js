@@ -0,0 +1,152 @@
+/**
+ * Mock Spec Repository
+ *
+ * Handles imported OpenAPI documents used to synthesize replay responses for requests without recordings.
+ *
+ * @module repositories/mock_spec_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+/**
+ * Convert a mock spec row to API format
+ * @param {Object} row - Database row
+ * @returns {Object|null} Mock spec (spec parsed)
+ */
+function parseMockSpec(row) {
+  if (!row) return null;
+  let spec = {};
+  try {
+    spec = JSON.parse(row.spec || "{}");
+  } catch (e) {
+    // Keep empty spec for corrupt rows
+  }
+  return { ...row, spec, enabled: !!row.enabled };
+}
+
+/**
+ * Get all mock specs
+ * @param {boolean} enabledOnly - Only return enabled specs
+ * @returns {Array<Object>} Mock specs (by name)
+ */
+function getAllMockSpecs(enabledOnly = false) {
+  try {
+    const db = dbConnection.getDatabase();
+    const where = enabledOnly ? "WHERE enabled = 1" : "";
+    return db
+      .prepare(`SELECT * FROM mock_specs ${where} ORDER BY name ASC`)
+      .all()
+      .map(parseMockSpec);
+  } catch (error) {
+    logger.error("Failed to get mock specs:", error);
+    throw new Error(`Failed to get mock specs: ${error.message}`);
+  }
+}
+
+/**
+ * Get mock spec by ID
+ * @param {number} id - Mock spec ID
+ * @returns {Object|null} Mock spec or null if not found
+ */
+function getMockSpecById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseMockSpec(db.prepare("SELECT * FROM mock_specs WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get mock spec:", error);
+    throw new Error(`Failed to get mock spec: ${error.message}`);
+  }
+}
+
+/**
+ * Get mock spec by name
+ * @param {string} name - Mock spec name
+ * @returns {Object|null} Mock spec or null if not found
+ */
+function getMockSpecByName(name) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseMockSpec(db.prepare("SELECT * FROM mock_specs WHERE name = ?").get(name));
+  } catch (error) {
+    logger.error("Failed to get mock spec:", error);
+    throw new Error(`Failed to get mock spec: ${error.message}`);
+  }
+}
+
+/**
+ * Import an OpenAPI document
+ * @param {Object} data - { name, host, spec, enabled }
+ * @param {string|null} createdBy - Console user who imported it
+ * @returns {Object} Created mock spec
+ */
+function createMockSpec(data, createdBy = null) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+    const result = db
+      .prepare("INSERT INTO mock_specs (name, host, spec, enabled, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)")
+      .run(data.name, data.host || null, JSON.stringify(data.spec), data.enabled === false ? 0 : 1, createdBy, now, now);
+
+    logger.info(`Mock spec imported: ${data.name} (ID: ${result.lastInsertRowid})`);
+    return getMockSpecById(result.lastInsertRowid);
+  } catch (error) {
+    logger.error("Failed to create mock spec:", error);
+    throw new Error(`Failed to create mock spec: ${error.message}`);
+  }
+}
+
+/**
+ * Update a mock spec (only provided fields are changed)
+ * @param {number} id - Mock spec ID
+ * @param {Object} data - { name, host, spec, enabled }
+ * @returns {Object|null} Updated mock spec or null if not found
+ */
+function updateMockSpec(id, data) {
+  try {
+    const existing = getMockSpecById(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...data };
+    const db = dbConnection.getDatabase();
+    db.prepare("UPDATE mock_specs SET name = ?, host = ?, spec = ?, enabled = ?, updated_at = ? WHERE id = ?").run(
+      merged.name,
+      merged.host || null,
+      JSON.stringify(merged.spec),
+      merged.enabled ? 1 : 0,
+      getLocalISOString(),
+      id,
+    );
+
+    logger.info(`Mock spec updated: ID ${id}`);
+    return getMockSpecById(id);
+  } catch (error) {
+    logger.error("Failed to update mock spec:", error);
+    throw new Error(`Failed to update mock spec: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a mock spec
+ * @param {number} id - Mock spec ID
+ * @returns {boolean} True if deleted
+ */
+function deleteMockSpec(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM mock_specs WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete mock spec:", error);
+    throw new Error(`Failed to delete mock spec: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getAllMockSpecs,
+  getMockSpecById,
+  getMockSpecByName,
+  createMockSpec,
+  updateMockSpec,
+  deleteMockSpec,
+};
@@ -0,0 +1,172 @@
+/**
+ * Mode Override Repository
+ *
+ * Handles CRUD operations for per-client mode overrides.
+ *
+ * @module repositories/mode_override_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+const SCOPES = ["ip", "device_id", "session"];
+const MODES = ["passthrough", "recording", "replay"];
+
+const COLUMNS = ["scope", "scope_value", "mode", "label", "enabled", "expires_at"];
+
+/**
+ * Convert an override row to API format
+ * @param {Object} row - Database row
+ * @returns {Object|null} Override
+ */
+function parseOverride(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    enabled: !!row.enabled,
+  };
+}
+
+/**
+ * Build column values for insert/update
+ * @param {Object} data - Override data
+ * @returns {Array} Values in COLUMNS order
+ */
+function toValues(data) {
+  return [
+    data.scope,
+    String(data.scope_value).trim(),
+    data.mode,
+    data.label || null,
+    data.enabled === false ? 0 : 1,
+    data.expires_at || null,
+  ];
+}
+
+/**
+ * Get all mode overrides
+ * @param {boolean} activeOnly - Only return enabled, unexpired overrides
+ * @returns {Array<Object>} Overrides
+ */
+function getAllOverrides(activeOnly = false) {
+  try {
+    const db = dbConnection.getDatabase();
+    const where = activeOnly ? "WHERE enabled = 1 AND (expires_at IS NULL OR datetime(expires_at) > datetime('now'))" : "";
+    return db.prepare(`SELECT * FROM mode_overrides ${where} ORDER BY scope ASC, id ASC`).all().map(parseOverride);
+  } catch (error) {
+    logger.error("Failed to get mode overrides:", error);
+    throw new Error(`Failed to get mode overrides: ${error.message}`);
+  }
+}
+
+/**
+ * Get mode override by ID
+ * @param {number} id - Override ID
+ * @returns {Object|null} Override or null if not found
+ */
+function getOverrideById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseOverride(db.prepare("SELECT * FROM mode_overrides WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get mode override:", error);
+    throw new Error(`Failed to get mode override: ${error.message}`);
+  }
+}
+
+/**
+ * Get mode override by scope and value
+ * @param {string} scope - ip, device_id or session
+ * @param {string} scopeValue - Scope value
+ * @returns {Object|null} Override or null if not found
+ */
+function getOverrideByScope(scope, scopeValue) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseOverride(db.prepare("SELECT * FROM mode_overrides WHERE scope = ? AND scope_value = ?").get(scope, String(scopeValue).trim()));
+  } catch (error) {
+    logger.error("Failed to get mode override:", error);
+    throw new Error(`Failed to get mode override: ${error.message}`);
+  }
+}
+
+/**
+ * Create a mode override
+ * @param {Object} data - Override data
+ * @param {string|null} createdBy - Console user who created it
+ * @returns {Object} Created override
+ * @throws {Error} If creation fails
+ */
+function createOverride(data, createdBy = null) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+
+    const result = db
+      .prepare(
+        `INSERT INTO mode_overrides (${COLUMNS.join(", ")}, created_by, created_at, updated_at)
+         VALUES (${COLUMNS.map(() => "?").join(", ")}, ?, ?, ?)`,
+      )
+      .run(...toValues(data), createdBy, now, now);
+
+    logger.info(`Mode override created: ${data.scope}=${data.scope_value} -> ${data.mode} (ID: ${result.lastInsertRowid})`);
+    return getOverrideById(result.lastInsertRowid);
+  } catch (error) {
+    logger.error("Failed to create mode override:", error);
+    throw new Error(`Failed to create mode override: ${error.message}`);
+  }
+}
+
+/**
+ * Update a mode override (only provided fields are changed)
+ * @param {number} id - Override ID
+ * @param {Object} data - Fields to update
+ * @returns {Object|null} Updated override or null if not found
+ * @throws {Error} If update fails
+ */
+function updateOverride(id, data) {
+  try {
+    const existing = getOverrideById(id);
+    if (!existing) return null;
+
+    const db = dbConnection.getDatabase();
+    db.prepare(
+      `UPDATE mode_overrides
+       SET ${COLUMNS.map((col) => `${col} = ?`).join(", ")}, updated_at = ?
+       WHERE id = ?`,
+    ).run(...toValues({ ...existing, ...data }), getLocalISOString(), id);
+
+    logger.info(`Mode override updated: ID ${id}`);
+    return getOverrideById(id);
+  } catch (error) {
+    logger.error("Failed to update mode override:", error);
+    throw new Error(`Failed to update mode override: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a mode override
+ * @param {number} id - Override ID
+ * @returns {boolean} True if deleted
+ */
+function deleteOverride(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM mode_overrides WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete mode override:", error);
+    throw new Error(`Failed to delete mode override: ${error.message}`);
+  }
+}
+
+module.exports = {
+  SCOPES,
+  MODES,
+  getAllOverrides,
+  getOverrideById,
+  getOverrideByScope,
+  createOverride,
+  updateOverride,
+  deleteOverride,
+};
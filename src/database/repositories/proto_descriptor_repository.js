@@ -0,0 +1,146 @@
+/**
+ * Proto Descriptor Repository
+ *
+ * Handles uploaded .proto files used to decode protobuf and gRPC-Web bodies.
+ *
+ * @module repositories/proto_descriptor_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+/**
+ * Convert a proto descriptor row to API format
+ * @param {Object} row - Database row
+ * @returns {Object|null} Proto descriptor (bindings parsed)
+ */
+function parseProtoDescriptor(row) {
+  if (!row) return null;
+  let bindings = [];
+  try {
+    bindings = JSON.parse(row.bindings || "[]");
+  } catch (e) {
+    // Keep no bindings for corrupt rows
+  }
+  return { ...row, bindings: Array.isArray(bindings) ? bindings : [] };
+}
+
+/**
+ * Get all proto descriptors
+ * @returns {Array<Object>} Proto descriptors (by name)
+ */
+function getAllProtoDescriptors() {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("SELECT * FROM proto_descriptors ORDER BY name ASC").all().map(parseProtoDescriptor);
+  } catch (error) {
+    logger.error("Failed to get proto descriptors:", error);
+    throw new Error(`Failed to get proto descriptors: ${error.message}`);
+  }
+}
+
+/**
+ * Get proto descriptor by ID
+ * @param {number} id - Proto descriptor ID
+ * @returns {Object|null} Proto descriptor or null if not found
+ */
+function getProtoDescriptorById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseProtoDescriptor(db.prepare("SELECT * FROM proto_descriptors WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get proto descriptor:", error);
+    throw new Error(`Failed to get proto descriptor: ${error.message}`);
+  }
+}
+
+/**
+ * Get proto descriptor by name
+ * @param {string} name - Proto descriptor name
+ * @returns {Object|null} Proto descriptor or null if not found
+ */
+function getProtoDescriptorByName(name) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseProtoDescriptor(db.prepare("SELECT * FROM proto_descriptors WHERE name = ?").get(name));
+  } catch (error) {
+    logger.error("Failed to get proto descriptor:", error);
+    throw new Error(`Failed to get proto descriptor: ${error.message}`);
+  }
+}
+
+/**
+ * Upload a .proto file
+ * @param {Object} data - { name, source, bindings }
+ * @param {string|null} createdBy - Console user who uploaded it
+ * @returns {Object} Created proto descriptor
+ */
+function createProtoDescriptor(data, createdBy = null) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+    const result = db
+      .prepare("INSERT INTO proto_descriptors (name, source, bindings, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)")
+      .run(data.name, data.source, JSON.stringify(data.bindings || []), createdBy, now, now);
+
+    logger.info(`Proto descriptor uploaded: ${data.name} (ID: ${result.lastInsertRowid})`);
+    return getProtoDescriptorById(result.lastInsertRowid);
+  } catch (error) {
+    logger.error("Failed to create proto descriptor:", error);
+    throw new Error(`Failed to create proto descriptor: ${error.message}`);
+  }
+}
+
+/**
+ * Update a proto descriptor (only provided fields are changed)
+ * @param {number} id - Proto descriptor ID
+ * @param {Object} data - { name, source, bindings }
+ * @returns {Object|null} Updated proto descriptor or null if not found
+ */
+function updateProtoDescriptor(id, data) {
+  try {
+    const existing = getProtoDescriptorById(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...data };
+    const db = dbConnection.getDatabase();
+    db.prepare("UPDATE proto_descriptors SET name = ?, source = ?, bindings = ?, updated_at = ? WHERE id = ?").run(
+      merged.name,
+      merged.source,
+      JSON.stringify(merged.bindings || []),
+      getLocalISOString(),
+      id,
+    );
+
+    logger.info(`Proto descriptor updated: ID ${id}`);
+    return getProtoDescriptorById(id);
+  } catch (error) {
+    logger.error("Failed to update proto descriptor:", error);
+    throw new Error(`Failed to update proto descriptor: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a proto descriptor
+ * @param {number} id - Proto descriptor ID
+ * @returns {boolean} True if deleted
+ */
+function deleteProtoDescriptor(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM proto_descriptors WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete proto descriptor:", error);
+    throw new Error(`Failed to delete proto descriptor: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getAllProtoDescriptors,
+  getProtoDescriptorById,
+  getProtoDescriptorByName,
+  createProtoDescriptor,
+  updateProtoDescriptor,
+  deleteProtoDescriptor,
+};
@@ -14,8 +14,13 @@ const crypto = require("../../utils/crypto");
 const logger = require("../../utils/logger");
 const { getLocalISOString } = require("../../utils/datetimeUtils");
 const { getEndpointName, isSecureEndpoint, getEndpointType } = require("../../utils/endpoint_utils");
-const { serializeBody } = require("../../utils/bodySerializer");
+const { encodeBody, decodeBody, getContentType } = require("../../utils/bodySerializer");
+const { getInstance: getProtoRegistry } = require("../../core/protobuf/ProtoRegistry");
 const { normalizeQueryParams, compareQueryParams, compareQueryParamsPartial, compareBodyFields } = require("../../utils/jsonUtils");
+const { parseGraphqlRequest, getOperationPath, getMatchableFields, getRecordedFields, withoutGraphqlParams } = require("../../utils/graphql");
+const collectionRepository = require("./collection_repository");
+const { resolveGraphqlRequest } = require("./recording_repository");
+const { getInstance: getDriftDetector } = require("../../core/drift/DriftDetector");
 
 /**
  * Get recording config for endpoint matching (type='recording')
@@ -90,6 +95,10 @@ function matchesPattern(path, pattern) {
  * @param {Object} mobileHeaders - Mobile headers
  * @param {Object|null} incomingQueryParams - Original incoming query params object (for partial matching)
  * @param {Object|null} incomingBody - Incoming request body (for body field matching)
+ * @param {number|null} collectionId - Collection the request is recorded into
+ * @param {Object|null} requestProto - Message type of a protobuf request body (body fields are compared decoded)
+ * @param {Object|null} graphql - Parsed GraphQL request: only recordings of the same operation and query match,
+ *   rules of the operation ("/graphql#GetUser") come first and match_body compares { operationName, variables }
  * @returns {Object|null} Existing request or null
  */
 function findExistingPublicRequest(
@@ -100,9 +109,13 @@ function findExistingPublicRequest(
   mobileHeaders,
   incomingQueryParams = null,
   incomingBody = null,
+  collectionId = null,
+  requestProto = null,
+  graphql = null,
 ) {
   // Check for recording config with match_query_params and match_body
-  const recordingConfig = getRecordingConfig(db, method, endpointPath);
+  const recordingConfig =
+    (graphql && getRecordingConfig(db, method, getOperationPath(endpointPath, graphql))) || getRecordingConfig(db, method, endpointPath);
   let matchQueryParams = null;
   let matchBodyFields = null;
 
@@ -134,8 +147,14 @@ function findExistingPublicRequest(
 
   // Get candidates with matching basic criteria
   // Include request_body for body field matching
+  // GraphQL operations are separate endpoints: same operation and query (persisted hash while the query is unknown)
+  const graphqlCondition = !graphql
+    ? "graphql_operation IS NULL"
+    : graphql.queryHash
+      ? "graphql_operation = ? AND graphql_query_hash = ?"
+      : "graphql_operation = ? AND graphql_query_hash IS NULL AND graphql_persisted_hash = ?";
   const candidates = db.prepare(`
-    SELECT id, query_params, request_body FROM api_requests
+    SELECT id, method, query_params, request_headers, request_body, request_body_encoding FROM api_requests
     WHERE endpoint_path = ?
       AND method = ?
       AND app_platform = ?
@@ -143,6 +162,8 @@ function findExistingPublicRequest(
       AND app_environment = ?
       AND app_language = ?
       AND endpoint_type = 'public'
+      AND collection_id IS ?
+      AND ${graphqlCondition}
   `);
 
   const candidateResults = candidates.all(
@@ -152,22 +173,31 @@ function findExistingPublicRequest(
     mobileHeaders.mobileVersion || "", // Use empty string if not found
     mobileHeaders.mobileEnvironment || "", // Use empty string if not found
     mobileHeaders.acceptLanguage || "en", // Default to "en" if not found
+    collectionId,
+    ...(graphql ? [graphql.operationName, graphql.queryHash || graphql.persistedHash] : []),
   );
 
+  // GraphQL GET parameters (query, variables...) are compared through the operation
+  if (graphql) {
+    incomingQueryParams = withoutGraphqlParams(incomingQueryParams);
+    normalizedQueryParamsJson = normalizeQueryParams(incomingQueryParams);
+  }
+  const candidateQueryParams = (candidate) => (graphql ? withoutGraphqlParams(candidate.query_params) : candidate.query_params);
+
   // Filter by query params first
   let filteredCandidates = [];
 
   if (matchQueryParams && matchQueryParams.length > 0) {
     // Partial matching mode for query params
     for (const candidate of candidateResults) {
-      if (compareQueryParamsPartial(incomingQueryParams || normalizedQueryParamsJson, candidate.query_params, matchQueryParams)) {
+      if (compareQueryParamsPartial(incomingQueryParams || normalizedQueryParamsJson, candidateQueryParams(candidate), matchQueryParams)) {
         filteredCandidates.push(candidate);
       }
     }
   } else {
     // Full matching mode for query params
     for (const candidate of candidateResults) {
-      if (compareQueryParams(candidate.query_params, normalizedQueryParamsJson)) {
+      if (compareQueryParams(candidateQueryParams(candidate), normalizedQueryParamsJson)) {
         filteredCandidates.push(candidate);
       }
     }
@@ -179,8 +209,15 @@ function findExistingPublicRequest(
 
   // Filter by body fields if match_body is configured
   if (matchBodyFields && matchBodyFields.length > 0) {
+    const protoRegistry = getProtoRegistry();
+    const toFields = (body) =>
+      requestProto && body ? protoRegistry.decodeFields(Buffer.isBuffer(body) ? body : Buffer.from(String(body), "utf8"), requestProto) : body;
+    const incomingFields = graphql ? getMatchableFields(graphql) : toFields(incomingBody);
     filteredCandidates = filteredCandidates.filter((candidate) => {
-      return compareBodyFields(incomingBody, candidate.request_body, matchBodyFields);
+      const candidateFields = graphql
+        ? getRecordedFields(candidate)
+        : toFields(decodeBody(candidate.request_body, candidate.request_body_encoding));
+      return compareBodyFields(incomingFields, candidateFields, matchBodyFields);
     });
   }
 
@@ -239,11 +276,14 @@ function findExistingPublicRequest(
  * @param {string} mobileHeaders.version - App version
  * @param {string} mobileHeaders.environment - sit/stage/dev/prod
  * @param {string} mobileHeaders.language - en/fr
+ * @param {string} mobileHeaders.appProfile - App profile that matched the request
  * @param {number} duration - Request duration in milliseconds
  * @param {string} correlationId - x-correlation-id for tracing
  * @param {string} traceabilityId - x-traceability-id for tracing
  * @param {string} endpointType - 'transmit', 'secure', or 'public' (default: 'public')
- * @returns {Object} Created request object
+ * @param {string} host - Request host
+ * @param {number|null} collectionId - Collection to record into (default: the active collection)
+ * @returns {Object} Created request object (with response_id of the saved response)
  * @throws {Error} If save fails
  */
 async function savePublicRequest(
@@ -260,6 +300,7 @@ async function savePublicRequest(
   traceabilityId = null,
   endpointType = "public",
   host = null,
+  collectionId = null,
 ) {
   try {
     // Use sync getter since database should be initialized
@@ -273,9 +314,13 @@ async function savePublicRequest(
     const normalizedQueryParamsJson = normalizeQueryParams(queryParams);
 
     const headersJson = JSON.stringify(headers);
-    const bodyJson = serializeBody(body);
+    // Binary bodies (images, PDFs, protobuf...) are stored as base64 with an encoding marker
+    const { body: bodyJson, encoding: bodyEncoding } = encodeBody(body, getContentType(headers));
     const responseHeadersJson = response && response.headers ? JSON.stringify(response.headers) : null;
-    const responseBodyJson = serializeBody(response && response.body);
+    const { body: responseBodyJson, encoding: responseBodyEncoding } = encodeBody(
+      response && response.body,
+      getContentType(response && response.headers),
+    );
 
     // Calculate response body hash for deduplication
     const responseBodyHash = response && response.body ? crypto.hashResponseBody(response.body) : null;
@@ -291,6 +336,19 @@ async function savePublicRequest(
     // Use ISO 8601 timestamp with timezone
     const createdAt = getLocalISOString();
 
+    // Locked collections are read-only
+    const collection = collectionId ? collectionRepository.getCollectionById(collectionId) : collectionRepository.getActiveCollection();
+    if (collectionId && !collection) {
+      throw new Error(`Collection ${collectionId} not found`);
+    }
+    if (collection && collection.locked) {
+      throw new Error(`Collection '${collection.name}' is locked`);
+    }
+    const targetCollectionId = collection ? collection.id : null;
+
+    // GraphQL operations are recorded as separate endpoints
+    const graphql = resolveGraphqlRequest(parseGraphqlRequest({ method, body, query: queryParams, headers }));
+
     // Check if a matching request already exists (using normalized query params for comparison)
     // Pass original queryParams for partial matching support
     // Pass body for body field matching when recording config has match_body
@@ -302,9 +360,13 @@ async function savePublicRequest(
       mobileHeaders,
       queryParams,
       body,
+      targetCollectionId,
+      getProtoRegistry().resolveMessageType({ method, path: endpointPath, headers, side: "request" }),
+      graphql,
     );
 
     let requestId;
+    let responseId = null;
 
     if (existingRequest) {
       // Update existing request
@@ -315,14 +377,30 @@ async function savePublicRequest(
         SET
           query_params = ?,
           request_body = ?,
+          request_body_encoding = ?,
           request_headers = ?,
           correlation_id = ?,
           traceability_id = ?,
+          app_profile = COALESCE(?, app_profile),
+          graphql_query_hash = COALESCE(?, graphql_query_hash),
+          graphql_persisted_hash = COALESCE(?, graphql_persisted_hash),
           updated_at = ?
         WHERE id = ?
       `);
 
-      updateStmt.run(originalQueryParamsJson, bodyJson, headersJson, correlationId, traceabilityId, createdAt, requestId);
+      updateStmt.run(
+        originalQueryParamsJson,
+        bodyJson,
+        bodyEncoding,
+        headersJson,
+        correlationId,
+        traceabilityId,
+        mobileHeaders.appProfile || null,
+        graphql ? graphql.queryHash : null,
+        graphql ? graphql.persistedHash : null,
+        createdAt,
+        requestId,
+      );
 
       logger.info(`Public request updated: ${endpointName} (ID: ${requestId})`);
     } else {
@@ -337,6 +415,7 @@ async function savePublicRequest(
           query_params,
           request_headers,
           request_body,
+          request_body_encoding,
           app_platform,
           app_version,
           app_environment,
@@ -344,9 +423,14 @@ async function savePublicRequest(
           endpoint_type,
           correlation_id,
           traceability_id,
+          app_profile,
+          graphql_operation,
+          graphql_query_hash,
+          graphql_persisted_hash,
+          collection_id,
           created_at,
           updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const result = stmt.run(
@@ -358,6 +442,7 @@ async function savePublicRequest(
         originalQueryParamsJson,
         headersJson,
         bodyJson,
+        bodyEncoding,
         mobileHeaders.mobilePlatform || "", // Use empty string for unknown values
         mobileHeaders.mobileVersion || "", // Use empty string for unknown values
         mobileHeaders.mobileEnvironment || "", // Use empty string for unknown values
@@ -365,6 +450,11 @@ async function savePublicRequest(
         "public", // endpoint_type
         correlationId,
         traceabilityId,
+        mobileHeaders.appProfile || null,
+        graphql ? graphql.operationName : null,
+        graphql ? graphql.queryHash : null,
+        graphql ? graphql.persistedHash : null,
+        targetCollectionId,
         createdAt,
         createdAt,
       );
@@ -379,7 +469,8 @@ async function savePublicRequest(
       const existingResponse = db
         .prepare(
           `
-        SELECT id, latency_ms, count FROM api_responses
+        SELECT id, api_request_id, response_status, response_body, response_body_encoding, response_body_hash, response_source, latency_ms, count
+        FROM api_responses
         WHERE api_request_id = ? AND response_status = ?
         LIMIT 1
       `,
@@ -387,6 +478,9 @@ async function savePublicRequest(
         .get(requestId, response.status);
 
       if (existingResponse) {
+        // Keep the previous body if the backend response drifted
+        getDriftDetector().check(existingResponse, { body: responseBodyJson, encoding: responseBodyEncoding, hash: responseBodyHash });
+
         // Update existing response with weighted average latency calculation
         // Formula: new_latency = (old_latency * old_count + current_latency) / (old_count + 1)
         const oldLatency = existingResponse.latency_ms || 0;
@@ -398,9 +492,11 @@ async function savePublicRequest(
           UPDATE api_responses
           SET
             response_body = ?,
+            response_body_encoding = ?,
             response_headers = ?,
             response_body_hash = ?,
             response_source = ?,
+            templated = 0,
             latency_ms = ?,
             count = ?,
             updated_at = ?
@@ -409,6 +505,7 @@ async function savePublicRequest(
 
         updateResStmt.run(
           responseBodyJson,
+          responseBodyEncoding,
           responseHeadersJson,
           responseBodyHash,
           "backend",
@@ -417,6 +514,7 @@ async function savePublicRequest(
           createdAt,
           existingResponse.id,
         );
+        responseId = existingResponse.id;
 
         logger.info(
           `Public response updated with weighted average latency: ${endpointName} status ${response.status} (Response ID: ${existingResponse.id})`,
@@ -436,6 +534,7 @@ async function savePublicRequest(
             response_status,
             response_headers,
             response_body,
+            response_body_encoding,
             response_body_hash,
             response_source,
             is_successful,
@@ -443,14 +542,15 @@ async function savePublicRequest(
             latency_ms,
             created_at,
             updated_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
-        resStmt.run(
+        const resResult = resStmt.run(
           requestId,
           response.status,
           responseHeadersJson,
           responseBodyJson,
+          responseBodyEncoding,
           responseBodyHash,
           "backend",
           isSuccessful ? 1 : 0,
@@ -459,12 +559,14 @@ async function savePublicRequest(
           createdAt,
           createdAt,
         );
+        responseId = resResult.lastInsertRowid;
 
         logger.info(`Public response inserted: ${endpointName} status ${response.status}`);
       }
     }
 
-    return getRequestById(requestId);
+    const saved = getRequestById(requestId);
+    return saved ? { ...saved, response_id: responseId } : saved;
   } catch (error) {
     logger.error("Failed to save public request:", error);
     throw new Error(`Failed to save public request: ${error.message}`);
@@ -476,14 +578,16 @@ async function savePublicRequest(
  * Useful for manual data corrections or testing
  *
  * @param {number} requestId - Request ID
- * @param {Object} newResponseBody - New response body
+ * @param {Object|Buffer} newResponseBody - New response body (Buffers are stored as base64, e.g. re-encoded protobuf)
  * @returns {Object} Updated request object
  */
 function updateResponseBody(requestId, newResponseBody) {
   try {
     const db = dbConnection.getDatabaseSync();
 
-    const responseBodyJson = JSON.stringify(newResponseBody);
+    const { body: responseBodyJson, encoding: responseBodyEncoding } = Buffer.isBuffer(newResponseBody)
+      ? encodeBody(newResponseBody, "application/octet-stream")
+      : { body: JSON.stringify(newResponseBody), encoding: null };
     const responseBodyHash = crypto.hashResponseBody(newResponseBody);
     const updatedAt = getLocalISOString();
 
@@ -492,12 +596,13 @@ function updateResponseBody(requestId, newResponseBody) {
       UPDATE api_responses
       SET 
         response_body = ?,
+        response_body_encoding = ?,
         response_body_hash = ?,
         updated_at = ?
       WHERE api_request_id = ?
     `);
 
-    const result = stmt.run(responseBodyJson, responseBodyHash, updatedAt, requestId);
+    const result = stmt.run(responseBodyJson, responseBodyEncoding, responseBodyHash, updatedAt, requestId);
 
     if (result.changes === 0) {
       throw new Error(`Request ${requestId} not found`);
@@ -531,6 +636,7 @@ function getRequestById(requestId) {
         r.query_params,
         r.request_headers,
         r.request_body,
+        r.request_body_encoding,
         r.app_platform,
         r.app_version,
         r.app_environment,
@@ -541,6 +647,7 @@ function getRequestById(requestId) {
         resp.response_status,
         resp.response_headers,
         resp.response_body,
+        resp.response_body_encoding,
         resp.response_body_hash,
         resp.is_successful,
         resp.latency_ms as duration_ms
@@ -586,9 +693,10 @@ function parseRequestObject(request) {
       ...request,
       query_params: safeJsonParse(request.query_params, null),
       request_headers: safeJsonParse(request.request_headers, {}),
-      request_body: safeJsonParse(request.request_body, null),
+      // Binary bodies stay base64 (see request_body_encoding / response_body_encoding)
+      request_body: request.request_body_encoding ? request.request_body : safeJsonParse(request.request_body, null),
       response_headers: safeJsonParse(request.response_headers, {}),
-      response_body: safeJsonParse(request.response_body, null),
+      response_body: request.response_body_encoding ? request.response_body : safeJsonParse(request.response_body, null),
     };
   } catch (error) {
     // Fallback: if even the safe parsing fails, return original object
@@ -0,0 +1,139 @@
+/**
+ * Recording Repository
+ *
+ * Read-only queries over recorded request/response pairs (api_requests joined with api_responses),
+ * used by exports (HAR, OpenAPI) and GraphQL persisted query lookups.
+ *
+ * @module repositories/recording_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+
+/**
+ * Query recorded request/response pairs for export
+ * @param {Object} filters - { host, endpoint, user_id, platform, endpoint_type, collection, source, from, to }
+ * @returns {Array<Object>} Joined rows, oldest first
+ */
+function queryRecordings(filters) {
+  const database = dbConnection.getDatabase();
+
+  let sql = `
+    SELECT
+      ar.id,
+      ar.host,
+      ar.endpoint_path,
+      ar.endpoint_type,
+      ar.method,
+      ar.query_params,
+      ar.request_headers,
+      ar.request_body,
+      ar.request_body_encoding,
+      ar.app_platform,
+      ar.app_version,
+      ar.app_environment,
+      ar.app_language,
+      ar.created_at,
+      ar.updated_at,
+      u.user_id as user_identifier,
+      resp.id as response_id,
+      resp.response_status,
+      resp.response_headers,
+      resp.response_body,
+      resp.response_body_encoding,
+      resp.response_source,
+      resp.latency_ms,
+      resp.updated_at as response_updated_at
+    FROM api_requests ar
+    INNER JOIN api_responses resp ON ar.id = resp.api_request_id
+    LEFT JOIN users u ON ar.user_id = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (filters.host) {
+    sql += " AND ar.host LIKE ?";
+    params.push(`%${filters.host}%`);
+  }
+
+  if (filters.endpoint) {
+    sql += " AND ar.endpoint_path LIKE ?";
+    params.push(`%${filters.endpoint}%`);
+  }
+
+  if (filters.user_id) {
+    sql += " AND (u.user_id = ? OR ar.user_id = ?)";
+    params.push(filters.user_id, filters.user_id);
+  }
+
+  if (filters.platform) {
+    sql += " AND ar.app_platform = ?";
+    params.push(filters.platform);
+  }
+
+  if (filters.endpoint_type) {
+    sql += " AND ar.endpoint_type = ?";
+    params.push(filters.endpoint_type);
+  }
+
+  if (filters.collection) {
+    sql += " AND ar.collection_id = ?";
+    params.push(filters.collection);
+  }
+
+  if (filters.source) {
+    sql += " AND resp.response_source = ?";
+    params.push(filters.source);
+  }
+
+  if (filters.from) {
+    sql += " AND resp.updated_at >= ?";
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    sql += " AND resp.updated_at <= ?";
+    params.push(filters.to);
+  }
+
+  sql += " ORDER BY resp.updated_at ASC, resp.id ASC";
+
+  try {
+    return database.prepare(sql).all(...params);
+  } catch (error) {
+    logger.error("Failed to query recordings:", error);
+    throw new Error(`Failed to query recordings: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the query of a hash-only GraphQL request (persisted query) from the recordings
+ * made with the full query text
+ * @param {Object|null} graphql - Parsed GraphQL request (see utils/graphql.parseGraphqlRequest)
+ * @returns {Object|null} The request, with queryHash set when a recording knows the persisted hash
+ */
+function resolveGraphqlRequest(graphql) {
+  if (!graphql || graphql.queryHash || !graphql.persistedHash) {
+    return graphql;
+  }
+
+  try {
+    const row = dbConnection
+      .getDatabase()
+      .prepare(
+        `SELECT graphql_query_hash FROM api_requests
+         WHERE graphql_persisted_hash = ? AND graphql_query_hash IS NOT NULL
+         ORDER BY updated_at DESC LIMIT 1`,
+      )
+      .get(graphql.persistedHash);
+    return row ? { ...graphql, queryHash: row.graphql_query_hash } : graphql;
+  } catch (error) {
+    logger.error("Failed to resolve persisted GraphQL query:", error);
+    throw new Error(`Failed to resolve persisted GraphQL query: ${error.message}`);
+  }
+}
+
+module.exports = {
+  queryRecordings,
+  resolveGraphqlRequest,
+};
@@ -0,0 +1,220 @@
+/**
+ * Response History Repository
+ *
+ * Stores previous response bodies with their structural diff when a recorded response drifts.
+ *
+ * @module repositories/response_history_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+// Change types that can break clients of the API
+const BREAKING_TYPES = ["removed", "type_changed"];
+
+/**
+ * Count changes by type
+ * @param {Array<Object>} changes - Diff entries
+ * @returns {Object} { added, removed, type_changed, changed, breaking }
+ */
+function summarizeChanges(changes) {
+  const summary = { added: 0, removed: 0, type_changed: 0, changed: 0 };
+  for (const change of changes) {
+    summary[change.type] = (summary[change.type] || 0) + 1;
+  }
+  summary.breaking = BREAKING_TYPES.some((type) => summary[type] > 0);
+  return summary;
+}
+
+/**
+ * Convert a history row to API format
+ * @param {Object} row - Database row
+ * @returns {Object|null} History entry (changes parsed, with summary)
+ */
+function parseHistoryEntry(row) {
+  if (!row) return null;
+  let changes = [];
+  try {
+    changes = JSON.parse(row.changes || "[]");
+  } catch (e) {
+    // Keep empty changes for corrupt rows
+  }
+  return {
+    ...row,
+    changes,
+    summary: summarizeChanges(changes),
+  };
+}
+
+/**
+ * Store the previous body of a drifted response
+ * Only the latest `limit` entries per response are kept.
+ * @param {Object} entry - { api_response_id, api_request_id, response_status, response_body, response_body_hash, new_body_hash, changes }
+ * @param {number} limit - Entries to keep per response
+ * @returns {number} History entry ID
+ */
+function addHistoryEntry(entry, limit = 20) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.transaction(() => {
+      const result = db
+        .prepare(
+          `INSERT INTO response_history (
+            api_response_id, api_request_id, response_status, response_body, response_body_hash, new_body_hash, changes, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        )
+        .run(
+          entry.api_response_id,
+          entry.api_request_id,
+          entry.response_status,
+          entry.response_body ?? null,
+          entry.response_body_hash || null,
+          entry.new_body_hash || null,
+          JSON.stringify(entry.changes || []),
+          getLocalISOString(),
+        );
+
+      db.prepare(
+        `DELETE FROM response_history
+         WHERE api_response_id = ?
+           AND id NOT IN (SELECT id FROM response_history WHERE api_response_id = ? ORDER BY id DESC LIMIT ?)`,
+      ).run(entry.api_response_id, entry.api_response_id, limit);
+
+      return result.lastInsertRowid;
+    })();
+  } catch (error) {
+    logger.error("Failed to add response history entry:", error);
+    throw new Error(`Failed to add response history entry: ${error.message}`);
+  }
+}
+
+/**
+ * Get the history of a response (newest first)
+ * @param {number} responseId - Response ID
+ * @returns {Array<Object>} History entries
+ */
+function getResponseHistory(responseId) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db
+      .prepare("SELECT * FROM response_history WHERE api_response_id = ? ORDER BY id DESC")
+      .all(responseId)
+      .map(parseHistoryEntry);
+  } catch (error) {
+    logger.error("Failed to get response history:", error);
+    throw new Error(`Failed to get response history: ${error.message}`);
+  }
+}
+
+/**
+ * Build the WHERE clause for change filters
+ * @param {Object} filters - { host, endpoint, method, since, collection }
+ * @returns {{where: string, params: Array}} SQL condition and parameters
+ */
+function buildChangeFilters(filters = {}) {
+  const conditions = [];
+  const params = [];
+  if (filters.host) {
+    conditions.push("ar.host = ?");
+    params.push(filters.host);
+  }
+  if (filters.endpoint) {
+    conditions.push("ar.endpoint_path = ?");
+    params.push(filters.endpoint);
+  }
+  if (filters.method) {
+    conditions.push("ar.method = ?");
+    params.push(String(filters.method).toUpperCase());
+  }
+  if (filters.since) {
+    conditions.push("datetime(rh.created_at) >= datetime(?)");
+    params.push(filters.since);
+  }
+  if (filters.collection) {
+    conditions.push("ar.collection_id = ?");
+    params.push(filters.collection);
+  }
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "", params };
+}
+
+/**
+ * Get endpoints whose responses drifted, most recently changed first
+ * @param {Object} filters - { host, since, collection }
+ * @returns {Array<Object>} { host, method, endpoint_path, change_count, response_count, last_changed_at, breaking }
+ */
+function getChangedEndpoints(filters = {}) {
+  try {
+    const db = dbConnection.getDatabase();
+    const { where, params } = buildChangeFilters({ host: filters.host, since: filters.since, collection: filters.collection });
+    const rows = db
+      .prepare(
+        `SELECT ar.host, ar.method, ar.endpoint_path, rh.changes, rh.api_response_id, rh.created_at
+         FROM response_history rh
+         JOIN api_requests ar ON ar.id = rh.api_request_id
+         ${where}
+         ORDER BY rh.id DESC`,
+      )
+      .all(...params);
+
+    const endpoints = new Map();
+    for (const row of rows) {
+      const key = `${row.host}|${row.method}|${row.endpoint_path}`;
+      if (!endpoints.has(key)) {
+        endpoints.set(key, {
+          host: row.host,
+          method: row.method,
+          endpoint_path: row.endpoint_path,
+          change_count: 0,
+          responses: new Set(),
+          last_changed_at: row.created_at,
+          breaking: false,
+        });
+      }
+      const endpoint = endpoints.get(key);
+      endpoint.change_count++;
+      endpoint.responses.add(row.api_response_id);
+      endpoint.breaking = endpoint.breaking || parseHistoryEntry(row).summary.breaking;
+    }
+
+    return [...endpoints.values()].map(({ responses, ...endpoint }) => ({ ...endpoint, response_count: responses.size }));
+  } catch (error) {
+    logger.error("Failed to get changed endpoints:", error);
+    throw new Error(`Failed to get changed endpoints: ${error.message}`);
+  }
+}
+
+/**
+ * Get drift entries with their request, newest first
+ * @param {Object} filters - { host, endpoint, method, since, collection, limit }
+ * @returns {Array<Object>} History entries with host, method, endpoint_path, user_id, app_platform, app_version
+ */
+function getChanges(filters = {}) {
+  try {
+    const db = dbConnection.getDatabase();
+    const { where, params } = buildChangeFilters(filters);
+    const limit = Math.min(parseInt(filters.limit, 10) || 100, 1000);
+    return db
+      .prepare(
+        `SELECT rh.*, ar.host, ar.method, ar.endpoint_path, ar.user_id, ar.app_platform, ar.app_version, ar.collection_id
+         FROM response_history rh
+         JOIN api_requests ar ON ar.id = rh.api_request_id
+         ${where}
+         ORDER BY rh.id DESC
+         LIMIT ?`,
+      )
+      .all(...params, limit)
+      .map(parseHistoryEntry);
+  } catch (error) {
+    logger.error("Failed to get response changes:", error);
+    throw new Error(`Failed to get response changes: ${error.message}`);
+  }
+}
+
+module.exports = {
+  summarizeChanges,
+  addHistoryEntry,
+  getResponseHistory,
+  getChangedEndpoints,
+  getChanges,
+};
@@ -0,0 +1,197 @@
+/**
+ * Rewrite Rule Repository
+ *
+ * Handles CRUD operations for request/response rewrite rules.
+ * conditions and actions are stored as JSON and returned parsed.
+ *
+ * @module repositories/rewrite_rule_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+/**
+ * Parse JSON columns of a rule row
+ * @param {Object} row - Database row
+ * @returns {Object} Rule with parsed conditions/actions
+ */
+function parseRule(row) {
+  if (!row) return null;
+
+  const parse = (value) => {
+    if (!value) return [];
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      logger.warn("Invalid JSON in rewrite rule", { id: row.id, error: e.message });
+      return [];
+    }
+  };
+
+  return {
+    ...row,
+    enabled: !!row.enabled,
+    conditions: parse(row.conditions),
+    actions: parse(row.actions),
+  };
+}
+
+/**
+ * Get all rewrite rules ordered by priority
+ * @param {boolean} enabledOnly - Only return enabled rules
+ * @returns {Array<Object>} Rules
+ */
+function getAllRules(enabledOnly = false) {
+  try {
+    const db = dbConnection.getDatabase();
+    const where = enabledOnly ? "WHERE enabled = 1" : "";
+    return db.prepare(`SELECT * FROM rewrite_rules ${where} ORDER BY priority ASC, id ASC`).all().map(parseRule);
+  } catch (error) {
+    logger.error("Failed to get rewrite rules:", error);
+    throw new Error(`Failed to get rewrite rules: ${error.message}`);
+  }
+}
+
+/**
+ * Get rewrite rule by ID
+ * @param {number} id - Rule ID
+ * @returns {Object|null} Rule or null if not found
+ */
+function getRuleById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseRule(db.prepare("SELECT * FROM rewrite_rules WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get rewrite rule:", error);
+    throw new Error(`Failed to get rewrite rule: ${error.message}`);
+  }
+}
+
+/**
+ * Create a rewrite rule
+ * @param {Object} data - Rule data { name, description, match_host, match_method, match_endpoint, conditions, actions, priority, enabled }
+ * @returns {Object} Created rule
+ * @throws {Error} If creation fails
+ */
+function createRule(data) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+
+    const result = db
+      .prepare(
+        `
+      INSERT INTO rewrite_rules (
+        name,
+        description,
+        match_host,
+        match_method,
+        match_endpoint,
+        conditions,
+        actions,
+        priority,
+        enabled,
+        created_at,
+        updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      )
+      .run(
+        data.name,
+        data.description || null,
+        data.match_host || null,
+        (data.match_method || "*").toUpperCase(),
+        data.match_endpoint || null,
+        JSON.stringify(data.conditions || []),
+        JSON.stringify(data.actions || []),
+        data.priority || 0,
+        data.enabled === false ? 0 : 1,
+        now,
+        now,
+      );
+
+    logger.info(`Rewrite rule created: ${data.name} (ID: ${result.lastInsertRowid})`);
+    return getRuleById(result.lastInsertRowid);
+  } catch (error) {
+    logger.error("Failed to create rewrite rule:", error);
+    throw new Error(`Failed to create rewrite rule: ${error.message}`);
+  }
+}
+
+/**
+ * Update a rewrite rule (only provided fields are changed)
+ * @param {number} id - Rule ID
+ * @param {Object} data - Fields to update
+ * @returns {Object|null} Updated rule or null if not found
+ * @throws {Error} If update fails
+ */
+function updateRule(id, data) {
+  try {
+    const existing = getRuleById(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...data };
+    const db = dbConnection.getDatabase();
+
+    db.prepare(
+      `
+      UPDATE rewrite_rules
+      SET
+        name = ?,
+        description = ?,
+        match_host = ?,
+        match_method = ?,
+        match_endpoint = ?,
+        conditions = ?,
+        actions = ?,
+        priority = ?,
+        enabled = ?,
+        updated_at = ?
+      WHERE id = ?
+    `,
+    ).run(
+      merged.name,
+      merged.description || null,
+      merged.match_host || null,
+      (merged.match_method || "*").toUpperCase(),
+      merged.match_endpoint || null,
+      JSON.stringify(merged.conditions || []),
+      JSON.stringify(merged.actions || []),
+      merged.priority || 0,
+      merged.enabled ? 1 : 0,
+      getLocalISOString(),
+      id,
+    );
+
+    logger.info(`Rewrite rule updated: ID ${id}`);
+    return getRuleById(id);
+  } catch (error) {
+    logger.error("Failed to update rewrite rule:", error);
+    throw new Error(`Failed to update rewrite rule: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a rewrite rule
+ * @param {number} id - Rule ID
+ * @returns {boolean} True if deleted
+ */
+function deleteRule(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM rewrite_rules WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete rewrite rule:", error);
+    throw new Error(`Failed to delete rewrite rule: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getAllRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deleteRule,
+};
@@ -0,0 +1,328 @@
+/**
+ * Scenario Repository
+ *
+ * Handles scenarios (replay state machines), their steps, and per-session state.
+ *
+ * A scenario is a list of steps. Each step matches a method/endpoint pattern,
+ * optionally requires a state, returns a recorded response and moves the
+ * scenario to its next state. State is stored per proxy session (DPSESSION).
+ *
+ * @module repositories/scenario_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+
+const DEFAULT_INITIAL_STATE = "Started";
+
+/**
+ * Build step states for an ordered sequence
+ * Step N requires the state left by step N-1 and the last step keeps its state,
+ * so its response is returned for every following request.
+ *
+ * @param {Array<Object>} steps - Ordered steps
+ * @param {string} initialState - Scenario initial state
+ * @returns {Array<Object>} Steps with required_state/next_state set
+ */
+function buildSequenceSteps(steps, initialState) {
+  return steps.map((step, index) => ({
+    ...step,
+    required_state: index === 0 ? initialState : `Step ${index + 1}`,
+    next_state: index < steps.length - 1 ? `Step ${index + 2}` : null,
+  }));
+}
+
+/**
+ * Insert steps for a scenario
+ * @param {Object} db - Database connection
+ * @param {number} scenarioId - Scenario ID
+ * @param {Array<Object>} steps - Steps
+ * @param {string} now - Timestamp
+ */
+function insertSteps(db, scenarioId, steps, now) {
+  const stmt = db.prepare(`
+    INSERT INTO scenario_steps (
+      scenario_id,
+      step_order,
+      regex,
+      endpoint_pattern,
+      http_method,
+      required_state,
+      next_state,
+      api_response_id,
+      created_at,
+      updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  steps.forEach((step, index) => {
+    if (!step.endpoint_pattern) {
+      throw new Error(`Step ${index + 1}: endpoint_pattern is required`);
+    }
+    stmt.run(
+      scenarioId,
+      step.step_order !== undefined ? step.step_order : index,
+      step.regex ? 1 : 0,
+      step.endpoint_pattern,
+      (step.http_method || "*").toUpperCase(),
+      step.required_state || null,
+      step.next_state || null,
+      step.api_response_id || null,
+      now,
+      now,
+    );
+  });
+}
+
+/**
+ * Get steps of a scenario ordered by step_order
+ * @param {number} scenarioId - Scenario ID
+ * @returns {Array<Object>} Steps
+ */
+function getSteps(scenarioId) {
+  const db = dbConnection.getDatabase();
+  return db.prepare("SELECT * FROM scenario_steps WHERE scenario_id = ? ORDER BY step_order ASC, id ASC").all(scenarioId);
+}
+
+/**
+ * Get all scenarios with their steps
+ * @param {boolean} enabledOnly - Only return enabled scenarios
+ * @returns {Array<Object>} Scenarios with steps
+ */
+function getAllScenarios(enabledOnly = false) {
+  try {
+    const db = dbConnection.getDatabase();
+    const sql = enabledOnly ? "SELECT * FROM scenarios WHERE enabled = 1 ORDER BY id ASC" : "SELECT * FROM scenarios ORDER BY id ASC";
+    return db
+      .prepare(sql)
+      .all()
+      .map((scenario) => ({ ...scenario, steps: getSteps(scenario.id) }));
+  } catch (error) {
+    logger.error("Failed to get scenarios:", error);
+    throw new Error(`Failed to get scenarios: ${error.message}`);
+  }
+}
+
+/**
+ * Get scenario by ID with its steps
+ * @param {number} id - Scenario ID
+ * @returns {Object|null} Scenario or null if not found
+ */
+function getScenarioById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    const scenario = db.prepare("SELECT * FROM scenarios WHERE id = ?").get(id);
+    return scenario ? { ...scenario, steps: getSteps(scenario.id) } : null;
+  } catch (error) {
+    logger.error("Failed to get scenario:", error);
+    throw new Error(`Failed to get scenario: ${error.message}`);
+  }
+}
+
+/**
+ * Create a scenario
+ *
+ * @param {Object} data - Scenario data
+ * @param {string} data.name - Unique scenario name
+ * @param {string} [data.description] - Description
+ * @param {string} [data.initial_state] - Initial state (default 'Started')
+ * @param {boolean} [data.enabled] - Whether the scenario is active (default true)
+ * @param {boolean} [data.sequence] - When true, steps form an ordered sequence and states are generated
+ * @param {Array<Object>} [data.steps] - Steps { endpoint_pattern, http_method, regex, required_state, next_state, api_response_id }
+ * @returns {Object} Created scenario
+ * @throws {Error} If creation fails
+ */
+function createScenario(data) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+    const initialState = data.initial_state || DEFAULT_INITIAL_STATE;
+    const steps = data.sequence ? buildSequenceSteps(data.steps || [], initialState) : data.steps || [];
+
+    const scenarioId = db.transaction(() => {
+      const result = db
+        .prepare(
+          `
+        INSERT INTO scenarios (name, description, initial_state, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `,
+        )
+        .run(data.name, data.description || null, initialState, data.enabled === false ? 0 : 1, now, now);
+
+      insertSteps(db, result.lastInsertRowid, steps, now);
+      return result.lastInsertRowid;
+    })();
+
+    logger.info(`Scenario created: ${data.name} (ID: ${scenarioId})`);
+    return getScenarioById(scenarioId);
+  } catch (error) {
+    logger.error("Failed to create scenario:", error);
+    throw new Error(`Failed to create scenario: ${error.message}`);
+  }
+}
+
+/**
+ * Update a scenario
+ * When steps are provided they replace the existing steps and all session states are reset.
+ *
+ * @param {number} id - Scenario ID
+ * @param {Object} data - Fields to update (same as createScenario)
+ * @returns {Object|null} Updated scenario or null if not found
+ * @throws {Error} If update fails
+ */
+function updateScenario(id, data) {
+  try {
+    const db = dbConnection.getDatabase();
+    const existing = db.prepare("SELECT * FROM scenarios WHERE id = ?").get(id);
+    if (!existing) return null;
+
+    const now = getLocalISOString();
+    const initialState = data.initial_state || existing.initial_state;
+
+    db.transaction(() => {
+      db.prepare(
+        `
+        UPDATE scenarios
+        SET name = ?, description = ?, initial_state = ?, enabled = ?, updated_at = ?
+        WHERE id = ?
+      `,
+      ).run(
+        data.name || existing.name,
+        data.description !== undefined ? data.description : existing.description,
+        initialState,
+        data.enabled !== undefined ? (data.enabled ? 1 : 0) : existing.enabled,
+        now,
+        id,
+      );
+
+      if (Array.isArray(data.steps)) {
+        const steps = data.sequence ? buildSequenceSteps(data.steps, initialState) : data.steps;
+        db.prepare("DELETE FROM scenario_steps WHERE scenario_id = ?").run(id);
+        insertSteps(db, id, steps, now);
+        db.prepare("DELETE FROM scenario_states WHERE scenario_id = ?").run(id);
+      }
+    })();
+
+    logger.info(`Scenario updated: ID ${id}`);
+    return getScenarioById(id);
+  } catch (error) {
+    logger.error("Failed to update scenario:", error);
+    throw new Error(`Failed to update scenario: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a scenario (steps and states are removed by cascade)
+ * @param {number} id - Scenario ID
+ * @returns {boolean} True if deleted
+ */
+function deleteScenario(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    const result = db.prepare("DELETE FROM scenarios WHERE id = ?").run(id);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete scenario:", error);
+    throw new Error(`Failed to delete scenario: ${error.message}`);
+  }
+}
+
+/**
+ * Get current state of a scenario for a session
+ * @param {Object} scenario - Scenario row
+ * @param {string} sessionKey - Session key
+ * @returns {string} Current state (initial state when the session has none)
+ */
+function getScenarioState(scenario, sessionKey) {
+  const db = dbConnection.getDatabase();
+  const row = db.prepare("SELECT current_state FROM scenario_states WHERE scenario_id = ? AND session_key = ?").get(scenario.id, sessionKey);
+  return row ? row.current_state : scenario.initial_state;
+}
+
+/**
+ * Set current state of a scenario for a session
+ * @param {number} scenarioId - Scenario ID
+ * @param {string} sessionKey - Session key
+ * @param {string} state - New state
+ */
+function setScenarioState(scenarioId, sessionKey, state) {
+  const db = dbConnection.getDatabase();
+  db.prepare(
+    `
+    INSERT INTO scenario_states (scenario_id, session_key, current_state, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(scenario_id, session_key) DO UPDATE SET current_state = excluded.current_state, updated_at = excluded.updated_at
+  `,
+  ).run(scenarioId, sessionKey, state, getLocalISOString());
+}
+
+/**
+ * Get all session states of a scenario
+ * @param {number} scenarioId - Scenario ID
+ * @returns {Array<Object>} States { session_key, current_state, updated_at }
+ */
+function getScenarioStates(scenarioId) {
+  const db = dbConnection.getDatabase();
+  return db
+    .prepare("SELECT session_key, current_state, updated_at FROM scenario_states WHERE scenario_id = ? ORDER BY updated_at DESC")
+    .all(scenarioId);
+}
+
+/**
+ * Reset scenario states back to the initial state
+ * @param {number|null} scenarioId - Scenario ID, null for all scenarios
+ * @param {string|null} sessionKey - Session key, null for all sessions
+ * @returns {number} Number of session states removed
+ */
+function resetScenarioStates(scenarioId = null, sessionKey = null) {
+  try {
+    const db = dbConnection.getDatabase();
+    let sql = "DELETE FROM scenario_states WHERE 1=1";
+    const params = [];
+
+    if (scenarioId) {
+      sql += " AND scenario_id = ?";
+      params.push(scenarioId);
+    }
+    if (sessionKey) {
+      sql += " AND session_key = ?";
+      params.push(sessionKey);
+    }
+
+    const result = db.prepare(sql).run(...params);
+    logger.info("Scenario states reset", { scenarioId, sessionKey, removed: result.changes });
+    return result.changes;
+  } catch (error) {
+    logger.error("Failed to reset scenario states:", error);
+    throw new Error(`Failed to reset scenario states: ${error.message}`);
+  }
+}
+
+/**
+ * Get a recorded response with its request
+ * @param {number} responseId - api_responses ID
+ * @returns {{request: Object, response: Object}|null} Request/response rows or null if not found
+ */
+function getResponseWithRequest(responseId) {
+  const db = dbConnection.getDatabase();
+  const response = db.prepare("SELECT * FROM api_responses WHERE id = ?").get(responseId);
+  if (!response) return null;
+
+  const request = db.prepare("SELECT * FROM api_requests WHERE id = ?").get(response.api_request_id);
+  return request ? { request, response } : null;
+}
+
+module.exports = {
+  DEFAULT_INITIAL_STATE,
+  getAllScenarios,
+  getScenarioById,
+  createScenario,
+  updateScenario,
+  deleteScenario,
+  getScenarioState,
+  setScenarioState,
+  getScenarioStates,
+  resetScenarioStates,
+  getResponseWithRequest,
+};
@@ -15,8 +15,13 @@ const crypto = require("../../utils/crypto");
 const logger = require("../../utils/logger");
 const { getLocalISOString } = require("../../utils/datetimeUtils");
 const { getEndpointName, isSecureEndpoint, getEndpointType } = require("../../utils/endpoint_utils");
-const { serializeBody } = require("../../utils/bodySerializer");
+const { encodeBody, decodeBody, getContentType } = require("../../utils/bodySerializer");
+const { getInstance: getProtoRegistry } = require("../../core/protobuf/ProtoRegistry");
 const { normalizeQueryParams, compareQueryParams, compareQueryParamsPartial, compareBodyFields } = require("../../utils/jsonUtils");
+const { parseGraphqlRequest, getOperationPath, getMatchableFields, getRecordedFields, withoutGraphqlParams } = require("../../utils/graphql");
+const collectionRepository = require("./collection_repository");
+const { resolveGraphqlRequest } = require("./recording_repository");
+const { getInstance: getDriftDetector } = require("../../core/drift/DriftDetector");
 
 /**
  * Get recording config for endpoint matching (type='recording')
@@ -89,6 +94,10 @@ function matchesPattern(path, pattern) {
  * @param {Object} mobileHeaders - Mobile headers
  * @param {Object|null} incomingQueryParams - Original incoming query params object (for partial matching)
  * @param {Object|null} incomingBody - Incoming request body (for body field matching)
+ * @param {number|null} collectionId - Collection the request is recorded into
+ * @param {Object|null} requestProto - Message type of a protobuf request body (body fields are compared decoded)
+ * @param {Object|null} graphql - Parsed GraphQL request: only recordings of the same operation and query match,
+ *   rules of the operation ("/graphql#GetUser") come first and match_body compares { operationName, variables }
  * @returns {Object|null} Existing request or null
  */
 function findExistingSecureRequest(
@@ -100,9 +109,13 @@ function findExistingSecureRequest(
   mobileHeaders,
   incomingQueryParams = null,
   incomingBody = null,
+  collectionId = null,
+  requestProto = null,
+  graphql = null,
 ) {
   // Check for recording config with match_query_params and match_body
-  const recordingConfig = getRecordingConfig(db, method, endpointPath);
+  const recordingConfig =
+    (graphql && getRecordingConfig(db, method, getOperationPath(endpointPath, graphql))) || getRecordingConfig(db, method, endpointPath);
   let matchQueryParams = null;
   let matchBodyFields = null;
 
@@ -135,8 +148,14 @@ function findExistingSecureRequest(
   // Get candidates with matching basic criteria
   // Include request_body for body field matching
   // NOTE: Handle user_id=null case properly - NULL comparisons need IS NULL in SQL
+  // GraphQL operations are separate endpoints: same operation and query (persisted hash while the query is unknown)
+  const graphqlCondition = !graphql
+    ? "graphql_operation IS NULL"
+    : graphql.queryHash
+      ? "graphql_operation = ? AND graphql_query_hash = ?"
+      : "graphql_operation = ? AND graphql_query_hash IS NULL AND graphql_persisted_hash = ?";
   const candidates = db.prepare(`
-    SELECT id, query_params, request_body FROM api_requests
+    SELECT id, method, query_params, request_headers, request_body, request_body_encoding FROM api_requests
     WHERE (user_id = ? OR (? IS NULL AND user_id IS NULL))
       AND endpoint_path = ?
       AND method = ?
@@ -145,6 +164,8 @@ function findExistingSecureRequest(
       AND app_environment = ?
       AND app_language = ?
       AND endpoint_type = 'secure'
+      AND collection_id IS ?
+      AND ${graphqlCondition}
   `);
 
   const candidateResults = candidates.all(
@@ -156,22 +177,31 @@ function findExistingSecureRequest(
     mobileHeaders.mobileVersion || "", // Use empty string if not found
     mobileHeaders.mobileEnvironment || "", // Use empty string if not found
     mobileHeaders.acceptLanguage || "en", // Default to "en" if not found
+    collectionId,
+    ...(graphql ? [graphql.operationName, graphql.queryHash || graphql.persistedHash] : []),
   );
 
+  // GraphQL GET parameters (query, variables...) are compared through the operation
+  if (graphql) {
+    incomingQueryParams = withoutGraphqlParams(incomingQueryParams);
+    normalizedQueryParamsJson = normalizeQueryParams(incomingQueryParams);
+  }
+  const candidateQueryParams = (candidate) => (graphql ? withoutGraphqlParams(candidate.query_params) : candidate.query_params);
+
   // Filter by query params first
   let filteredCandidates = [];
 
   if (matchQueryParams && matchQueryParams.length > 0) {
     // Partial matching mode for query params
     for (const candidate of candidateResults) {
-      if (compareQueryParamsPartial(incomingQueryParams || normalizedQueryParamsJson, candidate.query_params, matchQueryParams)) {
+      if (compareQueryParamsPartial(incomingQueryParams || normalizedQueryParamsJson, candidateQueryParams(candidate), matchQueryParams)) {
         filteredCandidates.push(candidate);
       }
     }
   } else {
     // Full matching mode for query params
     for (const candidate of candidateResults) {
-      if (compareQueryParams(candidate.query_params, normalizedQueryParamsJson)) {
+      if (compareQueryParams(candidateQueryParams(candidate), normalizedQueryParamsJson)) {
         filteredCandidates.push(candidate);
       }
     }
@@ -183,8 +213,15 @@ function findExistingSecureRequest(
 
   // Filter by body fields if match_body is configured
   if (matchBodyFields && matchBodyFields.length > 0) {
+    const protoRegistry = getProtoRegistry();
+    const toFields = (body) =>
+      requestProto && body ? protoRegistry.decodeFields(Buffer.isBuffer(body) ? body : Buffer.from(String(body), "utf8"), requestProto) : body;
+    const incomingFields = graphql ? getMatchableFields(graphql) : toFields(incomingBody);
     filteredCandidates = filteredCandidates.filter((candidate) => {
-      return compareBodyFields(incomingBody, candidate.request_body, matchBodyFields);
+      const candidateFields = graphql
+        ? getRecordedFields(candidate)
+        : toFields(decodeBody(candidate.request_body, candidate.request_body_encoding));
+      return compareBodyFields(incomingFields, candidateFields, matchBodyFields);
     });
   }
 
@@ -243,11 +280,14 @@ function findExistingSecureRequest(
  * @param {string} mobileHeaders.version - App version (ignored in matching)
  * @param {string} mobileHeaders.environment - sit/stage/dev/prod
  * @param {string} mobileHeaders.language - en/fr
+ * @param {string} mobileHeaders.appProfile - App profile that matched the request
  * @param {number} duration - Request duration in milliseconds
  * @param {string} correlationId - x-correlation-id for tracing
  * @param {string} traceabilityId - x-traceability-id for tracing
  * @param {string} endpointType - 'transmit', 'secure', or 'public' (default: 'secure')
- * @returns {Object} Created request object
+ * @param {string} host - Request host
+ * @param {number|null} collectionId - Collection to record into (default: the active collection)
+ * @returns {Object} Created request object (with response_id of the saved response)
  * @throws {Error} If save fails
  */
 async function saveSecureRequest(
@@ -264,6 +304,7 @@ async function saveSecureRequest(
   traceabilityId = null,
   endpointType = "secure",
   host = null,
+  collectionId = null,
 ) {
   try {
     const db = dbConnection.getDatabaseSync();
@@ -276,9 +317,13 @@ async function saveSecureRequest(
     const normalizedQueryParamsJson = normalizeQueryParams(queryParams);
 
     const headersJson = JSON.stringify(headers);
-    const bodyJson = serializeBody(body);
+    // Binary bodies (images, PDFs, protobuf...) are stored as base64 with an encoding marker
+    const { body: bodyJson, encoding: bodyEncoding } = encodeBody(body, getContentType(headers));
     const responseHeadersJson = response && response.headers ? JSON.stringify(response.headers) : null;
-    const responseBodyJson = serializeBody(response && response.body);
+    const { body: responseBodyJson, encoding: responseBodyEncoding } = encodeBody(
+      response && response.body,
+      getContentType(response && response.headers),
+    );
 
     // Calculate response body hash for deduplication
     const responseBodyHash = response && response.body ? crypto.hashResponseBody(response.body) : null;
@@ -294,6 +339,19 @@ async function saveSecureRequest(
     // Use ISO 8601 timestamp with timezone
     const createdAt = getLocalISOString();
 
+    // Locked collections are read-only
+    const collection = collectionId ? collectionRepository.getCollectionById(collectionId) : collectionRepository.getActiveCollection();
+    if (collectionId && !collection) {
+      throw new Error(`Collection ${collectionId} not found`);
+    }
+    if (collection && collection.locked) {
+      throw new Error(`Collection '${collection.name}' is locked`);
+    }
+    const targetCollectionId = collection ? collection.id : null;
+
+    // GraphQL operations are recorded as separate endpoints
+    const graphql = resolveGraphqlRequest(parseGraphqlRequest({ method, body, query: queryParams, headers }));
+
     // Check if a matching request already exists (using normalized query params for comparison)
     // Pass original queryParams for partial matching when recording config exists
     // Pass body for body field matching when recording config has match_body
@@ -306,9 +364,13 @@ async function saveSecureRequest(
       mobileHeaders,
       queryParams,
       body,
+      targetCollectionId,
+      getProtoRegistry().resolveMessageType({ method, path: endpointPath, headers, side: "request" }),
+      graphql,
     );
 
     let requestId;
+    let responseId = null;
 
     if (existingRequest) {
       // Update existing request
@@ -319,14 +381,30 @@ async function saveSecureRequest(
         SET
           query_params = ?,
           request_body = ?,
+          request_body_encoding = ?,
           request_headers = ?,
           correlation_id = ?,
           traceability_id = ?,
+          app_profile = COALESCE(?, app_profile),
+          graphql_query_hash = COALESCE(?, graphql_query_hash),
+          graphql_persisted_hash = COALESCE(?, graphql_persisted_hash),
           updated_at = ?
         WHERE id = ?
       `);
 
-      updateStmt.run(originalQueryParamsJson, bodyJson, headersJson, correlationId, traceabilityId, createdAt, requestId);
+      updateStmt.run(
+        originalQueryParamsJson,
+        bodyJson,
+        bodyEncoding,
+        headersJson,
+        correlationId,
+        traceabilityId,
+        mobileHeaders.appProfile || null,
+        graphql ? graphql.queryHash : null,
+        graphql ? graphql.persistedHash : null,
+        createdAt,
+        requestId,
+      );
 
       logger.info(`Secure request updated: ${endpointName} (ID: ${requestId})`);
     } else {
@@ -341,6 +419,7 @@ async function saveSecureRequest(
           query_params,
           request_headers,
           request_body,
+          request_body_encoding,
           app_platform,
           app_version,
           app_environment,
@@ -348,9 +427,14 @@ async function saveSecureRequest(
           endpoint_type,
           correlation_id,
           traceability_id,
+          app_profile,
+          graphql_operation,
+          graphql_query_hash,
+          graphql_persisted_hash,
+          collection_id,
           created_at,
           updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const result = stmt.run(
@@ -362,6 +446,7 @@ async function saveSecureRequest(
         originalQueryParamsJson,
         headersJson,
         bodyJson,
+        bodyEncoding,
         mobileHeaders.mobilePlatform || "", // Use empty string for unknown values
         mobileHeaders.mobileVersion || "", // Use empty string for unknown values
         mobileHeaders.mobileEnvironment || "", // Use empty string for unknown values
@@ -369,6 +454,11 @@ async function saveSecureRequest(
         "secure", // endpoint_type
         correlationId,
         traceabilityId,
+        mobileHeaders.appProfile || null,
+        graphql ? graphql.operationName : null,
+        graphql ? graphql.queryHash : null,
+        graphql ? graphql.persistedHash : null,
+        targetCollectionId,
         createdAt,
         createdAt,
       );
@@ -383,7 +473,8 @@ async function saveSecureRequest(
       const existingResponse = db
         .prepare(
           `
-        SELECT id, latency_ms, count FROM api_responses
+        SELECT id, api_request_id, response_status, response_body, response_body_encoding, response_body_hash, response_source, latency_ms, count
+        FROM api_responses
         WHERE api_request_id = ? AND response_status = ?
         LIMIT 1
       `,
@@ -391,6 +482,9 @@ async function saveSecureRequest(
         .get(requestId, response.status);
 
       if (existingResponse) {
+        // Keep the previous body if the backend response drifted
+        getDriftDetector().check(existingResponse, { body: responseBodyJson, encoding: responseBodyEncoding, hash: responseBodyHash });
+
         // Update existing response with weighted average latency calculation
         // Formula: new_latency = (old_latency * old_count + current_latency) / (old_count + 1)
         const oldLatency = existingResponse.latency_ms || 0;
@@ -402,9 +496,11 @@ async function saveSecureRequest(
           UPDATE api_responses
           SET
             response_body = ?,
+            response_body_encoding = ?,
             response_headers = ?,
             response_body_hash = ?,
             response_source = ?,
+            templated = 0,
             latency_ms = ?,
             count = ?,
             updated_at = ?
@@ -413,6 +509,7 @@ async function saveSecureRequest(
 
         updateResStmt.run(
           responseBodyJson,
+          responseBodyEncoding,
           responseHeadersJson,
           responseBodyHash,
           "backend",
@@ -421,6 +518,7 @@ async function saveSecureRequest(
           createdAt,
           existingResponse.id,
         );
+        responseId = existingResponse.id;
 
         logger.info(
           `Secure response updated with weighted average latency: ${endpointName} status ${response.status} (Response ID: ${existingResponse.id})`,
@@ -440,6 +538,7 @@ async function saveSecureRequest(
             response_status,
             response_headers,
             response_body,
+            response_body_encoding,
             response_body_hash,
             response_source,
             is_successful,
@@ -447,14 +546,15 @@ async function saveSecureRequest(
             latency_ms,
             created_at,
             updated_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
-        resStmt.run(
+        const resResult = resStmt.run(
           requestId,
           response.status,
           responseHeadersJson,
           responseBodyJson,
+          responseBodyEncoding,
           responseBodyHash,
           "backend",
           isSuccessful ? 1 : 0,
@@ -463,6 +563,7 @@ async function saveSecureRequest(
           createdAt,
           createdAt,
         );
+        responseId = resResult.lastInsertRowid;
 
         logger.info(`Secure response inserted: ${endpointName} status ${response.status}`);
       }
@@ -471,7 +572,8 @@ async function saveSecureRequest(
     // Cleanup old requests after insert
     // cleanupOldUserRequests(userId, endpointName, mobileHeaders);
 
-    return getRequestById(requestId);
+    const saved = getRequestById(requestId);
+    return saved ? { ...saved, response_id: responseId } : saved;
   } catch (error) {
     logger.error("Failed to save secure request:", error);
     throw new Error(`Failed to save secure request: ${error.message}`);
@@ -498,6 +600,7 @@ function getRequestById(requestId) {
         r.query_params,
         r.request_headers,
         r.request_body,
+        r.request_body_encoding,
         r.app_platform,
         r.app_version,
         r.app_environment,
@@ -508,6 +611,7 @@ function getRequestById(requestId) {
         resp.response_status,
         resp.response_headers,
         resp.response_body,
+        resp.response_body_encoding,
         resp.response_body_hash,
         resp.is_successful,
         resp.latency_ms as duration_ms
@@ -534,14 +638,16 @@ function getRequestById(requestId) {
  * Useful for manual data corrections or testing
  *
  * @param {number} requestId - Request ID
- * @param {Object} newResponseBody - New response body
+ * @param {Object|Buffer} newResponseBody - New response body (Buffers are stored as base64, e.g. re-encoded protobuf)
  * @returns {Object} Updated request object
  */
 function updateResponseBody(requestId, newResponseBody) {
   try {
     const db = dbConnection.getDatabaseSync();
 
-    const responseBodyJson = JSON.stringify(newResponseBody);
+    const { body: responseBodyJson, encoding: responseBodyEncoding } = Buffer.isBuffer(newResponseBody)
+      ? encodeBody(newResponseBody, "application/octet-stream")
+      : { body: JSON.stringify(newResponseBody), encoding: null };
     const responseBodyHash = crypto.hashResponseBody(newResponseBody);
     const updatedAt = getLocalISOString();
 
@@ -550,12 +656,13 @@ function updateResponseBody(requestId, newResponseBody) {
       UPDATE api_responses
       SET 
         response_body = ?,
+        response_body_encoding = ?,
         response_body_hash = ?,
         updated_at = ?
       WHERE api_request_id = ?
     `);
 
-    const result = stmt.run(responseBodyJson, responseBodyHash, updatedAt, requestId);
+    const result = stmt.run(responseBodyJson, responseBodyEncoding, responseBodyHash, updatedAt, requestId);
 
     if (result.changes === 0) {
       throw new Error(`Secure request ${requestId} not found`);
@@ -595,9 +702,10 @@ function parseRequestObject(request) {
       ...request,
       query_params: safeJsonParse(request.query_params, null),
       request_headers: safeJsonParse(request.request_headers, {}),
-      request_body: safeJsonParse(request.request_body, null),
+      // Binary bodies stay base64 (see request_body_encoding / response_body_encoding)
+      request_body: request.request_body_encoding ? request.request_body : safeJsonParse(request.request_body, null),
       response_headers: safeJsonParse(request.response_headers, {}),
-      response_body: safeJsonParse(request.response_body, null),
+      response_body: request.response_body_encoding ? request.response_body : safeJsonParse(request.response_body, null),
     };
   } catch (error) {
     // Fallback: if even the safe parsing fails, return original object
@@ -136,7 +136,9 @@ class StatsRepository {
           COUNT(*) as total_requests,
           SUM(CASE WHEN response_status >= 200 AND response_status < 300 THEN 1 ELSE 0 END) as successful_requests,
           SUM(CASE WHEN response_status < 200 OR response_status >= 300 THEN 1 ELSE 0 END) as failed_requests,
-          CAST(AVG(latency_ms) AS INTEGER) as avg_duration_ms
+          CAST(AVG(latency_ms) AS INTEGER) as avg_duration_ms,
+          SUM(CASE WHEN fault_type IS NOT NULL THEN 1 ELSE 0 END) as injected_faults,
+          SUM(CASE WHEN schema_violations > 0 THEN 1 ELSE 0 END) as contract_violations
         FROM stats WHERE 1=1
       `;
       const params = [];
@@ -182,6 +184,11 @@ class StatsRepository {
         params.push(filters.mobilePlatform);
       }
 
+      if (filters.appProfile) {
+        sql += " AND app_profile = ?";
+        params.push(filters.appProfile);
+      }
+
       const stmt = database.prepare(sql);
       const result = stmt.get(...params);
 
@@ -191,6 +198,8 @@ class StatsRepository {
         failed_requests: result.failed_requests || 0,
         success_rate: result.total_requests > 0 ? ((result.successful_requests / result.total_requests) * 100).toFixed(2) : 0,
         avg_duration_ms: result.avg_duration_ms || 0,
+        injected_faults: result.injected_faults || 0,
+        contract_violations: result.contract_violations || 0,
       };
     } catch (error) {
       logger.error("Failed to get aggregated statistics:", error);
@@ -210,10 +219,12 @@ class StatsRepository {
         SELECT 
           endpoint_path,
           method,
+          graphql_operation,
           COUNT(*) as total_requests,
           SUM(CASE WHEN response_status >= 200 AND response_status < 300 THEN 1 ELSE 0 END) as successful_requests,
           SUM(CASE WHEN response_status < 200 OR response_status >= 300 THEN 1 ELSE 0 END) as failed_requests,
-          CAST(AVG(latency_ms) AS INTEGER) as avg_duration_ms
+          CAST(AVG(latency_ms) AS INTEGER) as avg_duration_ms,
+          SUM(CASE WHEN schema_violations > 0 THEN 1 ELSE 0 END) as contract_violations
         FROM stats WHERE 1=1
       `;
       const params = [];
@@ -254,7 +265,13 @@ class StatsRepository {
         params.push(filters.appPlatform);
       }
 
-      sql += " GROUP BY endpoint_path, method ORDER BY total_requests DESC";
+      if (filters.appProfile) {
+        sql += " AND app_profile = ?";
+        params.push(filters.appProfile);
+      }
+
+      // GraphQL operations behind one endpoint are reported separately
+      sql += " GROUP BY endpoint_path, method, graphql_operation ORDER BY total_requests DESC";
 
       const stmt = database.prepare(sql);
       return stmt.all(...params);
@@ -307,6 +324,11 @@ class StatsRepository {
         }
       }
 
+      if (filters.appProfile) {
+        sql += " AND app_profile = ?";
+        params.push(filters.appProfile);
+      }
+
       sql += " GROUP BY app_platform";
 
       const database = db.getDatabase();
@@ -369,6 +391,11 @@ class StatsRepository {
         }
       }
 
+      if (filters.appProfile) {
+        sql += " AND app_profile = ?";
+        params.push(filters.appProfile);
+      }
+
       sql += " GROUP BY app_environment";
 
       const database = db.getDatabase();
@@ -388,6 +415,135 @@ class StatsRepository {
     }
   }
 
+  /**
+   * Get statistics grouped by app profile
+   * @param {Object} filters - Filter parameters
+   * @returns {Array} Stats by app profile
+   */
+  getStatsByProfile(filters = {}) {
+    try {
+      let sql = `
+        SELECT 
+          app_profile,
+          COUNT(*) as total_requests,
+          SUM(CASE WHEN response_status >= 200 AND response_status < 300 THEN 1 ELSE 0 END) as successful_requests,
+          SUM(CASE WHEN response_status < 200 OR response_status >= 300 THEN 1 ELSE 0 END) as failed_requests
+        FROM stats WHERE 1=1
+      `;
+      const params = [];
+
+      // Use full timestamp for short windows, date-only for longer windows
+      const shortTimeWindows = ["15m", "30m", "1h", "2h", "4h"];
+      const useFullTimestamp = shortTimeWindows.includes(filters.timeWindow);
+
+      if (filters.startDate) {
+        if (useFullTimestamp) {
+          sql += " AND created_at >= ?";
+          params.push(filters.startDate);
+        } else {
+          sql += " AND created_at >= ?";
+          const startDateStr = filters.startDate.split("T")[0];
+          params.push(startDateStr);
+        }
+      }
+
+      if (filters.endDate) {
+        if (useFullTimestamp) {
+          sql += " AND created_at < ?";
+          params.push(filters.endDate);
+        } else {
+          sql += " AND created_at < date(?, '+1 day')";
+          const endDateStr = filters.endDate.split("T")[0];
+          params.push(endDateStr);
+        }
+      }
+
+      if (filters.appProfile) {
+        sql += " AND app_profile = ?";
+        params.push(filters.appProfile);
+      }
+
+      sql += " GROUP BY app_profile";
+
+      const database = db.getDatabase();
+      const stmt = database.prepare(sql);
+      const results = stmt.all(...params);
+
+      // Return as array for easier consumption in frontend
+      return results.map((row) => ({
+        app_profile: row.app_profile,
+        total_requests: row.total_requests,
+        successful_requests: row.successful_requests,
+        failed_requests: row.failed_requests,
+      }));
+    } catch (error) {
+      logger.error("Failed to get stats by app profile:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get statistics grouped by negotiated protocol (app to proxy and proxy to backend)
+   * @param {Object} filters - Filter parameters
+   * @returns {Array} Stats by protocol and upstream protocol
+   */
+  getStatsByProtocol(filters = {}) {
+    try {
+      let sql = `
+        SELECT 
+          protocol,
+          upstream_protocol,
+          COUNT(*) as total_requests,
+          SUM(CASE WHEN response_status >= 200 AND response_status < 300 THEN 1 ELSE 0 END) as successful_requests,
+          SUM(CASE WHEN response_status < 200 OR response_status >= 300 THEN 1 ELSE 0 END) as failed_requests,
+          CAST(AVG(latency_ms) AS INTEGER) as avg_duration_ms
+        FROM stats WHERE 1=1
+      `;
+      const params = [];
+
+      // Use full timestamp for short windows, date-only for longer windows
+      const shortTimeWindows = ["15m", "30m", "1h", "2h", "4h"];
+      const useFullTimestamp = shortTimeWindows.includes(filters.timeWindow);
+
+      if (filters.startDate) {
+        sql += " AND created_at >= ?";
+        params.push(useFullTimestamp ? filters.startDate : filters.startDate.split("T")[0]);
+      }
+
+      if (filters.endDate) {
+        if (useFullTimestamp) {
+          sql += " AND created_at < ?";
+          params.push(filters.endDate);
+        } else {
+          sql += " AND created_at < date(?, '+1 day')";
+          params.push(filters.endDate.split("T")[0]);
+        }
+      }
+
+      if (filters.appProfile) {
+        sql += " AND app_profile = ?";
+        params.push(filters.appProfile);
+      }
+
+      sql += " GROUP BY protocol, upstream_protocol ORDER BY total_requests DESC";
+
+      const database = db.getDatabase();
+      const results = database.prepare(sql).all(...params);
+
+      return results.map((row) => ({
+        protocol: row.protocol,
+        upstream_protocol: row.upstream_protocol,
+        total_requests: row.total_requests,
+        successful_requests: row.successful_requests,
+        failed_requests: row.failed_requests,
+        avg_duration_ms: row.avg_duration_ms || 0,
+      }));
+    } catch (error) {
+      logger.error("Failed to get stats by protocol:", error);
+      throw error;
+    }
+  }
+
   /**
    * Get time series data for requests over a time period
    * Aggregates request data by time intervals from stats table
@@ -0,0 +1,196 @@
+/**
+ * TLS Profile Repository
+ *
+ * Handles CRUD operations for per-host TLS profiles of backend connections.
+ * Private keys, PKCS#12 bundles and passphrases are stored encrypted (utils/crypto).
+ *
+ * @module repositories/tls_profile_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+const { encrypt } = require("../../utils/crypto");
+
+const CLIENT_CERT_TYPES = ["pem", "pkcs12"];
+const TLS_VERSIONS = ["TLSv1", "TLSv1.1", "TLSv1.2", "TLSv1.3"];
+
+const COLUMNS = [
+  "name",
+  "description",
+  "match_host",
+  "verify",
+  "ca_bundle",
+  "client_cert_type",
+  "client_cert",
+  "client_key_encrypted",
+  "client_pfx_encrypted",
+  "passphrase_encrypted",
+  "servername",
+  "min_version",
+  "priority",
+  "enabled",
+];
+
+/**
+ * Convert a profile row to API format (encrypted fields are kept, see tls.js maskProfile)
+ * @param {Object} row - Database row
+ * @returns {Object|null} Profile
+ */
+function parseProfile(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    verify: row.verify === null ? null : !!row.verify,
+    enabled: !!row.enabled,
+  };
+}
+
+/**
+ * Resolve a secret column: a string replaces the stored value (encrypted), "" or null removes it, undefined keeps it
+ * @param {string|null|undefined} plaintext - New secret
+ * @param {string|null} stored - Stored encrypted value
+ * @returns {string|null} Encrypted value
+ */
+function toSecret(plaintext, stored) {
+  if (plaintext === undefined) return stored || null;
+  return plaintext ? encrypt(plaintext) : null;
+}
+
+/**
+ * Build column values for insert/update
+ * Secrets are given in plaintext (client_key, client_pfx, passphrase) and stored encrypted
+ * @param {Object} data - Profile data
+ * @returns {Array} Values in COLUMNS order
+ */
+function toValues(data) {
+  const certType = data.client_cert_type || null;
+  const optional = (value) => (value === undefined || value === null || value === "" ? null : value);
+
+  return [
+    data.name,
+    optional(data.description),
+    String(data.match_host).trim().toLowerCase(),
+    data.verify === undefined || data.verify === null || data.verify === "" ? null : data.verify ? 1 : 0,
+    optional(data.ca_bundle),
+    certType,
+    // Material of the other certificate type (or of none) is dropped
+    certType === "pem" ? optional(data.client_cert) : null,
+    certType === "pem" ? toSecret(data.client_key, data.client_key_encrypted) : null,
+    certType === "pkcs12" ? toSecret(data.client_pfx, data.client_pfx_encrypted) : null,
+    certType ? toSecret(data.passphrase, data.passphrase_encrypted) : null,
+    optional(data.servername),
+    optional(data.min_version),
+    data.priority || 0,
+    data.enabled === false ? 0 : 1,
+  ];
+}
+
+/**
+ * Get all TLS profiles ordered by priority
+ * @param {boolean} enabledOnly - Only return enabled profiles
+ * @returns {Array<Object>} Profiles
+ */
+function getAllProfiles(enabledOnly = false) {
+  try {
+    const db = dbConnection.getDatabase();
+    const where = enabledOnly ? "WHERE enabled = 1" : "";
+    return db.prepare(`SELECT * FROM tls_profiles ${where} ORDER BY priority ASC, id ASC`).all().map(parseProfile);
+  } catch (error) {
+    logger.error("Failed to get TLS profiles:", error);
+    throw new Error(`Failed to get TLS profiles: ${error.message}`);
+  }
+}
+
+/**
+ * Get TLS profile by ID
+ * @param {number} id - Profile ID
+ * @returns {Object|null} Profile or null if not found
+ */
+function getProfileById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return parseProfile(db.prepare("SELECT * FROM tls_profiles WHERE id = ?").get(id));
+  } catch (error) {
+    logger.error("Failed to get TLS profile:", error);
+    throw new Error(`Failed to get TLS profile: ${error.message}`);
+  }
+}
+
+/**
+ * Create a TLS profile
+ * @param {Object} data - Profile data
+ * @returns {Object} Created profile
+ * @throws {Error} If creation fails
+ */
+function createProfile(data) {
+  try {
+    const db = dbConnection.getDatabase();
+    const now = getLocalISOString();
+
+    const result = db
+      .prepare(
+        `INSERT INTO tls_profiles (${COLUMNS.join(", ")}, created_at, updated_at)
+         VALUES (${COLUMNS.map(() => "?").join(", ")}, ?, ?)`,
+      )
+      .run(...toValues(data), now, now);
+
+    logger.info(`TLS profile created: ${data.name} (ID: ${result.lastInsertRowid})`);
+    return getProfileById(result.lastInsertRowid);
+  } catch (error) {
+    logger.error("Failed to create TLS profile:", error);
+    throw new Error(`Failed to create TLS profile: ${error.message}`);
+  }
+}
+
+/**
+ * Update a TLS profile (only provided fields are changed, omitted secrets are kept)
+ * @param {number} id - Profile ID
+ * @param {Object} data - Fields to update
+ * @returns {Object|null} Updated profile or null if not found
+ * @throws {Error} If update fails
+ */
+function updateProfile(id, data) {
+  try {
+    const existing = getProfileById(id);
+    if (!existing) return null;
+
+    const db = dbConnection.getDatabase();
+    db.prepare(
+      `UPDATE tls_profiles
+       SET ${COLUMNS.map((col) => `${col} = ?`).join(", ")}, updated_at = ?
+       WHERE id = ?`,
+    ).run(...toValues({ ...existing, ...data }), getLocalISOString(), id);
+
+    logger.info(`TLS profile updated: ID ${id}`);
+    return getProfileById(id);
+  } catch (error) {
+    logger.error("Failed to update TLS profile:", error);
+    throw new Error(`Failed to update TLS profile: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a TLS profile
+ * @param {number} id - Profile ID
+ * @returns {boolean} True if deleted
+ */
+function deleteProfile(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM tls_profiles WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete TLS profile:", error);
+    throw new Error(`Failed to delete TLS profile: ${error.message}`);
+  }
+}
+
+module.exports = {
+  CLIENT_CERT_TYPES,
+  TLS_VERSIONS,
+  getAllProfiles,
+  getProfileById,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+};
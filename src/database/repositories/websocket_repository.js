@@ -0,0 +1,245 @@
+/**
+ * WebSocket Repository
+ *
+ * Handles WebSocket connections recorded in RECORDING mode and their frames.
+ *
+ * @module repositories/websocket_repository
+ */
+
+const dbConnection = require("../connection");
+const logger = require("../../utils/logger");
+const { getLocalISOString } = require("../../utils/datetimeUtils");
+const { compareQueryParams } = require("../../utils/jsonUtils");
+const { OPCODES } = require("../../utils/websocketFrames");
+
+/**
+ * Parse a JSON column
+ * @param {string|null} value - Column value
+ * @returns {*} Parsed value or null
+ */
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Convert a connection row to API format
+ * @param {Object} row - Database row
+ * @returns {Object|null} Connection (JSON columns parsed)
+ */
+function parseConnection(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    query_params: parseJson(row.query_params),
+    request_headers: parseJson(row.request_headers) || {},
+    response_headers: parseJson(row.response_headers),
+  };
+}
+
+/**
+ * Convert a frame row to API format
+ * @param {Object} row - Database row
+ * @returns {Object} Frame ({ ..., data: Buffer } with the raw payload)
+ */
+function parseFrame(row) {
+  const data = row.payload_encoding === "base64" ? Buffer.from(row.payload || "", "base64") : Buffer.from(row.payload || "", "utf8");
+  return { ...row, fin: row.fin === 1, data };
+}
+
+/**
+ * Create a connection when its handshake completes
+ * @param {Object} data - { host, endpointPath, queryParams, requestHeaders, responseHeaders, appPlatform, appVersion,
+ *   appEnvironment, appLanguage, appProfile, collectionId }
+ * @returns {number} Connection ID
+ */
+function createConnection(data) {
+  try {
+    const db = dbConnection.getDatabase();
+    const result = db
+      .prepare(
+        `INSERT INTO websocket_connections (
+          host, endpoint_path, query_params, request_headers, response_headers,
+          app_platform, app_version, app_environment, app_language, app_profile, collection_id, started_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        data.host,
+        data.endpointPath,
+        data.queryParams && Object.keys(data.queryParams).length > 0 ? JSON.stringify(data.queryParams) : null,
+        JSON.stringify(data.requestHeaders || {}),
+        data.responseHeaders ? JSON.stringify(data.responseHeaders) : null,
+        data.appPlatform || null,
+        data.appVersion || null,
+        data.appEnvironment || null,
+        data.appLanguage || null,
+        data.appProfile || null,
+        data.collectionId || null,
+        getLocalISOString()
+      );
+    return result.lastInsertRowid;
+  } catch (error) {
+    logger.error("Failed to create WebSocket connection:", error);
+    throw new Error(`Failed to create WebSocket connection: ${error.message}`);
+  }
+}
+
+/**
+ * Add a frame to a connection
+ * @param {number} connectionId - Connection ID
+ * @param {Object} frame - { direction: "client" | "server", opcode, fin, payload: Buffer, offsetMs }
+ */
+function addFrame(connectionId, frame) {
+  try {
+    const db = dbConnection.getDatabase();
+    const text = frame.opcode === OPCODES.TEXT;
+    db.prepare(
+      `INSERT INTO websocket_frames (connection_id, direction, opcode, fin, payload, payload_encoding, offset_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      connectionId,
+      frame.direction,
+      frame.opcode,
+      frame.fin === false ? 0 : 1,
+      text ? frame.payload.toString("utf8") : frame.payload.toString("base64"),
+      text ? null : "base64",
+      Math.max(0, Math.round(frame.offsetMs))
+    );
+  } catch (error) {
+    logger.error("Failed to add WebSocket frame:", error);
+    throw new Error(`Failed to add WebSocket frame: ${error.message}`);
+  }
+}
+
+/**
+ * Mark a connection as closed
+ * @param {number} connectionId - Connection ID
+ * @param {number|null} closeCode - Code of the first close frame, null if the connection dropped
+ */
+function closeConnection(connectionId, closeCode = null) {
+  try {
+    const db = dbConnection.getDatabase();
+    db.prepare("UPDATE websocket_connections SET close_code = ?, ended_at = ? WHERE id = ? AND ended_at IS NULL").run(
+      closeCode,
+      getLocalISOString(),
+      connectionId
+    );
+  } catch (error) {
+    logger.error("Failed to close WebSocket connection:", error);
+    throw new Error(`Failed to close WebSocket connection: ${error.message}`);
+  }
+}
+
+/**
+ * Get recorded connections
+ * @param {Object} filters - { host, path (substring), collectionId, limit = 200 }
+ * @returns {Array<Object>} Connections with frame_count (latest first)
+ */
+function getConnections(filters = {}) {
+  try {
+    const db = dbConnection.getDatabase();
+    const conditions = [];
+    const params = [];
+    if (filters.host) {
+      conditions.push("c.host = ?");
+      params.push(filters.host);
+    }
+    if (filters.path) {
+      conditions.push("c.endpoint_path LIKE ?");
+      params.push(`%${filters.path}%`);
+    }
+    if (filters.collectionId) {
+      conditions.push("c.collection_id = ?");
+      params.push(filters.collectionId);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    params.push(filters.limit || 200);
+
+    return db
+      .prepare(
+        `SELECT c.*, (SELECT COUNT(*) FROM websocket_frames f WHERE f.connection_id = c.id) AS frame_count
+         FROM websocket_connections c ${where}
+         ORDER BY c.started_at DESC, c.id DESC LIMIT ?`
+      )
+      .all(...params)
+      .map(parseConnection);
+  } catch (error) {
+    logger.error("Failed to get WebSocket connections:", error);
+    throw new Error(`Failed to get WebSocket connections: ${error.message}`);
+  }
+}
+
+/**
+ * Get connection by ID with its frames
+ * @param {number} id - Connection ID
+ * @returns {Object|null} Connection ({ ..., frames }) or null if not found
+ */
+function getConnectionById(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    const connection = parseConnection(db.prepare("SELECT * FROM websocket_connections WHERE id = ?").get(id));
+    if (!connection) return null;
+    connection.frames = db.prepare("SELECT * FROM websocket_frames WHERE connection_id = ? ORDER BY id ASC").all(id).map(parseFrame);
+    return connection;
+  } catch (error) {
+    logger.error("Failed to get WebSocket connection:", error);
+    throw new Error(`Failed to get WebSocket connection: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a connection and its frames
+ * @param {number} id - Connection ID
+ * @returns {boolean} True if deleted
+ */
+function deleteConnection(id) {
+  try {
+    const db = dbConnection.getDatabase();
+    return db.prepare("DELETE FROM websocket_connections WHERE id = ?").run(id).changes > 0;
+  } catch (error) {
+    logger.error("Failed to delete WebSocket connection:", error);
+    throw new Error(`Failed to delete WebSocket connection: ${error.message}`);
+  }
+}
+
+/**
+ * Find the recording to replay for a socket opened in REPLAY mode: the latest connection to the same path
+ * in the collection, preferring the same host, then the same query params
+ * @param {Object} criteria - { host, endpointPath, queryParams, collectionId }
+ * @returns {Object|null} Connection with frames, or null when none was recorded
+ */
+function findReplayConnection({ host, endpointPath, queryParams, collectionId }) {
+  try {
+    const db = dbConnection.getDatabase();
+    const candidates = db
+      .prepare(
+        `SELECT id, host, query_params FROM websocket_connections
+         WHERE endpoint_path = ? AND collection_id IS ? AND ended_at IS NOT NULL
+         ORDER BY started_at DESC, id DESC`
+      )
+      .all(endpointPath, collectionId || null);
+    if (candidates.length === 0) return null;
+
+    const score = (candidate) =>
+      (candidate.host === host ? 2 : 0) + (compareQueryParams(candidate.query_params, queryParams || null) ? 1 : 0);
+    const best = candidates.reduce((found, candidate) => (score(candidate) > score(found) ? candidate : found));
+    return getConnectionById(best.id);
+  } catch (error) {
+    logger.error("Failed to find WebSocket recording:", error);
+    throw new Error(`Failed to find WebSocket recording: ${error.message}`);
+  }
+}
+
+module.exports = {
+  createConnection,
+  addFrame,
+  closeConnection,
+  getConnections,
+  getConnectionById,
+  deleteConnection,
+  findReplayConnection,
+};
@@ -70,16 +70,23 @@ CREATE TABLE IF NOT EXISTS api_requests (
     endpoint_type TEXT,                    -- 'public' for public endpoints, 'secure' for secure endpoints
     query_params TEXT,                     -- JSON serialized
     request_headers TEXT NOT NULL,         -- JSON serialized
-    request_body TEXT,                     -- JSON serialized
+    request_body TEXT,                     -- JSON serialized (base64 when request_body_encoding = 'base64')
+    request_body_encoding TEXT,            -- 'base64' for binary bodies, NULL for JSON/text
     app_platform TEXT,                     -- android, ios, etc
     app_version TEXT,                      -- App version (e.g., 1.0.0)
     app_environment TEXT,                  -- sit, stage, dev, prod, etc
     app_language TEXT,                     -- en, fr, etc
     correlation_id TEXT,                   -- x-correlation-id header for tracing
     traceability_id TEXT,                  -- x-traceability-id header for tracing
+    app_profile TEXT,                      -- App profile that matched the request ('default' or a named profile), NULL for older recordings
+    graphql_operation TEXT,                -- GraphQL operation name ('anonymous' if unnamed), NULL for non-GraphQL requests
+    graphql_query_hash TEXT,               -- SHA-256 of the normalized GraphQL query document
+    graphql_persisted_hash TEXT,           -- Persisted query hash (extensions.persistedQuery.sha256Hash), resolves hash-only requests
+    collection_id INTEGER,                 -- Recording collection (see collections table)
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE
 );
 
 -- Index for public endpoint queries (by version, env, platform, language)
@@ -146,6 +153,30 @@ CREATE INDEX IF NOT EXISTS idx_api_requests_user ON api_requests(user_id, create
 CREATE INDEX IF NOT EXISTS idx_api_requests_correlation ON api_requests(correlation_id);
 -- Note: is_successful is in api_responses table, not api_requests
 
+-- ============================================================================
+-- COLLECTIONS TABLE
+-- Named sets of recordings (e.g. "release-6.9 regression"); every api_requests row belongs to one
+-- Recording writes into the active collection; replay searches the replay stack in order
+-- (falling back to the next collection when nothing matches), or the active collection if the stack is empty
+-- Locked collections are read-only (no recording, no response edits)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    locked BOOLEAN NOT NULL DEFAULT 0,       -- Read-only
+    active BOOLEAN NOT NULL DEFAULT 0,       -- Recording target (exactly one collection)
+    replay_order INTEGER,                    -- Position in the replay stack (lower first), NULL = not in the stack
+    created_by TEXT,                         -- Console user who created the collection
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+);
+
+-- Recordings made before collections existed belong to the "default" collection
+INSERT INTO collections (name, description, active)
+SELECT 'default', 'Recordings made before collections were introduced', 1
+WHERE NOT EXISTS (SELECT 1 FROM collections);
+
 -- ============================================================================
 -- API_RESPONSES TABLE
 -- Used ONLY in RECORDING mode (write) and REPLAY mode (read)
@@ -156,13 +187,15 @@ CREATE TABLE IF NOT EXISTS api_responses (
     api_request_id INTEGER NOT NULL,
     response_status INTEGER NOT NULL,
     response_headers TEXT NOT NULL DEFAULT '{}',  -- JSON serialized
-    response_body TEXT,                          -- JSON, text, or NULL
+    response_body TEXT,                          -- JSON, text, base64 (see response_body_encoding), or NULL
+    response_body_encoding TEXT,                 -- 'base64' for binary bodies (images, PDFs, protobuf), NULL for JSON/text
     response_body_hash TEXT,                     -- SHA256 hash for deduplication
     response_source TEXT NOT NULL DEFAULT 'backend' CHECK(response_source IN ('backend', 'dproxy', 'custom')),
     is_successful BOOLEAN NOT NULL DEFAULT 0,  -- response_status >= 200 and < 300
     template_id INTEGER,                         -- Reference to dproxy_response_templates (for dproxy responses)
     count INTEGER NOT NULL DEFAULT 1,            -- Number of times this response has been recorded (for weighted average latency)
     latency_ms INTEGER,                          -- Response time in milliseconds
+    templated BOOLEAN NOT NULL DEFAULT 0,        -- Render {{placeholders}} in body/headers at replay time
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (api_request_id) REFERENCES api_requests(id) ON DELETE CASCADE,
@@ -176,6 +209,122 @@ CREATE INDEX IF NOT EXISTS idx_api_responses_template_id ON api_responses(templa
 CREATE INDEX IF NOT EXISTS idx_api_responses_created_at ON api_responses(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_api_responses_is_successful ON api_responses(is_successful);
 
+-- ============================================================================
+-- RESPONSE_HISTORY TABLE
+-- Response drift: when RECORDING mode receives a different backend body for a recorded response
+-- (same request key and status), the previous body is kept here with a structural diff to the new one
+-- Changes to ignored paths only (proxy config drift.ignorePaths, e.g. timestamps) are not drift
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS response_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    api_response_id INTEGER NOT NULL,
+    api_request_id INTEGER NOT NULL,
+    response_status INTEGER NOT NULL,
+    response_body TEXT,                          -- Previous body
+    response_body_hash TEXT,                     -- Hash of the previous body
+    new_body_hash TEXT,                          -- Hash of the body that replaced it
+    changes TEXT NOT NULL DEFAULT '[]',          -- JSON: [{ path, type: added|removed|type_changed|changed, before, after }]
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- When the change was recorded (ISO 8601 with timezone offset)
+    FOREIGN KEY (api_response_id) REFERENCES api_responses(id) ON DELETE CASCADE,
+    FOREIGN KEY (api_request_id) REFERENCES api_requests(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_response_history_response ON response_history(api_response_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_response_history_request ON response_history(api_request_id);
+CREATE INDEX IF NOT EXISTS idx_response_history_created_at ON response_history(created_at DESC);
+
+-- ============================================================================
+-- ENDPOINT_SCHEMAS TABLE
+-- Response contracts: a JSON Schema per response status, inferred from the recorded backend responses
+-- of an endpoint (all variants merged). Paths are templates, identifier segments become {id}, {id2}, ...
+-- PASSTHROUGH and RECORDING modes validate live backend responses against them (stats.schema_violations)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS endpoint_schemas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    host TEXT NOT NULL,                      -- Hostname (with port if not default), e.g. api.example.com
+    method TEXT NOT NULL,
+    endpoint_pattern TEXT NOT NULL,          -- Path template, e.g. /api/users/{id}
+    schemas TEXT NOT NULL DEFAULT '{}',      -- JSON: { "<status>": <JSON Schema> }
+    sample_count INTEGER NOT NULL DEFAULT 0, -- Recorded responses the schemas were inferred from
+    validate BOOLEAN NOT NULL DEFAULT 1,     -- Validate live responses against the schemas
+    inferred_at DATETIME,                    -- Last inference (ISO 8601 with timezone offset)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(host, method, endpoint_pattern)
+);
+
+-- ============================================================================
+-- MOCK_SPECS TABLE
+-- Imported OpenAPI 3 documents. With the replay fallback "openapi", requests without a recording
+-- get a response synthesized from the matching operation (examples first, then generated from schemas)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS mock_specs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    host TEXT,                               -- Only serve this hostname (NULL = hosts of the spec servers, or any host)
+    spec TEXT NOT NULL,                      -- OpenAPI document (JSON)
+    enabled BOOLEAN NOT NULL DEFAULT 1,
+    created_by TEXT,                         -- Console user who imported the spec
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- PROTO_DESCRIPTORS TABLE
+-- Uploaded .proto files used to decode application/x-protobuf and gRPC-Web bodies (display, match_body, editing).
+-- Message types come from gRPC paths (/package.Service/Method), the messageType parameter of the
+-- Content-Type, or the bindings of the descriptor
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS proto_descriptors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    source TEXT NOT NULL,                    -- .proto file content
+    bindings TEXT,                           -- JSON array of { method, path, request, response } (path template, message type names)
+    created_by TEXT,                         -- Console user who uploaded the descriptor
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- WEBSOCKET_CONNECTIONS / WEBSOCKET_FRAMES TABLES
+-- WebSocket connections recorded in RECORDING mode, with their frames in both directions.
+-- REPLAY mode plays the server frames of the latest matching connection back with their timing
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS websocket_connections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    host TEXT NOT NULL,                      -- Request host, e.g. wss://chat.example.com
+    endpoint_path TEXT NOT NULL,             -- Path without query params, e.g. /ws/quotes
+    query_params TEXT,                       -- JSON serialized
+    request_headers TEXT NOT NULL,           -- JSON serialized handshake request headers
+    response_headers TEXT,                   -- JSON serialized handshake response headers (101 Switching Protocols)
+    app_platform TEXT,
+    app_version TEXT,
+    app_environment TEXT,
+    app_language TEXT,
+    app_profile TEXT,
+    collection_id INTEGER,                   -- Recording collection (see collections table)
+    close_code INTEGER,                      -- Close code of the first close frame, NULL if the connection dropped
+    started_at DATETIME NOT NULL,            -- ISO 8601 format with timezone offset
+    ended_at DATETIME,                       -- NULL while the connection is open
+    FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_websocket_connections_path ON websocket_connections(endpoint_path, collection_id, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS websocket_frames (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    connection_id INTEGER NOT NULL,
+    direction TEXT NOT NULL CHECK(direction IN ('client', 'server')),  -- client = sent by the app, server = sent by the backend
+    opcode INTEGER NOT NULL,                 -- 0 continuation, 1 text, 2 binary, 8 close, 9 ping, 10 pong
+    fin INTEGER NOT NULL DEFAULT 1,          -- 0 for all but the last frame of a fragmented message
+    payload TEXT,                            -- Text frames as is, other frames base64 (payload_encoding = 'base64')
+    payload_encoding TEXT,
+    offset_ms INTEGER NOT NULL,              -- Time since the connection was opened
+    FOREIGN KEY (connection_id) REFERENCES websocket_connections(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_websocket_frames_connection ON websocket_frames(connection_id, id);
+
 -- ============================================================================
 -- DPROXY_RESPONSE_TEMPLATES TABLE
 -- Templates for custom responses in REPLAY mode
@@ -194,7 +343,7 @@ CREATE TABLE IF NOT EXISTS dproxy_response_templates (
 
 -- ============================================================================
 -- STATS TABLE
--- Traffic statistics for PASSTHROUGH and RECORDING modes
+-- Traffic statistics for PASSTHROUGH and RECORDING modes (and injected faults in REPLAY mode)
 -- Records individual request/response statistics for monitored traffic
 -- Used for dashboard analytics and traffic monitoring
 -- Note: api_requests and api_responses tables are ONLY used in RECORDING (write) and REPLAY (read) modes
@@ -211,6 +360,12 @@ CREATE TABLE IF NOT EXISTS stats (
     response_status INTEGER NOT NULL,
     response_length INTEGER NOT NULL,   -- response content length
     latency_ms INTEGER,                 -- Response time in milliseconds
+    fault_type TEXT,                    -- Injected fault (status, timeout, reset, truncate, throttle), NULL if none; response_status is 0 when no response was sent
+    app_profile TEXT,                   -- App profile that matched the request ('default' or a named profile)
+    schema_violations INTEGER,          -- Response contract violations (see endpoint_schemas), NULL if the response was not validated
+    graphql_operation TEXT,             -- GraphQL operation name, NULL for non-GraphQL requests
+    protocol TEXT,                      -- Protocol between app and proxy: h2, http/1.1 (NULL for stats recorded before it was tracked)
+    upstream_protocol TEXT,             -- Protocol between proxy and backend: h2, http/1.1; NULL when no backend was called
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
 );
 
@@ -285,6 +440,242 @@ CREATE INDEX IF NOT EXISTS idx_endpoint_config_regex ON endpoint_matching_config
 -- Note: Trigger for updated_at is removed as SQLite doesn't support function calls in triggers
 -- Application code must handle updated_at updates explicitly using getLocalISOString()
 
+-- ============================================================================
+-- SCENARIOS TABLES
+-- State machines for REPLAY mode: the same endpoint can return different recorded
+-- responses depending on the scenario state (e.g. empty cart -> cart with 1 item)
+-- State is tracked per proxy session (DPSESSION), or 'global' for requests without one
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS scenarios (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    initial_state TEXT NOT NULL DEFAULT 'Started',  -- State of a session that has not hit any step yet
+    enabled BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+);
+
+CREATE TABLE IF NOT EXISTS scenario_steps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scenario_id INTEGER NOT NULL,
+    step_order INTEGER NOT NULL DEFAULT 0,   -- Evaluation order within the scenario (lower first)
+    regex BOOLEAN DEFAULT 0,                 -- Same semantics as endpoint_matching_config.regex
+    endpoint_pattern TEXT NOT NULL,          -- e.g., '/api/cart', '/api/cart/:id', '/api/orders/*'
+    http_method TEXT NOT NULL DEFAULT '*' CHECK(http_method IN ('GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'HEAD', '*')),
+    required_state TEXT,                     -- Step applies only in this state, NULL = any state
+    next_state TEXT,                         -- State after the step is hit, NULL = keep current state
+    api_response_id INTEGER,                 -- Recorded response to return, NULL = only transition (normal matching responds)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (scenario_id) REFERENCES scenarios(id) ON DELETE CASCADE,
+    FOREIGN KEY (api_response_id) REFERENCES api_responses(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scenario_steps_scenario ON scenario_steps(scenario_id, step_order);
+
+CREATE TABLE IF NOT EXISTS scenario_states (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scenario_id INTEGER NOT NULL,
+    session_key TEXT NOT NULL,               -- DPSESSION value, or 'global' for requests without a proxy session
+    current_state TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (scenario_id) REFERENCES scenarios(id) ON DELETE CASCADE,
+    UNIQUE(scenario_id, session_key)
+);
+
+-- ============================================================================
+-- REWRITE_RULES TABLE
+-- Request/response rewrite rules applied in all modes (passthrough, recording, replay)
+-- Request actions run before forwarding/matching, response actions run before the response is sent
+-- Recordings are saved before response actions run, so stored responses stay unmodified
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS rewrite_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    description TEXT,
+    match_host TEXT,                         -- Regex on request host (e.g. 'api\.example\.com'), NULL = any host
+    match_method TEXT NOT NULL DEFAULT '*' CHECK(match_method IN ('GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'HEAD', '*')),
+    match_endpoint TEXT,                     -- Regex on endpoint path (e.g. '/appConfig$'), NULL = any endpoint
+    conditions TEXT,                         -- JSON array: [{ "source": "header"|"query"|"body"|"status"|"response_header"|"response_body",
+                                             --                "key": "x-app-version"|"$.user.type", "operator": "equals"|"not_equals"|"contains"|"regex"|"exists"|"not_exists", "value": "..." }]
+    actions TEXT NOT NULL DEFAULT '[]',      -- JSON array: [{ "type": "set_header"|"remove_header"|"json_set"|"json_delete"|"regex_replace"|"set_status"|"rewrite_url",
+                                             --                "target": "request"|"response", ... }]
+    priority INTEGER DEFAULT 0,              -- Lower value = applied first
+    enabled BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rewrite_rules_enabled ON rewrite_rules(enabled, priority);
+
+-- ============================================================================
+-- FAULT_PROFILES TABLE
+-- Fault injection per endpoint pattern, applied in all modes (passthrough, recording, replay)
+-- Used by QA to verify retry / offline UX without breaking backend environments
+-- Injected faults are recorded in stats.fault_type
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS fault_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    description TEXT,
+    match_host TEXT,                         -- Regex on request host, NULL = any host
+    regex BOOLEAN DEFAULT 0,                 -- When true, endpoint_pattern is a regex (same as endpoint_matching_config)
+    endpoint_pattern TEXT NOT NULL,          -- e.g. '/api/users/:id', '/api/products/*' or regex '/api/users/\d+'
+    http_method TEXT NOT NULL DEFAULT '*' CHECK(http_method IN ('GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'HEAD', '*')),
+    fault_type TEXT NOT NULL CHECK(fault_type IN ('status', 'timeout', 'reset', 'truncate', 'throttle')),
+                                             -- status: return status_code without calling the backend
+                                             -- timeout: hold the connection open until the client gives up (closed after hang_ms)
+                                             -- reset: reset the client connection (TCP RST)
+                                             -- truncate: send only truncate_percent of the body, then close the connection
+                                             -- throttle: send the body at bandwidth_kbps
+    probability REAL DEFAULT 100,            -- Chance to inject the fault, in percent (0-100)
+    status_code INTEGER,                     -- status: HTTP status to return (e.g. 503)
+    response_body TEXT,                      -- status: optional response body (JSON or text)
+    hang_ms INTEGER,                         -- timeout: max time to hold the connection (default 300000)
+    truncate_percent INTEGER,                -- truncate: percent of the body to send (default 50)
+    bandwidth_kbps INTEGER,                  -- throttle: bandwidth in kilobytes per second (default 16)
+    priority INTEGER DEFAULT 0,              -- Lower value = checked first; only the first matching profile is used
+    enabled BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fault_profiles_enabled ON fault_profiles(enabled, priority);
+
+-- ============================================================================
+-- TLS_PROFILES TABLE
+-- Per-host TLS options for backend connections (HttpForwarder, CurlForwarder):
+-- client certificates (mTLS), extra CA bundle, verification, SNI override and minimum TLS version
+-- Secrets are encrypted with utils/crypto (ENCRYPTION_KEY) and never returned by the API
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS tls_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    description TEXT,
+    match_host TEXT NOT NULL,                -- Host pattern: exact host, wildcard ('*.partner.example.com') or domain suffix ('.partner.example.com')
+    verify BOOLEAN,                          -- Verify the backend certificate; NULL = global default (self-signed certificates trusted)
+    ca_bundle TEXT,                          -- Extra trusted CA certificates (PEM), in addition to the system CAs
+    client_cert_type TEXT CHECK(client_cert_type IN ('pem', 'pkcs12')),  -- Client certificate (mTLS), NULL = none
+    client_cert TEXT,                        -- pem: certificate chain (PEM)
+    client_key_encrypted TEXT,               -- pem: private key (PEM), encrypted
+    client_pfx_encrypted TEXT,               -- pkcs12: PKCS#12 bundle (base64), encrypted
+    passphrase_encrypted TEXT,               -- Passphrase of the private key or PKCS#12 bundle, encrypted
+    servername TEXT,                         -- SNI (and certificate name) override, NULL = target host
+    min_version TEXT CHECK(min_version IN ('TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3')),  -- NULL = Node/curl default
+    priority INTEGER DEFAULT 0,              -- Lower value = checked first; only the first matching profile is used
+    enabled BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tls_profiles_enabled ON tls_profiles(enabled, priority);
+
+-- ============================================================================
+-- BREAKPOINT_RULES TABLE
+-- Interactive breakpoints: matching requests (before forwarding / replay lookup) or responses
+-- (before they are returned) are held until released or aborted from the Web UI
+-- Held items are kept in memory only; they are released unchanged after timeout_ms
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS breakpoint_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    match_host TEXT,                         -- Regex on request host, NULL = any host
+    http_method TEXT NOT NULL DEFAULT '*' CHECK(http_method IN ('GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'HEAD', '*')),
+    endpoint_pattern TEXT,                   -- Regex on endpoint path, NULL = any path
+    direction TEXT NOT NULL DEFAULT 'request' CHECK(direction IN ('request', 'response', 'both')),
+    timeout_ms INTEGER DEFAULT 60000,        -- Auto-release held items after this time
+    enabled BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+);
+
+CREATE INDEX IF NOT EXISTS idx_breakpoint_rules_enabled ON breakpoint_rules(enabled);
+
+-- ============================================================================
+-- MODE_OVERRIDES TABLE
+-- Per-client proxy mode: requests from a matching client IP, device ID or DPSESSION use this mode
+-- instead of the global mode (config 'master'). The X-DProxy-Mode request header takes precedence.
+-- Resolution order: header > session > device_id > ip > global mode
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS mode_overrides (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope TEXT NOT NULL CHECK(scope IN ('ip', 'device_id', 'session')),
+    scope_value TEXT NOT NULL,               -- Client IP, device ID (X-Device-Id header or session device) or DPSESSION value
+    mode TEXT NOT NULL CHECK(mode IN ('passthrough', 'recording', 'replay')),
+    label TEXT,                              -- e.g. "QA Pixel 7"
+    enabled BOOLEAN DEFAULT 1,
+    expires_at DATETIME,                     -- NULL = never expires
+    created_by TEXT,                         -- Console user who created the override
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+    UNIQUE(scope, scope_value)
+);
+
+-- ============================================================================
+-- CONSOLE_USERS TABLE
+-- People who use the Web UI / management API (separate from the proxied app's users table)
+-- Roles: viewer (read only), tester (mode switching, rules, HAR import, CA download), admin (everything)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS console_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    display_name TEXT,
+    password_hash TEXT NOT NULL,             -- scrypt$<salt>$<hash>
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK(role IN ('viewer', 'tester', 'admin')),
+    enabled BOOLEAN DEFAULT 1,
+    last_login_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+);
+
+-- ============================================================================
+-- CONSOLE_API_KEYS TABLE
+-- API keys for scripts/CI; only the SHA-256 hash is stored, the key is shown once on creation
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS console_api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,                -- First characters of the key, to recognize it in the UI
+    key_hash TEXT NOT NULL UNIQUE,           -- SHA-256 of the full key
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK(role IN ('viewer', 'tester', 'admin')),
+    created_by INTEGER,                      -- console_users.id of the creator, NULL if created with the master key
+    enabled BOOLEAN DEFAULT 1,
+    expires_at DATETIME,                     -- NULL = never expires
+    last_used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+    FOREIGN KEY (created_by) REFERENCES console_users(id) ON DELETE SET NULL
+);
+
+-- ============================================================================
+-- AUDIT_LOG TABLE
+-- Who did what through the management API (every change, logins and denied attempts)
+-- Changes to mode, settings, matching rules, templates and responses also store before/after
+-- snapshots, so each entry is a config version that can be reverted to
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_type TEXT NOT NULL,                -- user, api_key, master_key, anonymous
+    actor_id INTEGER,                        -- console_users.id or console_api_keys.id
+    actor_name TEXT,
+    actor_role TEXT,
+    action TEXT NOT NULL,                    -- e.g. faults.create, mode.update, auth.login
+    resource_type TEXT,                      -- e.g. faults, settings, mode
+    resource_id TEXT,
+    method TEXT,
+    path TEXT,
+    status_code INTEGER,
+    ip TEXT,
+    details TEXT,                            -- JSON: request body (secrets masked) or event details
+    before_state TEXT,                       -- JSON: config snapshot before the change (tracked resources only)
+    after_state TEXT,                        -- JSON: config snapshot after the change
+    changes TEXT,                            -- JSON: [{path, type, before, after}] diff; NULL if the resource is not tracked
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- ISO 8601 format with timezone offset (e.g., 2025-12-15T10:30:00-05:00)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_type, actor_id);
+
 
 -- ============================================================================
 -- CONFIG TABLE
@@ -1,8 +1,13 @@
 /**
  * Authentication Middleware
  *
- * Provides API key authentication for admin routes.
- * Uses constant-time comparison to prevent timing attacks.
+ * Protects the management API (/api/*, /admin/*):
+ * - authenticate: resolves the caller (master key, API key or console JWT) into req.auth
+ * - requireRole / accessPolicy: role-based access (viewer < tester < admin)
+ * - auditTrail: records every change made through the API in the audit log
+ *   (with before/after snapshots for config changes tracked by core/audit/ConfigHistory)
+ *
+ * Set AUTH_ENABLED=false to disable authentication (every caller is treated as admin).
  *
  * @module middleware/auth
  */
@@ -10,6 +15,13 @@
 const crypto = require("crypto");
 const config = require("../config");
 const logger = require("../utils/logger");
+const { sanitizeForLogging } = require("../utils/crypto");
+const ConsoleAuth = require("../core/auth/ConsoleAuth");
+const ConfigHistory = require("../core/audit/ConfigHistory");
+const auditLogRepository = require("../database/repositories/audit_log_repository");
+
+// Larger audit details (e.g. HAR imports) are summarized instead of stored
+const MAX_AUDIT_DETAILS_LENGTH = 8192;
 
 /**
  * Constant-time string comparison to prevent timing attacks
@@ -30,74 +42,234 @@ function constantTimeCompare(a, b) {
 }
 
 /**
- * Middleware to require API key authentication
- * Validates API key from Authorization header
+ * Extract credential from request
+ * Supports "Authorization: Bearer <credential>", "Authorization: <credential>", X-API-Key header
+ * and access_token query parameter (GET only, for EventSource and download links)
+ * @param {Object} req - Express request object
+ * @returns {string|null} Credential
+ */
+function extractCredential(req) {
+  const authHeader = req.get("Authorization");
+  if (authHeader) {
+    return authHeader.startsWith("Bearer ") ? authHeader.substring(7).trim() : authHeader.trim();
+  }
+
+  const apiKeyHeader = req.get("X-API-Key");
+  if (apiKeyHeader) {
+    return apiKeyHeader.trim();
+  }
+
+  if ((req.method === "GET" || req.method === "HEAD") && typeof req.query.access_token === "string") {
+    return req.query.access_token;
+  }
+
+  return null;
+}
+
+/**
+ * Build audit actor fields from a principal
+ * @param {Object} principal - req.auth
+ * @returns {Object} Actor fields
+ */
+function actorFields(principal) {
+  if (!principal) {
+    return { actor_type: "anonymous", actor_id: null, actor_name: null, actor_role: null };
+  }
+  return { actor_type: principal.type, actor_id: principal.id, actor_name: principal.name, actor_role: principal.role };
+}
+
+/**
+ * Middleware to require authentication
+ * Sets req.auth to the authenticated principal
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-function requireApiKey(req, res, next) {
-  // TODO: Enable API key validation after POC phase
-  // During POC, skip authentication to allow quick testing
-  logger.debug("API key check skipped (POC mode)", { path: req.path });
-  next();
-
-  // ===== Code below is for production use =====
-  /* DISABLED FOR POC
+function authenticate(req, res, next) {
+  if (!config.security.authEnabled) {
+    req.auth = ConsoleAuth.anonymousPrincipal();
+    return next();
+  }
+
   try {
-    const authHeader = req.get("Authorization");
+    const credential = extractCredential(req);
 
-    if (!authHeader) {
-      logger.warn("API key authentication failed: No Authorization header", {
-        ip: req.ip,
-        path: req.path,
-      });
+    if (!credential) {
+      logger.warn("Authentication failed: No credentials", { ip: req.ip, path: req.originalUrl });
+      return res.status(401).json({ success: false, error: "Authentication required" });
+    }
 
-      return res.status(401).json({
-        error: "Unauthorized",
-        message: "API key required. Provide in Authorization header.",
-      });
+    const principal = ConsoleAuth.resolveCredential(credential);
+    if (!principal) {
+      logger.warn("Authentication failed: Invalid credentials", { ip: req.ip, path: req.originalUrl });
+      return res.status(401).json({ success: false, error: "Invalid or expired credentials" });
     }
 
-    // Support both "Bearer <token>" and direct token formats
-    let providedKey = authHeader;
-    if (authHeader.startsWith("Bearer ")) {
-      providedKey = authHeader.substring(7);
+    req.auth = principal;
+    next();
+  } catch (error) {
+    logger.error("Error in authentication", { error: error.message });
+    return res.status(500).json({ success: false, error: "Authentication error" });
+  }
+}
+
+/**
+ * Middleware factory to require a minimum role
+ * Must run after authenticate. Denied attempts are written to the audit log.
+ *
+ * @param {string} role - Required role (viewer, tester, admin)
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.auth && ConsoleAuth.hasRole(req.auth.role, role)) {
+      return next();
+    }
+
+    logger.warn("Authorization failed", { user: req.auth?.name, role: req.auth?.role, required: role, path: req.originalUrl });
+    auditLogRepository.addEntry({
+      ...actorFields(req.auth),
+      action: "auth.forbidden",
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status_code: 403,
+      ip: req.ip,
+      details: { required: role },
+    });
+    return res.status(403).json({ success: false, error: `${role} role required` });
+  };
+}
+
+/**
+ * Middleware factory for router-level access rules
+ *
+ * Reads (GET/HEAD) require `read`, deletes require `delete`, other changes require `write`.
+ * `rules` override this for specific paths (relative to the mount point), first match wins:
+ *   { method: "GET", path: /^\/export/, role: "admin" }
+ *
+ * @param {Object} policy - { read = "viewer", write = "tester", delete = "admin", rules = [] }
+ * @returns {Function} Express middleware
+ */
+function accessPolicy(policy = {}) {
+  const { read = "viewer", write = "tester", rules = [] } = policy;
+  const deleteRole = policy.delete || "admin";
+
+  return (req, res, next) => {
+    const rule = rules.find((r) => (!r.method || r.method === req.method) && r.path.test(req.path));
+    let role = write;
+    if (rule) {
+      role = rule.role;
+    } else if (req.method === "GET" || req.method === "HEAD" || req.method === "OPTIONS") {
+      role = read;
+    } else if (req.method === "DELETE") {
+      role = deleteRole;
     }
+    req.requiredRole = role;
+    return requireRole(role)(req, res, next);
+  };
+}
 
-    const expectedKey = config.security.adminApiKey;
+/**
+ * Summarize a request body for the audit log (secrets masked, large bodies summarized)
+ * @param {*} body - Request body
+ * @returns {*} Audit details
+ */
+function summarizeBody(body) {
+  if (body === undefined || body === null || (typeof body === "object" && Object.keys(body).length === 0)) {
+    return null;
+  }
+  const sanitized = typeof body === "object" ? sanitizeForLogging(body) : body;
+  const serialized = JSON.stringify(sanitized);
+  if (serialized.length > MAX_AUDIT_DETAILS_LENGTH) {
+    return { truncated: true, size: serialized.length, fields: typeof body === "object" ? Object.keys(body) : [] };
+  }
+  return sanitized;
+}
 
-    if (!constantTimeCompare(providedKey, expectedKey)) {
-      logger.warn("API key authentication failed: Invalid key", {
-        ip: req.ip,
-        path: req.path,
-      });
+/**
+ * Middleware factory that records changes (non-GET requests) in the audit log once the response is sent
+ *
+ * Action names are "<resource>.<verb>": verb is create (POST to a collection), update (PUT/PATCH),
+ * delete (DELETE), or the trailing path segment for actions (e.g. breakpoints.release, scenarios.reset).
+ *
+ * @param {Object} options - { resource: override resource name, action: override verb,
+ *                            rootAction: verb for POST to the mount point (default create) }
+ * @returns {Function} Express middleware
+ */
+function auditTrail(options = {}) {
+  return (req, res, next) => {
+    // Reads and read-only POSTs allowed to viewers (search, previews) are not audited
+    if (req.method === "GET" || req.method === "HEAD" || req.method === "OPTIONS" || req.requiredRole === "viewer" || req.auditRecorded) {
+      return next();
+    }
+    req.auditRecorded = true;
 
-      return res.status(403).json({
-        error: "Forbidden",
-        message: "Invalid API key",
-      });
+    // Capture routing info now: baseUrl/path are rewritten while the request moves through routers
+    const mountSegments = (req.baseUrl || "").split("/").filter(Boolean);
+    const pathSegments = req.path.split("/").filter(Boolean);
+    const resource = options.resource || mountSegments[mountSegments.length - 1] || pathSegments[pathSegments.length - 1] || "root";
+    const relativeSegments = req.baseUrl ? pathSegments : [];
+    const resourceId = relativeSegments.find((segment) => /^\d+$/.test(segment)) || null;
+    const lastSegment = relativeSegments[relativeSegments.length - 1];
+
+    let verb;
+    if (options.action) {
+      verb = options.action;
+    } else if (req.method === "DELETE") {
+      verb = "delete";
+    } else if (req.method === "PUT" || req.method === "PATCH") {
+      verb = "update";
+    } else if (relativeSegments.length === 0) {
+      verb = options.rootAction || "create";
+    } else if (relativeSegments.length === 1 && /^\d+$/.test(lastSegment)) {
+      verb = "update";
+    } else {
+      verb = /^\d+$/.test(lastSegment) ? "create" : lastSegment;
     }
 
-    // Authentication successful
-    logger.debug("API key authentication successful", {
-      ip: req.ip,
-      path: req.path,
+    const details = summarizeBody(req.body);
+
+    res.on("finish", () => {
+      auditLogRepository.addEntry({
+        ...actorFields(req.auth),
+        action: `${resource}.${verb}`,
+        resource_type: resource,
+        resource_id: resourceId,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        status_code: res.statusCode,
+        ip: req.ip,
+        details,
+        // Tracked config changes override resource_type/resource_id and add the snapshots
+        ...ConfigHistory.capture(res),
+      });
     });
 
     next();
-  } catch (error) {
-    logger.error("Error in API key authentication", { error: error.message });
-    return res.status(500).json({
-      error: "Internal Server Error",
-      message: "Authentication error",
-    });
-  }
-  */
+  };
+}
+
+/**
+ * Convenience middleware chain for a protected management router:
+ * authenticate, then accessPolicy, then auditTrail
+ *
+ * @param {Object} policy - accessPolicy options
+ * @param {Object} auditOptions - auditTrail options
+ * @returns {Array<Function>} Middleware chain
+ */
+function protect(policy = {}, auditOptions = {}) {
+  return [authenticate, accessPolicy(policy), auditTrail(auditOptions)];
 }
 
 module.exports = {
-  requireApiKey,
+  authenticate,
+  // Kept for compatibility with older imports
+  requireApiKey: authenticate,
+  requireRole,
+  accessPolicy,
+  auditTrail,
+  protect,
+  extractCredential,
   constantTimeCompare,
 };
@@ -27,6 +27,7 @@ const { isPublicEndpoint, isSecureEndpoint, getEndpointName, isTransmitEndpoint
 const secureRequestRepository = require("../database/repositories/secure_request_repository");
 const publicRequestRepository = require("../database/repositories/public_request_repository");
 const { extractMobileHeaders } = require("../utils/header_extractor");
+const { getHeaderString } = require("../utils/httpUtils");
 const sessionManager = require("../utils/session_manager");
 
 class RecordingMode extends ModeHandler {
@@ -280,6 +281,21 @@ class RecordingMode extends ModeHandler {
     }
   }
 
+  /**
+   * Get the request body to record
+   * The captured body of non-JSON requests is decoded as UTF-8, which corrupts binary uploads:
+   * the raw bytes are recorded instead, unless an interceptor changed the body.
+   * @private
+   */
+  _getRecordableBody(requestContext) {
+    const body = requestContext.getCurrent().body;
+    const rawBody = requestContext.getRawBody();
+    if (Buffer.isBuffer(rawBody) && typeof body === "string" && body === rawBody.toString("utf8")) {
+      return rawBody;
+    }
+    return body || null;
+  }
+
   /**
    * Save request and response to database (for monitored traffic)
    * Uses secureRequestRepository or publicRequestRepository based on endpoint type
@@ -315,6 +331,7 @@ class RecordingMode extends ModeHandler {
       headers,
       url: original.url,
       originalUrl: original.originalUrl,
+      appProfile: requestContext.getMetadata("appProfile"),
     });
 
     // Prepare response object
@@ -324,6 +341,9 @@ class RecordingMode extends ModeHandler {
       body: responseContext.getBody(),
     };
 
+    // Binary uploads are recorded from the raw bytes (see _getRecordableBody)
+    const requestBody = this._getRecordableBody(requestContext);
+
     // Extract endpoint path from full URL (like StatsRecordingInterceptor does)
     // Priority: targetUrl from response metadata > originalUrl > current.url > current.path
     const targetUrl = responseContext.getMetadata("targetUrl");
@@ -364,7 +384,7 @@ class RecordingMode extends ModeHandler {
     }
 
     const endpointName = getEndpointName(endpointPath);
-    const isSecure = isSecureEndpoint(endpointPath);
+    const isSecure = isSecureEndpoint(endpointPath, mobileHeaders.appProfile);
 
     logger.info("[RECORDING_MODE] Endpoint classification", {
       endpointPath,
@@ -390,6 +410,7 @@ class RecordingMode extends ModeHandler {
     }
 
     try {
+      let saved;
       if (isSecure) {
         // For secure endpoints, try to extract userId using enhanced lookup
         // Order: DPSESSION -> Configured session cookies -> Bearer token
@@ -415,13 +436,13 @@ class RecordingMode extends ModeHandler {
           sessionManager.addCrossDomainDPSessionCookie(responseContext, headers, host, finalUserId, "[RECORDING_MODE]");
         }
 
-        await secureRequestRepository.saveSecureRequest(
+        saved = await secureRequestRepository.saveSecureRequest(
           finalUserId,
           endpointPath,
           current.method,
           queryParams,
           headers,
-          current.body || null,
+          requestBody,
           responseObj,
           mobileHeaders,
           duration,
@@ -432,13 +453,13 @@ class RecordingMode extends ModeHandler {
         );
       } else {
         // For public endpoints, userId can be null
-        await publicRequestRepository.savePublicRequest(
+        saved = await publicRequestRepository.savePublicRequest(
           userId || null,
           endpointPath,
           current.method,
           queryParams,
           headers,
-          current.body || null,
+          requestBody,
           responseObj,
           mobileHeaders,
           duration,
@@ -449,6 +470,13 @@ class RecordingMode extends ModeHandler {
         );
       }
 
+      // Link the transaction to the stored recording (Live traffic view)
+      if (saved) {
+        responseContext.setMetadata("recordedRequestId", saved.id);
+        responseContext.setMetadata("recordedResponseId", saved.response_id);
+        responseContext.setMetadata("endpointType", isSecure ? "secure" : "public");
+      }
+
       logger.debug("Recording mode: Request and response saved", {
         endpointPath,
         isSecure,
@@ -484,8 +512,9 @@ class RecordingMode extends ModeHandler {
   async _processTokenTracking(requestContext, responseContext) {
     const current = requestContext.getCurrent();
     const headers = current.headers || {};
-    const cookieHeader = headers.cookie || "";
+    const cookieHeader = getHeaderString(headers, "cookie") || "";
     const originalUrl = current.originalUrl || current.url || "";
+    const appProfile = requestContext.getMetadata("appProfile");
 
     // Extract endpoint path from originalUrl
     let endpointPath = "/";
@@ -524,7 +553,7 @@ class RecordingMode extends ModeHandler {
       // 2. If no session from DPSESSION, try configured cookie sessions or legacy lookup
       if (!session) {
         const { getInstance: getSessionConfigManager } = require("../config/SessionConfigManager");
-        const sessionConfigManager = getSessionConfigManager();
+        const sessionConfigManager = getSessionConfigManager().forProfile(appProfile);
 
         if (sessionConfigManager.hasConfig()) {
           // Use configured cookie names for lookup
@@ -575,7 +604,7 @@ class RecordingMode extends ModeHandler {
 
       if (!session) {
         // Only log WARN if this is NOT a public endpoint
-        if (!isPublicEndpoint(endpointPath)) {
+        if (!isPublicEndpoint(endpointPath, appProfile)) {
           logger.warn("[RECORDING_MODE] No session found for token tracking, skipping", {
             hasDPSESSION: !!dpSessionMatch,
           });
@@ -9,12 +9,13 @@
  *
  * Flow:
  * 1. Execute request interceptors
- * 2. Search for matching request in database
- * 3. If match found: return recorded response
- * 4. If no match: return 404 or fallback behavior
+ * 2. Apply scenarios (state machines); a scenario step with a response wins
+ * 3. Search for matching request in database
+ * 4. If match found: return recorded response
+ * 5. If no match: return 404 or fallback behavior
  *
  * Features:
- * - Configurable fallback behavior (error, passthrough, template)
+ * - Configurable fallback behavior (error, passthrough, template, openapi)
  * - Match scoring and best-match selection
  * - Support for custom responses
  * - Template-based responses for common status codes
@@ -28,7 +29,9 @@ const ModeHandler = require("./ModeHandler");
 const logger = require("../utils/logger");
 const trafficLogger = require("../utils/traffic_logger");
 const sessionManager = require("../utils/session_manager");
+const { getHeaderString } = require("../utils/httpUtils");
 const { getInstance: getTrafficConfigManager } = require("../config/TrafficConfigManager");
+const { getInstance: getOpenApiMocker } = require("../core/mock/OpenApiMocker");
 
 class ReplayMode extends ModeHandler {
   constructor(dependencies) {
@@ -37,6 +40,7 @@ class ReplayMode extends ModeHandler {
     this.apiResponseRepo = dependencies.repositories.apiResponseRepo;
     this.templateRepo = dependencies.repositories.templateRepo;
     this.matchingEngine = dependencies.matchingEngine;
+    this.scenarioEngine = dependencies.scenarioEngine || null;
 
     // Fallback behavior: 'error', 'passthrough', 'template'
     this.fallbackBehavior = dependencies.config?.fallbackBehavior || "error";
@@ -90,7 +94,7 @@ class ReplayMode extends ModeHandler {
 
       // Check if endpoint is secure
       const { isSecureEndpoint } = require("../utils/endpoint_utils");
-      const isSecure = isSecureEndpoint(actualPath);
+      const isSecure = isSecureEndpoint(actualPath, requestContext.getMetadata("appProfile"));
 
       logger.debug("[REPLAY_MODE] Request path analysis", {
         currentPath: current.path,
@@ -145,16 +149,17 @@ class ReplayMode extends ModeHandler {
           });
         } else {
           // Secure endpoint without userId is an error - provide detailed diagnostic info
-          const hasDPSession = current.headers.cookie && current.headers.cookie.includes("DPSESSION");
+          const cookieHeader = getHeaderString(current.headers, "cookie");
+          const hasDPSession = !!cookieHeader && cookieHeader.includes("DPSESSION");
           const hasAuthorization = !!current.headers.authorization;
-          const hasCookie = !!current.headers.cookie;
+          const hasCookie = !!cookieHeader;
 
           logger.error("[REPLAY_MODE] Secure endpoint without valid authentication", {
             path: actualPath,
             hasCookie,
             hasDPSession,
             hasAuthorization,
-            cookieCount: hasCookie ? (current.headers.cookie.match(/=/g) || []).length : 0,
+            cookieCount: hasCookie ? (cookieHeader.match(/=/g) || []).length : 0,
             authHeaderPrefix: hasAuthorization ? current.headers.authorization.substring(0, 20) : null,
           });
 
@@ -205,9 +210,11 @@ class ReplayMode extends ModeHandler {
         processedRequest.current.query = normalizedQuery;
       }
 
-      // Find matching response for REPLAY mode
+      // Scenarios first: they advance per-session state and may pin a specific recorded response
+      // Otherwise find matching response for REPLAY mode
       // Pass mode='replay' to only match configurations defined for REPLAY mode
-      const match = await this.matchingEngine.findMatch(processedRequest, "replay");
+      const scenarioMatch = this.scenarioEngine ? this.scenarioEngine.findMatch(processedRequest) : null;
+      const match = scenarioMatch || (await this.matchingEngine.findMatch(processedRequest, "replay"));
 
       let responseContext;
       let matchedResponse = null;
@@ -303,6 +310,67 @@ class ReplayMode extends ModeHandler {
     }
   }
 
+  /**
+   * Explain how a request would be matched in replay mode ("why did this match / not match")
+   * Resolves the user and runs request interceptors like handleRequest, without creating sessions or logging traffic.
+   * Scenarios are not evaluated because checking them advances per-session scenario state.
+   * @param {RequestContext} requestContext - Request context
+   * @returns {Promise<Object>} Match trace from MatchingEngine.explainMatch() plus { user, request }
+   */
+  async explainMatch(requestContext) {
+    const processedRequest = await this.interceptorChain.executeRequest(requestContext);
+    const current = processedRequest.getCurrent();
+    const actualPath = processedRequest.getActualPath();
+
+    const { isSecureEndpoint } = require("../utils/endpoint_utils");
+    const user = {
+      secure: isSecureEndpoint(actualPath, processedRequest.getMetadata("appProfile")),
+      source: null,
+      userId: processedRequest.getMetadata("userId") || null,
+    };
+
+    if (sessionManager.shouldCreateSession(processedRequest, "[REPLAY_EXPLAIN]")) {
+      const userRepository = require("../database/repositories/user_repository");
+      const identifier = sessionManager.extractUserIdFromRequest(processedRequest, "[REPLAY_EXPLAIN]");
+      const record = identifier ? userRepository.getUserByIdentifier(identifier) : null;
+      user.source = "session_trigger";
+      user.userIdentifier = identifier || null;
+      user.userId = record ? record.id : user.userId;
+    } else if (user.secure) {
+      user.source = "session";
+      user.userId = sessionManager.getUserIdFromRequestWithConfig(current.headers, "[REPLAY_EXPLAIN]") || null;
+
+      if (!user.userId) {
+        return {
+          mode: "replay",
+          matched: false,
+          user,
+          rejected: "Secure endpoint without valid DPSESSION, user session or Bearer token (replay returns 401)",
+          strategies: [],
+        };
+      }
+    }
+    processedRequest.setMetadata("userId", user.userId);
+
+    const { normalizedQuery } = this._normalizeQueryParams(current.query);
+    if (Object.keys(normalizedQuery).length > 0) {
+      processedRequest.current.query = normalizedQuery;
+    }
+
+    const trace = await this.matchingEngine.explainMatch(processedRequest, "replay");
+    return {
+      ...trace,
+      user,
+      request: {
+        method: current.method,
+        path: actualPath,
+        query: processedRequest.getCurrent().query,
+        headers: current.headers,
+        modifications: processedRequest.getModifications(),
+      },
+    };
+  }
+
   /**
    * Create response from matched request/response
    * For secure endpoints, applies special processing:
@@ -321,6 +389,13 @@ class ReplayMode extends ModeHandler {
     responseContext.setMetadata("matchScore", match.score);
     responseContext.setMetadata("matchDetails", match.matchDetails);
     responseContext.setMetadata("originalRequestId", request.id);
+    responseContext.setMetadata("originalResponseId", response.id);
+    responseContext.setMetadata("endpointType", request.endpoint_type);
+
+    // Templated responses: render {{placeholders}} against the incoming request
+    if (response.templated && requestContext) {
+      this._renderTemplate(responseContext, requestContext);
+    }
 
     // Check if this is a secure endpoint (endpoint_type = 'secure')
     const isSecure = request.endpoint_type === "secure";
@@ -332,6 +407,40 @@ class ReplayMode extends ModeHandler {
     return responseContext;
   }
 
+  /**
+   * Render {{placeholders}} in a templated response body and headers
+   * @param {ResponseContext} responseContext - Response created from the recorded response
+   * @param {RequestContext} requestContext - Incoming request
+   * @private
+   */
+  _renderTemplate(responseContext, requestContext) {
+    const { buildTemplateContext, renderValue, renderHeaders } = require("../utils/responseTemplate");
+    const current = requestContext.getCurrent();
+
+    try {
+      const templateContext = buildTemplateContext({
+        method: current.method,
+        path: requestContext.getActualPath(),
+        query: current.query,
+        headers: current.headers,
+        body: current.body,
+      });
+
+      const originalHeaders = responseContext.getHeaders();
+      const headers = renderHeaders(originalHeaders, templateContext);
+      for (const [key, value] of Object.entries(headers)) {
+        if (JSON.stringify(value) !== JSON.stringify(originalHeaders[key])) {
+          responseContext.setHeader(key, value);
+        }
+      }
+      responseContext.setBody(renderValue(responseContext.getBody(), templateContext));
+      responseContext.setMetadata("templated", true);
+    } catch (error) {
+      // Serve the recorded response unchanged rather than failing the request
+      logger.warn("[REPLAY_MODE] Failed to render response template", { error: error.message });
+    }
+  }
+
   /**
    * Process secure endpoint response with special handling
    * Handles:
@@ -446,7 +555,7 @@ class ReplayMode extends ModeHandler {
 
     // 4. Handle auth token generation and replacement based on configured update rules
     const { getInstance: getSessionConfigManager } = require("../config/SessionConfigManager");
-    const sessionConfigManager = getSessionConfigManager();
+    const sessionConfigManager = getSessionConfigManager().forProfile(requestContext.getMetadata("appProfile"));
     const authUpdateRules = sessionConfigManager.getUpdateRulesByType("auth");
 
     if (authUpdateRules.length > 0) {
@@ -514,6 +623,27 @@ class ReplayMode extends ModeHandler {
         logger.debug("Replay mode: Using template response");
         return await this._createTemplateResponse(404);
 
+      case "openapi": {
+        // Synthesize response from imported OpenAPI specs (error response when no operation matches)
+        const mock = getOpenApiMocker().mockResponse(requestContext);
+        if (mock) {
+          logger.debug("Replay mode: Using OpenAPI mock response", { spec: mock.specName, operation: mock.operation });
+          const responseContext = ContextFactory.createResponseContext({
+            status: mock.status,
+            headers: mock.headers,
+            body: mock.body,
+            source: "dproxy",
+          });
+          responseContext.setMetadata("mock", { specId: mock.specId, specName: mock.specName, operation: mock.operation });
+          return responseContext;
+        }
+        logger.debug("Replay mode: No OpenAPI operation matches, returning error response");
+        return ContextFactory.createErrorResponse(404, "No matching response found", {
+          message: "No recorded response or OpenAPI operation matches this request",
+          suggestion: "Import an OpenAPI spec for this API or record it first",
+        });
+      }
+
       case "error":
       default:
         // Return error response
@@ -557,10 +687,10 @@ class ReplayMode extends ModeHandler {
 
   /**
    * Set fallback behavior
-   * @param {string} behavior - 'error', 'passthrough', or 'template'
+   * @param {string} behavior - 'error', 'passthrough', 'template', or 'openapi'
    */
   setFallbackBehavior(behavior) {
-    const validBehaviors = ["error", "passthrough", "template"];
+    const validBehaviors = ["error", "passthrough", "template", "openapi"];
 
     if (!validBehaviors.includes(behavior)) {
       throw new Error(`Invalid fallback behavior: ${behavior}`);
@@ -26,6 +26,7 @@ const {
   MobileHeaderExtractionInterceptor,
   RequestLoggingInterceptor,
   HeaderNormalizationInterceptor,
+  RequestTransformInterceptor,
 } = require("./core/interceptors/RequestInterceptor");
 
 const {
@@ -33,9 +34,14 @@ const {
   CorsHeadersInterceptor,
   SecurityHeadersInterceptor,
   JsonResponseInterceptor,
+  ResponseTransformInterceptor,
 } = require("./core/interceptors/ResponseInterceptor");
 
 const StatsRecordingInterceptor = require("./core/interceptors/StatsRecordingInterceptor");
+const LiveTrafficInterceptor = require("./core/interceptors/LiveTrafficInterceptor");
+const ContractValidationInterceptor = require("./core/interceptors/ContractValidationInterceptor");
+const { getInstance: getRewriteEngine } = require("./core/rewrite/RewriteEngine");
+const { getInstance: getFaultInjector } = require("./core/fault/FaultInjector");
 const { shouldBypassDProxy } = require("./utils/requestTypeDetector");
 
 // API Routes
@@ -46,6 +52,24 @@ const templatesRoutes = require("./api/routes/templates");
 const modesRoutes = require("./api/routes/modes");
 const servicesRoutes = require("./api/routes/services");
 const settingsRoutes = require("./api/routes/settings");
+const harRoutes = require("./api/routes/har");
+const scenariosRoutes = require("./api/routes/scenarios");
+const rewritesRoutes = require("./api/routes/rewrites");
+const faultsRoutes = require("./api/routes/faults");
+const tlsRoutes = require("./api/routes/tls");
+const liveRoutes = require("./api/routes/live");
+const breakpointsRoutes = require("./api/routes/breakpoints");
+const authRoutes = require("./api/routes/auth");
+const auditRoutes = require("./api/routes/audit");
+const clientsRoutes = require("./api/routes/clients");
+const collectionsRoutes = require("./api/routes/collections");
+const endpointsRoutes = require("./api/routes/endpoints");
+const exportRoutes = require("./api/routes/export");
+const mocksRoutes = require("./api/routes/mocks");
+const protosRoutes = require("./api/routes/protos");
+const websocketsRoutes = require("./api/routes/websockets");
+const { protect, authenticate } = require("./middleware/auth");
+const ConfigHistory = require("./core/audit/ConfigHistory");
 
 // Utils
 const logger = require("./utils/logger");
@@ -99,13 +123,26 @@ class ProxyServer {
     this.interceptorChain.addRequestInterceptor(new UserIdExtractionInterceptor(), 100);
     this.interceptorChain.addRequestInterceptor(new MobileHeaderExtractionInterceptor(), 95);
     this.interceptorChain.addRequestInterceptor(new HeaderNormalizationInterceptor(), 90);
+    this.interceptorChain.addRequestInterceptor(
+      new RequestTransformInterceptor({ name: "RewriteRules", priority: 50, transformer: (ctx) => getRewriteEngine().applyRequestRules(ctx) }),
+    );
     this.interceptorChain.addRequestInterceptor(new RequestLoggingInterceptor(), 10);
 
     // Register response interceptors
     this.interceptorChain.addResponseInterceptor(new SecurityHeadersInterceptor(), 100);
     this.interceptorChain.addResponseInterceptor(new CorsHeadersInterceptor(), 90);
     this.interceptorChain.addResponseInterceptor(new JsonResponseInterceptor(), 80);
+    this.interceptorChain.addResponseInterceptor(new ContractValidationInterceptor(), 70); // Validate backend responses against endpoint schemas
+    // Rewrite rules run before stats so recorded stats reflect the status actually sent
+    this.interceptorChain.addResponseInterceptor(
+      new ResponseTransformInterceptor({
+        name: "RewriteRules",
+        priority: 60,
+        transformer: (ctx, reqCtx) => getRewriteEngine().applyResponseRules(ctx, reqCtx),
+      }),
+    );
     this.interceptorChain.addResponseInterceptor(new StatsRecordingInterceptor(), 50); // Record statistics for monitored requests
+    this.interceptorChain.addResponseInterceptor(new LiveTrafficInterceptor(), 20); // Publish to the Web UI live view
     this.interceptorChain.addResponseInterceptor(new ResponseLoggingInterceptor(), 10);
 
     // Initialize HTTP forwarder
@@ -152,6 +189,9 @@ class ProxyServer {
     const { captureRequestBody } = require("./middleware/body_capture");
     this.app.use(captureRequestBody);
 
+    // HAR imports can be much larger than regular admin payloads
+    this.app.use("/admin/api/har", express.json({ limit: "100mb" }));
+
     // Only use express.json for /admin routes (captureRequestBody skips /admin)
     this.app.use("/admin", express.json({ limit: "10mb" }));
     this.app.use("/admin", express.urlencoded({ extended: true, limit: "10mb" }));
@@ -175,26 +215,86 @@ class ProxyServer {
       }
     });
 
+    // Access policies (roles: viewer < tester < admin, see middleware/auth.js)
+    // Default: reads need viewer, changes need tester, deletes need admin
+    const readOnlySearch = { method: "POST", path: /^\/(search|preview|[^/]+\/preview)$/, role: "viewer" };
+    const policies = {
+      records: protect({ rules: [readOnlySearch] }),
+      rules: protect({ delete: "tester" }),
+      protos: protect({ delete: "tester", rules: [{ method: "POST", path: /^\/decode$/, role: "viewer" }] }),
+      modes: protect({
+        rules: [
+          { method: "POST", path: /^\/replay\/(test-match|matches)$/, role: "viewer" },
+          { method: "POST", path: /^\/certs\/clear$/, role: "admin" },
+        ],
+      }),
+      settings: protect({
+        write: "admin",
+        rules: [
+          { method: "GET", path: /^\/export$/, role: "admin" },
+          { method: "GET", path: /^\/proxy\/ca-cert$/, role: "tester" },
+          { method: "POST", path: /^\/(endpoint\/test|session\/validate|proxy\/upstream\/test)$/, role: "tester" },
+        ],
+      }),
+      admin: protect({ read: "admin", write: "admin" }),
+      tls: protect({ write: "admin", rules: [{ method: "POST", path: /^\/test$/, role: "tester" }] }),
+    };
+
+    // Authentication (login is public, users/API keys are admin only)
+    this.app.use("/api/auth", authRoutes());
+    this.app.use("/admin/api/auth", authRoutes());
+
     // API Routes (Management Interface)
-    this.app.use("/api/requests", requestsRoutes(this.db));
-    this.app.use("/api/responses", responsesRoutes(this.db));
-    this.app.use("/api/configs", configsRoutes(this.db));
-    this.app.use("/api/templates", templatesRoutes(this.db));
+    this.app.use("/api/requests", policies.records, requestsRoutes(this.db));
+    this.app.use("/api/responses", policies.records, responsesRoutes(this.db));
+    this.app.use("/api/configs", policies.records, configsRoutes(this.db));
+    this.app.use("/api/templates", policies.records, templatesRoutes(this.db));
     // Pass the existing modeService instance (already initialized from database)
-    this.app.use("/api/modes", modesRoutes(this.modeService));
-    this.app.use("/api/stats", require("./api/routes/stats")(this.db));
-    this.app.use("/api/services", servicesRoutes());
-    this.app.use("/api/settings", settingsRoutes());
+    this.app.use("/api/modes", policies.modes, modesRoutes(this.modeService));
+    this.app.use("/api/stats", policies.records, require("./api/routes/stats")(this.db));
+    this.app.use("/api/services", policies.records, servicesRoutes());
+    this.app.use("/api/settings", policies.settings, settingsRoutes());
+    this.app.use("/api/har", policies.records, harRoutes());
+    this.app.use("/api/collections", policies.records, collectionsRoutes());
+    this.app.use("/api/endpoints", policies.rules, endpointsRoutes());
+    this.app.use("/api/export", policies.records, exportRoutes());
+    this.app.use("/api/mocks", policies.rules, mocksRoutes());
+    this.app.use("/api/protos", policies.protos, protosRoutes());
+    this.app.use("/api/websockets", policies.records, websocketsRoutes());
+    this.app.use("/api/scenarios", policies.rules, scenariosRoutes());
+    this.app.use("/api/rewrites", policies.rules, rewritesRoutes());
+    this.app.use("/api/faults", policies.rules, faultsRoutes());
+    this.app.use("/api/tls-profiles", policies.tls, tlsRoutes(this.forwarder));
+    this.app.use("/api/live", policies.rules, liveRoutes());
+    this.app.use("/api/breakpoints", policies.rules, breakpointsRoutes());
+    this.app.use("/api/clients", policies.rules, clientsRoutes(this.modeService));
+    this.app.use("/api/audit", policies.admin, auditRoutes(this.modeService));
 
     // Admin API routes (for Web UI compatibility) - must be before proxy handler
-    this.app.use("/admin/stats", require("./api/routes/stats")(this.db));
-    this.app.use("/admin/services", servicesRoutes());
-    this.app.use("/admin/api/configs", configsRoutes(this.db));
-    this.app.use("/admin/api/responses", responsesRoutes(this.db));
-    this.app.use("/admin/api/settings", settingsRoutes());
-
-    // Timeline filter endpoints
-    this.app.get("/admin/api/timeline-filter", async (req, res) => {
+    this.app.use("/admin/stats", policies.records, require("./api/routes/stats")(this.db));
+    this.app.use("/admin/services", policies.records, servicesRoutes());
+    this.app.use("/admin/api/configs", policies.records, configsRoutes(this.db));
+    this.app.use("/admin/api/responses", policies.records, responsesRoutes(this.db));
+    this.app.use("/admin/api/modes", policies.modes, modesRoutes(this.modeService));
+    this.app.use("/admin/api/settings", policies.settings, settingsRoutes());
+    this.app.use("/admin/api/har", policies.records, harRoutes());
+    this.app.use("/admin/api/collections", policies.records, collectionsRoutes());
+    this.app.use("/admin/api/endpoints", policies.rules, endpointsRoutes());
+    this.app.use("/admin/api/export", policies.records, exportRoutes());
+    this.app.use("/admin/api/mocks", policies.rules, mocksRoutes());
+    this.app.use("/admin/api/protos", policies.protos, protosRoutes());
+    this.app.use("/admin/api/websockets", policies.records, websocketsRoutes());
+    this.app.use("/admin/api/scenarios", policies.rules, scenariosRoutes());
+    this.app.use("/admin/api/rewrites", policies.rules, rewritesRoutes());
+    this.app.use("/admin/api/faults", policies.rules, faultsRoutes());
+    this.app.use("/admin/api/tls-profiles", policies.tls, tlsRoutes(this.forwarder));
+    this.app.use("/admin/api/live", policies.rules, liveRoutes());
+    this.app.use("/admin/api/breakpoints", policies.rules, breakpointsRoutes());
+    this.app.use("/admin/api/clients", policies.rules, clientsRoutes(this.modeService));
+    this.app.use("/admin/api/audit", policies.admin, auditRoutes(this.modeService));
+
+    // Timeline filter endpoints (per-console preference, any authenticated user)
+    this.app.get("/admin/api/timeline-filter", authenticate, async (req, res) => {
       try {
         const configRepository = require("./database/repositories/config_repository");
         const timelineFilter = await configRepository.getTimelineFilter();
@@ -205,7 +305,7 @@ class ProxyServer {
       }
     });
 
-    this.app.post("/admin/api/timeline-filter", async (req, res) => {
+    this.app.post("/admin/api/timeline-filter", authenticate, async (req, res) => {
       try {
         const { timelineFilter } = req.body;
         const configRepository = require("./database/repositories/config_repository");
@@ -245,7 +345,8 @@ class ProxyServer {
         if (!mode) {
           return res.status(400).json({ success: false, error: "mode is required" });
         }
-        const result = await this.modeService.setMode(mode);
+        ConfigHistory.track(res, "mode");
+        const result = await this.modeService.setMode(mode, req.auth?.name);
         res.json({
           success: true,
           message: "Mode changed successfully",
@@ -257,11 +358,12 @@ class ProxyServer {
       }
     });
 
-    this.app.use("/admin/mode", adminModeRouter);
+    // Switching modes needs tester
+    this.app.use("/admin/mode", protect({}, { resource: "mode", rootAction: "update" }), adminModeRouter);
 
     // Also keep /api/modes routes for API compatibility
     // Pass the existing modeService instance (already initialized from database)
-    this.app.use("/api/modes", modesRoutes(this.modeService));
+    this.app.use("/api/modes", policies.modes, modesRoutes(this.modeService));
 
     // Proxy handler (catch-all for proxied requests)
     this.app.use("*", this.proxyHandler.bind(this));
@@ -390,6 +492,15 @@ class ProxyServer {
         });
       }
 
+      // Injected timeout/reset faults: no response is written
+      const faultInjector = getFaultInjector();
+      const fault = faultInjector.getFault(finalResponseContext);
+      if (faultInjector.isConnectionFault(fault)) {
+        faultInjector.abortConnection(req.socket, fault);
+        logger.info("Injected connection fault", { type: fault.type, profile: fault.profileName, path: requestContext.getPath() });
+        return;
+      }
+
       // Send response
       res.status(finalResponseContext.getStatus());
 
@@ -410,7 +521,22 @@ class ProxyServer {
       });
 
       const body = finalResponseContext.getBody();
-      if (body !== null && body !== undefined) {
+      if (faultInjector.isBodyFault(fault)) {
+        // Injected truncate/throttle faults: write the serialized body ourselves
+        const bodyBuffer = Buffer.isBuffer(body)
+          ? body
+          : Buffer.from(body === null || body === undefined ? "" : typeof body === "object" ? JSON.stringify(body) : String(body));
+        if (body !== null && typeof body === "object" && !Buffer.isBuffer(body) && !res.getHeader("content-type")) {
+          res.setHeader("Content-Type", "application/json; charset=utf-8");
+        }
+        res.setHeader("Content-Length", bodyBuffer.length);
+        faultInjector.sendBody(bodyBuffer, fault, {
+          write: (chunk) => res.write(chunk),
+          end: () => res.end(),
+          destroy: () => res.destroy(),
+          isClosed: () => res.destroyed || res.writableEnded,
+        });
+      } else if (body !== null && body !== undefined) {
         if (Buffer.isBuffer(body)) {
           // Send Buffer directly without JSON serialization
           res.send(body);
@@ -428,7 +554,8 @@ class ProxyServer {
       const requestId = finalResponseContext.getAllMetadata()?.requestId || requestContext?.metadata?.requestId;
       const originalRequest = requestContext?.getOriginal();
       const clientIP = originalRequest?.ip || req.ip || "UNKNOWN";
-      const mode = this.modeService.getCurrentMode();
+      // Per-client overrides can differ from the global mode
+      const mode = requestContext?.getMetadata("mode") || this.modeService.getCurrentMode();
       const duration = Date.now() - startTime;
 
       trafficLogger.logClientResponse(
@@ -455,7 +582,7 @@ class ProxyServer {
         path: requestContext.getPath(),
         status: finalResponseContext.getStatus(),
         elapsed,
-        mode: this.modeService.getCurrentMode(),
+        mode,
       });
     } catch (error) {
       // Record failed request in stats
@@ -535,15 +662,28 @@ class ProxyServer {
       await initSessionConfig();
       logger.info("SessionConfigManager initialized");
 
+      // Create the first console admin from configuration if there are no console users yet
+      const ConsoleAuth = require("./core/auth/ConsoleAuth");
+      ConsoleAuth.seedAdminFromConfig();
+      ConsoleAuth.logGeneratedSecrets();
+
       // Initialize Express app
       this.initializeApp();
 
+      // Initialize WebSocket proxy (handshakes of plain HTTP proxy requests and of intercepted HTTPS connections)
+      const WebSocketProxy = require("./core/forwarder/WebSocketProxy");
+      this.websocketProxy = new WebSocketProxy({
+        modeService: this.modeService,
+        interceptorChain: this.interceptorChain,
+      });
+
       // Initialize HTTPS interceptor for MITM proxying
       const HttpsInterceptor = require("./core/forwarder/HttpsInterceptor");
       this.httpsInterceptor = new HttpsInterceptor({
         modeService: this.modeService,
         interceptorChain: this.interceptorChain,
         forwarder: this.forwarder,
+        websocketProxy: this.websocketProxy,
       });
 
       // Initialize certificate manager
@@ -595,14 +735,21 @@ class ProxyServer {
             logger.info("[CONNECT] Domain not in monitored list - bypassing HTTPS interception for direct tunneling", { host });
 
             // Direct tunnel without MITM for non-monitored domains
+            // (through the upstream proxy when one applies to the host)
             const net = require("net");
-            const targetSocket = net.connect(port, host, () => {
-              socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
-              targetSocket.pipe(socket);
-              socket.pipe(targetSocket);
+            const { getInstance: getUpstreamProxy } = require("./core/forwarder/UpstreamProxy");
+
+            // Attached before the async resolve / connect: a client reset while waiting must not be unhandled,
+            // and it abandons the target connection
+            let targetSocket = null;
+            socket.on("error", (error) => {
+              logger.debug("[CONNECT] Client socket error", { error: error.message, targetHost });
+              if (targetSocket) {
+                targetSocket.destroy();
+              }
             });
 
-            targetSocket.on("error", (error) => {
+            const onTunnelError = (error) => {
               logger.error("[CONNECT] Direct tunnel error", {
                 error: error.message,
                 targetHost,
@@ -611,7 +758,34 @@ class ProxyServer {
                 socket.write("HTTP/1.1 502 Bad Gateway\r\n\r\n");
                 socket.destroy();
               }
-            });
+            };
+            const openTunnel = () => {
+              // Client gone while connecting
+              if (socket.destroyed) {
+                targetSocket.destroy();
+                return;
+              }
+              socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+              if (head && head.length > 0) {
+                targetSocket.write(head);
+              }
+              targetSocket.pipe(socket);
+              socket.pipe(targetSocket);
+            };
+
+            getUpstreamProxy()
+              .resolve(`https://${targetHost}`)
+              .then(async (upstream) => {
+                if (upstream && !upstream.direct) {
+                  targetSocket = await getUpstreamProxy().connect(upstream, host, port);
+                  targetSocket.on("error", onTunnelError);
+                  openTunnel();
+                  return;
+                }
+                targetSocket = net.connect(port, host, openTunnel);
+                targetSocket.on("error", onTunnelError);
+              })
+              .catch(onTunnelError);
 
             return;
           }
@@ -631,6 +805,20 @@ class ProxyServer {
           });
         });
 
+        // WebSocket handshakes sent to the proxy as absolute URLs (ws:// through an HTTP proxy)
+        // Other upgrade requests (e.g. h2c) are not supported and closed
+        this.server.on("upgrade", (req, socket, head) => {
+          const { isWebSocketUpgrade } = require("./utils/websocketFrames");
+          if (!isWebSocketUpgrade(req.headers) || !/^(https?|wss?):\/\//i.test(req.url)) {
+            logger.debug("[UPGRADE] Unsupported upgrade request", { url: req.url, upgrade: req.headers.upgrade });
+            socket.destroy();
+            return;
+          }
+
+          const request = { method: req.method, url: req.url, headers: req.headers, ip: socket.remoteAddress };
+          this.websocketProxy.handleUpgrade(request, socket, head, false);
+        });
+
         this.server.listen(this.port, this.host, () => {
           logger.info("Deep Proxy server started", {
             host: this.host,
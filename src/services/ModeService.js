@@ -16,6 +16,9 @@ const ResponseService = require("./ResponseService");
 const MatchingService = require("./MatchingService");
 const logger = require("../utils/logger");
 const { shouldBypassDProxy } = require("../utils/requestTypeDetector");
+const { getInstance: getFaultInjector } = require("../core/fault/FaultInjector");
+const { getInstance: getBreakpointManager } = require("../core/breakpoint/BreakpointManager");
+const { getInstance: getModeResolver } = require("../core/mode/ModeResolver");
 
 class ModeService {
   constructor(db, dependencies = {}) {
@@ -37,6 +40,7 @@ class ModeService {
     const ResponseTemplateRepository = require("../database/repositories/ResponseTemplateRepository");
     const EndpointConfigRepository = require("../database/repositories/EndpointConfigRepository");
     const MatchingEngine = require("../core/matching/MatchingEngine");
+    const ScenarioEngine = require("../core/matching/ScenarioEngine");
     const {
       VersionMatcher,
       LanguageMatcher,
@@ -66,12 +70,16 @@ class ModeService {
     // Initialize matching engine with repositories and matchers
     const matchingEngine = new MatchingEngine(repositories, matchers);
 
+    // Scenario engine for stateful replay sequences (checked before regular matching)
+    this.scenarioEngine = new ScenarioEngine();
+
     // Build dependencies object for mode handlers
     const modeDependencies = {
       forwarder: dependencies.forwarder,
       interceptorChain: dependencies.interceptorChain,
       repositories,
       matchingEngine,
+      scenarioEngine: this.scenarioEngine,
       config: dependencies.config || {},
     };
 
@@ -87,9 +95,9 @@ class ModeService {
 
     // Mode statistics
     this.stats = {
-      passthrough: { requests: 0, errors: 0 },
-      recording: { requests: 0, errors: 0, recorded: 0 },
-      replay: { requests: 0, errors: 0, hits: 0, misses: 0 },
+      passthrough: { requests: 0, errors: 0, faults: 0 },
+      recording: { requests: 0, errors: 0, faults: 0, recorded: 0 },
+      replay: { requests: 0, errors: 0, faults: 0, hits: 0, misses: 0 },
     };
   }
 
@@ -148,9 +156,10 @@ class ModeService {
   /**
    * Set proxy mode and persist to database
    * @param {string} mode Mode name (passthrough, recording, replay)
+   * @param {string|null} actor Who made the change (stored in config.updated_by)
    * @returns {Promise<Object>} Mode info
    */
-  async setMode(mode) {
+  async setMode(mode, actor = null) {
     if (!this.modes[mode]) {
       throw new Error(`Invalid mode: ${mode}. Valid modes: passthrough, recording, replay`);
     }
@@ -161,7 +170,7 @@ class ModeService {
     // Persist to database
     try {
       const configRepository = require("../database/repositories/config_repository");
-      await configRepository.updateProxyMode(mode);
+      await configRepository.updateProxyMode(mode, actor);
     } catch (error) {
       logger.error("Failed to persist mode change to database", {
         error: error.message,
@@ -170,7 +179,7 @@ class ModeService {
       // Don't throw - mode change still succeeds in memory
     }
 
-    logger.info("Proxy mode changed", { oldMode, newMode: mode });
+    logger.info("Proxy mode changed", { oldMode, newMode: mode, actor });
 
     return {
       mode: this.currentMode,
@@ -195,7 +204,21 @@ class ModeService {
   }
 
   /**
-   * Handle request using current mode
+   * Resolve the mode for a request: X-DProxy-Mode header, then per-client overrides, then the global mode
+   * @param {Object} requestContext RequestContext instance
+   * @returns {{mode: string, source: string, overrideId: number|null}} Resolved mode (see core/mode/ModeResolver)
+   */
+  resolveMode(requestContext) {
+    try {
+      return getModeResolver().resolve(requestContext, this.currentMode);
+    } catch (error) {
+      logger.warn("Failed to resolve per-client mode, using global mode", { error: error.message });
+      return { mode: this.currentMode, source: "global", overrideId: null };
+    }
+  }
+
+  /**
+   * Handle request using the mode resolved for its client (global mode unless overridden)
    * Non-monitored requests (not matching configured monitoring criteria) are directly forwarded
    * and bypass normal Deep Proxy processing (matching, stats recording, etc.)
    * @param {Object} requestContext RequestContext instance
@@ -204,7 +227,20 @@ class ModeService {
    * @returns {Promise<Object>} Response data
    */
   async handleRequest(requestContext, responseContext, options = {}) {
+    // Resolved first so the X-DProxy-Mode header is never forwarded, even for bypassed requests
+    const resolved = options.mode ? { mode: options.mode, source: "option", overrideId: null } : this.resolveMode(requestContext);
+    const mode = resolved.mode;
+    requestContext.setMetadata("mode", mode);
+    requestContext.setMetadata("modeSource", resolved.source);
+
     try {
+      // Breakpoints hold matching requests (and responses below) until released in the Web UI
+      // Applies to all traffic in every mode; the hold time is not counted as latency
+      const breakpointManager = getBreakpointManager();
+      if (!(await breakpointManager.holdRequest(requestContext))) {
+        return breakpointManager.createAbortResponse();
+      }
+
       const startTime = Date.now();
 
       // Check if this is a non-monitored request (e.g., CDN, static image request, request from unmonitored domain)
@@ -234,34 +270,53 @@ class ModeService {
           latency: Date.now() - startTime,
         });
 
-        return result;
+        return await breakpointManager.holdResponse(result, requestContext);
       }
 
-      const mode = options.mode || this.currentMode;
       const handler = this.getModeHandler(mode);
 
       logger.debug("Handling monitored request", {
         mode,
+        modeSource: resolved.source,
         method: requestContext.getMethod(),
         path: requestContext.getPath(),
       });
 
+      // Fault injection applies to monitored requests in every mode
+      // status/timeout/reset faults replace the mode handler, truncate/throttle apply to its response
+      const faultInjector = getFaultInjector();
+      const fault = faultInjector.selectFault(requestContext);
+      if (fault && faultInjector.isShortCircuit(fault)) {
+        const faultResponse = faultInjector.createFaultResponse(fault);
+        const elapsed = Date.now() - startTime;
+        faultResponse.setLatency(elapsed);
+        this._updateStats(mode, "fault", faultResponse, elapsed);
+        return faultResponse;
+      }
+
       // Execute mode handler for monitored requests
       const result = await handler.handleRequest(requestContext, responseContext, options);
+      if (fault) {
+        faultInjector.attachFault(result, fault);
+      }
 
       // Update statistics
       const elapsed = Date.now() - startTime;
       this._updateStats(mode, "success", result, elapsed);
 
-      return result;
+      // Measure latency before a response breakpoint holds the response
+      if (!result.getAllMetadata().latency) {
+        result.setLatency(elapsed);
+      }
+      return await breakpointManager.holdResponse(result, requestContext);
     } catch (error) {
       logger.error("Failed to handle request", {
-        mode: this.currentMode,
+        mode,
         error: error.message,
       });
 
       // Update error statistics
-      this._updateStats(this.currentMode, "error");
+      this._updateStats(mode, "error");
 
       throw error;
     }
@@ -303,6 +358,47 @@ class ModeService {
     }
   }
 
+  /**
+   * Explain replay matching for a request (strategies, candidate counts, eliminating filters, selected record)
+   * @param {Object} requestData Request { method, url or path (may include query string), query, headers, body }
+   * @returns {Promise<Object>} Match trace
+   */
+  async explainMatch(requestData) {
+    try {
+      const url = new URL(requestData.url || requestData.path, "http://localhost");
+      const isAbsolute = /^https?:\/\//i.test(requestData.url || requestData.path);
+
+      const headers = {};
+      for (const [key, value] of Object.entries(requestData.headers || {})) {
+        headers[key.toLowerCase()] = value;
+      }
+      if (isAbsolute && !headers.host) {
+        headers.host = url.host;
+      }
+
+      const RequestContext = require("../core/context/RequestContext");
+      const requestContext = new RequestContext({
+        method: requestData.method.toUpperCase(),
+        url: isAbsolute ? url.href : url.pathname + url.search,
+        originalUrl: isAbsolute ? url.href : url.pathname + url.search,
+        path: url.pathname,
+        query: requestData.query || Object.fromEntries(url.searchParams),
+        headers,
+        body: requestData.body === undefined ? null : requestData.body,
+        params: {},
+        ip: "explain",
+        protocol: url.protocol.replace(":", ""),
+        hostname: url.hostname,
+        secure: url.protocol === "https:",
+      });
+
+      return await this.modes.replay.explainMatch(requestContext);
+    } catch (error) {
+      logger.error("Failed to explain match", { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get all matching requests for a request
    * @param {Object} requestContext RequestContext instance
@@ -396,7 +492,7 @@ class ModeService {
   /**
    * Update statistics
    * @param {string} mode Mode name
-   * @param {string} type Result type (success, error)
+   * @param {string} type Result type (success, error, fault = answered with an injected fault)
    * @param {Object} result Request result
    * @param {number} elapsed Elapsed time in ms
    * @private
@@ -408,6 +504,8 @@ class ModeService {
 
     if (type === "error") {
       this.stats[mode].errors++;
+    } else if (type === "fault") {
+      this.stats[mode].faults++;
     } else if (type === "success") {
       // Mode-specific statistics
       if (mode === "recording" && result) {
@@ -429,7 +527,7 @@ class ModeService {
    * @private
    */
   _getInitialStats(mode) {
-    const baseStats = { requests: 0, errors: 0 };
+    const baseStats = { requests: 0, errors: 0, faults: 0 };
 
     if (mode === "recording") {
       return { ...baseStats, recorded: 0 };
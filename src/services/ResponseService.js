@@ -12,6 +12,8 @@
 const ApiResponseRepository = require("../database/repositories/ApiResponseRepository");
 const ResponseTemplateRepository = require("../database/repositories/ResponseTemplateRepository");
 const logger = require("../utils/logger");
+const { getLocalISOString } = require("../utils/datetimeUtils");
+const { buildTemplateContext, renderValue, renderHeaders } = require("../utils/responseTemplate");
 
 class ResponseService {
   constructor(db) {
@@ -97,7 +99,7 @@ class ResponseService {
    */
   async getResponsesByRequestId(requestId) {
     try {
-      return await this.responseRepo.findAll({ request_id: requestId });
+      return await this.responseRepo.findAllByRequestId(requestId);
     } catch (error) {
       logger.error("Failed to get responses by request ID", { requestId, error: error.message });
       throw error;
@@ -164,7 +166,15 @@ class ResponseService {
     try {
       logger.debug("Updating response record", { responseId });
 
-      const allowedFields = ["status_code", "headers", "body", "response_source", "template_id"];
+      const allowedFields = [
+        "response_status",
+        "response_headers",
+        "response_body",
+        "response_body_encoding",
+        "response_source",
+        "template_id",
+        "templated",
+      ];
       const updateData = {};
 
       for (const [key, value] of Object.entries(updates)) {
@@ -177,10 +187,25 @@ class ResponseService {
         throw new Error("No valid fields to update");
       }
 
-      const updated = await this.responseRepo.update(responseId, updateData);
+      // An edited body is text unless its encoding is given (binary bodies are base64)
+      if (updateData.response_body !== undefined && updateData.response_body_encoding === undefined) {
+        updateData.response_body_encoding = null;
+      }
+      if (updateData.templated !== undefined) {
+        updateData.templated = updateData.templated ? 1 : 0;
+      }
+      if (updateData.response_headers !== undefined && typeof updateData.response_headers !== "string") {
+        updateData.response_headers = JSON.stringify(updateData.response_headers);
+      }
+      if (updateData.response_status !== undefined) {
+        updateData.is_successful = updateData.response_status >= 200 && updateData.response_status < 300 ? 1 : 0;
+      }
+      updateData.updated_at = getLocalISOString();
+
+      await this.responseRepo.update(responseId, updateData);
       logger.info("Response record updated", { responseId });
 
-      return updated;
+      return await this.responseRepo.findById(responseId);
     } catch (error) {
       logger.error("Failed to update response record", { responseId, error: error.message });
       throw error;
@@ -293,6 +318,39 @@ class ResponseService {
     }
   }
 
+  /**
+   * Render a templated response as it would be replayed
+   * @param {Object} response Response record ({ response_status, response_headers, response_body })
+   * @param {Object} request Sample request ({ method, path, query, headers, body })
+   * @returns {Object} Rendered response { status, headers, body }
+   */
+  previewResponse(response, request = {}) {
+    let headers = response.response_headers || {};
+    if (typeof headers === "string") {
+      try {
+        headers = JSON.parse(headers);
+      } catch (e) {
+        throw new Error("response_headers must be valid JSON");
+      }
+    }
+
+    let body = response.response_body;
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch (e) {
+        // Text body
+      }
+    }
+
+    const templateContext = buildTemplateContext(request);
+    return {
+      status: response.response_status,
+      headers: renderHeaders(headers, templateContext),
+      body: body === null || body === undefined ? null : renderValue(body, templateContext),
+    };
+  }
+
   /**
    * Validate response data
    * @param {Object} responseData Response data to validate
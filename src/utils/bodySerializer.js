@@ -4,9 +4,28 @@
  * Common functions for serializing request/response bodies
  * Handles Buffer, Object, and String types correctly
  * Decompresses gzip/deflate/br response bodies for storage/display
+ * Binary bodies (images, PDFs, protobuf, undecodable gzip...) are stored as base64 with an encoding marker
+ * (request_body_encoding / response_body_encoding columns) so replay returns the exact bytes
  */
 
 const zlib = require("zlib");
+const { isUtf8 } = require("buffer");
+
+// Encoding marker of bodies stored as base64 (NULL marker = JSON or text as-is)
+const BODY_ENCODING_BASE64 = "base64";
+
+// Content types that are always binary, whatever their bytes look like
+const BINARY_CONTENT_TYPES = [
+  /^image\//,
+  /^audio\//,
+  /^video\//,
+  /^font\//,
+  /^application\/(octet-stream|pdf|zip|gzip|x-gzip|x-tar|x-7z-compressed|wasm)$/,
+  /^application\/(x-)?protobuf$/,
+  /^application\/vnd\.google\.protobuf$/,
+  /^application\/grpc/,
+  /^application\/vnd\.(ms-excel|openxmlformats-officedocument\.)/,
+];
 
 /**
  * Decompress response body when Content-Encoding is gzip, deflate, or br
@@ -38,6 +57,7 @@ function decompressResponseBody(buffer, contentEncoding) {
 /**
  * Serialize body to JSON string for database storage
  * Handles Buffer, Object, and String types correctly
+ * Buffers are decoded as UTF-8: use encodeBody for bodies that may be binary
  *
  * @param {*} body - Request or response body
  * @returns {string|null} JSON string or null
@@ -95,7 +115,77 @@ function serializeBody(body) {
   return String(body);
 }
 
+/**
+ * Get the Content-Type of a headers object (case-insensitive)
+ * @param {Object|undefined} headers - Request or response headers
+ * @returns {string|undefined} Content-Type value
+ */
+function getContentType(headers) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find((name) => name.toLowerCase() === "content-type");
+  const value = key ? headers[key] : undefined;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Check if a content type is binary (image, PDF, protobuf, archive...)
+ * @param {string|undefined} contentType - Content-Type header value
+ * @returns {boolean} True for binary content types
+ */
+function isBinaryContentType(contentType) {
+  if (!contentType) return false;
+  const mediaType = String(contentType).split(";")[0].trim().toLowerCase();
+  return BINARY_CONTENT_TYPES.some((pattern) => pattern.test(mediaType));
+}
+
+/**
+ * Check if a Buffer holds binary data that would not survive a UTF-8 round trip
+ * @param {Buffer} buffer - Body buffer
+ * @returns {boolean} True when the bytes are not valid UTF-8 text (or contain NUL bytes)
+ */
+function isBinaryBuffer(buffer) {
+  return !isUtf8(buffer) || buffer.includes(0);
+}
+
+/**
+ * Serialize a body for database storage, keeping binary bodies byte-exact
+ * Buffers with a binary content type or non-text bytes are stored as base64; everything else like serializeBody.
+ *
+ * @param {*} body - Request or response body
+ * @param {string|undefined} contentType - Content-Type header of the body
+ * @returns {Object} { body: string|null, encoding: "base64"|null } - values of the body and body encoding columns
+ *
+ * @example
+ * encodeBody(pngBuffer, "image/png") // { body: "iVBORw0KGgo...", encoding: "base64" }
+ * encodeBody(Buffer.from('{"a":1}'), "application/json") // { body: '{"a":1}', encoding: null }
+ */
+function encodeBody(body, contentType) {
+  if (Buffer.isBuffer(body) && body.length > 0 && (isBinaryContentType(contentType) || isBinaryBuffer(body))) {
+    return { body: body.toString("base64"), encoding: BODY_ENCODING_BASE64 };
+  }
+  return { body: serializeBody(body), encoding: null };
+}
+
+/**
+ * Turn a stored body back into the value to send
+ * @param {string|null} stored - Stored body column
+ * @param {string|null} encoding - Stored body encoding column
+ * @returns {Buffer|string|null} Buffer for base64 bodies, otherwise the stored value
+ */
+function decodeBody(stored, encoding) {
+  if (stored === null || stored === undefined) return null;
+  if (encoding === BODY_ENCODING_BASE64) {
+    return Buffer.from(stored, "base64");
+  }
+  return stored;
+}
+
 module.exports = {
+  BODY_ENCODING_BASE64,
   serializeBody,
+  encodeBody,
+  decodeBody,
+  getContentType,
+  isBinaryContentType,
   decompressResponseBody,
 };
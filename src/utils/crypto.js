@@ -161,7 +161,7 @@ function generateSessionCookie() {
 
 /**
  * Hash response body for deduplication
- * @param {Object} responseBody - Response body object
+ * @param {Object|Buffer|string} responseBody - Response body (Buffers are hashed byte for byte)
  * @returns {string} Hash of response body
  */
 function hashResponseBody(responseBody) {
@@ -169,6 +169,10 @@ function hashResponseBody(responseBody) {
     return null;
   }
 
+  if (Buffer.isBuffer(responseBody)) {
+    return hash(responseBody);
+  }
+
   // Convert to stable JSON string (sorted keys)
   const normalized = JSON.stringify(responseBody, Object.keys(responseBody).sort());
   return hash(normalized);
@@ -215,6 +219,9 @@ function sanitizeForLogging(data, sensitiveFields = []) {
     "access_token",
     "refresh_token",
     "bearer",
+    "passphrase",
+    "client_key",
+    "client_pfx",
   ];
 
   const fieldsToMask = [...defaultSensitiveFields, ...sensitiveFields];
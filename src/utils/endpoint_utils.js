@@ -50,16 +50,17 @@ function getEndpointName(path) {
  * If config is not available, defaults to public (not secure).
  *
  * @param {string} path - URL path
+ * @param {string|null} profile - App profile of the request (default profile if omitted)
  * @returns {boolean} True if endpoint requires authentication
  */
-function isSecureEndpoint(path) {
+function isSecureEndpoint(path, profile = null) {
   if (!path) {
     return false;
   }
 
   const configManager = getInstance();
   if (configManager && configManager.isInitialized()) {
-    return configManager.isSecureEndpoint(path);
+    return configManager.forProfile(profile).isSecureEndpoint(path);
   }
 
   // No config available - default to public (not secure)
@@ -70,10 +71,11 @@ function isSecureEndpoint(path) {
  * Check if endpoint is public (does not require authentication)
  *
  * @param {string} path - URL path
+ * @param {string|null} profile - App profile of the request (default profile if omitted)
  * @returns {boolean} True if endpoint is public
  */
-function isPublicEndpoint(path) {
-  return !isSecureEndpoint(path);
+function isPublicEndpoint(path, profile = null) {
+  return !isSecureEndpoint(path, profile);
 }
 
 /**
@@ -84,12 +86,13 @@ function isPublicEndpoint(path) {
  * If config is not available, returns the configured fallback type (default: "public").
  *
  * @param {string} path - URL path
+ * @param {string|null} profile - App profile of the request (default profile if omitted)
  * @returns {string} Endpoint type (e.g., 'secure', 'public', or custom type)
  */
-function getEndpointType(path) {
+function getEndpointType(path, profile = null) {
   const configManager = getInstance();
   if (configManager && configManager.isInitialized()) {
-    return configManager.getEndpointType(path);
+    return configManager.forProfile(profile).getEndpointType(path);
   }
 
   // No config available - default to "public"
@@ -103,12 +106,13 @@ function getEndpointType(path) {
  * If config is not available, returns empty array.
  *
  * @param {string} path - URL path
+ * @param {string|null} profile - App profile of the request (default profile if omitted)
  * @returns {Array} Array of tag objects { name, color }
  */
-function getEndpointTags(path) {
+function getEndpointTags(path, profile = null) {
   const configManager = getInstance();
   if (configManager && configManager.isInitialized()) {
-    return configManager.getEndpointTags(path);
+    return configManager.forProfile(profile).getEndpointTags(path);
   }
   return [];
 }
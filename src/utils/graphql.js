@@ -0,0 +1,210 @@
+/**
+ * GraphQL Utilities
+ *
+ * Recognizes GraphQL requests so each operation behind a single endpoint (e.g. POST /graphql)
+ * is recorded, matched and reported as its own logical endpoint:
+ * - operationName (or the name in the query document, "anonymous" otherwise)
+ * - a hash of the normalized query document (comments, whitespace and commas don't change it)
+ * - the persisted query hash (Apollo automatic persisted queries: extensions.persistedQuery.sha256Hash,
+ *   the SHA-256 of the query text), so hash-only requests map to the recording made with the full query
+ *
+ * Supported shapes: JSON POST bodies { query, operationName, variables, extensions } (parsed objects,
+ * strings or raw Buffer / Uint8Array bodies),
+ * application/graphql POST bodies (the query document), and GET query parameters.
+ * Batched requests (JSON arrays) are not split and stay on their HTTP endpoint.
+ */
+
+const crypto = require("crypto");
+const { decodeBody } = require("./bodySerializer");
+
+// Separator of the logical endpoint of an operation, used by endpoint rules ("/graphql#GetUser")
+const OPERATION_SEPARATOR = "#";
+
+// Query parameters carrying a GraphQL GET request (compared through the operation, not as query params)
+const GRAPHQL_PARAMS = ["query", "operationName", "variables", "extensions"];
+
+/**
+ * Normalize a GraphQL document: drop comments, commas and insignificant whitespace (string literals are kept)
+ * @param {string} query - GraphQL document
+ * @returns {string} Normalized document
+ *
+ * @example
+ * normalizeQuery("query  GetUser($id: ID!) {\n  user(id: $id) { id, name } # fields\n}")
+ * // -> "query GetUser($id:ID!){user(id:$id){id name}}"
+ */
+function normalizeQuery(query) {
+  const tokens = [];
+  const pattern = /"""[\s\S]*?"""|"(?:\\.|[^"\\])*"|#[^\n\r]*|[\s,]+|[!$&()[\]{}:=@|]|\.\.\.|[^\s,!$&()[\]{}:=@|"#]+/g;
+  for (const [token] of String(query || "").matchAll(pattern)) {
+    if (token.startsWith("#") || /^[\s,]+$/.test(token)) continue;
+    tokens.push(token);
+  }
+  // A space is only needed between two names/values ("query GetUser", "id name")
+  return tokens.reduce((text, token) => {
+    const previous = text.slice(-1);
+    const needsSpace = text && /[\w"]/.test(previous) && /^[\w"$.]/.test(token) && token !== "...";
+    return text + (needsSpace ? " " : "") + token;
+  }, "");
+}
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} text - Text
+ * @returns {string} Hex digest
+ */
+function sha256(text) {
+  return crypto.createHash("sha256").update(text, "utf8").digest("hex");
+}
+
+/**
+ * Get the type and name of the operation to execute
+ * @param {string} query - GraphQL document
+ * @param {string|null} operationName - Requested operation (documents may define several)
+ * @returns {Object} { type: "query" | "mutation" | "subscription", name: string|null }
+ */
+function getOperation(query, operationName) {
+  // Top-level definitions only: a field named "query" inside a selection set is not an operation
+  const document = normalizeQuery(query).replace(/"""[\s\S]*?"""|"(?:\\.|[^"\\])*"/g, '""');
+  const definition = /(query|mutation|subscription)(?: (\w+))?/y;
+  const operations = [];
+  let depth = 0;
+  for (let index = 0; index < document.length; index++) {
+    const char = document[index];
+    if (char === "{") depth++;
+    else if (char === "}") depth--;
+    else if (depth === 0 && (index === 0 || document[index - 1] === "}")) {
+      definition.lastIndex = index;
+      const match = definition.exec(document);
+      if (match) operations.push({ type: match[1], name: match[2] || null });
+    }
+  }
+  const named = operationName ? operations.find((operation) => operation.name === operationName) : null;
+  if (named) return named;
+  if (operations.length > 0) return { ...operations[0], name: operationName || operations[0].name };
+  // Shorthand query ("{ me { id } }")
+  return { type: "query", name: operationName || null };
+}
+
+/**
+ * Parse a JSON value that may still be a string (GET parameters)
+ * @param {*} value - Value
+ * @returns {*} Parsed value, or null when it isn't JSON
+ */
+function parseJsonParam(value) {
+  if (typeof value !== "string") return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parse a GraphQL request
+ * @param {Object} request - { method, body, query (query parameters), headers }
+ * @returns {Object|null} { operationName, operationType, queryHash, persistedHash, variables }
+ *   (queryHash null for hash-only persisted queries) or null when the request is not GraphQL
+ */
+function parseGraphqlRequest({ method, body, query = null, headers = {} }) {
+  const contentTypeKey = Object.keys(headers || {}).find((name) => name.toLowerCase() === "content-type");
+  const contentType = contentTypeKey ? String(headers[contentTypeKey]).toLowerCase() : "";
+
+  // Raw bodies (Buffer / Uint8Array, as received on live traffic) are decoded as UTF-8
+  let bodyText = null;
+  if (typeof body === "string") {
+    bodyText = body;
+  } else if (body instanceof Uint8Array) {
+    bodyText = Buffer.from(body.buffer, body.byteOffset, body.byteLength).toString("utf8");
+  }
+
+  let payload = null;
+  if (String(method || "").toUpperCase() === "GET") {
+    payload = query;
+  } else if (contentType.startsWith("application/graphql") && bodyText !== null) {
+    payload = { query: bodyText };
+  } else if (body && typeof body === "object" && !(body instanceof Uint8Array)) {
+    payload = body;
+  } else if (bodyText !== null && (contentType.includes("json") || bodyText.trim().startsWith("{"))) {
+    payload = parseJsonParam(bodyText);
+  }
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return null;
+  }
+
+  const extensions = parseJsonParam(payload.extensions);
+  const persisted = extensions && extensions.persistedQuery ? extensions.persistedQuery.sha256Hash || null : null;
+  const text = typeof payload.query === "string" && payload.query.trim() ? payload.query : null;
+  if (!text && !persisted) {
+    return null;
+  }
+
+  const requestedName = typeof payload.operationName === "string" && payload.operationName ? payload.operationName : null;
+  const operation = text ? getOperation(text, requestedName) : { type: null, name: requestedName };
+  const variables = parseJsonParam(payload.variables);
+
+  return {
+    operationName: operation.name || "anonymous",
+    operationType: operation.type,
+    queryHash: text ? sha256(normalizeQuery(text)) : null,
+    persistedHash: persisted || (text ? sha256(text) : null),
+    variables: variables && typeof variables === "object" ? variables : {},
+  };
+}
+
+/**
+ * Get the logical endpoint of an operation, used to look up endpoint rules
+ * @param {string} path - HTTP endpoint path (e.g. "/graphql")
+ * @param {Object} graphql - Parsed request (see parseGraphqlRequest)
+ * @returns {string} Logical endpoint (e.g. "/graphql#GetUser")
+ */
+function getOperationPath(path, graphql) {
+  return `${String(path || "/").split("?")[0]}${OPERATION_SEPARATOR}${graphql.operationName}`;
+}
+
+/**
+ * Get the fields of an operation that match_body paths target ("variables.id", "operationName")
+ * @param {Object} graphql - Parsed request (see parseGraphqlRequest)
+ * @returns {Object} { operationName, variables }
+ */
+function getMatchableFields(graphql) {
+  return { operationName: graphql.operationName, variables: graphql.variables };
+}
+
+/**
+ * Parse a recorded request (api_requests row) as GraphQL and get its matchable fields
+ * @param {Object} row - { method, query_params, request_headers, request_body, request_body_encoding }
+ * @returns {Object|null} { operationName, variables } or null when the recording is not GraphQL
+ */
+function getRecordedFields(row) {
+  const graphql = parseGraphqlRequest({
+    method: row.method,
+    body: decodeBody(row.request_body, row.request_body_encoding),
+    query: parseJsonParam(row.query_params),
+    headers: parseJsonParam(row.request_headers) || {},
+  });
+  return graphql ? getMatchableFields(graphql) : null;
+}
+
+/**
+ * Remove the GraphQL parameters of a GET request from its query parameters
+ * @param {Object|string|null} queryParams - Query parameters (object or JSON string)
+ * @returns {Object|null} Remaining query parameters, or null when none are left
+ */
+function withoutGraphqlParams(queryParams) {
+  const params = parseJsonParam(queryParams);
+  if (!params || typeof params !== "object") {
+    return null;
+  }
+  const remaining = Object.fromEntries(Object.entries(params).filter(([name]) => !GRAPHQL_PARAMS.includes(name)));
+  return Object.keys(remaining).length > 0 ? remaining : null;
+}
+
+module.exports = {
+  OPERATION_SEPARATOR,
+  normalizeQuery,
+  parseGraphqlRequest,
+  getOperationPath,
+  getMatchableFields,
+  getRecordedFields,
+  withoutGraphqlParams,
+};
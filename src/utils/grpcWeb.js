@@ -0,0 +1,122 @@
+/**
+ * gRPC-Web Utilities
+ *
+ * Reads and writes the length-prefixed frames of gRPC and gRPC-Web bodies:
+ * - Each frame is a flag byte, a 4-byte big-endian length and the payload
+ * - Flag 0x80 marks the trailers frame ("grpc-status: 0\r\ngrpc-message: ...\r\n"), 0x01 a compressed message
+ * - application/grpc-web-text bodies are base64 (responses may concatenate one base64 chunk per frame)
+ */
+
+const FRAME_HEADER_LENGTH = 5;
+const FLAG_COMPRESSED = 0x01;
+const FLAG_TRAILERS = 0x80;
+
+/**
+ * Get the gRPC flavour of a content type
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} "grpc", "grpc-web", "grpc-web-text" or null when not gRPC
+ */
+function getGrpcFormat(contentType) {
+  const mediaType = String(contentType || "").split(";")[0].trim().toLowerCase();
+  const match = /^application\/(grpc-web-text|grpc-web|grpc)(\+proto)?$/.exec(mediaType);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse trailers of a trailers frame
+ * @param {Buffer} payload - Frame payload
+ * @returns {Object} Trailers (lowercase names)
+ */
+function parseTrailers(payload) {
+  const trailers = {};
+  for (const line of payload.toString("utf8").split("\r\n")) {
+    const index = line.indexOf(":");
+    if (index > 0) trailers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  }
+  return trailers;
+}
+
+/**
+ * Decode a gRPC / gRPC-Web body into its messages and trailers
+ * @param {Buffer} body - Body bytes
+ * @param {string} format - gRPC format (see getGrpcFormat)
+ * @returns {Object} { messages: Array<Buffer>, trailers: Object|null }
+ * @throws {Error} When frames are truncated or compressed
+ */
+function decodeFrames(body, format) {
+  let buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body || ""), "utf8");
+  if (format === "grpc-web-text") {
+    const chunks = buffer.toString("latin1").replace(/\s+/g, "").match(/[^=]+={0,2}/g) || [];
+    buffer = Buffer.concat(chunks.map((chunk) => Buffer.from(chunk, "base64")));
+  }
+
+  const messages = [];
+  let trailers = null;
+  let offset = 0;
+  while (offset < buffer.length) {
+    if (offset + FRAME_HEADER_LENGTH > buffer.length) {
+      throw new Error("Truncated gRPC frame header");
+    }
+    const flag = buffer[offset];
+    const length = buffer.readUInt32BE(offset + 1);
+    const start = offset + FRAME_HEADER_LENGTH;
+    if (start + length > buffer.length) {
+      throw new Error("Truncated gRPC frame");
+    }
+    const payload = buffer.subarray(start, start + length);
+    if (flag & FLAG_TRAILERS) {
+      trailers = parseTrailers(payload);
+    } else if (flag & FLAG_COMPRESSED) {
+      throw new Error("Compressed gRPC messages are not supported");
+    } else {
+      messages.push(payload);
+    }
+    offset = start + length;
+  }
+
+  return { messages, trailers };
+}
+
+/**
+ * Encode messages and trailers into a gRPC / gRPC-Web body
+ * @param {Array<Buffer>} messages - Encoded messages
+ * @param {Object|null} trailers - Trailers (gRPC-Web only: plain gRPC sends them as HTTP/2 trailers)
+ * @param {string} format - gRPC format (see getGrpcFormat)
+ * @returns {Buffer} Body bytes (base64 text for grpc-web-text)
+ */
+function encodeFrames(messages, trailers, format) {
+  const frame = (flag, payload) => {
+    const header = Buffer.alloc(FRAME_HEADER_LENGTH);
+    header[0] = flag;
+    header.writeUInt32BE(payload.length, 1);
+    return Buffer.concat([header, payload]);
+  };
+
+  const frames = messages.map((message) => frame(0, message));
+  if (trailers && format !== "grpc") {
+    const text = Object.entries(trailers)
+      .map(([name, value]) => `${name}: ${value}\r\n`)
+      .join("");
+    frames.push(frame(FLAG_TRAILERS, Buffer.from(text, "utf8")));
+  }
+
+  const body = Buffer.concat(frames);
+  return format === "grpc-web-text" ? Buffer.from(body.toString("base64"), "latin1") : body;
+}
+
+/**
+ * Parse a gRPC method path ("/package.Service/Method")
+ * @param {string} path - Request path
+ * @returns {Object|null} { service, method } or null when the path is not a gRPC method path
+ */
+function parseGrpcPath(path) {
+  const match = /^\/([A-Za-z_][\w.]*)\/([A-Za-z_]\w*)$/.exec(String(path || "").split("?")[0]);
+  return match ? { service: match[1], method: match[2] } : null;
+}
+
+module.exports = {
+  getGrpcFormat,
+  decodeFrames,
+  encodeFrames,
+  parseGrpcPath,
+};
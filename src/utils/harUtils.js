@@ -0,0 +1,311 @@
+/**
+ * HAR (HTTP Archive 1.2) Utilities
+ *
+ * Converts recorded api_requests/api_responses rows to HAR entries and
+ * HAR entries back to the shape used by the secure/public request repositories.
+ *
+ * Spec: http://www.softwareishard.com/blog/har-12-spec/
+ */
+
+const { version: appVersion } = require("../../package.json");
+
+const HAR_VERSION = "1.2";
+
+// Headers that describe the wire encoding, not the stored (decoded) body
+const TRANSPORT_HEADERS = ["content-encoding", "content-length", "transfer-encoding"];
+
+/**
+ * Safely parse a JSON column value
+ * @param {string|null} value - JSON string from database
+ * @param {*} fallback - Value returned when parsing fails
+ * @returns {*} Parsed value or fallback
+ */
+function parseJsonColumn(value, fallback = null) {
+  if (value === null || value === undefined || value === "") return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Convert a headers object to HAR name/value pairs
+ * Array values (e.g. set-cookie) are expanded into one pair per value
+ * @param {Object} headers - Headers object
+ * @returns {Array<{name: string, value: string}>} HAR headers
+ */
+function toHarHeaders(headers) {
+  const result = [];
+  if (!headers || typeof headers !== "object") return result;
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined || value === null) continue;
+    const values = Array.isArray(value) ? value : [value];
+    for (const v of values) {
+      result.push({ name, value: String(v) });
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert HAR name/value header pairs to a headers object
+ * Names are lower-cased (like Node.js incoming headers), HTTP/2 pseudo headers are dropped,
+ * repeated set-cookie headers become an array and other repeated headers are comma-joined.
+ * @param {Array<{name: string, value: string}>} harHeaders - HAR headers
+ * @returns {Object} Headers object
+ */
+function fromHarHeaders(harHeaders) {
+  const headers = {};
+  if (!Array.isArray(harHeaders)) return headers;
+
+  for (const header of harHeaders) {
+    if (!header || !header.name || header.name.startsWith(":")) continue;
+    const name = header.name.toLowerCase();
+    const value = header.value === undefined || header.value === null ? "" : String(header.value);
+
+    if (headers[name] === undefined) {
+      headers[name] = name === "set-cookie" ? [value] : value;
+    } else if (name === "set-cookie") {
+      headers[name].push(value);
+    } else {
+      headers[name] = `${headers[name]}, ${value}`;
+    }
+  }
+  return headers;
+}
+
+/**
+ * Get a header value from a headers object (case-insensitive)
+ * @param {Object} headers - Headers object
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ */
+function getHeaderValue(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase());
+  if (!key) return undefined;
+  const value = headers[key];
+  return Array.isArray(value) ? value.join(", ") : value;
+}
+
+/**
+ * Turn a stored body column into HAR text
+ * Bodies are stored as JSON, plain text, or base64 for binary bodies (see bodySerializer)
+ * @param {string|null} stored - Stored body
+ * @returns {string} Body text
+ */
+function storedBodyToText(stored) {
+  if (stored === null || stored === undefined) return "";
+  return typeof stored === "string" ? stored : JSON.stringify(stored);
+}
+
+/**
+ * Get the size in bytes of a stored body
+ * @param {string} text - Stored body text
+ * @param {string|null} encoding - Stored body encoding ("base64" for binary bodies)
+ * @returns {number} Body size in bytes
+ */
+function storedBodySize(text, encoding) {
+  return Buffer.byteLength(text, encoding === "base64" ? "base64" : "utf8");
+}
+
+/**
+ * Build a HAR entry from a joined api_requests/api_responses row
+ * @param {Object} row - Row with request columns and resp_* response columns
+ * @returns {Object} HAR entry
+ */
+function buildHarEntry(row) {
+  const requestHeaders = parseJsonColumn(row.request_headers, {}) || {};
+  const responseHeaders = parseJsonColumn(row.response_headers, {}) || {};
+  const queryParams = parseJsonColumn(row.query_params, {}) || {};
+
+  const queryString = Object.entries(queryParams).map(([name, value]) => ({
+    name,
+    value: value === null || value === undefined ? "" : String(value),
+  }));
+  const search = new URLSearchParams(queryString.map((q) => [q.name, q.value])).toString();
+  const url = `${row.host || ""}${row.endpoint_path || "/"}${search ? `?${search}` : ""}`;
+
+  const request = {
+    method: row.method,
+    url,
+    httpVersion: "HTTP/1.1",
+    cookies: [],
+    headers: toHarHeaders(requestHeaders),
+    queryString,
+    headersSize: -1,
+    bodySize: -1,
+  };
+
+  const requestText = storedBodyToText(row.request_body);
+  if (requestText) {
+    request.postData = {
+      mimeType: getHeaderValue(requestHeaders, "content-type") || "application/octet-stream",
+      text: requestText,
+    };
+    // Binary bodies are stored as base64 (read back by decodeHarBody)
+    if (row.request_body_encoding) {
+      request.postData.encoding = row.request_body_encoding;
+    }
+    request.bodySize = storedBodySize(requestText, row.request_body_encoding);
+  }
+
+  const responseText = storedBodyToText(row.response_body);
+  const responseSize = storedBodySize(responseText, row.response_body_encoding);
+  const time = Number.isFinite(row.latency_ms) ? row.latency_ms : 0;
+
+  return {
+    startedDateTime: new Date(row.response_updated_at || row.updated_at || row.created_at || Date.now()).toISOString(),
+    time,
+    request,
+    response: {
+      status: row.response_status,
+      statusText: "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: toHarHeaders(responseHeaders),
+      content: {
+        size: responseSize,
+        mimeType: getHeaderValue(responseHeaders, "content-type") || "",
+        text: responseText,
+        ...(row.response_body_encoding ? { encoding: row.response_body_encoding } : {}),
+      },
+      redirectURL: getHeaderValue(responseHeaders, "location") || "",
+      headersSize: -1,
+      bodySize: responseSize,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+    // Custom fields must start with an underscore (HAR 1.2)
+    _dproxy: {
+      requestId: row.id,
+      responseId: row.response_id,
+      endpointType: row.endpoint_type,
+      userIdentifier: row.user_identifier || null,
+      appPlatform: row.app_platform || null,
+      appVersion: row.app_version || null,
+      appEnvironment: row.app_environment || null,
+      appLanguage: row.app_language || null,
+      responseSource: row.response_source || null,
+    },
+  };
+}
+
+/**
+ * Build a complete HAR document from joined rows
+ * @param {Array<Object>} rows - Joined request/response rows
+ * @returns {Object} HAR document
+ */
+function buildHar(rows) {
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: { name: "DeepProxy", version: appVersion },
+      pages: [],
+      entries: rows.map(buildHarEntry),
+    },
+  };
+}
+
+/**
+ * Decode a HAR body into the value stored by the repositories
+ * JSON bodies are parsed so they are stored normalized, like recorded traffic.
+ * @param {string|undefined} text - Body text
+ * @param {string|undefined} encoding - HAR content encoding (e.g. "base64")
+ * @param {string|undefined} mimeType - Body mime type
+ * @returns {*} Object, string, Buffer, or null
+ */
+function decodeHarBody(text, encoding, mimeType) {
+  if (text === undefined || text === null || text === "") return null;
+
+  if (encoding === "base64") {
+    return Buffer.from(text, "base64");
+  }
+
+  if (mimeType && mimeType.toLowerCase().includes("json")) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Convert a HAR entry into the values recorded by the request repositories
+ * @param {Object} entry - HAR entry
+ * @returns {Object} Parsed entry { method, url, host, endpointPath, queryParams, headers, body, response, duration }
+ * @throws {Error} When the entry is missing a request/response or has a non-HTTP URL
+ */
+function parseHarEntry(entry) {
+  if (!entry || !entry.request || !entry.response) {
+    throw new Error("Entry is missing request or response");
+  }
+
+  const { request, response } = entry;
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (e) {
+    throw new Error(`Invalid request URL: ${request.url}`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Unsupported URL protocol: ${url.protocol}`);
+  }
+
+  const status = parseInt(response.status, 10);
+  if (!status || status < 100) {
+    // Aborted/blocked entries in browser HARs have status 0
+    throw new Error("Entry has no response status");
+  }
+
+  let queryParams = null;
+  if (url.search) {
+    queryParams = {};
+    url.searchParams.forEach((value, key) => {
+      queryParams[key] = value;
+    });
+  }
+
+  const headers = fromHarHeaders(request.headers);
+  const responseHeaders = fromHarHeaders(response.headers);
+  // HAR content.text is already decoded, drop wire-level encoding headers
+  for (const name of TRANSPORT_HEADERS) {
+    delete responseHeaders[name];
+  }
+
+  const postData = request.postData || {};
+  const content = response.content || {};
+  const duration = Number.isFinite(entry.time) ? Math.round(entry.time) : null;
+
+  return {
+    method: String(request.method || "GET").toUpperCase(),
+    url: url.toString(),
+    host: url.origin,
+    endpointPath: url.pathname || "/",
+    queryParams,
+    headers,
+    body: decodeHarBody(postData.text, postData.encoding, postData.mimeType),
+    response: {
+      status,
+      headers: responseHeaders,
+      body: decodeHarBody(content.text, content.encoding, content.mimeType),
+    },
+    duration,
+    dproxy: entry._dproxy || null,
+  };
+}
+
+module.exports = {
+  HAR_VERSION,
+  buildHar,
+  buildHarEntry,
+  parseHarEntry,
+  toHarHeaders,
+  fromHarHeaders,
+  parseJsonColumn,
+  getHeaderValue,
+};
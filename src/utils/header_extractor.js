@@ -7,13 +7,14 @@
  */
 
 const logger = require("./logger");
+const { getHeaderString } = require("./httpUtils");
 
 /**
  * Extract mobile headers from request using configurable mapping
  * Tries to extract from configured sources (header or query param)
  * Returns empty strings if values cannot be extracted
- * @param {Object} req - Express request object with headers property
- * @returns {Object} Normalized mobile headers
+ * @param {Object} req - Express request object with headers property (and optional appProfile: app profile name)
+ * @returns {Object} Normalized mobile headers (with appProfile, null when not known)
  */
 function extractMobileHeaders(req) {
   const headers = req.headers || {};
@@ -22,7 +23,7 @@ function extractMobileHeaders(req) {
   let configManager = null;
   try {
     const { getInstance } = require("../config/TrafficConfigManager");
-    configManager = getInstance();
+    configManager = getInstance().forProfile(req.appProfile);
   } catch (e) {
     // Config manager not available
   }
@@ -68,6 +69,7 @@ function extractMobileHeaders(req) {
     mobilePlatform: mobilePlatform || "",
     mobileVersion: mobileVersion || "",
     acceptLanguage: acceptLanguage || "en",
+    appProfile: req.appProfile || null,
   };
 
   logger.debug("[HEADER_EXTRACTOR] Extracted mobile headers", {
@@ -228,7 +230,7 @@ function getTraceabilityId(req) {
  */
 function getSessionToken(req) {
   const config = require("../config");
-  const cookies = parseCookies(req.headers.cookie);
+  const cookies = parseCookies(getHeaderString(req.headers, "cookie"));
   return cookies[config.security.sessionCookieName] || null;
 }
 
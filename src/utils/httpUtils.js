@@ -88,6 +88,36 @@ function getHeader(headers, name) {
   return headers[normalized];
 }
 
+/**
+ * Get header value as one string (case-insensitive)
+ * Repeated fields (array values) are joined: Cookie with "; ", others with ", "
+ * @param {Object} headers - Headers object
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ */
+function getHeaderString(headers, name) {
+  const value = getHeader(headers, name);
+  if (Array.isArray(value)) {
+    return value.join(normalizeHeaderName(name) === "cookie" ? "; " : ", ");
+  }
+  return value;
+}
+
+/**
+ * Build headers from Node's distinct headers (req.headersDistinct / req.trailersDistinct)
+ * Repeated fields stay separate as an array of values (forwarded as one header line each),
+ * fields received once are strings
+ * @param {Object} distinctHeaders - Header name -> array of values
+ * @returns {Object} Headers
+ */
+function fromDistinctHeaders(distinctHeaders) {
+  const headers = {};
+  Object.entries(distinctHeaders || {}).forEach(([name, values]) => {
+    headers[name] = values.length === 1 ? values[0] : [...values];
+  });
+  return headers;
+}
+
 /**
  * Set header value (case-insensitive)
  * @param {Object} headers - Headers object
@@ -160,33 +190,67 @@ function buildUrl(components) {
   return url;
 }
 
+// Parameter syntaxes of path patterns: express-style ("/users/:id", "*" matches anything)
+// or OpenAPI path templates ("/users/{id}", where ":" and "*" are literal text)
+const PATH_PATTERN_SYNTAXES = {
+  express: { token: /(:[^/]+|\*)/, param: /:([^/]+)/g },
+  openapi: { token: /(\{[^}/]+\})/, param: /\{([^}/]+)\}/g },
+};
+
+/**
+ * Compile a URL path pattern to an anchored regex
+ * Literal text is escaped (a "." only matches a dot), a parameter matches one path segment and "*" anything
+ * @param {string} pattern - URL pattern (e.g., '/v1.0/users/:id/*', or '/v1.0/users/{id}' with the openapi syntax)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.capture=false] - Capture the parameter segments, in order
+ * @param {string} [options.flags=""] - RegExp flags
+ * @param {string} [options.syntax="express"] - Parameter syntax: 'express' or 'openapi'
+ * @returns {RegExp} Regex matching whole paths
+ */
+function compilePathPattern(pattern, { capture = false, flags = "", syntax = "express" } = {}) {
+  // The capturing split puts the parameter and * tokens at odd indexes
+  const source = String(pattern)
+    .split(PATH_PATTERN_SYNTAXES[syntax].token)
+    .map((part, index) => {
+      if (index % 2 === 0) {
+        return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      }
+      if (part === "*") {
+        return ".*";
+      }
+      return capture ? "([^/]+)" : "[^/]+";
+    })
+    .join("");
+  return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Get the parameter names of a URL path pattern
+ * @param {string} pattern - URL pattern
+ * @param {string} [syntax="express"] - Parameter syntax: 'express' or 'openapi'
+ * @returns {Array<string>} Parameter names in order
+ */
+function getPathParamNames(pattern, syntax = "express") {
+  return [...String(pattern || "").matchAll(PATH_PATTERN_SYNTAXES[syntax].param)].map((match) => match[1]);
+}
+
 /**
  * Extract path parameters from URL pattern
  * @param {string} pattern - URL pattern (e.g., '/users/:id/posts/:postId')
  * @param {string} path - Actual path (e.g., '/users/123/posts/456')
+ * @param {string} [syntax="express"] - Parameter syntax of the pattern: 'express' or 'openapi'
  * @returns {Object|null} Path parameters or null if no match
  */
-function extractPathParams(pattern, path) {
-  // Convert pattern to regex
-  const regexPattern = pattern.replace(/:[^/]+/g, "([^/]+)").replace(/\*/g, ".*");
-
-  const regex = new RegExp(`^${regexPattern}$`);
-  const match = path.match(regex);
+function extractPathParams(pattern, path, syntax = "express") {
+  const match = path.match(compilePathPattern(pattern, { capture: true, syntax }));
 
   if (!match) {
     return null;
   }
 
-  // Extract parameter names
-  const paramNames = [];
-  const paramMatches = pattern.matchAll(/:([^/]+)/g);
-  for (const m of paramMatches) {
-    paramNames.push(m[1]);
-  }
-
   // Build params object
   const params = {};
-  paramNames.forEach((name, index) => {
+  getPathParamNames(pattern, syntax).forEach((name, index) => {
     params[name] = match[index + 1];
   });
 
@@ -450,10 +514,14 @@ module.exports = {
   normalizeHeaderName,
   normalizeHeaders,
   getHeader,
+  getHeaderString,
+  fromDistinctHeaders,
   setHeader,
   removeHeader,
   parseUrl,
   buildUrl,
+  compilePathPattern,
+  getPathParamNames,
   extractPathParams,
   matchesPath,
   getStatusCategory,
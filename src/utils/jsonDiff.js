@@ -0,0 +1,115 @@
+/**
+ * JSON Diff Utilities
+ *
+ * Structural diff of two JSON values, used by the audit log to show what a change did
+ * and by drift detection to show how a recorded response changed.
+ * Paths use the same dot/bracket notation as jsonPath.js (e.g. "monitor.key", "domains[0].domain").
+ */
+
+const { deleteJsonPath } = require("./jsonPath");
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Append a member or index to a path
+ * @param {string} path - Parent path ("" for the root)
+ * @param {string|number} key - Member name or array index
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+  if (typeof key === "number") {
+    return `${path}[${key}]`;
+  }
+  if (!/^[A-Za-z_$][\w$-]*$/.test(key)) {
+    return `${path}['${key}']`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Diff two JSON values
+ * @param {*} before - Previous value (undefined/null when it did not exist)
+ * @param {*} after - New value (undefined/null when it was removed)
+ * @param {string} path - Path of the values (internal, "" for the root)
+ * @returns {Array<{path: string, type: string, before?: *, after?: *}>} Changes (type: added, removed, changed)
+ */
+function diffJson(before, after, path = "") {
+  if (before === undefined || before === null) {
+    if (after === undefined || after === null) return [];
+    return [{ path: path || "$", type: "added", after }];
+  }
+  if (after === undefined || after === null) {
+    return [{ path: path || "$", type: "removed", before }];
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      changes.push(...diffJson(before[key], after[key], childPath(path, key)));
+    }
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      changes.push(...diffJson(before[i], after[i], childPath(path, i)));
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  return [{ path: path || "$", type: "changed", before, after }];
+}
+
+/**
+ * Get the JSON type of a value
+ * @param {*} value - Value
+ * @returns {string} object, array, string, number, boolean or null
+ */
+function jsonType(value) {
+  if (value === null || value === undefined) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Diff two JSON documents for contract changes
+ * Like diffJson, but a value whose JSON type changed is reported as "type_changed" (with beforeType/afterType),
+ * and values addressed by ignorePaths (JSONPath, e.g. "$..timestamp") are left out on both sides.
+ * @param {*} before - Previous document
+ * @param {*} after - New document
+ * @param {Array<string>} ignorePaths - JSONPath expressions to ignore
+ * @returns {Array<{path: string, type: string, before?: *, after?: *}>} Changes (type: added, removed, type_changed, changed)
+ */
+function diffJsonStructure(before, after, ignorePaths = []) {
+  const strip = (doc) => {
+    if (doc === null || typeof doc !== "object" || ignorePaths.length === 0) return doc;
+    const copy = JSON.parse(JSON.stringify(doc));
+    ignorePaths.forEach((path) => deleteJsonPath(copy, path));
+    return copy;
+  };
+
+  return diffJson(strip(before), strip(after)).map((change) => {
+    if (change.type !== "changed" || jsonType(change.before) === jsonType(change.after)) {
+      return change;
+    }
+    return { ...change, type: "type_changed", beforeType: jsonType(change.before), afterType: jsonType(change.after) };
+  });
+}
+
+module.exports = {
+  diffJson,
+  diffJsonStructure,
+};
@@ -0,0 +1,238 @@
+/**
+ * JSONPath Utilities
+ *
+ * Minimal JSONPath support for rewrite rules (no external dependency).
+ *
+ * Supported syntax:
+ * - $                 root
+ * - .key / ['key']    child member
+ * - [0] / [-1]        array index (negative counts from the end)
+ * - .* / [*]          all members / elements
+ * - ..key             recursive descent
+ *
+ * Paths without a leading "$" are treated as dot notation from the root (e.g. "data.flags.newHome").
+ */
+
+/**
+ * Parse a JSONPath expression into segments
+ * @param {string} path - JSONPath expression
+ * @returns {Array<{type: string, value?: string|number}>} Segments (child, index, wildcard, recursive)
+ * @throws {Error} When the expression is invalid
+ */
+function parseJsonPath(path) {
+  if (typeof path !== "string" || path.trim() === "") {
+    throw new Error("JSONPath must be a non-empty string");
+  }
+
+  let expr = path.trim();
+  if (expr.startsWith("$")) {
+    expr = expr.slice(1);
+  } else {
+    expr = "." + expr;
+  }
+
+  const segments = [];
+  let i = 0;
+
+  const readName = () => {
+    const start = i;
+    while (i < expr.length && expr[i] !== "." && expr[i] !== "[") i++;
+    return expr.slice(start, i);
+  };
+
+  while (i < expr.length) {
+    if (expr.startsWith("..", i)) {
+      i += 2;
+      if (expr[i] === "[") {
+        // $..[0] style: recursive descent followed by a bracket segment
+        segments.push({ type: "recursive", value: null });
+        continue;
+      }
+      const name = readName();
+      if (!name) throw new Error(`Invalid JSONPath "${path}": missing name after ".."`);
+      if (name === "*") {
+        segments.push({ type: "recursive", value: null }, { type: "wildcard" });
+      } else {
+        segments.push({ type: "recursive", value: name });
+      }
+    } else if (expr[i] === ".") {
+      i++;
+      const name = readName();
+      if (!name) throw new Error(`Invalid JSONPath "${path}": empty member name`);
+      segments.push(name === "*" ? { type: "wildcard" } : { type: "child", value: name });
+    } else if (expr[i] === "[") {
+      const end = expr.indexOf("]", i);
+      if (end === -1) throw new Error(`Invalid JSONPath "${path}": missing "]"`);
+      const inner = expr.slice(i + 1, end).trim();
+      i = end + 1;
+
+      if (inner === "*") {
+        segments.push({ type: "wildcard" });
+      } else if (/^-?\d+$/.test(inner)) {
+        segments.push({ type: "index", value: parseInt(inner, 10) });
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        segments.push({ type: "child", value: inner.slice(1, -1) });
+      } else {
+        throw new Error(`Invalid JSONPath "${path}": unsupported selector [${inner}]`);
+      }
+    } else {
+      throw new Error(`Invalid JSONPath "${path}": unexpected "${expr[i]}"`);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Resolve an array index (negative counts from the end)
+ * @private
+ */
+function resolveIndex(array, index) {
+  return index < 0 ? array.length + index : index;
+}
+
+/**
+ * Collect all containers reachable through recursive descent
+ * @private
+ */
+function collectDescendants(node, result = []) {
+  if (node !== null && typeof node === "object") {
+    result.push(node);
+    for (const value of Object.values(node)) {
+      collectDescendants(value, result);
+    }
+  }
+  return result;
+}
+
+/**
+ * Find parent containers and keys addressed by the path
+ * @param {*} root - Document root
+ * @param {Array<Object>} segments - Parsed segments
+ * @param {boolean} create - Create missing objects along simple child paths
+ * @returns {Array<{parent: Object|Array, key: string|number}>} Locations
+ * @private
+ */
+function locate(root, segments, create) {
+  let nodes = [root];
+
+  for (let s = 0; s < segments.length; s++) {
+    const segment = segments[s];
+    const isLast = s === segments.length - 1;
+    const locations = [];
+
+    for (const node of nodes) {
+      if (node === null || typeof node !== "object") continue;
+
+      if (segment.type === "child") {
+        locations.push({ parent: node, key: segment.value });
+      } else if (segment.type === "index") {
+        if (Array.isArray(node)) {
+          const index = resolveIndex(node, segment.value);
+          if (index >= 0 && (index < node.length || (create && isLast))) {
+            locations.push({ parent: node, key: index });
+          }
+        }
+      } else if (segment.type === "wildcard") {
+        const keys = Array.isArray(node) ? node.map((_, idx) => idx) : Object.keys(node);
+        keys.forEach((key) => locations.push({ parent: node, key }));
+      } else if (segment.type === "recursive") {
+        for (const container of collectDescendants(node)) {
+          if (segment.value === null) {
+            // "$..[...]" - the following bracket segment applies to every container
+            locations.push({ parent: { container }, key: "container" });
+          } else if (!Array.isArray(container) && Object.prototype.hasOwnProperty.call(container, segment.value)) {
+            locations.push({ parent: container, key: segment.value });
+          }
+        }
+      }
+    }
+
+    if (isLast) {
+      return locations;
+    }
+
+    nodes = [];
+    for (const { parent, key } of locations) {
+      let child = parent[key];
+      if ((child === undefined || child === null) && create && segment.type === "child") {
+        const next = segments[s + 1];
+        child = next.type === "index" ? [] : {};
+        parent[key] = child;
+      }
+      if (child !== undefined) nodes.push(child);
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Query values addressed by a JSONPath
+ * @param {*} obj - JSON document
+ * @param {string} path - JSONPath expression
+ * @returns {Array<*>} Matched values
+ */
+function queryJsonPath(obj, path) {
+  const segments = parseJsonPath(path);
+  if (segments.length === 0) return [obj];
+
+  return locate(obj, segments, false)
+    .filter(({ parent, key }) => Object.prototype.hasOwnProperty.call(parent, key))
+    .map(({ parent, key }) => parent[key]);
+}
+
+/**
+ * Set values addressed by a JSONPath
+ * Missing objects along simple member paths are created.
+ * @param {*} obj - JSON document (modified in place)
+ * @param {string} path - JSONPath expression
+ * @param {*} value - Value to set
+ * @returns {number} Number of values set
+ */
+function setJsonPath(obj, path, value) {
+  const segments = parseJsonPath(path);
+  if (segments.length === 0) {
+    throw new Error("Cannot replace the JSON root");
+  }
+
+  const locations = locate(obj, segments, true);
+  for (const { parent, key } of locations) {
+    parent[key] = value;
+  }
+  return locations.length;
+}
+
+/**
+ * Delete values addressed by a JSONPath
+ * Array elements are removed (later elements shift down).
+ * @param {*} obj - JSON document (modified in place)
+ * @param {string} path - JSONPath expression
+ * @returns {number} Number of values deleted
+ */
+function deleteJsonPath(obj, path) {
+  const segments = parseJsonPath(path);
+  if (segments.length === 0) {
+    throw new Error("Cannot delete the JSON root");
+  }
+
+  const locations = locate(obj, segments, false).filter(({ parent, key }) => Object.prototype.hasOwnProperty.call(parent, key));
+
+  // Remove array elements from the highest index so earlier removals don't shift later ones
+  locations.sort((a, b) => (typeof a.key === "number" && typeof b.key === "number" ? b.key - a.key : 0));
+  for (const { parent, key } of locations) {
+    if (Array.isArray(parent)) {
+      parent.splice(key, 1);
+    } else {
+      delete parent[key];
+    }
+  }
+  return locations.length;
+}
+
+module.exports = {
+  parseJsonPath,
+  queryJsonPath,
+  setJsonPath,
+  deleteJsonPath,
+};
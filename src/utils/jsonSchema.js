@@ -0,0 +1,198 @@
+/**
+ * JSON Schema Utilities
+ *
+ * Infers JSON Schemas (2020-12 subset, also valid OpenAPI 3.1 schemas) from observed JSON values
+ * and validates values against them (no external dependency).
+ *
+ * Supported keywords: type (string or array of types), properties, required, items.
+ * Merging two schemas widens the types, merges properties and keeps only the fields required by both,
+ * so a schema inferred from several responses accepts all of them.
+ */
+
+// Stop validating after this many violations
+const MAX_VIOLATIONS = 20;
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Value
+ * @returns {string} null, array, object, integer, number, string or boolean
+ */
+function schemaType(value) {
+  if (value === null || value === undefined) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+/**
+ * Get the types a schema allows
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<string>} Types (empty when any type is allowed)
+ */
+function schemaTypes(schema) {
+  if (!schema || schema.type === undefined) return [];
+  return [].concat(schema.type);
+}
+
+/**
+ * Infer a JSON Schema from a value
+ * @param {*} value - JSON value
+ * @returns {Object} JSON Schema
+ */
+function inferSchema(value) {
+  const type = schemaType(value);
+
+  if (type === "array") {
+    const schema = { type };
+    const items = value.reduce((merged, item) => mergeSchemas(merged, inferSchema(item)), null);
+    if (items) schema.items = items;
+    return schema;
+  }
+
+  if (type === "object") {
+    const properties = {};
+    for (const [key, member] of Object.entries(value)) {
+      properties[key] = inferSchema(member);
+    }
+    return { type, properties, required: Object.keys(value) };
+  }
+
+  return { type };
+}
+
+/**
+ * Merge two schemas into one that accepts the values of both
+ * @param {Object|null} a - JSON Schema
+ * @param {Object|null} b - JSON Schema
+ * @returns {Object|null} Merged JSON Schema
+ */
+function mergeSchemas(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  // A schema without type accepts anything
+  if (a.type === undefined || b.type === undefined) return {};
+
+  let types = [...new Set([...schemaTypes(a), ...schemaTypes(b)])];
+  if (types.includes("number")) {
+    types = types.filter((type) => type !== "integer");
+  }
+  const merged = { type: types.length === 1 ? types[0] : types };
+
+  if (a.properties || b.properties) {
+    const keys = new Set([...Object.keys(a.properties || {}), ...Object.keys(b.properties || {})]);
+    merged.properties = {};
+    for (const key of keys) {
+      merged.properties[key] = mergeSchemas((a.properties || {})[key], (b.properties || {})[key]);
+    }
+
+    // Fields are required only if every observed object had them
+    const aObject = schemaTypes(a).includes("object");
+    const bObject = schemaTypes(b).includes("object");
+    if (aObject && bObject) {
+      merged.required = (a.required || []).filter((key) => (b.required || []).includes(key));
+    } else {
+      merged.required = [...((aObject ? a.required : b.required) || [])];
+    }
+  }
+
+  if (a.items || b.items) {
+    merged.items = mergeSchemas(a.items, b.items);
+  }
+
+  return merged;
+}
+
+/**
+ * Check that a value has one of the schema types
+ * @param {string} type - JSON Schema type
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number";
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Append a member or index to a JSONPath
+ * @param {string} path - Parent path
+ * @param {string|number} key - Member name or array index
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$-]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Extra fields are allowed (adding fields does not break clients), and fields only observed as null accept any type.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - JSON value
+ * @param {string} path - Path of the value (internal, "$" for the root)
+ * @param {Array<Object>} violations - Collected violations (internal)
+ * @returns {Array<{path: string, message: string}>} Violations (at most MAX_VIOLATIONS)
+ */
+function validateJsonSchema(schema, value, path = "$", violations = []) {
+  if (!schema || violations.length >= MAX_VIOLATIONS) {
+    return violations;
+  }
+
+  // A field only ever observed as null may hold any type
+  const types = schemaTypes(schema);
+  if (types.length === 1 && types[0] === "null") {
+    return violations;
+  }
+  if (types.length > 0 && !types.some((type) => matchesType(type, value))) {
+    violations.push({ path, message: `expected ${types.join(" or ")}, got ${schemaType(value)}` });
+    return violations;
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key) && violations.length < MAX_VIOLATIONS) {
+        violations.push({ path: childPath(path, key), message: "required field is missing" });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        validateJsonSchema(propertySchema, value[key], childPath(path, key), violations);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateJsonSchema(schema.items, item, childPath(path, index), violations));
+  }
+
+  return violations;
+}
+
+module.exports = {
+  MAX_VIOLATIONS,
+  inferSchema,
+  mergeSchemas,
+  validateJsonSchema,
+};
@@ -8,6 +8,8 @@
  * - Schema validation helpers
  */
 
+const { isMultipartBody, parseMultipart } = require("./multipart");
+
 /**
  * Safe JSON parse with default value
  * @param {string} json - JSON string
@@ -510,6 +512,27 @@ function extractQueryParamsSubset(params, keys) {
   return Object.keys(result).length > 0 ? result : null;
 }
 
+/**
+ * Parse a request body into the fields compared by match_body
+ * JSON bodies are parsed; multipart/form-data bodies become their form fields (see utils/multipart).
+ *
+ * @param {Object|Buffer|string|null} body - Request body (object, raw Buffer, or stored/captured string)
+ * @returns {Object|null} Body fields or null when the body has no fields
+ */
+function parseBodyFields(body) {
+  if (body === null || body === undefined) return null;
+  if (typeof body === "object" && !Buffer.isBuffer(body)) return body;
+
+  if (isMultipartBody(body)) {
+    return parseMultipart(body);
+  }
+  try {
+    return JSON.parse(Buffer.isBuffer(body) ? body.toString("utf8") : body);
+  } catch (e) {
+    return null;
+  }
+}
+
 /**
  * Compare request body fields based on match_body configuration
  * Used in RECORDING mode to determine if request body matches an existing record
@@ -517,6 +540,7 @@ function extractQueryParamsSubset(params, keys) {
  * Rules:
  * - matchBodyFields is an array of field paths to compare, e.g., ["clientId", "memberId", "address.city"]
  * - Supports nested object access with dot notation (e.g., "address.city" means body.address.city)
+ * - Multipart/form-data bodies are compared by form field (e.g., "documentType", "file.filename")
  * - All specified fields must match (case-insensitive value comparison)
  * - If matchBodyFields is empty or null, no body matching is performed (returns true)
  *
@@ -531,25 +555,9 @@ function compareBodyFields(body1, body2, matchBodyFields) {
     return true;
   }
 
-  // Parse bodies if strings
-  let obj1 = body1;
-  let obj2 = body2;
-
-  if (typeof body1 === "string") {
-    try {
-      obj1 = JSON.parse(body1);
-    } catch (e) {
-      obj1 = null;
-    }
-  }
-
-  if (typeof body2 === "string") {
-    try {
-      obj2 = JSON.parse(body2);
-    } catch (e) {
-      obj2 = null;
-    }
-  }
+  // Parse bodies (JSON or multipart form fields)
+  const obj1 = parseBodyFields(body1);
+  const obj2 = parseBodyFields(body2);
 
   // Compare each specified field
   for (const fieldPath of matchBodyFields) {
@@ -602,25 +610,9 @@ function scoreBodyFieldMatch(incomingBody, candidateBody, matchBodyFields) {
     return result;
   }
 
-  // Parse bodies if strings
-  let incoming = incomingBody;
-  let candidate = candidateBody;
-
-  if (typeof incomingBody === "string") {
-    try {
-      incoming = JSON.parse(incomingBody);
-    } catch (e) {
-      incoming = null;
-    }
-  }
-
-  if (typeof candidateBody === "string") {
-    try {
-      candidate = JSON.parse(candidateBody);
-    } catch (e) {
-      candidate = null;
-    }
-  }
+  // Parse bodies (JSON or multipart form fields)
+  const incoming = parseBodyFields(incomingBody);
+  const candidate = parseBodyFields(candidateBody);
 
   // If either body is null/undefined, return empty result
   if (!incoming || !candidate) {
@@ -728,6 +720,7 @@ module.exports = {
   compareQueryParams,
   compareQueryParamsPartial,
   extractQueryParamsSubset,
+  parseBodyFields,
   compareBodyFields,
   scoreBodyFieldMatch,
   compareBodyMatchScores,
@@ -0,0 +1,108 @@
+/**
+ * Multipart Utilities
+ *
+ * Parses multipart/form-data request bodies into form fields, so match_body can target them
+ * like JSON body fields (e.g. ["documentType", "file.filename"]).
+ *
+ * - Text parts become string values
+ * - File parts become { filename, contentType, size } (the content itself is not matched)
+ * - Repeated field names become arrays
+ *
+ * The boundary is read from the first line of the body, so stored bodies can be parsed without their headers.
+ */
+
+const HEADER_SEPARATOR = Buffer.from("\r\n\r\n");
+
+/**
+ * Detect the boundary of a multipart body from its first line ("--<boundary>")
+ * @param {Buffer} buffer - Body
+ * @returns {string|null} Boundary or null when the body is not multipart
+ */
+function detectBoundary(buffer) {
+  const firstLine = buffer.subarray(0, 200).toString("latin1").split("\r\n")[0];
+  const match = /^--([!-~]{1,70})$/.exec(firstLine);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check if a body looks like multipart/form-data
+ * @param {Buffer|string} body - Body
+ * @returns {boolean} True when the body starts with a boundary line followed by part headers
+ */
+function isMultipartBody(body) {
+  if (!body || (typeof body !== "string" && !Buffer.isBuffer(body))) return false;
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body, "utf8");
+  return detectBoundary(buffer) !== null && /content-disposition:\s*form-data/i.test(buffer.subarray(0, 1024).toString("latin1"));
+}
+
+/**
+ * Parse the headers of a part
+ * @param {string} text - Header block
+ * @returns {Object} { name, filename, contentType }
+ */
+function parsePartHeaders(text) {
+  const headers = {};
+  for (const line of text.split("\r\n")) {
+    const index = line.indexOf(":");
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  }
+  const disposition = headers["content-disposition"] || "";
+  const name = /\bname="([^"]*)"/i.exec(disposition) || /\bname=([^;\s]+)/i.exec(disposition);
+  const filename = /\bfilename="([^"]*)"/i.exec(disposition) || /\bfilename=([^;\s]+)/i.exec(disposition);
+  return {
+    name: name ? name[1] : null,
+    filename: filename ? filename[1] : null,
+    contentType: headers["content-type"] || null,
+  };
+}
+
+/**
+ * Parse a multipart/form-data body into form fields
+ * @param {Buffer|string} body - Body
+ * @param {string|null} boundary - Boundary (detected from the body when omitted)
+ * @returns {Object|null} Fields { <name>: value | { filename, contentType, size } | Array } or null when the body is not multipart
+ */
+function parseMultipart(body, boundary = null) {
+  if (!body) return null;
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body), "utf8");
+  const separator = boundary || detectBoundary(buffer);
+  if (!separator) return null;
+
+  const delimiter = Buffer.from(`--${separator}`);
+  const fields = {};
+  let position = buffer.indexOf(delimiter);
+  if (position === -1) return null;
+
+  while (position !== -1) {
+    const partStart = position + delimiter.length;
+    // "--" after the delimiter closes the body
+    if (buffer.subarray(partStart, partStart + 2).toString("latin1") === "--") break;
+
+    const next = buffer.indexOf(delimiter, partStart);
+    const part = buffer.subarray(partStart, next === -1 ? buffer.length : next);
+    const headerEnd = part.indexOf(HEADER_SEPARATOR);
+    if (headerEnd !== -1) {
+      const { name, filename, contentType } = parsePartHeaders(part.subarray(0, headerEnd).toString("utf8"));
+      // Part content ends with the CRLF before the next delimiter
+      let content = part.subarray(headerEnd + HEADER_SEPARATOR.length);
+      if (content.subarray(-2).toString("latin1") === "\r\n") content = content.subarray(0, -2);
+
+      if (name) {
+        const value = filename !== null ? { filename, contentType, size: content.length } : content.toString("utf8");
+        if (fields[name] === undefined) {
+          fields[name] = value;
+        } else {
+          fields[name] = [].concat(fields[name], [value]);
+        }
+      }
+    }
+    position = next;
+  }
+
+  return fields;
+}
+
+module.exports = {
+  isMultipartBody,
+  parseMultipart,
+};
@@ -0,0 +1,248 @@
+/**
+ * OpenAPI Mock Utilities
+ *
+ * Synthesizes responses from an OpenAPI 3.0/3.1 operation without a backend:
+ * - Status: the one asked for with "Prefer: code=<status>" if the operation defines it, otherwise the first 2xx
+ *   (then "default" as 200, then the lowest status)
+ * - Content type: negotiated with the Accept header (JSON preferred)
+ * - Body: the media example (or the one asked for with "Prefer: example=<name>"), otherwise generated from the schema
+ *
+ * Generated values are stable between runs (same schema, same value), except date and time formats which use the current time.
+ */
+
+// Nested objects/arrays deeper than this are cut (recursive schemas)
+const MAX_DEPTH = 8;
+
+// Sample values for string formats
+const FORMAT_SAMPLES = {
+  "date-time": () => new Date().toISOString(),
+  date: () => new Date().toISOString().split("T")[0],
+  time: () => new Date().toISOString().split("T")[1].replace("Z", ""),
+  email: () => "user@example.com",
+  uuid: () => "3fa85f64-5717-4562-b3fc-2c963f66afa6",
+  uri: () => "https://example.com",
+  url: () => "https://example.com",
+  hostname: () => "example.com",
+  ipv4: () => "192.0.2.1",
+  ipv6: () => "2001:db8::1",
+  byte: () => "c3RyaW5n",
+  binary: () => "",
+  password: () => "********",
+};
+
+/**
+ * Resolve a local $ref ("#/components/schemas/User") in an OpenAPI document
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} node - Object that may be a reference
+ * @param {Set<string>} seen - References being resolved (internal, stops reference cycles)
+ * @returns {Object} Referenced object (or node itself when it is not a reference)
+ */
+function resolveRef(spec, node, seen = new Set()) {
+  if (!node || typeof node.$ref !== "string") return node;
+  if (!node.$ref.startsWith("#/") || seen.has(node.$ref)) return {};
+  seen.add(node.$ref);
+
+  const target = node.$ref
+    .slice(2)
+    .split("/")
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((current, part) => (current && typeof current === "object" ? current[part] : undefined), spec);
+  return resolveRef(spec, target || {}, seen);
+}
+
+/**
+ * Get the (single) type of a schema
+ * OpenAPI 3.1 type arrays use their first non-null type; a missing type is inferred from the keywords.
+ * @param {Object} schema - Schema
+ * @returns {string|undefined} Type
+ */
+function schemaType(schema) {
+  const types = [].concat(schema.type || []);
+  const type = types.find((t) => t !== "null") || types[0];
+  if (type) return type;
+  if (schema.properties || schema.additionalProperties) return "object";
+  if (schema.items) return "array";
+  return undefined;
+}
+
+/**
+ * Generate a sample value from a schema
+ * @param {Object} spec - OpenAPI document (for $ref)
+ * @param {Object} schema - Schema
+ * @param {number} depth - Nesting depth (internal)
+ * @returns {*} Sample value
+ */
+function generateFromSchema(spec, schema, depth = 0) {
+  const resolved = resolveRef(spec, schema);
+  if (!resolved || typeof resolved !== "object") return null;
+
+  if (resolved.example !== undefined) return resolved.example;
+  if (Array.isArray(resolved.examples) && resolved.examples.length > 0) return resolved.examples[0];
+  if (resolved.const !== undefined) return resolved.const;
+  if (Array.isArray(resolved.enum) && resolved.enum.length > 0) return resolved.enum[0];
+  if (resolved.default !== undefined) return resolved.default;
+
+  if (Array.isArray(resolved.allOf)) {
+    const parts = resolved.allOf.map((part) => generateFromSchema(spec, part, depth));
+    if (parts.every((part) => part && typeof part === "object" && !Array.isArray(part))) {
+      return Object.assign({}, ...parts);
+    }
+    return parts[0];
+  }
+  const alternatives = resolved.oneOf || resolved.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0) {
+    return generateFromSchema(spec, alternatives[0], depth);
+  }
+
+  switch (schemaType(resolved)) {
+    case "object": {
+      if (depth >= MAX_DEPTH) return {};
+      const value = {};
+      for (const [name, property] of Object.entries(resolved.properties || {})) {
+        value[name] = generateFromSchema(spec, property, depth + 1);
+      }
+      return value;
+    }
+    case "array": {
+      if (depth >= MAX_DEPTH || !resolved.items) return [];
+      const count = Math.max(resolved.minItems || 1, 1);
+      return Array.from({ length: count }, () => generateFromSchema(spec, resolved.items, depth + 1));
+    }
+    case "integer":
+    case "number": {
+      if (typeof resolved.minimum === "number") return resolved.minimum;
+      if (typeof resolved.exclusiveMinimum === "number") return resolved.exclusiveMinimum + 1;
+      if (typeof resolved.maximum === "number" && resolved.maximum < 0) return resolved.maximum;
+      return 0;
+    }
+    case "boolean":
+      return true;
+    case "null":
+      return null;
+    case "string": {
+      const sample = FORMAT_SAMPLES[resolved.format] ? FORMAT_SAMPLES[resolved.format]() : "string";
+      return resolved.minLength > sample.length ? sample.padEnd(resolved.minLength, "x") : sample;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse the Prefer header ("code=404, example=notFound")
+ * @param {string|undefined} header - Prefer header value
+ * @returns {Object} { code, example }
+ */
+function parsePrefer(header) {
+  const prefer = {};
+  for (const part of String(header || "").split(/[,;]/)) {
+    const [key, value] = part.split("=").map((s) => s && s.trim());
+    if (key && value) prefer[key.toLowerCase()] = value.replace(/^"|"$/g, "");
+  }
+  return prefer;
+}
+
+/**
+ * Select the response of an operation to mock
+ * @param {Object} operation - OpenAPI operation
+ * @param {string|undefined} preferredCode - Status asked for by the client
+ * @returns {Object|null} { status, key } - HTTP status and responses key
+ */
+function selectResponse(operation, preferredCode) {
+  const keys = Object.keys(operation.responses || {});
+  if (keys.length === 0) return null;
+
+  const statusOf = (key) => (/^[1-5]XX$/i.test(key) ? Number(key[0]) * 100 : Number(key));
+
+  if (preferredCode) {
+    const key = keys.find((k) => k === preferredCode) || keys.find((k) => /^[1-5]XX$/i.test(k) && k[0] === preferredCode[0]);
+    if (key) return { status: Number(preferredCode), key };
+    if (keys.includes("default") && /^[1-5]\d\d$/.test(preferredCode)) return { status: Number(preferredCode), key: "default" };
+  }
+
+  const numeric = keys.filter((k) => k !== "default").sort((a, b) => statusOf(a) - statusOf(b));
+  const success = numeric.find((k) => statusOf(k) >= 200 && statusOf(k) < 300);
+  if (success) return { status: statusOf(success), key: success };
+  if (keys.includes("default")) return { status: 200, key: "default" };
+  return { status: statusOf(numeric[0]), key: numeric[0] };
+}
+
+/**
+ * Select the media type of a response using the Accept header
+ * @param {Object} content - Response content map
+ * @param {string|undefined} accept - Accept header
+ * @returns {string|null} Media type
+ */
+function selectMediaType(content, accept) {
+  const mediaTypes = Object.keys(content || {});
+  if (mediaTypes.length === 0) return null;
+
+  const accepted = String(accept || "*/*")
+    .split(",")
+    .map((part) => part.split(";")[0].trim().toLowerCase())
+    .filter(Boolean);
+  const matches = (mediaType, range) =>
+    range === "*/*" || range === mediaType || (range.endsWith("/*") && mediaType.startsWith(range.slice(0, -1)));
+
+  const candidates = mediaTypes.filter((mediaType) => accepted.some((range) => matches(mediaType.toLowerCase(), range)));
+  const pool = candidates.length > 0 ? candidates : mediaTypes;
+  return pool.find((mediaType) => /json/i.test(mediaType)) || pool[0];
+}
+
+/**
+ * Get the example body of a media type object
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} media - Media type object
+ * @param {string|undefined} exampleName - Named example asked for by the client
+ * @returns {*} Example value or generated value
+ */
+function mediaExample(spec, media, exampleName) {
+  if (media.examples && typeof media.examples === "object") {
+    const names = Object.keys(media.examples);
+    const name = exampleName && names.includes(exampleName) ? exampleName : names[0];
+    if (name) {
+      const example = resolveRef(spec, media.examples[name]);
+      if (example && example.value !== undefined) return example.value;
+    }
+  }
+  if (media.example !== undefined) return media.example;
+  return media.schema ? generateFromSchema(spec, media.schema) : "";
+}
+
+/**
+ * Build a mocked response for an operation
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} operation - OpenAPI operation
+ * @param {Object} requestHeaders - Request headers (Accept, Prefer)
+ * @returns {Object|null} { status, headers, body } or null when the operation defines no response
+ */
+function buildMockResponse(spec, operation, requestHeaders = {}) {
+  const prefer = parsePrefer(requestHeaders.prefer);
+  const selected = selectResponse(operation, prefer.code);
+  if (!selected) return null;
+
+  const response = resolveRef(spec, operation.responses[selected.key]) || {};
+  const headers = {};
+  for (const [name, header] of Object.entries(response.headers || {})) {
+    if (name.toLowerCase() === "content-type") continue;
+    const resolved = resolveRef(spec, header);
+    const value = resolved.example !== undefined ? resolved.example : resolved.schema ? generateFromSchema(spec, resolved.schema) : "";
+    headers[name.toLowerCase()] = typeof value === "string" ? value : JSON.stringify(value);
+  }
+
+  let body = null;
+  const mediaType = selectMediaType(response.content, requestHeaders.accept);
+  if (mediaType) {
+    const value = mediaExample(spec, response.content[mediaType] || {}, prefer.example);
+    headers["content-type"] = mediaType;
+    body = /json/i.test(mediaType) || typeof value === "string" ? value : JSON.stringify(value);
+  }
+
+  return { status: selected.status, headers, body };
+}
+
+module.exports = {
+  resolveRef,
+  generateFromSchema,
+  buildMockResponse,
+};
@@ -0,0 +1,346 @@
+/**
+ * OpenAPI Utilities
+ *
+ * Builds an OpenAPI 3.1 document from recorded api_requests/api_responses rows.
+ *
+ * Paths are grouped by endpoint pattern: the capture groups of the proxy config endpoint patterns
+ * (replayDefaults.match_endpoint, the patterns replay uses for fuzzy matching) become parameters,
+ * then identifier segments are templated (see pathTemplate.js), so "/users/123" becomes "/users/{id}".
+ * Query parameters, request headers, request bodies and response bodies (per status code) are inferred
+ * from all recordings of an operation; examples are taken from the most recent recording.
+ *
+ * Spec: https://spec.openapis.org/oas/v3.1.0
+ */
+
+const http = require("http");
+const { version: appVersion } = require("../../package.json");
+const EndpointMatcher = require("./EndpointMatcher");
+const { parseJsonColumn, getHeaderValue } = require("./harUtils");
+const { inferSchema, mergeSchemas } = require("./jsonSchema");
+const { toPathTemplate } = require("./pathTemplate");
+const { extractPathParams } = require("./httpUtils");
+
+const OPENAPI_VERSION = "3.1.0";
+
+// Request headers that are not part of an API contract (transport, proxy, browser, credentials)
+const IGNORED_REQUEST_HEADERS = [
+  "accept",
+  "accept-encoding",
+  "accept-language",
+  "authorization",
+  "cache-control",
+  "connection",
+  "content-length",
+  "content-type",
+  "cookie",
+  "host",
+  "if-modified-since",
+  "if-none-match",
+  "keep-alive",
+  "origin",
+  "pragma",
+  "proxy-authorization",
+  "proxy-connection",
+  "referer",
+  "te",
+  "transfer-encoding",
+  "upgrade",
+  "user-agent",
+  "via",
+  "x-forwarded-for",
+  "x-forwarded-host",
+  "x-forwarded-proto",
+  "x-real-ip",
+];
+
+/**
+ * Split a string into capitalized words
+ * @param {string} text - Text
+ * @returns {Array<string>} Words ("GET /users/{id}" -> ["Get", "Users", "Id"])
+ */
+function toWords(text) {
+  return String(text)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase());
+}
+
+/**
+ * Build the OpenAPI component name of a response schema
+ * @param {Object} endpoint - { method, endpoint_pattern }
+ * @param {number|string} status - Response status
+ * @returns {string} Component name, e.g. "GetApiUsersIdResponse200"
+ */
+function componentName(endpoint, status) {
+  return `${toWords(`${endpoint.method} ${endpoint.endpoint_pattern}`).join("")}Response${status}`;
+}
+
+/**
+ * Build the path template of a recorded path
+ * Capture groups of the first matching endpoint pattern become {param}, {param2}, ...; identifier segments become {id}, {id2}, ...
+ * @param {string} path - Recorded endpoint path
+ * @param {EndpointMatcher|null} matcher - Matcher built from the proxy config endpoint patterns
+ * @returns {string} Path template
+ */
+function toOpenApiPath(path, matcher = null) {
+  let template = path || "/";
+  const normalized = matcher ? matcher.normalizeEndpointPath(template) : null;
+  if (normalized && normalized.wasMatched) {
+    let count = 0;
+    template = normalized.normalizedPath.replace(/%/g, () => {
+      count++;
+      return count === 1 ? "{param}" : `{param${count}}`;
+    });
+  }
+  return toPathTemplate(template);
+}
+
+/**
+ * Infer the schema of string values (path, query and header parameters)
+ * @param {Array<string>} values - Observed values
+ * @returns {Object} JSON Schema
+ */
+function inferStringSchema(values) {
+  const strings = values.filter((value) => value !== null && value !== undefined).map(String);
+  if (strings.length > 0 && strings.every((value) => /^-?\d+$/.test(value))) return { type: "integer" };
+  if (strings.length > 0 && strings.every((value) => value.trim() !== "" && !isNaN(Number(value)))) return { type: "number" };
+  if (strings.length > 0 && strings.every((value) => value === "true" || value === "false")) return { type: "boolean" };
+  return { type: "string" };
+}
+
+/**
+ * Infer the schema of query parameter values (repeated parameters are stored as arrays)
+ * @param {Array<*>} values - Observed values
+ * @returns {Object} JSON Schema
+ */
+function inferQuerySchema(values) {
+  if (values.some(Array.isArray)) {
+    return { type: "array", items: inferStringSchema(values.flat()) };
+  }
+  return inferStringSchema(values);
+}
+
+/**
+ * Parse a stored body for the spec
+ * @param {string|null} stored - Stored body column
+ * @param {string|undefined} contentType - Content-Type header
+ * @param {string|null} encoding - Stored body encoding ("base64" for binary bodies)
+ * @returns {Object|null} { mediaType, json, binary, value } or null when there is no body
+ */
+function parseStoredBody(stored, contentType, encoding = null) {
+  if (stored === null || stored === undefined || stored === "") return null;
+  const mediaType = contentType ? contentType.split(";")[0].trim().toLowerCase() : null;
+
+  if (encoding) {
+    return { mediaType: mediaType || "application/octet-stream", json: false, binary: true, value: null };
+  }
+
+  if (!mediaType || mediaType.includes("json")) {
+    const value = parseJsonColumn(stored, undefined);
+    if (value !== undefined && value !== null && typeof value === "object") {
+      return { mediaType: mediaType || "application/json", json: true, value };
+    }
+  }
+  return { mediaType: mediaType || "text/plain", json: false, value: String(stored) };
+}
+
+/**
+ * Convert an observed string value to the type of its schema (for examples)
+ * @param {*} value - Observed value
+ * @param {Object} schema - Inferred schema
+ * @returns {*} Typed value
+ */
+function toTypedValue(value, schema) {
+  if (schema.type === "array") return [].concat(value).map((item) => toTypedValue(item, schema.items));
+  if (schema.type === "integer" || schema.type === "number") return Number(value);
+  if (schema.type === "boolean") return value === "true";
+  return value;
+}
+
+/**
+ * Build a parameter list from observed name/value maps
+ * @param {Array<Object>} samples - One { <name>: <value> } per recording
+ * @param {string} location - "path", "query" or "header"
+ * @param {Function} inferValueSchema - Schema inference for the values
+ * @returns {Array<Object>} OpenAPI parameters
+ */
+function buildParameters(samples, location, inferValueSchema) {
+  // Path parameters keep their order in the template
+  const names = [...new Set(samples.flatMap((sample) => Object.keys(sample)))];
+  if (location !== "path") names.sort();
+  return names.map((name) => {
+    const values = samples.map((sample) => sample[name]).filter((value) => value !== undefined);
+    const schema = inferValueSchema(values);
+    return {
+      name,
+      in: location,
+      required: location === "path" || values.length === samples.length,
+      schema,
+      example: toTypedValue(values[values.length - 1], schema),
+    };
+  });
+}
+
+/**
+ * Build the content map of a request or response body
+ * @param {Array<Object>} bodies - Parsed bodies ({ mediaType, json, value }), oldest first
+ * @param {Function} schemaFor - (mediaType, schema) -> schema or $ref to use in the spec
+ * @returns {Object} OpenAPI content map
+ */
+function buildContent(bodies, schemaFor) {
+  const content = {};
+  for (const body of bodies) {
+    const entry = content[body.mediaType] || (content[body.mediaType] = { schema: null });
+    if (body.binary) {
+      entry.schema = { type: "string", format: "binary" };
+      continue;
+    }
+    entry.schema = body.json ? mergeSchemas(entry.schema, inferSchema(body.value)) : { type: "string" };
+    entry.example = body.value;
+  }
+  for (const [mediaType, entry] of Object.entries(content)) {
+    entry.schema = schemaFor(mediaType, entry.schema);
+  }
+  return content;
+}
+
+/**
+ * Build an OpenAPI operation from the recordings of one method and path template
+ * @param {string} method - HTTP method
+ * @param {string} template - Path template
+ * @param {Array<Object>} rows - Recordings, oldest first
+ * @param {Object} components - Components being built (response schemas are added to components.schemas)
+ * @returns {Object} OpenAPI operation
+ */
+function buildOperation(method, template, rows, components) {
+  const requests = rows.map((row) => ({
+    row,
+    headers: parseJsonColumn(row.request_headers, {}) || {},
+    query: parseJsonColumn(row.query_params, {}) || {},
+  }));
+
+  const parameters = [
+    ...buildParameters(
+      requests.map(({ row }) => extractPathParams(template, row.endpoint_path, "openapi") || {}),
+      "path",
+      inferStringSchema,
+    ),
+    ...buildParameters(
+      requests.map(({ query }) => query),
+      "query",
+      inferQuerySchema,
+    ),
+    ...buildParameters(
+      requests.map(({ headers }) =>
+        Object.fromEntries(Object.entries(headers).filter(([name]) => !IGNORED_REQUEST_HEADERS.includes(name.toLowerCase()))),
+      ),
+      "header",
+      inferStringSchema,
+    ),
+  ];
+
+  const operation = {
+    operationId: toWords(`${method} ${template}`)
+      .join("")
+      .replace(/^./, (first) => first.toLowerCase()),
+    summary: `${method} ${template}`,
+    description: `Inferred from ${rows.length} recorded response(s)`,
+    tags: [...new Set(rows.map((row) => row.endpoint_type).filter(Boolean))],
+  };
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  const requestBodies = requests
+    .map(({ row, headers }) => parseStoredBody(row.request_body, getHeaderValue(headers, "content-type"), row.request_body_encoding))
+    .filter(Boolean);
+  if (requestBodies.length > 0) {
+    operation.requestBody = {
+      required: requestBodies.length === rows.length,
+      content: buildContent(requestBodies, (mediaType, schema) => schema),
+    };
+  }
+
+  if (requests.some(({ headers }) => /^bearer\s/i.test(getHeaderValue(headers, "authorization") || ""))) {
+    operation.security = [{ bearerAuth: [] }];
+    components.securitySchemes = { bearerAuth: { type: "http", scheme: "bearer" } };
+  }
+
+  operation.responses = {};
+  const statuses = [...new Set(rows.map((row) => row.response_status))].sort((a, b) => a - b);
+  for (const status of statuses) {
+    const statusRows = rows.filter((row) => row.response_status === status);
+    const bodies = statusRows
+      .map((row) =>
+        parseStoredBody(row.response_body, getHeaderValue(parseJsonColumn(row.response_headers, {}) || {}, "content-type"), row.response_body_encoding),
+      )
+      .filter(Boolean);
+
+    const response = { description: http.STATUS_CODES[status] || "Response" };
+    if (bodies.length > 0) {
+      response.content = buildContent(bodies, (mediaType, schema) => {
+        if (!mediaType.includes("json")) return schema;
+        // JSON schemas are shared components (same names as the contract export)
+        const name = componentName({ method, endpoint_pattern: template }, status);
+        components.schemas[name] = mergeSchemas(components.schemas[name], schema);
+        return { $ref: `#/components/schemas/${name}` };
+      });
+    }
+    operation.responses[String(status)] = response;
+  }
+
+  return operation;
+}
+
+/**
+ * Build an OpenAPI 3.1 document from recordings
+ * @param {Array<Object>} rows - Joined request/response rows (see recording_repository.queryRecordings), oldest first
+ * @param {Object} options - { host: host filter (document title), patterns: endpoint patterns (regex strings) }
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApi(rows, options = {}) {
+  const matcher = options.patterns && options.patterns.length > 0 ? new EndpointMatcher(options.patterns) : null;
+  const components = { schemas: {} };
+
+  // One operation per path template and method
+  const groups = new Map();
+  for (const row of rows) {
+    const template = toOpenApiPath(row.endpoint_path, matcher);
+    const key = `${template} ${row.method}`;
+    if (!groups.has(key)) groups.set(key, { template, method: row.method, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+
+  const paths = {};
+  const sortedGroups = [...groups.values()].sort((a, b) => a.template.localeCompare(b.template) || a.method.localeCompare(b.method));
+  const operationIds = new Set();
+  for (const { template, method, rows: operationRows } of sortedGroups) {
+    const operation = buildOperation(method, template, operationRows, components);
+    // Templates that only differ in punctuation get the same operationId
+    for (let suffix = 2; operationIds.has(operation.operationId); suffix++) {
+      operation.operationId = operation.operationId.replace(/\d*$/, String(suffix));
+    }
+    operationIds.add(operation.operationId);
+    paths[template] = paths[template] || {};
+    paths[template][method.toLowerCase()] = operation;
+  }
+
+  const servers = [...new Set(rows.map((row) => row.host).filter(Boolean))].sort().map((url) => ({ url }));
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: options.host ? `${options.host} API` : "Recorded APIs",
+      version: new Date().toISOString().split("T")[0],
+      description: `Generated by DeepProxy ${appVersion} from ${rows.length} recorded response(s).`,
+    },
+    servers,
+    paths,
+    components,
+  };
+}
+
+module.exports = {
+  OPENAPI_VERSION,
+  componentName,
+  toOpenApiPath,
+  buildOpenApi,
+};
@@ -0,0 +1,66 @@
+/**
+ * Path Template Utilities
+ *
+ * Turns recorded endpoint paths into OpenAPI-style path templates by replacing
+ * identifier segments with parameters, e.g. "/users/123/orders/9f1c..." -> "/users/{id}/orders/{id2}".
+ * Identifier segments: integers, UUIDs and long hex strings.
+ * Templates are matched with the shared path pattern compiler of httpUtils (openapi syntax).
+ */
+
+const { compilePathPattern, getPathParamNames } = require("./httpUtils");
+
+const ID_SEGMENT_PATTERNS = [/^\d+$/, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, /^[0-9a-f]{16,}$/i];
+
+/**
+ * Check if a path segment is an identifier
+ * @param {string} segment - Path segment
+ * @returns {boolean}
+ */
+function isIdSegment(segment) {
+  return ID_SEGMENT_PATTERNS.some((pattern) => pattern.test(segment));
+}
+
+/**
+ * Build the path template of a recorded path
+ * @param {string} path - Endpoint path (query string is ignored)
+ * @returns {string} Path template
+ *
+ * @example
+ * toPathTemplate("/api/users/42/orders/7") // -> "/api/users/{id}/orders/{id2}"
+ */
+function toPathTemplate(path) {
+  let count = 0;
+  return (path || "/")
+    .split("?")[0]
+    .split("/")
+    .map((segment) => {
+      if (!segment || !isIdSegment(segment)) return segment;
+      count++;
+      return count === 1 ? "{id}" : `{id${count}}`;
+    })
+    .join("/");
+}
+
+/**
+ * Get the parameter names of a path template
+ * @param {string} template - Path template
+ * @returns {Array<string>} Parameter names in order
+ */
+function getTemplateParams(template) {
+  return getPathParamNames(template, "openapi");
+}
+
+/**
+ * Compile a path template to a regex matching concrete paths (see httpUtils.compilePathPattern)
+ * @param {string} template - Path template
+ * @returns {RegExp} Regex (case-sensitive, whole path, one capture group per parameter)
+ */
+function pathTemplateToRegex(template) {
+  return compilePathPattern(template, { capture: true, syntax: "openapi" });
+}
+
+module.exports = {
+  toPathTemplate,
+  getTemplateParams,
+  pathTemplateToRegex,
+};
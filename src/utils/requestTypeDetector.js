@@ -6,9 +6,10 @@
  * - Uses TrafficConfigManager to read monitor pattern and domain list from database
  * - If config is not available, all traffic passes through (not monitored)
  *
- * Monitoring requires TWO conditions to be met:
+ * Monitoring requires TWO conditions to be met (by the same app profile):
  * 1. Request must match the configured monitor criteria (header/query pattern)
  * 2. Request must come from one of the configured monitored domains
+ * The matching app profile is stored in the request's "appProfile" metadata.
  *
  * Non-monitored requests (e.g., CDN, static image requests, requests from other domains) should be:
  * - Directly forwarded without endpoint matching
@@ -20,23 +21,12 @@ const logger = require("./logger");
 const { getInstance } = require("../config/TrafficConfigManager");
 
 /**
- * Check if request is a monitored request based on configured criteria
- * Requires BOTH monitor pattern match AND domain match
+ * Extract query parameters from the request URL
  * @param {Object} requestContext - RequestContext instance
- * @returns {boolean} True if request matches monitor criteria AND comes from monitored domain
+ * @returns {Object} Query parameters
  */
-function isMonitoredRequest(requestContext) {
-  const headers = requestContext.getCurrent().headers || {};
-  const configManager = getInstance();
-
-  // If config manager is not initialized or monitoring not enabled, return false
-  if (!configManager || !configManager.isInitialized() || !configManager.isMonitoringEnabled()) {
-    logger.debug("[RequestTypeDetector] Monitoring not enabled, passing through");
-    return false;
-  }
-
-  // Extract query params if available
-  let queryParams = {};
+function getQueryParams(requestContext) {
+  const queryParams = {};
   try {
     const current = requestContext.getCurrent();
     const url = current.url || current.originalUrl || "";
@@ -50,28 +40,25 @@ function isMonitoredRequest(requestContext) {
   } catch (e) {
     // Ignore query param parsing errors
   }
+  return queryParams;
+}
 
-  // Check 1: Request must match monitor criteria (header/query pattern)
-  const matchesMonitorCriteria = configManager.isMonitoredRequest(headers, queryParams);
-
-  if (!matchesMonitorCriteria) {
-    logger.debug("[RequestTypeDetector] Request does not match monitor criteria, bypassing", {
-      monitorConfig: configManager.getTrafficConfig()?.monitor,
-    });
-    return false;
-  }
-
-  // Check 2: Request must come from a monitored domain
-  // Try to extract host from multiple sources:
-  // 1. headers.host (HTTP/1.1 proxy requests)
-  // 2. headers[":authority"] (HTTP/2)
-  // 3. Extract from original URL (HTTP proxy protocol with full URL)
-  // 4. Extract from current URL
+/**
+ * Get the host of the request
+ * Tries, in order:
+ * 1. headers.host (HTTP/1.1 proxy requests)
+ * 2. headers[":authority"] (HTTP/2)
+ * 3. Host of the original or current URL (HTTP proxy protocol with full URL)
+ * @param {Object} requestContext - RequestContext instance
+ * @returns {string} Host, or "unknown"
+ */
+function getRequestHost(requestContext) {
+  const current = requestContext.getCurrent();
+  const headers = current.headers || {};
   let host = headers.host || headers[":authority"];
 
   // If no host in headers, try to extract from URL
   if (!host) {
-    const current = requestContext.getCurrent();
     const url = current.originalUrl || current.url || "";
 
     if (url && (url.startsWith("http://") || url.startsWith("https://"))) {
@@ -85,23 +72,57 @@ function isMonitoredRequest(requestContext) {
   }
 
   // Default to unknown if still no host
-  if (!host) {
-    host = "unknown";
+  return host || "unknown";
+}
+
+/**
+ * Detect the app profile of a request and store it in the "appProfile" metadata
+ * The first app profile whose monitor criteria and domain list both match wins
+ * @param {Object} requestContext - RequestContext instance
+ * @returns {string|null} Profile name ("default" or a named profile), or null if the request is not monitored
+ */
+function detectAppProfile(requestContext) {
+  const configManager = getInstance();
+  if (!configManager || !configManager.isInitialized() || !configManager.isMonitoringEnabled()) {
+    requestContext.setMetadata("appProfile", null);
+    return null;
+  }
+
+  const headers = requestContext.getCurrent().headers || {};
+  const profile = configManager.matchProfile(headers, getQueryParams(requestContext), getRequestHost(requestContext));
+  requestContext.setMetadata("appProfile", profile);
+  return profile;
+}
+
+/**
+ * Check if request is a monitored request based on configured criteria
+ * Requires BOTH monitor pattern match AND domain match (of the same app profile)
+ * @param {Object} requestContext - RequestContext instance
+ * @returns {boolean} True if request matches monitor criteria AND comes from monitored domain
+ */
+function isMonitoredRequest(requestContext) {
+  const configManager = getInstance();
+
+  // If config manager is not initialized or monitoring not enabled, return false
+  if (!configManager || !configManager.isInitialized() || !configManager.isMonitoringEnabled()) {
+    logger.debug("[RequestTypeDetector] Monitoring not enabled, passing through");
+    return false;
   }
 
-  const matchesDomain = configManager.isMonitoredDomain(host);
+  const profile = detectAppProfile(requestContext);
 
-  if (!matchesDomain) {
-    logger.info("[RequestTypeDetector] Request matches monitor pattern but not from monitored domain, bypassing", {
-      host,
-      monitoredDomains: configManager.getMonitoredDomains().map((d) => d.domain),
+  if (!profile) {
+    logger.debug("[RequestTypeDetector] Request does not match the monitor criteria and domains of any app profile, bypassing", {
+      host: getRequestHost(requestContext),
+      monitorConfig: configManager.getTrafficConfig()?.monitor,
+      appProfiles: configManager.getProfiles().map((p) => p.name),
     });
     return false;
   }
 
   logger.debug("[RequestTypeDetector] Request is monitored (matches criteria and domain)", {
-    host,
-    monitorConfig: configManager.getTrafficConfig()?.monitor,
+    host: getRequestHost(requestContext),
+    appProfile: profile,
   });
 
   return true;
@@ -120,4 +141,5 @@ function shouldBypassDProxy(requestContext) {
 module.exports = {
   isMonitoredRequest,
   shouldBypassDProxy,
+  detectAppProfile,
 };
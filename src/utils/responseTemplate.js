@@ -0,0 +1,277 @@
+/**
+ * Response Template Utilities
+ *
+ * Renders {{placeholders}} in response bodies and headers at replay time
+ * (for api_responses with templated = 1).
+ *
+ * Supported placeholders:
+ * - {{now}}, {{now+1d}}, {{now-30m|epoch}}  current time with offset (s, m, h, d, w) and format
+ *   Formats: iso (default), local, date, epoch (seconds), epoch_ms
+ * - {{uuid}}                                random UUID v4
+ * - {{random.int 1 100}}                    random integer between min and max (inclusive)
+ * - {{request.method}}, {{request.path}}
+ * - {{request.query.id}}                    query parameter
+ * - {{request.headers.x-app-version}}       request header (case-insensitive)
+ * - {{request.body.account.id}}             request body field (dot notation)
+ * - {{session.userId}}, {{session.id}}, {{session.token}}  current proxy session
+ *
+ * Unknown placeholders are left unchanged. When a JSON string value is exactly one placeholder,
+ * the rendered value keeps its type (e.g. "{{random.int 1 9}}" becomes a number).
+ */
+
+const crypto = require("crypto");
+const { getLocalISOString } = require("./datetimeUtils");
+const { getPath } = require("./jsonUtils");
+const { getHeaderString } = require("./httpUtils");
+
+const PLACEHOLDER_REGEX = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_REGEX = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Marker for placeholders that could not be resolved (left unchanged)
+const UNRESOLVED = Symbol("unresolved");
+
+/**
+ * Check if a value contains placeholders
+ * @param {*} value - String, object or array
+ * @returns {boolean} True if any string contains {{...}}
+ */
+function hasPlaceholders(value) {
+  if (typeof value === "string") {
+    return /\{\{[^{}]+\}\}/.test(value);
+  }
+  if (value && typeof value === "object" && !Buffer.isBuffer(value)) {
+    return Object.values(value).some(hasPlaceholders);
+  }
+  return false;
+}
+
+/**
+ * Build template context from a request
+ * Session data is resolved lazily (only when a session placeholder is used)
+ * @param {Object} request - { method, path, query, headers, body }
+ * @returns {Object} Template context
+ */
+function buildTemplateContext(request = {}) {
+  const headers = {};
+  for (const [key, value] of Object.entries(request.headers || {})) {
+    // Repeated fields are joined into one value
+    const name = key.toLowerCase();
+    headers[name] = getHeaderString({ [name]: value }, name);
+  }
+
+  let body = request.body;
+  if (Buffer.isBuffer(body)) {
+    body = body.toString("utf8");
+  }
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch (e) {
+      // Keep text body
+    }
+  }
+
+  let session;
+  return {
+    request: {
+      method: request.method || "GET",
+      path: request.path || "/",
+      query: request.query || {},
+      headers,
+      body,
+    },
+    get session() {
+      if (session === undefined) {
+        session = resolveSession(headers);
+      }
+      return session;
+    },
+  };
+}
+
+/**
+ * Resolve current proxy session from request headers
+ * @param {Object} headers - Lowercased request headers
+ * @returns {Object} { userId, id, token }
+ * @private
+ */
+function resolveSession(headers) {
+  try {
+    const { getSessionInfoFromRequest } = require("./session_manager");
+    const { getUserById } = require("../database/repositories/user_repository");
+
+    const info = getSessionInfoFromRequest(headers, "[RESPONSE_TEMPLATE]");
+    const user = info.userId ? getUserById(info.userId) : null;
+    return {
+      userId: user ? user.user_id : null,
+      id: info.sessionId,
+      token: info.sessionToken,
+    };
+  } catch (e) {
+    return { userId: null, id: null, token: null };
+  }
+}
+
+/**
+ * Format a date
+ * @private
+ */
+function formatDate(date, format) {
+  switch ((format || "iso").toLowerCase()) {
+    case "iso":
+      return date.toISOString();
+    case "local":
+      return getLocalISOString(date);
+    case "date":
+      return date.toISOString().split("T")[0];
+    case "epoch":
+      return Math.floor(date.getTime() / 1000);
+    case "epoch_ms":
+      return date.getTime();
+    default:
+      return UNRESOLVED;
+  }
+}
+
+/**
+ * Evaluate a placeholder expression
+ * @param {string} expression - Placeholder content (without braces)
+ * @param {Object} context - Template context from buildTemplateContext()
+ * @returns {*} Value, or UNRESOLVED
+ * @private
+ */
+function evaluate(expression, context) {
+  const [main, format] = expression.split("|").map((part) => part.trim());
+
+  const nowMatch = main.match(/^now(?:\s*([+-])\s*(\d+)\s*([smhdw]))?$/);
+  if (nowMatch) {
+    let time = Date.now();
+    if (nowMatch[1]) {
+      const offset = parseInt(nowMatch[2], 10) * UNIT_MS[nowMatch[3]];
+      time += nowMatch[1] === "+" ? offset : -offset;
+    }
+    return formatDate(new Date(time), format);
+  }
+
+  if (main === "uuid") {
+    return crypto.randomUUID();
+  }
+
+  const randomMatch = main.match(/^random\.int\s+(-?\d+)\s+(-?\d+)$/);
+  if (randomMatch) {
+    const min = Math.min(parseInt(randomMatch[1], 10), parseInt(randomMatch[2], 10));
+    const max = Math.max(parseInt(randomMatch[1], 10), parseInt(randomMatch[2], 10));
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+  }
+
+  const [scope, ...rest] = main.split(".");
+  const path = rest.join(".");
+
+  if (scope === "request") {
+    if (path === "method" || path === "path") {
+      return context.request[path];
+    }
+    if (path.startsWith("query.")) {
+      const value = context.request.query[path.slice(6)];
+      return value === undefined ? UNRESOLVED : value;
+    }
+    if (path.startsWith("headers.")) {
+      const value = context.request.headers[path.slice(8).toLowerCase()];
+      return value === undefined ? UNRESOLVED : value;
+    }
+    if (path.startsWith("body.")) {
+      const body = context.request.body;
+      let value;
+      try {
+        value = body && typeof body === "object" ? getPath(body, path.slice(5)) : undefined;
+      } catch (e) {
+        // Path goes through a primitive value
+      }
+      return value === undefined ? UNRESOLVED : value;
+    }
+    return UNRESOLVED;
+  }
+
+  if (scope === "session" && ["userId", "id", "token"].includes(path)) {
+    const value = context.session[path];
+    return value === null || value === undefined ? UNRESOLVED : value;
+  }
+
+  return UNRESOLVED;
+}
+
+/**
+ * Render placeholders in a string
+ * @param {string} template - String with placeholders
+ * @param {Object} context - Template context from buildTemplateContext()
+ * @returns {*} Rendered string (or typed value when the string is a single placeholder)
+ */
+function renderString(template, context) {
+  const single = template.match(SINGLE_PLACEHOLDER_REGEX);
+  if (single) {
+    const value = evaluate(single[1], context);
+    return value === UNRESOLVED ? template : value;
+  }
+
+  return template.replace(PLACEHOLDER_REGEX, (placeholder, expression) => {
+    const value = evaluate(expression, context);
+    if (value === UNRESOLVED) return placeholder;
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Render placeholders in a value (strings inside objects/arrays are rendered recursively)
+ * @param {*} value - Body or header value
+ * @param {Object} context - Template context from buildTemplateContext()
+ * @returns {*} Rendered copy of the value
+ */
+function renderValue(value, context) {
+  if (typeof value === "string") {
+    return renderString(value, context);
+  }
+  if (Buffer.isBuffer(value)) {
+    const text = value.toString("utf8");
+    return hasPlaceholders(text) ? Buffer.from(String(renderString(text, context)), "utf8") : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => renderValue(item, context));
+  }
+  if (value && typeof value === "object") {
+    const rendered = {};
+    for (const [key, item] of Object.entries(value)) {
+      rendered[key] = renderValue(item, context);
+    }
+    return rendered;
+  }
+  return value;
+}
+
+/**
+ * Render response headers (values are always strings)
+ * @param {Object} headers - Response headers
+ * @param {Object} context - Template context from buildTemplateContext()
+ * @returns {Object} Rendered headers
+ */
+function renderHeaders(headers, context) {
+  const rendered = {};
+  for (const [key, value] of Object.entries(headers || {})) {
+    rendered[key] = Array.isArray(value) ? value.map((v) => String(renderString(String(v), context))) : String(renderString(String(value), context));
+  }
+  return rendered;
+}
+
+module.exports = {
+  hasPlaceholders,
+  buildTemplateContext,
+  renderValue,
+  renderHeaders,
+};
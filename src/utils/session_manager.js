@@ -23,6 +23,7 @@ const config = require("../config");
 const sessionRepository = require("../database/repositories/session_repository");
 const userRepository = require("../database/repositories/user_repository");
 const { getLocalISOString } = require("./datetimeUtils");
+const { getHeaderString } = require("./httpUtils");
 const { getMonitoredDomains, createMonitoredDomainCookies } = require("./cookieDomainHelper");
 const { getInstance: getSessionConfigManager } = require("../config/SessionConfigManager");
 
@@ -151,7 +152,7 @@ function createSessionAndCookie(userId, headers, logPrefix = "[SESSION_MANAGER]"
  */
 function getUserIdFromDPSession(headers, logPrefix = "[SESSION_MANAGER]") {
   try {
-    const cookieHeader = headers.cookie || "";
+    const cookieHeader = getHeaderString(headers, "cookie") || "";
     const sessionTokenMatch = cookieHeader.match(/DPSESSION=([^;]+)/);
 
     if (!sessionTokenMatch || !sessionTokenMatch[1]) {
@@ -206,7 +207,7 @@ function getUserIdFromDPSession(headers, logPrefix = "[SESSION_MANAGER]") {
  */
 function checkSessionCreationTrigger(requestContext, logPrefix = "[SESSION_MANAGER]") {
   try {
-    const sessionConfigManager = getSessionConfigManager();
+    const sessionConfigManager = getSessionConfigManager().forProfile(requestContext.getMetadata("appProfile"));
 
     // If no session config, return null (will fall back to legacy behavior)
     if (!sessionConfigManager.hasConfig()) {
@@ -293,7 +294,7 @@ function extractUserIdFromRequest(requestContext, logPrefix = "[SESSION_MANAGER]
  * @returns {boolean} True if should create session
  */
 function shouldCreateSession(requestContext, logPrefix = "[SESSION_MANAGER]") {
-  const sessionConfigManager = getSessionConfigManager();
+  const sessionConfigManager = getSessionConfigManager().forProfile(requestContext.getMetadata("appProfile"));
   const current = requestContext.getCurrent();
   const method = current.method || "GET";
   const endpoint = current.originalUrl || current.url || current.path || "";
@@ -364,8 +365,8 @@ function extractUserSessionFromSetCookie(setCookieHeaders, cookieName = null) {
     let targetCookieName = cookieName;
     if (!targetCookieName) {
       const sessionConfigManager = getSessionConfigManager();
-      if (sessionConfigManager.hasConfig()) {
-        const cookieRules = sessionConfigManager.getUpdateRulesByType("cookie");
+      if (sessionConfigManager.hasAnyConfig()) {
+        const cookieRules = sessionConfigManager.getAllUpdateRulesByType("cookie");
         if (cookieRules.length > 0) {
           targetCookieName = cookieRules[0].key;
         }
@@ -421,8 +422,8 @@ function extractUserSessionFromCookie(cookieHeader, cookieName = null) {
     let targetCookieName = cookieName;
     if (!targetCookieName) {
       const sessionConfigManager = getSessionConfigManager();
-      if (sessionConfigManager.hasConfig()) {
-        const cookieRules = sessionConfigManager.getUpdateRulesByType("cookie");
+      if (sessionConfigManager.hasAnyConfig()) {
+        const cookieRules = sessionConfigManager.getAllUpdateRulesByType("cookie");
         if (cookieRules.length > 0) {
           targetCookieName = cookieRules[0].key;
         }
@@ -477,7 +478,7 @@ function processSessionUpdates(session, responseContext, requestContext, logPref
   const result = { cookieUpdates: 0, authUpdates: 0 };
 
   try {
-    const sessionConfigManager = getSessionConfigManager();
+    const sessionConfigManager = getSessionConfigManager().forProfile(requestContext.getMetadata("appProfile"));
 
     // Session config is now required - no fallback to legacy behavior
     if (!sessionConfigManager.hasConfig()) {
@@ -574,9 +575,9 @@ function getUserIdFromRequestWithConfig(headers, logPrefix = "[SESSION_MANAGER]"
   const sessionConfigManager = getSessionConfigManager();
 
   // 2. If session config exists, use configured cookie session names
-  if (sessionConfigManager.hasConfig()) {
-    const cookieRules = sessionConfigManager.getUpdateRulesByType("cookie");
-    const cookieHeader = headers.cookie || headers.Cookie || "";
+  if (sessionConfigManager.hasAnyConfig()) {
+    const cookieRules = sessionConfigManager.getAllUpdateRulesByType("cookie");
+    const cookieHeader = getHeaderString(headers, "cookie") || headers.Cookie || "";
 
     for (const rule of cookieRules) {
       const cookieName = rule.key;
@@ -639,7 +640,7 @@ function getUserIdFromRequestWithConfig(headers, logPrefix = "[SESSION_MANAGER]"
   logger.debug(`${logPrefix} No user ID found from any authentication method`, {
     hasCookie: !!headers.cookie,
     hasAuthorization: !!headers.authorization,
-    cookieLength: headers.cookie ? headers.cookie.length : 0,
+    cookieLength: headers.cookie ? getHeaderString(headers, "cookie").length : 0,
   });
   return null;
 }
@@ -713,7 +714,7 @@ function updateSessionOAuthHash(sessionId, jwtToken, logPrefix = "[SESSION_MANAG
  */
 function getUserIdFromUserSession(headers, logPrefix = "[SESSION_MANAGER]") {
   try {
-    const cookieHeader = headers.cookie || headers.Cookie || "";
+    const cookieHeader = getHeaderString(headers, "cookie") || headers.Cookie || "";
     const userSession = extractUserSessionFromCookie(cookieHeader);
 
     if (!userSession) {
@@ -851,7 +852,7 @@ function getSessionByDPSession(sessionToken) {
  */
 function extractDPSessionFromRequest(headers) {
   try {
-    const cookieHeader = headers.cookie || headers.Cookie || "";
+    const cookieHeader = getHeaderString(headers, "cookie") || headers.Cookie || "";
     const sessionTokenMatch = cookieHeader.match(/DPSESSION=([^;]+)/);
     return sessionTokenMatch ? sessionTokenMatch[1] : null;
   } catch (error) {
@@ -905,8 +906,8 @@ function replaceUserSessionInSetCookie(setCookieHeaders, newUserSession, session
     const sessionConfigManager = getSessionConfigManager();
     let cookieNames = [];
 
-    if (sessionConfigManager.hasConfig()) {
-      const cookieRules = sessionConfigManager.getUpdateRulesByType("cookie");
+    if (sessionConfigManager.hasAnyConfig()) {
+      const cookieRules = sessionConfigManager.getAllUpdateRulesByType("cookie");
       cookieNames = cookieRules.map((rule) => rule.key);
     }
 
@@ -1040,8 +1041,8 @@ function hasUserSessionInSetCookie(setCookieHeaders) {
   const sessionConfigManager = getSessionConfigManager();
   let cookieNames = [];
 
-  if (sessionConfigManager.hasConfig()) {
-    const cookieRules = sessionConfigManager.getUpdateRulesByType("cookie");
+  if (sessionConfigManager.hasAnyConfig()) {
+    const cookieRules = sessionConfigManager.getAllUpdateRulesByType("cookie");
     cookieNames = cookieRules.map((rule) => rule.key);
   }
 
@@ -1127,7 +1128,7 @@ function generateFakeAuthToken(sessionId, userId, logPrefix = "[SESSION_MANAGER]
 function addCrossDomainDPSessionCookie(responseContext, headers, host, userId, logPrefix = "[SESSION_MANAGER]") {
   try {
     // Check if request already has DPSESSION cookie
-    const cookieHeader = headers.cookie || headers.Cookie || "";
+    const cookieHeader = getHeaderString(headers, "cookie") || headers.Cookie || "";
     const hasDPSession = cookieHeader.includes("DPSESSION=");
     if (hasDPSession) {
       logger.debug(`${logPrefix} Request already has DPSESSION, skipping cross-domain cookie addition`);
@@ -1225,11 +1226,11 @@ function getSessionInfoFromRequest(headers, logPrefix = "[SESSION_MANAGER]") {
   }
 
   // 2. Try configured user session cookies
-  const cookieHeader = headers.cookie || headers.Cookie || "";
+  const cookieHeader = getHeaderString(headers, "cookie") || headers.Cookie || "";
   const sessionConfigManager = getSessionConfigManager();
 
-  if (sessionConfigManager.hasConfig()) {
-    const cookieRules = sessionConfigManager.getUpdateRulesByType("cookie");
+  if (sessionConfigManager.hasAnyConfig()) {
+    const cookieRules = sessionConfigManager.getAllUpdateRulesByType("cookie");
 
     for (const rule of cookieRules) {
       const regex = new RegExp(`${rule.key}=([^;]+)`, "i");
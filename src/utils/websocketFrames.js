@@ -0,0 +1,160 @@
+/**
+ * WebSocket Utilities
+ *
+ * Reads and writes RFC 6455 frames for the WebSocket proxy (see core/forwarder/WebSocketProxy):
+ * - Each frame is FIN/RSV/opcode, a 7, 16 or 64-bit payload length, a masking key (client frames) and the payload
+ * - Opcodes: 0 continuation, 1 text, 2 binary, 8 close, 9 ping, 10 pong
+ * - The handshake answer is the base64 SHA-1 of Sec-WebSocket-Key + the RFC 6455 GUID
+ */
+
+const crypto = require("crypto");
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+const OPCODE_NAMES = { 0: "continuation", 1: "text", 2: "binary", 8: "close", 9: "ping", 10: "pong" };
+
+/**
+ * Check whether request headers ask for a WebSocket upgrade
+ * @param {Object} headers - Request headers (lowercase names)
+ * @returns {boolean} True for WebSocket handshakes
+ */
+function isWebSocketUpgrade(headers = {}) {
+  return String(headers.upgrade || "").toLowerCase() === "websocket";
+}
+
+/**
+ * Compute the Sec-WebSocket-Accept header of a handshake
+ * @param {string} key - Sec-WebSocket-Key request header
+ * @returns {string} Accept value
+ */
+function getAcceptKey(key) {
+  return crypto
+    .createHash("sha1")
+    .update(String(key || "") + HANDSHAKE_GUID)
+    .digest("base64");
+}
+
+/**
+ * Check whether an opcode is a control frame (close, ping, pong)
+ * @param {number} opcode - Frame opcode
+ * @returns {boolean} True for control frames
+ */
+function isControlFrame(opcode) {
+  return opcode >= OPCODES.CLOSE;
+}
+
+/**
+ * Parse the complete frames at the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object} { frames: Array<{ fin, rsv1, opcode, masked, payload }>, rest: Buffer } (payloads unmasked,
+ *   rest holds the bytes of an incomplete frame)
+ */
+function parseFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    const masked = (second & 0x80) !== 0;
+    let length = second & 0x7f;
+    let headerLength = 2;
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+    if (masked) headerLength += 4;
+    if (buffer.length - offset < headerLength + length) break;
+
+    const payload = Buffer.from(buffer.subarray(offset + headerLength, offset + headerLength + length));
+    if (masked) {
+      const mask = buffer.subarray(offset + headerLength - 4, offset + headerLength);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ fin: (first & 0x80) !== 0, rsv1: (first & 0x40) !== 0, opcode: first & 0x0f, masked, payload });
+    offset += headerLength + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Encode a frame
+ * @param {Object} frame - { opcode, payload (Buffer or string), fin = true, mask = false (client frames are masked) }
+ * @returns {Buffer} Frame bytes
+ */
+function encodeFrame({ opcode, payload = Buffer.alloc(0), fin = true, mask = false }) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), "utf8");
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0, data.length]);
+  } else if (data.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+
+  if (!mask) {
+    return Buffer.concat([header, data]);
+  }
+  header[1] |= 0x80;
+  const key = crypto.randomBytes(4);
+  const masked = Buffer.from(data);
+  for (let i = 0; i < masked.length; i++) masked[i] ^= key[i % 4];
+  return Buffer.concat([header, key, masked]);
+}
+
+/**
+ * Build the payload of a close frame
+ * @param {number} code - Close code (e.g. 1000 normal closure)
+ * @param {string} reason - Close reason
+ * @returns {Buffer} Payload
+ */
+function encodeClosePayload(code, reason = "") {
+  const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+  payload.writeUInt16BE(code, 0);
+  payload.write(reason, 2);
+  return payload;
+}
+
+/**
+ * Read the code of a close frame payload
+ * @param {Buffer} payload - Close frame payload
+ * @returns {number|null} Close code, null when the frame has none
+ */
+function getCloseCode(payload) {
+  return payload && payload.length >= 2 ? payload.readUInt16BE(0) : null;
+}
+
+module.exports = {
+  OPCODES,
+  OPCODE_NAMES,
+  isWebSocketUpgrade,
+  getAcceptKey,
+  isControlFrame,
+  parseFrames,
+  encodeFrame,
+  encodeClosePayload,
+  getCloseCode,
+};
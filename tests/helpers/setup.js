@@ -0,0 +1,17 @@
+/**
+ * Jest setup (setupFilesAfterEnv, see jest.config.js)
+ *
+ * Runs before each test file: keeps the logger quiet and out of the repository logs/ directory,
+ * and turns off traffic logging, so that modules can be required without side effects.
+ */
+
+const os = require("os");
+const path = require("path");
+
+process.env.NODE_ENV = "test";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.LOG_CONSOLE = "false";
+process.env.LOG_FILE = path.join(os.tmpdir(), "dproxy-tests", "dproxy.log");
+process.env.TRAFFIC_LOG_ENABLED = "false";
+
+jest.setTimeout(10000);
@@ -0,0 +1,48 @@
+/**
+ * Unit tests for api/routes/scenarios
+ */
+
+const express = require("express");
+const request = require("supertest");
+const scenarioRepository = require("../../../../src/database/repositories/scenario_repository");
+const initializeRoutes = require("../../../../src/api/routes/scenarios");
+
+const SESSION_TOKEN = "a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6";
+
+describe("scenarios routes", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/scenarios", initializeRoutes());
+
+  beforeEach(() => {
+    jest.spyOn(scenarioRepository, "getScenarioById").mockReturnValue({ id: 4, name: "checkout", initial_state: "Started", steps: [] });
+    jest.spyOn(scenarioRepository, "getScenarioStates").mockReturnValue([
+      { session_key: SESSION_TOKEN, current_state: "Paid", updated_at: "2026-01-02 03:04:05" },
+      { session_key: "global", current_state: "Started", updated_at: "2026-01-01 03:04:05" },
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("GET /:id", () => {
+    it("masks the session keys of the scenario states", async () => {
+      const res = await request(app).get("/api/scenarios/4");
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.name).toBe("checkout");
+      expect(res.body.data.states).toEqual([
+        { session_key: "a1b2c3d4e5f6...", current_state: "Paid", updated_at: "2026-01-02 03:04:05" },
+        { session_key: "global", current_state: "Started", updated_at: "2026-01-01 03:04:05" },
+      ]);
+      expect(JSON.stringify(res.body)).not.toContain(SESSION_TOKEN);
+    });
+
+    it("returns 404 for unknown scenarios", async () => {
+      scenarioRepository.getScenarioById.mockReturnValue(null);
+      const res = await request(app).get("/api/scenarios/99");
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for core/breakpoint/BreakpointManager held bodies
+ */
+
+const breakpointRuleRepository = require("../../../../src/database/repositories/breakpoint_rule_repository");
+const ContextFactory = require("../../../../src/core/context/ContextFactory");
+const { BreakpointManager } = require("../../../../src/core/breakpoint/BreakpointManager");
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0xfe, 0x80]);
+
+const RULE = { id: 1, name: "images", direction: "response", http_method: "*", match_host: null, endpoint_pattern: null, timeout_ms: 5000 };
+
+/**
+ * Hold a response and wait until it shows in the held items
+ * @param {BreakpointManager} manager - Manager
+ * @param {Object} response - Response options
+ * @returns {{held: Object, released: Promise<ResponseContext>}} Held item snapshot and the pending response
+ */
+function holdResponse(manager, response) {
+  const requestContext = ContextFactory.createRequestContext({
+    method: "GET",
+    url: "/logo.png",
+    originalUrl: "/logo.png",
+    path: "/logo.png",
+    query: {},
+    headers: { host: "cdn.example.com" },
+  });
+  const released = manager.holdResponse(ContextFactory.createResponseContext(response), requestContext);
+  return { held: manager.getHeld()[0], released };
+}
+
+describe("BreakpointManager", () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.spyOn(breakpointRuleRepository, "getAllRules").mockReturnValue([RULE]);
+    manager = new BreakpointManager();
+  });
+
+  afterEach(() => {
+    manager.releaseAll();
+    jest.restoreAllMocks();
+  });
+
+  describe("binary bodies", () => {
+    const png = { status: 200, headers: { "content-type": "image/png" }, body: PNG };
+
+    it("shows binary bodies as base64", () => {
+      const { held } = holdResponse(manager, png);
+      expect(held).toMatchObject({ body: PNG.toString("base64"), bodyEncoding: "base64" });
+    });
+
+    it("keeps the bytes when released with edited headers only", async () => {
+      const { held, released } = holdResponse(manager, png);
+      manager.release(held.id, { headers: { "content-type": "image/png", "x-edited": "1" } });
+
+      const response = await released;
+      expect(response.getHeader("x-edited")).toBe("1");
+      expect(response.getBody()).toEqual(PNG);
+    });
+
+    it("decodes an edited base64 body", async () => {
+      const edited = Buffer.from([0x00, 0x01, 0xff]);
+      const { held, released } = holdResponse(manager, png);
+      manager.release(held.id, { body: edited.toString("base64"), bodyEncoding: "base64" });
+
+      expect((await released).getBody()).toEqual(edited);
+    });
+  });
+
+  describe("text bodies", () => {
+    it("shows JSON as text and parses the edited text", async () => {
+      const { held, released } = holdResponse(manager, { status: 200, headers: { "content-type": "application/json" }, body: { id: 1 } });
+      expect(held).toMatchObject({ body: '{\n  "id": 1\n}', bodyEncoding: null });
+
+      manager.release(held.id, { body: '{"id": 2}' });
+      expect((await released).getBody()).toEqual({ id: 2 });
+    });
+  });
+});
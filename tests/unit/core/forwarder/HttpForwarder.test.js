@@ -0,0 +1,66 @@
+/**
+ * Unit tests for core/forwarder/HttpForwarder plain HTTP responses
+ */
+
+const http = require("http");
+const zlib = require("zlib");
+const HttpForwarder = require("../../../../src/core/forwarder/HttpForwarder");
+const ForwardConfig = require("../../../../src/core/forwarder/ForwardConfig");
+const ContextFactory = require("../../../../src/core/context/ContextFactory");
+const { encodeBody, decodeBody } = require("../../../../src/utils/bodySerializer");
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0xfe, 0x80, 0xc3, 0x28]);
+
+/**
+ * Request context of a GET request to a full URL
+ * @param {string} url - Target URL
+ * @returns {RequestContext} Request context
+ */
+function getRequest(url) {
+  const { pathname } = new URL(url);
+  return ContextFactory.createRequestContext({ method: "GET", url, originalUrl: url, path: pathname, query: {}, headers: {} });
+}
+
+describe("HttpForwarder", () => {
+  let server;
+  let baseUrl;
+  let forwarder;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === "/logo.png") {
+        res.writeHead(200, { "content-type": "image/png" });
+        res.end(PNG);
+      } else {
+        res.writeHead(200, { "content-type": "application/json", "content-encoding": "gzip" });
+        res.end(zlib.gzipSync(JSON.stringify({ id: 1 })));
+      }
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    forwarder = new HttpForwarder(new ForwardConfig({ retryCount: 0 }));
+    jest.spyOn(forwarder, "_resolveUpstreamProxy").mockResolvedValue(null);
+  });
+
+  afterAll(async () => {
+    forwarder.destroy();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("round-trips a binary body received over plain HTTP", async () => {
+    const response = await forwarder.forward(getRequest(`${baseUrl}/logo.png`));
+    const body = response.getBody();
+    expect(body).toEqual(PNG);
+
+    const stored = encodeBody(body, "image/png");
+    expect(stored.encoding).toBe("base64");
+    expect(decodeBody(stored.body, stored.encoding)).toEqual(PNG);
+  });
+
+  it("decompresses encoded bodies", async () => {
+    const response = await forwarder.forward(getRequest(`${baseUrl}/user.json`));
+    const body = response.getBody();
+    expect(response.getHeader("content-encoding")).toBeUndefined();
+    expect(JSON.parse(body.toString())).toEqual({ id: 1 });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for core/forwarder/UpstreamProxy host patterns and PAC files
+ */
+
+const { UpstreamProxy, matchesHost, DIRECT } = require("../../../../src/core/forwarder/UpstreamProxy");
+
+/**
+ * Resolve a URL with an inline PAC script
+ * @param {string} pacScript - PAC script
+ * @param {string} url - Target URL
+ * @returns {Promise<Object>} Resolved proxy or DIRECT
+ */
+function resolveWithPac(pacScript, url = "https://api.example.com/v1") {
+  return new UpstreamProxy()._resolvePac({ mode: "pac", pacScript }, url, new URL(url).hostname);
+}
+
+describe("UpstreamProxy", () => {
+  describe("matchesHost", () => {
+    it("matches exact hosts case-insensitively", () => {
+      expect(matchesHost("api.example.com", "api.example.com")).toBe(true);
+      expect(matchesHost(" API.Example.com ", "api.EXAMPLE.com")).toBe(true);
+      expect(matchesHost("api.example.com", "web.example.com")).toBe(false);
+      expect(matchesHost("api.example.com", "api.example.com.evil.test")).toBe(false);
+    });
+
+    it("matches wildcards", () => {
+      expect(matchesHost("*.corp.example.com", "git.corp.example.com")).toBe(true);
+      expect(matchesHost("*.corp.example.com", "a.b.corp.example.com")).toBe(true);
+      expect(matchesHost("*.corp.example.com", "corp.example.com")).toBe(false);
+      expect(matchesHost("10.*", "10.1.2.3")).toBe(true);
+      expect(matchesHost("10.*", "110.1.2.3")).toBe(false);
+      expect(matchesHost("api?.example.com", "api2.example.com")).toBe(true);
+    });
+
+    it("matches domain suffixes and the domain itself", () => {
+      expect(matchesHost(".corp.example.com", "git.corp.example.com")).toBe(true);
+      expect(matchesHost(".corp.example.com", "corp.example.com")).toBe(true);
+      expect(matchesHost(".corp.example.com", "notcorp.example.com")).toBe(false);
+    });
+
+    it("treats dots and other characters literally", () => {
+      expect(matchesHost("api.example.com", "apixexample.com")).toBe(false);
+      expect(matchesHost("10.0.0.1", "10a0b0c1")).toBe(false);
+      expect(matchesHost("host(1)", "host(1)")).toBe(true);
+    });
+
+    it("never matches empty patterns", () => {
+      expect(matchesHost("", "api.example.com")).toBe(false);
+      expect(matchesHost(null, "")).toBe(false);
+      expect(matchesHost("   ", "api.example.com")).toBe(false);
+    });
+  });
+
+  describe("PAC files", () => {
+    it("provides the standard PAC functions", async () => {
+      const upstream = await resolveWithPac(`
+        function FindProxyForURL(url, host) {
+          if (isPlainHostName(host) || !dnsDomainIs(host, ".example.com")) return "DIRECT";
+          if (isInNet("10.1.2.3", "10.0.0.0", "255.0.0.0") && shExpMatch(url, "https://api.*/v1")) {
+            return "SOCKS socks.corp:1080; PROXY proxy.corp:3128";
+          }
+          return "DIRECT";
+        }
+      `);
+      expect(upstream).toMatchObject({ direct: false, url: "http://proxy.corp:3128", hostname: "proxy.corp", port: 3128 });
+    });
+
+    it("connects directly when FindProxyForURL fails or returns no proxy", async () => {
+      expect(await resolveWithPac('function FindProxyForURL() { throw new Error("x"); }')).toBe(DIRECT);
+      expect(await resolveWithPac("function FindProxyForURL() { return null; }")).toBe(DIRECT);
+      expect(await resolveWithPac("var notAPacFile = 1;")).toBe(DIRECT);
+    });
+
+    it("does not expose the proxy's process through the PAC functions", async () => {
+      const escapes = [
+        'isPlainHostName.constructor("return process")()',
+        'this.constructor.constructor("return process")()',
+        'alert.constructor("return process")()',
+        'Object.getPrototypeOf(globalThis) === null ? undefined : globalThis.constructor.constructor("return process")()',
+      ];
+      for (const escape of escapes) {
+        const upstream = await resolveWithPac(`
+          function FindProxyForURL(url, host) {
+            var found;
+            try { found = ${escape}; } catch (e) {}
+            return found && found.pid ? "PROXY escaped.example.com:" + found.pid : "DIRECT";
+          }
+        `);
+        expect(upstream).toBe(DIRECT);
+      }
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for utils/graphql
+ */
+
+const crypto = require("crypto");
+const {
+  normalizeQuery,
+  parseGraphqlRequest,
+  getOperationPath,
+  getMatchableFields,
+  getRecordedFields,
+  withoutGraphqlParams,
+} = require("../../../src/utils/graphql");
+
+const GET_USER = "query GetUser($id: ID!) {\n  user(id: $id) { id, name } # fields\n}";
+const JSON_HEADERS = { "Content-Type": "application/json" };
+
+describe("graphql utils", () => {
+  describe("normalizeQuery", () => {
+    it("drops comments, commas and insignificant whitespace", () => {
+      expect(normalizeQuery(GET_USER)).toBe("query GetUser($id:ID!){user(id:$id){id name}}");
+    });
+
+    it("keeps string literals", () => {
+      expect(normalizeQuery('{ search(text: "a,  b # c") { id } }')).toBe('{search(text:"a,  b # c"){id}}');
+    });
+
+    it("gives the same result for formatting variants", () => {
+      expect(normalizeQuery("query   GetUser($id:ID!){user(id:$id){id\nname}}")).toBe(normalizeQuery(GET_USER));
+    });
+  });
+
+  describe("parseGraphqlRequest", () => {
+    const payload = { query: GET_USER, operationName: "GetUser", variables: { id: "1" } };
+
+    it("parses a parsed JSON body", () => {
+      const graphql = parseGraphqlRequest({ method: "POST", body: payload, headers: JSON_HEADERS });
+      expect(graphql).toEqual({
+        operationName: "GetUser",
+        operationType: "query",
+        queryHash: crypto.createHash("sha256").update(normalizeQuery(GET_USER)).digest("hex"),
+        persistedHash: crypto.createHash("sha256").update(GET_USER).digest("hex"),
+        variables: { id: "1" },
+      });
+    });
+
+    it("parses a JSON string body", () => {
+      const graphql = parseGraphqlRequest({ method: "POST", body: JSON.stringify(payload), headers: JSON_HEADERS });
+      expect(graphql.operationName).toBe("GetUser");
+      expect(graphql.variables).toEqual({ id: "1" });
+    });
+
+    it("parses a JSON Buffer body (live traffic)", () => {
+      const graphql = parseGraphqlRequest({ method: "POST", body: Buffer.from(JSON.stringify(payload)), headers: JSON_HEADERS });
+      expect(graphql).not.toBeNull();
+      expect(graphql.operationName).toBe("GetUser");
+      expect(graphql.operationType).toBe("query");
+      expect(graphql.variables).toEqual({ id: "1" });
+    });
+
+    it("parses a JSON Uint8Array body", () => {
+      const body = new TextEncoder().encode(JSON.stringify(payload));
+      expect(parseGraphqlRequest({ method: "POST", body, headers: JSON_HEADERS }).operationName).toBe("GetUser");
+    });
+
+    it("parses a Buffer body without content type when it is a JSON object", () => {
+      expect(parseGraphqlRequest({ method: "POST", body: Buffer.from(JSON.stringify(payload)) }).operationName).toBe("GetUser");
+    });
+
+    it("gives the same result for Buffer and parsed bodies", () => {
+      const fromObject = parseGraphqlRequest({ method: "POST", body: payload, headers: JSON_HEADERS });
+      const fromBuffer = parseGraphqlRequest({ method: "POST", body: Buffer.from(JSON.stringify(payload)), headers: JSON_HEADERS });
+      expect(fromBuffer).toEqual(fromObject);
+    });
+
+    it("parses application/graphql bodies as the query document", () => {
+      const graphql = parseGraphqlRequest({
+        method: "POST",
+        body: Buffer.from("mutation UpdateUser { updateUser(id: 1) { id } }"),
+        headers: { "content-type": "application/graphql" },
+      });
+      expect(graphql.operationName).toBe("UpdateUser");
+      expect(graphql.operationType).toBe("mutation");
+    });
+
+    it("parses GET query parameters", () => {
+      const graphql = parseGraphqlRequest({
+        method: "GET",
+        query: { query: GET_USER, variables: '{"id":"2"}' },
+      });
+      expect(graphql.operationName).toBe("GetUser");
+      expect(graphql.variables).toEqual({ id: "2" });
+    });
+
+    it("selects the requested operation of a document with several", () => {
+      const query = "query A { a } mutation B { b }";
+      expect(parseGraphqlRequest({ method: "POST", body: { query, operationName: "B" } }).operationType).toBe("mutation");
+    });
+
+    it("names shorthand and unnamed queries anonymous", () => {
+      const graphql = parseGraphqlRequest({ method: "POST", body: { query: "{ me { id } }" } });
+      expect(graphql.operationName).toBe("anonymous");
+      expect(graphql.operationType).toBe("query");
+    });
+
+    it("does not take a field named query for an operation", () => {
+      const graphql = parseGraphqlRequest({ method: "POST", body: { query: "query Outer { query { id } }" } });
+      expect(graphql.operationName).toBe("Outer");
+    });
+
+    it("supports hash-only persisted queries", () => {
+      const hash = crypto.createHash("sha256").update(GET_USER).digest("hex");
+      const body = Buffer.from(
+        JSON.stringify({ operationName: "GetUser", extensions: { persistedQuery: { version: 1, sha256Hash: hash } } }),
+      );
+      const graphql = parseGraphqlRequest({ method: "POST", body, headers: JSON_HEADERS });
+      expect(graphql.queryHash).toBeNull();
+      expect(graphql.persistedHash).toBe(hash);
+      expect(graphql.operationName).toBe("GetUser");
+    });
+
+    it("returns null for requests that are not GraphQL", () => {
+      expect(parseGraphqlRequest({ method: "POST", body: Buffer.from('{"name":"x"}'), headers: JSON_HEADERS })).toBeNull();
+      expect(parseGraphqlRequest({ method: "POST", body: Buffer.from("not json"), headers: JSON_HEADERS })).toBeNull();
+      expect(parseGraphqlRequest({ method: "POST", body: Buffer.from("a=1"), headers: { "content-type": "text/plain" } })).toBeNull();
+      expect(parseGraphqlRequest({ method: "GET", query: { id: "1" } })).toBeNull();
+      expect(parseGraphqlRequest({ method: "POST", body: null })).toBeNull();
+    });
+
+    it("does not split batched requests", () => {
+      const body = Buffer.from(JSON.stringify([payload, payload]));
+      expect(parseGraphqlRequest({ method: "POST", body, headers: JSON_HEADERS })).toBeNull();
+    });
+  });
+
+  describe("getOperationPath", () => {
+    it("appends the operation name to the endpoint path", () => {
+      expect(getOperationPath("/graphql?x=1", { operationName: "GetUser" })).toBe("/graphql#GetUser");
+    });
+  });
+
+  describe("getMatchableFields", () => {
+    it("exposes operationName and variables", () => {
+      expect(getMatchableFields({ operationName: "GetUser", variables: { id: 1 }, queryHash: "x" })).toEqual({
+        operationName: "GetUser",
+        variables: { id: 1 },
+      });
+    });
+  });
+
+  describe("getRecordedFields", () => {
+    it("parses a recorded request row", () => {
+      const row = {
+        method: "POST",
+        query_params: null,
+        request_headers: JSON.stringify(JSON_HEADERS),
+        request_body: JSON.stringify({ query: GET_USER, variables: { id: "3" } }),
+        request_body_encoding: null,
+      };
+      expect(getRecordedFields(row)).toEqual({ operationName: "GetUser", variables: { id: "3" } });
+    });
+  });
+
+  describe("withoutGraphqlParams", () => {
+    it("removes GraphQL parameters and keeps the others", () => {
+      expect(withoutGraphqlParams({ query: "{a}", variables: "{}", lang: "en" })).toEqual({ lang: "en" });
+      expect(withoutGraphqlParams('{"query":"{a}"}')).toBeNull();
+      expect(withoutGraphqlParams(null)).toBeNull();
+    });
+  });
+});
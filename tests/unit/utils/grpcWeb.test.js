@@ -0,0 +1,105 @@
+/**
+ * Unit tests for utils/grpcWeb
+ */
+
+const { getGrpcFormat, decodeFrames, encodeFrames, parseGrpcPath } = require("../../../src/utils/grpcWeb");
+
+/**
+ * Build one length-prefixed frame
+ * @param {number} flag - Flag byte
+ * @param {Buffer|string} payload - Payload
+ * @returns {Buffer} Frame
+ */
+function frame(flag, payload) {
+  const data = Buffer.from(payload);
+  const header = Buffer.alloc(5);
+  header[0] = flag;
+  header.writeUInt32BE(data.length, 1);
+  return Buffer.concat([header, data]);
+}
+
+const MESSAGE = Buffer.from([0x0a, 0x03, 0x61, 0x62, 0x63]);
+const TRAILERS = "grpc-status: 0\r\ngrpc-message: OK\r\n";
+
+describe("grpcWeb", () => {
+  describe("getGrpcFormat", () => {
+    it("recognizes gRPC content types", () => {
+      expect(getGrpcFormat("application/grpc")).toBe("grpc");
+      expect(getGrpcFormat("application/grpc+proto")).toBe("grpc");
+      expect(getGrpcFormat("application/grpc-web+proto; charset=utf-8")).toBe("grpc-web");
+      expect(getGrpcFormat("Application/GRPC-Web-Text")).toBe("grpc-web-text");
+    });
+
+    it("returns null for other content types", () => {
+      expect(getGrpcFormat("application/json")).toBeNull();
+      expect(getGrpcFormat("application/grpc+json")).toBeNull();
+      expect(getGrpcFormat(undefined)).toBeNull();
+    });
+  });
+
+  describe("decodeFrames", () => {
+    it("splits messages and parses the trailers frame", () => {
+      const body = Buffer.concat([frame(0, MESSAGE), frame(0, ""), frame(0x80, TRAILERS)]);
+      expect(decodeFrames(body, "grpc-web")).toEqual({
+        messages: [MESSAGE, Buffer.alloc(0)],
+        trailers: { "grpc-status": "0", "grpc-message": "OK" },
+      });
+    });
+
+    it("decodes grpc-web-text bodies, including one base64 chunk per frame", () => {
+      const text = frame(0, MESSAGE).toString("base64") + frame(0x80, TRAILERS).toString("base64");
+      const { messages, trailers } = decodeFrames(Buffer.from(text), "grpc-web-text");
+      expect(messages).toEqual([MESSAGE]);
+      expect(trailers["grpc-status"]).toBe("0");
+    });
+
+    it("returns no messages for an empty body", () => {
+      expect(decodeFrames(Buffer.alloc(0), "grpc")).toEqual({ messages: [], trailers: null });
+    });
+
+    it("rejects truncated and compressed frames", () => {
+      expect(() => decodeFrames(Buffer.from([0, 0, 0]), "grpc")).toThrow("Truncated gRPC frame header");
+      expect(() => decodeFrames(frame(0, MESSAGE).subarray(0, 7), "grpc")).toThrow("Truncated gRPC frame");
+      expect(() => decodeFrames(frame(0x01, MESSAGE), "grpc")).toThrow("Compressed gRPC messages are not supported");
+    });
+  });
+
+  describe("encodeFrames", () => {
+    it("round-trips messages and trailers", () => {
+      const trailers = { "grpc-status": "0", "grpc-message": "OK" };
+      for (const format of ["grpc-web", "grpc-web-text"]) {
+        expect(decodeFrames(encodeFrames([MESSAGE, MESSAGE], trailers, format), format)).toEqual({
+          messages: [MESSAGE, MESSAGE],
+          trailers,
+        });
+      }
+    });
+
+    it("writes the trailers frame like gRPC-Web servers", () => {
+      expect(encodeFrames([MESSAGE], { "grpc-status": "0", "grpc-message": "OK" }, "grpc-web")).toEqual(
+        Buffer.concat([frame(0, MESSAGE), frame(0x80, TRAILERS)]),
+      );
+    });
+
+    it("leaves trailers out of plain gRPC bodies", () => {
+      expect(encodeFrames([MESSAGE], { "grpc-status": "0" }, "grpc")).toEqual(frame(0, MESSAGE));
+    });
+
+    it("writes base64 text for grpc-web-text", () => {
+      expect(encodeFrames([MESSAGE], null, "grpc-web-text").toString()).toBe(frame(0, MESSAGE).toString("base64"));
+    });
+  });
+
+  describe("parseGrpcPath", () => {
+    it("parses service and method", () => {
+      expect(parseGrpcPath("/shop.v1.CartService/GetCart")).toEqual({ service: "shop.v1.CartService", method: "GetCart" });
+      expect(parseGrpcPath("/Greeter/SayHello?x=1")).toEqual({ service: "Greeter", method: "SayHello" });
+    });
+
+    it("returns null for other paths", () => {
+      expect(parseGrpcPath("/api/v1/users/42")).toBeNull();
+      expect(parseGrpcPath("/api")).toBeNull();
+      expect(parseGrpcPath(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for utils/harUtils
+ */
+
+const {
+  HAR_VERSION,
+  buildHar,
+  buildHarEntry,
+  parseHarEntry,
+  toHarHeaders,
+  fromHarHeaders,
+  parseJsonColumn,
+  getHeaderValue,
+} = require("../../../src/utils/harUtils");
+
+/**
+ * Joined api_requests/api_responses row as returned by the repositories
+ * @param {Object} overrides - Column overrides
+ * @returns {Object} Row
+ */
+function recordedRow(overrides = {}) {
+  return {
+    id: 11,
+    response_id: 21,
+    endpoint_type: "public",
+    host: "https://api.example.com",
+    endpoint_path: "/v1/users",
+    method: "POST",
+    query_params: JSON.stringify({ page: 2, q: "a b" }),
+    request_headers: JSON.stringify({ "content-type": "application/json", "user-agent": "MyApp" }),
+    request_body: JSON.stringify({ name: "Ann" }),
+    request_body_encoding: null,
+    response_status: 201,
+    response_headers: JSON.stringify({ "Content-Type": "application/json", "set-cookie": ["a=1", "b=2"] }),
+    response_body: JSON.stringify({ id: 1 }),
+    response_body_encoding: null,
+    latency_ms: 35,
+    created_at: "2026-01-02T03:04:05.000Z",
+    app_platform: "android",
+    ...overrides,
+  };
+}
+
+describe("harUtils", () => {
+  describe("headers", () => {
+    it("expands array values into one HAR pair per value", () => {
+      expect(toHarHeaders({ "set-cookie": ["a=1", "b=2"], "content-length": 5, empty: null })).toEqual([
+        { name: "set-cookie", value: "a=1" },
+        { name: "set-cookie", value: "b=2" },
+        { name: "content-length", value: "5" },
+      ]);
+    });
+
+    it("lower-cases names, drops pseudo headers and groups repeated headers", () => {
+      const headers = fromHarHeaders([
+        { name: ":authority", value: "api.example.com" },
+        { name: "Set-Cookie", value: "a=1" },
+        { name: "set-cookie", value: "b=2" },
+        { name: "X-Foo", value: "1" },
+        { name: "x-foo", value: "2" },
+        { name: "X-Empty" },
+      ]);
+      expect(headers).toEqual({ "set-cookie": ["a=1", "b=2"], "x-foo": "1, 2", "x-empty": "" });
+    });
+
+    it("reads header values case-insensitively", () => {
+      expect(getHeaderValue({ "Content-Type": "text/plain" }, "content-type")).toBe("text/plain");
+      expect(getHeaderValue({ "set-cookie": ["a=1", "b=2"] }, "Set-Cookie")).toBe("a=1, b=2");
+      expect(getHeaderValue(null, "x")).toBeUndefined();
+    });
+  });
+
+  describe("parseJsonColumn", () => {
+    it("parses JSON and falls back on invalid or empty values", () => {
+      expect(parseJsonColumn('{"a":1}')).toEqual({ a: 1 });
+      expect(parseJsonColumn("not json", {})).toEqual({});
+      expect(parseJsonColumn("", "fallback")).toBe("fallback");
+    });
+  });
+
+  describe("buildHarEntry", () => {
+    it("converts a recorded row", () => {
+      const entry = buildHarEntry(recordedRow());
+      expect(entry.startedDateTime).toBe("2026-01-02T03:04:05.000Z");
+      expect(entry.time).toBe(35);
+      expect(entry.request).toMatchObject({
+        method: "POST",
+        url: "https://api.example.com/v1/users?page=2&q=a+b",
+        queryString: [
+          { name: "page", value: "2" },
+          { name: "q", value: "a b" },
+        ],
+        postData: { mimeType: "application/json", text: '{"name":"Ann"}' },
+        bodySize: 14,
+      });
+      expect(entry.response).toMatchObject({
+        status: 201,
+        content: { size: 8, mimeType: "application/json", text: '{"id":1}' },
+        bodySize: 8,
+      });
+      expect(entry.response.headers).toContainEqual({ name: "set-cookie", value: "b=2" });
+      expect(entry._dproxy).toMatchObject({ requestId: 11, responseId: 21, endpointType: "public", appPlatform: "android" });
+    });
+
+    it("keeps the base64 encoding of binary bodies", () => {
+      const entry = buildHarEntry(recordedRow({ response_body: "AAEC/w==", response_body_encoding: "base64" }));
+      expect(entry.response.content).toMatchObject({ text: "AAEC/w==", encoding: "base64", size: 4 });
+    });
+  });
+
+  describe("buildHar", () => {
+    it("wraps entries in a HAR 1.2 log", () => {
+      const har = buildHar([recordedRow(), recordedRow({ id: 12 })]);
+      expect(har.log.version).toBe(HAR_VERSION);
+      expect(har.log.creator.name).toBe("DeepProxy");
+      expect(har.log.entries.map((entry) => entry._dproxy.requestId)).toEqual([11, 12]);
+    });
+  });
+
+  describe("parseHarEntry", () => {
+    it("round-trips an exported entry", () => {
+      const parsed = parseHarEntry(buildHarEntry(recordedRow()));
+      expect(parsed).toMatchObject({
+        method: "POST",
+        host: "https://api.example.com",
+        endpointPath: "/v1/users",
+        queryParams: { page: "2", q: "a b" },
+        headers: { "content-type": "application/json", "user-agent": "MyApp" },
+        body: { name: "Ann" },
+        response: { status: 201, body: { id: 1 } },
+        duration: 35,
+      });
+      expect(parsed.response.headers["set-cookie"]).toEqual(["a=1", "b=2"]);
+    });
+
+    it("decodes base64 bodies and drops wire encoding headers", () => {
+      const parsed = parseHarEntry({
+        time: 10.6,
+        request: { method: "get", url: "https://cdn.example.com/logo.png", headers: [] },
+        response: {
+          status: 200,
+          headers: [
+            { name: "Content-Encoding", value: "gzip" },
+            { name: "Content-Length", value: "99" },
+            { name: "Content-Type", value: "image/png" },
+          ],
+          content: { mimeType: "image/png", text: "AAEC/w==", encoding: "base64" },
+        },
+      });
+      expect(parsed.method).toBe("GET");
+      expect(parsed.queryParams).toBeNull();
+      expect(parsed.duration).toBe(11);
+      expect(parsed.response.headers).toEqual({ "content-type": "image/png" });
+      expect(parsed.response.body).toEqual(Buffer.from([0, 1, 2, 255]));
+    });
+
+    it("keeps invalid JSON bodies as text", () => {
+      const parsed = parseHarEntry({
+        request: { method: "POST", url: "http://x.test/", postData: { mimeType: "application/json", text: "{oops" } },
+        response: { status: 204 },
+      });
+      expect(parsed.body).toBe("{oops");
+      expect(parsed.response.body).toBeNull();
+    });
+
+    it("rejects entries that cannot be imported", () => {
+      expect(() => parseHarEntry({ request: {} })).toThrow("Entry is missing request or response");
+      expect(() => parseHarEntry({ request: { url: "not a url" }, response: { status: 200 } })).toThrow("Invalid request URL");
+      expect(() => parseHarEntry({ request: { url: "ws://x.test/" }, response: { status: 101 } })).toThrow("Unsupported URL protocol");
+      expect(() => parseHarEntry({ request: { url: "https://x.test/" }, response: { status: 0 } })).toThrow("Entry has no response status");
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for utils/httpUtils
+ */
+
+const {
+  getHeaderString,
+  fromDistinctHeaders,
+  compilePathPattern,
+  getPathParamNames,
+  extractPathParams,
+  matchesPath,
+} = require("../../../src/utils/httpUtils");
+
+describe("httpUtils", () => {
+  describe("fromDistinctHeaders", () => {
+    it("keeps repeated fields as arrays and single fields as strings", () => {
+      const headers = fromDistinctHeaders({ host: ["example.com"], "x-foo": ["1", "2"], cookie: ["a=1", "b=2"] });
+      expect(headers).toEqual({ host: "example.com", "x-foo": ["1", "2"], cookie: ["a=1", "b=2"] });
+    });
+
+    it("returns an empty object without headers", () => {
+      expect(fromDistinctHeaders(undefined)).toEqual({});
+    });
+  });
+
+  describe("getHeaderString", () => {
+    it("joins repeated cookies with a semicolon and other fields with a comma", () => {
+      const headers = { cookie: ["a=1", "b=2"], "x-foo": ["1", "2"] };
+      expect(getHeaderString(headers, "Cookie")).toBe("a=1; b=2");
+      expect(getHeaderString(headers, "x-foo")).toBe("1, 2");
+    });
+
+    it("returns single values unchanged", () => {
+      expect(getHeaderString({ "user-agent": "MyApp" }, "User-Agent")).toBe("MyApp");
+      expect(getHeaderString({}, "cookie")).toBeUndefined();
+    });
+  });
+
+  describe("compilePathPattern", () => {
+    it("matches :param segments and * wildcards", () => {
+      const regex = compilePathPattern("/api/users/:id/*");
+      expect(regex.test("/api/users/42/orders/7")).toBe(true);
+      expect(regex.test("/api/users/42")).toBe(false);
+      expect(regex.test("/api/users/4/2/x")).toBe(true);
+      expect(compilePathPattern("/api/users/:id").test("/api/users/4/2")).toBe(false);
+    });
+
+    it("matches literal text literally", () => {
+      const regex = compilePathPattern("/v1.0/*");
+      expect(regex.test("/v1.0/users")).toBe(true);
+      expect(regex.test("/v1x0/users")).toBe(false);
+      expect(compilePathPattern("/search(+)?/:q").test("/search(+)?/a")).toBe(true);
+      expect(compilePathPattern("/search(+)?/:q").test("/searc/a")).toBe(false);
+    });
+
+    it("anchors the whole path", () => {
+      expect(compilePathPattern("/api").test("/api/users")).toBe(false);
+      expect(compilePathPattern("/api").test("/v2/api")).toBe(false);
+    });
+
+    it("applies flags", () => {
+      expect(compilePathPattern("/API/:id").test("/api/1")).toBe(false);
+      expect(compilePathPattern("/API/:id", { flags: "i" }).test("/api/1")).toBe(true);
+    });
+
+    it("captures :param segments in order", () => {
+      expect("/users/1/posts/2".match(compilePathPattern("/users/:id/posts/:postId", { capture: true })).slice(1)).toEqual(["1", "2"]);
+    });
+
+    it("matches {param} segments of OpenAPI path templates, with : and * as literal text", () => {
+      const regex = compilePathPattern("/v1/{name}:publish/*", { capture: true, syntax: "openapi" });
+      expect("/v1/doc-7:publish/*".match(regex).slice(1)).toEqual(["doc-7"]);
+      expect(regex.test("/v1/doc-7:publish/x")).toBe(false);
+      expect(regex.test("/v1/a/b:publish/*")).toBe(false);
+    });
+  });
+
+  describe("extractPathParams", () => {
+    it("returns the named parameters", () => {
+      expect(extractPathParams("/v1.0/users/:id/posts/:postId", "/v1.0/users/123/posts/456")).toEqual({ id: "123", postId: "456" });
+    });
+
+    it("reads OpenAPI path template parameters", () => {
+      expect(extractPathParams("/users/{id}/orders/{id2}", "/users/42/orders/7", "openapi")).toEqual({ id: "42", id2: "7" });
+      expect(getPathParamNames("/users/{id}/orders/{id2}", "openapi")).toEqual(["id", "id2"]);
+      expect(getPathParamNames("/users/:id/*")).toEqual(["id"]);
+    });
+
+    it("returns null when the path does not match", () => {
+      expect(extractPathParams("/v1.0/users/:id", "/v1x0/users/123")).toBeNull();
+      expect(matchesPath("/v1.0/users/:id", "/v1x0/users/123")).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for utils/jsonDiff
+ */
+
+const { diffJson, diffJsonStructure } = require("../../../src/utils/jsonDiff");
+
+describe("jsonDiff", () => {
+  describe("diffJson", () => {
+    it("reports added, removed and changed members with their paths", () => {
+      const before = { monitor: { key: "user-agent" }, domains: [{ domain: "a" }], old: 1 };
+      const after = { monitor: { key: "x-app" }, domains: [{ domain: "a" }, { domain: "b" }] };
+      expect(diffJson(before, after)).toEqual([
+        { path: "monitor.key", type: "changed", before: "user-agent", after: "x-app" },
+        { path: "domains[1]", type: "added", after: { domain: "b" } },
+        { path: "old", type: "removed", before: 1 },
+      ]);
+    });
+
+    it("quotes member names that are not identifiers", () => {
+      expect(diffJson({ "content-type": "a", "a b": 1 }, { "content-type": "b", "a b": 2 })).toEqual([
+        { path: "content-type", type: "changed", before: "a", after: "b" },
+        { path: "['a b']", type: "changed", before: 1, after: 2 },
+      ]);
+    });
+
+    it("uses $ for the root value", () => {
+      expect(diffJson(null, { a: 1 })).toEqual([{ path: "$", type: "added", after: { a: 1 } }]);
+      expect(diffJson("a", "b")).toEqual([{ path: "$", type: "changed", before: "a", after: "b" }]);
+    });
+  });
+
+  describe("diffJsonStructure", () => {
+    it("returns no changes for equal documents", () => {
+      expect(diffJsonStructure({ a: [1, { b: true }] }, { a: [1, { b: true }] })).toEqual([]);
+    });
+
+    it("reports type changes separately from value changes", () => {
+      const changes = diffJsonStructure({ id: 1, name: "a", tags: [] }, { id: "1", name: "b", tags: {} });
+      expect(changes).toEqual([
+        { path: "id", type: "type_changed", before: 1, after: "1", beforeType: "number", afterType: "string" },
+        { path: "name", type: "changed", before: "a", after: "b" },
+        { path: "tags", type: "type_changed", before: [], after: {}, beforeType: "array", afterType: "object" },
+      ]);
+    });
+
+    it("reports added and removed members", () => {
+      expect(diffJsonStructure({ a: 1 }, { b: 2 })).toEqual([
+        { path: "a", type: "removed", before: 1 },
+        { path: "b", type: "added", after: 2 },
+      ]);
+    });
+
+    it("leaves out ignored paths on both sides", () => {
+      const before = { id: 1, updatedAt: "2026-01-01", items: [{ timestamp: 1, v: "a" }] };
+      const after = { id: 1, updatedAt: "2026-02-01", items: [{ timestamp: 2, v: "b" }] };
+      expect(diffJsonStructure(before, after, ["$..timestamp", "$.updatedAt"])).toEqual([
+        { path: "items[0].v", type: "changed", before: "a", after: "b" },
+      ]);
+    });
+
+    it("does not modify the compared documents", () => {
+      const before = { timestamp: 1, a: 1 };
+      diffJsonStructure(before, { timestamp: 2, a: 1 }, ["$..timestamp"]);
+      expect(before).toEqual({ timestamp: 1, a: 1 });
+    });
+  });
+});
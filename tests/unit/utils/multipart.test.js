@@ -0,0 +1,86 @@
+/**
+ * Unit tests for utils/multipart
+ */
+
+const { isMultipartBody, parseMultipart } = require("../../../src/utils/multipart");
+
+const BOUNDARY = "----WebKitFormBoundary7MA4YWxkTrZu0gW";
+
+/**
+ * Build a multipart/form-data body
+ * @param {Array<{headers: string, content: Buffer|string}>} parts - Parts
+ * @param {string} boundary - Boundary
+ * @returns {Buffer} Body
+ */
+function buildBody(parts, boundary = BOUNDARY) {
+  const chunks = [];
+  for (const { headers, content } of parts) {
+    chunks.push(Buffer.from(`--${boundary}\r\n${headers}\r\n\r\n`), Buffer.from(content), Buffer.from("\r\n"));
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+const FILE_CONTENT = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x00, 0xff]);
+
+const BODY = buildBody([
+  { headers: 'Content-Disposition: form-data; name="documentType"', content: "passport" },
+  { headers: 'Content-Disposition: form-data; name="file"; filename="scan.png"\r\nContent-Type: image/png', content: FILE_CONTENT },
+  { headers: 'Content-Disposition: form-data; name="tag"', content: "a" },
+  { headers: 'Content-Disposition: form-data; name="tag"', content: "b" },
+]);
+
+describe("multipart", () => {
+  describe("isMultipartBody", () => {
+    it("detects multipart bodies from their first line", () => {
+      expect(isMultipartBody(BODY)).toBe(true);
+      expect(isMultipartBody(BODY.toString("latin1"))).toBe(true);
+    });
+
+    it("rejects other bodies", () => {
+      expect(isMultipartBody('{"a":1}')).toBe(false);
+      expect(isMultipartBody("--not-a-boundary line\r\nno parts")).toBe(false);
+      expect(isMultipartBody(null)).toBe(false);
+      expect(isMultipartBody({ a: 1 })).toBe(false);
+    });
+  });
+
+  describe("parseMultipart", () => {
+    it("parses text fields, file parts and repeated fields", () => {
+      expect(parseMultipart(BODY)).toEqual({
+        documentType: "passport",
+        file: { filename: "scan.png", contentType: "image/png", size: FILE_CONTENT.length },
+        tag: ["a", "b"],
+      });
+    });
+
+    it("keeps CRLF inside text values", () => {
+      const body = buildBody([{ headers: 'Content-Disposition: form-data; name="note"', content: "line 1\r\nline 2" }]);
+      expect(parseMultipart(body)).toEqual({ note: "line 1\r\nline 2" });
+    });
+
+    it("decodes UTF-8 text values", () => {
+      const body = buildBody([{ headers: 'Content-Disposition: form-data; name="city"', content: "Montréal" }]);
+      expect(parseMultipart(body.toString("utf8")).city).toBe("Montréal");
+    });
+
+    it("accepts unquoted names and an explicit boundary", () => {
+      const body = buildBody([{ headers: "Content-Disposition: form-data; name=id", content: "42" }], "xyz");
+      expect(parseMultipart(body, "xyz")).toEqual({ id: "42" });
+    });
+
+    it("skips parts without a name", () => {
+      const body = buildBody([
+        { headers: "Content-Disposition: form-data", content: "x" },
+        { headers: 'Content-Disposition: form-data; name="a"', content: "1" },
+      ]);
+      expect(parseMultipart(body)).toEqual({ a: "1" });
+    });
+
+    it("returns null for bodies that are not multipart", () => {
+      expect(parseMultipart('{"a":1}')).toBeNull();
+      expect(parseMultipart(null)).toBeNull();
+      expect(parseMultipart(BODY, "other-boundary")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for utils/responseTemplate
+ */
+
+const { hasPlaceholders, buildTemplateContext, renderValue, renderHeaders } = require("../../../src/utils/responseTemplate");
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe("responseTemplate", () => {
+  const context = buildTemplateContext({
+    method: "POST",
+    path: "/api/orders",
+    query: { id: "42" },
+    headers: { "X-App-Version": "2.1.0", "X-Foo": ["1", "2"] },
+    body: Buffer.from(JSON.stringify({ account: { id: 7, tags: ["a"] } })),
+  });
+
+  describe("hasPlaceholders", () => {
+    it("finds placeholders in strings, objects and arrays", () => {
+      expect(hasPlaceholders("id: {{uuid}}")).toBe(true);
+      expect(hasPlaceholders({ a: [{ b: "{{now}}" }] })).toBe(true);
+      expect(hasPlaceholders({ a: "plain", b: 1 })).toBe(false);
+      expect(hasPlaceholders("{ not: a placeholder }")).toBe(false);
+      expect(hasPlaceholders(Buffer.from("{{uuid}}"))).toBe(false);
+    });
+  });
+
+  describe("request placeholders", () => {
+    it("renders method, path, query, headers and body fields", () => {
+      expect(renderValue("{{request.method}} {{request.path}}?id={{request.query.id}}", context)).toBe("POST /api/orders?id=42");
+      expect(renderValue("v{{ request.headers.x-app-version }}", context)).toBe("v2.1.0");
+      expect(renderValue("{{request.headers.x-foo}}", context)).toBe("1, 2");
+      expect(renderValue("account {{request.body.account.id}}", context)).toBe("account 7");
+    });
+
+    it("keeps the type of a value that is exactly one placeholder", () => {
+      expect(renderValue({ id: "{{request.body.account.id}}", tags: "{{request.body.account.tags}}" }, context)).toEqual({
+        id: 7,
+        tags: ["a"],
+      });
+    });
+
+    it("serializes objects inside text", () => {
+      expect(renderValue("tags={{request.body.account.tags}}", context)).toBe('tags=["a"]');
+    });
+
+    it("leaves unknown and missing placeholders unchanged", () => {
+      const template = "{{request.query.missing}} {{request.body.account.id.x}} {{unknown}} {{now|bogus}}";
+      expect(renderValue(template, context)).toBe(template);
+    });
+  });
+
+  describe("generated values", () => {
+    it("renders uuid and random.int", () => {
+      expect(renderValue("{{uuid}}", context)).toMatch(UUID_REGEX);
+      for (let i = 0; i < 20; i++) {
+        const value = renderValue("{{random.int 5 1}}", context);
+        expect(Number.isInteger(value) && value >= 1 && value <= 5).toBe(true);
+      }
+    });
+
+    it("renders now with offsets and formats", () => {
+      const before = Date.now();
+      const epoch = renderValue("{{now+1d|epoch}}", context);
+      expect(epoch).toBeGreaterThanOrEqual(Math.floor((before + 86400000) / 1000));
+      expect(epoch).toBeLessThanOrEqual(Math.ceil((Date.now() + 86400000) / 1000));
+
+      const iso = renderValue("{{now-30m}}", context);
+      expect(Math.abs(Date.parse(iso) - (Date.now() - 30 * 60000))).toBeLessThan(5000);
+      expect(renderValue("{{now|date}}", context)).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(typeof renderValue("{{now|epoch_ms}}", context)).toBe("number");
+    });
+  });
+
+  describe("renderValue", () => {
+    it("renders Buffer bodies and returns a Buffer", () => {
+      const rendered = renderValue(Buffer.from('{"path":"{{request.path}}"}'), context);
+      expect(Buffer.isBuffer(rendered)).toBe(true);
+      expect(rendered.toString()).toBe('{"path":"/api/orders"}');
+    });
+
+    it("does not modify the template", () => {
+      const template = { id: "{{request.query.id}}" };
+      renderValue(template, context);
+      expect(template).toEqual({ id: "{{request.query.id}}" });
+    });
+  });
+
+  describe("renderHeaders", () => {
+    it("renders header values as strings, including arrays", () => {
+      expect(renderHeaders({ "x-id": "{{request.query.id}}", "set-cookie": ["a={{request.body.account.id}}", "b=1"] }, context)).toEqual({
+        "x-id": "42",
+        "set-cookie": ["a=7", "b=1"],
+      });
+    });
+  });
+});
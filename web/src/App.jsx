@@ -23,6 +23,9 @@ import {
   Divider,
   Alert,
   Snackbar,
+  Chip,
+  Tooltip,
+  CircularProgress,
 } from "@mui/material";
 import {
   Menu as MenuIcon,
@@ -35,6 +38,19 @@ import {
   PlayArrow as PlayIcon,
   ManageAccounts as ManageIcon,
   Description as ResponseIcon,
+  ManageSearch as ExplainIcon,
+  Sensors as LiveIcon,
+  PanTool as BreakpointIcon,
+  Devices as ClientsIcon,
+  CollectionsBookmark as CollectionsIcon,
+  Difference as ChangesIcon,
+  Rule as ContractsIcon,
+  Api as MocksIcon,
+  DataObject as ProtosIcon,
+  Cable as WebSocketsIcon,
+  AdminPanelSettings as AccessIcon,
+  History as AuditIcon,
+  Logout as LogoutIcon,
 } from "@mui/icons-material";
 
 // Import Redux store
@@ -48,9 +64,23 @@ import SecureServices from "./pages/SecureServices";
 import Settings from "./pages/Settings";
 import EndpointManagement from "./pages/EndpointManagement";
 import ResponseManagement from "./pages/ResponseManagement";
+import MatchExplainer from "./pages/MatchExplainer";
+import Live from "./pages/Live";
+import Breakpoints from "./pages/Breakpoints";
+import Clients from "./pages/Clients";
+import Collections from "./pages/Collections";
+import Changes from "./pages/Changes";
+import Contracts from "./pages/Contracts";
+import Mocks from "./pages/Mocks";
+import Protos from "./pages/Protos";
+import WebSockets from "./pages/WebSockets";
+import Access from "./pages/Access";
+import AuditLog from "./pages/AuditLog";
+import Login from "./pages/Login";
 
 // Import API
-import { getMode, setMode } from "./services/api";
+import { getMode, setMode, AUTH_REQUIRED_EVENT } from "./services/api";
+import { getCurrentUser, logout } from "./services/authService";
 import { getEndpointConfig } from "./services/settingsService";
 import { setEndpointConfig, setEndpointConfigError } from "./store/slices/configSlice";
 
@@ -68,18 +98,51 @@ const theme = createTheme({
 
 const drawerWidth = 240;
 
+const ROLE_LEVELS = { viewer: 0, tester: 1, admin: 2 };
+const hasRole = (principal, role) => !!principal && ROLE_LEVELS[principal.role] >= ROLE_LEVELS[role];
+
 function AppContent() {
   const [mobileOpen, setMobileOpen] = useState(false);
   const [currentMode, setCurrentMode] = useState("passthrough");
   const [loading, setLoading] = useState(true);
   const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "info" });
+  const [principal, setPrincipal] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const navigate = useNavigate();
   const dispatch = useDispatch();
 
   useEffect(() => {
-    loadInitialData();
+    checkAuth();
+
+    // Any request rejected with 401 (expired token, revoked key) brings back the login page
+    const handleAuthRequired = () => setPrincipal(null);
+    window.addEventListener(AUTH_REQUIRED_EVENT, handleAuthRequired);
+    return () => window.removeEventListener(AUTH_REQUIRED_EVENT, handleAuthRequired);
   }, []);
 
+  const checkAuth = async () => {
+    try {
+      const current = await getCurrentUser();
+      setPrincipal(current);
+      setLoading(true);
+      await loadInitialData();
+    } catch (error) {
+      setPrincipal(null);
+    } finally {
+      setAuthChecked(true);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error("Failed to log out:", error);
+    }
+    setPrincipal(null);
+    navigate("/");
+  };
+
   const loadInitialData = async () => {
     try {
       // Load mode and endpoint config in parallel
@@ -132,12 +195,24 @@ function AppContent() {
 
   const menuItems = [
     { text: "Dashboard", icon: <DashboardIcon />, path: "/" },
+    { text: "Live", icon: <LiveIcon />, path: "/live" },
+    { text: "Breakpoints", icon: <BreakpointIcon />, path: "/breakpoints" },
+    { text: "Clients", icon: <ClientsIcon />, path: "/clients" },
+    { text: "Collections", icon: <CollectionsIcon />, path: "/collections" },
     { text: "Public Services", icon: <PublicIcon />, path: "/public-services" },
     { text: "Secure Services", icon: <LockIcon />, path: "/secure-services" },
     { text: "Endpoint Rules", icon: <ManageIcon />, path: "/endpoints" },
     { text: "Response Rules", icon: <ResponseIcon />, path: "/responses" },
+    { text: "Changes", icon: <ChangesIcon />, path: "/changes" },
+    { text: "Contracts", icon: <ContractsIcon />, path: "/contracts" },
+    { text: "Mocks", icon: <MocksIcon />, path: "/mocks" },
+    { text: "Protobuf", icon: <ProtosIcon />, path: "/protos" },
+    { text: "WebSockets", icon: <WebSocketsIcon />, path: "/websockets" },
+    { text: "Match Explainer", icon: <ExplainIcon />, path: "/match-explainer" },
     { text: "Settings", icon: <SettingsIcon />, path: "/settings" },
-  ];
+    { text: "Access", icon: <AccessIcon />, path: "/access", role: "admin" },
+    { text: "Audit Log", icon: <AuditIcon />, path: "/audit", role: "admin" },
+  ].filter((item) => !item.role || hasRole(principal, item.role));
 
   const drawer = (
     <div>
@@ -174,6 +249,21 @@ function AppContent() {
     </div>
   );
 
+  if (!authChecked || !principal) {
+    return (
+      <ThemeProvider theme={theme}>
+        <CssBaseline />
+        {authChecked ? (
+          <Login onLogin={checkAuth} />
+        ) : (
+          <Box sx={{ display: "flex", justifyContent: "center", alignItems: "center", minHeight: "100vh" }}>
+            <CircularProgress />
+          </Box>
+        )}
+      </ThemeProvider>
+    );
+  }
+
   return (
     <ThemeProvider theme={theme}>
       <Box sx={{ display: "flex" }}>
@@ -232,7 +322,7 @@ function AppContent() {
                 row
                 value={currentMode}
                 onChange={handleModeChange}
-                disabled={loading}
+                disabled={loading || !hasRole(principal, "tester")}
                 sx={{
                   "& .MuiFormControlLabel-root": {
                     m: 0,
@@ -305,6 +395,21 @@ function AppContent() {
                   }}
                 />
               </RadioGroup>
+              {principal.authEnabled && (
+                <>
+                  <Chip
+                    size="small"
+                    label={`${principal.name} (${principal.role})`}
+                    sx={{ color: "white", borderColor: "rgba(255,255,255,0.5)" }}
+                    variant="outlined"
+                  />
+                  <Tooltip title="Log out">
+                    <IconButton color="inherit" size="small" onClick={handleLogout}>
+                      <LogoutIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </>
+              )}
             </Box>
           </Toolbar>
         </AppBar>
@@ -345,12 +450,24 @@ function AppContent() {
           <Toolbar />
           <Routes>
             <Route path="/" element={<Dashboard mode={currentMode} />} />
+            <Route path="/live" element={<Live />} />
+            <Route path="/breakpoints" element={<Breakpoints />} />
+            <Route path="/clients" element={<Clients canEdit={hasRole(principal, "tester")} />} />
+            <Route path="/collections" element={<Collections canEdit={hasRole(principal, "tester")} />} />
+            <Route path="/changes" element={<Changes />} />
+            <Route path="/contracts" element={<Contracts canEdit={hasRole(principal, "tester")} />} />
+            <Route path="/mocks" element={<Mocks canEdit={hasRole(principal, "tester")} />} />
+            <Route path="/protos" element={<Protos canEdit={hasRole(principal, "tester")} />} />
+            <Route path="/websockets" element={<WebSockets canDelete={hasRole(principal, "admin")} />} />
             <Route path="/endpoints" element={<EndpointManagement />} />
             <Route path="/responses" element={<ResponseManagement />} />
+            <Route path="/match-explainer" element={<MatchExplainer />} />
             <Route path="/users" element={<UserRequests />} />
-            <Route path="/public-services" element={<PublicServices />} />
-            <Route path="/secure-services" element={<SecureServices />} />
+            <Route path="/public-services" element={<PublicServices canEdit={hasRole(principal, "tester")} />} />
+            <Route path="/secure-services" element={<SecureServices canEdit={hasRole(principal, "tester")} />} />
             <Route path="/settings" element={<Settings />} />
+            {hasRole(principal, "admin") && <Route path="/access" element={<Access />} />}
+            {hasRole(principal, "admin") && <Route path="/audit" element={<AuditLog />} />}
           </Routes>
         </Box>
 
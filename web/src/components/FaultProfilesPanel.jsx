@@ -0,0 +1,387 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  Typography,
+  Tooltip,
+  CircularProgress,
+} from "@mui/material";
+import { Add as AddIcon, Delete as DeleteIcon, Edit as EditIcon } from "@mui/icons-material";
+import { getFaultProfiles, createFaultProfile, updateFaultProfile, deleteFaultProfile } from "../services/faultService";
+
+const METHODS = ["*", "GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD"];
+
+const FAULT_TYPES = [
+  { value: "status", label: "Error status", help: "Return the status code without calling the backend" },
+  { value: "timeout", label: "Timeout", help: "Hold the connection open until the client gives up" },
+  { value: "reset", label: "Connection reset", help: "Reset the client connection" },
+  { value: "truncate", label: "Truncated body", help: "Send part of the body, then close the connection" },
+  { value: "throttle", label: "Throttle", help: "Send the body at limited bandwidth" },
+];
+
+const EMPTY_PROFILE = {
+  name: "",
+  description: "",
+  match_host: "",
+  regex: false,
+  endpoint_pattern: "",
+  http_method: "*",
+  fault_type: "status",
+  probability: 100,
+  status_code: 503,
+  response_body: "",
+  hang_ms: "",
+  truncate_percent: 50,
+  bandwidth_kbps: 16,
+  priority: 0,
+  enabled: true,
+};
+
+/**
+ * Short description of fault parameters for the profiles table
+ */
+const describeFault = (profile) => {
+  switch (profile.fault_type) {
+    case "status":
+      return `HTTP ${profile.status_code}`;
+    case "timeout":
+      return `hang ${profile.hang_ms ? `${profile.hang_ms} ms` : "5 min"}`;
+    case "truncate":
+      return `${profile.truncate_percent ?? 50}% of body`;
+    case "throttle":
+      return `${profile.bandwidth_kbps || 16} KB/s`;
+    default:
+      return profile.fault_type;
+  }
+};
+
+/**
+ * FaultProfilesPanel - manage fault injection profiles (Settings tab)
+ * Profiles apply in all modes; changes take effect immediately
+ */
+function FaultProfilesPanel({ onMessage }) {
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const notify = useCallback((message, severity = "success") => onMessage && onMessage(message, severity), [onMessage]);
+
+  const loadProfiles = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await getFaultProfiles();
+      setProfiles(data || []);
+    } catch (err) {
+      notify("Failed to load fault profiles: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [notify]);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const handleToggle = async (profile) => {
+    try {
+      await updateFaultProfile(profile.id, { enabled: !profile.enabled });
+      setProfiles((prev) => prev.map((p) => (p.id === profile.id ? { ...p, enabled: !profile.enabled } : p)));
+    } catch (err) {
+      notify("Failed to update profile: " + (err.response?.data?.error || err.message), "error");
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete fault profile "${profile.name}"?`)) return;
+    try {
+      await deleteFaultProfile(profile.id);
+      notify("Fault profile deleted");
+      loadProfiles();
+    } catch (err) {
+      notify("Failed to delete profile: " + (err.response?.data?.error || err.message), "error");
+    }
+  };
+
+  const handleEdit = (profile) => {
+    setError(null);
+    setEditing(
+      profile
+        ? {
+            ...EMPTY_PROFILE,
+            ...Object.fromEntries(Object.entries(profile).map(([key, value]) => [key, value === null ? "" : value])),
+          }
+        : { ...EMPTY_PROFILE },
+    );
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const { id, created_at, updated_at, ...payload } = editing;
+    try {
+      if (id) {
+        await updateFaultProfile(id, payload);
+      } else {
+        await createFaultProfile(payload);
+      }
+      notify("Fault profile saved");
+      setEditing(null);
+      loadProfiles();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateField = (field, value) => setEditing((prev) => ({ ...prev, [field]: value }));
+
+  const numberField = (field, label, props = {}) => (
+    <TextField
+      fullWidth
+      size="small"
+      type="number"
+      label={label}
+      value={editing[field]}
+      onChange={(e) => updateField(field, e.target.value)}
+      {...props}
+    />
+  );
+
+  return (
+    <Box sx={{ p: 2 }}>
+      <Alert severity="info" sx={{ mb: 2 }}>
+        Fault profiles inject failures for matching endpoints in Recording, Replay and Passthrough modes, so retry and offline
+        behavior can be tested without breaking backend environments. Only the first matching profile (lowest priority) is used.
+        Injected faults are recorded in statistics.
+      </Alert>
+
+      <Box sx={{ display: "flex", justifyContent: "flex-end", mb: 2 }}>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleEdit(null)}>
+          Add Profile
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : profiles.length === 0 ? (
+        <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+          No fault profiles configured
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Enabled</TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell>Endpoint</TableCell>
+                <TableCell>Fault</TableCell>
+                <TableCell>Probability</TableCell>
+                <TableCell>Priority</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {profiles.map((profile) => (
+                <TableRow key={profile.id} hover>
+                  <TableCell>
+                    <Switch size="small" checked={profile.enabled} onChange={() => handleToggle(profile)} />
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="bold">
+                      {profile.name}
+                    </Typography>
+                    {profile.description && (
+                      <Typography variant="caption" color="text.secondary">
+                        {profile.description}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontFamily: "monospace" }}>
+                      {profile.http_method} {profile.match_host ? `${profile.match_host} ` : ""}
+                      {profile.endpoint_pattern}
+                    </Typography>
+                    {profile.regex && <Chip size="small" label="regex" sx={{ mt: 0.5 }} />}
+                  </TableCell>
+                  <TableCell>
+                    <Chip size="small" color="warning" label={profile.fault_type} sx={{ mr: 1 }} />
+                    <Typography variant="caption">{describeFault(profile)}</Typography>
+                  </TableCell>
+                  <TableCell>{profile.probability}%</TableCell>
+                  <TableCell>{profile.priority}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => handleEdit(profile)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" color="error" onClick={() => handleDelete(profile)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing?.id ? "Edit Fault Profile" : "Add Fault Profile"}</DialogTitle>
+        {editing && (
+          <DialogContent>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12} sm={8}>
+                <TextField fullWidth size="small" label="Name" value={editing.name} onChange={(e) => updateField("name", e.target.value)} />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                {numberField("priority", "Priority")}
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Description"
+                  value={editing.description}
+                  onChange={(e) => updateField("description", e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12} sm={3}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Method</InputLabel>
+                  <Select label="Method" value={editing.http_method} onChange={(e) => updateField("http_method", e.target.value)}>
+                    {METHODS.map((m) => (
+                      <MenuItem key={m} value={m}>
+                        {m}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={9}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Endpoint Pattern"
+                  placeholder="/api/users/:id"
+                  value={editing.endpoint_pattern}
+                  onChange={(e) => updateField("endpoint_pattern", e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12} sm={8}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Host (regex, optional)"
+                  value={editing.match_host}
+                  onChange={(e) => updateField("match_host", e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <FormControlLabel
+                  control={<Switch checked={!!editing.regex} onChange={(e) => updateField("regex", e.target.checked)} />}
+                  label="Regex pattern"
+                />
+              </Grid>
+              <Grid item xs={12} sm={8}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Fault</InputLabel>
+                  <Select label="Fault" value={editing.fault_type} onChange={(e) => updateField("fault_type", e.target.value)}>
+                    {FAULT_TYPES.map((t) => (
+                      <MenuItem key={t.value} value={t.value}>
+                        {t.label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Typography variant="caption" color="text.secondary">
+                  {FAULT_TYPES.find((t) => t.value === editing.fault_type)?.help}
+                </Typography>
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                {numberField("probability", "Probability (%)", { inputProps: { min: 0, max: 100 } })}
+              </Grid>
+
+              {editing.fault_type === "status" && (
+                <>
+                  <Grid item xs={12} sm={4}>
+                    {numberField("status_code", "Status Code")}
+                  </Grid>
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      multiline
+                      minRows={3}
+                      label="Response Body (optional, JSON or text)"
+                      value={editing.response_body}
+                      onChange={(e) => updateField("response_body", e.target.value)}
+                    />
+                  </Grid>
+                </>
+              )}
+              {editing.fault_type === "timeout" && (
+                <Grid item xs={12} sm={6}>
+                  {numberField("hang_ms", "Close connection after (ms)", { placeholder: "300000" })}
+                </Grid>
+              )}
+              {editing.fault_type === "truncate" && (
+                <Grid item xs={12} sm={6}>
+                  {numberField("truncate_percent", "Body sent (%)", { inputProps: { min: 0, max: 100 } })}
+                </Grid>
+              )}
+              {editing.fault_type === "throttle" && (
+                <Grid item xs={12} sm={6}>
+                  {numberField("bandwidth_kbps", "Bandwidth (KB/s)")}
+                </Grid>
+              )}
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !editing?.name || !editing?.endpoint_pattern}>
+            {saving ? "Saving..." : "Save"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default FaultProfilesPanel;
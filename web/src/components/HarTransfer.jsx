@@ -0,0 +1,232 @@
+import React, { useState } from "react";
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Grid,
+  TextField,
+  CircularProgress,
+  Alert,
+} from "@mui/material";
+import { FileDownload as ExportIcon, FileUpload as ImportIcon } from "@mui/icons-material";
+import { importHar, getHarExportUrl } from "../services/api";
+
+/**
+ * HarTransfer component with Export HAR / Import HAR buttons
+ * Export opens a dialog to filter recordings (host, endpoint, user, platform, time window)
+ * Import reads a .har file and records its entries through the backend
+ *
+ * @param {Object} props
+ * @param {string} props.endpointType - "public" or "secure", limits the export to that endpoint type
+ * @param {Object} props.initialFilters - Initial export filters (e.g. current page filters)
+ * @param {Function} props.onImported - Called after a successful import
+ */
+function HarTransfer({ endpointType, initialFilters = {}, onImported }) {
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exportFilters, setExportFilters] = useState({});
+  const [importUserId, setImportUserId] = useState("");
+  const [pendingHar, setPendingHar] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleOpenExport = () => {
+    setExportFilters({
+      host: "",
+      endpoint: initialFilters.endpoint || "",
+      user_id: initialFilters.user_id || "",
+      platform: initialFilters.platform || "",
+      from: "",
+      to: "",
+    });
+    setExportOpen(true);
+  };
+
+  const handleExportFilterChange = (e) => {
+    const { name, value } = e.target;
+    setExportFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleExport = () => {
+    const a = document.createElement("a");
+    a.href = getHarExportUrl({ ...exportFilters, endpoint_type: endpointType });
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setExportOpen(false);
+  };
+
+  const handleImportFileSelect = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const har = JSON.parse(e.target.result);
+        if (!Array.isArray(har?.log?.entries)) {
+          setResult({ severity: "error", message: "Invalid HAR file: missing 'log.entries' array" });
+          return;
+        }
+        setImportUserId("");
+        setPendingHar({ name: file.name, har });
+      } catch (err) {
+        setResult({ severity: "error", message: "Failed to parse HAR file: " + err.message });
+      }
+    };
+    reader.readAsText(file);
+    // Reset file input
+    event.target.value = "";
+  };
+
+  const handleImport = async () => {
+    if (!pendingHar) return;
+
+    setImporting(true);
+    try {
+      const res = await importHar(pendingHar.har, importUserId || undefined);
+      const { total, imported, skipped } = res.data;
+      setResult({
+        severity: skipped > 0 ? "warning" : "success",
+        message: `Imported ${imported} of ${total} entries from ${pendingHar.name}` + (skipped > 0 ? ` (${skipped} skipped)` : ""),
+      });
+      setPendingHar(null);
+      if (onImported) onImported();
+    } catch (err) {
+      setResult({ severity: "error", message: "Failed to import HAR: " + (err.response?.data?.error || err.message) });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Box sx={{ display: "flex", gap: 1 }}>
+        <Button variant="outlined" size="small" startIcon={<ExportIcon />} onClick={handleOpenExport}>
+          Export HAR
+        </Button>
+        <Button
+          variant="outlined"
+          size="small"
+          component="label"
+          startIcon={importing ? <CircularProgress size={16} /> : <ImportIcon />}
+          disabled={importing}
+        >
+          Import HAR
+          <input type="file" accept=".har,.json" hidden onChange={handleImportFileSelect} />
+        </Button>
+      </Box>
+
+      {result && (
+        <Alert severity={result.severity} onClose={() => setResult(null)} sx={{ mt: 1 }}>
+          {result.message}
+        </Alert>
+      )}
+
+      {/* Export Dialog */}
+      <Dialog open={exportOpen} onClose={() => setExportOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Export Recordings as HAR</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} sm={6}>
+              <TextField fullWidth size="small" label="Host" name="host" value={exportFilters.host || ""} onChange={handleExportFilterChange} />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Endpoint"
+                name="endpoint"
+                value={exportFilters.endpoint || ""}
+                onChange={handleExportFilterChange}
+              />
+            </Grid>
+            {endpointType === "secure" && (
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="User ID"
+                  name="user_id"
+                  value={exportFilters.user_id || ""}
+                  onChange={handleExportFilterChange}
+                />
+              </Grid>
+            )}
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Platform"
+                name="platform"
+                value={exportFilters.platform || ""}
+                onChange={handleExportFilterChange}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                size="small"
+                type="datetime-local"
+                label="From"
+                name="from"
+                value={exportFilters.from || ""}
+                onChange={handleExportFilterChange}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                size="small"
+                type="datetime-local"
+                label="To"
+                name="to"
+                value={exportFilters.to || ""}
+                onChange={handleExportFilterChange}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setExportOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleExport}>
+            Export
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Import Dialog */}
+      <Dialog open={Boolean(pendingHar)} onClose={() => setPendingHar(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Import HAR</DialogTitle>
+        <DialogContent>
+          {pendingHar && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              {pendingHar.har.log.entries.length} entries in {pendingHar.name}. Entries are recorded as public or secure based on the
+              endpoint type configuration.
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            size="small"
+            label="User ID for secure endpoints (optional)"
+            helperText="When empty, the user is resolved from the recorded session or auth headers"
+            value={importUserId}
+            onChange={(e) => setImportUserId(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingHar(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleImport} disabled={importing}>
+            {importing ? "Importing..." : "Import"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default HarTransfer;
@@ -0,0 +1,72 @@
+import React from "react";
+import { Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Typography } from "@mui/material";
+
+const TYPE_COLORS = {
+  added: { bg: "#E8F5E9", text: "#388E3C" },
+  removed: { bg: "#FFEBEE", text: "#C62828" },
+  changed: { bg: "#FFF3E0", text: "#E65100" },
+  type_changed: { bg: "#F3E5F5", text: "#6A1B9A" },
+};
+
+const formatValue = (value) => {
+  if (value === undefined) return "";
+  if (typeof value === "string") return value;
+  return JSON.stringify(value, null, 2);
+};
+
+/**
+ * JsonDiffTable Component
+ *
+ * Displays a JSON diff as returned by the API: [{ path, type: added | removed | changed | type_changed, before, after }]
+ *
+ * @param {Array} changes - Diff entries
+ * @param {string} maxHeight - Max height of the table (optional, default: "400px")
+ */
+function JsonDiffTable({ changes, maxHeight = "400px" }) {
+  if (!changes || changes.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+        No differences
+      </Typography>
+    );
+  }
+
+  const valueCell = { fontFamily: "monospace", fontSize: "0.8rem", whiteSpace: "pre-wrap", wordBreak: "break-all", verticalAlign: "top" };
+
+  return (
+    <TableContainer sx={{ maxHeight }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            <TableCell>Path</TableCell>
+            <TableCell>Before</TableCell>
+            <TableCell>After</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {changes.map((change) => {
+            const colors = TYPE_COLORS[change.type] || TYPE_COLORS.changed;
+            return (
+              <TableRow key={`${change.type}:${change.path}`}>
+                <TableCell sx={{ ...valueCell, color: colors.text, backgroundColor: colors.bg, fontWeight: 500 }}>
+                  {change.path}
+                  {change.type === "type_changed" && (
+                    <Typography variant="caption" display="block">
+                      {change.beforeType} → {change.afterType}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell sx={{ ...valueCell, textDecoration: change.type === "removed" ? "line-through" : "none" }}>
+                  {formatValue(change.before)}
+                </TableCell>
+                <TableCell sx={valueCell}>{formatValue(change.after)}</TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default JsonDiffTable;
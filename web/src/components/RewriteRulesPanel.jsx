@@ -0,0 +1,498 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  Typography,
+  Tooltip,
+  CircularProgress,
+} from "@mui/material";
+import { Add as AddIcon, Delete as DeleteIcon, Edit as EditIcon } from "@mui/icons-material";
+import { getRewriteRules, createRewriteRule, updateRewriteRule, deleteRewriteRule } from "../services/rewriteService";
+
+const METHODS = ["*", "GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD"];
+const CONDITION_SOURCES = ["header", "query", "body", "status", "response_header", "response_body"];
+const CONDITION_OPERATORS = ["equals", "not_equals", "contains", "regex", "exists", "not_exists"];
+const ACTION_TYPES = ["set_header", "remove_header", "json_set", "json_delete", "regex_replace", "set_status", "rewrite_url"];
+
+const EMPTY_RULE = {
+  name: "",
+  description: "",
+  match_host: "",
+  match_method: "*",
+  match_endpoint: "",
+  conditions: [],
+  actions: [],
+  priority: 0,
+  enabled: true,
+};
+
+/**
+ * Format action value for the editor (json_set values are JSON)
+ */
+const toEditorAction = (action) => (action.type === "json_set" ? { ...action, value: JSON.stringify(action.value) } : action);
+
+/**
+ * Convert editor action back to API format (json_set value parsed as JSON, falls back to string)
+ */
+const fromEditorAction = (action) => {
+  if (action.type !== "json_set") return action;
+  try {
+    return { ...action, value: JSON.parse(action.value) };
+  } catch (e) {
+    return action;
+  }
+};
+
+/**
+ * Short description of an action for the rules table
+ */
+const describeAction = (action) => {
+  switch (action.type) {
+    case "set_header":
+      return `${action.target || "response"}: set ${action.name}`;
+    case "remove_header":
+      return `${action.target || "response"}: remove ${action.name}`;
+    case "json_set":
+      return `${action.target || "response"}: ${action.path} = ${JSON.stringify(action.value)}`;
+    case "json_delete":
+      return `${action.target || "response"}: delete ${action.path}`;
+    case "regex_replace":
+      return `${action.target || "response"}: s/${action.pattern}/${action.replacement || ""}/`;
+    case "set_status":
+      return `status ${action.status}`;
+    case "rewrite_url":
+      return `url s/${action.pattern}/${action.replacement || ""}/`;
+    default:
+      return action.type;
+  }
+};
+
+/**
+ * RewriteRulesPanel - manage request/response rewrite rules (Settings tab)
+ * Rules apply in all modes; changes take effect immediately
+ */
+function RewriteRulesPanel({ onMessage }) {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const notify = useCallback((message, severity = "success") => onMessage && onMessage(message, severity), [onMessage]);
+
+  const loadRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await getRewriteRules();
+      setRules(data || []);
+    } catch (err) {
+      notify("Failed to load rewrite rules: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [notify]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const handleToggle = async (rule) => {
+    try {
+      await updateRewriteRule(rule.id, { enabled: !rule.enabled });
+      setRules((prev) => prev.map((r) => (r.id === rule.id ? { ...r, enabled: !rule.enabled } : r)));
+    } catch (err) {
+      notify("Failed to update rule: " + (err.response?.data?.error || err.message), "error");
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete rewrite rule "${rule.name}"?`)) return;
+    try {
+      await deleteRewriteRule(rule.id);
+      notify("Rewrite rule deleted");
+      loadRules();
+    } catch (err) {
+      notify("Failed to delete rule: " + (err.response?.data?.error || err.message), "error");
+    }
+  };
+
+  const handleEdit = (rule) => {
+    setError(null);
+    setEditing(
+      rule
+        ? {
+            ...rule,
+            match_host: rule.match_host || "",
+            match_endpoint: rule.match_endpoint || "",
+            description: rule.description || "",
+            actions: rule.actions.map(toEditorAction),
+          }
+        : { ...EMPTY_RULE },
+    );
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const payload = {
+      name: editing.name,
+      description: editing.description,
+      match_host: editing.match_host,
+      match_method: editing.match_method,
+      match_endpoint: editing.match_endpoint,
+      conditions: editing.conditions,
+      actions: editing.actions.map(fromEditorAction),
+      priority: parseInt(editing.priority, 10) || 0,
+      enabled: editing.enabled,
+    };
+    try {
+      if (editing.id) {
+        await updateRewriteRule(editing.id, payload);
+      } else {
+        await createRewriteRule(payload);
+      }
+      notify("Rewrite rule saved");
+      setEditing(null);
+      loadRules();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateField = (field, value) => setEditing((prev) => ({ ...prev, [field]: value }));
+
+  const updateListItem = (list, index, field, value) =>
+    setEditing((prev) => ({ ...prev, [list]: prev[list].map((item, i) => (i === index ? { ...item, [field]: value } : item)) }));
+
+  const addListItem = (list, item) => setEditing((prev) => ({ ...prev, [list]: [...prev[list], item] }));
+
+  const removeListItem = (list, index) => setEditing((prev) => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+
+  const renderActionFields = (action, index) => {
+    const field = (name, label, props = {}) => (
+      <TextField
+        size="small"
+        label={label}
+        value={action[name] ?? ""}
+        onChange={(e) => updateListItem("actions", index, name, e.target.value)}
+        sx={{ flex: 1 }}
+        {...props}
+      />
+    );
+
+    switch (action.type) {
+      case "set_header":
+        return (
+          <>
+            {field("name", "Header")}
+            {field("value", "Value")}
+          </>
+        );
+      case "remove_header":
+        return field("name", "Header");
+      case "json_set":
+        return (
+          <>
+            {field("path", "JSONPath", { placeholder: "$.data.flags.newHome" })}
+            {field("value", "Value (JSON)", { placeholder: "true" })}
+          </>
+        );
+      case "json_delete":
+        return field("path", "JSONPath", { placeholder: "$.data.ads" });
+      case "regex_replace":
+      case "rewrite_url":
+        return (
+          <>
+            {field("pattern", "Pattern (regex)")}
+            {field("replacement", "Replacement")}
+            {field("flags", "Flags", { sx: { width: 80 } })}
+          </>
+        );
+      case "set_status":
+        return field("status", "Status", { type: "number", sx: { width: 120 } });
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <Box sx={{ p: 2 }}>
+      <Alert severity="info" sx={{ mb: 2 }}>
+        Rewrite rules modify matching requests before they are forwarded or matched, and responses before they are returned to the
+        client. They apply in Recording, Replay and Passthrough modes. Rules run by priority (lowest first).
+      </Alert>
+
+      <Box sx={{ display: "flex", justifyContent: "flex-end", mb: 2 }}>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleEdit(null)}>
+          Add Rule
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : rules.length === 0 ? (
+        <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+          No rewrite rules configured
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Enabled</TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell>Match</TableCell>
+                <TableCell>Actions</TableCell>
+                <TableCell>Priority</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rules.map((rule) => (
+                <TableRow key={rule.id} hover>
+                  <TableCell>
+                    <Switch size="small" checked={rule.enabled} onChange={() => handleToggle(rule)} />
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="bold">
+                      {rule.name}
+                    </Typography>
+                    {rule.description && (
+                      <Typography variant="caption" color="text.secondary">
+                        {rule.description}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontFamily: "monospace" }}>
+                      {rule.match_method} {rule.match_host || "*"} {rule.match_endpoint || ""}
+                    </Typography>
+                    {rule.conditions.length > 0 && (
+                      <Typography variant="caption" color="text.secondary">
+                        {rule.conditions.length} condition(s)
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5 }}>
+                      {rule.actions.map((action, i) => (
+                        <Chip key={i} size="small" label={describeAction(action)} />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell>{rule.priority}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => handleEdit(rule)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" color="error" onClick={() => handleDelete(rule)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{editing?.id ? "Edit Rewrite Rule" : "Add Rewrite Rule"}</DialogTitle>
+        {editing && (
+          <DialogContent>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12} sm={8}>
+                <TextField fullWidth size="small" label="Name" value={editing.name} onChange={(e) => updateField("name", e.target.value)} />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Priority"
+                  value={editing.priority}
+                  onChange={(e) => updateField("priority", e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Description"
+                  value={editing.description}
+                  onChange={(e) => updateField("description", e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12} sm={3}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Method</InputLabel>
+                  <Select label="Method" value={editing.match_method} onChange={(e) => updateField("match_method", e.target.value)}>
+                    {METHODS.map((m) => (
+                      <MenuItem key={m} value={m}>
+                        {m}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Host (regex)"
+                  placeholder="api\.example\.com"
+                  value={editing.match_host}
+                  onChange={(e) => updateField("match_host", e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12} sm={5}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Endpoint (regex)"
+                  placeholder="^/api/appConfig"
+                  value={editing.match_endpoint}
+                  onChange={(e) => updateField("match_endpoint", e.target.value)}
+                />
+              </Grid>
+            </Grid>
+
+            <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>
+              Conditions
+            </Typography>
+            {editing.conditions.map((condition, index) => (
+              <Box key={index} sx={{ display: "flex", gap: 1, mb: 1, alignItems: "center" }}>
+                <FormControl size="small" sx={{ width: 170 }}>
+                  <InputLabel>Source</InputLabel>
+                  <Select label="Source" value={condition.source} onChange={(e) => updateListItem("conditions", index, "source", e.target.value)}>
+                    {CONDITION_SOURCES.map((s) => (
+                      <MenuItem key={s} value={s}>
+                        {s}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <TextField
+                  size="small"
+                  label={condition.source?.endsWith("body") ? "JSONPath" : "Key"}
+                  value={condition.key || ""}
+                  disabled={condition.source === "status"}
+                  onChange={(e) => updateListItem("conditions", index, "key", e.target.value)}
+                  sx={{ flex: 1 }}
+                />
+                <FormControl size="small" sx={{ width: 140 }}>
+                  <InputLabel>Operator</InputLabel>
+                  <Select
+                    label="Operator"
+                    value={condition.operator || "equals"}
+                    onChange={(e) => updateListItem("conditions", index, "operator", e.target.value)}
+                  >
+                    {CONDITION_OPERATORS.map((o) => (
+                      <MenuItem key={o} value={o}>
+                        {o}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <TextField
+                  size="small"
+                  label="Value"
+                  value={condition.value ?? ""}
+                  disabled={condition.operator === "exists" || condition.operator === "not_exists"}
+                  onChange={(e) => updateListItem("conditions", index, "value", e.target.value)}
+                  sx={{ flex: 1 }}
+                />
+                <IconButton size="small" color="error" onClick={() => removeListItem("conditions", index)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+            <Button size="small" startIcon={<AddIcon />} onClick={() => addListItem("conditions", { source: "header", key: "", operator: "equals", value: "" })}>
+              Add Condition
+            </Button>
+
+            <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>
+              Actions
+            </Typography>
+            {editing.actions.map((action, index) => (
+              <Box key={index} sx={{ display: "flex", gap: 1, mb: 1, alignItems: "center" }}>
+                <FormControl size="small" sx={{ width: 160 }}>
+                  <InputLabel>Type</InputLabel>
+                  <Select label="Type" value={action.type} onChange={(e) => updateListItem("actions", index, "type", e.target.value)}>
+                    {ACTION_TYPES.map((t) => (
+                      <MenuItem key={t} value={t}>
+                        {t}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                {action.type !== "set_status" && action.type !== "rewrite_url" && (
+                  <FormControl size="small" sx={{ width: 120 }}>
+                    <InputLabel>Target</InputLabel>
+                    <Select
+                      label="Target"
+                      value={action.target || "response"}
+                      onChange={(e) => updateListItem("actions", index, "target", e.target.value)}
+                    >
+                      <MenuItem value="request">request</MenuItem>
+                      <MenuItem value="response">response</MenuItem>
+                    </Select>
+                  </FormControl>
+                )}
+                {renderActionFields(action, index)}
+                <IconButton size="small" color="error" onClick={() => removeListItem("actions", index)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+            <Button size="small" startIcon={<AddIcon />} onClick={() => addListItem("actions", { type: "set_header", target: "response", name: "", value: "" })}>
+              Add Action
+            </Button>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !editing?.name}>
+            {saving ? "Saving..." : "Save"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default RewriteRulesPanel;
@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Alert, Box, Button, Chip, Dialog, DialogActions, DialogContent, DialogTitle, Link, Typography } from "@mui/material";
+import JsonDisplay from "./JsonDisplay";
+import JsonEditor from "./common/JsonEditor";
+import { decodeProtoBody, updateProtoResponse } from "../services/protoService";
+
+// Content types decoded with the uploaded .proto files (see the Protobuf page)
+const PROTOBUF_CONTENT_TYPE = /^application\/(x-protobuf|protobuf|x-google-protobuf|vnd\.google\.protobuf|grpc(-web(-text)?)?(\+proto)?)$/;
+
+/**
+ * Parse a JSON column (headers or body), keeping non-JSON strings as-is
+ */
+const parseJSON = (value) => {
+  try {
+    return typeof value === "string" ? JSON.parse(value) : value;
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Get the Content-Type of stored headers (case-insensitive)
+ */
+const getContentType = (headers) => {
+  const parsed = parseJSON(headers) || {};
+  const key = Object.keys(parsed).find((name) => name.toLowerCase() === "content-type");
+  const value = key ? parsed[key] : "";
+  return String(Array.isArray(value) ? value[0] : value || "");
+};
+
+/**
+ * StoredBody - Displays a recorded request/response body
+ * JSON and text bodies use JsonDisplay; binary bodies (stored as base64) show their size,
+ * a preview for images and a download link. Protobuf and gRPC-Web bodies of a known request are decoded
+ * with the uploaded .proto files, and decoded responses can be edited (re-encoded into the recording).
+ *
+ * @param {Object} props
+ * @param {string} props.body - Stored body column
+ * @param {string|null} props.encoding - Stored body encoding ("base64" for binary bodies)
+ * @param {string|Object} props.headers - Headers of the body (for its content type)
+ * @param {string} props.maxHeight - Max height of the JSON display
+ * @param {Object} props.request - { method, path } of the recorded request (enables protobuf decoding)
+ * @param {string} props.side - "request" or "response"
+ * @param {number} props.responseId - Stored response ID (enables editing of decoded responses)
+ * @param {boolean} props.canEdit - Whether the current user may edit the response
+ * @param {Function} props.onEdited - Called after a decoded response was re-encoded
+ */
+function StoredBody({ body, encoding, headers, maxHeight = "300px", request, side = "response", responseId, canEdit = false, onEdited }) {
+  const contentType = getContentType(headers).split(";")[0].trim().toLowerCase() || "application/octet-stream";
+  const protobuf = encoding === "base64" && !!request && PROTOBUF_CONTENT_TYPE.test(contentType);
+  const [decoded, setDecoded] = useState(null);
+  const [decodeError, setDecodeError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+
+  const decode = useCallback(async () => {
+    try {
+      const response = await decodeProtoBody({ body, encoding, headers: parseJSON(headers), method: request.method, path: request.path, side });
+      setDecoded(response);
+      setDecodeError(null);
+    } catch (err) {
+      setDecoded(null);
+      setDecodeError(err.response?.data?.error || err.message);
+    }
+  }, [body, encoding, headers, request?.method, request?.path, side]);
+
+  useEffect(() => {
+    if (protobuf) decode();
+  }, [protobuf, decode]);
+
+  const handleSave = async () => {
+    try {
+      await updateProtoResponse(responseId, typeof editing === "string" ? JSON.parse(editing) : editing);
+      setEditing(null);
+      setSaveError(null);
+      if (onEdited) onEdited();
+    } catch (err) {
+      setSaveError(err.response?.data?.error || err.message);
+    }
+  };
+
+  if (encoding !== "base64") {
+    return <JsonDisplay data={parseJSON(body)} maxHeight={maxHeight} />;
+  }
+
+  const size = Math.floor((body.length * 3) / 4) - (body.endsWith("==") ? 2 : body.endsWith("=") ? 1 : 0);
+
+  if (decoded) {
+    const { type, format, source, ...message } = decoded;
+    return (
+      <Box>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+          <Chip size="small" color="primary" label={type} />
+          <Typography variant="caption" color="text.secondary">
+            {format || "protobuf"}, {size.toLocaleString()} bytes, type from {source}
+          </Typography>
+          {side === "response" && responseId && canEdit && (
+            <Button size="small" onClick={() => setEditing(message)}>
+              Edit
+            </Button>
+          )}
+        </Box>
+        <JsonDisplay data={format ? message : message.message} maxHeight={maxHeight} />
+        <Dialog open={editing !== null} onClose={() => setEditing(null)} maxWidth="md" fullWidth>
+          <DialogTitle>Edit {type}</DialogTitle>
+          <DialogContent>
+            {saveError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {saveError}
+              </Alert>
+            )}
+            {editing !== null && <JsonEditor value={editing} onChange={setEditing} height="400px" />}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setEditing(null)}>Cancel</Button>
+            <Button variant="contained" onClick={handleSave}>
+              Save
+            </Button>
+          </DialogActions>
+        </Dialog>
+      </Box>
+    );
+  }
+
+  const dataUrl = `data:${contentType};base64,${body}`;
+
+  return (
+    <Box sx={{ p: 1, backgroundColor: "#fff", borderRadius: 1 }}>
+      {protobuf && decodeError && (
+        <Alert severity="info" sx={{ mb: 1 }}>
+          Not decoded: {decodeError}
+        </Alert>
+      )}
+      <Typography variant="body2" color="text.secondary">
+        Binary body: {size.toLocaleString()} bytes ({contentType}){" "}
+        <Link href={dataUrl} download="body">
+          Download
+        </Link>
+      </Typography>
+      {contentType.startsWith("image/") && (
+        <Box component="img" src={dataUrl} alt="Body preview" sx={{ mt: 1, maxWidth: "100%", maxHeight }} />
+      )}
+    </Box>
+  );
+}
+
+export default StoredBody;
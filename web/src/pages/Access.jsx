@@ -0,0 +1,466 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  Typography,
+  Tooltip,
+  Snackbar,
+} from "@mui/material";
+import { Add as AddIcon, Delete as DeleteIcon, Edit as EditIcon } from "@mui/icons-material";
+import CopyButton from "../components/CopyButton";
+import {
+  getConsoleUsers,
+  createConsoleUser,
+  updateConsoleUser,
+  deleteConsoleUser,
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  deleteApiKey,
+} from "../services/authService";
+import { formatDate } from "../utils/formatting";
+
+const ROLES = [
+  { value: "viewer", label: "Viewer", help: "Read only" },
+  { value: "tester", label: "Tester", help: "Switch modes, manage rules, import HAR, download the CA certificate" },
+  { value: "admin", label: "Admin", help: "Everything, including settings, deletions, users and the audit log" },
+];
+
+const ROLE_COLORS = { viewer: "default", tester: "info", admin: "secondary" };
+
+const EMPTY_USER = { username: "", display_name: "", password: "", role: "viewer", enabled: true };
+const EMPTY_KEY = { name: "", role: "viewer", expires_at: "" };
+
+const RoleSelect = ({ value, onChange }) => (
+  <FormControl fullWidth size="small">
+    <InputLabel>Role</InputLabel>
+    <Select label="Role" value={value} onChange={(e) => onChange(e.target.value)}>
+      {ROLES.map((role) => (
+        <MenuItem key={role.value} value={role.value}>
+          {role.label} - {role.help}
+        </MenuItem>
+      ))}
+    </Select>
+  </FormControl>
+);
+
+/**
+ * Access - console users and API keys (admin only)
+ */
+function Access() {
+  const [users, setUsers] = useState([]);
+  const [apiKeys, setApiKeys] = useState([]);
+  const [editingUser, setEditingUser] = useState(null);
+  const [editingKey, setEditingKey] = useState(null);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [dialogError, setDialogError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const notify = (message, severity = "success") => setSnackbar({ open: true, message, severity });
+  const errorMessage = (err) => err.response?.data?.error || err.message;
+
+  const loadData = useCallback(async () => {
+    try {
+      const [userData, keyData] = await Promise.all([getConsoleUsers(), getApiKeys()]);
+      setUsers(userData || []);
+      setApiKeys(keyData || []);
+    } catch (err) {
+      notify("Failed to load access settings: " + errorMessage(err), "error");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Users
+
+  const handleSaveUser = async () => {
+    setSaving(true);
+    setDialogError(null);
+    const { id, username, display_name, password, role, enabled } = editingUser;
+    try {
+      if (id) {
+        await updateConsoleUser(id, { display_name, role, enabled, ...(password ? { password } : {}) });
+      } else {
+        await createConsoleUser({ username, display_name, password, role, enabled });
+      }
+      notify("User saved");
+      setEditingUser(null);
+      loadData();
+    } catch (err) {
+      setDialogError(errorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleUser = async (user) => {
+    try {
+      await updateConsoleUser(user.id, { enabled: !user.enabled });
+      loadData();
+    } catch (err) {
+      notify(errorMessage(err), "error");
+    }
+  };
+
+  const handleDeleteUser = async (user) => {
+    if (!window.confirm(`Delete user "${user.username}"?`)) return;
+    try {
+      await deleteConsoleUser(user.id);
+      notify("User deleted");
+      loadData();
+    } catch (err) {
+      notify(errorMessage(err), "error");
+    }
+  };
+
+  // API keys
+
+  const handleSaveKey = async () => {
+    setSaving(true);
+    setDialogError(null);
+    const { id, name, role, expires_at } = editingKey;
+    try {
+      if (id) {
+        await updateApiKey(id, { name, role, expires_at: expires_at || null });
+      } else {
+        const created = await createApiKey({ name, role, expires_at: expires_at || undefined });
+        setCreatedKey(created);
+      }
+      setEditingKey(null);
+      loadData();
+    } catch (err) {
+      setDialogError(errorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleKey = async (apiKey) => {
+    try {
+      await updateApiKey(apiKey.id, { enabled: !apiKey.enabled });
+      loadData();
+    } catch (err) {
+      notify(errorMessage(err), "error");
+    }
+  };
+
+  const handleRevokeKey = async (apiKey) => {
+    if (!window.confirm(`Revoke API key "${apiKey.name}"? Scripts using it will stop working.`)) return;
+    try {
+      await deleteApiKey(apiKey.id);
+      notify("API key revoked");
+      loadData();
+    } catch (err) {
+      notify(errorMessage(err), "error");
+    }
+  };
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Access
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Console users log in to the Web UI; API keys are for scripts and CI ("Authorization: Bearer &lt;key&gt;"). Viewers can only
+        read, testers can switch modes and manage rules, admins can change settings, delete data and manage access.
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+          <Typography variant="h6">Users</Typography>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => {
+              setDialogError(null);
+              setEditingUser({ ...EMPTY_USER });
+            }}
+          >
+            Add User
+          </Button>
+        </Box>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Enabled</TableCell>
+                <TableCell>Username</TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Last Login</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {users.map((user) => (
+                <TableRow key={user.id} hover>
+                  <TableCell>
+                    <Switch size="small" checked={user.enabled} onChange={() => handleToggleUser(user)} />
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: "bold" }}>{user.username}</TableCell>
+                  <TableCell>{user.display_name || "-"}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={user.role} color={ROLE_COLORS[user.role]} />
+                  </TableCell>
+                  <TableCell>{user.last_login_at ? formatDate(user.last_login_at, true) : "Never"}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <IconButton
+                        size="small"
+                        onClick={() => {
+                          setDialogError(null);
+                          setEditingUser({ ...user, display_name: user.display_name || "", password: "" });
+                        }}
+                      >
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" color="error" onClick={() => handleDeleteUser(user)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+          <Typography variant="h6">API Keys</Typography>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => {
+              setDialogError(null);
+              setEditingKey({ ...EMPTY_KEY });
+            }}
+          >
+            Create API Key
+          </Button>
+        </Box>
+        {apiKeys.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+            No API keys
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Key</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Created By</TableCell>
+                  <TableCell>Expires</TableCell>
+                  <TableCell>Last Used</TableCell>
+                  <TableCell align="right" />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {apiKeys.map((apiKey) => (
+                  <TableRow key={apiKey.id} hover>
+                    <TableCell>
+                      <Switch size="small" checked={apiKey.enabled} onChange={() => handleToggleKey(apiKey)} />
+                    </TableCell>
+                    <TableCell sx={{ fontWeight: "bold" }}>{apiKey.name}</TableCell>
+                    <TableCell sx={{ fontFamily: "monospace" }}>{apiKey.key_prefix}…</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={apiKey.role} color={ROLE_COLORS[apiKey.role]} />
+                    </TableCell>
+                    <TableCell>{apiKey.created_by_username || "master key"}</TableCell>
+                    <TableCell>{apiKey.expires_at ? formatDate(apiKey.expires_at, true) : "Never"}</TableCell>
+                    <TableCell>{apiKey.last_used_at ? formatDate(apiKey.last_used_at, true) : "Never"}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Edit">
+                        <IconButton
+                          size="small"
+                          onClick={() => {
+                            setDialogError(null);
+                            setEditingKey({ ...apiKey, expires_at: apiKey.expires_at ? apiKey.expires_at.substring(0, 10) : "" });
+                          }}
+                        >
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Revoke">
+                        <IconButton size="small" color="error" onClick={() => handleRevokeKey(apiKey)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* User dialog */}
+      <Dialog open={!!editingUser} onClose={() => setEditingUser(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingUser?.id ? `Edit ${editingUser.username}` : "Add User"}</DialogTitle>
+        {editingUser && (
+          <DialogContent>
+            {dialogError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {dialogError}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              {!editingUser.id && (
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Username"
+                    value={editingUser.username}
+                    onChange={(e) => setEditingUser({ ...editingUser, username: e.target.value })}
+                  />
+                </Grid>
+              )}
+              <Grid item xs={12} sm={editingUser.id ? 12 : 6}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Display Name"
+                  value={editingUser.display_name}
+                  onChange={(e) => setEditingUser({ ...editingUser, display_name: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="password"
+                  autoComplete="new-password"
+                  label={editingUser.id ? "New Password (leave empty to keep)" : "Password"}
+                  helperText="At least 8 characters"
+                  value={editingUser.password}
+                  onChange={(e) => setEditingUser({ ...editingUser, password: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <RoleSelect value={editingUser.role} onChange={(role) => setEditingUser({ ...editingUser, role })} />
+              </Grid>
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditingUser(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveUser} disabled={saving}>
+            {saving ? "Saving..." : "Save"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* API key dialog */}
+      <Dialog open={!!editingKey} onClose={() => setEditingKey(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingKey?.id ? "Edit API Key" : "Create API Key"}</DialogTitle>
+        {editingKey && (
+          <DialogContent>
+            {dialogError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {dialogError}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Name"
+                  placeholder="e.g. CI pipeline"
+                  value={editingKey.name}
+                  onChange={(e) => setEditingKey({ ...editingKey, name: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <RoleSelect value={editingKey.role} onChange={(role) => setEditingKey({ ...editingKey, role })} />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="date"
+                  label="Expires (optional)"
+                  InputLabelProps={{ shrink: true }}
+                  value={editingKey.expires_at}
+                  onChange={(e) => setEditingKey({ ...editingKey, expires_at: e.target.value })}
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditingKey(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveKey} disabled={saving || !editingKey?.name}>
+            {saving ? "Saving..." : editingKey?.id ? "Save" : "Create"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* New key, shown once */}
+      <Dialog open={!!createdKey} onClose={() => setCreatedKey(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>API Key Created</DialogTitle>
+        {createdKey && (
+          <DialogContent>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Copy the key now. It is not stored and cannot be shown again.
+            </Alert>
+            <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+              <Typography sx={{ fontFamily: "monospace", wordBreak: "break-all" }}>{createdKey.key}</Typography>
+              <CopyButton content={createdKey.key} label="Copy key" />
+            </Box>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button variant="contained" onClick={() => setCreatedKey(null)}>
+            Done
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Access;
@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  Typography,
+  Chip,
+  Alert,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Switch,
+  FormControlLabel,
+  Tabs,
+  Tab,
+} from "@mui/material";
+import { Refresh as RefreshIcon, Undo as UndoIcon } from "@mui/icons-material";
+import JsonDisplay from "../components/JsonDisplay";
+import JsonDiffTable from "../components/JsonDiffTable";
+import MethodTag from "../components/MethodTag";
+import { getAuditLog, revertAuditEntry } from "../services/authService";
+import { formatDate } from "../utils/formatting";
+
+const statusColor = (status) => {
+  if (!status) return "default";
+  if (status >= 500) return "error";
+  if (status >= 400) return "warning";
+  return "success";
+};
+
+// Mirrors ConfigHistory.getRevertError on the server
+const canRevert = (entry) =>
+  Array.isArray(entry.changes) &&
+  (!entry.status_code || entry.status_code < 400) &&
+  (entry.before_state !== null || !["mode", "settings"].includes(entry.resource_type));
+
+const resourceLabel = (entry) => (entry.resource_id ? `${entry.resource_type} #${entry.resource_id}` : entry.resource_type);
+
+/**
+ * AuditLog - who did what through the management API (admin only)
+ * Config changes show a before/after diff and can be reverted
+ */
+function AuditLog() {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [filters, setFilters] = useState({ actor: "", action: "", changes_only: false });
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [detailTab, setDetailTab] = useState("changes");
+  const [reverting, setReverting] = useState(false);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      const response = await getAuditLog({
+        ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+        limit: rowsPerPage,
+        offset: page * rowsPerPage,
+      });
+      setEntries(response.data || []);
+      setTotal(response.total || 0);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  }, [filters, page, rowsPerPage]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateFilter = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+    setPage(0);
+  };
+
+  const openEntry = (entry) => {
+    setSelected(entry);
+    setDetailTab(Array.isArray(entry.changes) ? "changes" : "request");
+  };
+
+  const handleRevert = async (entry) => {
+    if (!window.confirm(`Revert ${resourceLabel(entry)} to its state before this change?`)) return;
+    setReverting(true);
+    try {
+      await revertAuditEntry(entry.id);
+      setSuccess(`Reverted ${resourceLabel(entry)} to its state before entry #${entry.id}`);
+      setSelected(null);
+      loadEntries();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setReverting(false);
+    }
+  };
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Audit Log
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Every change made through the management API, logins and denied attempts. Changes to mode, settings, matching
+        rules, templates and responses keep before/after snapshots and can be reverted.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: "flex", gap: 2, mb: 2, alignItems: "center" }}>
+          <TextField size="small" label="Actor" value={filters.actor} onChange={(e) => updateFilter("actor", e.target.value)} />
+          <TextField
+            size="small"
+            label="Action"
+            placeholder="e.g. mode, faults.delete"
+            value={filters.action}
+            onChange={(e) => updateFilter("action", e.target.value)}
+          />
+          <FormControlLabel
+            control={<Switch checked={filters.changes_only} onChange={(e) => updateFilter("changes_only", e.target.checked)} />}
+            label="Config changes only"
+          />
+          <Box sx={{ flex: 1 }} />
+          <Tooltip title="Refresh">
+            <IconButton onClick={loadEntries}>
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Time</TableCell>
+                <TableCell>Actor</TableCell>
+                <TableCell>Action</TableCell>
+                <TableCell>Request</TableCell>
+                <TableCell>Changes</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>IP</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.map((entry) => (
+                <TableRow key={entry.id} hover sx={{ cursor: "pointer" }} onClick={() => openEntry(entry)}>
+                  <TableCell sx={{ whiteSpace: "nowrap" }}>{formatDate(entry.created_at, true)}</TableCell>
+                  <TableCell>
+                    {entry.actor_name || "-"}{" "}
+                    <Typography component="span" variant="caption" color="text.secondary">
+                      ({entry.actor_type}
+                      {entry.actor_role ? `, ${entry.actor_role}` : ""})
+                    </Typography>
+                  </TableCell>
+                  <TableCell sx={{ fontFamily: "monospace" }}>{entry.action}</TableCell>
+                  <TableCell sx={{ fontFamily: "monospace", fontSize: "0.8rem" }}>
+                    {entry.method && <MethodTag method={entry.method} />} {entry.path}
+                  </TableCell>
+                  <TableCell>
+                    {Array.isArray(entry.changes) && (
+                      <Chip size="small" variant="outlined" label={`${resourceLabel(entry)}: ${entry.changes.length}`} />
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip size="small" label={entry.status_code ?? "-"} color={statusColor(entry.status_code)} />
+                  </TableCell>
+                  <TableCell>{entry.ip || "-"}</TableCell>
+                </TableRow>
+              ))}
+              {entries.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={{ color: "text.secondary", p: 3 }}>
+                    No audit entries
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(e, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[25, 50, 100, 250]}
+        />
+      </Paper>
+
+      <Dialog open={!!selected} onClose={() => setSelected(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {selected?.action}{" "}
+          <Typography component="span" variant="body2" color="text.secondary">
+            by {selected?.actor_name || selected?.actor_type} at {selected && formatDate(selected.created_at, true)}
+          </Typography>
+        </DialogTitle>
+        <DialogContent>
+          <Tabs value={detailTab} onChange={(e, value) => setDetailTab(value)} sx={{ mb: 2 }}>
+            {Array.isArray(selected?.changes) && <Tab value="changes" label={`Changes (${selected.changes.length})`} />}
+            {Array.isArray(selected?.changes) && <Tab value="before" label="Before" />}
+            {Array.isArray(selected?.changes) && <Tab value="after" label="After" />}
+            <Tab value="request" label="Request" />
+          </Tabs>
+          {selected && detailTab === "changes" && <JsonDiffTable changes={selected.changes} />}
+          {selected && detailTab === "before" && <JsonDisplay data={selected.before_state} maxHeight="400px" />}
+          {selected && detailTab === "after" && <JsonDisplay data={selected.after_state} maxHeight="400px" />}
+          {selected && detailTab === "request" && <JsonDisplay data={selected.details ?? {}} />}
+        </DialogContent>
+        <DialogActions>
+          {selected && canRevert(selected) && (
+            <Button color="warning" startIcon={<UndoIcon />} disabled={reverting} onClick={() => handleRevert(selected)}>
+              Revert to before this change
+            </Button>
+          )}
+          <Button onClick={() => setSelected(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default AuditLog;
@@ -0,0 +1,549 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  Typography,
+  Tooltip,
+  CircularProgress,
+  Snackbar,
+} from "@mui/material";
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Send as ReleaseIcon,
+  Block as AbortIcon,
+} from "@mui/icons-material";
+import {
+  getBreakpointRules,
+  createBreakpointRule,
+  updateBreakpointRule,
+  deleteBreakpointRule,
+  getHeldItems,
+  releaseHeldItem,
+  abortHeldItem,
+  releaseAllHeldItems,
+} from "../services/breakpointService";
+import MethodTag from "../components/MethodTag";
+
+const METHODS = ["*", "GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD"];
+
+const DIRECTIONS = [
+  { value: "request", label: "Request", help: "Hold the request before it is forwarded (or matched in replay)" },
+  { value: "response", label: "Response", help: "Hold the response before it is returned to the app" },
+  { value: "both", label: "Both", help: "Hold the request and then the response" },
+];
+
+const EMPTY_RULE = {
+  name: "",
+  match_host: "",
+  http_method: "*",
+  endpoint_pattern: "",
+  direction: "request",
+  timeout_ms: 60000,
+  enabled: true,
+};
+
+// Held queue refresh interval
+const POLL_INTERVAL_MS = 1000;
+
+const secondsLeft = (expiresAt) => Math.max(0, Math.round((new Date(expiresAt).getTime() - Date.now()) / 1000));
+
+/**
+ * Breakpoints - hold requests/responses in flight, edit and release or abort them
+ */
+function Breakpoints() {
+  const [rules, setRules] = useState([]);
+  const [held, setHeld] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingRule, setEditingRule] = useState(null);
+  const [ruleError, setRuleError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [editingItem, setEditingItem] = useState(null);
+  const [itemError, setItemError] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const notify = (message, severity = "success") => setSnackbar({ open: true, message, severity });
+
+  const loadRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await getBreakpointRules();
+      setRules(data || []);
+    } catch (err) {
+      notify("Failed to load breakpoint rules: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadHeld = useCallback(async () => {
+    try {
+      const data = await getHeldItems();
+      setHeld(data || []);
+    } catch (err) {
+      console.error("Failed to load held items:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  useEffect(() => {
+    loadHeld();
+    const timer = setInterval(loadHeld, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadHeld]);
+
+  // Rules
+
+  const handleToggleRule = async (rule) => {
+    try {
+      await updateBreakpointRule(rule.id, { enabled: !rule.enabled });
+      setRules((prev) => prev.map((r) => (r.id === rule.id ? { ...r, enabled: !rule.enabled } : r)));
+    } catch (err) {
+      notify("Failed to update rule: " + (err.response?.data?.error || err.message), "error");
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete breakpoint "${rule.name}"?`)) return;
+    try {
+      await deleteBreakpointRule(rule.id);
+      notify("Breakpoint deleted");
+      loadRules();
+    } catch (err) {
+      notify("Failed to delete rule: " + (err.response?.data?.error || err.message), "error");
+    }
+  };
+
+  const handleEditRule = (rule) => {
+    setRuleError(null);
+    setEditingRule(
+      rule
+        ? { ...EMPTY_RULE, ...Object.fromEntries(Object.entries(rule).map(([key, value]) => [key, value === null ? "" : value])) }
+        : { ...EMPTY_RULE },
+    );
+  };
+
+  const handleSaveRule = async () => {
+    setSaving(true);
+    setRuleError(null);
+    const { id, created_at, updated_at, ...payload } = editingRule;
+    try {
+      if (id) {
+        await updateBreakpointRule(id, payload);
+      } else {
+        await createBreakpointRule(payload);
+      }
+      notify("Breakpoint saved");
+      setEditingRule(null);
+      loadRules();
+    } catch (err) {
+      setRuleError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateRuleField = (field, value) => setEditingRule((prev) => ({ ...prev, [field]: value }));
+
+  // Held items
+
+  const handleOpenItem = (item) => {
+    setItemError(null);
+    setEditingItem({
+      ...item,
+      headersText: JSON.stringify(item.headers || {}, null, 2),
+      bodyText: item.body ?? "",
+      statusText: item.status ?? "",
+    });
+  };
+
+  const handleRelease = async (item, withEdits = false) => {
+    let edits = {};
+    if (withEdits) {
+      try {
+        edits.headers = JSON.parse(item.headersText || "{}");
+      } catch (e) {
+        setItemError("Headers must be a JSON object");
+        return;
+      }
+      // Only an edited body is sent back, so untouched bodies are released byte for byte
+      if (item.bodyText !== (item.body ?? "")) {
+        edits.body = item.bodyText;
+        if (item.bodyEncoding) edits.bodyEncoding = item.bodyEncoding;
+      }
+      if (item.direction === "response" && item.statusText !== "") {
+        edits.status = Number(item.statusText);
+      }
+    }
+
+    try {
+      await releaseHeldItem(item.id, edits);
+      notify(withEdits ? "Released with edits" : "Released");
+      setEditingItem(null);
+      loadHeld();
+    } catch (err) {
+      setItemError(err.response?.data?.error || err.message);
+      if (!withEdits) notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  const handleAbort = async (item) => {
+    try {
+      await abortHeldItem(item.id);
+      notify("Aborted");
+      setEditingItem(null);
+      loadHeld();
+    } catch (err) {
+      setItemError(err.response?.data?.error || err.message);
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  const handleReleaseAll = async () => {
+    try {
+      const result = await releaseAllHeldItems();
+      notify(result.message);
+      loadHeld();
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Breakpoints
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Matching requests and responses are held here until you release (optionally edited) or abort them. Held items are released
+        unchanged when their timeout expires; aborted items reset the app's connection.
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 1 }}>
+          <Typography variant="h6">
+            Held <Chip size="small" label={held.length} color={held.length > 0 ? "warning" : "default"} />
+          </Typography>
+          <Button variant="outlined" startIcon={<ReleaseIcon />} onClick={handleReleaseAll} disabled={held.length === 0}>
+            Release All
+          </Button>
+        </Box>
+        {held.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+            Nothing is held
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Direction</TableCell>
+                  <TableCell>Method</TableCell>
+                  <TableCell>URL</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Breakpoint</TableCell>
+                  <TableCell>Auto-release</TableCell>
+                  <TableCell align="right" />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {held.map((item) => (
+                  <TableRow key={item.id} hover>
+                    <TableCell>
+                      <Chip size="small" label={item.direction} color={item.direction === "request" ? "info" : "secondary"} />
+                    </TableCell>
+                    <TableCell>
+                      <MethodTag method={item.method} />
+                    </TableCell>
+                    <TableCell sx={{ fontFamily: "monospace", fontSize: "0.8rem", maxWidth: 480, wordBreak: "break-all" }}>{item.url}</TableCell>
+                    <TableCell>{item.status ?? "-"}</TableCell>
+                    <TableCell>{item.ruleName}</TableCell>
+                    <TableCell>{secondsLeft(item.expiresAt)}s</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                      <Tooltip title="Edit">
+                        <IconButton size="small" onClick={() => handleOpenItem(item)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Release">
+                        <IconButton size="small" color="primary" onClick={() => handleRelease(item)}>
+                          <ReleaseIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Abort">
+                        <IconButton size="small" color="error" onClick={() => handleAbort(item)}>
+                          <AbortIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+          <Typography variant="h6">Rules</Typography>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleEditRule(null)}>
+            Add Breakpoint
+          </Button>
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : rules.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+            No breakpoints configured
+          </Typography>
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Match</TableCell>
+                  <TableCell>Direction</TableCell>
+                  <TableCell>Timeout</TableCell>
+                  <TableCell align="right" />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rules.map((rule) => (
+                  <TableRow key={rule.id} hover>
+                    <TableCell>
+                      <Switch size="small" checked={rule.enabled} onChange={() => handleToggleRule(rule)} />
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight="bold">
+                        {rule.name}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" sx={{ fontFamily: "monospace" }}>
+                        {rule.http_method} {rule.match_host ? `${rule.match_host} ` : ""}
+                        {rule.endpoint_pattern || "(any path)"}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip size="small" label={rule.direction} />
+                    </TableCell>
+                    <TableCell>{Math.round(rule.timeout_ms / 1000)}s</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Edit">
+                        <IconButton size="small" onClick={() => handleEditRule(rule)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton size="small" color="error" onClick={() => handleDeleteRule(rule)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Rule dialog */}
+      <Dialog open={!!editingRule} onClose={() => setEditingRule(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingRule?.id ? "Edit Breakpoint" : "Add Breakpoint"}</DialogTitle>
+        {editingRule && (
+          <DialogContent>
+            {ruleError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {ruleError}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" label="Name" value={editingRule.name} onChange={(e) => updateRuleField("name", e.target.value)} />
+              </Grid>
+              <Grid item xs={12} sm={3}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Method</InputLabel>
+                  <Select label="Method" value={editingRule.http_method} onChange={(e) => updateRuleField("http_method", e.target.value)}>
+                    {METHODS.map((m) => (
+                      <MenuItem key={m} value={m}>
+                        {m}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={9}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Endpoint (regex, optional)"
+                  placeholder="^/api/cart"
+                  value={editingRule.endpoint_pattern}
+                  onChange={(e) => updateRuleField("endpoint_pattern", e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Host (regex, optional)"
+                  value={editingRule.match_host}
+                  onChange={(e) => updateRuleField("match_host", e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12} sm={7}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Direction</InputLabel>
+                  <Select label="Direction" value={editingRule.direction} onChange={(e) => updateRuleField("direction", e.target.value)}>
+                    {DIRECTIONS.map((d) => (
+                      <MenuItem key={d.value} value={d.value}>
+                        {d.label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Typography variant="caption" color="text.secondary">
+                  {DIRECTIONS.find((d) => d.value === editingRule.direction)?.help}
+                </Typography>
+              </Grid>
+              <Grid item xs={12} sm={5}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Auto-release after (ms)"
+                  value={editingRule.timeout_ms}
+                  onChange={(e) => updateRuleField("timeout_ms", e.target.value)}
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditingRule(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveRule} disabled={saving || !editingRule?.name}>
+            {saving ? "Saving..." : "Save"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Held item editor */}
+      <Dialog open={!!editingItem} onClose={() => setEditingItem(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {editingItem && (
+            <Box display="flex" alignItems="center" gap={1}>
+              Held {editingItem.direction} <MethodTag method={editingItem.method} />
+              <Typography variant="body2" sx={{ fontFamily: "monospace", wordBreak: "break-all" }}>
+                {editingItem.url}
+              </Typography>
+            </Box>
+          )}
+        </DialogTitle>
+        {editingItem && (
+          <DialogContent>
+            {itemError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {itemError}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              {editingItem.direction === "response" && (
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    type="number"
+                    label="Status"
+                    value={editingItem.statusText}
+                    onChange={(e) => setEditingItem({ ...editingItem, statusText: e.target.value })}
+                  />
+                </Grid>
+              )}
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={6}
+                  label="Headers (JSON)"
+                  value={editingItem.headersText}
+                  onChange={(e) => setEditingItem({ ...editingItem, headersText: e.target.value })}
+                  InputProps={{ sx: { fontFamily: "monospace", fontSize: "0.8rem" } }}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={8}
+                  label={editingItem.bodyEncoding === "base64" ? "Body (binary, base64)" : "Body"}
+                  value={editingItem.bodyText}
+                  onChange={(e) => setEditingItem({ ...editingItem, bodyText: e.target.value })}
+                  InputProps={{ sx: { fontFamily: "monospace", fontSize: "0.8rem" } }}
+                />
+              </Grid>
+            </Grid>
+            <Typography variant="caption" color="text.secondary">
+              Released unchanged in {secondsLeft(editingItem.expiresAt)}s if no action is taken
+            </Typography>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button color="error" startIcon={<AbortIcon />} onClick={() => handleAbort(editingItem)}>
+            Abort
+          </Button>
+          <Box sx={{ flex: 1 }} />
+          <Button onClick={() => handleRelease(editingItem)}>Release Unchanged</Button>
+          <Button variant="contained" startIcon={<ReleaseIcon />} onClick={() => handleRelease(editingItem, true)}>
+            Release with Edits
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Breakpoints;
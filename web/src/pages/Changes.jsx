@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  Collapse,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  Typography,
+  CircularProgress,
+  Snackbar,
+} from "@mui/material";
+import { Refresh as RefreshIcon, KeyboardArrowDown as ExpandIcon, KeyboardArrowUp as CollapseIcon } from "@mui/icons-material";
+import { getChangedEndpoints, getResponseChanges } from "../services/responseService";
+import { getCollections } from "../services/collectionService";
+import JsonDiffTable from "../components/JsonDiffTable";
+import JsonDisplay from "../components/JsonDisplay";
+import MethodTag from "../components/MethodTag";
+import { formatDate } from "../utils/formatting";
+
+const SUMMARY_CHIPS = [
+  { type: "removed", label: "removed", color: "error" },
+  { type: "type_changed", label: "type changed", color: "secondary" },
+  { type: "added", label: "added", color: "success" },
+  { type: "changed", label: "value changed", color: "warning" },
+];
+
+const endpointKey = (endpoint) => `${endpoint.host}|${endpoint.method}|${endpoint.endpoint_path}`;
+
+// Parse a stored body for display (text bodies are shown as is)
+const parseBody = (body) => {
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    return body;
+  }
+};
+
+const ChangeSummary = ({ summary }) => (
+  <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap" }}>
+    {SUMMARY_CHIPS.filter((chip) => summary[chip.type] > 0).map((chip) => (
+      <Chip key={chip.type} size="small" variant="outlined" color={chip.color} label={`${summary[chip.type]} ${chip.label}`} />
+    ))}
+  </Box>
+);
+
+const ChangeRow = ({ change }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <>
+      <TableRow hover>
+        <TableCell padding="checkbox">
+          <IconButton size="small" onClick={() => setOpen(!open)}>
+            {open ? <CollapseIcon fontSize="small" /> : <ExpandIcon fontSize="small" />}
+          </IconButton>
+        </TableCell>
+        <TableCell sx={{ whiteSpace: "nowrap" }}>{formatDate(change.created_at, true)}</TableCell>
+        <TableCell>{change.response_status}</TableCell>
+        <TableCell>{[change.user_id, change.app_platform, change.app_version].filter(Boolean).join(" / ") || "-"}</TableCell>
+        <TableCell>
+          <ChangeSummary summary={change.summary} />
+        </TableCell>
+        <TableCell sx={{ fontFamily: "monospace" }}>#{change.api_response_id}</TableCell>
+      </TableRow>
+      <TableRow>
+        <TableCell colSpan={6} sx={{ p: 0, borderBottom: open ? undefined : "none" }}>
+          <Collapse in={open} unmountOnExit>
+            <Box sx={{ p: 2 }}>
+              <JsonDiffTable changes={change.changes} />
+              <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>
+                Previous body
+              </Typography>
+              <JsonDisplay data={parseBody(change.response_body)} />
+            </Box>
+          </Collapse>
+        </TableCell>
+      </TableRow>
+    </>
+  );
+};
+
+/**
+ * Changes - response drift: recorded backend responses whose body changed, per endpoint
+ */
+function Changes() {
+  const [endpoints, setEndpoints] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [collection, setCollection] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [changes, setChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [changesLoading, setChangesLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const notify = (message, severity = "success") => setSnackbar({ open: true, message, severity });
+
+  const loadEndpoints = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getChangedEndpoints(collection ? { collection } : {});
+      setEndpoints(response.endpoints || []);
+    } catch (err) {
+      notify("Failed to load changes: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [collection]);
+
+  useEffect(() => {
+    loadEndpoints();
+  }, [loadEndpoints]);
+
+  useEffect(() => {
+    getCollections()
+      .then((response) => setCollections(response.data || []))
+      .catch((err) => console.error("Failed to load collections:", err));
+  }, []);
+
+  useEffect(() => {
+    if (!selected) {
+      setChanges([]);
+      return;
+    }
+    setChangesLoading(true);
+    getResponseChanges({
+      host: selected.host,
+      method: selected.method,
+      endpoint: selected.endpoint_path,
+      ...(collection && { collection }),
+    })
+      .then((response) => setChanges(response.changes || []))
+      .catch((err) => notify("Failed to load endpoint changes: " + (err.response?.data?.error || err.message), "error"))
+      .finally(() => setChangesLoading(false));
+  }, [selected, collection]);
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Changes
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        When recording receives a different backend body for a recorded response, the previous body is kept with a structural diff. Removed fields
+        and type changes may break clients. Paths ignored by the drift settings (e.g. timestamps) are left out; see Settings → Proxy Config.
+      </Typography>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={5}>
+          <Paper sx={{ p: 2 }}>
+            <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2, gap: 1 }}>
+              <Typography variant="h6">
+                Endpoints <Chip size="small" label={endpoints.length} />
+              </Typography>
+              <Box sx={{ display: "flex", gap: 1 }}>
+                <FormControl size="small" sx={{ minWidth: 160 }}>
+                  <InputLabel>Collection</InputLabel>
+                  <Select label="Collection" value={collection} onChange={(e) => setCollection(e.target.value)}>
+                    <MenuItem value="">All</MenuItem>
+                    {collections.map((c) => (
+                      <MenuItem key={c.id} value={c.id}>
+                        {c.name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Button variant="outlined" startIcon={<RefreshIcon />} onClick={loadEndpoints}>
+                  Refresh
+                </Button>
+              </Box>
+            </Box>
+
+            {loading ? (
+              <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+                <CircularProgress />
+              </Box>
+            ) : endpoints.length === 0 ? (
+              <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+                No recorded response has changed
+              </Typography>
+            ) : (
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Endpoint</TableCell>
+                      <TableCell>Changes</TableCell>
+                      <TableCell>Last Changed</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {endpoints.map((endpoint) => (
+                      <TableRow
+                        key={endpointKey(endpoint)}
+                        hover
+                        selected={selected && endpointKey(selected) === endpointKey(endpoint)}
+                        onClick={() => setSelected(endpoint)}
+                        sx={{ cursor: "pointer" }}
+                      >
+                        <TableCell>
+                          <MethodTag method={endpoint.method} />{" "}
+                          <Typography component="span" variant="body2" sx={{ fontFamily: "monospace" }}>
+                            {endpoint.endpoint_path}
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            {endpoint.host || "-"}
+                          </Typography>
+                        </TableCell>
+                        <TableCell sx={{ whiteSpace: "nowrap" }}>
+                          {endpoint.change_count}
+                          {endpoint.breaking && <Chip size="small" color="error" label="Breaking" sx={{ ml: 1 }} />}
+                        </TableCell>
+                        <TableCell sx={{ whiteSpace: "nowrap" }}>{formatDate(endpoint.last_changed_at, true)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={7}>
+          <Paper sx={{ p: 2 }}>
+            {!selected ? (
+              <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+                Select an endpoint to see how its responses changed
+              </Typography>
+            ) : (
+              <>
+                <Typography variant="h6" sx={{ mb: 2 }}>
+                  <MethodTag method={selected.method} /> {selected.endpoint_path}
+                </Typography>
+                {changesLoading ? (
+                  <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+                    <CircularProgress />
+                  </Box>
+                ) : (
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell padding="checkbox" />
+                          <TableCell>Changed</TableCell>
+                          <TableCell>Status</TableCell>
+                          <TableCell>User / App</TableCell>
+                          <TableCell>Differences</TableCell>
+                          <TableCell>Response</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {changes.map((change) => (
+                          <ChangeRow key={change.id} change={change} />
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </>
+            )}
+          </Paper>
+        </Grid>
+      </Grid>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Changes;
@@ -0,0 +1,446 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  Typography,
+  Tooltip,
+  CircularProgress,
+  Snackbar,
+} from "@mui/material";
+import { Add as AddIcon, Delete as DeleteIcon, Edit as EditIcon, Tune as OverrideIcon, ClearAll as ClearIcon } from "@mui/icons-material";
+import {
+  getConnectedClients,
+  clearConnectedClients,
+  getModeOverrides,
+  createModeOverride,
+  updateModeOverride,
+  deleteModeOverride,
+} from "../services/clientService";
+import { formatDate } from "../utils/formatting";
+
+const MODES = [
+  { value: "passthrough", label: "Passthrough", color: "#4CAF50" },
+  { value: "recording", label: "Recording", color: "#f44336" },
+  { value: "replay", label: "Replay", color: "#FF9800" },
+];
+
+const SCOPES = [
+  { value: "device_id", label: "Device ID", help: "X-Device-Id header, or the device of the app's DPSESSION" },
+  { value: "session", label: "DPSESSION", help: "One proxy session (cookie set by Deep Proxy)" },
+  { value: "ip", label: "Client IP", help: "Every app on the device (or behind the same NAT)" },
+];
+
+const SOURCE_LABELS = {
+  header: "X-DProxy-Mode header",
+  session: "DPSESSION override",
+  device_id: "Device override",
+  ip: "IP override",
+  global: "Global mode",
+};
+
+const EMPTY_OVERRIDE = {
+  scope: "device_id",
+  scope_value: "",
+  mode: "recording",
+  label: "",
+  expires_at: "",
+  enabled: true,
+};
+
+// Connected clients refresh interval
+const POLL_INTERVAL_MS = 3000;
+
+const ModeChip = ({ mode }) => {
+  const info = MODES.find((m) => m.value === mode);
+  return <Chip size="small" label={info?.label || mode} sx={{ backgroundColor: info?.color, color: "white", fontWeight: 600 }} />;
+};
+
+// Pick the most specific scope a client can be overridden by
+const defaultScope = (client) => (client.device_id ? "device_id" : client.session ? "session" : "ip");
+
+/**
+ * Clients - connected devices with their effective mode, and per-client mode overrides
+ * @param {boolean} canEdit - Whether the current user may change overrides (tester and above)
+ */
+function Clients({ canEdit = true }) {
+  const [clients, setClients] = useState([]);
+  const [globalMode, setGlobalMode] = useState(null);
+  const [overrides, setOverrides] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [editError, setEditError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const notify = (message, severity = "success") => setSnackbar({ open: true, message, severity });
+
+  const loadClients = useCallback(async () => {
+    try {
+      const response = await getConnectedClients();
+      setClients(response.data || []);
+      setGlobalMode(response.globalMode);
+    } catch (err) {
+      console.error("Failed to load connected clients:", err);
+    }
+  }, []);
+
+  const loadOverrides = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await getModeOverrides();
+      setOverrides(data || []);
+    } catch (err) {
+      notify("Failed to load mode overrides: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOverrides();
+  }, [loadOverrides]);
+
+  useEffect(() => {
+    loadClients();
+    const timer = setInterval(loadClients, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadClients]);
+
+  const reloadAll = () => {
+    loadOverrides();
+    loadClients();
+  };
+
+  const handleClearClients = async () => {
+    try {
+      await clearConnectedClients();
+      setClients([]);
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  // Overrides
+
+  const handleOverrideClient = (client) => {
+    const scope = defaultScope(client);
+    const existing = client.override_id ? overrides.find((o) => o.id === client.override_id) : null;
+    setEditError(null);
+    setEditing(
+      existing
+        ? { ...EMPTY_OVERRIDE, ...existing, label: existing.label || "", expires_at: existing.expires_at || "" }
+        : { ...EMPTY_OVERRIDE, scope, scope_value: client[scope], label: client.user_agent?.slice(0, 60) || "" },
+    );
+  };
+
+  const handleEdit = (override) => {
+    setEditError(null);
+    setEditing(override ? { ...EMPTY_OVERRIDE, ...override, label: override.label || "", expires_at: override.expires_at || "" } : { ...EMPTY_OVERRIDE });
+  };
+
+  const handleToggle = async (override) => {
+    try {
+      await updateModeOverride(override.id, { enabled: !override.enabled });
+      reloadAll();
+    } catch (err) {
+      notify("Failed to update override: " + (err.response?.data?.error || err.message), "error");
+    }
+  };
+
+  const handleDelete = async (override) => {
+    if (!window.confirm(`Delete the ${override.mode} override for ${override.label || override.scope_value}?`)) return;
+    try {
+      await deleteModeOverride(override.id);
+      notify("Override deleted");
+      reloadAll();
+    } catch (err) {
+      notify("Failed to delete override: " + (err.response?.data?.error || err.message), "error");
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setEditError(null);
+    const { id, created_at, updated_at, created_by, ...payload } = editing;
+    payload.expires_at = payload.expires_at || null;
+    try {
+      if (id) {
+        await updateModeOverride(id, payload);
+      } else {
+        await createModeOverride(payload);
+      }
+      notify("Override saved");
+      setEditing(null);
+      reloadAll();
+    } catch (err) {
+      setEditError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateField = (field, value) => setEditing((prev) => ({ ...prev, [field]: value }));
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Clients
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Each client uses the global mode{globalMode && (
+          <>
+            {" "}
+            (<ModeChip mode={globalMode} />)
+          </>
+        )}{" "}
+        unless it is overridden here, so one tester can replay while others keep recording. A request can also pick its mode with the{" "}
+        <code>X-DProxy-Mode</code> header. Order: header, DPSESSION, device ID, client IP, global mode.
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 1 }}>
+          <Typography variant="h6">
+            Connected <Chip size="small" label={clients.length} />
+          </Typography>
+          <Button variant="outlined" startIcon={<ClearIcon />} onClick={handleClearClients} disabled={!canEdit || clients.length === 0}>
+            Clear
+          </Button>
+        </Box>
+        {clients.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+            No traffic in the last 10 minutes
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Client IP</TableCell>
+                  <TableCell>Device ID</TableCell>
+                  <TableCell>DPSESSION</TableCell>
+                  <TableCell>User Agent</TableCell>
+                  <TableCell>Requests</TableCell>
+                  <TableCell>Last Seen</TableCell>
+                  <TableCell>Effective Mode</TableCell>
+                  <TableCell align="right" />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {clients.map((client) => (
+                  <TableRow key={`${client.ip}|${client.device_id}|${client.session}`} hover>
+                    <TableCell sx={{ fontFamily: "monospace" }}>{client.ip || "-"}</TableCell>
+                    <TableCell sx={{ fontFamily: "monospace" }}>{client.device_id || "-"}</TableCell>
+                    <TableCell sx={{ fontFamily: "monospace", fontSize: "0.75rem" }}>{client.session ? `${client.session.slice(0, 8)}...` : "-"}</TableCell>
+                    <TableCell sx={{ maxWidth: 260, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                      <Tooltip title={client.user_agent || ""}>
+                        <span>{client.user_agent || "-"}</span>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell>{client.requests}</TableCell>
+                    <TableCell sx={{ whiteSpace: "nowrap" }}>{formatDate(client.last_seen, true)}</TableCell>
+                    <TableCell>
+                      <ModeChip mode={client.mode} />{" "}
+                      <Typography component="span" variant="caption" color="text.secondary">
+                        {SOURCE_LABELS[client.source] || client.source}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right">
+                      {canEdit && (
+                        <Tooltip title="Set mode for this client">
+                          <IconButton size="small" onClick={() => handleOverrideClient(client)}>
+                            <OverrideIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+          <Typography variant="h6">Mode Overrides</Typography>
+          {canEdit && (
+            <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleEdit(null)}>
+              Add Override
+            </Button>
+          )}
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : overrides.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+            No overrides, every client uses the global mode
+          </Typography>
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell>Client</TableCell>
+                  <TableCell>Label</TableCell>
+                  <TableCell>Mode</TableCell>
+                  <TableCell>Expires</TableCell>
+                  <TableCell>Created By</TableCell>
+                  <TableCell align="right" />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {overrides.map((override) => (
+                  <TableRow key={override.id} hover>
+                    <TableCell>
+                      <Switch size="small" checked={override.enabled} disabled={!canEdit} onChange={() => handleToggle(override)} />
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="caption" color="text.secondary">
+                        {SCOPES.find((s) => s.value === override.scope)?.label}
+                      </Typography>
+                      <Typography variant="body2" sx={{ fontFamily: "monospace" }}>
+                        {override.scope_value}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{override.label || "-"}</TableCell>
+                    <TableCell>
+                      <ModeChip mode={override.mode} />
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: "nowrap" }}>{override.expires_at ? formatDate(override.expires_at, true) : "Never"}</TableCell>
+                    <TableCell>{override.created_by || "-"}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                      {canEdit && (
+                        <>
+                          <Tooltip title="Edit">
+                            <IconButton size="small" onClick={() => handleEdit(override)}>
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Delete">
+                            <IconButton size="small" color="error" onClick={() => handleDelete(override)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Override dialog */}
+      <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing?.id ? "Edit Override" : "Add Override"}</DialogTitle>
+        {editing && (
+          <DialogContent>
+            {editError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {editError}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12} sm={4}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Client by</InputLabel>
+                  <Select label="Client by" value={editing.scope} onChange={(e) => updateField("scope", e.target.value)}>
+                    {SCOPES.map((s) => (
+                      <MenuItem key={s.value} value={s.value}>
+                        {s.label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={8}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={SCOPES.find((s) => s.value === editing.scope)?.label}
+                  value={editing.scope_value}
+                  onChange={(e) => updateField("scope_value", e.target.value)}
+                  helperText={SCOPES.find((s) => s.value === editing.scope)?.help}
+                  InputProps={{ sx: { fontFamily: "monospace" } }}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Mode</InputLabel>
+                  <Select label="Mode" value={editing.mode} onChange={(e) => updateField("mode", e.target.value)}>
+                    {MODES.map((m) => (
+                      <MenuItem key={m.value} value={m.value}>
+                        {m.label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={8}>
+                <TextField fullWidth size="small" label="Label (optional)" value={editing.label} onChange={(e) => updateField("label", e.target.value)} />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="datetime-local"
+                  label="Expires (optional)"
+                  InputLabelProps={{ shrink: true }}
+                  value={editing.expires_at ? editing.expires_at.slice(0, 16) : ""}
+                  onChange={(e) => updateField("expires_at", e.target.value ? new Date(e.target.value).toISOString() : "")}
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !editing?.scope_value}>
+            {saving ? "Saving..." : "Save"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Clients;
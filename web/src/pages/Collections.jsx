@@ -0,0 +1,482 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+  Tooltip,
+  CircularProgress,
+  Snackbar,
+} from "@mui/material";
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  ContentCopy as CloneIcon,
+  Lock as LockIcon,
+  LockOpen as UnlockIcon,
+  FiberManualRecord as RecordIcon,
+  ArrowUpward as UpIcon,
+  ArrowDownward as DownIcon,
+  Close as RemoveIcon,
+  CompareArrows as DiffIcon,
+} from "@mui/icons-material";
+import {
+  getCollections,
+  createCollection,
+  updateCollection,
+  activateCollection,
+  setReplayStack,
+  cloneCollection,
+  diffCollections,
+  deleteCollection,
+} from "../services/collectionService";
+import { formatDate } from "../utils/formatting";
+
+const EMPTY_COLLECTION = { name: "", description: "" };
+
+const CHANGE_LABELS = {
+  added: "only in compare",
+  removed: "only in base",
+  body: "body differs",
+};
+
+// Key columns of a recording, as shown in the diff tables
+const RecordingCells = ({ recording }) => (
+  <>
+    <TableCell sx={{ fontFamily: "monospace" }}>{recording.method}</TableCell>
+    <TableCell sx={{ fontFamily: "monospace" }}>
+      {recording.endpoint_path}
+      {recording.query_params && recording.query_params !== "{}" && (
+        <Typography component="span" variant="caption" color="text.secondary">
+          {" "}
+          {recording.query_params}
+        </Typography>
+      )}
+    </TableCell>
+    <TableCell>{recording.endpoint_type}</TableCell>
+    <TableCell>{recording.user_id || "-"}</TableCell>
+    <TableCell>{[recording.app_platform, recording.app_version, recording.app_environment, recording.app_language].filter(Boolean).join(" / ") || "-"}</TableCell>
+  </>
+);
+
+const DiffSection = ({ title, color, rows, renderExtra }) => (
+  <Box sx={{ mb: 2 }}>
+    <Typography variant="subtitle1" sx={{ mb: 1 }}>
+      {title} <Chip size="small" color={color} label={rows.length} />
+    </Typography>
+    {rows.length > 0 && (
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Method</TableCell>
+              <TableCell>Endpoint</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell>User</TableCell>
+              <TableCell>App</TableCell>
+              {renderExtra && <TableCell>Differences</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((recording) => (
+              <TableRow key={recording.request_id} hover>
+                <RecordingCells recording={recording} />
+                {renderExtra && <TableCell>{renderExtra(recording)}</TableCell>}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    )}
+  </Box>
+);
+
+/**
+ * Collections - named sets of recordings: the active one records, the replay stack is searched by replay
+ * @param {boolean} canEdit - Whether the current user may change collections (tester and above)
+ */
+function Collections({ canEdit = true }) {
+  const [collections, setCollections] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [stack, setStack] = useState([]);
+  const [stackDirty, setStackDirty] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [editError, setEditError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [stackCandidate, setStackCandidate] = useState("");
+  const [diffIds, setDiffIds] = useState({ base: "", compare: "" });
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const notify = (message, severity = "success") => setSnackbar({ open: true, message, severity });
+
+  const loadCollections = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getCollections();
+      const data = response.data || [];
+      setCollections(data);
+      setActiveId(response.activeId);
+      // An empty stack replays the active collection; only show explicitly stacked collections
+      setStack(data.filter((c) => c.replay_order !== null && c.replay_order !== undefined).map((c) => c.id));
+      setStackDirty(false);
+    } catch (err) {
+      notify("Failed to load collections: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCollections();
+  }, [loadCollections]);
+
+  const byId = (id) => collections.find((c) => c.id === id);
+
+  const run = async (action, successMessage) => {
+    try {
+      await action();
+      if (successMessage) notify(successMessage);
+      loadCollections();
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  const handleActivate = (collection) => run(() => activateCollection(collection.id), `Recording into '${collection.name}'`);
+
+  const handleToggleLock = (collection) =>
+    run(() => updateCollection(collection.id, { locked: !collection.locked }), collection.locked ? "Collection unlocked" : "Collection locked");
+
+  const handleDelete = (collection) => {
+    if (!window.confirm(`Delete collection '${collection.name}' and its ${collection.request_count} recordings?`)) return;
+    run(() => deleteCollection(collection.id), "Collection deleted");
+  };
+
+  const handleEdit = (source) => {
+    setEditError(null);
+    setEditing(source ? { ...EMPTY_COLLECTION, name: `${source.name}-copy`, description: source.description || "", sourceId: source.id } : { ...EMPTY_COLLECTION });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setEditError(null);
+    const { sourceId, ...payload } = editing;
+    try {
+      if (sourceId) {
+        await cloneCollection(sourceId, payload);
+      } else {
+        await createCollection(payload);
+      }
+      notify(sourceId ? "Collection cloned" : "Collection created");
+      setEditing(null);
+      loadCollections();
+    } catch (err) {
+      setEditError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Replay stack
+
+  const changeStack = (next) => {
+    setStack(next);
+    setStackDirty(true);
+  };
+
+  const moveInStack = (index, offset) => {
+    const next = [...stack];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    changeStack(next);
+  };
+
+  const handleAddToStack = () => {
+    if (!stackCandidate) return;
+    changeStack([...stack, stackCandidate]);
+    setStackCandidate("");
+  };
+
+  const handleSaveStack = () => run(() => setReplayStack(stack), "Replay stack saved");
+
+  // Diff
+
+  const handleDiff = async () => {
+    setDiffLoading(true);
+    try {
+      const response = await diffCollections(diffIds.base, diffIds.compare);
+      setDiff(response.data);
+    } catch (err) {
+      notify("Failed to diff collections: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  const renderChanges = (recording) =>
+    recording.differences.map((d) => <Chip key={d.status} size="small" variant="outlined" sx={{ mr: 0.5 }} label={`${d.status}: ${CHANGE_LABELS[d.change]}`} />);
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Collections
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Recording mode writes into the active collection. Replay searches the replay stack from top to bottom and falls back to the next collection when one has no match; with an empty stack it replays the active collection. Locked collections are read-only.
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+          <Typography variant="h6">
+            Collections <Chip size="small" label={collections.length} />
+          </Typography>
+          {canEdit && (
+            <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleEdit(null)}>
+              New Collection
+            </Button>
+          )}
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Description</TableCell>
+                  <TableCell>Recordings</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Created</TableCell>
+                  <TableCell align="right" />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {collections.map((collection) => (
+                  <TableRow key={collection.id} hover>
+                    <TableCell sx={{ fontWeight: 600 }}>{collection.name}</TableCell>
+                    <TableCell>{collection.description || "-"}</TableCell>
+                    <TableCell>{collection.request_count}</TableCell>
+                    <TableCell sx={{ whiteSpace: "nowrap" }}>
+                      {collection.id === activeId && <Chip size="small" color="error" label="Recording" sx={{ mr: 0.5 }} />}
+                      {stack.includes(collection.id) && <Chip size="small" color="warning" label={`Replay #${stack.indexOf(collection.id) + 1}`} sx={{ mr: 0.5 }} />}
+                      {collection.locked && <Chip size="small" icon={<LockIcon />} label="Locked" />}
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: "nowrap" }}>
+                      {formatDate(collection.created_at, true)}
+                      {collection.created_by && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          {collection.created_by}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                      {canEdit && (
+                        <>
+                          <Tooltip title="Record into this collection">
+                            <span>
+                              <IconButton size="small" onClick={() => handleActivate(collection)} disabled={collection.id === activeId || collection.locked}>
+                                <RecordIcon fontSize="small" />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                          <Tooltip title={collection.locked ? "Unlock" : "Lock (read-only)"}>
+                            <span>
+                              <IconButton size="small" onClick={() => handleToggleLock(collection)} disabled={!collection.locked && collection.id === activeId}>
+                                {collection.locked ? <UnlockIcon fontSize="small" /> : <LockIcon fontSize="small" />}
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                          <Tooltip title="Clone">
+                            <IconButton size="small" onClick={() => handleEdit(collection)}>
+                              <CloneIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Delete">
+                            <span>
+                              <IconButton size="small" color="error" onClick={() => handleDelete(collection)} disabled={collection.id === activeId || collection.locked}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" sx={{ mb: 1 }}>
+          Replay Stack
+        </Typography>
+        {stack.length === 0 ? (
+          <Typography color="text.secondary" sx={{ mb: 2 }}>
+            Empty, replay uses the active collection{byId(activeId) && ` (${byId(activeId).name})`}
+          </Typography>
+        ) : (
+          <List dense sx={{ mb: 1 }}>
+            {stack.map((id, index) => (
+              <ListItem
+                key={id}
+                divider
+                secondaryAction={
+                  canEdit && (
+                    <>
+                      <IconButton size="small" disabled={index === 0} onClick={() => moveInStack(index, -1)}>
+                        <UpIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton size="small" disabled={index === stack.length - 1} onClick={() => moveInStack(index, 1)}>
+                        <DownIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton size="small" onClick={() => changeStack(stack.filter((s) => s !== id))}>
+                        <RemoveIcon fontSize="small" />
+                      </IconButton>
+                    </>
+                  )
+                }
+              >
+                <ListItemText primary={`${index + 1}. ${byId(id)?.name || id}`} secondary={index === 0 ? "Searched first" : "Fallback"} />
+              </ListItem>
+            ))}
+          </List>
+        )}
+        {canEdit && (
+          <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+            <FormControl size="small" sx={{ minWidth: 220 }}>
+              <InputLabel>Add collection</InputLabel>
+              <Select label="Add collection" value={stackCandidate} onChange={(e) => setStackCandidate(e.target.value)}>
+                {collections
+                  .filter((c) => !stack.includes(c.id))
+                  .map((c) => (
+                    <MenuItem key={c.id} value={c.id}>
+                      {c.name}
+                    </MenuItem>
+                  ))}
+              </Select>
+            </FormControl>
+            <Button onClick={handleAddToStack} disabled={!stackCandidate}>
+              Add
+            </Button>
+            <Box sx={{ flexGrow: 1 }} />
+            <Button variant="contained" onClick={handleSaveStack} disabled={!stackDirty}>
+              Save Stack
+            </Button>
+          </Box>
+        )}
+      </Paper>
+
+      <Paper sx={{ p: 2 }}>
+        <Typography variant="h6" sx={{ mb: 2 }}>
+          Compare Collections
+        </Typography>
+        <Box sx={{ display: "flex", gap: 2, alignItems: "center", mb: 2 }}>
+          {["base", "compare"].map((side) => (
+            <FormControl key={side} size="small" sx={{ minWidth: 220 }}>
+              <InputLabel>{side === "base" ? "Base" : "Compare"}</InputLabel>
+              <Select label={side === "base" ? "Base" : "Compare"} value={diffIds[side]} onChange={(e) => setDiffIds((prev) => ({ ...prev, [side]: e.target.value }))}>
+                {collections.map((c) => (
+                  <MenuItem key={c.id} value={c.id}>
+                    {c.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ))}
+          <Button variant="outlined" startIcon={<DiffIcon />} onClick={handleDiff} disabled={!diffIds.base || !diffIds.compare || diffLoading}>
+            {diffLoading ? "Comparing..." : "Compare"}
+          </Button>
+        </Box>
+
+        {diff && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {diff.base.name} → {diff.compare.name}: {diff.unchanged} unchanged
+            </Typography>
+            <DiffSection title="Added" color="success" rows={diff.added} />
+            <DiffSection title="Removed" color="error" rows={diff.removed} />
+            <DiffSection title="Changed" color="warning" rows={diff.changed} renderExtra={renderChanges} />
+          </>
+        )}
+      </Paper>
+
+      {/* Create / clone dialog */}
+      <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing?.sourceId ? `Clone '${byId(editing.sourceId)?.name}'` : "New Collection"}</DialogTitle>
+        {editing && (
+          <DialogContent>
+            {editError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {editError}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12}>
+                <TextField fullWidth size="small" label="Name" value={editing.name} onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))} />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Description (optional)"
+                  value={editing.description}
+                  onChange={(e) => setEditing((prev) => ({ ...prev, description: e.target.value }))}
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !editing?.name?.trim()}>
+            {saving ? "Saving..." : editing?.sourceId ? "Clone" : "Create"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Collections;
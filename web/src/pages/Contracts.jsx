@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+  Typography,
+  CircularProgress,
+  Snackbar,
+} from "@mui/material";
+import {
+  Refresh as RefreshIcon,
+  AutoFixHigh as InferIcon,
+  Download as ExportIcon,
+  Description as SpecIcon,
+  Visibility as ViewIcon,
+  Delete as DeleteIcon,
+} from "@mui/icons-material";
+import {
+  getEndpointSchemas,
+  inferEndpointSchemas,
+  updateEndpointSchema,
+  deleteEndpointSchema,
+  exportOpenApiComponents,
+} from "../services/endpointSchemaService";
+import { getCollections } from "../services/collectionService";
+import { getOpenApiExportUrl } from "../services/api";
+import JsonDisplay from "../components/JsonDisplay";
+import MethodTag from "../components/MethodTag";
+import { formatDate } from "../utils/formatting";
+
+// Download JSON data as a file
+const downloadJson = (data, filename) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Contracts - JSON Schemas inferred per endpoint from recorded responses; live backend responses are validated against them
+ * @param {boolean} canEdit - Whether the current user may infer and change schemas (tester and above)
+ */
+function Contracts({ canEdit = true }) {
+  const [endpoints, setEndpoints] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [collection, setCollection] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [inferring, setInferring] = useState(false);
+  const [viewing, setViewing] = useState(null);
+  const [specFilters, setSpecFilters] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const notify = (message, severity = "success") => setSnackbar({ open: true, message, severity });
+
+  const loadEndpoints = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getEndpointSchemas();
+      setEndpoints(response.data || []);
+    } catch (err) {
+      notify("Failed to load endpoint schemas: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEndpoints();
+  }, [loadEndpoints]);
+
+  useEffect(() => {
+    getCollections()
+      .then((response) => setCollections(response.data || []))
+      .catch((err) => console.error("Failed to load collections:", err));
+  }, []);
+
+  const handleInfer = async () => {
+    setInferring(true);
+    try {
+      const response = await inferEndpointSchemas(collection ? { collection } : {});
+      notify(response.message);
+      loadEndpoints();
+    } catch (err) {
+      notify("Failed to infer schemas: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setInferring(false);
+    }
+  };
+
+  const handleToggleValidate = async (endpoint) => {
+    try {
+      await updateEndpointSchema(endpoint.id, { validate: !endpoint.validate });
+      loadEndpoints();
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm(`Delete the schema of ${endpoint.method} ${endpoint.endpoint_pattern}?`)) return;
+    try {
+      await deleteEndpointSchema(endpoint.id);
+      notify("Endpoint schema deleted");
+      loadEndpoints();
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const components = await exportOpenApiComponents();
+      downloadJson(components, `Dproxy-openapi-components-${new Date().toISOString().split("T")[0]}.json`);
+    } catch (err) {
+      notify("Failed to export schemas: " + (err.response?.data?.error || err.message), "error");
+    }
+  };
+
+  const handleOpenSpec = () => setSpecFilters({ host: endpoints[0]?.host || "", endpoint_type: "", collection: "" });
+
+  const handleDownloadSpec = () => {
+    const a = document.createElement("a");
+    a.href = getOpenApiExportUrl(specFilters);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setSpecFilters(null);
+  };
+
+  const hosts = [...new Set(endpoints.map((endpoint) => endpoint.host))];
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Contracts
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        A JSON Schema is inferred per endpoint and response status from the recorded backend responses, merging all observed variants. In
+        passthrough and recording modes, backend responses of validated endpoints are checked against it; violations are flagged in the Live view
+        and in statistics. Extra fields are allowed. Schemas only change when they are inferred again.
+      </Typography>
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2, gap: 1, flexWrap: "wrap" }}>
+          <Typography variant="h6">
+            Endpoints <Chip size="small" label={endpoints.length} />
+          </Typography>
+          <Box sx={{ display: "flex", gap: 1 }}>
+            {canEdit && (
+              <>
+                <FormControl size="small" sx={{ minWidth: 180 }}>
+                  <InputLabel>Infer from</InputLabel>
+                  <Select label="Infer from" value={collection} onChange={(e) => setCollection(e.target.value)}>
+                    <MenuItem value="">All collections</MenuItem>
+                    {collections.map((c) => (
+                      <MenuItem key={c.id} value={c.id}>
+                        {c.name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Button variant="contained" startIcon={inferring ? <CircularProgress size={16} /> : <InferIcon />} disabled={inferring} onClick={handleInfer}>
+                  Infer Schemas
+                </Button>
+              </>
+            )}
+            <Button variant="outlined" startIcon={<SpecIcon />} onClick={handleOpenSpec}>
+              OpenAPI Spec
+            </Button>
+            <Button variant="outlined" startIcon={<ExportIcon />} disabled={endpoints.length === 0} onClick={handleExport}>
+              Export Components
+            </Button>
+            <Button variant="outlined" startIcon={<RefreshIcon />} onClick={loadEndpoints}>
+              Refresh
+            </Button>
+          </Box>
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : endpoints.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+            No endpoint schemas yet. Record some traffic, then infer schemas.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Endpoint</TableCell>
+                  <TableCell>Statuses</TableCell>
+                  <TableCell align="right">Samples</TableCell>
+                  <TableCell>Inferred</TableCell>
+                  <TableCell>Validate</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {endpoints.map((endpoint) => (
+                  <TableRow key={endpoint.id} hover>
+                    <TableCell>
+                      <MethodTag method={endpoint.method} />{" "}
+                      <Typography component="span" variant="body2" sx={{ fontFamily: "monospace" }}>
+                        {endpoint.endpoint_pattern}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {endpoint.host}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {endpoint.statuses.map((status) => (
+                        <Chip key={status} size="small" variant="outlined" label={status} sx={{ mr: 0.5 }} />
+                      ))}
+                    </TableCell>
+                    <TableCell align="right">{endpoint.sample_count}</TableCell>
+                    <TableCell sx={{ whiteSpace: "nowrap" }}>{formatDate(endpoint.inferred_at, true)}</TableCell>
+                    <TableCell>
+                      <Switch size="small" checked={endpoint.validate} disabled={!canEdit} onChange={() => handleToggleValidate(endpoint)} />
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                      <Tooltip title="View schema">
+                        <IconButton size="small" onClick={() => setViewing(endpoint)}>
+                          <ViewIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      {canEdit && (
+                        <Tooltip title="Delete">
+                          <IconButton size="small" color="error" onClick={() => handleDelete(endpoint)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      <Dialog open={!!viewing} onClose={() => setViewing(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {viewing?.method} {viewing?.endpoint_pattern}
+        </DialogTitle>
+        <DialogContent>{viewing && <JsonDisplay data={viewing.schemas} maxHeight="60vh" />}</DialogContent>
+        <DialogActions>
+          <Button onClick={() => setViewing(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!specFilters} onClose={() => setSpecFilters(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Download OpenAPI Specification</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            An OpenAPI 3.1 document is generated from the recorded backend responses: paths are grouped by endpoint pattern, with query
+            parameters, headers, request bodies, response schemas per status code and examples from real recordings.
+          </Typography>
+          {specFilters && (
+            <Box sx={{ display: "flex", flexDirection: "column", gap: 2 }}>
+              <TextField
+                size="small"
+                label="Host"
+                helperText={hosts.length > 0 ? `Recorded: ${hosts.join(", ")}` : "Partial match, empty for all hosts"}
+                value={specFilters.host}
+                onChange={(e) => setSpecFilters({ ...specFilters, host: e.target.value })}
+              />
+              <FormControl size="small">
+                <InputLabel>Endpoint Type</InputLabel>
+                <Select
+                  label="Endpoint Type"
+                  value={specFilters.endpoint_type}
+                  onChange={(e) => setSpecFilters({ ...specFilters, endpoint_type: e.target.value })}
+                >
+                  <MenuItem value="">All</MenuItem>
+                  <MenuItem value="public">Public</MenuItem>
+                  <MenuItem value="secure">Secure</MenuItem>
+                </Select>
+              </FormControl>
+              <FormControl size="small">
+                <InputLabel>Collection</InputLabel>
+                <Select label="Collection" value={specFilters.collection} onChange={(e) => setSpecFilters({ ...specFilters, collection: e.target.value })}>
+                  <MenuItem value="">All collections</MenuItem>
+                  {collections.map((c) => (
+                    <MenuItem key={c.id} value={c.id}>
+                      {c.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSpecFilters(null)}>Cancel</Button>
+          <Button variant="contained" startIcon={<ExportIcon />} onClick={handleDownloadSpec}>
+            Download
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Contracts;
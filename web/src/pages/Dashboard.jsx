@@ -303,6 +303,7 @@ function Dashboard({ mode }) {
       const topEndpoints = endpointData
         .map((ep) => ({
           endpoint_path: ep.endpoint_path,
+          graphql_operation: ep.graphql_operation || null,
           endpoint_type: ep.endpoint_type || "public",
           method: ep.method || "", // Keep empty string if method is null/undefined
           total_requests: ep.total_requests,
@@ -1276,7 +1277,14 @@ function Dashboard({ mode }) {
 
                           return (
                             <TableRow key={idx} hover>
-                              <TableCell sx={{ fontSize: "0.875rem" }}>{endpoint.endpoint_path}</TableCell>
+                              <TableCell sx={{ fontSize: "0.875rem" }}>
+                                {endpoint.endpoint_path}
+                                {endpoint.graphql_operation && (
+                                  <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 0.5 }}>
+                                    #{endpoint.graphql_operation}
+                                  </Typography>
+                                )}
+                              </TableCell>
                               <TableCell align="center">
                                 <MethodTag method={endpoint.method} fontSize="0.65rem" />
                               </TableCell>
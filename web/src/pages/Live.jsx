@@ -0,0 +1,385 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  Box,
+  Paper,
+  Typography,
+  Grid,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+} from "@mui/material";
+import { Pause as PauseIcon, PlayArrow as ResumeIcon, DeleteSweep as ClearIcon } from "@mui/icons-material";
+import { getLiveStreamUrl, clearLiveTraffic, getPublicServiceDetail, getSecureServiceDetail } from "../services/api";
+import MethodTag from "../components/MethodTag";
+import JsonDisplay from "../components/JsonDisplay";
+import StoredBody from "../components/StoredBody";
+import SectionWithCopy from "../components/SectionWithCopy";
+
+// Rows kept in the table (oldest are dropped)
+const MAX_ROWS = 500;
+
+const METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD"];
+const STATUS_CLASSES = ["2xx", "3xx", "4xx", "5xx"];
+const MODES = ["passthrough", "recording", "replay"];
+
+const EMPTY_FILTERS = { text: "", method: "", status: "", mode: "" };
+
+const statusColor = (status) => {
+  if (status >= 500) return "error";
+  if (status >= 400) return "warning";
+  if (status >= 300) return "info";
+  return "success";
+};
+
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? timestamp : date.toLocaleTimeString();
+};
+
+const parseJSON = (str) => {
+  try {
+    return typeof str === "string" ? JSON.parse(str) : str;
+  } catch {
+    return str;
+  }
+};
+
+const Live = () => {
+  const [events, setEvents] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [connected, setConnected] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [selected, setSelected] = useState(null);
+  const [stored, setStored] = useState(null);
+  const [storedLoading, setStoredLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Events received while paused are held here and appended on resume
+  const pausedRef = useRef(false);
+  const pendingRef = useRef([]);
+
+  useEffect(() => {
+    const source = new EventSource(getLiveStreamUrl());
+
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+    source.addEventListener("transaction", (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch (e) {
+        return;
+      }
+
+      if (pausedRef.current) {
+        pendingRef.current.push(event);
+        setPendingCount(pendingRef.current.length);
+        return;
+      }
+      setEvents((prev) => [event, ...prev].slice(0, MAX_ROWS));
+    });
+
+    return () => source.close();
+  }, []);
+
+  const handleTogglePause = () => {
+    if (paused) {
+      const pending = pendingRef.current.reverse();
+      pendingRef.current = [];
+      setPendingCount(0);
+      setEvents((prev) => [...pending, ...prev].slice(0, MAX_ROWS));
+    }
+    pausedRef.current = !paused;
+    setPaused(!paused);
+  };
+
+  const handleClear = async () => {
+    setEvents([]);
+    pendingRef.current = [];
+    setPendingCount(0);
+    try {
+      await clearLiveTraffic();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleOpen = async (event) => {
+    setSelected(event);
+    setStored(null);
+    if (!event.storedResponseId) return;
+
+    setStoredLoading(true);
+    try {
+      const getDetail = event.endpointType === "secure" ? getSecureServiceDetail : getPublicServiceDetail;
+      const response = await getDetail(event.storedResponseId);
+      setStored(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setStoredLoading(false);
+    }
+  };
+
+  const filteredEvents = useMemo(() => {
+    const text = filters.text.trim().toLowerCase();
+    return events.filter((event) => {
+      if (filters.method && event.method !== filters.method) return false;
+      if (filters.mode && event.mode !== filters.mode) return false;
+      if (filters.status && `${String(event.status).charAt(0)}xx` !== filters.status) return false;
+      if (text) {
+        const haystack = `${event.url} ${event.userId ?? ""} ${event.source ?? ""} ${event.fault ?? ""}`.toLowerCase();
+        if (!haystack.includes(text)) return false;
+      }
+      return true;
+    });
+  }, [events, filters]);
+
+  return (
+    <Box p={3}>
+      <Box display="flex" alignItems="center" gap={2} sx={{ mb: 1 }}>
+        <Typography variant="h4">Live Traffic</Typography>
+        <Chip label={connected ? "connected" : "disconnected"} size="small" color={connected ? "success" : "default"} />
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Monitored transactions as they complete. Click a row to see the stored request and response.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              size="small"
+              label="Filter (URL, user, source, fault)"
+              value={filters.text}
+              onChange={(e) => setFilters({ ...filters, text: e.target.value })}
+            />
+          </Grid>
+          <Grid item xs={4} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Method</InputLabel>
+              <Select value={filters.method} label="Method" onChange={(e) => setFilters({ ...filters, method: e.target.value })}>
+                <MenuItem value="">All</MenuItem>
+                {METHODS.map((method) => (
+                  <MenuItem key={method} value={method}>
+                    {method}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={4} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Status</InputLabel>
+              <Select value={filters.status} label="Status" onChange={(e) => setFilters({ ...filters, status: e.target.value })}>
+                <MenuItem value="">All</MenuItem>
+                {STATUS_CLASSES.map((status) => (
+                  <MenuItem key={status} value={status}>
+                    {status}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={4} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Mode</InputLabel>
+              <Select value={filters.mode} label="Mode" onChange={(e) => setFilters({ ...filters, mode: e.target.value })}>
+                <MenuItem value="">All</MenuItem>
+                {MODES.map((mode) => (
+                  <MenuItem key={mode} value={mode}>
+                    {mode}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={2} display="flex" gap={1}>
+            <Button
+              variant={paused ? "contained" : "outlined"}
+              color={paused ? "warning" : "primary"}
+              startIcon={paused ? <ResumeIcon /> : <PauseIcon />}
+              onClick={handleTogglePause}
+            >
+              {paused ? `Resume${pendingCount ? ` (${pendingCount})` : ""}` : "Pause"}
+            </Button>
+            <Button variant="outlined" color="inherit" startIcon={<ClearIcon />} onClick={handleClear}>
+              Clear
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <TableContainer component={Paper}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Time</TableCell>
+              <TableCell>Mode</TableCell>
+              <TableCell>Method</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>URL</TableCell>
+              <TableCell align="right">Latency</TableCell>
+              <TableCell align="right">Score</TableCell>
+              <TableCell>User</TableCell>
+              <TableCell>Source</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {filteredEvents.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={9} align="center" sx={{ py: 4, color: "text.secondary" }}>
+                  {events.length === 0 ? "Waiting for traffic..." : "No transactions match the filters"}
+                </TableCell>
+              </TableRow>
+            ) : (
+              filteredEvents.map((event) => (
+                <TableRow key={event.id} hover onClick={() => handleOpen(event)} sx={{ cursor: "pointer" }}>
+                  <TableCell sx={{ whiteSpace: "nowrap" }}>{formatTime(event.timestamp)}</TableCell>
+                  <TableCell>{event.mode}</TableCell>
+                  <TableCell>
+                    <MethodTag method={event.method} />
+                  </TableCell>
+                  <TableCell>
+                    <Chip label={event.status} size="small" color={statusColor(event.status)} />
+                  </TableCell>
+                  <TableCell sx={{ maxWidth: 480, wordBreak: "break-all", fontFamily: "monospace", fontSize: "0.8rem" }}>
+                    {event.url}
+                    {event.fault && <Chip label={`fault: ${event.fault}`} size="small" color="error" variant="outlined" sx={{ ml: 1 }} />}
+                    {event.templated && <Chip label="templated" size="small" variant="outlined" sx={{ ml: 1 }} />}
+                    {event.mock && <Chip label={`mock: ${event.mock}`} size="small" color="info" variant="outlined" sx={{ ml: 1 }} />}
+                    {event.schemaViolations?.length > 0 && (
+                      <Chip label={`contract: ${event.schemaViolations.length} violation(s)`} size="small" color="warning" variant="outlined" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{event.latency !== null ? `${event.latency} ms` : "-"}</TableCell>
+                  <TableCell align="right">{event.matchScore ?? "-"}</TableCell>
+                  <TableCell>{event.userId ?? "-"}</TableCell>
+                  <TableCell>{event.source}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={!!selected} onClose={() => setSelected(null)} maxWidth="lg" fullWidth>
+        <DialogTitle>Transaction #{selected?.id}</DialogTitle>
+        <DialogContent>
+          {selected && (
+            <Box sx={{ pt: 1 }}>
+              <Paper sx={{ p: 2, mb: 2, backgroundColor: "#f5f5f5" }}>
+                <JsonDisplay data={selected} maxHeight="240px" />
+              </Paper>
+
+              {selected.schemaViolations?.length > 0 && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  Response does not match the schema of {selected.endpointPattern}:
+                  {selected.schemaViolations.map((violation, index) => (
+                    <Typography key={index} variant="body2" sx={{ fontFamily: "monospace" }}>
+                      {violation.path}: {violation.message}
+                    </Typography>
+                  ))}
+                </Alert>
+              )}
+
+              {!selected.storedResponseId ? (
+                <Alert severity="info">No stored recording is linked to this transaction (it was not recorded or replayed).</Alert>
+              ) : storedLoading ? (
+                <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+                  <CircularProgress />
+                </Box>
+              ) : stored ? (
+                <Grid container spacing={2}>
+                  <Grid item xs={12} md={6}>
+                    <Paper sx={{ p: 2, backgroundColor: "#f5f5f5" }}>
+                      <Typography variant="subtitle2" gutterBottom>
+                        📱 Stored Request #{stored.id} ({selected.endpointType})
+                      </Typography>
+                      <Typography variant="body2">
+                        <strong>Path:</strong> {stored.full_path || stored.endpoint_path}
+                      </Typography>
+                      {stored.request_headers && (
+                        <SectionWithCopy title="Headers:" copyContent={stored.request_headers} copyLabel="Copy headers">
+                          <JsonDisplay data={parseJSON(stored.request_headers)} maxHeight="200px" />
+                        </SectionWithCopy>
+                      )}
+                      {stored.request_body && (
+                        <SectionWithCopy title="Body:" copyContent={stored.request_body} copyLabel="Copy body">
+                          <StoredBody
+                            body={stored.request_body}
+                            encoding={stored.request_body_encoding}
+                            headers={stored.request_headers}
+                            maxHeight="200px"
+                            request={{ method: stored.method, path: stored.endpoint_path }}
+                            side="request"
+                          />
+                        </SectionWithCopy>
+                      )}
+                    </Paper>
+                  </Grid>
+                  <Grid item xs={12} md={6}>
+                    <Paper sx={{ p: 2, backgroundColor: "#f5f5f5" }}>
+                      <Typography variant="subtitle2" gutterBottom>
+                        ✅ Stored Response #{stored.response_id}
+                      </Typography>
+                      <Typography variant="body2">
+                        <strong>Status:</strong> {stored.response_status}
+                      </Typography>
+                      {stored.response_headers && (
+                        <SectionWithCopy title="Headers:" copyContent={stored.response_headers} copyLabel="Copy headers">
+                          <JsonDisplay data={parseJSON(stored.response_headers)} maxHeight="200px" />
+                        </SectionWithCopy>
+                      )}
+                      {stored.response_body && (
+                        <SectionWithCopy title="Body:" copyContent={stored.response_body} copyLabel="Copy body">
+                          <StoredBody
+                            body={stored.response_body}
+                            encoding={stored.response_body_encoding}
+                            headers={stored.response_headers}
+                            maxHeight="300px"
+                            request={{ method: stored.method, path: stored.endpoint_path }}
+                            side="response"
+                          />
+                        </SectionWithCopy>
+                      )}
+                    </Paper>
+                  </Grid>
+                </Grid>
+              ) : null}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelected(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Live;
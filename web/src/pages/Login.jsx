@@ -1,25 +1,45 @@
 import React, { useState } from "react";
-import { useNavigate } from "react-router-dom";
-import { Box, Container, TextField, Button, Typography, Paper, Alert } from "@mui/material";
+import { Box, Container, TextField, Button, Typography, Paper, Alert, Tabs, Tab } from "@mui/material";
+import { login, loginWithApiKey } from "../services/authService";
 
-function Login() {
+/**
+ * Login - console user (username/password) or API key
+ * @param {Function} onLogin - Called with the authenticated principal
+ */
+function Login({ onLogin }) {
+  const [method, setMethod] = useState("password");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
   const [apiKey, setApiKey] = useState("");
   const [error, setError] = useState("");
-  const navigate = useNavigate();
+  const [submitting, setSubmitting] = useState(false);
 
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault();
+    setError("");
 
-    if (!apiKey.trim()) {
+    if (method === "password" && (!username.trim() || !password)) {
+      setError("Please enter your username and password");
+      return;
+    }
+    if (method === "apiKey" && !apiKey.trim()) {
       setError("Please enter an API key");
       return;
     }
 
-    // Store API key in localStorage
-    localStorage.setItem("dproxy_api_key", apiKey);
-
-    // Redirect to dashboard
-    navigate("/");
+    setSubmitting(true);
+    try {
+      if (method === "password") {
+        await login(username.trim(), password);
+      } else {
+        await loginWithApiKey(apiKey.trim());
+      }
+      await onLogin();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSubmitting(false);
+    }
   };
 
   return (
@@ -42,10 +62,15 @@ function Login() {
             width: "100%",
           }}
         >
-          <Typography variant="h4" component="h1" gutterBottom sx={{ mb: 3 }}>
-            dProxy Login
+          <Typography variant="h4" component="h1" gutterBottom sx={{ mb: 2 }}>
+            Deep Proxy Login
           </Typography>
 
+          <Tabs value={method} onChange={(e, value) => setMethod(value)} sx={{ mb: 2 }}>
+            <Tab value="password" label="Username" />
+            <Tab value="apiKey" label="API Key" />
+          </Tabs>
+
           {error && (
             <Alert severity="error" sx={{ width: "100%", mb: 2 }}>
               {error}
@@ -53,25 +78,47 @@ function Login() {
           )}
 
           <Box component="form" onSubmit={handleLogin} sx={{ width: "100%" }}>
-            <TextField
-              fullWidth
-              label="API Key"
-              type="password"
-              value={apiKey}
-              onChange={(e) => {
-                setApiKey(e.target.value);
-                setError("");
-              }}
-              placeholder="Enter your dProxy API key"
-              margin="normal"
-            />
+            {method === "password" ? (
+              <>
+                <TextField
+                  fullWidth
+                  label="Username"
+                  autoComplete="username"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  margin="normal"
+                  autoFocus
+                />
+                <TextField
+                  fullWidth
+                  label="Password"
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  margin="normal"
+                />
+              </>
+            ) : (
+              <TextField
+                fullWidth
+                label="API Key"
+                type="password"
+                value={apiKey}
+                onChange={(e) => setApiKey(e.target.value)}
+                placeholder="dpk_... or ADMIN_API_KEY"
+                margin="normal"
+                autoFocus
+              />
+            )}
 
-            <Button fullWidth variant="contained" color="primary" type="submit" sx={{ mt: 3, mb: 2 }}>
-              Login
+            <Button fullWidth variant="contained" color="primary" type="submit" disabled={submitting} sx={{ mt: 3, mb: 2 }}>
+              {submitting ? "Signing in..." : "Login"}
             </Button>
 
             <Typography variant="body2" color="textSecondary" sx={{ mt: 2 }}>
-              For development: Use any non-empty API key. Update your .env with the actual API_KEY value.
+              Console users and API keys are managed by admins on the Access page. The first admin can be created with
+              CONSOLE_ADMIN_USERNAME / CONSOLE_ADMIN_PASSWORD, or sign in with the ADMIN_API_KEY from .env (when it is not set, the server logs a key at startup).
             </Typography>
           </Box>
         </Paper>
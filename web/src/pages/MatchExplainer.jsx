@@ -0,0 +1,390 @@
+import React, { useEffect, useState } from "react";
+import {
+  Box,
+  Paper,
+  Typography,
+  Grid,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  CircularProgress,
+} from "@mui/material";
+import { ExpandMore as ExpandMoreIcon, ManageSearch as ExplainIcon } from "@mui/icons-material";
+import { explainMatch, getPublicServices, getSecureServices } from "../services/api";
+import MethodTag from "../components/MethodTag";
+
+const METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD"];
+
+const EMPTY_REQUEST = { method: "GET", url: "", headers: "{}", body: "" };
+
+/**
+ * Format JSON text for editing (keeps non-JSON text as-is)
+ */
+const prettyJson = (text) => {
+  if (!text) return "";
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (e) {
+    return text;
+  }
+};
+
+/**
+ * Short label for a candidate record
+ */
+const describeCandidate = (candidate) => {
+  const dimensions = [candidate.app_version, candidate.app_language, candidate.app_platform, candidate.app_environment]
+    .filter(Boolean)
+    .join(" / ");
+  return `request #${candidate.requestId} → response #${candidate.responseId} (${candidate.responseStatus})${dimensions ? ` ${dimensions}` : ""}${
+    candidate.query_params ? ` ?${candidate.query_params}` : ""
+  }`;
+};
+
+const ConditionsTable = ({ conditions, showRemaining = false }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>Condition</TableCell>
+        <TableCell>SQL</TableCell>
+        <TableCell>Params</TableCell>
+        {showRemaining && <TableCell align="right">Candidates left</TableCell>}
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {conditions.map((condition, index) => (
+        <TableRow key={index} sx={showRemaining && condition.remaining === 0 ? { bgcolor: "#fdecea" } : undefined}>
+          <TableCell>{condition.label}</TableCell>
+          <TableCell sx={{ fontFamily: "monospace", fontSize: "0.75rem", maxWidth: 400, wordBreak: "break-all" }}>{condition.sql}</TableCell>
+          <TableCell sx={{ fontFamily: "monospace", fontSize: "0.75rem" }}>{JSON.stringify(condition.params)}</TableCell>
+          {showRemaining && (
+            <TableCell align="right">
+              <Chip label={condition.remaining} size="small" color={condition.remaining === 0 ? "error" : "default"} />
+            </TableCell>
+          )}
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+const StrategyStep = ({ step, index }) => {
+  const summary = step.selected
+    ? `selected response #${step.selected.responseId}`
+    : step.eliminatedBy
+      ? `no match, eliminated by ${step.eliminatedBy}`
+      : "no match";
+
+  return (
+    <Accordion defaultExpanded={!!step.selected}>
+      <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+        <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+          <Typography fontWeight={600}>
+            {index + 1}. {step.name}
+          </Typography>
+          {step.collection && <Chip label={`collection: ${step.collection}`} size="small" variant="outlined" />}
+          <Chip label={`${step.sqlCandidates} SQL candidates`} size="small" />
+          <Chip label={summary} size="small" color={step.selected ? "success" : "warning"} />
+        </Box>
+      </AccordionSummary>
+      <AccordionDetails>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          version: {step.versionMode} {step.version ? `(${step.version})` : ""} · language: {step.languageMode}{" "}
+          {step.language ? `(${step.language})` : ""} · platform: {step.platformMode} {step.platform ? `(${step.platform})` : ""}
+        </Typography>
+
+        {step.conditions.length > 0 && (
+          <>
+            <Typography variant="subtitle2" sx={{ mt: 1 }}>
+              Strategy conditions
+            </Typography>
+            <ConditionsTable conditions={step.conditions} />
+          </>
+        )}
+
+        {step.sqlBreakdown && (
+          <>
+            <Typography variant="subtitle2" sx={{ mt: 2 }}>
+              Candidates remaining after each condition
+            </Typography>
+            <ConditionsTable conditions={step.sqlBreakdown} showRemaining />
+          </>
+        )}
+
+        {step.filters.map((filter, filterIndex) => (
+          <Box key={filterIndex} sx={{ mt: 2 }}>
+            <Typography variant="subtitle2">
+              {filter.filter}
+              {filter.before !== undefined && ` (${filter.before} → ${filter.after})`}
+              {filter.target && ` (target ${filter.target})`}
+            </Typography>
+            {filter.eliminated &&
+              (filter.eliminated.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No candidates eliminated
+                </Typography>
+              ) : (
+                filter.eliminated.map((candidate) => (
+                  <Typography key={candidate.responseId} variant="body2" fontFamily="monospace" color="error.main">
+                    ✗ {describeCandidate(candidate)}
+                  </Typography>
+                ))
+              ))}
+            {filter.ranking &&
+              filter.ranking.map((candidate, rank) => (
+                <Typography key={candidate.responseId} variant="body2" fontFamily="monospace">
+                  {rank + 1}. {describeCandidate(candidate)}
+                  {candidate.bodyScore && ` body score ${JSON.stringify(candidate.bodyScore)}`}
+                </Typography>
+              ))}
+          </Box>
+        ))}
+
+        {step.selected && (
+          <Alert severity="success" sx={{ mt: 2 }}>
+            Selected {describeCandidate(step.selected)}
+          </Alert>
+        )}
+      </AccordionDetails>
+    </Accordion>
+  );
+};
+
+const MatchExplainer = () => {
+  const [request, setRequest] = useState(EMPTY_REQUEST);
+  const [captured, setCaptured] = useState([]);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const loadCaptured = async () => {
+      try {
+        const [publicResponse, secureResponse] = await Promise.all([getPublicServices(), getSecureServices()]);
+        setCaptured([...(publicResponse?.data || []), ...(secureResponse?.data || [])]);
+      } catch (err) {
+        console.error("Failed to load captured requests:", err);
+      }
+    };
+    loadCaptured();
+  }, []);
+
+  const handlePickCaptured = (service) => {
+    if (!service) return;
+    setRequest({
+      method: service.method,
+      url: service.full_path || service.endpoint_path,
+      headers: prettyJson(service.request_headers) || "{}",
+      body: prettyJson(service.request_body),
+    });
+    setResult(null);
+  };
+
+  const handleExplain = async () => {
+    setError(null);
+    setResult(null);
+
+    let headers;
+    try {
+      headers = request.headers.trim() ? JSON.parse(request.headers) : {};
+    } catch (e) {
+      setError("Headers must be a JSON object");
+      return;
+    }
+
+    let body = request.body.trim() ? request.body : null;
+    if (body) {
+      try {
+        body = JSON.parse(body);
+      } catch (e) {
+        // Text body
+      }
+    }
+
+    setLoading(true);
+    try {
+      const response = await explainMatch({ method: request.method, url: request.url, headers, body });
+      setResult(response.explain);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Match Explainer
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        See why a request matches (or misses) a recorded response in replay mode. Scenarios are not evaluated.
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Grid container spacing={2}>
+          <Grid item xs={12}>
+            <Autocomplete
+              options={captured}
+              getOptionLabel={(service) => `${service.method} ${service.full_path || service.endpoint_path} (response #${service.response_id})`}
+              renderOption={(props, service) => (
+                <li {...props} key={`${service.id}-${service.response_id}`}>
+                  <MethodTag method={service.method} />
+                  <Typography variant="body2" sx={{ ml: 1 }} noWrap>
+                    {service.full_path || service.endpoint_path}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                    {[service.app_version, service.app_language, service.app_platform, service.user_identifier].filter(Boolean).join(" / ")}
+                  </Typography>
+                </li>
+              )}
+              onChange={(e, service) => handlePickCaptured(service)}
+              renderInput={(params) => <TextField {...params} size="small" label="Pick a captured request (optional)" />}
+            />
+          </Grid>
+          <Grid item xs={12} sm={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Method</InputLabel>
+              <Select value={request.method} label="Method" onChange={(e) => setRequest({ ...request, method: e.target.value })}>
+                {METHODS.map((method) => (
+                  <MenuItem key={method} value={method}>
+                    {method}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={10}>
+            <TextField
+              fullWidth
+              size="small"
+              label="URL or path"
+              placeholder="https://api.example.com/v1/cart?id=1"
+              value={request.url}
+              onChange={(e) => setRequest({ ...request, url: e.target.value })}
+            />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={6}
+              label="Headers (JSON)"
+              value={request.headers}
+              onChange={(e) => setRequest({ ...request, headers: e.target.value })}
+              InputProps={{ sx: { fontFamily: "monospace", fontSize: "0.8rem" } }}
+            />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={6}
+              label="Body"
+              value={request.body}
+              onChange={(e) => setRequest({ ...request, body: e.target.value })}
+              InputProps={{ sx: { fontFamily: "monospace", fontSize: "0.8rem" } }}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <Button
+              variant="contained"
+              startIcon={loading ? <CircularProgress size={16} color="inherit" /> : <ExplainIcon />}
+              onClick={handleExplain}
+              disabled={loading || !request.url}
+            >
+              Explain
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {result && (
+        <Box>
+          {result.rejected ? (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {result.rejected}
+            </Alert>
+          ) : result.matched ? (
+            <Alert severity="success" sx={{ mb: 2 }}>
+              Matched by strategy <strong>{result.strategy}</strong>: {describeCandidate(result.selected)} · score {result.score}
+            </Alert>
+          ) : (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              No match: replay would use the fallback behavior
+            </Alert>
+          )}
+
+          <Paper sx={{ p: 2, mb: 2 }}>
+            <Typography variant="subtitle1" gutterBottom>
+              Request as matched
+            </Typography>
+            <Box display="flex" gap={1} flexWrap="wrap">
+              <Chip label={`user: ${result.user?.userId ?? "none"}${result.user?.secure ? " (secure endpoint)" : ""}`} size="small" />
+              {result.searchParams &&
+                ["appVersion", "appLanguage", "appPlatform", "appEnvironment"].map((key) => (
+                  <Chip key={key} label={`${key}: ${result.searchParams[key] || "-"}`} size="small" variant="outlined" />
+                ))}
+              {result.searchParams?.queryParams && (
+                <Chip label={`query: ${JSON.stringify(result.searchParams.queryParams)}`} size="small" variant="outlined" />
+              )}
+              {result.collections?.length > 0 && (
+                <Chip label={`collections: ${result.collections.map((c) => c.name).join(" → ")}`} size="small" variant="outlined" />
+              )}
+              {result.queryMatching && (
+                <Chip
+                  label={
+                    result.queryMatching.type === "match_query_params"
+                      ? `query matching: ${result.queryMatching.params.join(", ")}`
+                      : "query matching: all params (normalized)"
+                  }
+                  size="small"
+                  variant="outlined"
+                />
+              )}
+            </Box>
+            <Typography variant="body2" sx={{ mt: 1 }}>
+              Endpoint config:{" "}
+              {result.config ? `#${result.config.id} ${result.config.endpoint_pattern} (${result.config.type || "default"})` : "none (proxy defaults)"}
+            </Typography>
+          </Paper>
+
+          {result.baseConditions?.length > 0 && (
+            <Paper sx={{ p: 2, mb: 2 }}>
+              <Typography variant="subtitle1" gutterBottom>
+                Base conditions (all strategies)
+              </Typography>
+              <ConditionsTable conditions={result.baseConditions} />
+            </Paper>
+          )}
+
+          {result.strategies.map((step, index) => (
+            <StrategyStep key={`${step.collection || ""}-${step.name}`} step={step} index={index} />
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default MatchExplainer;
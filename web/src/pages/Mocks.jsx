@@ -0,0 +1,302 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+  Typography,
+  CircularProgress,
+  Snackbar,
+} from "@mui/material";
+import { Refresh as RefreshIcon, Upload as ImportIcon, Visibility as ViewIcon, Delete as DeleteIcon } from "@mui/icons-material";
+import { getMockSpecs, getMockSpec, importMockSpec, updateMockSpec, deleteMockSpec } from "../services/mockSpecService";
+import { getReplayFallback, setReplayFallback } from "../services/api";
+import JsonDisplay from "../components/JsonDisplay";
+import { formatDate } from "../utils/formatting";
+
+const FALLBACKS = [
+  { value: "error", label: "Error (404)" },
+  { value: "passthrough", label: "Passthrough to backend" },
+  { value: "template", label: "Response template" },
+  { value: "openapi", label: "OpenAPI mocks" },
+];
+
+/**
+ * Mocks - Imported OpenAPI documents that synthesize replay responses for requests without recordings
+ * @param {boolean} canEdit - Whether the current user may import and change specs (tester and above)
+ */
+function Mocks({ canEdit = true }) {
+  const [mockSpecs, setMockSpecs] = useState([]);
+  const [fallback, setFallback] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [importing, setImporting] = useState(null);
+  const [viewing, setViewing] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const notify = (message, severity = "success") => setSnackbar({ open: true, message, severity });
+
+  const loadMockSpecs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [specsResponse, fallbackResponse] = await Promise.all([getMockSpecs(), getReplayFallback()]);
+      setMockSpecs(specsResponse.data || []);
+      setFallback(fallbackResponse.behavior || "");
+    } catch (err) {
+      notify("Failed to load mock specs: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMockSpecs();
+  }, [loadMockSpecs]);
+
+  const handleFallbackChange = async (behavior) => {
+    try {
+      await setReplayFallback(behavior);
+      setFallback(behavior);
+      notify("Replay fallback updated");
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  // Read the selected OpenAPI document and open the import dialog
+  const handleFileSelect = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const spec = JSON.parse(e.target.result);
+        setImporting({ name: spec.info?.title || file.name.replace(/\.json$/i, ""), host: "", spec });
+      } catch (err) {
+        notify("Invalid file: OpenAPI documents must be JSON", "error");
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleImport = async () => {
+    try {
+      await importMockSpec({ name: importing.name.trim(), host: importing.host.trim() || null, spec: importing.spec });
+      notify(`Mock spec "${importing.name}" imported`);
+      setImporting(null);
+      loadMockSpecs();
+    } catch (err) {
+      notify("Failed to import: " + (err.response?.data?.error || err.message), "error");
+    }
+  };
+
+  const handleToggleEnabled = async (mockSpec) => {
+    try {
+      await updateMockSpec(mockSpec.id, { enabled: !mockSpec.enabled });
+      loadMockSpecs();
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  const handleView = async (mockSpec) => {
+    try {
+      setViewing(await getMockSpec(mockSpec.id));
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  const handleDelete = async (mockSpec) => {
+    if (!window.confirm(`Delete mock spec "${mockSpec.name}"?`)) return;
+    try {
+      await deleteMockSpec(mockSpec.id);
+      notify("Mock spec deleted");
+      loadMockSpecs();
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Mocks
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Imported OpenAPI 3 documents answer replay requests that have no recording when the replay fallback is "OpenAPI mocks". Responses use
+        the examples of the spec, otherwise values generated from the schemas. The first 2xx status is returned; clients can ask for another
+        status or a named example with a "Prefer: code=404" or "Prefer: example=name" header.
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 2, display: "flex", alignItems: "center", gap: 2, flexWrap: "wrap" }}>
+        <FormControl size="small" sx={{ minWidth: 240 }}>
+          <InputLabel>Replay fallback</InputLabel>
+          <Select label="Replay fallback" value={fallback} disabled={!canEdit} onChange={(e) => handleFallbackChange(e.target.value)}>
+            {FALLBACKS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Typography variant="body2" color="text.secondary">
+          What replay mode returns when no recording matches (not persisted across restarts).
+        </Typography>
+      </Paper>
+
+      {fallback && fallback !== "openapi" && mockSpecs.some((mockSpec) => mockSpec.enabled) && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Mock specs are only used when the replay fallback is "OpenAPI mocks".
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2, gap: 1, flexWrap: "wrap" }}>
+          <Typography variant="h6">
+            Specs <Chip size="small" label={mockSpecs.length} />
+          </Typography>
+          <Box sx={{ display: "flex", gap: 1 }}>
+            {canEdit && (
+              <Button variant="contained" component="label" startIcon={<ImportIcon />}>
+                Import OpenAPI
+                <input type="file" accept=".json" hidden onChange={handleFileSelect} />
+              </Button>
+            )}
+            <Button variant="outlined" startIcon={<RefreshIcon />} onClick={loadMockSpecs}>
+              Refresh
+            </Button>
+          </Box>
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : mockSpecs.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+            No mock specs yet. Import an OpenAPI 3 document (JSON).
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Serves</TableCell>
+                  <TableCell align="right">Operations</TableCell>
+                  <TableCell>Updated</TableCell>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {mockSpecs.map((mockSpec) => (
+                  <TableRow key={mockSpec.id} hover>
+                    <TableCell>
+                      {mockSpec.name}
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {mockSpec.title} {mockSpec.version && `v${mockSpec.version}`} (OpenAPI {mockSpec.openapi})
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {mockSpec.host ? (
+                        <Chip size="small" label={mockSpec.host} />
+                      ) : (
+                        mockSpec.servers.map((server) => <Chip key={server} size="small" variant="outlined" label={server} sx={{ mr: 0.5 }} />)
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{mockSpec.operations}</TableCell>
+                    <TableCell sx={{ whiteSpace: "nowrap" }}>{formatDate(mockSpec.updated_at, true)}</TableCell>
+                    <TableCell>
+                      <Switch size="small" checked={mockSpec.enabled} disabled={!canEdit} onChange={() => handleToggleEnabled(mockSpec)} />
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                      <Tooltip title="View document">
+                        <IconButton size="small" onClick={() => handleView(mockSpec)}>
+                          <ViewIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      {canEdit && (
+                        <Tooltip title="Delete">
+                          <IconButton size="small" color="error" onClick={() => handleDelete(mockSpec)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      <Dialog open={!!importing} onClose={() => setImporting(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Import OpenAPI Document</DialogTitle>
+        <DialogContent>
+          {importing && (
+            <Box sx={{ display: "flex", flexDirection: "column", gap: 2, pt: 1 }}>
+              <TextField size="small" label="Name" value={importing.name} onChange={(e) => setImporting({ ...importing, name: e.target.value })} />
+              <TextField
+                size="small"
+                label="Host"
+                helperText="Only serve this host (e.g. api.example.com). Empty: the hosts of the spec's servers, or any host."
+                value={importing.host}
+                onChange={(e) => setImporting({ ...importing, host: e.target.value })}
+              />
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setImporting(null)}>Cancel</Button>
+          <Button variant="contained" disabled={!importing?.name.trim()} onClick={handleImport}>
+            Import
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!viewing} onClose={() => setViewing(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{viewing?.name}</DialogTitle>
+        <DialogContent>{viewing && <JsonDisplay data={viewing.spec} maxHeight="60vh" />}</DialogContent>
+        <DialogActions>
+          <Button onClick={() => setViewing(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Mocks;
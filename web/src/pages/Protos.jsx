@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+  Typography,
+  CircularProgress,
+  Snackbar,
+} from "@mui/material";
+import { Refresh as RefreshIcon, Upload as UploadIcon, Edit as EditIcon, Delete as DeleteIcon } from "@mui/icons-material";
+import {
+  getProtoDescriptors,
+  getProtoDescriptor,
+  uploadProtoDescriptor,
+  updateProtoDescriptor,
+  deleteProtoDescriptor,
+} from "../services/protoService";
+import { formatDate } from "../utils/formatting";
+
+const BINDINGS_HELP =
+  'REST endpoints without a gRPC path or messageType content type parameter, e.g. [{ "method": "GET", "path": "/v1/users/{id}", "response": "demo.User" }]';
+
+/**
+ * Protos - Uploaded .proto files that decode protobuf and gRPC-Web bodies for display, match_body and editing
+ * @param {boolean} canEdit - Whether the current user may upload and change descriptors (tester and above)
+ */
+function Protos({ canEdit = true }) {
+  const [descriptors, setDescriptors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // Upload or edit dialog: { id?, name, source, bindings (JSON text) }
+  const [editing, setEditing] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const notify = (message, severity = "success") => setSnackbar({ open: true, message, severity });
+
+  const loadDescriptors = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getProtoDescriptors();
+      setDescriptors(response.data || []);
+    } catch (err) {
+      notify("Failed to load proto descriptors: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDescriptors();
+  }, [loadDescriptors]);
+
+  // Read the selected .proto file and open the upload dialog
+  const handleFileSelect = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => setEditing({ name: file.name, source: e.target.result, bindings: "[]" });
+    reader.readAsText(file);
+  };
+
+  const handleEdit = async (descriptor) => {
+    try {
+      const full = await getProtoDescriptor(descriptor.id);
+      setEditing({ id: full.id, name: full.name, source: full.source, bindings: JSON.stringify(full.bindings, null, 2) });
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  const handleSave = async () => {
+    let bindings;
+    try {
+      bindings = JSON.parse(editing.bindings || "[]");
+    } catch (err) {
+      notify("Bindings must be a JSON array", "error");
+      return;
+    }
+
+    try {
+      const data = { name: editing.name.trim(), source: editing.source, bindings };
+      if (editing.id) {
+        await updateProtoDescriptor(editing.id, data);
+        notify(`Proto descriptor "${data.name}" updated`);
+      } else {
+        await uploadProtoDescriptor(data);
+        notify(`Proto descriptor "${data.name}" uploaded`);
+      }
+      setEditing(null);
+      loadDescriptors();
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  const handleDelete = async (descriptor) => {
+    if (!window.confirm(`Delete proto descriptor "${descriptor.name}"?`)) return;
+    try {
+      await deleteProtoDescriptor(descriptor.id);
+      notify("Proto descriptor deleted");
+      loadDescriptors();
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Protobuf
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Uploaded .proto files decode application/x-protobuf and gRPC-Web bodies in the service details, where decoded responses can be
+        edited. Endpoint rules can then target decoded fields in match_body. The message type comes from the gRPC path
+        (/package.Service/Method), the messageType parameter of the Content-Type, or the bindings of a file.
+      </Typography>
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2, gap: 1, flexWrap: "wrap" }}>
+          <Typography variant="h6">
+            .proto Files <Chip size="small" label={descriptors.length} />
+          </Typography>
+          <Box sx={{ display: "flex", gap: 1 }}>
+            {canEdit && (
+              <Button variant="contained" component="label" startIcon={<UploadIcon />}>
+                Upload .proto
+                <input type="file" accept=".proto" hidden onChange={handleFileSelect} />
+              </Button>
+            )}
+            <Button variant="outlined" startIcon={<RefreshIcon />} onClick={loadDescriptors}>
+              Refresh
+            </Button>
+          </Box>
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : descriptors.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+            No .proto files yet. Upload the descriptors of your protobuf or gRPC-Web services.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Services</TableCell>
+                  <TableCell align="right">Messages</TableCell>
+                  <TableCell align="right">Bindings</TableCell>
+                  <TableCell>Updated</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {descriptors.map((descriptor) => (
+                  <TableRow key={descriptor.id} hover>
+                    <TableCell>
+                      {descriptor.name}
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {descriptor.package ? `package ${descriptor.package}` : "no package"}
+                      </Typography>
+                      {descriptor.error && (
+                        <Typography variant="caption" color="error" display="block">
+                          Not loaded: {descriptor.error}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {descriptor.services.map((service) => (
+                        <Chip key={service} size="small" variant="outlined" label={service} sx={{ mr: 0.5 }} />
+                      ))}
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title={descriptor.messages.join(", ")}>
+                        <span>{descriptor.messages.length}</span>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell align="right">{descriptor.bindings.length}</TableCell>
+                    <TableCell sx={{ whiteSpace: "nowrap" }}>{formatDate(descriptor.updated_at, true)}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                      <Tooltip title={canEdit ? "Edit" : "View"}>
+                        <IconButton size="small" onClick={() => handleEdit(descriptor)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      {canEdit && (
+                        <Tooltip title="Delete">
+                          <IconButton size="small" color="error" onClick={() => handleDelete(descriptor)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{editing?.id ? editing.name : "Upload .proto File"}</DialogTitle>
+        <DialogContent>
+          {editing && (
+            <Box sx={{ display: "flex", flexDirection: "column", gap: 2, pt: 1 }}>
+              {!canEdit && <Alert severity="info">Read only: testers and admins can change .proto files.</Alert>}
+              <TextField
+                size="small"
+                label="Name"
+                helperText="Unique name, e.g. the file name. Files share one namespace: types of other files resolve whatever their import paths"
+                value={editing.name}
+                disabled={!canEdit}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              />
+              <TextField
+                label="Source"
+                multiline
+                minRows={10}
+                maxRows={24}
+                value={editing.source}
+                disabled={!canEdit}
+                onChange={(e) => setEditing({ ...editing, source: e.target.value })}
+                InputProps={{ sx: { fontFamily: "monospace", fontSize: 13 } }}
+              />
+              <TextField
+                label="Bindings"
+                multiline
+                minRows={3}
+                helperText={BINDINGS_HELP}
+                value={editing.bindings}
+                disabled={!canEdit}
+                onChange={(e) => setEditing({ ...editing, bindings: e.target.value })}
+                InputProps={{ sx: { fontFamily: "monospace", fontSize: 13 } }}
+              />
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>{canEdit ? "Cancel" : "Close"}</Button>
+          {canEdit && (
+            <Button variant="contained" disabled={!editing?.name.trim() || !editing?.source.trim()} onClick={handleSave}>
+              {editing?.id ? "Save" : "Upload"}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Protos;
@@ -24,6 +24,8 @@ import {
   Grid,
   Alert,
   TextField,
+  FormControlLabel,
+  Switch,
 } from "@mui/material";
 import {
   Edit as EditIcon,
@@ -31,6 +33,7 @@ import {
   Add as AddIcon,
   Refresh as RefreshIcon,
   ContentCopy as CopyIcon,
+  Visibility as PreviewIcon,
 } from "@mui/icons-material";
 import {
   fetchResponses,
@@ -47,6 +50,13 @@ import { fetchEndpoints, selectAllEndpoints } from "../store/slices/endpointSlic
 import JsonEditor from "../components/common/JsonEditor";
 import HeaderEditor from "../components/common/HeaderEditor";
 import StatusCodeSelector from "../components/common/StatusCodeSelector";
+import { previewResponse } from "../services/responseService";
+
+const TEMPLATE_HELP =
+  "Placeholders: {{now}}, {{now+1d|iso}}, {{now|epoch}}, {{uuid}}, {{random.int 1 100}}, {{request.path}}, " +
+  "{{request.query.id}}, {{request.headers.x-name}}, {{request.body.accountId}}, {{session.userId}}";
+
+const EMPTY_SAMPLE_REQUEST = { method: "GET", path: "", query: "{}", body: "" };
 
 const ResponseManagement = () => {
   const dispatch = useDispatch();
@@ -65,7 +75,11 @@ const ResponseManagement = () => {
     response_headers: {},
     response_body: "",
     description: "",
+    templated: false,
   });
+  const [sampleRequest, setSampleRequest] = useState(EMPTY_SAMPLE_REQUEST);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
 
   // Track initialization to prevent double fetch in StrictMode
   const initializedRef = React.useRef(false);
@@ -97,6 +111,7 @@ const ResponseManagement = () => {
         response_headers: response.response_headers ? JSON.parse(response.response_headers) : {},
         response_body: response.response_body,
         description: response.description || "",
+        templated: !!response.templated,
       });
     } else {
       setSelectedResponse(null);
@@ -107,8 +122,17 @@ const ResponseManagement = () => {
         response_headers: {},
         response_body: "",
         description: "",
+        templated: false,
       });
     }
+    const endpoint = endpoints.find((e) => e.id === (response ? response.api_request_id : selectedEndpointId));
+    setSampleRequest({
+      ...EMPTY_SAMPLE_REQUEST,
+      method: endpoint?.http_method || "GET",
+      path: endpoint?.endpoint_path || "",
+    });
+    setPreview(null);
+    setPreviewError(null);
     setEditDialogOpen(true);
   };
 
@@ -129,6 +153,23 @@ const ResponseManagement = () => {
     }
   };
 
+  const handlePreview = async () => {
+    setPreviewError(null);
+    try {
+      const query = sampleRequest.query.trim() ? JSON.parse(sampleRequest.query) : {};
+      const result = await previewResponse({
+        response_status: formData.response_status,
+        response_headers: formData.response_headers,
+        response_body: formData.response_body,
+        request: { method: sampleRequest.method, path: sampleRequest.path, query, body: sampleRequest.body },
+      });
+      setPreview(result);
+    } catch (err) {
+      setPreview(null);
+      setPreviewError(err.response?.data?.error || err.message);
+    }
+  };
+
   const handleDuplicateResponse = async (id) => {
     await dispatch(duplicateResponse(id));
     if (selectedEndpointId) {
@@ -248,6 +289,7 @@ const ResponseManagement = () => {
                   </TableCell>
                   <TableCell>
                     <Chip label={response.response_source} color={getSourceColor(response.response_source)} size="small" />
+                    {!!response.templated && <Chip label="templated" size="small" variant="outlined" sx={{ ml: 1 }} />}
                   </TableCell>
                   <TableCell>{response.description || "-"}</TableCell>
                   <TableCell>
@@ -326,6 +368,90 @@ const ResponseManagement = () => {
                   height={15}
                 />
               </Grid>
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={formData.templated}
+                      onChange={(e) => setFormData({ ...formData, templated: e.target.checked })}
+                    />
+                  }
+                  label="Templated (render placeholders at replay time)"
+                />
+                <Typography variant="caption" color="text.secondary" display="block">
+                  {TEMPLATE_HELP}
+                </Typography>
+              </Grid>
+              {formData.templated && (
+                <>
+                  <Grid item xs={12}>
+                    <Typography variant="subtitle2">Preview with sample request</Typography>
+                  </Grid>
+                  <Grid item xs={12} sm={2}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Method"
+                      value={sampleRequest.method}
+                      onChange={(e) => setSampleRequest({ ...sampleRequest, method: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={5}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Path"
+                      value={sampleRequest.path}
+                      onChange={(e) => setSampleRequest({ ...sampleRequest, path: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={5}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Query (JSON)"
+                      value={sampleRequest.query}
+                      onChange={(e) => setSampleRequest({ ...sampleRequest, query: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      multiline
+                      minRows={2}
+                      label="Request Body"
+                      value={sampleRequest.body}
+                      onChange={(e) => setSampleRequest({ ...sampleRequest, body: e.target.value })}
+                      InputProps={{ sx: { fontFamily: "monospace" } }}
+                    />
+                  </Grid>
+                  <Grid item xs={12}>
+                    <Button variant="outlined" startIcon={<PreviewIcon />} onClick={handlePreview}>
+                      Preview
+                    </Button>
+                  </Grid>
+                  {previewError && (
+                    <Grid item xs={12}>
+                      <Alert severity="error">{previewError}</Alert>
+                    </Grid>
+                  )}
+                  {preview && (
+                    <Grid item xs={12}>
+                      <Paper variant="outlined" sx={{ p: 2, bgcolor: "grey.50" }}>
+                        <Typography variant="body2" fontFamily="monospace" component="pre" sx={{ m: 0, whiteSpace: "pre-wrap" }}>
+                          {`HTTP ${preview.status}\n`}
+                          {Object.entries(preview.headers || {})
+                            .map(([key, value]) => `${key}: ${value}`)
+                            .join("\n")}
+                          {"\n\n"}
+                          {typeof preview.body === "string" ? preview.body : JSON.stringify(preview.body, null, 2)}
+                        </Typography>
+                      </Paper>
+                    </Grid>
+                  )}
+                </>
+              )}
             </Grid>
           </Box>
         </DialogContent>
@@ -34,7 +34,9 @@ import { getEndpointTypeTag } from "../utils/endpointTagUtils";
 import { compareVersions } from "../utils/versionComparison";
 import MethodTag from "../components/MethodTag";
 import JsonDisplay from "../components/JsonDisplay";
+import StoredBody from "../components/StoredBody";
 import SectionWithCopy from "../components/SectionWithCopy";
+import HarTransfer from "../components/HarTransfer";
 import { getDisplayType } from "../utils/endpointTypeUtils";
 import { getFilterOptionsFromServices } from "../utils/filterOptions";
 
@@ -45,7 +47,7 @@ const COLORS = {
   public: "#4CAF50",
 };
 
-function SecureServices() {
+function SecureServices({ canEdit = true }) {
   const [services, setServices] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -183,8 +185,8 @@ function SecureServices() {
   const getLatestEndpoints = (servicesList) => {
     const latestMap = new Map();
     servicesList.forEach((service) => {
-      // Key: user_id + endpoint_name + platform + version + language + environment
-      const key = `${service.user_id}|${service.endpoint_name}|${service.app_platform}|${service.app_version}|${service.app_language}|${service.app_environment}`;
+      // Key: user_id + endpoint_name (+ GraphQL operation) + platform + version + language + environment
+      const key = `${service.user_id}|${service.endpoint_name}${service.graphql_operation ? `#${service.graphql_operation}` : ""}|${service.app_platform}|${service.app_version}|${service.app_language}|${service.app_environment}`;
       const existing = latestMap.get(key);
       if (!existing || new Date(service.created_at) > new Date(existing.created_at)) {
         latestMap.set(key, service);
@@ -200,8 +202,9 @@ function SecureServices() {
   const endpointFilteredServices = useMemo(() => {
     if (!services) return services;
     return services.filter((service) => {
-      // Endpoint filter (partial match)
-      if (filters.endpoint && !(service.endpoint_name || "").toLowerCase().includes(filters.endpoint.toLowerCase())) {
+      // Endpoint filter (partial match on the endpoint name or GraphQL operation)
+      const endpointLabel = `${service.endpoint_name || ""}${service.graphql_operation ? `#${service.graphql_operation}` : ""}`;
+      if (filters.endpoint && !endpointLabel.toLowerCase().includes(filters.endpoint.toLowerCase())) {
         return false;
       }
       // User ID filter (partial match)
@@ -325,9 +328,12 @@ function SecureServices() {
 
   return (
     <Box sx={{ p: 3 }}>
-      <Typography variant="h5" gutterBottom>
-        🔒 Secure Services
-      </Typography>
+      <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start" }}>
+        <Typography variant="h5" gutterBottom>
+          🔒 Secure Services
+        </Typography>
+        <HarTransfer endpointType="secure" initialFilters={filters} onImported={() => fetchServices()} />
+      </Box>
       <Typography variant="caption" color="textSecondary">
         (Includes Authentication Endpoints)
       </Typography>
@@ -661,7 +667,7 @@ function SecureServices() {
               <TableBody>
                 {paginatedServices && paginatedServices.length > 0 ? (
                   paginatedServices.map((service, index) => {
-                    const key = `${service.user_id}|${service.endpoint_name}|${service.app_platform}|${service.app_version}|${service.app_language}|${service.app_environment}`;
+                    const key = `${service.user_id}|${service.endpoint_name}${service.graphql_operation ? `#${service.graphql_operation}` : ""}|${service.app_platform}|${service.app_version}|${service.app_language}|${service.app_environment}`;
                     const isLatest = latestEndpoints.get(key)?.id === service.id;
                     return (
                       <TableRow key={`secure-${service.id}-${index}`} hover sx={{ height: "32px" }}>
@@ -682,6 +688,9 @@ function SecureServices() {
                                   </>
                                 )}
                               </span>
+                              {service.graphql_operation && (
+                                <Chip label={service.graphql_operation} size="small" variant="outlined" sx={{ fontSize: "0.65rem", height: "20px" }} />
+                              )}
                             </Box>
                           </Tooltip>
                         </TableCell>
@@ -859,6 +868,11 @@ function SecureServices() {
                     <Typography variant="body2">
                       <strong>Name:</strong> {selectedService.endpoint_name}
                     </Typography>
+                    {selectedService.graphql_operation && (
+                      <Typography variant="body2">
+                        <strong>GraphQL Operation:</strong> {selectedService.graphql_operation}
+                      </Typography>
+                    )}
                     <Typography variant="body2">
                       <strong>Path:</strong> {selectedService.full_path}
                     </Typography>
@@ -892,7 +906,14 @@ function SecureServices() {
                     )}
                     {selectedService.request_body && (
                       <SectionWithCopy title="Body:" copyContent={selectedService.request_body} copyLabel="Copy body">
-                        <JsonDisplay data={parseJSON(selectedService.request_body)} maxHeight="200px" />
+                        <StoredBody
+                          body={selectedService.request_body}
+                          encoding={selectedService.request_body_encoding}
+                          headers={selectedService.request_headers}
+                          maxHeight="200px"
+                          request={{ method: selectedService.method, path: selectedService.endpoint_path }}
+                          side="request"
+                        />
                       </SectionWithCopy>
                     )}
                   </Paper>
@@ -913,7 +934,17 @@ function SecureServices() {
                     )}
                     {selectedService.response_body && (
                       <SectionWithCopy title="Body:" copyContent={selectedService.response_body} copyLabel="Copy body">
-                        <JsonDisplay data={parseJSON(selectedService.response_body)} maxHeight="300px" />
+                        <StoredBody
+                          body={selectedService.response_body}
+                          encoding={selectedService.response_body_encoding}
+                          headers={selectedService.response_headers}
+                          maxHeight="300px"
+                          request={{ method: selectedService.method, path: selectedService.endpoint_path }}
+                          side="response"
+                          responseId={selectedService.response_id}
+                          canEdit={canEdit}
+                          onEdited={() => handleViewDetails(selectedService)}
+                        />
                       </SectionWithCopy>
                     )}
                   </Paper>
@@ -32,6 +32,8 @@ import {
   Card,
   CardContent,
   Grid,
+  Switch,
+  FormControlLabel,
 } from "@mui/material";
 import {
   Save as SaveIcon,
@@ -55,9 +57,18 @@ import {
   Computer as ComputerIcon,
   Download as DownloadIcon,
   Timer as TimerIcon,
+  AutoFixHigh as RewriteIcon,
+  BugReport as FaultIcon,
+  Apps as ProfileIcon,
+  Lan as UpstreamProxyIcon,
+  Http as Http2Icon,
+  Https as TlsIcon,
 } from "@mui/icons-material";
 
 import { HeaderMappingField, DomainListField, EndpointTypeField, TagField } from "../components/SettingsFields";
+import RewriteRulesPanel from "../components/RewriteRulesPanel";
+import FaultProfilesPanel from "../components/FaultProfilesPanel";
+import TlsProfilesPanel from "../components/TlsProfilesPanel";
 
 import {
   getTrafficConfig,
@@ -76,6 +87,10 @@ import {
   updateProxyConfig,
   getCaCertInfo,
   getCaCertDownloadUrl,
+  testUpstreamProxy,
+  getProfiles,
+  createProfile,
+  deleteProfile,
 } from "../services/settingsService";
 import { setEndpointConfig as setEndpointConfigRedux } from "../store/slices/configSlice";
 
@@ -93,6 +108,50 @@ function TabPanel({ children, value, index, ...other }) {
   );
 }
 
+// Host pattern list (upstream proxy include/exclude, HTTP/2 backends)
+function HostPatternList({ label, patterns = [], onChange, emptyText }) {
+  const [newPattern, setNewPattern] = useState("");
+
+  const handleAdd = () => {
+    const pattern = newPattern.trim().toLowerCase();
+    if (!pattern || patterns.includes(pattern)) return;
+    onChange([...patterns, pattern]);
+    setNewPattern("");
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" fontWeight="bold" sx={{ mb: 1 }}>
+        {label}
+      </Typography>
+      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 1 }}>
+        {patterns.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" fontStyle="italic">
+            {emptyText}
+          </Typography>
+        ) : (
+          patterns.map((pattern) => (
+            <Chip key={pattern} label={pattern} onDelete={() => onChange(patterns.filter((p) => p !== pattern))} variant="outlined" size="small" />
+          ))
+        )}
+      </Box>
+      <Box sx={{ display: "flex", gap: 1, alignItems: "flex-start" }}>
+        <TextField
+          size="small"
+          value={newPattern}
+          onChange={(e) => setNewPattern(e.target.value)}
+          placeholder="e.g., *.corp.example.com"
+          sx={{ flexGrow: 1 }}
+          onKeyPress={(e) => e.key === "Enter" && handleAdd()}
+        />
+        <Box sx={{ pt: 0.5 }}>
+          <Chip label="Add" color="primary" onClick={handleAdd} disabled={!newPattern.trim()} clickable />
+        </Box>
+      </Box>
+    </Box>
+  );
+}
+
 // Session Rule Editor Component
 function SessionRuleEditor({ rule, onChange, onRemove, type }) {
   const isCreate = type === "create";
@@ -197,6 +256,14 @@ function Settings() {
   const [saving, setSaving] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
 
+  const handlePanelMessage = useCallback((message, severity) => setSnackbar({ open: true, message, severity }), []);
+
+  // App profile state (traffic, mapping, endpoint and session tabs edit the selected profile)
+  const [profile, setProfile] = useState("default");
+  const [profiles, setProfiles] = useState([{ name: "default", isDefault: true }]);
+  const [profileDialogOpen, setProfileDialogOpen] = useState(false);
+  const [newProfile, setNewProfile] = useState({ name: "", description: "", copy_from: "default" });
+
   // Original configs (from server) for change detection
   const [originalTrafficConfig, setOriginalTrafficConfig] = useState(null);
   const [originalMappingConfig, setOriginalMappingConfig] = useState(null);
@@ -251,6 +318,9 @@ function Settings() {
   // Endpoint pattern input state
   const [newEndpointPattern, setNewEndpointPattern] = useState("");
   const [patternError, setPatternError] = useState("");
+  const [newIgnorePath, setNewIgnorePath] = useState("");
+  const [upstreamTestUrl, setUpstreamTestUrl] = useState("");
+  const [upstreamTestResult, setUpstreamTestResult] = useState(null);
 
   // Mapping config state (use "source" to match API)
   const [mappingConfig, setMappingConfig] = useState({
@@ -327,15 +397,20 @@ function Settings() {
   const loadData = useCallback(async () => {
     setLoading(true);
     try {
-      const [trafficRes, mappingRes, endpointRes, sessionRes, proxyRes, caCertRes] = await Promise.all([
-        getTrafficConfig(),
-        getMappingConfig(),
-        getEndpointConfig(),
-        getSessionConfig(),
+      const [trafficRes, mappingRes, endpointRes, sessionRes, proxyRes, caCertRes, profilesRes] = await Promise.all([
+        getTrafficConfig(profile),
+        getMappingConfig(profile),
+        getEndpointConfig(profile),
+        getSessionConfig(profile),
         getProxyConfig(),
         getCaCertInfo(),
+        getProfiles(),
       ]);
 
+      if (profilesRes.success && profilesRes.data) {
+        setProfiles(profilesRes.data);
+      }
+
       if (trafficRes.success && trafficRes.data) {
         const data = trafficRes.data;
         const monitor = data.monitor ? { ...data.monitor, source: data.monitor.source ?? data.monitor.from ?? "header" } : { source: "header", key: "", pattern: "" };
@@ -406,12 +481,56 @@ function Settings() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [profile]);
 
   useEffect(() => {
     loadData();
   }, [loadData]);
 
+  // App profile handlers
+  const handleCreateProfile = async () => {
+    setSaving(true);
+    try {
+      const res = await createProfile(newProfile);
+      if (res.success) {
+        setProfileDialogOpen(false);
+        setNewProfile({ name: "", description: "", copy_from: "default" });
+        setProfile(res.data.name);
+        setSnackbar({ open: true, message: `App profile '${res.data.name}' created`, severity: "success" });
+      }
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: "Failed to create profile: " + (error.response?.data?.error || error.message),
+        severity: "error",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteProfile = async () => {
+    if (!window.confirm(`Delete app profile '${profile}'? Its traffic will fall back to the default profile.`)) {
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await deleteProfile(profile);
+      if (res.success) {
+        setSnackbar({ open: true, message: `App profile '${profile}' deleted`, severity: "success" });
+        setProfile("default");
+      }
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: "Failed to delete profile: " + (error.response?.data?.error || error.message),
+        severity: "error",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
   // Export handler
   const handleExport = async () => {
     setExporting(true);
@@ -531,6 +650,7 @@ function Settings() {
       endpoint: "Endpoint Types",
       session: "Session Management",
       proxy: "Proxy Config",
+      profiles: "App Profiles",
       endpointRules: "Endpoint Rules",
     };
     return names[type] || type;
@@ -540,7 +660,7 @@ function Settings() {
   const handleSaveTraffic = async () => {
     setSaving(true);
     try {
-      const res = await updateTrafficConfig(trafficConfig);
+      const res = await updateTrafficConfig(trafficConfig, profile);
       if (res.success) {
         setOriginalTrafficConfig(trafficConfig);
         setSnackbar({ open: true, message: "Traffic configuration saved successfully", severity: "success" });
@@ -559,7 +679,7 @@ function Settings() {
   const handleSaveMapping = async () => {
     setSaving(true);
     try {
-      const res = await updateMappingConfig(mappingConfig);
+      const res = await updateMappingConfig(mappingConfig, profile);
       if (res.success) {
         setOriginalMappingConfig(mappingConfig);
         setSnackbar({ open: true, message: "Mapping configuration saved successfully", severity: "success" });
@@ -578,11 +698,13 @@ function Settings() {
   const handleSaveEndpoint = async () => {
     setSaving(true);
     try {
-      const res = await updateEndpointConfig(endpointConfig);
+      const res = await updateEndpointConfig(endpointConfig, profile);
       if (res.success) {
         setOriginalEndpointConfig(endpointConfig);
-        // Update Redux cache so other pages get the latest configuration
-        dispatch(setEndpointConfigRedux(endpointConfig));
+        // Update Redux cache so other pages get the latest configuration (other pages use the default profile)
+        if (profile === "default") {
+          dispatch(setEndpointConfigRedux(endpointConfig));
+        }
         setSnackbar({ open: true, message: "Endpoint configuration saved successfully", severity: "success" });
       }
     } catch (error) {
@@ -600,7 +722,7 @@ function Settings() {
   const handleTestEndpoint = async () => {
     if (!testPath.trim()) return;
     try {
-      const res = await testEndpointClassification(testPath);
+      const res = await testEndpointClassification(testPath, profile);
       if (res.success) {
         setTestResult(res.data);
       }
@@ -652,7 +774,7 @@ function Settings() {
   const handleSaveSession = async () => {
     setSaving(true);
     try {
-      const res = await updateSessionConfig(sessionConfig);
+      const res = await updateSessionConfig(sessionConfig, profile);
       if (res.success) {
         setOriginalSessionConfig(sessionConfig);
         setHasSessionConfig(true);
@@ -770,6 +892,68 @@ function Settings() {
     handleReplayDefaultChange("match_endpoint", newPatterns);
   };
 
+  const handleDriftChange = (field, value) => {
+    setProxyConfig({
+      ...proxyConfig,
+      drift: {
+        ...proxyConfig.drift,
+        [field]: value,
+      },
+    });
+  };
+
+  const handleAddIgnorePath = () => {
+    const path = newIgnorePath.trim();
+    const currentPaths = proxyConfig.drift?.ignorePaths || [];
+    if (!path || currentPaths.includes(path)) return;
+    handleDriftChange("ignorePaths", [...currentPaths, path]);
+    setNewIgnorePath("");
+  };
+
+  const handleUpstreamProxyChange = (field, value) => {
+    setProxyConfig({
+      ...proxyConfig,
+      upstreamProxy: {
+        ...proxyConfig.upstreamProxy,
+        [field]: value,
+      },
+    });
+  };
+
+  const handleHttp2Change = (field, value) => {
+    setProxyConfig({
+      ...proxyConfig,
+      http2: {
+        ...proxyConfig.http2,
+        [field]: value,
+      },
+    });
+  };
+
+  // Upstream proxy password: the saved one is never returned (hasPassword), so it is sent only when typed
+  // An emptied field keeps the saved password; "" (Remove) deletes it
+  const handleUpstreamPasswordChange = (value) => {
+    const { password, ...upstreamProxy } = proxyConfig.upstreamProxy || {};
+    setProxyConfig({ ...proxyConfig, upstreamProxy: value ? { ...upstreamProxy, password: value } : upstreamProxy });
+  };
+
+  const handleRemoveUpstreamPassword = () => {
+    setProxyConfig({ ...proxyConfig, upstreamProxy: { ...proxyConfig.upstreamProxy, password: "", hasPassword: false } });
+  };
+
+  // Test the saved upstream proxy settings against a URL
+  const handleTestUpstreamProxy = async () => {
+    if (!upstreamTestUrl.trim()) return;
+    try {
+      const res = await testUpstreamProxy(upstreamTestUrl.trim());
+      if (res.success) {
+        setUpstreamTestResult(res.data);
+      }
+    } catch (error) {
+      setSnackbar({ open: true, message: "Test failed: " + (error.response?.data?.error || error.message), severity: "error" });
+    }
+  };
+
   const handleDownloadCaCert = () => {
     window.open(getCaCertDownloadUrl(), "_blank");
   };
@@ -893,6 +1077,32 @@ function Settings() {
         </Box>
       </Box>
 
+      <Paper sx={{ p: 2, mb: 2, display: "flex", alignItems: "center", gap: 2, flexWrap: "wrap" }}>
+        <ProfileIcon color="action" />
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel>App Profile</InputLabel>
+          <Select value={profile} label="App Profile" onChange={(e) => setProfile(e.target.value)}>
+            {profiles.map((p) => (
+              <MenuItem key={p.name} value={p.name}>
+                {p.name}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="outlined" size="small" startIcon={<AddIcon />} onClick={() => setProfileDialogOpen(true)}>
+          New Profile
+        </Button>
+        {profile !== "default" && (
+          <Button variant="outlined" size="small" color="error" startIcon={<DeleteIcon />} onClick={handleDeleteProfile} disabled={saving}>
+            Delete Profile
+          </Button>
+        )}
+        <Typography variant="body2" color="text.secondary" sx={{ flex: 1, minWidth: 240 }}>
+          Traffic Monitor, Field Mapping, Endpoint Types and Session Management apply to the selected profile. Requests use the first
+          profile (in the order listed) whose monitor criteria and domains match.
+        </Typography>
+      </Paper>
+
       <Paper sx={{ width: "100%" }}>
         <Box sx={{ overflowX: "auto", borderBottom: 1, borderColor: "divider" }}>
           <Tabs value={activeTab} onChange={(e, newValue) => setActiveTab(newValue)} sx={{ minWidth: "max-content" }}>
@@ -901,6 +1111,9 @@ function Settings() {
             <Tab icon={<EndpointIcon />} iconPosition="start" label="Endpoint Types" />
             <Tab icon={<SessionIcon />} iconPosition="start" label="Session Management" />
             <Tab icon={<SettingsIcon />} iconPosition="start" label="Proxy Config" />
+            <Tab icon={<RewriteIcon />} iconPosition="start" label="Rewrite Rules" />
+            <Tab icon={<FaultIcon />} iconPosition="start" label="Fault Injection" />
+            <Tab icon={<TlsIcon />} iconPosition="start" label="TLS Profiles" />
           </Tabs>
         </Box>
 
@@ -1522,6 +1735,264 @@ function Settings() {
               </Grid>
             </Paper>
 
+            {/* Response Drift */}
+            <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+              <Typography variant="subtitle1" fontWeight="bold" sx={{ mb: 1 }}>
+                Response Drift
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                In RECORDING mode, keep the previous body when the backend returns a different body for a recorded response, with a structural
+                diff (see the Changes page). Changes to ignored paths only are not drift. Paths are JSONPath, e.g. <code>$..timestamp</code>{" "}
+                (any depth) or <code>data.meta.requestId</code>.
+              </Typography>
+
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                <Grid item xs={12} sm={6} md={3}>
+                  <FormControlLabel
+                    control={<Switch checked={proxyConfig.drift?.enabled ?? true} onChange={(e) => handleDriftChange("enabled", e.target.checked)} />}
+                    label="Detect drift"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6} md={3}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    type="number"
+                    label="History per Response"
+                    value={proxyConfig.drift?.historyLimit ?? 20}
+                    onChange={(e) => handleDriftChange("historyLimit", parseInt(e.target.value, 10) || 1)}
+                    inputProps={{ min: 1, max: 500 }}
+                  />
+                </Grid>
+              </Grid>
+
+              <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
+                {(proxyConfig.drift?.ignorePaths || []).length === 0 ? (
+                  <Typography variant="body2" color="text.secondary" fontStyle="italic">
+                    No ignored paths
+                  </Typography>
+                ) : (
+                  (proxyConfig.drift?.ignorePaths || []).map((path) => (
+                    <Chip
+                      key={path}
+                      label={path}
+                      onDelete={() => handleDriftChange("ignorePaths", proxyConfig.drift.ignorePaths.filter((p) => p !== path))}
+                      variant="outlined"
+                      size="small"
+                    />
+                  ))
+                )}
+              </Box>
+
+              <Box sx={{ display: "flex", gap: 1, alignItems: "flex-start" }}>
+                <TextField
+                  label="Add Ignored Path (JSONPath)"
+                  size="small"
+                  value={newIgnorePath}
+                  onChange={(e) => setNewIgnorePath(e.target.value)}
+                  placeholder="e.g., $..requestId"
+                  sx={{ flexGrow: 1 }}
+                  onKeyPress={(e) => e.key === "Enter" && handleAddIgnorePath()}
+                />
+                <Box sx={{ pt: 0.5 }}>
+                  <Chip label="Add" color="primary" onClick={handleAddIgnorePath} disabled={!newIgnorePath.trim()} clickable />
+                </Box>
+              </Box>
+            </Paper>
+
+            {/* Upstream Proxy */}
+            <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+              <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+                <UpstreamProxyIcon color="primary" />
+                <Typography variant="subtitle1" fontWeight="bold">
+                  Upstream Proxy
+                </Typography>
+              </Box>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Send backend connections (forwarded requests, tunnels of non-monitored domains and WebSockets) through a corporate HTTP proxy.
+                HTTPS targets use CONNECT. Host patterns are exact hosts, wildcards (<code>*.corp.example.com</code>, <code>10.*</code>) or
+                domain suffixes (<code>.corp.example.com</code>); excluded hosts are always reached directly. A PAC file decides per URL with{" "}
+                <code>FindProxyForURL(url, host)</code>.
+              </Typography>
+
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                <Grid item xs={12} sm={6} md={3}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={proxyConfig.upstreamProxy?.enabled ?? false}
+                        onChange={(e) => handleUpstreamProxyChange("enabled", e.target.checked)}
+                      />
+                    }
+                    label="Use upstream proxy"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6} md={3}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>Mode</InputLabel>
+                    <Select
+                      value={proxyConfig.upstreamProxy?.mode || "manual"}
+                      label="Mode"
+                      onChange={(e) => handleUpstreamProxyChange("mode", e.target.value)}
+                    >
+                      <MenuItem value="manual">Manual (proxy URL + host rules)</MenuItem>
+                      <MenuItem value="pac">PAC file</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Grid>
+              </Grid>
+
+              {proxyConfig.upstreamProxy?.mode === "pac" ? (
+                <Box sx={{ mb: 2 }}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="PAC URL"
+                    value={proxyConfig.upstreamProxy?.pacUrl || ""}
+                    onChange={(e) => handleUpstreamProxyChange("pacUrl", e.target.value)}
+                    placeholder="http://wpad.corp.example.com/proxy.pac"
+                    helperText="Fetched again every 10 minutes"
+                    sx={{ mb: 2 }}
+                  />
+                  <TextField
+                    fullWidth
+                    multiline
+                    minRows={4}
+                    size="small"
+                    label="PAC Script (used instead of the PAC URL when set)"
+                    value={proxyConfig.upstreamProxy?.pacScript || ""}
+                    onChange={(e) => handleUpstreamProxyChange("pacScript", e.target.value)}
+                    placeholder={'function FindProxyForURL(url, host) {\n  return "PROXY proxy.corp.example.com:3128; DIRECT";\n}'}
+                    InputProps={{ sx: { fontFamily: "monospace", fontSize: 13 } }}
+                  />
+                </Box>
+              ) : (
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Proxy URL"
+                  value={proxyConfig.upstreamProxy?.url || ""}
+                  onChange={(e) => handleUpstreamProxyChange("url", e.target.value)}
+                  placeholder="http://proxy.corp.example.com:3128"
+                  sx={{ mb: 2 }}
+                />
+              )}
+
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Username (optional)"
+                    value={proxyConfig.upstreamProxy?.username || ""}
+                    onChange={(e) => handleUpstreamProxyChange("username", e.target.value)}
+                    autoComplete="off"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    type="password"
+                    label="Password"
+                    value={proxyConfig.upstreamProxy?.password ?? ""}
+                    onChange={(e) => handleUpstreamPasswordChange(e.target.value)}
+                    placeholder={proxyConfig.upstreamProxy?.hasPassword ? "Unchanged" : ""}
+                    helperText={
+                      proxyConfig.upstreamProxy?.hasPassword ? (
+                        <>
+                          A password is saved (stored encrypted).{" "}
+                          <Box component="span" sx={{ cursor: "pointer", textDecoration: "underline" }} onClick={handleRemoveUpstreamPassword}>
+                            Remove
+                          </Box>
+                        </>
+                      ) : (
+                        "Stored encrypted"
+                      )
+                    }
+                    InputLabelProps={proxyConfig.upstreamProxy?.hasPassword ? { shrink: true } : undefined}
+                    autoComplete="new-password"
+                  />
+                </Grid>
+              </Grid>
+
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                {proxyConfig.upstreamProxy?.mode !== "pac" && (
+                  <Grid item xs={12} md={6}>
+                    <HostPatternList
+                      label="Only these hosts"
+                      patterns={proxyConfig.upstreamProxy?.include || []}
+                      onChange={(patterns) => handleUpstreamProxyChange("include", patterns)}
+                      emptyText="All hosts use the proxy"
+                    />
+                  </Grid>
+                )}
+                <Grid item xs={12} md={6}>
+                  <HostPatternList
+                    label="Never these hosts (direct)"
+                    patterns={proxyConfig.upstreamProxy?.exclude || []}
+                    onChange={(patterns) => handleUpstreamProxyChange("exclude", patterns)}
+                    emptyText="No excluded hosts"
+                  />
+                </Grid>
+              </Grid>
+
+              <Divider sx={{ my: 2 }} />
+              <Typography variant="body2" fontWeight="bold" sx={{ mb: 1 }}>
+                Test saved settings
+              </Typography>
+              <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+                <TextField
+                  size="small"
+                  value={upstreamTestUrl}
+                  onChange={(e) => setUpstreamTestUrl(e.target.value)}
+                  placeholder="https://api.example.com/v1/users"
+                  sx={{ flexGrow: 1 }}
+                  onKeyPress={(e) => e.key === "Enter" && handleTestUpstreamProxy()}
+                />
+                <Button variant="outlined" startIcon={<TestIcon />} onClick={handleTestUpstreamProxy} disabled={!upstreamTestUrl.trim()}>
+                  Test
+                </Button>
+              </Box>
+              {upstreamTestResult && (
+                <Alert severity={upstreamTestResult.direct ? "info" : "success"} sx={{ mt: 1 }}>
+                  {!upstreamTestResult.enabled
+                    ? "Upstream proxy is disabled: the backend is reached directly (or through the proxy environment variables)."
+                    : upstreamTestResult.direct
+                      ? `${upstreamTestResult.url} is reached directly.`
+                      : `${upstreamTestResult.url} goes through ${upstreamTestResult.proxy}${upstreamTestResult.authenticated ? " with basic auth" : ""}.`}
+                </Alert>
+              )}
+            </Paper>
+
+            {/* HTTP/2 */}
+            <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+              <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+                <Http2Icon color="primary" />
+                <Typography variant="subtitle1" fontWeight="bold">
+                  HTTP/2
+                </Typography>
+              </Box>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Apps that offer h2 when connecting to an intercepted HTTPS domain get HTTP/2; the others keep HTTP/1.1. HTTPS backends are reached
+                with curl, which negotiates its own protocol; requests to the hosts listed below share one multiplexed HTTP/2 connection per backend
+                instead (a backend that does not negotiate h2 keeps using curl). The negotiated protocols are recorded in the statistics.
+              </Typography>
+
+              <FormControlLabel
+                control={<Switch checked={proxyConfig.http2?.enabled ?? true} onChange={(e) => handleHttp2Change("enabled", e.target.checked)} />}
+                label="Offer HTTP/2 to apps"
+                sx={{ mb: 2 }}
+              />
+
+              <HostPatternList
+                label="HTTP/2 backends"
+                patterns={proxyConfig.http2?.upstreamHosts || []}
+                onChange={(patterns) => handleHttp2Change("upstreamHosts", patterns)}
+                emptyText="All backends use HTTP/1.1"
+              />
+            </Paper>
+
             {/* Save Button */}
             <Box sx={{ display: "flex", gap: 2, mb: 3, justifyContent: "flex-end" }}>
               <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSaveProxy} disabled={saving || !proxyChanged}>
@@ -1740,9 +2211,61 @@ export NODE_EXTRA_CA_CERTS=/path/to/dproxy-ca.crt`}
             </Accordion>
           </Box>
         </TabPanel>
+
+        {/* Rewrite Rules Tab */}
+        <TabPanel value={activeTab} index={5}>
+          <RewriteRulesPanel onMessage={handlePanelMessage} />
+        </TabPanel>
+
+        {/* Fault Injection Tab */}
+        <TabPanel value={activeTab} index={6}>
+          <FaultProfilesPanel onMessage={handlePanelMessage} />
+        </TabPanel>
+
+        {/* TLS Profiles Tab */}
+        <TabPanel value={activeTab} index={7}>
+          <TlsProfilesPanel onMessage={handlePanelMessage} />
+        </TabPanel>
       </Paper>
 
       {/* Import Configuration Dialog */}
+      <Dialog open={profileDialogOpen} onClose={() => setProfileDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>New App Profile</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            label="Name"
+            value={newProfile.name}
+            onChange={(e) => setNewProfile({ ...newProfile, name: e.target.value })}
+            helperText="Letters, digits, '_' and '-'"
+            sx={{ mt: 1, mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            label="Description"
+            value={newProfile.description}
+            onChange={(e) => setNewProfile({ ...newProfile, description: e.target.value })}
+            sx={{ mb: 2 }}
+          />
+          <FormControl fullWidth>
+            <InputLabel>Copy Settings From</InputLabel>
+            <Select value={newProfile.copy_from} label="Copy Settings From" onChange={(e) => setNewProfile({ ...newProfile, copy_from: e.target.value })}>
+              {profiles.map((p) => (
+                <MenuItem key={p.name} value={p.name}>
+                  {p.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setProfileDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreateProfile} disabled={!newProfile.name.trim() || saving}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       <Dialog open={importDialogOpen} onClose={handleCancelImport} maxWidth="sm" fullWidth>
         <DialogTitle>
           {importConflicts && Object.keys(importConflicts).length > 0 ? "Configuration Conflicts Detected" : "Import Configuration"}
@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+  Typography,
+  CircularProgress,
+  Snackbar,
+} from "@mui/material";
+import {
+  Refresh as RefreshIcon,
+  Visibility as ViewIcon,
+  Delete as DeleteIcon,
+  ArrowUpward as ClientIcon,
+  ArrowDownward as ServerIcon,
+} from "@mui/icons-material";
+import { getWebSocketConnections, getWebSocketConnection, deleteWebSocketConnection } from "../services/websocketService";
+import { formatDate, formatDuration, formatFileSize, formatQueryParams, truncate } from "../utils/formatting";
+
+/**
+ * WebSockets - WebSocket connections recorded in recording mode, with the frames sent in both directions
+ * @param {boolean} canDelete - Whether the current user may delete recorded connections (admin)
+ */
+function WebSockets({ canDelete = true }) {
+  const [connections, setConnections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pathFilter, setPathFilter] = useState("");
+  // Connection shown in the frames dialog (with frames)
+  const [selected, setSelected] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const notify = (message, severity = "success") => setSnackbar({ open: true, message, severity });
+
+  const loadConnections = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getWebSocketConnections(pathFilter.trim() ? { path: pathFilter.trim() } : {});
+      setConnections(response.data || []);
+    } catch (err) {
+      notify("Failed to load WebSocket connections: " + (err.response?.data?.error || err.message), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [pathFilter]);
+
+  useEffect(() => {
+    loadConnections();
+  }, [loadConnections]);
+
+  const handleView = async (connection) => {
+    try {
+      setSelected(await getWebSocketConnection(connection.id));
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  const handleDelete = async (connection) => {
+    if (!window.confirm(`Delete the recorded connection to ${connection.endpoint_path}?`)) return;
+    try {
+      await deleteWebSocketConnection(connection.id);
+      notify("WebSocket connection deleted");
+      loadConnections();
+    } catch (err) {
+      notify(err.response?.data?.error || err.message, "error");
+    }
+  };
+
+  // Connection duration, null while it is open
+  const getDuration = (connection) =>
+    connection.ended_at ? new Date(connection.ended_at).getTime() - new Date(connection.started_at).getTime() : null;
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        WebSockets
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        WebSocket connections of monitored apps are recorded in recording mode with every frame and its time since the connection opened.
+        In replay mode a socket opened to the same path gets the server frames of the latest recording: the first ones when it opens, the
+        following ones after each message the app sends, with their recorded delays.
+      </Typography>
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2, gap: 1, flexWrap: "wrap" }}>
+          <Typography variant="h6">
+            Connections <Chip size="small" label={connections.length} />
+          </Typography>
+          <Box sx={{ display: "flex", gap: 1 }}>
+            <TextField size="small" label="Path" placeholder="/ws" value={pathFilter} onChange={(e) => setPathFilter(e.target.value)} />
+            <Button variant="outlined" startIcon={<RefreshIcon />} onClick={loadConnections}>
+              Refresh
+            </Button>
+          </Box>
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : connections.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: "center", p: 3 }}>
+            No WebSocket connections recorded yet. Switch to recording mode and open a socket from your app.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Endpoint</TableCell>
+                  <TableCell>App</TableCell>
+                  <TableCell align="right">Frames</TableCell>
+                  <TableCell align="right">Duration</TableCell>
+                  <TableCell>Close Code</TableCell>
+                  <TableCell>Started</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {connections.map((connection) => (
+                  <TableRow key={connection.id} hover>
+                    <TableCell>
+                      {connection.endpoint_path}
+                      {connection.query_params && (
+                        <Typography variant="caption" color="text.secondary">
+                          ?{formatQueryParams(connection.query_params)}
+                        </Typography>
+                      )}
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {connection.host}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {[connection.app_platform, connection.app_version, connection.app_environment].filter(Boolean).join(" / ") || "-"}
+                    </TableCell>
+                    <TableCell align="right">{connection.frame_count}</TableCell>
+                    <TableCell align="right">
+                      {getDuration(connection) === null ? <Chip size="small" color="success" label="open" /> : formatDuration(getDuration(connection))}
+                    </TableCell>
+                    <TableCell>{connection.close_code ?? "-"}</TableCell>
+                    <TableCell sx={{ whiteSpace: "nowrap" }}>{formatDate(connection.started_at, true)}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                      <Tooltip title="Frames">
+                        <IconButton size="small" onClick={() => handleView(connection)}>
+                          <ViewIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      {canDelete && (
+                        <Tooltip title="Delete">
+                          <IconButton size="small" color="error" onClick={() => handleDelete(connection)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      <Dialog open={!!selected} onClose={() => setSelected(null)} maxWidth="lg" fullWidth>
+        <DialogTitle>
+          {selected?.host}
+          {selected?.endpoint_path}
+          <Typography variant="body2" color="text.secondary">
+            {selected && `${selected.frames.length} frames, started ${formatDate(selected.started_at, true)}`}
+          </Typography>
+        </DialogTitle>
+        <DialogContent>
+          {selected && (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Direction</TableCell>
+                    <TableCell align="right">Time</TableCell>
+                    <TableCell>Type</TableCell>
+                    <TableCell align="right">Size</TableCell>
+                    <TableCell>Payload</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {selected.frames.map((frame) => (
+                    <TableRow key={frame.id}>
+                      <TableCell sx={{ whiteSpace: "nowrap" }}>
+                        {frame.direction === "client" ? (
+                          <Chip size="small" icon={<ClientIcon />} label="App" color="primary" variant="outlined" />
+                        ) : (
+                          <Chip size="small" icon={<ServerIcon />} label="Server" color="secondary" variant="outlined" />
+                        )}
+                      </TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                        +{frame.offset_ms} ms
+                      </TableCell>
+                      <TableCell>
+                        {frame.type}
+                        {!frame.fin && (
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            fragment
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{frame.size < 1024 ? `${frame.size} B` : formatFileSize(frame.size)}</TableCell>
+                      <TableCell sx={{ fontFamily: "monospace", fontSize: 12, wordBreak: "break-all" }}>
+                        {frame.payload_encoding === "base64" ? (
+                          <Tooltip title="Binary payload (base64)">
+                            <span>{truncate(frame.payload, 200)}</span>
+                          </Tooltip>
+                        ) : (
+                          <Box component="span" sx={{ whiteSpace: "pre-wrap" }}>
+                            {frame.payload}
+                          </Box>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelected(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default WebSockets;
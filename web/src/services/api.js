@@ -16,31 +16,64 @@ const api = axios.create({
   },
 });
 
-// Add request interceptor for API key (disabled in POC)
-api.interceptors.request.use(
-  (config) => {
-    // TODO: Enable API key authentication after POC
-    // const apiKey = localStorage.getItem("dproxy_api_key");
-    // if (apiKey) {
-    //   config.headers.Authorization = `Bearer ${apiKey}`;
-    // }
-    return config;
-  },
-  (error) => Promise.reject(error)
-);
+// Authentication: console JWT or API key, sent as a Bearer token
+const AUTH_TOKEN_KEY = "dproxy_auth_token";
+export const AUTH_REQUIRED_EVENT = "dproxy:auth-required";
+
+export const getAuthToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+export const setAuthToken = (token) => localStorage.setItem(AUTH_TOKEN_KEY, token);
+export const clearAuthToken = () => localStorage.removeItem(AUTH_TOKEN_KEY);
+
+/**
+ * Add the token to a URL that is opened without axios (EventSource, download links)
+ */
+export const withAuthToken = (url) => {
+  const token = getAuthToken();
+  if (!token) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}access_token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send the token with every request and ask for login again when it is rejected
+ */
+export const attachAuthInterceptors = (instance) => {
+  instance.interceptors.request.use(
+    (config) => {
+      const token = getAuthToken();
+      if (token && !config.headers.Authorization) {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+      return config;
+    },
+    (error) => Promise.reject(error)
+  );
+
+  instance.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      if (error.response?.status === 401 && !error.config?.skipAuthRedirect) {
+        clearAuthToken();
+        window.dispatchEvent(new Event(AUTH_REQUIRED_EVENT));
+      }
+      return Promise.reject(error);
+    }
+  );
+};
+
+attachAuthInterceptors(api);
 
 // Add response interceptor for error handling
 api.interceptors.response.use(
   (response) => response.data,
-  (error) => {
-    // TODO: Handle 401 errors after enabling API key authentication
-    return Promise.reject(error);
-  }
+  (error) => Promise.reject(error)
 );
 
 // Mode Management
 export const getMode = () => api.get("/mode");
 export const setMode = (mode) => api.post("/mode", { mode });
+export const explainMatch = (request) => api.post("/api/modes/replay/test-match", { ...request, explain: true });
+export const getReplayFallback = () => api.get("/api/modes/replay/fallback");
+export const setReplayFallback = (behavior) => api.post("/api/modes/replay/fallback", { behavior });
 
 // Statistics
 export const getStats = (params = {}, config = {}) => {
@@ -80,6 +113,23 @@ export const getPublicServiceDetail = (id) => api.get(`/services/public/${id}`);
 export const getSecureServices = (params = {}) => api.get("/services/secure", { params });
 export const getSecureServiceDetail = (id) => api.get(`/services/secure/${id}`);
 
+// HAR import/export
+export const importHar = (har, userId) => api.post("/api/har/import", { har, userId }, { timeout: 300000 });
+export const getHarExportUrl = (params = {}) => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+  return withAuthToken(`/admin/api/har/export${query ? `?${query}` : ""}`);
+};
+
+// OpenAPI specification generated from recordings
+export const getOpenApiExportUrl = (params = {}) => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+  return withAuthToken(`/admin/api/export/openapi${query ? `?${query}` : ""}`);
+};
+
+// Live traffic (Server-Sent Events)
+export const getLiveStreamUrl = () => withAuthToken("/admin/api/live/stream");
+export const clearLiveTraffic = () => api.delete("/api/live/recent");
+
 // Configs
 export const getConfigs = () => api.get("/api/configs");
 export const getConfigDetails = (id) => api.get(`/api/configs/${id}`);
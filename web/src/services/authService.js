@@ -0,0 +1,85 @@
+import api, { setAuthToken, clearAuthToken } from "./api";
+
+// Log in with username/password and store the token
+export const login = async (username, password) => {
+  const response = await api.post("/api/auth/login", { username, password }, { skipAuthRedirect: true });
+  setAuthToken(response.data.token);
+  return response.data;
+};
+
+// Log in with an API key (validated against /me before it is stored)
+export const loginWithApiKey = async (apiKey) => {
+  const response = await api.get("/api/auth/me", { headers: { Authorization: `Bearer ${apiKey}` }, skipAuthRedirect: true });
+  setAuthToken(apiKey);
+  return response.data;
+};
+
+// Get the authenticated principal ({ type, id, name, role, user, authEnabled })
+export const getCurrentUser = async () => {
+  const response = await api.get("/api/auth/me", { skipAuthRedirect: true });
+  return response.data;
+};
+
+// Log out (recorded in the audit log) and discard the token
+export const logout = async () => {
+  try {
+    await api.post("/api/auth/logout", {}, { skipAuthRedirect: true });
+  } finally {
+    clearAuthToken();
+  }
+};
+
+// Change own password
+export const changePassword = (currentPassword, newPassword) =>
+  api.put("/api/auth/me/password", { current_password: currentPassword, new_password: newPassword });
+
+// Console users
+export const getConsoleUsers = async () => {
+  const response = await api.get("/api/auth/users");
+  return response.data;
+};
+
+export const createConsoleUser = async (userData) => {
+  const response = await api.post("/api/auth/users", userData);
+  return response.data;
+};
+
+export const updateConsoleUser = async (id, data) => {
+  const response = await api.put(`/api/auth/users/${id}`, data);
+  return response.data;
+};
+
+export const deleteConsoleUser = async (id) => {
+  const response = await api.delete(`/api/auth/users/${id}`);
+  return response.data;
+};
+
+// API keys (the key itself is only returned by createApiKey)
+export const getApiKeys = async () => {
+  const response = await api.get("/api/auth/api-keys");
+  return response.data;
+};
+
+export const createApiKey = async (keyData) => {
+  const response = await api.post("/api/auth/api-keys", keyData);
+  return response.data;
+};
+
+export const updateApiKey = async (id, data) => {
+  const response = await api.put(`/api/auth/api-keys/${id}`, data);
+  return response.data;
+};
+
+export const deleteApiKey = async (id) => {
+  const response = await api.delete(`/api/auth/api-keys/${id}`);
+  return response.data;
+};
+
+// Audit log ({ data, count, total }); params.changes_only limits it to config changes
+export const getAuditLog = (params = {}) => api.get("/api/audit", { params });
+
+// Revert the config change recorded by an audit entry
+export const revertAuditEntry = async (id) => {
+  const response = await api.post(`/api/audit/${id}/revert`);
+  return response.data;
+};
@@ -0,0 +1,46 @@
+import api from "./api";
+
+// Get all breakpoint rules
+export const getBreakpointRules = async () => {
+  const response = await api.get("/api/breakpoints");
+  return response.data;
+};
+
+// Create breakpoint rule
+export const createBreakpointRule = async (ruleData) => {
+  const response = await api.post("/api/breakpoints", ruleData);
+  return response.data;
+};
+
+// Update breakpoint rule
+export const updateBreakpointRule = async (id, data) => {
+  const response = await api.put(`/api/breakpoints/${id}`, data);
+  return response.data;
+};
+
+// Delete breakpoint rule
+export const deleteBreakpointRule = async (id) => {
+  const response = await api.delete(`/api/breakpoints/${id}`);
+  return response.data;
+};
+
+// Get held requests/responses
+export const getHeldItems = async () => {
+  const response = await api.get("/api/breakpoints/held");
+  return response.data;
+};
+
+// Release a held item with optional edits ({ headers, body, status })
+export const releaseHeldItem = async (id, edits = {}) => {
+  return api.post(`/api/breakpoints/held/${id}/release`, edits);
+};
+
+// Abort a held item (client connection is reset)
+export const abortHeldItem = async (id) => {
+  return api.post(`/api/breakpoints/held/${id}/abort`);
+};
+
+// Release all held items unchanged
+export const releaseAllHeldItems = async () => {
+  return api.post("/api/breakpoints/held/release-all");
+};
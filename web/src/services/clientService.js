@@ -0,0 +1,31 @@
+import api from "./api";
+
+// Get connected clients with their effective mode ({ data, count, globalMode })
+export const getConnectedClients = () => api.get("/api/clients");
+
+// Forget connected clients (they reappear with their next request)
+export const clearConnectedClients = () => api.post("/api/clients/clear");
+
+// Get all mode overrides
+export const getModeOverrides = async () => {
+  const response = await api.get("/api/clients/overrides");
+  return response.data;
+};
+
+// Create mode override ({ scope, scope_value, mode, label, expires_at }); replaces an override for the same client
+export const createModeOverride = async (overrideData) => {
+  const response = await api.post("/api/clients/overrides", overrideData);
+  return response.data;
+};
+
+// Update mode override
+export const updateModeOverride = async (id, data) => {
+  const response = await api.put(`/api/clients/overrides/${id}`, data);
+  return response.data;
+};
+
+// Delete mode override (the client falls back to the global mode)
+export const deleteModeOverride = async (id) => {
+  const response = await api.delete(`/api/clients/overrides/${id}`);
+  return response.data;
+};
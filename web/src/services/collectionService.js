@@ -0,0 +1,46 @@
+import api from "./api";
+
+// Get all collections ({ data, count, activeId, replayIds })
+export const getCollections = () => api.get("/api/collections");
+
+// Create an empty collection ({ name, description })
+export const createCollection = async (collectionData) => {
+  const response = await api.post("/api/collections", collectionData);
+  return response.data;
+};
+
+// Update collection ({ name, description, locked })
+export const updateCollection = async (id, data) => {
+  const response = await api.put(`/api/collections/${id}`, data);
+  return response.data;
+};
+
+// Make a collection the recording target
+export const activateCollection = async (id) => {
+  const response = await api.post(`/api/collections/${id}/activate`);
+  return response.data;
+};
+
+// Set the collections replay searches, in order (empty replays the active collection)
+export const setReplayStack = async (collectionIds) => {
+  const response = await api.put("/api/collections/replay-stack", { collection_ids: collectionIds });
+  return response.data;
+};
+
+// Copy a collection with all its recordings ({ name, description })
+export const cloneCollection = async (id, data) => {
+  const response = await api.post(`/api/collections/${id}/clone`, data);
+  return response.data;
+};
+
+// Compare the recordings of two collections ({ base, compare, added, removed, changed, unchanged })
+export const diffCollections = async (baseId, compareId) => {
+  const response = await api.get("/api/collections/diff", { params: { base: baseId, compare: compareId } });
+  return response.data;
+};
+
+// Delete a collection and all its recordings
+export const deleteCollection = async (id) => {
+  const response = await api.delete(`/api/collections/${id}`);
+  return response.data;
+};
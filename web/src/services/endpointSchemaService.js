@@ -0,0 +1,28 @@
+import api from "./api";
+
+// Get all endpoint schemas ({ data, count })
+export const getEndpointSchemas = () => api.get("/api/endpoints");
+
+// Infer schemas from the recorded backend responses ({ host, collection } optional)
+export const inferEndpointSchemas = async (filters = {}) => {
+  const response = await api.post("/api/endpoints/infer", filters);
+  return response;
+};
+
+// Get the schemas of an endpoint ({ <status>: <JSON Schema> })
+export const getEndpointSchema = async (id) => {
+  const response = await api.get(`/api/endpoints/${id}/schema`);
+  return response.data;
+};
+
+// Update an endpoint ({ validate, schemas })
+export const updateEndpointSchema = async (id, data) => {
+  const response = await api.put(`/api/endpoints/${id}`, data);
+  return response.data;
+};
+
+// Delete an endpoint schema
+export const deleteEndpointSchema = (id) => api.delete(`/api/endpoints/${id}`);
+
+// Export all endpoint schemas as OpenAPI components
+export const exportOpenApiComponents = () => api.get("/api/endpoints/openapi-components");
@@ -0,0 +1,25 @@
+import api from "./api";
+
+// Get all fault profiles
+export const getFaultProfiles = async () => {
+  const response = await api.get("/api/faults");
+  return response.data;
+};
+
+// Create fault profile
+export const createFaultProfile = async (profileData) => {
+  const response = await api.post("/api/faults", profileData);
+  return response.data;
+};
+
+// Update fault profile
+export const updateFaultProfile = async (id, data) => {
+  const response = await api.put(`/api/faults/${id}`, data);
+  return response.data;
+};
+
+// Delete fault profile
+export const deleteFaultProfile = async (id) => {
+  const response = await api.delete(`/api/faults/${id}`);
+  return response.data;
+};
@@ -0,0 +1,25 @@
+import api from "./api";
+
+// Get all mock specs ({ data, count }, without the documents)
+export const getMockSpecs = () => api.get("/api/mocks");
+
+// Get a mock spec with its OpenAPI document
+export const getMockSpec = async (id) => {
+  const response = await api.get(`/api/mocks/${id}`);
+  return response.data;
+};
+
+// Import an OpenAPI document ({ name, spec, host })
+export const importMockSpec = async (data) => {
+  const response = await api.post("/api/mocks", data);
+  return response.data;
+};
+
+// Update a mock spec ({ name, spec, host, enabled })
+export const updateMockSpec = async (id, data) => {
+  const response = await api.put(`/api/mocks/${id}`, data);
+  return response.data;
+};
+
+// Delete a mock spec
+export const deleteMockSpec = (id) => api.delete(`/api/mocks/${id}`);
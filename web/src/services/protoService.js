@@ -0,0 +1,37 @@
+import api from "./api";
+
+// Get all proto descriptors ({ data, count }, without the sources)
+export const getProtoDescriptors = () => api.get("/api/protos");
+
+// Get a proto descriptor with its .proto source
+export const getProtoDescriptor = async (id) => {
+  const response = await api.get(`/api/protos/${id}`);
+  return response.data;
+};
+
+// Upload a .proto file ({ name, source, bindings })
+export const uploadProtoDescriptor = async (data) => {
+  const response = await api.post("/api/protos", data);
+  return response.data;
+};
+
+// Update a proto descriptor ({ name, source, bindings })
+export const updateProtoDescriptor = async (id, data) => {
+  const response = await api.put(`/api/protos/${id}`, data);
+  return response.data;
+};
+
+// Delete a proto descriptor
+export const deleteProtoDescriptor = (id) => api.delete(`/api/protos/${id}`);
+
+// Decode a stored protobuf / gRPC-Web body ({ body, encoding, headers, method, path, side })
+export const decodeProtoBody = async (data) => {
+  const response = await api.post("/api/protos/decode", data);
+  return response.data;
+};
+
+// Re-encode an edited decoded response into the recording ({ message } or { messages, trailers })
+export const updateProtoResponse = async (responseId, data) => {
+  const response = await api.put(`/api/protos/responses/${responseId}`, data);
+  return response.data;
+};
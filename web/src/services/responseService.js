@@ -3,7 +3,7 @@ import api from "./api";
 // Get all responses for an endpoint
 export const getResponsesByEndpoint = async (endpointId) => {
   const response = await api.get(`/api/responses/request/${endpointId}`);
-  return response.data;
+  return response.responses;
 };
 
 // Get response by ID
@@ -21,7 +21,12 @@ export const createResponse = async (responseData) => {
 // Update response
 export const updateResponse = async (id, data) => {
   const response = await api.put(`/api/responses/${id}`, data);
-  return response.data;
+  return response.response;
+};
+
+// Preview templated response rendered against a sample request
+export const previewResponse = async (data) => {
+  return await api.post("/api/responses/preview", data);
 };
 
 // Duplicate response
@@ -56,3 +61,12 @@ export const setDefaultResponse = async (endpointId, statusCode, responseId) =>
   });
   return response.data;
 };
+
+// Get endpoints whose recorded responses drifted ({ endpoints, count }); params: host, since, collection
+export const getChangedEndpoints = (params = {}) => api.get("/api/responses/changes", { params });
+
+// Get response drift entries, newest first ({ changes, count }); params: endpoint, method, host, since, collection, limit
+export const getResponseChanges = (params = {}) => api.get("/api/responses/changes/events", { params });
+
+// Get the previous bodies of a response ({ history, count })
+export const getResponseHistory = (id) => api.get(`/api/responses/${id}/history`);
@@ -0,0 +1,25 @@
+import api from "./api";
+
+// Get all rewrite rules
+export const getRewriteRules = async () => {
+  const response = await api.get("/api/rewrites");
+  return response.data;
+};
+
+// Create rewrite rule
+export const createRewriteRule = async (ruleData) => {
+  const response = await api.post("/api/rewrites", ruleData);
+  return response.data;
+};
+
+// Update rewrite rule
+export const updateRewriteRule = async (id, data) => {
+  const response = await api.put(`/api/rewrites/${id}`, data);
+  return response.data;
+};
+
+// Delete rewrite rule
+export const deleteRewriteRule = async (id) => {
+  const response = await api.delete(`/api/rewrites/${id}`);
+  return response.data;
+};
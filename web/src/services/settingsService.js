@@ -3,9 +3,12 @@
  *
  * API client for settings configuration management.
  * Handles traffic, mapping, endpoint, and session configuration.
+ * Traffic, mapping, endpoint and session calls take an optional app profile name
+ * (omitted or "default" means the default profile).
  */
 
 import axios from "axios";
+import { attachAuthInterceptors, withAuthToken } from "./api";
 
 // Create axios instance with defaults
 const api = axios.create({
@@ -16,6 +19,8 @@ const api = axios.create({
   },
 });
 
+attachAuthInterceptors(api);
+
 // Add response interceptor for error handling
 api.interceptors.response.use(
   (response) => response.data,
@@ -25,22 +30,31 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * Build request options selecting an app profile
+ * @param {string} [profile] - App profile name
+ * @returns {Object} Axios request options
+ */
+const profileOptions = (profile) => (profile && profile !== "default" ? { params: { profile } } : {});
+
 // ============================================================================
 // Traffic Configuration
 // ============================================================================
 
 /**
  * Get traffic monitoring configuration
+ * @param {string} [profile] - App profile name
  * @returns {Promise<Object>} Traffic config with monitor and domains
  */
-export const getTrafficConfig = () => api.get("/traffic");
+export const getTrafficConfig = (profile) => api.get("/traffic", profileOptions(profile));
 
 /**
  * Update traffic monitoring configuration
  * @param {Object} config - Traffic config { monitor, domains }
+ * @param {string} [profile] - App profile name
  * @returns {Promise<Object>} Updated config
  */
-export const updateTrafficConfig = (config) => api.put("/traffic", config);
+export const updateTrafficConfig = (config, profile) => api.put("/traffic", config, profileOptions(profile));
 
 // ============================================================================
 // Mapping Configuration
@@ -48,16 +62,18 @@ export const updateTrafficConfig = (config) => api.put("/traffic", config);
 
 /**
  * Get field mapping configuration
+ * @param {string} [profile] - App profile name
  * @returns {Promise<Object>} Mapping config
  */
-export const getMappingConfig = () => api.get("/mapping");
+export const getMappingConfig = (profile) => api.get("/mapping", profileOptions(profile));
 
 /**
  * Update field mapping configuration
  * @param {Object} config - Mapping config
+ * @param {string} [profile] - App profile name
  * @returns {Promise<Object>} Updated config
  */
-export const updateMappingConfig = (config) => api.put("/mapping", config);
+export const updateMappingConfig = (config, profile) => api.put("/mapping", config, profileOptions(profile));
 
 // ============================================================================
 // Endpoint Configuration
@@ -65,23 +81,58 @@ export const updateMappingConfig = (config) => api.put("/mapping", config);
 
 /**
  * Get endpoint type configuration
+ * @param {string} [profile] - App profile name
  * @returns {Promise<Object>} Endpoint config with types, tags, fallback
  */
-export const getEndpointConfig = () => api.get("/endpoint");
+export const getEndpointConfig = (profile) => api.get("/endpoint", profileOptions(profile));
 
 /**
  * Update endpoint type configuration
  * @param {Object} config - Endpoint config { types, tags, fallback }
+ * @param {string} [profile] - App profile name
  * @returns {Promise<Object>} Updated config
  */
-export const updateEndpointConfig = (config) => api.put("/endpoint", config);
+export const updateEndpointConfig = (config, profile) => api.put("/endpoint", config, profileOptions(profile));
 
 /**
  * Test endpoint classification for a given path
  * @param {string} path - URL path to test
+ * @param {string} [profile] - App profile name
  * @returns {Promise<Object>} Classification result { path, endpointType, tags, isSecure }
  */
-export const testEndpointClassification = (path) => api.post("/endpoint/test", { path });
+export const testEndpointClassification = (path, profile) => api.post("/endpoint/test", { path }, profileOptions(profile));
+
+// ============================================================================
+// App Profiles
+// ============================================================================
+
+/**
+ * Get app profiles in match order (the default profile is last)
+ * @returns {Promise<Object>} Profiles [{ name, description, isDefault? }]
+ */
+export const getProfiles = () => api.get("/profiles");
+
+/**
+ * Create a named app profile
+ * @param {Object} profile - { name, description?, copy_from? }
+ * @returns {Promise<Object>} Created profile
+ */
+export const createProfile = (profile) => api.post("/profiles", profile);
+
+/**
+ * Update the description or match position of a named app profile
+ * @param {string} name - Profile name
+ * @param {Object} updates - { description?, position? }
+ * @returns {Promise<Object>} Updated profile
+ */
+export const updateProfile = (name, updates) => api.put(`/profiles/${encodeURIComponent(name)}`, updates);
+
+/**
+ * Delete a named app profile
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} Success message
+ */
+export const deleteProfile = (name) => api.delete(`/profiles/${encodeURIComponent(name)}`);
 
 // ============================================================================
 // Proxy Configuration
@@ -100,6 +151,13 @@ export const getProxyConfig = () => api.get("/proxy");
  */
 export const updateProxyConfig = (config) => api.put("/proxy", config);
 
+/**
+ * Show how the saved upstream proxy settings route a backend URL
+ * @param {string} url - Backend URL (http, https, ws or wss)
+ * @returns {Promise<Object>} Result { url, enabled, direct, proxy, authenticated }
+ */
+export const testUpstreamProxy = (url) => api.post("/proxy/upstream/test", { url });
+
 /**
  * Get CA certificate info (without downloading)
  * @returns {Promise<Object>} CA cert info { available, fileName, size, modifiedAt }
@@ -110,7 +168,7 @@ export const getCaCertInfo = () => api.get("/proxy/ca-cert/info");
  * Get CA certificate download URL
  * @returns {string} URL to download the CA certificate
  */
-export const getCaCertDownloadUrl = () => "/admin/api/settings/proxy/ca-cert";
+export const getCaCertDownloadUrl = () => withAuthToken("/admin/api/settings/proxy/ca-cert");
 
 // ============================================================================
 // Session Configuration
@@ -118,16 +176,18 @@ export const getCaCertDownloadUrl = () => "/admin/api/settings/proxy/ca-cert";
 
 /**
  * Get session management configuration
+ * @param {string} [profile] - App profile name
  * @returns {Promise<Object>} Session config with create, update, session settings
  */
-export const getSessionConfig = () => api.get("/session");
+export const getSessionConfig = (profile) => api.get("/session", profileOptions(profile));
 
 /**
  * Update session management configuration
  * @param {Object} config - Session config { create, update, session }
+ * @param {string} [profile] - App profile name
  * @returns {Promise<Object>} Updated config
  */
-export const updateSessionConfig = (config) => api.put("/session", config);
+export const updateSessionConfig = (config, profile) => api.put("/session", config, profileOptions(profile));
 
 /**
  * Delete session management configuration (revert to legacy)
@@ -154,7 +214,7 @@ export const exportAllConfigs = () => api.get("/export");
 
 /**
  * Import configurations from backup
- * @param {Object} configs - Configs to import { traffic?, mapping?, endpoint?, session? }
+ * @param {Object} configs - Configs to import { traffic?, mapping?, endpoint?, session?, profiles? }
  * @param {boolean} overwrite - Whether to overwrite existing configs
  * @returns {Promise<Object>} Import result with conflicts or success
  */
@@ -184,6 +244,10 @@ export default {
   getEndpointConfig,
   updateEndpointConfig,
   testEndpointClassification,
+  getProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
   getAllSettings,
   refreshSettings,
 };
@@ -0,0 +1,31 @@
+import api from "./api";
+
+// Get all TLS profiles
+export const getTlsProfiles = async () => {
+  const response = await api.get("/api/tls-profiles");
+  return response.data;
+};
+
+// Create TLS profile
+export const createTlsProfile = async (profileData) => {
+  const response = await api.post("/api/tls-profiles", profileData);
+  return response.data;
+};
+
+// Update TLS profile
+export const updateTlsProfile = async (id, data) => {
+  const response = await api.put(`/api/tls-profiles/${id}`, data);
+  return response.data;
+};
+
+// Delete TLS profile
+export const deleteTlsProfile = async (id) => {
+  const response = await api.delete(`/api/tls-profiles/${id}`);
+  return response.data;
+};
+
+// Send a test request to an HTTPS URL with the TLS profile of its host
+export const testTlsProfile = async (url) => {
+  const response = await api.post("/api/tls-profiles/test", { url });
+  return response.data;
+};
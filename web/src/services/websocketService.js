@@ -0,0 +1,13 @@
+import api from "./api";
+
+// Get recorded WebSocket connections ({ data, count }, latest first; params: host, path, collectionId, limit)
+export const getWebSocketConnections = (params = {}) => api.get("/api/websockets", { params });
+
+// Get a recorded WebSocket connection with its frames
+export const getWebSocketConnection = async (id) => {
+  const response = await api.get(`/api/websockets/${id}`);
+  return response.data;
+};
+
+// Delete a recorded WebSocket connection and its frames
+export const deleteWebSocketConnection = (id) => api.delete(`/api/websockets/${id}`);